@@ -73,6 +73,7 @@ const userRoutes = require('./routes/userRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const chatInboxRoutes = require('./routes/chatInboxRoutes');
 const chatWebhookRoutes = require('./routes/chatWebhookRoutes');
+const whatsappCloudWebhookRoutes = require('./routes/whatsappCloudWebhookRoutes');
 const customLinksRoutes = require('./routes/customLinksRoutes');
 const adminTablePermissionsRoutes = require('./routes/adminTablePermissionsRoutes');
 const adminTablesRoutes = require('./routes/adminTablesRoutes');
@@ -210,7 +211,15 @@ app.use(helmet({
 // Middleware - Aplicar CORS configurável
 app.use(corsHandler.logCorsRequests.bind(corsHandler));
 app.use(corsHandler.createCorsMiddleware());
-app.use(bodyParser.json({ limit: '10mb' })); // Aumentar limite para uploads
+app.use(bodyParser.json({
+  limit: '10mb', // Aumentar limite para uploads
+  verify: (req, res, buf) => {
+    // Webhooks da API oficial do WhatsApp são assinados sobre o corpo bruto
+    if (req.originalUrl.startsWith('/api/whatsapp-cloud/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
 // Session middleware (DEVE vir antes do CSRF)
@@ -239,6 +248,8 @@ app.use((req, res, next) => {
     '/api/auth/status',
     '/api/admin/database-connections', // Rotas de database-connections para integração externa
     '/api/webhook/events', // Webhook endpoint para receber eventos do WUZAPI
+    '/api/whatsapp-cloud/webhook', // Webhook da API oficial do WhatsApp (assinatura X-Hub-Signature-256)
+    '/api/public/booking', // Página pública de agendamento (sem sessão; contato verificado por código WhatsApp)
     '/api/bot/send/text', // Bot proxy endpoint para envio de mensagens de texto
     '/api/bot/send/image', // Bot proxy endpoint para envio de imagens
     '/api/bot/send/audio', // Bot proxy endpoint para envio de áudio
@@ -804,6 +815,7 @@ app.use('/api/user', userRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/chat/inbox', chatInboxRoutes);
 app.use('/api/chat/webhook', chatWebhookRoutes);
+app.use('/api/whatsapp-cloud/webhook', whatsappCloudWebhookRoutes); // Webhook da API oficial do WhatsApp (assinatura verificada)
 app.use('/api/webhook', require('./routes/webhookRoutes')); // Webhook events from WUZAPI
 app.use('/api/webhooks/stripe', stripeWebhookRoutes); // Stripe webhook (no auth - uses signature verification)
 app.use('/api/bot', botProxyRoutes); // Bot proxy endpoints for external integrations
@@ -1286,6 +1298,12 @@ async function startServer() {
     // 4. Inicializar Redis Cache
     await initializeRedis();
 
+    // Registrar assinantes do barramento de eventos (webhooks, websocket e automações)
+    logger.info('📣 Registrando assinantes de eventos de domínio...');
+    const { registerDomainEventSubscribers } = require('./services/DomainEventSubscribers');
+    registerDomainEventSubscribers();
+    logger.info('✅ Assinantes de eventos de domínio registrados');
+
     // Inicializar CampaignScheduler para campanhas agendadas
     logger.info('📅 Inicializando CampaignScheduler...');
     const CampaignScheduler = require('./services/CampaignScheduler');
@@ -1318,6 +1336,41 @@ async function startServer() {
     singleMessageScheduler.start();
     logger.info('✅ SingleMessageScheduler iniciado');
 
+    // Inicializar DripSequenceScheduler para etapas de sequências
+    logger.info('📅 Inicializando DripSequenceScheduler...');
+    const DripSequenceScheduler = require('./services/DripSequenceScheduler');
+    const dripSequenceScheduler = new DripSequenceScheduler();
+    dripSequenceScheduler.start();
+    logger.info('✅ DripSequenceScheduler iniciado');
+
+    // Inicializar SlaMonitor para prazos de SLA das conversas
+    logger.info('⏱️ Inicializando SlaMonitor...');
+    const SlaMonitor = require('./services/SlaMonitor');
+    const slaMonitor = new SlaMonitor();
+    slaMonitor.start();
+    logger.info('✅ SlaMonitor iniciado');
+
+    // Inicializar BusinessHoursScheduler para conversas fora do horário
+    logger.info('🕘 Inicializando BusinessHoursScheduler...');
+    const BusinessHoursScheduler = require('./services/BusinessHoursScheduler');
+    const businessHoursScheduler = new BusinessHoursScheduler();
+    businessHoursScheduler.start();
+    logger.info('✅ BusinessHoursScheduler iniciado');
+
+    // Inicializar AppointmentReminderScheduler para lembretes de agendamento
+    logger.info('📅 Inicializando AppointmentReminderScheduler...');
+    const AppointmentReminderScheduler = require('./services/AppointmentReminderScheduler');
+    const appointmentReminderScheduler = new AppointmentReminderScheduler();
+    appointmentReminderScheduler.start();
+    logger.info('✅ AppointmentReminderScheduler iniciado');
+
+    // Inicializar CalendarImportScheduler para agendas externas (ICS)
+    logger.info('📆 Inicializando CalendarImportScheduler...');
+    const CalendarImportScheduler = require('./services/CalendarImportScheduler');
+    const calendarImportScheduler = new CalendarImportScheduler();
+    calendarImportScheduler.start();
+    logger.info('✅ CalendarImportScheduler iniciado');
+
     // Inicializar LogRotationService para limpeza de logs
     logger.info('🗑️ Inicializando LogRotationService...');
     const AuditLogger = require('./services/AuditLogger');
@@ -1332,9 +1385,49 @@ async function startServer() {
     logRotationService.start();
     logger.info('✅ LogRotationService iniciado');
 
+    // Inicializar workers BullMQ (retenção de dados, entregas de webhook e sincronização CRM)
+    logger.info('🧹 Inicializando workers de retenção de dados, webhooks e sincronização CRM...');
+    const { initializeWorkers } = require('./workers');
+    const { scheduleRetentionJob, scheduleMeteredUsageJob, scheduleDunningJob } = require('./queues/maintenanceQueue');
+    const { scheduleCrmSyncDispatch } = require('./queues/importQueue');
+    try {
+      initializeWorkers({ campaign: false, import: true, report: false, crm: false, maintenance: true, webhook: true });
+      if (await scheduleRetentionJob()) {
+        logger.info('✅ Job de retenção de dados agendado');
+      }
+    } catch (retentionError) {
+      logger.warn('⚠️ Job de retenção de dados não agendado', { error: retentionError.message });
+    }
+    try {
+      if (await scheduleCrmSyncDispatch()) {
+        logger.info('✅ Sincronizações CRM agendadas');
+      }
+    } catch (crmSyncError) {
+      logger.warn('⚠️ Sincronizações CRM não agendadas', { error: crmSyncError.message });
+    }
+    try {
+      if (await scheduleMeteredUsageJob()) {
+        logger.info('✅ Job de cobrança por uso agendado');
+      }
+    } catch (meteredUsageError) {
+      logger.warn('⚠️ Job de cobrança por uso não agendado', { error: meteredUsageError.message });
+    }
+    try {
+      if (await scheduleDunningJob()) {
+        logger.info('✅ Job de inadimplência agendado');
+      }
+    } catch (dunningError) {
+      logger.warn('⚠️ Job de inadimplência não agendado', { error: dunningError.message });
+    }
+
     // Tornar os schedulers disponíveis globalmente para as rotas
     app.locals.campaignScheduler = campaignScheduler;
     app.locals.singleMessageScheduler = singleMessageScheduler;
+    app.locals.dripSequenceScheduler = dripSequenceScheduler;
+    app.locals.slaMonitor = slaMonitor;
+    app.locals.businessHoursScheduler = businessHoursScheduler;
+    app.locals.appointmentReminderScheduler = appointmentReminderScheduler;
+    app.locals.calendarImportScheduler = calendarImportScheduler;
     app.locals.stateSynchronizer = stateSynchronizer;
     app.locals.auditLogger = auditLogger;
     app.locals.logRotationService = logRotationService;
@@ -1455,12 +1548,57 @@ startServer().then(server => {
           logger.info('SingleMessageScheduler encerrado');
         }
 
+        // Parar DripSequenceScheduler
+        if (app.locals.dripSequenceScheduler) {
+          app.locals.dripSequenceScheduler.stop();
+          logger.info('DripSequenceScheduler encerrado');
+        }
+
+        // Parar SlaMonitor
+        if (app.locals.slaMonitor) {
+          app.locals.slaMonitor.stop();
+          logger.info('SlaMonitor encerrado');
+        }
+
+        // Parar BusinessHoursScheduler
+        if (app.locals.businessHoursScheduler) {
+          app.locals.businessHoursScheduler.stop();
+          logger.info('BusinessHoursScheduler encerrado');
+        }
+
+        // Parar AppointmentReminderScheduler
+        if (app.locals.appointmentReminderScheduler) {
+          app.locals.appointmentReminderScheduler.stop();
+          logger.info('AppointmentReminderScheduler encerrado');
+        }
+
+        // Parar CalendarImportScheduler
+        if (app.locals.calendarImportScheduler) {
+          app.locals.calendarImportScheduler.stop();
+          logger.info('CalendarImportScheduler encerrado');
+        }
+
         // Parar LogRotationService
         if (app.locals.logRotationService) {
           app.locals.logRotationService.stop();
           logger.info('LogRotationService encerrado');
         }
 
+        // Parar workers e filas (retenção de dados e entregas de webhook)
+        try {
+          const { shutdownWorkers } = require('./workers');
+          const { closeAllQueues } = require('./queues');
+          const { stopInlineJobs } = require('./queues/maintenanceQueue');
+          const { stopInlineCrmSyncDispatch } = require('./queues/importQueue');
+          await shutdownWorkers(10000);
+          await closeAllQueues();
+          stopInlineJobs();
+          stopInlineCrmSyncDispatch();
+          logger.info('Workers e filas encerrados');
+        } catch (queueError) {
+          logger.warn('Erro ao encerrar workers e filas', { error: queueError.message });
+        }
+
         // Parar sistema de alertas
         alertManager.stop();
         logger.info('Sistema de alertas encerrado');
@@ -2,7 +2,8 @@
  * Quota Enforcement Middleware
  * 
  * Middleware to check and enforce user quotas before operations.
- * Returns 429 with quota info when exceeded.
+ * Returns 429 with quota info when exceeded and 403 when the subscription
+ * is read-only.
  * 
  * Migrated to use module-level service initialization (Task 14.1)
  * 
@@ -16,6 +17,13 @@ const { resolveUserId: resolveUserIdFromRequest, getUserToken } = require('../ut
 // Module-level service instance (QuotaService now uses SupabaseService internally)
 const quotaService = new QuotaService();
 
+// Expired, suspended or unpaid subscriptions (dunning) cannot consume quota
+const READ_ONLY_RESPONSE = {
+  error: 'Subscription is read-only',
+  code: 'SUBSCRIPTION_READ_ONLY',
+  message: 'Sua conta está em modo somente leitura por falta de pagamento. Regularize a assinatura para continuar.'
+};
+
 /**
  * Get the QuotaService instance
  * @returns {QuotaService} QuotaService instance
@@ -77,6 +85,11 @@ function enforceQuota(quotaType, amount = 1) {
         method: req.method
       });
 
+      if (result.readOnly) {
+        logger.warn('Read-only subscription - access denied', { userId, quotaType, path: req.path, method: req.method });
+        return res.status(403).json(READ_ONLY_RESPONSE);
+      }
+
       if (!result.allowed) {
         logger.warn('Quota exceeded - access denied', {
           userId,
@@ -168,6 +181,11 @@ function enforceMultipleQuotas(quotas) {
       
       for (const { quotaType, amount = 1 } of quotas) {
         const result = await quotaService.checkQuota(userId, quotaType, amount);
+
+        if (result.readOnly) {
+          logger.warn('Read-only subscription - access denied', { userId, quotaType, path: req.path, method: req.method });
+          return res.status(403).json(READ_ONLY_RESPONSE);
+        }
         
         if (!result.allowed) {
           failures.push({
@@ -303,6 +303,44 @@ const superadminLoginLimiter = rateLimit({
   skipSuccessfulRequests: false
 });
 
+/**
+ * Rate limiter para códigos de verificação da página pública de agendamento
+ * 
+ * Limites:
+ * - 10 códigos por 15 minutos
+ * - Por IP
+ * 
+ * Previne:
+ * - Envio em massa de mensagens WhatsApp pelo inbox do tenant
+ * - Brute force de códigos (confirmações contam no mesmo limite)
+ */
+const bookingCodeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // 10 requisições
+  message: {
+    success: false,
+    error: 'Too many verification requests',
+    code: 'RATE_LIMIT_EXCEEDED',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+
+  handler: (req, res) => {
+    logger.warn('Rate limit exceeded - Booking verification', {
+      ip: req.ip,
+      path: req.path
+    });
+
+    res.status(429).json({
+      success: false,
+      error: 'Too many verification requests',
+      code: 'RATE_LIMIT_EXCEEDED',
+      retryAfter: '15 minutes'
+    });
+  }
+});
+
 module.exports = {
   loginLimiter,
   apiLimiter,
@@ -312,5 +350,6 @@ module.exports = {
   tableWriteRateLimiter,
   tableDeleteRateLimiter,
   userRecordRateLimiter,
-  superadminLoginLimiter
+  superadminLoginLimiter,
+  bookingCodeLimiter
 };
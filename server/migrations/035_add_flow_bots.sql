@@ -0,0 +1,37 @@
+-- Migration: Add native flow bots (visual flow builder runtime)
+-- Requirements: Flow bots executed server-side without an external URL
+
+-- Bot type: 'webhook' bots forward to outgoing_url, 'flow' bots run a stored graph
+ALTER TABLE agent_bots ADD COLUMN IF NOT EXISTS bot_type VARCHAR(20) NOT NULL DEFAULT 'webhook';
+ALTER TABLE agent_bots ADD COLUMN IF NOT EXISTS flow_definition JSONB;
+
+-- Flow bots do not need an outgoing URL
+ALTER TABLE agent_bots ALTER COLUMN outgoing_url DROP NOT NULL;
+
+ALTER TABLE agent_bots DROP CONSTRAINT IF EXISTS agent_bots_valid_bot_type;
+ALTER TABLE agent_bots ADD CONSTRAINT agent_bots_valid_bot_type CHECK (bot_type IN ('webhook', 'flow'));
+
+-- Per-conversation execution state for flow bots
+CREATE TABLE IF NOT EXISTS bot_flow_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    bot_id UUID NOT NULL REFERENCES agent_bots(id) ON DELETE CASCADE,
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    current_node_id VARCHAR(100),
+    variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    last_input_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT bot_flow_sessions_valid_status CHECK (status IN ('active', 'waiting', 'completed', 'handoff')),
+    CONSTRAINT bot_flow_sessions_unique_conversation UNIQUE (bot_id, conversation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bot_flow_sessions_conversation ON bot_flow_sessions(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_bot_flow_sessions_status ON bot_flow_sessions(status);
+
+-- Add comments
+COMMENT ON COLUMN agent_bots.bot_type IS 'Bot type: webhook (external URL) or flow (native graph)';
+COMMENT ON COLUMN agent_bots.flow_definition IS 'Flow graph: { startNodeId, nodes: [{ id, type, data, next }] }';
+COMMENT ON TABLE bot_flow_sessions IS 'Per-conversation state (current node, collected variables) for flow bots';
+COMMENT ON COLUMN bot_flow_sessions.status IS 'Session status: active, waiting (for reply), completed, handoff';
@@ -0,0 +1,141 @@
+-- Migration: Create drip sequence tables (automated follow-up sequences)
+-- Requirements: Ordered message steps with delays, conditions, enrollment triggers and per-step stats
+
+-- Drip Sequences table
+CREATE TABLE IF NOT EXISTS drip_sequences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE SET NULL,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    trigger_type VARCHAR(20) NOT NULL DEFAULT 'manual',
+    trigger_id UUID,
+    exit_on_reply BOOLEAN NOT NULL DEFAULT true,
+    sending_window JSONB,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT drip_sequences_valid_status CHECK (status IN ('draft', 'active', 'paused', 'archived')),
+    CONSTRAINT drip_sequences_valid_trigger CHECK (trigger_type IN ('manual', 'segment', 'tag', 'import'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_drip_sequences_account ON drip_sequences(account_id);
+CREATE INDEX IF NOT EXISTS idx_drip_sequences_tenant ON drip_sequences(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_drip_sequences_trigger ON drip_sequences(account_id, trigger_type, trigger_id) WHERE status = 'active';
+
+ALTER TABLE drip_sequences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY drip_sequences_account_access ON drip_sequences
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY drip_sequences_tenant_isolation ON drip_sequences
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Drip Sequence Steps table
+CREATE TABLE IF NOT EXISTS drip_sequence_steps (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sequence_id UUID NOT NULL REFERENCES drip_sequences(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    message_template TEXT NOT NULL,
+    delay_value INTEGER NOT NULL DEFAULT 0,
+    delay_unit VARCHAR(10) NOT NULL DEFAULT 'hours',
+    condition JSONB,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT drip_sequence_steps_valid_delay CHECK (delay_value >= 0 AND delay_unit IN ('hours', 'days')),
+    UNIQUE(sequence_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_drip_sequence_steps_sequence ON drip_sequence_steps(sequence_id);
+
+ALTER TABLE drip_sequence_steps ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY drip_sequence_steps_access ON drip_sequence_steps
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1 FROM drip_sequences ds
+            WHERE ds.id = sequence_id
+            AND ds.account_id = current_setting('app.account_id', true)::uuid
+        )
+    );
+
+-- Drip Sequence Enrollments table
+CREATE TABLE IF NOT EXISTS drip_sequence_enrollments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sequence_id UUID NOT NULL REFERENCES drip_sequences(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    current_step INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    source VARCHAR(20) NOT NULL DEFAULT 'manual',
+    next_run_at TIMESTAMPTZ,
+    last_sent_at TIMESTAMPTZ,
+    last_reply_at TIMESTAMPTZ,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    exit_reason VARCHAR(50),
+    enrolled_at TIMESTAMPTZ DEFAULT now(),
+    completed_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT drip_sequence_enrollments_valid_status CHECK (status IN ('active', 'completed', 'exited')),
+    UNIQUE(sequence_id, contact_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_drip_enrollments_due ON drip_sequence_enrollments(next_run_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_drip_enrollments_contact ON drip_sequence_enrollments(contact_id, status);
+CREATE INDEX IF NOT EXISTS idx_drip_enrollments_sequence ON drip_sequence_enrollments(sequence_id);
+
+ALTER TABLE drip_sequence_enrollments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY drip_sequence_enrollments_account_access ON drip_sequence_enrollments
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Drip Sequence Events table (source for per-step stats)
+CREATE TABLE IF NOT EXISTS drip_sequence_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sequence_id UUID NOT NULL REFERENCES drip_sequences(id) ON DELETE CASCADE,
+    enrollment_id UUID NOT NULL REFERENCES drip_sequence_enrollments(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    step_position INTEGER NOT NULL,
+    event_type VARCHAR(20) NOT NULL,
+    reason VARCHAR(50),
+    created_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT drip_sequence_events_valid_type CHECK (event_type IN ('entered', 'sent', 'skipped', 'failed', 'exited', 'completed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_drip_events_sequence ON drip_sequence_events(sequence_id, step_position);
+CREATE INDEX IF NOT EXISTS idx_drip_events_enrollment ON drip_sequence_events(enrollment_id);
+
+ALTER TABLE drip_sequence_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY drip_sequence_events_access ON drip_sequence_events
+    FOR ALL
+    USING (
+        EXISTS (
+            SELECT 1 FROM drip_sequences ds
+            WHERE ds.id = sequence_id
+            AND ds.account_id = current_setting('app.account_id', true)::uuid
+        )
+    );
+
+-- Add comments
+COMMENT ON TABLE drip_sequences IS 'Automated follow-up sequences sent to enrolled contacts';
+COMMENT ON COLUMN drip_sequences.trigger_type IS 'Enrollment trigger: manual, segment (joined segment), tag (tag added), import (contact imported)';
+COMMENT ON COLUMN drip_sequences.trigger_id IS 'Segment or tag UUID for segment/tag triggers';
+COMMENT ON COLUMN drip_sequences.sending_window IS 'Sending window: { startTime: "HH:mm", endTime: "HH:mm", days: [0-6] }';
+COMMENT ON TABLE drip_sequence_steps IS 'Ordered steps of a drip sequence';
+COMMENT ON COLUMN drip_sequence_steps.delay_value IS 'Wait before sending, counted from enrollment (first step) or from the previous step';
+COMMENT ON COLUMN drip_sequence_steps.condition IS 'Optional condition: { type: replied|not_replied|in_segment|not_in_segment, segmentId, onFail: skip|exit }';
+COMMENT ON TABLE drip_sequence_enrollments IS 'Contacts enrolled in a drip sequence and their progress';
+COMMENT ON COLUMN drip_sequence_enrollments.current_step IS 'Position of the next step to run';
+COMMENT ON COLUMN drip_sequence_enrollments.attempts IS 'Failed send attempts for the current step';
+COMMENT ON COLUMN drip_sequence_enrollments.exit_reason IS 'Why the enrollment stopped: replied, opted_out, condition, send_failed, manual, sequence_archived';
+COMMENT ON TABLE drip_sequence_events IS 'Per-step enrollment events used for sequence stats';
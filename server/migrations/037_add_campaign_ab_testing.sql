@@ -0,0 +1,27 @@
+-- Migration: Add A/B testing to bulk campaigns
+-- Requirements: Message variants sent to a test slice, winner picked from delivery/read/reply rates
+
+-- A/B test configuration and state:
+-- { variants: [{ id, name, content }], testPercentage, metric, confidenceLevel,
+--   minSamplePerVariant, deadlineHours, status, testEndedAt, winnerVariantId, decisionReason, decidedAt }
+ALTER TABLE bulk_campaigns ADD COLUMN IF NOT EXISTS ab_test JSONB;
+
+-- Variant drawn for each contact of the test slice
+ALTER TABLE campaign_contacts ADD COLUMN IF NOT EXISTS variant_id VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_contacts_variant ON campaign_contacts(campaign_id, variant_id) WHERE variant_id IS NOT NULL;
+
+-- Sends, delivery/read and replies of the test slice are tracked by
+-- VariationTracker in message_variations
+ALTER TABLE message_variations ADD COLUMN IF NOT EXISTS variant_id VARCHAR(20);
+ALTER TABLE message_variations ADD COLUMN IF NOT EXISTS replied BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_message_variations_message_id ON message_variations(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_variations_variant ON message_variations(campaign_id, variant_id) WHERE variant_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_message_variations_reply_lookup ON message_variations(recipient, sent_at) WHERE variant_id IS NOT NULL AND NOT replied;
+
+-- Add comments
+COMMENT ON COLUMN bulk_campaigns.ab_test IS 'A/B test config and state (variants, test slice, metric, winner)';
+COMMENT ON COLUMN campaign_contacts.variant_id IS 'A/B variant sent to this contact (test slice only)';
+COMMENT ON COLUMN message_variations.variant_id IS 'A/B variant of the first campaign message sent to the recipient';
+COMMENT ON COLUMN message_variations.replied IS 'Whether the recipient replied within the attribution window';
@@ -0,0 +1,121 @@
+-- Migration: Create SLA policy tables (conversation response/resolution targets)
+-- Requirements: Per-inbox SLA policies, breach timers per conversation, escalation and compliance reporting
+
+-- SLA Policies table (inbox_id NULL = account default policy)
+CREATE TABLE IF NOT EXISTS sla_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    first_response_minutes INTEGER,
+    next_response_minutes INTEGER,
+    resolution_minutes INTEGER,
+    business_hours_only BOOLEAN NOT NULL DEFAULT false,
+    business_hours JSONB,
+    warning_threshold_percent INTEGER NOT NULL DEFAULT 80,
+    escalation JSONB NOT NULL DEFAULT '{}'::jsonb,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT sla_policies_valid_targets CHECK (
+        (first_response_minutes IS NULL OR first_response_minutes > 0) AND
+        (next_response_minutes IS NULL OR next_response_minutes > 0) AND
+        (resolution_minutes IS NULL OR resolution_minutes > 0)
+    ),
+    CONSTRAINT sla_policies_valid_warning CHECK (warning_threshold_percent BETWEEN 1 AND 99)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_policies_account ON sla_policies(account_id);
+CREATE INDEX IF NOT EXISTS idx_sla_policies_tenant ON sla_policies(tenant_id);
+
+-- At most one active policy per inbox, and one active account default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_active_inbox
+    ON sla_policies(inbox_id) WHERE is_active = true AND inbox_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_active_default
+    ON sla_policies(account_id) WHERE is_active = true AND inbox_id IS NULL;
+
+ALTER TABLE sla_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY sla_policies_account_access ON sla_policies
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY sla_policies_tenant_isolation ON sla_policies
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Conversation SLA timers (one row per conversation under a policy)
+CREATE TABLE IF NOT EXISTS conversation_slas (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE SET NULL,
+    policy_id UUID NOT NULL REFERENCES sla_policies(id) ON DELETE CASCADE,
+    first_response_warn_at TIMESTAMPTZ,
+    first_response_due_at TIMESTAMPTZ,
+    first_response_at TIMESTAMPTZ,
+    awaiting_response_since TIMESTAMPTZ,
+    next_response_warn_at TIMESTAMPTZ,
+    next_response_due_at TIMESTAMPTZ,
+    resolution_warn_at TIMESTAMPTZ,
+    resolution_due_at TIMESTAMPTZ,
+    resolved_at TIMESTAMPTZ,
+    warnings_sent TEXT[] NOT NULL DEFAULT '{}',
+    breaches TEXT[] NOT NULL DEFAULT '{}',
+    next_check_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    UNIQUE(conversation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_slas_account ON conversation_slas(account_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_slas_next_check ON conversation_slas(next_check_at) WHERE next_check_at IS NOT NULL;
+
+ALTER TABLE conversation_slas ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY conversation_slas_account_access ON conversation_slas
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- SLA Events table (source for compliance reporting)
+CREATE TABLE IF NOT EXISTS sla_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE SET NULL,
+    policy_id UUID REFERENCES sla_policies(id) ON DELETE SET NULL,
+    agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+    metric VARCHAR(20) NOT NULL,
+    event_type VARCHAR(20) NOT NULL,
+    due_at TIMESTAMPTZ,
+    details JSONB,
+    created_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT sla_events_valid_metric CHECK (metric IN ('first_response', 'next_response', 'resolution')),
+    CONSTRAINT sla_events_valid_type CHECK (event_type IN ('warning', 'met', 'breached', 'escalated'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_events_account_created ON sla_events(account_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sla_events_agent ON sla_events(agent_id, event_type);
+CREATE INDEX IF NOT EXISTS idx_sla_events_conversation ON sla_events(conversation_id);
+
+ALTER TABLE sla_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY sla_events_account_access ON sla_events
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE sla_policies IS 'Conversation SLA targets per inbox (inbox_id NULL = account default)';
+COMMENT ON COLUMN sla_policies.business_hours IS 'Business hours { startTime, endTime, days } used when business_hours_only is true';
+COMMENT ON COLUMN sla_policies.warning_threshold_percent IS 'Percent of the target elapsed before the about-to-breach warning';
+COMMENT ON COLUMN sla_policies.escalation IS 'Actions on breach: { reassign, notifyAgentId, labelId }';
+COMMENT ON TABLE conversation_slas IS 'SLA warning/due timers per conversation, computed when messages arrive and are answered';
+COMMENT ON COLUMN conversation_slas.awaiting_response_since IS 'First unanswered contact message after an agent reply (next response timer)';
+COMMENT ON COLUMN conversation_slas.warnings_sent IS 'Metrics already warned in the current cycle';
+COMMENT ON COLUMN conversation_slas.breaches IS 'Metrics already breached in the current cycle';
+COMMENT ON COLUMN conversation_slas.next_check_at IS 'Earliest pending warning/due time, polled by the SLA monitor';
+COMMENT ON TABLE sla_events IS 'SLA outcomes (met/breached), warnings and escalations for compliance reporting';
@@ -0,0 +1,41 @@
+-- Migration: Create inbox business hours calendars and out-of-office tracking
+-- Requirements: Business hours per inbox (weekly hours, timezone, holidays) with away messages
+
+CREATE TABLE IF NOT EXISTS inbox_business_hours (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    inbox_id UUID NOT NULL REFERENCES inboxes(id) ON DELETE CASCADE,
+    is_enabled BOOLEAN NOT NULL DEFAULT true,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'America/Sao_Paulo',
+    weekly_hours JSONB NOT NULL DEFAULT '{}'::jsonb,
+    holidays JSONB NOT NULL DEFAULT '[]'::jsonb,
+    away_message_enabled BOOLEAN NOT NULL DEFAULT false,
+    away_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    UNIQUE(inbox_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbox_business_hours_account ON inbox_business_hours(account_id);
+
+ALTER TABLE inbox_business_hours ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY inbox_business_hours_account_access ON inbox_business_hours
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Out-of-hours state per conversation: the away message is sent once per
+-- closed period and auto-assignment waits until the inbox reopens
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS out_of_hours_until TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_out_of_hours_until
+    ON conversations(out_of_hours_until) WHERE out_of_hours_until IS NOT NULL;
+
+-- Add comments
+COMMENT ON TABLE inbox_business_hours IS 'Business hours calendar per inbox, shared by away messages, assignment, campaigns and SLA timers';
+COMMENT ON COLUMN inbox_business_hours.weekly_hours IS 'Open intervals per weekday (0 = Sunday): { "1": [{ "start": "09:00", "end": "18:00" }] }';
+COMMENT ON COLUMN inbox_business_hours.holidays IS 'Closed local dates: [{ "date": "2026-12-25", "name": "Natal" }]';
+COMMENT ON COLUMN inbox_business_hours.away_message IS 'Auto-reply outside business hours, supports {{reopens_at}}';
+COMMENT ON COLUMN conversations.out_of_hours_until IS 'Next opening of the inbox after an out-of-hours contact message; cleared when hours resume';
+COMMENT ON COLUMN sla_policies.business_hours IS 'Fallback hours for business_hours_only when the inbox has no business hours calendar';
@@ -0,0 +1,46 @@
+-- Migration: Create conversation routing rules and agent skills
+-- Requirements: Skill-based and weighted routing in ConversationAssignmentService
+
+CREATE TABLE IF NOT EXISTS routing_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    name VARCHAR(200) NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 0,
+    conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+    required_skills TEXT[] NOT NULL DEFAULT '{}',
+    targets JSONB NOT NULL DEFAULT '[]'::jsonb,
+    overflow_team_id UUID REFERENCES teams(id) ON DELETE SET NULL,
+    sticky_agent BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_routing_rules_account_priority
+    ON routing_rules(account_id, priority) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_routing_rules_tenant ON routing_rules(tenant_id);
+
+ALTER TABLE routing_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY routing_rules_account_access ON routing_rules
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY routing_rules_tenant_isolation ON routing_rules
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Skills/tags an agent can serve (language, product, ...)
+ALTER TABLE agents ADD COLUMN IF NOT EXISTS skills TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_agents_skills ON agents USING GIN(skills);
+
+-- Add comments
+COMMENT ON TABLE routing_rules IS 'Account routing rules evaluated by priority (lowest first) before round-robin assignment';
+COMMENT ON COLUMN routing_rules.conditions IS 'All present lists must match: { "inboxIds": [], "segmentIds": [], "labelIds": [] }; empty = every conversation';
+COMMENT ON COLUMN routing_rules.required_skills IS 'Skills the agent must have (all of them) to receive conversations matched by the rule';
+COMMENT ON COLUMN routing_rules.targets IS 'Weighted team distribution: [{ "teamId": "...", "weight": 70 }]; empty = any available inbox agent';
+COMMENT ON COLUMN routing_rules.overflow_team_id IS 'Team used when every agent of the target teams is at max conversations';
+COMMENT ON COLUMN routing_rules.sticky_agent IS 'Prefer the agent who handled the contact''s previous conversation when available';
+COMMENT ON COLUMN agents.skills IS 'Routing skills/tags matched against routing_rules.required_skills';
@@ -0,0 +1,75 @@
+-- Migration: Create customer satisfaction (CSAT) survey tables
+-- Requirements: CSAT surveys after conversation resolution
+
+-- Survey settings (one row per account)
+CREATE TABLE IF NOT EXISTS csat_settings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    is_enabled BOOLEAN NOT NULL DEFAULT false,
+    scale VARCHAR(20) NOT NULL DEFAULT 'numeric',
+    survey_message TEXT NOT NULL,
+    comment_prompt TEXT,
+    thank_you_message TEXT,
+    inbox_ids UUID[] NOT NULL DEFAULT '{}',
+    response_window_hours INTEGER NOT NULL DEFAULT 24,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    UNIQUE(account_id),
+    CONSTRAINT csat_settings_valid_scale CHECK (scale IN ('numeric', 'emoji')),
+    CONSTRAINT csat_settings_valid_window CHECK (response_window_hours BETWEEN 1 AND 720)
+);
+
+CREATE INDEX IF NOT EXISTS idx_csat_settings_tenant ON csat_settings(tenant_id);
+
+ALTER TABLE csat_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY csat_settings_account_access ON csat_settings
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY csat_settings_tenant_isolation ON csat_settings
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Surveys sent on resolution and the contact's rating
+CREATE TABLE IF NOT EXISTS csat_surveys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE SET NULL,
+    agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    scale VARCHAR(20) NOT NULL DEFAULT 'numeric',
+    score SMALLINT,
+    comment TEXT,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    rated_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT csat_surveys_valid_status CHECK (status IN ('pending', 'awaiting_comment', 'completed', 'expired')),
+    CONSTRAINT csat_surveys_valid_score CHECK (score IS NULL OR score BETWEEN 1 AND 5)
+);
+
+CREATE INDEX IF NOT EXISTS idx_csat_surveys_conversation ON csat_surveys(conversation_id, status);
+CREATE INDEX IF NOT EXISTS idx_csat_surveys_account_rated ON csat_surveys(account_id, rated_at)
+    WHERE score IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_csat_surveys_agent ON csat_surveys(agent_id, rated_at)
+    WHERE score IS NOT NULL;
+
+ALTER TABLE csat_surveys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY csat_surveys_account_access ON csat_surveys
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE csat_settings IS 'Customer satisfaction survey sent when a conversation is resolved';
+COMMENT ON COLUMN csat_settings.scale IS 'numeric (1-5) or emoji (😡 😕 😐 🙂 😍); numbers are accepted on both';
+COMMENT ON COLUMN csat_settings.comment_prompt IS 'Asked after the rating to collect an optional comment; NULL skips the comment step';
+COMMENT ON COLUMN csat_settings.inbox_ids IS 'Inboxes that send the survey; empty = all inboxes';
+COMMENT ON TABLE csat_surveys IS 'CSAT survey per resolution, linked to the conversation and the agent assigned when it was resolved';
+COMMENT ON COLUMN csat_surveys.status IS 'pending (waiting for the rating), awaiting_comment, completed or expired (replaced before an answer)';
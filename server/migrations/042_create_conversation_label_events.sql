@@ -0,0 +1,33 @@
+-- Migration: Create conversation label history
+-- Requirements: Conversation transcript export (label history)
+
+-- One row per label added to / removed from a conversation
+CREATE TABLE IF NOT EXISTS conversation_label_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id),
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    label_id UUID NOT NULL,
+    label_name VARCHAR(255),
+    action VARCHAR(20) NOT NULL,
+    performed_by_agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+
+    CONSTRAINT conversation_label_events_valid_action CHECK (action IN ('added', 'removed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_label_events_conversation
+    ON conversation_label_events(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_conversation_label_events_account
+    ON conversation_label_events(account_id);
+
+ALTER TABLE conversation_label_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY conversation_label_events_account_access ON conversation_label_events
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE conversation_label_events IS 'Audit log of labels added to and removed from conversations';
+COMMENT ON COLUMN conversation_label_events.label_id IS 'Label at the time of the change; no foreign key so history survives label deletion';
+COMMENT ON COLUMN conversation_label_events.label_name IS 'Label title when the change happened';
+COMMENT ON COLUMN conversation_label_events.performed_by_agent_id IS 'Agent who changed the label (NULL for the account owner, bots and automations)';
@@ -0,0 +1,210 @@
+-- Migration: Account-wide full-text search for messages and conversations
+-- Requirements: Full-text search across messages with Postgres tsvector and filters
+--
+-- Search uses a Portuguese configuration with unaccent, so "atencao" finds
+-- "atenção" and "pagamentos" finds "pagamento". Vectors are stored generated
+-- columns (adding them rewrites chat_messages once; run outside peak hours).
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'portuguese_unaccent') THEN
+        CREATE TEXT SEARCH CONFIGURATION public.portuguese_unaccent (COPY = portuguese);
+        ALTER TEXT SEARCH CONFIGURATION public.portuguese_unaccent
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, portuguese_stem;
+    END IF;
+END
+$$;
+
+-- Message content (including internal notes) and media file names
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        to_tsvector('public.portuguese_unaccent'::regconfig,
+            coalesce(content, '') || ' ' || coalesce(media_filename, ''))
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_search_vector ON chat_messages USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_conversation_timestamp ON chat_messages(conversation_id, timestamp DESC, id DESC);
+
+-- Contact name and phone of the conversation
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        to_tsvector('public.portuguese_unaccent'::regconfig,
+            coalesce(contact_name, '') || ' ' || split_part(coalesce(contact_jid, ''), '@', 1))
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_search_vector ON conversations USING GIN(search_vector);
+
+-- Contact name, phone and custom attribute values
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        to_tsvector('public.portuguese_unaccent'::regconfig, coalesce(name, '') || ' ' || coalesce(phone, ''))
+        || jsonb_to_tsvector('public.portuguese_unaccent'::regconfig, coalesce(custom_fields, '{}'::jsonb), '["string", "numeric"]')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_search_vector ON contacts USING GIN(search_vector);
+
+-- ============================================================================
+-- Function: search_messages
+-- Messages of the account matching the query, newest first, with a
+-- highlighted snippet ({{{ and }}} around matches). Keyset pagination on
+-- (timestamp, id). NULL filters are ignored.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION search_messages(
+    p_account_id UUID,
+    p_query TEXT,
+    p_inbox_ids UUID[] DEFAULT NULL,
+    p_label_ids TEXT[] DEFAULT NULL,
+    p_agent_ids UUID[] DEFAULT NULL,
+    p_date_from TIMESTAMPTZ DEFAULT NULL,
+    p_date_to TIMESTAMPTZ DEFAULT NULL,
+    p_direction TEXT DEFAULT NULL,
+    p_message_types TEXT[] DEFAULT NULL,
+    p_include_notes BOOLEAN DEFAULT TRUE,
+    p_cursor_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_cursor_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE(
+    id UUID,
+    conversation_id UUID,
+    inbox_id UUID,
+    contact_jid TEXT,
+    contact_name TEXT,
+    direction TEXT,
+    message_type TEXT,
+    is_private_note BOOLEAN,
+    sender_agent_id UUID,
+    media_url TEXT,
+    media_filename TEXT,
+    message_timestamp TIMESTAMPTZ,
+    snippet TEXT,
+    rank REAL
+) AS $$
+    WITH search AS (
+        SELECT websearch_to_tsquery('public.portuguese_unaccent'::regconfig, p_query) AS query
+    )
+    SELECT
+        m.id,
+        m.conversation_id,
+        c.inbox_id,
+        c.contact_jid::TEXT,
+        c.contact_name::TEXT,
+        m.direction::TEXT,
+        m.message_type::TEXT,
+        COALESCE(m.is_private_note, false),
+        m.sender_agent_id,
+        m.media_url::TEXT,
+        m.media_filename::TEXT,
+        m.timestamp::TIMESTAMPTZ,
+        ts_headline('public.portuguese_unaccent'::regconfig,
+            coalesce(nullif(m.content, ''), m.media_filename, ''), search.query,
+            'StartSel="{{{", StopSel="}}}", MaxWords=35, MinWords=12, MaxFragments=2, FragmentDelimiter=" ... "'),
+        ts_rank(m.search_vector, search.query)
+    FROM chat_messages m
+    JOIN conversations c ON c.id = m.conversation_id
+    CROSS JOIN search
+    WHERE c.account_id = p_account_id
+      AND m.search_vector @@ search.query
+      AND (p_inbox_ids IS NULL OR c.inbox_id = ANY(p_inbox_ids))
+      AND (p_label_ids IS NULL OR EXISTS (
+          SELECT 1 FROM conversation_labels cl
+          WHERE cl.conversation_id = c.id AND cl.label_id::TEXT = ANY(p_label_ids)
+      ))
+      AND (p_agent_ids IS NULL OR c.assigned_agent_id = ANY(p_agent_ids) OR m.sender_agent_id = ANY(p_agent_ids))
+      AND (p_date_from IS NULL OR m.timestamp >= p_date_from)
+      AND (p_date_to IS NULL OR m.timestamp < p_date_to)
+      AND (p_direction IS NULL OR m.direction = p_direction)
+      AND (p_message_types IS NULL OR m.message_type = ANY(p_message_types))
+      AND (p_include_notes OR NOT COALESCE(m.is_private_note, false))
+      AND (p_cursor_timestamp IS NULL OR (m.timestamp, m.id) < (p_cursor_timestamp, p_cursor_id))
+    ORDER BY m.timestamp DESC, m.id DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- ============================================================================
+-- Function: search_conversations
+-- Conversations of the account whose contact name, phone or contact custom
+-- attributes match the query, most recent activity first. A query made of
+-- digits also matches any part of the phone number.
+-- ============================================================================
+CREATE OR REPLACE FUNCTION search_conversations(
+    p_account_id UUID,
+    p_query TEXT,
+    p_inbox_ids UUID[] DEFAULT NULL,
+    p_label_ids TEXT[] DEFAULT NULL,
+    p_agent_ids UUID[] DEFAULT NULL,
+    p_date_from TIMESTAMPTZ DEFAULT NULL,
+    p_date_to TIMESTAMPTZ DEFAULT NULL,
+    p_cursor_timestamp TIMESTAMPTZ DEFAULT NULL,
+    p_cursor_id UUID DEFAULT NULL,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE(
+    id UUID,
+    inbox_id UUID,
+    contact_jid TEXT,
+    contact_name TEXT,
+    status TEXT,
+    assigned_agent_id UUID,
+    last_message_at TIMESTAMPTZ,
+    activity_at TIMESTAMPTZ,
+    snippet TEXT,
+    rank REAL
+) AS $$
+    WITH search AS (
+        SELECT
+            websearch_to_tsquery('public.portuguese_unaccent'::regconfig, p_query) AS query,
+            CASE WHEN p_query ~ '^[0-9 ()+-]+$' THEN regexp_replace(p_query, '[^0-9]', '', 'g') END AS digits
+    )
+    SELECT
+        c.id,
+        c.inbox_id,
+        c.contact_jid::TEXT,
+        c.contact_name::TEXT,
+        c.status::TEXT,
+        c.assigned_agent_id,
+        c.last_message_at,
+        COALESCE(c.last_message_at, c.created_at),
+        ts_headline('public.portuguese_unaccent'::regconfig,
+            concat_ws(' | ', c.contact_name, split_part(c.contact_jid, '@', 1), ct.attributes), search.query,
+            'StartSel="{{{", StopSel="}}}", MaxWords=35, MinWords=12'),
+        ts_rank(c.search_vector || COALESCE(ct.search_vector, ''::tsvector), search.query)
+    FROM conversations c
+    CROSS JOIN search
+    LEFT JOIN LATERAL (
+        SELECT
+            contacts.search_vector,
+            (SELECT string_agg(value, ' | ') FROM jsonb_each_text(COALESCE(contacts.custom_fields, '{}'::jsonb))) AS attributes
+        FROM contacts
+        WHERE contacts.account_id = c.account_id
+          AND contacts.phone = split_part(c.contact_jid, '@', 1)
+        LIMIT 1
+    ) ct ON true
+    WHERE c.account_id = p_account_id
+      AND (
+          c.search_vector @@ search.query
+          OR ct.search_vector @@ search.query
+          OR (length(search.digits) >= 4 AND c.contact_jid LIKE '%' || search.digits || '%')
+      )
+      AND (p_inbox_ids IS NULL OR c.inbox_id = ANY(p_inbox_ids))
+      AND (p_label_ids IS NULL OR EXISTS (
+          SELECT 1 FROM conversation_labels cl
+          WHERE cl.conversation_id = c.id AND cl.label_id::TEXT = ANY(p_label_ids)
+      ))
+      AND (p_agent_ids IS NULL OR c.assigned_agent_id = ANY(p_agent_ids))
+      AND (p_date_from IS NULL OR COALESCE(c.last_message_at, c.created_at) >= p_date_from)
+      AND (p_date_to IS NULL OR COALESCE(c.last_message_at, c.created_at) < p_date_to)
+      AND (p_cursor_timestamp IS NULL
+          OR (COALESCE(c.last_message_at, c.created_at), c.id) < (p_cursor_timestamp, p_cursor_id))
+    ORDER BY COALESCE(c.last_message_at, c.created_at) DESC, c.id DESC
+    LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Add comments
+COMMENT ON COLUMN chat_messages.search_vector IS 'Full-text vector (portuguese_unaccent) of content and media file name';
+COMMENT ON COLUMN conversations.search_vector IS 'Full-text vector (portuguese_unaccent) of contact name and phone';
+COMMENT ON COLUMN contacts.search_vector IS 'Full-text vector (portuguese_unaccent) of name, phone and custom field values';
+COMMENT ON FUNCTION search_messages IS 'Account-wide message search with filters, highlighted snippet and keyset pagination';
+COMMENT ON FUNCTION search_conversations IS 'Account-wide conversation search by contact name, phone and custom attributes';
@@ -0,0 +1,23 @@
+-- Migration: 044_add_whatsapp_cloud_provider
+-- Description: Inboxes using the official WhatsApp Business Cloud API (provider_type 'whatsapp_cloud')
+--
+-- provider_config of a Cloud API inbox:
+-- {
+--   "phoneNumberId": "1234567890",
+--   "accessToken": "EAAG...",
+--   "appSecret": "...",          (checks X-Hub-Signature-256 of the webhooks)
+--   "verifyToken": "...",        (hub.verify_token of the webhook verification)
+--   "businessAccountId": "...",  (optional, webhook subscription)
+--   "apiVersion": "v21.0",       (optional)
+--   "baseUrl": "https://graph.facebook.com" (optional)
+-- }
+--
+-- wuzapi_token keeps a generated routing token for these inboxes (no WUZAPI user).
+
+-- A Cloud API phone number belongs to a single inbox
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inboxes_whatsapp_cloud_phone_number_id
+    ON inboxes ((provider_config->>'phoneNumberId'))
+    WHERE provider_type = 'whatsapp_cloud';
+
+COMMENT ON COLUMN inboxes.provider_type IS 'Tipo do provedor: wuzapi, whatsapp_cloud (API oficial), evolution, wattsmill';
+COMMENT ON COLUMN inboxes.provider_config IS 'Configurações específicas do provedor (token, instance, baseUrl; credenciais da API oficial para whatsapp_cloud)';
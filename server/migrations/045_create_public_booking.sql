@@ -0,0 +1,123 @@
+-- Migration: Public self-service booking pages for the CRM calendar
+-- Requirements: Public tenant-branded booking with WhatsApp code verification
+--
+-- Each account can publish one booking page, reached through the tenant
+-- subdomain at /api/public/booking/:slug. Contacts prove they own a phone
+-- number with a one-time code sent over WhatsApp by the page inbox.
+--
+-- Double-booking is prevented by an exclusion constraint on appointments
+-- (range overlap per account ignoring cancelled ones), so concurrent
+-- requests cannot both pass the read-then-write availability check.
+-- Existing overlapping appointments must be cancelled before applying it:
+-- the migration stops before changing anything and lists the conflicts.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+DO $$
+DECLARE
+    conflicts TEXT;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'appointments_no_overlap') THEN
+        SELECT string_agg(format('account %s: %s x %s', a.account_id, a.id, b.id), E'\n')
+        INTO conflicts
+        FROM appointments a
+        JOIN appointments b
+          ON b.account_id = a.account_id
+         AND b.id > a.id
+         AND tstzrange(b.start_time, b.end_time, '[)') && tstzrange(a.start_time, a.end_time, '[)')
+        WHERE a.status <> 'cancelled'
+          AND b.status <> 'cancelled';
+
+        IF conflicts IS NOT NULL THEN
+            RAISE EXCEPTION 'Overlapping appointments must be cancelled or rescheduled before adding appointments_no_overlap'
+                USING DETAIL = conflicts;
+        END IF;
+
+        ALTER TABLE appointments ADD CONSTRAINT appointments_no_overlap
+            EXCLUDE USING gist (
+                account_id WITH =,
+                tstzrange(start_time, end_time, '[)') WITH &&
+            ) WHERE (status <> 'cancelled');
+    END IF;
+END
+$$;
+
+-- Where the appointment was created
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'internal';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'appointments_valid_source') THEN
+        ALTER TABLE appointments ADD CONSTRAINT appointments_valid_source
+            CHECK (source IN ('internal', 'public_booking'));
+    END IF;
+END
+$$;
+
+CREATE TABLE IF NOT EXISTS booking_pages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE SET NULL,
+    slug VARCHAR(64) NOT NULL,
+    title VARCHAR(255),
+    description TEXT,
+    is_enabled BOOLEAN NOT NULL DEFAULT false,
+    slot_interval_minutes INTEGER NOT NULL DEFAULT 30 CHECK (slot_interval_minutes BETWEEN 5 AND 240),
+    min_notice_minutes INTEGER NOT NULL DEFAULT 120 CHECK (min_notice_minutes >= 0),
+    max_days_ahead INTEGER NOT NULL DEFAULT 30 CHECK (max_days_ahead BETWEEN 1 AND 365),
+    cancellation_notice_minutes INTEGER NOT NULL DEFAULT 240 CHECK (cancellation_notice_minutes >= 0),
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT booking_pages_valid_slug CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    UNIQUE(account_id),
+    UNIQUE(tenant_id, slug)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_pages_tenant_slug ON booking_pages(tenant_id, slug);
+
+-- One-time WhatsApp codes and the short-lived session they unlock
+CREATE TABLE IF NOT EXISTS booking_verifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    booking_page_id UUID NOT NULL REFERENCES booking_pages(id) ON DELETE CASCADE,
+    phone VARCHAR(20) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    verified_at TIMESTAMPTZ,
+    session_token_hash VARCHAR(64),
+    session_expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_verifications_page_phone
+    ON booking_verifications(booking_page_id, phone, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_verifications_session
+    ON booking_verifications(session_token_hash) WHERE session_token_hash IS NOT NULL;
+
+-- Enable RLS
+ALTER TABLE booking_pages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE booking_verifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY booking_pages_account_access ON booking_pages
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY booking_pages_tenant_isolation ON booking_pages
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+CREATE POLICY booking_verifications_account_access ON booking_verifications
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE booking_pages IS 'Public self-service booking page of an account, resolved by tenant subdomain and slug';
+COMMENT ON COLUMN booking_pages.inbox_id IS 'WhatsApp inbox that sends verification codes; its business hours define the bookable hours';
+COMMENT ON COLUMN booking_pages.min_notice_minutes IS 'Minimum time between booking and the appointment start';
+COMMENT ON COLUMN booking_pages.cancellation_notice_minutes IS 'Contacts cannot cancel or reschedule closer than this to the start';
+COMMENT ON TABLE booking_verifications IS 'One-time WhatsApp codes of the booking page; a verified code opens a short booking session';
+COMMENT ON COLUMN booking_verifications.code_hash IS 'SHA-256 of the code; the code itself is never stored';
+COMMENT ON COLUMN appointments.source IS 'Where the appointment was created: internal (CRM calendar) or public_booking';
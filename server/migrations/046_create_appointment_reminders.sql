@@ -0,0 +1,75 @@
+-- Migration: Automated WhatsApp reminders and confirmations for appointments
+-- Requirements: Appointment reminders per service type with confirmation replies
+--
+-- Reminder rules send a templated WhatsApp message a number of minutes
+-- before an appointment. Rules with a service_id apply to that service only;
+-- rules without one apply to services that have no rule of their own.
+-- When ask_confirmation is on, the contact replies 1 (confirmar),
+-- 2 (cancelar) or 3 (remarcar) and the appointment status follows.
+
+CREATE TABLE IF NOT EXISTS appointment_reminder_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    service_id UUID REFERENCES appointment_services(id) ON DELETE CASCADE,
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE SET NULL,
+    offset_minutes INTEGER NOT NULL CHECK (offset_minutes > 0 AND offset_minutes <= 43200),
+    message_template TEXT NOT NULL,
+    ask_confirmation BOOLEAN NOT NULL DEFAULT true,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminder_rules_account ON appointment_reminder_rules(account_id, service_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_reminder_rules_active ON appointment_reminder_rules(is_active) WHERE is_active = true;
+
+-- One row per (appointment, rule): the unique key keeps concurrent workers
+-- from sending the same reminder twice
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    rule_id UUID REFERENCES appointment_reminder_rules(id) ON DELETE SET NULL,
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE SET NULL,
+    contact_phone VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'sending',
+    error TEXT,
+    sent_at TIMESTAMPTZ,
+    awaiting_reply BOOLEAN NOT NULL DEFAULT false,
+    reply_action VARCHAR(20),
+    replied_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+
+    CONSTRAINT appointment_reminders_valid_status CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+    CONSTRAINT appointment_reminders_valid_reply CHECK (reply_action IS NULL OR reply_action IN ('confirm', 'cancel', 'reschedule')),
+    UNIQUE(appointment_id, rule_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_awaiting
+    ON appointment_reminders(account_id, contact_phone, sent_at DESC) WHERE awaiting_reply = true;
+
+-- Enable RLS
+ALTER TABLE appointment_reminder_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointment_reminders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY appointment_reminder_rules_account_access ON appointment_reminder_rules
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY appointment_reminder_rules_tenant_isolation ON appointment_reminder_rules
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+CREATE POLICY appointment_reminders_account_access ON appointment_reminders
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE appointment_reminder_rules IS 'WhatsApp reminder rules per service type (service_id NULL = default for services without rules)';
+COMMENT ON COLUMN appointment_reminder_rules.offset_minutes IS 'Minutes before the appointment start to send the reminder (1440 = 24h)';
+COMMENT ON COLUMN appointment_reminder_rules.message_template IS 'TemplateProcessor template: {{nome}}, {{servico}}, {{data}}, {{hora}}, {{titulo}}';
+COMMENT ON COLUMN appointment_reminder_rules.inbox_id IS 'Inbox that sends the reminder; NULL = first inbox of the account';
+COMMENT ON TABLE appointment_reminders IS 'Reminders sent (or skipped) per appointment and rule, with the contact reply';
+COMMENT ON COLUMN appointment_reminders.status IS 'sending (claimed by a worker), sent, failed, skipped (booked inside the reminder window)';
+COMMENT ON COLUMN appointment_reminders.reply_action IS 'Contact reply to the confirmation options: confirm, cancel or reschedule';
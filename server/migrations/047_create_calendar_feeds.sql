@@ -0,0 +1,86 @@
+-- Migration: iCalendar (ICS) feeds and busy time import for the CRM calendar
+-- Requirements: Secret ICS feed URLs per account and agent, ICS import of busy times
+--
+-- Feeds are served from /api/public/calendar/:token.ics and built from the
+-- appointments table on every request, so calendar apps subscribed to them
+-- pick up created, moved and cancelled appointments on their next refresh.
+-- Only a SHA-256 hash of the feed token is stored.
+--
+-- Imported calendars become blocked slots tagged with their import, and are
+-- replaced on every sync.
+
+-- Staff member responsible for the appointment (agent feeds)
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS agent_id UUID REFERENCES agents(id) ON DELETE SET NULL;
+
+-- Original start of a generated series occurrence, kept when it is moved
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS recurrence_start TIMESTAMPTZ;
+
+UPDATE appointments
+    SET recurrence_start = start_time
+    WHERE recurring_parent_id IS NOT NULL AND recurrence_start IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_agent_time ON appointments(agent_id, start_time) WHERE agent_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    agent_id UUID REFERENCES agents(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    last_accessed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- One feed per account and one per agent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_account ON calendar_feeds(account_id) WHERE agent_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_agent ON calendar_feeds(account_id, agent_id) WHERE agent_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS calendar_imports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    source_url TEXT,
+    slot_count INTEGER NOT NULL DEFAULT 0,
+    last_synced_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_imports_account ON calendar_imports(account_id);
+CREATE INDEX IF NOT EXISTS idx_calendar_imports_url_sync ON calendar_imports(last_synced_at) WHERE source_url IS NOT NULL;
+
+ALTER TABLE blocked_slots ADD COLUMN IF NOT EXISTS import_id UUID REFERENCES calendar_imports(id) ON DELETE CASCADE;
+ALTER TABLE blocked_slots ADD COLUMN IF NOT EXISTS external_uid VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_blocked_slots_import ON blocked_slots(import_id) WHERE import_id IS NOT NULL;
+
+-- Enable RLS
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE calendar_imports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY calendar_feeds_account_access ON calendar_feeds
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY calendar_feeds_tenant_isolation ON calendar_feeds
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+CREATE POLICY calendar_imports_account_access ON calendar_imports
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY calendar_imports_tenant_isolation ON calendar_imports
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Add comments
+COMMENT ON COLUMN appointments.agent_id IS 'Agent attending the appointment (shown in the agent calendar feed)';
+COMMENT ON COLUMN appointments.recurrence_start IS 'Original start of a recurring occurrence (RECURRENCE-ID in ICS feeds)';
+COMMENT ON TABLE calendar_feeds IS 'Secret ICS feed URLs (agent_id NULL = whole account)';
+COMMENT ON COLUMN calendar_feeds.token_hash IS 'SHA-256 of the feed token; the URL is only shown when the feed is created or rotated';
+COMMENT ON TABLE calendar_imports IS 'External calendars imported as busy times (uploaded file or subscribed URL)';
+COMMENT ON COLUMN calendar_imports.source_url IS 'HTTPS/webcal URL refreshed periodically; NULL = uploaded once';
+COMMENT ON COLUMN blocked_slots.import_id IS 'Calendar import that created the slot (replaced on every sync)';
+COMMENT ON COLUMN blocked_slots.external_uid IS 'UID of the imported ICS event';
@@ -0,0 +1,64 @@
+-- Migration: Recurring appointment series (RFC 5545 recurrence rules)
+-- Requirements: Daily, weekday, nth weekday and count/until recurrence with exceptions
+--
+-- A series stores its rule (RRULE), first start (DTSTART), wall-clock
+-- timezone and excluded occurrences (EXDATE). Occurrences are expanded on
+-- the fly; an occurrence becomes an appointments row (series_id plus
+-- recurrence_start, its RECURRENCE-ID) only once it is edited, has its
+-- status changed or gets a reminder. Rows always win over the rule.
+--
+-- Series created before this migration keep their generated rows
+-- (recurring_parent_id / recurring_pattern).
+
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+    service_id UUID REFERENCES appointment_services(id) ON DELETE SET NULL,
+    agent_id UUID REFERENCES agents(id) ON DELETE SET NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    notes TEXT,
+    price_cents INTEGER NOT NULL DEFAULT 0,
+    pattern JSONB NOT NULL,
+    rrule TEXT NOT NULL,
+    timezone VARCHAR(64) NOT NULL,
+    starts_at TIMESTAMPTZ NOT NULL,
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    exdates TIMESTAMPTZ[] NOT NULL DEFAULT '{}',
+    last_occurrence_end TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_series_account_range
+    ON appointment_series(account_id, starts_at, last_occurrence_end);
+CREATE INDEX IF NOT EXISTS idx_appointment_series_contact ON appointment_series(contact_id);
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES appointment_series(id) ON DELETE CASCADE;
+
+-- One row per occurrence (concurrent materialization keeps the first row)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_series_occurrence
+    ON appointments(series_id, recurrence_start) WHERE series_id IS NOT NULL;
+
+-- Enable RLS
+ALTER TABLE appointment_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY appointment_series_account_access ON appointment_series
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY appointment_series_tenant_isolation ON appointment_series
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE appointment_series IS 'Recurring appointments expanded from an RFC 5545 rule';
+COMMENT ON COLUMN appointment_series.pattern IS 'Pattern the rule was built from: {type, interval, daysOfWeek, weekOfMonth, count, endDate}';
+COMMENT ON COLUMN appointment_series.rrule IS 'RRULE value, e.g. FREQ=MONTHLY;BYDAY=2TU;COUNT=6';
+COMMENT ON COLUMN appointment_series.timezone IS 'IANA timezone whose wall clock the rule follows';
+COMMENT ON COLUMN appointment_series.starts_at IS 'Start of the first occurrence (DTSTART)';
+COMMENT ON COLUMN appointment_series.exdates IS 'Original starts of removed occurrences (EXDATE)';
+COMMENT ON COLUMN appointment_series.last_occurrence_end IS 'End of the last occurrence; NULL = series without end';
+COMMENT ON COLUMN appointments.series_id IS 'Series of a materialized occurrence (recurrence_start = original start)';
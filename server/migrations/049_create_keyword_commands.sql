@@ -0,0 +1,56 @@
+-- Migration: Inbound WhatsApp keyword commands
+-- Requirements: Account keyword command registry for contact self-service
+--
+-- Contact messages are matched (accents and case ignored) against the
+-- active commands of the account before bot forwarding. The first match,
+-- by priority, runs its action and answers from the inbox the contact
+-- wrote to. The built-in opt-out keywords of CommunicationPreferenceService
+-- keep working alongside the account commands.
+
+CREATE TABLE IF NOT EXISTS keyword_commands (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    inbox_id UUID REFERENCES inboxes(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    match_type VARCHAR(20) NOT NULL DEFAULT 'exact'
+        CHECK (match_type IN ('exact', 'regex')),
+    keywords TEXT[] NOT NULL DEFAULT '{}',
+    pattern TEXT,
+    action VARCHAR(30) NOT NULL
+        CHECK (action IN ('opt_out', 'opt_in', 'canned_response', 'join_group', 'add_tag', 'credit_balance', 'upcoming_appointments')),
+    response_template TEXT,
+    group_id UUID REFERENCES contact_groups(id) ON DELETE CASCADE,
+    tag_id UUID REFERENCES contact_tags(id) ON DELETE CASCADE,
+    priority INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    CHECK ((match_type = 'exact' AND cardinality(keywords) > 0) OR (match_type = 'regex' AND pattern IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_keyword_commands_account_priority
+    ON keyword_commands(account_id, priority) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_keyword_commands_tenant ON keyword_commands(tenant_id);
+
+-- Enable RLS
+ALTER TABLE keyword_commands ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY keyword_commands_account_access ON keyword_commands
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY keyword_commands_tenant_isolation ON keyword_commands
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE keyword_commands IS 'Keywords contacts can send on WhatsApp to run a self-service action';
+COMMENT ON COLUMN keyword_commands.inbox_id IS 'Inbox the command answers on; NULL = every inbox of the account';
+COMMENT ON COLUMN keyword_commands.keywords IS 'Exact keywords, stored lowercase without accents and compared with the whole message';
+COMMENT ON COLUMN keyword_commands.pattern IS 'Regular expression (case-insensitive) tested against the message without accents';
+COMMENT ON COLUMN keyword_commands.response_template IS 'Reply text; variables {{nome}}, {{saldo}} and {{agendamentos}}. NULL = default reply of the action';
+COMMENT ON COLUMN keyword_commands.priority IS 'Evaluation order (lowest first); inbox commands win ties over account-wide ones';
+COMMENT ON COLUMN keyword_commands.hit_count IS 'Messages that ran the command';
@@ -0,0 +1,76 @@
+-- Migration: LGPD consent ledger and double opt-in
+-- Requirements: Double opt-in and consent ledger compliant with LGPD
+--
+-- Every consent change of a contact is appended to contact_consents with
+-- its source, evidence, legal basis (LGPD art. 7) and purpose. Rows are
+-- never updated or deleted; the current consent per purpose is cached on
+-- contacts (bulk_messaging_opt_in = marketing, transactional_opt_in =
+-- transactional). A 'pending' row is a double opt-in confirmation sent to
+-- the contact; consent is granted only by the row written from the reply.
+--
+-- The ledger outlives the contact (contact_id is cleared, contact_phone
+-- keeps the proof of consent).
+
+CREATE TABLE IF NOT EXISTS contact_consents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    contact_phone VARCHAR(50),
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('marketing', 'transactional')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('granted', 'revoked', 'pending')),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('import', 'keyword', 'form', 'api', 'agent')),
+    legal_basis VARCHAR(30) NOT NULL
+        CHECK (legal_basis IN ('consent', 'contract', 'legal_obligation', 'legitimate_interest')),
+    evidence JSONB NOT NULL DEFAULT '{}'::jsonb,
+    confirms_id UUID REFERENCES contact_consents(id),
+    actor_id UUID,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_consents_contact
+    ON contact_consents(contact_id, purpose, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_contact_consents_account ON contact_consents(account_id, created_at DESC);
+
+-- Append-only: only the contact link may be cleared (contact deleted)
+CREATE OR REPLACE FUNCTION prevent_contact_consent_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND NEW.contact_id IS NULL
+        AND (to_jsonb(NEW) - 'contact_id') = (to_jsonb(OLD) - 'contact_id') THEN
+        RETURN NEW;
+    END IF;
+    RAISE EXCEPTION 'contact_consents is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS contact_consents_append_only ON contact_consents;
+CREATE TRIGGER contact_consents_append_only
+    BEFORE UPDATE OR DELETE ON contact_consents
+    FOR EACH ROW EXECUTE FUNCTION prevent_contact_consent_changes();
+
+-- Current consent for transactional messages (marketing stays in bulk_messaging_opt_in)
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS transactional_opt_in BOOLEAN NOT NULL DEFAULT true;
+
+-- Enable RLS
+ALTER TABLE contact_consents ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY contact_consents_account_access ON contact_consents
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY contact_consents_tenant_isolation ON contact_consents
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE contact_consents IS 'Immutable LGPD consent ledger: one row per consent change of a contact';
+COMMENT ON COLUMN contact_consents.purpose IS 'marketing (campaigns, sequences) or transactional (reminders, service messages)';
+COMMENT ON COLUMN contact_consents.status IS 'granted | revoked | pending (double opt-in confirmation awaiting the reply)';
+COMMENT ON COLUMN contact_consents.source IS 'Where the change came from: import, keyword, form, api or agent';
+COMMENT ON COLUMN contact_consents.legal_basis IS 'LGPD art. 7 legal basis of the processing';
+COMMENT ON COLUMN contact_consents.evidence IS 'Proof of the change: message id and text, IP, user agent, form payload';
+COMMENT ON COLUMN contact_consents.confirms_id IS 'Pending double opt-in row answered by this row';
+COMMENT ON COLUMN contact_consents.actor_id IS 'User who recorded the change (agent and API sources)';
+COMMENT ON COLUMN contacts.transactional_opt_in IS 'Current transactional consent (see contact_consents)';
@@ -0,0 +1,74 @@
+-- Migration: LGPD data subject requests (access/export and erasure)
+-- Requirements: LGPD data subject requests: export and erase everything about a contact
+--
+-- A request targets a contact (or a phone number without a contact) of an
+-- account. Export requests produce a machine-readable copy of every record
+-- about the subject (rebuilt on download, never stored); erase requests delete or anonymize those records and
+-- their stored media. Every status change is appended to
+-- data_subject_request_events.
+--
+-- Once an erase request completes its subject_phone is cleared; the
+-- subject_hash still lets the account prove which number was erased.
+
+CREATE TABLE IF NOT EXISTS data_subject_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('export', 'erase')),
+    erase_mode VARCHAR(20) CHECK (erase_mode IN ('delete', 'anonymize')),
+    status VARCHAR(20) NOT NULL DEFAULT 'received'
+        CHECK (status IN ('received', 'processing', 'completed', 'failed')),
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    subject_phone VARCHAR(50),
+    subject_hash VARCHAR(64) NOT NULL,
+    reason TEXT,
+    requested_by UUID,
+    result JSONB NOT NULL DEFAULT '{}'::jsonb,
+    error TEXT,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    CHECK ((type = 'erase') = (erase_mode IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_account
+    ON data_subject_requests(account_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_data_subject_requests_subject
+    ON data_subject_requests(account_id, subject_hash);
+
+CREATE TABLE IF NOT EXISTS data_subject_request_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    request_id UUID NOT NULL REFERENCES data_subject_requests(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL,
+    message TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    actor_id UUID,
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_subject_request_events_request
+    ON data_subject_request_events(request_id, created_at);
+
+-- Enable RLS
+ALTER TABLE data_subject_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE data_subject_request_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY data_subject_requests_account_access ON data_subject_requests
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY data_subject_requests_tenant_isolation ON data_subject_requests
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+CREATE POLICY data_subject_request_events_account_access ON data_subject_request_events
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE data_subject_requests IS 'LGPD data subject requests (art. 18): export or erase everything about a contact';
+COMMENT ON COLUMN data_subject_requests.erase_mode IS 'delete = remove every record; anonymize = keep financial and campaign records without personal data';
+COMMENT ON COLUMN data_subject_requests.subject_hash IS 'SHA-256 of account id and normalized phone (kept after erasure)';
+COMMENT ON COLUMN data_subject_requests.result IS 'Records found (export) or erased/anonymized (erase) per data source, media files removed';
+COMMENT ON TABLE data_subject_request_events IS 'Append-only status trail of data subject requests';
@@ -0,0 +1,78 @@
+-- Migration: Configurable data retention policies per tenant
+-- Requirements: Configurable data retention policies per tenant
+--
+-- A policy keeps one type of data for retention_days. Tenant policies
+-- (account_id NULL) apply to every account of the tenant; an account policy
+-- replaces the tenant policy of the same data type. The plan of the account
+-- may cap retention further (tenant_plans.quotas.max_retention_days_*).
+--
+-- Policies are enforced by the scheduled retention job. A dry_run policy is
+-- only reported in retention_runs, nothing is deleted. Conversations under
+-- legal hold keep their messages and media regardless of any policy.
+
+CREATE TABLE IF NOT EXISTS retention_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    data_type VARCHAR(30) NOT NULL
+        CHECK (data_type IN ('media', 'messages', 'webhook_deliveries', 'campaign_error_logs', 'audit_logs')),
+    retention_days INTEGER NOT NULL CHECK (retention_days > 0),
+    dry_run BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_policies_tenant_type
+    ON retention_policies(tenant_id, data_type) WHERE account_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_policies_account_type
+    ON retention_policies(account_id, data_type) WHERE account_id IS NOT NULL;
+
+-- One row per account and run of the retention job (or preview)
+CREATE TABLE IF NOT EXISTS retention_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    trigger VARCHAR(20) NOT NULL DEFAULT 'schedule' CHECK (trigger IN ('schedule', 'preview')),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('completed', 'failed')),
+    report JSONB NOT NULL DEFAULT '{}'::jsonb,
+    error TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_account ON retention_runs(account_id, started_at DESC);
+
+-- Legal hold: exempts a conversation from retention
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS legal_hold BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS legal_hold_reason TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS legal_hold_at TIMESTAMPTZ;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS legal_hold_by UUID;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_legal_hold
+    ON conversations(account_id) WHERE legal_hold = true;
+
+-- Enable RLS
+ALTER TABLE retention_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retention_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY retention_policies_tenant_isolation ON retention_policies
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+CREATE POLICY retention_runs_account_access ON retention_runs
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY retention_runs_tenant_isolation ON retention_runs
+    FOR ALL
+    USING (tenant_id = current_setting('app.tenant_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE retention_policies IS 'Data retention per tenant (account_id NULL) or account';
+COMMENT ON COLUMN retention_policies.data_type IS 'media | messages | webhook_deliveries | campaign_error_logs | audit_logs';
+COMMENT ON COLUMN retention_policies.dry_run IS 'Report what would be deleted without deleting';
+COMMENT ON TABLE retention_runs IS 'What the retention job deleted (or would delete) per account';
+COMMENT ON COLUMN retention_runs.report IS 'Per data type: retention days, source (account, tenant, plan), cutoff, dry run and record count';
+COMMENT ON COLUMN conversations.legal_hold IS 'Conversation exempt from retention policies (litigation, investigation)';
@@ -0,0 +1,58 @@
+-- Migration: Outgoing webhook delivery queue with retries, dead-letter and replay
+-- Requirements: Outgoing webhook delivery queue with retries, dead-letter and replay
+--
+-- Outgoing (outgoing_webhooks) and external (chat_external_webhooks) webhook
+-- deliveries are queued and retried with exponential backoff. A delivery that
+-- exhausts its attempts, is rejected by the endpoint (4xx) or targets a
+-- disabled endpoint is kept in webhook_dead_letters until it is replayed.
+--
+-- Endpoints are disabled automatically after consecutive failed deliveries;
+-- the owner is notified and re-enables the endpoint when it is fixed.
+
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('outgoing', 'external')),
+    -- outgoing_webhooks.id or chat_external_webhooks.id
+    webhook_id TEXT NOT NULL,
+    -- outgoing_webhooks.user_id or chat_external_webhooks.account_id
+    owner_id TEXT NOT NULL,
+    delivery_id UUID NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    url TEXT,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('exhausted', 'rejected', 'endpoint_disabled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    last_error TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'replayed')),
+    replay_count INTEGER NOT NULL DEFAULT 0,
+    last_replayed_at TIMESTAMPTZ,
+    failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_dead_letters_delivery
+    ON webhook_dead_letters(source, delivery_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_owner
+    ON webhook_dead_letters(source, owner_id, status, failed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_webhook
+    ON webhook_dead_letters(source, webhook_id);
+
+-- Automatic disabling after sustained failure
+ALTER TABLE outgoing_webhooks ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE outgoing_webhooks ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+ALTER TABLE outgoing_webhooks ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
+
+ALTER TABLE chat_external_webhooks ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+ALTER TABLE chat_external_webhooks ADD COLUMN IF NOT EXISTS disabled_reason TEXT;
+
+-- Enable RLS (accessed only through the API with the service role)
+ALTER TABLE webhook_dead_letters ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE webhook_dead_letters IS 'Webhook deliveries that failed for good, kept for inspection and replay';
+COMMENT ON COLUMN webhook_dead_letters.reason IS 'exhausted (retries used up) | rejected (4xx response) | endpoint_disabled';
+COMMENT ON COLUMN webhook_dead_letters.delivery_id IS 'Delivery id sent in the webhook headers, kept on replay so receivers can deduplicate';
+COMMENT ON COLUMN outgoing_webhooks.consecutive_failures IS 'Failed deliveries in a row; the webhook is disabled at the configured threshold';
+COMMENT ON COLUMN outgoing_webhooks.disabled_reason IS 'Why the webhook was disabled automatically';
+COMMENT ON COLUMN chat_external_webhooks.disabled_reason IS 'Why the webhook was disabled automatically';
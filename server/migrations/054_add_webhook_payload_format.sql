@@ -0,0 +1,18 @@
+-- Migration: Domain event bus for webhooks, websocket and automations
+-- Requirements: Unify OutgoingWebhookService and ExternalWebhookService into one event bus
+--
+-- Outgoing (outgoing_webhooks) and external (chat_external_webhooks) webhooks
+-- consume the internal domain event bus (services/DomainEventBus.js).
+-- Existing webhooks keep the payload they received before the bus ('legacy');
+-- a webhook switched to 'domain_event' receives the versioned event envelope
+-- documented in docs/api/DOMAIN_EVENTS.md.
+
+ALTER TABLE outgoing_webhooks ADD COLUMN IF NOT EXISTS payload_format VARCHAR(20) NOT NULL DEFAULT 'legacy'
+    CHECK (payload_format IN ('legacy', 'domain_event'));
+
+ALTER TABLE chat_external_webhooks ADD COLUMN IF NOT EXISTS payload_format VARCHAR(20) NOT NULL DEFAULT 'legacy'
+    CHECK (payload_format IN ('legacy', 'domain_event'));
+
+-- Add comments
+COMMENT ON COLUMN outgoing_webhooks.payload_format IS 'legacy (WUZAPI-compatible or {id, event, timestamp, data}) | domain_event (event bus envelope)';
+COMMENT ON COLUMN chat_external_webhooks.payload_format IS 'legacy ({id, event, timestamp, data}) | domain_event (event bus envelope)';
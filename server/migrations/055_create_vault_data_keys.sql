@@ -0,0 +1,40 @@
+-- Migration: Encrypted credential vault
+-- Requirements: Envelope encryption for every stored secret with key rotation
+--
+-- Secrets (database_connections.password/nocodb_token/supabase_key,
+-- tenant_settings wuzapi.adminToken, global_settings Stripe keys and WUZAPI
+-- admin token, agent_bots.access_token) are encrypted by
+-- services/CredentialVaultService.js with a per-tenant data key. Data keys
+-- are stored here wrapped by the master key from CREDENTIAL_VAULT_MASTER_KEY.
+--
+-- Existing rows are re-encrypted by the application (SQL has no access to the
+-- master key): run `node scripts/reencrypt-secrets.js` after this migration.
+
+CREATE TABLE IF NOT EXISTS vault_data_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL DEFAULT 1,
+    wrapped_key TEXT NOT NULL,
+    master_key_id VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    rotated_at TIMESTAMPTZ
+);
+
+-- One active data key per tenant (NULL tenant = platform secrets)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vault_data_keys_active_scope
+    ON vault_data_keys ((COALESCE(tenant_id::text, 'platform')))
+    WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_vault_data_keys_tenant ON vault_data_keys(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_vault_data_keys_master_key ON vault_data_keys(master_key_id);
+
+-- Key material is only read by the backend (service role)
+ALTER TABLE vault_data_keys ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE vault_data_keys IS 'Per-tenant data keys of the credential vault, wrapped by the master key';
+COMMENT ON COLUMN vault_data_keys.tenant_id IS 'Tenant owning the key; NULL for platform secrets (global_settings)';
+COMMENT ON COLUMN vault_data_keys.wrapped_key IS 'Data key encrypted with the master key (AES-256-GCM, iv:authTag:ciphertext base64)';
+COMMENT ON COLUMN vault_data_keys.master_key_id IS 'Master key that wraps this data key (CREDENTIAL_VAULT_MASTER_KEY_ID)';
+COMMENT ON COLUMN vault_data_keys.status IS 'active (encrypts new secrets) | retired (only decrypts until re-encryption)';
@@ -0,0 +1,105 @@
+-- Migration: Two-way sync between CRM contacts and external tables
+-- Requirements: Two-way sync between CRM contacts and external NocoDB/Supabase/SQL tables
+--
+-- A sync job links one database connection of the account to its contacts.
+-- column_mapping maps external columns to contact fields ('phone', 'name',
+-- 'avatarUrl', 'whatsappJid') or custom fields ('custom:<name>'); the phone
+-- column matches rows to contacts. Runs are executed by the import queue
+-- (BullMQ) and, with updated_at_column set, only read rows changed since the
+-- last successful run.
+--
+-- conflict_policy decides when both sides changed since the last run:
+-- crm_wins | external_wins | newest_wins.
+
+CREATE TABLE IF NOT EXISTS crm_sync_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    connection_id UUID NOT NULL REFERENCES database_connections(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    direction VARCHAR(20) NOT NULL DEFAULT 'import'
+        CHECK (direction IN ('import', 'export', 'bidirectional')),
+    column_mapping JSONB NOT NULL DEFAULT '[]'::jsonb,
+    key_column VARCHAR(255),
+    updated_at_column VARCHAR(255),
+    conflict_policy VARCHAR(20) NOT NULL DEFAULT 'newest_wins'
+        CHECK (conflict_policy IN ('crm_wins', 'external_wins', 'newest_wins')),
+    interval_minutes INTEGER CHECK (interval_minutes IS NULL OR interval_minutes >= 5),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_synced_at TIMESTAMPTZ,
+    last_run_at TIMESTAMPTZ,
+    last_run_status VARCHAR(30),
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crm_sync_jobs_account ON crm_sync_jobs(account_id);
+CREATE INDEX IF NOT EXISTS idx_crm_sync_jobs_connection ON crm_sync_jobs(connection_id);
+CREATE INDEX IF NOT EXISTS idx_crm_sync_jobs_scheduled
+    ON crm_sync_jobs(last_run_at) WHERE is_active = true AND interval_minutes IS NOT NULL;
+
+-- One row per execution of a sync job
+CREATE TABLE IF NOT EXISTS crm_sync_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID NOT NULL REFERENCES crm_sync_jobs(id) ON DELETE CASCADE,
+    tenant_id UUID NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    trigger VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (trigger IN ('manual', 'schedule')),
+    full_sync BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(30) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'completed_with_errors', 'failed')),
+    stats JSONB NOT NULL DEFAULT '{}'::jsonb,
+    error TEXT,
+    synced_since TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_crm_sync_runs_job ON crm_sync_runs(job_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_crm_sync_runs_active
+    ON crm_sync_runs(job_id) WHERE status IN ('queued', 'running');
+
+-- Row-level errors of a run (capped per run)
+CREATE TABLE IF NOT EXISTS crm_sync_run_errors (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    run_id UUID NOT NULL REFERENCES crm_sync_runs(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    phase VARCHAR(10) NOT NULL CHECK (phase IN ('import', 'export')),
+    row_key TEXT,
+    contact_id UUID,
+    error TEXT NOT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crm_sync_run_errors_run ON crm_sync_run_errors(run_id);
+
+-- Enable RLS
+ALTER TABLE crm_sync_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE crm_sync_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE crm_sync_run_errors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY crm_sync_jobs_account_access ON crm_sync_jobs
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY crm_sync_runs_account_access ON crm_sync_runs
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY crm_sync_run_errors_account_access ON crm_sync_run_errors
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE crm_sync_jobs IS 'Sync between the contacts of an account and an external table (database connection)';
+COMMENT ON COLUMN crm_sync_jobs.column_mapping IS 'Array of { column, field }: field is phone | name | avatarUrl | whatsappJid | custom:<custom field name>';
+COMMENT ON COLUMN crm_sync_jobs.key_column IS 'Primary key column of the external table (default: Id for NocoDB, id otherwise)';
+COMMENT ON COLUMN crm_sync_jobs.updated_at_column IS 'External column with the last update time, enables incremental sync';
+COMMENT ON COLUMN crm_sync_jobs.interval_minutes IS 'Run automatically every N minutes; NULL = manual runs only';
+COMMENT ON COLUMN crm_sync_jobs.last_synced_at IS 'Start of the last successful run; the next run reads changes after it';
+COMMENT ON TABLE crm_sync_runs IS 'Executions of sync jobs with per-phase counters';
+COMMENT ON COLUMN crm_sync_runs.stats IS 'Per phase (import, export): read, created, updated, unchanged, skipped, conflicts, failed';
+COMMENT ON TABLE crm_sync_run_errors IS 'Rows and contacts a sync run could not sync';
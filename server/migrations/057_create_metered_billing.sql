@@ -0,0 +1,94 @@
+-- Migration: Usage-based (metered) billing for messages and bot tokens
+-- Requirements: Stripe usage-based billing for messages and bot tokens
+--
+-- A plan may declare, per metric, an included allowance and an overage price
+-- (plans.metered_billing). Sent messages and consumed bot tokens are recorded
+-- in usage_metrics; the scheduled metered usage job sums them per Stripe
+-- billing period and reports the billable overage units to a Stripe billing
+-- meter. One metered_usage_reports row per subscription, metric and period
+-- keeps what was reported and, after invoice.paid, what was invoiced.
+
+-- Metered billing configuration of the plan, per metric:
+-- { "messages": { "enabled", "included_units", "unit_size", "unit_amount_cents",
+--                 "stripe_price_id", "stripe_meter_id" },
+--   "bot_tokens": { ... } }
+ALTER TABLE plans ADD COLUMN IF NOT EXISTS metered_billing JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Usage events (UsageTrackingService.trackUsage)
+CREATE TABLE IF NOT EXISTS usage_metrics (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id TEXT NOT NULL,
+    metric_type VARCHAR(50) NOT NULL,
+    amount NUMERIC NOT NULL DEFAULT 1,
+    metadata JSONB DEFAULT '{}'::jsonb,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_metrics_user_metric_recorded
+    ON usage_metrics(user_id, metric_type, recorded_at);
+
+-- Total usage of a metric in [p_from, p_to)
+CREATE OR REPLACE FUNCTION sum_usage_metrics(
+    p_user_id TEXT,
+    p_metric_type TEXT,
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ
+) RETURNS NUMERIC AS $$
+    SELECT COALESCE(SUM(amount), 0)
+    FROM usage_metrics
+    WHERE user_id = p_user_id
+      AND metric_type = p_metric_type
+      AND recorded_at >= p_from
+      AND recorded_at < p_to;
+$$ LANGUAGE sql STABLE;
+
+-- Usage reported to Stripe per subscription, metric and billing period
+CREATE TABLE IF NOT EXISTS metered_usage_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    stripe_customer_id VARCHAR(255) NOT NULL,
+    stripe_subscription_id VARCHAR(255) NOT NULL,
+    stripe_meter_id VARCHAR(255) NOT NULL,
+    metric VARCHAR(30) NOT NULL CHECK (metric IN ('messages', 'bot_tokens')),
+    period_start TIMESTAMPTZ NOT NULL,
+    period_end TIMESTAMPTZ NOT NULL,
+    -- Plan terms when the period was opened
+    included_units BIGINT NOT NULL DEFAULT 0,
+    unit_size INTEGER NOT NULL DEFAULT 1,
+    unit_amount_cents INTEGER NOT NULL DEFAULT 0,
+    -- Raw usage, billable overage units and units already sent to the meter
+    usage_quantity NUMERIC NOT NULL DEFAULT 0,
+    billable_units BIGINT NOT NULL DEFAULT 0,
+    reported_units BIGINT NOT NULL DEFAULT 0,
+    last_reported_at TIMESTAMPTZ,
+    -- open: period in progress, closed: final report sent,
+    -- reconciled / mismatch: compared with the paid invoice
+    status VARCHAR(20) NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'closed', 'reconciled', 'mismatch')),
+    stripe_invoice_id VARCHAR(255),
+    invoiced_units BIGINT,
+    invoiced_amount_cents INTEGER,
+    reconciled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now(),
+    UNIQUE (stripe_subscription_id, metric, period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_metered_usage_reports_account
+    ON metered_usage_reports(account_id, period_start DESC);
+CREATE INDEX IF NOT EXISTS idx_metered_usage_reports_open
+    ON metered_usage_reports(period_end) WHERE status = 'open';
+
+-- Enable RLS
+ALTER TABLE metered_usage_reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY metered_usage_reports_account_access ON metered_usage_reports
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON COLUMN plans.metered_billing IS 'Per metric (messages, bot_tokens): included units, unit size, overage price and Stripe price/meter ids';
+COMMENT ON TABLE metered_usage_reports IS 'Overage units reported to Stripe billing meters per subscription, metric and period';
+COMMENT ON COLUMN metered_usage_reports.billable_units IS 'ceil(max(0, usage_quantity - included_units) / unit_size)';
+COMMENT ON COLUMN metered_usage_reports.invoiced_units IS 'Quantity of the metered line of the paid invoice';
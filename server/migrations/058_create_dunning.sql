@@ -0,0 +1,79 @@
+-- Migration: Dunning of failed subscription payments
+-- Requirements: Dunning workflow for failed subscription payments
+--
+-- A failed invoice opens one dunning case per subscription. The scheduled
+-- dunning job moves it through the tenant timings (TenantSettingsService):
+-- grace (full access, reminders) -> restricted (read-only) -> suspended.
+-- invoice.paid closes the case as recovered and restores the account.
+
+CREATE TABLE IF NOT EXISTS dunning_cases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    subscription_id UUID NOT NULL REFERENCES user_subscriptions(id) ON DELETE CASCADE,
+    stripe_subscription_id VARCHAR(255),
+    stripe_invoice_id VARCHAR(255),
+    -- grace / restricted / suspended: open; recovered / cancelled: closed
+    stage VARCHAR(20) NOT NULL DEFAULT 'grace'
+        CHECK (stage IN ('grace', 'restricted', 'suspended', 'recovered', 'cancelled')),
+    amount_due_cents INTEGER NOT NULL DEFAULT 0,
+    currency VARCHAR(3) NOT NULL DEFAULT 'BRL',
+    failure_count INTEGER NOT NULL DEFAULT 1,
+    failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    last_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    restricted_at TIMESTAMPTZ,
+    suspended_at TIMESTAMPTZ,
+    -- The account was active and suspended by dunning (restored on recovery)
+    account_suspended BOOLEAN NOT NULL DEFAULT false,
+    resolved_at TIMESTAMPTZ,
+    resolution VARCHAR(20) CHECK (resolution IN ('paid', 'cancelled')),
+    created_at TIMESTAMPTZ DEFAULT now(),
+    updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- One open case per subscription
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dunning_cases_open_subscription
+    ON dunning_cases(subscription_id) WHERE resolved_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_account
+    ON dunning_cases(account_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_stage
+    ON dunning_cases(stage, failed_at) WHERE resolved_at IS NULL;
+
+-- Notifications of a case; the row is inserted before sending so a
+-- notification is never sent twice by overlapping job runs
+CREATE TABLE IF NOT EXISTS dunning_notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    case_id UUID NOT NULL REFERENCES dunning_cases(id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    -- payment_failed, reminder:<day>, restricted, suspended, restored
+    notification_key VARCHAR(50) NOT NULL,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('email', 'whatsapp')),
+    recipient VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'sending'
+        CHECK (status IN ('sending', 'sent', 'failed', 'skipped')),
+    error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    UNIQUE (case_id, notification_key, channel)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_notifications_case
+    ON dunning_notifications(case_id, created_at);
+
+-- Enable RLS
+ALTER TABLE dunning_cases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dunning_notifications ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY dunning_cases_account_access ON dunning_cases
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+CREATE POLICY dunning_notifications_account_access ON dunning_notifications
+    FOR ALL
+    USING (account_id = current_setting('app.account_id', true)::uuid);
+
+-- Add comments
+COMMENT ON TABLE dunning_cases IS 'Failed subscription payments moving through grace, read-only and suspension until paid';
+COMMENT ON COLUMN dunning_cases.stage IS 'grace: full access; restricted: read-only; suspended: subscription and account suspended';
+COMMENT ON COLUMN dunning_cases.account_suspended IS 'Account status was set to suspended by dunning and is restored on recovery';
+COMMENT ON TABLE dunning_notifications IS 'Dunning emails and WhatsApp messages, one per case, notification and channel';
@@ -2,7 +2,11 @@
  * Import Queue Module
  * 
  * Task 10.5: Queue for processing contact imports
- * Handles CSV/Excel file imports with validation and batch processing
+ * Handles CSV/Excel file imports with validation and batch processing,
+ * and the runs of CRM sync jobs with external tables (CrmSyncService)
+ * 
+ * Without BullMQ the dispatcher of scheduled CRM sync jobs runs in this
+ * process on a fixed interval instead.
  */
 
 const { getQueue, addJob, QUEUE_NAMES } = require('./index');
@@ -16,6 +20,8 @@ const IMPORT_JOB_TYPES = {
   VALIDATE_CONTACTS: 'validate-contacts',
   INSERT_BATCH: 'insert-batch',
   FINALIZE_IMPORT: 'finalize-import',
+  CRM_SYNC: 'crm-sync',
+  CRM_SYNC_DISPATCH: 'crm-sync-dispatch',
 };
 
 /**
@@ -27,6 +33,21 @@ const IMPORT_PRIORITIES = {
   LOW: 10,
 };
 
+/**
+ * Cron pattern of the dispatcher of scheduled CRM sync jobs (default: every 5 minutes)
+ */
+const CRM_SYNC_DISPATCH_SCHEDULE = process.env.CRM_SYNC_DISPATCH_CRON || '*/5 * * * *';
+
+/**
+ * Interval of the dispatcher when BullMQ is unavailable and it runs in-process
+ */
+const CRM_SYNC_DISPATCH_INLINE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Timer of the dispatcher running in-process
+ */
+let inlineDispatchTimer = null;
+
 /**
  * Get the import queue instance
  * 
@@ -163,6 +184,108 @@ async function addFinalizeImportJob(finalizeData, options = {}) {
   );
 }
 
+/**
+ * Add a CRM sync run job
+ * 
+ * @param {Object} syncData - Sync data
+ * @param {string} syncData.runId - Sync run ID (crm_sync_runs)
+ * @param {string} syncData.jobId - Sync job ID (crm_sync_jobs)
+ * @param {string} syncData.accountId - Account ID
+ * @param {Object} options - Job options
+ * @returns {Promise<Job|null>} Job instance, null when the queue is unavailable
+ */
+async function addCrmSyncJob(syncData, options = {}) {
+  if (!getImportQueue()) {
+    return null;
+  }
+
+  const { runId, jobId, accountId } = syncData;
+
+  logger.info('Adding CRM sync job to queue', { runId, jobId, accountId });
+
+  return addJob(
+    QUEUE_NAMES.IMPORT,
+    IMPORT_JOB_TYPES.CRM_SYNC,
+    syncData,
+    {
+      priority: IMPORT_PRIORITIES.NORMAL,
+      jobId: `crm-sync-${runId}`,
+      attempts: 1,
+      ...options,
+    }
+  );
+}
+
+/**
+ * Run the dispatcher of scheduled CRM sync jobs in this process
+ * 
+ * Fallback for deployments without BullMQ. A dispatch is skipped while the
+ * previous one is still in progress.
+ */
+function startInlineCrmSyncDispatch() {
+  if (inlineDispatchTimer) {
+    return;
+  }
+
+  // Lazy require: CrmSyncService imports addCrmSyncJob from here
+  const CrmSyncService = require('../services/CrmSyncService');
+  let running = false;
+
+  const dispatch = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await CrmSyncService.dispatchScheduledJobs();
+    } catch (error) {
+      logger.error('In-process CRM sync dispatch failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  inlineDispatchTimer = setInterval(dispatch, CRM_SYNC_DISPATCH_INLINE_INTERVAL);
+  inlineDispatchTimer.unref();
+}
+
+/**
+ * Stop the dispatcher running in-process
+ */
+function stopInlineCrmSyncDispatch() {
+  if (inlineDispatchTimer) {
+    clearInterval(inlineDispatchTimer);
+    inlineDispatchTimer = null;
+  }
+}
+
+/**
+ * Schedule the repeatable dispatcher of scheduled CRM sync jobs
+ * 
+ * The fixed jobId keeps a single schedule across restarts and instances.
+ * Without BullMQ the dispatcher runs in-process every 5 minutes.
+ * 
+ * @param {string} [pattern] - Cron pattern
+ * @returns {Promise<Job|null>} Repeatable job, null when running in-process
+ */
+async function scheduleCrmSyncDispatch(pattern = CRM_SYNC_DISPATCH_SCHEDULE) {
+  const queue = getImportQueue();
+
+  if (!queue) {
+    logger.warn('Import queue not available, dispatching scheduled CRM sync jobs in-process');
+    startInlineCrmSyncDispatch();
+    return null;
+  }
+
+  const job = await queue.add(IMPORT_JOB_TYPES.CRM_SYNC_DISPATCH, {}, {
+    repeat: { pattern },
+    jobId: IMPORT_JOB_TYPES.CRM_SYNC_DISPATCH,
+    priority: IMPORT_PRIORITIES.LOW,
+  });
+
+  logger.info('CRM sync dispatcher scheduled', { pattern });
+
+  return job;
+}
+
 /**
  * Get import job status
  * 
@@ -213,6 +336,10 @@ module.exports = {
   addInsertBatchJob,
   addFinalizeImportJob,
   getImportJobStatus,
+  addCrmSyncJob,
+  scheduleCrmSyncDispatch,
+  stopInlineCrmSyncDispatch,
   IMPORT_JOB_TYPES,
   IMPORT_PRIORITIES,
+  CRM_SYNC_DISPATCH_SCHEDULE,
 };
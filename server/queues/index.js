@@ -50,6 +50,7 @@ const QUEUE_NAMES = {
   REPORT: 'report',
   NOTIFICATION: 'notification',
   WEBHOOK: 'webhook',
+  MAINTENANCE: 'maintenance',
 };
 
 /**
@@ -0,0 +1,213 @@
+/**
+ * Maintenance Queue Module
+ * 
+ * Queue for scheduled housekeeping jobs
+ * Runs the retention policy enforcement (RetentionPolicyService) daily,
+ * reports metered usage to Stripe (MeteredBillingService) hourly and advances
+ * the dunning of failed payments (DunningService) hourly
+ * 
+ * Without BullMQ the jobs run in this process on a fixed interval instead.
+ */
+
+const { getQueue, QUEUE_NAMES } = require('./index');
+const { logger } = require('../utils/logger');
+
+/**
+ * Maintenance job types
+ */
+const MAINTENANCE_JOB_TYPES = {
+  RETENTION: 'retention-enforcement',
+  METERED_USAGE: 'metered-usage-report',
+  DUNNING: 'dunning-process',
+};
+
+/**
+ * Cron pattern of the retention job (default: daily at 03:00)
+ */
+const RETENTION_SCHEDULE = process.env.RETENTION_CRON || '0 3 * * *';
+
+/**
+ * Cron pattern of the metered usage report job (default: hourly)
+ */
+const METERED_USAGE_SCHEDULE = process.env.METERED_USAGE_CRON || '5 * * * *';
+
+/**
+ * Cron pattern of the dunning job (default: hourly)
+ */
+const DUNNING_SCHEDULE = process.env.DUNNING_CRON || '15 * * * *';
+
+/**
+ * Interval of each job when BullMQ is unavailable and the job runs in-process
+ */
+const INLINE_INTERVALS = {
+  [MAINTENANCE_JOB_TYPES.RETENTION]: 24 * 60 * 60 * 1000, // 24 hours
+  [MAINTENANCE_JOB_TYPES.METERED_USAGE]: 60 * 60 * 1000, // 1 hour
+  [MAINTENANCE_JOB_TYPES.DUNNING]: 60 * 60 * 1000, // 1 hour
+};
+
+/**
+ * Timers of the jobs running in-process
+ */
+const inlineTimers = new Map();
+
+/**
+ * Get the maintenance queue instance
+ * 
+ * @returns {Queue|null} Maintenance queue instance
+ */
+function getMaintenanceQueue() {
+  return getQueue(QUEUE_NAMES.MAINTENANCE, {
+    defaultJobOptions: {
+      attempts: 1,
+      removeOnComplete: {
+        count: 30,
+      },
+      removeOnFail: {
+        count: 30,
+      },
+    },
+  });
+}
+
+/**
+ * Run a maintenance job in this process: once now, then on its fixed interval
+ * 
+ * Fallback for deployments without BullMQ. A run is skipped while the
+ * previous one is still in progress.
+ * 
+ * @param {string} name - Job type (MAINTENANCE_JOB_TYPES)
+ * @returns {boolean} Whether the job was started (false when already running)
+ */
+function startInlineJob(name) {
+  if (inlineTimers.has(name)) {
+    return false;
+  }
+
+  // Lazy require: the worker module imports MAINTENANCE_JOB_TYPES from here
+  const { processMaintenanceJob } = require('../workers/maintenanceWorker');
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await processMaintenanceJob(name);
+      logger.info('Inline maintenance job completed', { jobName: name, result });
+    } catch (error) {
+      logger.error('Inline maintenance job failed', { jobName: name, error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, INLINE_INTERVALS[name]);
+  timer.unref();
+  inlineTimers.set(name, timer);
+  run();
+
+  return true;
+}
+
+/**
+ * Stop the jobs running in-process
+ */
+function stopInlineJobs() {
+  for (const timer of inlineTimers.values()) {
+    clearInterval(timer);
+  }
+  inlineTimers.clear();
+}
+
+/**
+ * Schedule the repeatable retention enforcement job
+ * 
+ * The fixed jobId keeps a single schedule across restarts and instances.
+ * Without BullMQ the enforcement runs in-process every 24 hours.
+ * 
+ * @param {string} [pattern] - Cron pattern
+ * @returns {Promise<Job|null>} Repeatable job, null when running in-process
+ */
+async function scheduleRetentionJob(pattern = RETENTION_SCHEDULE) {
+  const queue = getMaintenanceQueue();
+
+  if (!queue) {
+    logger.warn('Maintenance queue not available, enforcing retention policies in-process');
+    startInlineJob(MAINTENANCE_JOB_TYPES.RETENTION);
+    return null;
+  }
+
+  const job = await queue.add(MAINTENANCE_JOB_TYPES.RETENTION, {}, {
+    repeat: { pattern },
+    jobId: MAINTENANCE_JOB_TYPES.RETENTION,
+  });
+
+  logger.info('Retention job scheduled', { pattern });
+
+  return job;
+}
+
+/**
+ * Schedule the repeatable metered usage report job
+ * 
+ * Without BullMQ the report runs in-process every hour.
+ * 
+ * @param {string} [pattern] - Cron pattern
+ * @returns {Promise<Job|null>} Repeatable job, null when running in-process
+ */
+async function scheduleMeteredUsageJob(pattern = METERED_USAGE_SCHEDULE) {
+  const queue = getMaintenanceQueue();
+
+  if (!queue) {
+    logger.warn('Maintenance queue not available, reporting metered usage in-process');
+    startInlineJob(MAINTENANCE_JOB_TYPES.METERED_USAGE);
+    return null;
+  }
+
+  const job = await queue.add(MAINTENANCE_JOB_TYPES.METERED_USAGE, {}, {
+    repeat: { pattern },
+    jobId: MAINTENANCE_JOB_TYPES.METERED_USAGE,
+  });
+
+  logger.info('Metered usage job scheduled', { pattern });
+
+  return job;
+}
+
+/**
+ * Schedule the repeatable dunning job
+ * 
+ * Without BullMQ the open cases advance in-process every hour.
+ * 
+ * @param {string} [pattern] - Cron pattern
+ * @returns {Promise<Job|null>} Repeatable job, null when running in-process
+ */
+async function scheduleDunningJob(pattern = DUNNING_SCHEDULE) {
+  const queue = getMaintenanceQueue();
+
+  if (!queue) {
+    logger.warn('Maintenance queue not available, advancing dunning cases in-process');
+    startInlineJob(MAINTENANCE_JOB_TYPES.DUNNING);
+    return null;
+  }
+
+  const job = await queue.add(MAINTENANCE_JOB_TYPES.DUNNING, {}, {
+    repeat: { pattern },
+    jobId: MAINTENANCE_JOB_TYPES.DUNNING,
+  });
+
+  logger.info('Dunning job scheduled', { pattern });
+
+  return job;
+}
+
+module.exports = {
+  getMaintenanceQueue,
+  scheduleRetentionJob,
+  scheduleMeteredUsageJob,
+  scheduleDunningJob,
+  stopInlineJobs,
+  MAINTENANCE_JOB_TYPES,
+  RETENTION_SCHEDULE,
+  METERED_USAGE_SCHEDULE,
+  DUNNING_SCHEDULE,
+};
@@ -16,6 +16,7 @@ const REPORT_JOB_TYPES = {
   ANALYTICS_REPORT: 'analytics-report',
   EXPORT_CONTACTS: 'export-contacts',
   EXPORT_MESSAGES: 'export-messages',
+  EXPORT_TRANSCRIPT: 'export-transcript',
   USAGE_REPORT: 'usage-report',
 };
 
@@ -188,6 +189,40 @@ async function addMessagesExportJob(exportData, options = {}) {
   );
 }
 
+/**
+ * Add a conversation transcript export job
+ * 
+ * @param {Object} exportData - Export data
+ * @param {string} exportData.exportId - Export ID
+ * @param {string} exportData.accountId - Account ID (the export is scoped to it)
+ * @param {string} exportData.conversationId - Conversation ID
+ * @param {string} exportData.format - Export format (json, html, pdf)
+ * @param {string} [exportData.timezone] - Timezone for printed timestamps
+ * @param {Object} options - Job options
+ * @returns {Promise<Job|null>} Job instance
+ */
+async function addTranscriptExportJob(exportData, options = {}) {
+  const { exportId, accountId, conversationId, format } = exportData;
+  
+  logger.info('Adding transcript export job', {
+    exportId,
+    accountId,
+    conversationId,
+    format,
+  });
+
+  return addJob(
+    QUEUE_NAMES.REPORT,
+    REPORT_JOB_TYPES.EXPORT_TRANSCRIPT,
+    exportData,
+    {
+      priority: REPORT_PRIORITIES.HIGH,
+      jobId: `export-transcript-${exportId}`,
+      ...options,
+    }
+  );
+}
+
 /**
  * Add a usage report job
  * 
@@ -251,6 +286,8 @@ async function getReportJobStatus(reportId, type = 'report') {
         reportId: job.data.reportId || job.data.exportId,
         format: job.data.format,
         type: job.name,
+        accountId: job.data.accountId,
+        conversationId: job.data.conversationId,
       },
       result: job.returnvalue,
       attemptsMade: job.attemptsMade,
@@ -270,6 +307,7 @@ module.exports = {
   addAnalyticsReportJob,
   addContactsExportJob,
   addMessagesExportJob,
+  addTranscriptExportJob,
   addUsageReportJob,
   getReportJobStatus,
   REPORT_JOB_TYPES,
@@ -0,0 +1,89 @@
+/**
+ * Webhook Queue Module
+ * 
+ * Queue for outgoing and external webhook deliveries
+ * Deliveries are retried with exponential backoff; the worker
+ * (workers/webhookWorker.js) dead-letters the ones that fail for good
+ */
+
+const { getQueue, addJob, QUEUE_NAMES } = require('./index');
+const { logger } = require('../utils/logger');
+
+/**
+ * Webhook job types
+ */
+const WEBHOOK_JOB_TYPES = {
+  DELIVER: 'webhook-delivery',
+};
+
+/**
+ * Attempts per delivery (first try included)
+ */
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+
+/**
+ * Get the webhook queue instance
+ * 
+ * @returns {Queue|null} Webhook queue instance
+ */
+function getWebhookQueue() {
+  return getQueue(QUEUE_NAMES.WEBHOOK, {
+    defaultJobOptions: {
+      attempts: WEBHOOK_MAX_ATTEMPTS,
+      backoff: {
+        type: 'exponential',
+        delay: 5000, // 5s, 10s, 20s, ... between attempts
+      },
+      removeOnComplete: {
+        count: 1000,
+        age: 24 * 3600, // 24 hours
+      },
+      removeOnFail: {
+        count: 1000,
+        age: 7 * 24 * 3600, // 7 days
+      },
+    },
+  });
+}
+
+/**
+ * Add a webhook delivery job
+ * 
+ * @param {Object} delivery - Delivery built by the webhook service
+ * @param {string} delivery.source - 'outgoing' | 'external'
+ * @param {string} delivery.webhookId - Webhook ID
+ * @param {string} delivery.ownerId - Webhook owner (user or account ID)
+ * @param {string} delivery.deliveryId - Delivery ID (sent in the headers)
+ * @param {string} delivery.eventType - Event type
+ * @param {Object} delivery.body - Payload sent to the endpoint
+ * @param {number} [delivery.replay] - Replay number of a dead-lettered delivery
+ * @returns {Promise<Job|null>} Job instance, null when the queue is unavailable
+ */
+async function addWebhookDeliveryJob(delivery) {
+  if (!getWebhookQueue()) {
+    return null;
+  }
+
+  logger.debug('Adding webhook delivery job', {
+    source: delivery.source,
+    webhookId: delivery.webhookId,
+    deliveryId: delivery.deliveryId,
+    eventType: delivery.eventType,
+  });
+
+  return addJob(
+    QUEUE_NAMES.WEBHOOK,
+    WEBHOOK_JOB_TYPES.DELIVER,
+    delivery,
+    {
+      jobId: delivery.replay ? `${delivery.deliveryId}-replay-${delivery.replay}` : delivery.deliveryId,
+    }
+  );
+}
+
+module.exports = {
+  getWebhookQueue,
+  addWebhookDeliveryJob,
+  WEBHOOK_JOB_TYPES,
+  WEBHOOK_MAX_ATTEMPTS,
+};
@@ -78,20 +78,23 @@ router.post('/', requireAgentAuth(null), requirePermission('inboxes:manage'), qu
   try {
     
     
-    const { name, description, channelType, enableAutoAssignment, autoAssignmentConfig, greetingEnabled, greetingMessage } = req.body;
+    const { name, description, channelType, enableAutoAssignment, autoAssignmentConfig, greetingEnabled, greetingMessage, providerType, providerConfig } = req.body;
     
     if (!name) {
       return res.status(400).json({ error: 'name é obrigatório', code: 'MISSING_FIELDS' });
     }
     
     const inbox = await inboxService.createInbox(req.account.id, {
-      name, description, channelType, enableAutoAssignment, autoAssignmentConfig, greetingEnabled, greetingMessage
+      name, description, channelType, enableAutoAssignment, autoAssignmentConfig, greetingEnabled, greetingMessage, providerType, providerConfig
     });
     
     logger.info('Inbox created', { inboxId: inbox.id, accountId: req.account.id });
     
     res.status(201).json({ success: true, data: inbox });
   } catch (error) {
+    if (error.message?.startsWith('INVALID_PROVIDER')) {
+      return res.status(400).json({ error: error.message, code: 'INVALID_PROVIDER' });
+    }
     logger.error('Create inbox failed', { error: error.message, accountId: req.account?.id });
     res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -0,0 +1,139 @@
+/**
+ * Admin Retention Policy Routes
+ *
+ * Endpoints for managing the tenant's default data retention policies.
+ * Accounts may override them; plan quotas (max_retention_days_*) cap both.
+ * All routes require admin authentication and tenant context.
+ *
+ * Requirements: Configurable data retention policies per tenant
+ */
+
+const express = require('express');
+const { z } = require('zod');
+const { requireAdmin } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const RetentionPolicyService = require('../services/RetentionPolicyService');
+const { RETENTION_DATA_TYPES } = require('../services/RetentionPolicyService');
+
+const router = express.Router();
+
+const dataTypeSchema = z.enum(RETENTION_DATA_TYPES);
+
+const policySchema = z.object({
+  retentionDays: z.number().int().min(1).max(36500),
+  dryRun: z.boolean().optional(),
+  isActive: z.boolean().optional()
+});
+
+/**
+ * Validate tenant context is present
+ * @param {Object} req - Express request
+ * @returns {string|null} Tenant ID or null if missing
+ */
+function getTenantId(req) {
+  return req.context?.tenantId || null;
+}
+
+/**
+ * GET /api/admin/retention-policies
+ * List the tenant's default retention policies
+ */
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    if (!tenantId) {
+      return res.status(403).json({ error: 'Tenant context required' });
+    }
+
+    const policies = await RetentionPolicyService.getPolicies(tenantId);
+
+    res.json({ success: true, data: policies });
+  } catch (error) {
+    logger.error('Failed to list retention policies', {
+      error: error.message,
+      userId: req.session.userId,
+      tenantId: req.context?.tenantId,
+      endpoint: '/api/admin/retention-policies'
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/retention-policies/:dataType
+ * Create or replace the tenant's default policy of a data type
+ */
+router.put('/:dataType', requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    if (!tenantId) {
+      return res.status(403).json({ error: 'Tenant context required' });
+    }
+
+    const dataType = dataTypeSchema.parse(req.params.dataType);
+    const validated = policySchema.parse(req.body);
+
+    const policy = await RetentionPolicyService.upsertPolicy(tenantId, null, dataType, validated, req.session.userId);
+
+    logger.info('Tenant retention policy saved', {
+      userId: req.session.userId,
+      tenantId,
+      dataType,
+      retentionDays: validated.retentionDays
+    });
+
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    logger.error('Failed to save retention policy', {
+      error: error.message,
+      userId: req.session.userId,
+      tenantId: req.context?.tenantId,
+      endpoint: '/api/admin/retention-policies/:dataType'
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/retention-policies/:dataType
+ * Remove the tenant's default policy of a data type
+ */
+router.delete('/:dataType', requireAdmin, async (req, res) => {
+  try {
+    const tenantId = getTenantId(req);
+    if (!tenantId) {
+      return res.status(403).json({ error: 'Tenant context required' });
+    }
+
+    const dataType = dataTypeSchema.parse(req.params.dataType);
+
+    await RetentionPolicyService.deletePolicy(tenantId, null, dataType);
+
+    logger.info('Tenant retention policy deleted', {
+      userId: req.session.userId,
+      tenantId,
+      dataType
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ error: 'Invalid input', details: error.errors });
+    }
+    if (error.message === 'POLICY_NOT_FOUND') {
+      return res.status(404).json({ error: 'Retention policy not found' });
+    }
+    logger.error('Failed to delete retention policy', {
+      error: error.message,
+      userId: req.session.userId,
+      tenantId: req.context?.tenantId,
+      endpoint: '/api/admin/retention-policies/:dataType'
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const AutomationService = require('../services/AutomationService');
 const AuditLogService = require('../services/AuditLogService');
 const supabaseService = require('../services/SupabaseService');
 const { sanitizeUsersArray, warnIfUnsanitized } = require('../utils/sanitizeResponse');
+const { sanitizeConnections } = require('../utils/credentialSanitizer');
 
 const router = express.Router();
 
@@ -2071,7 +2072,7 @@ router.get('/supabase/users/:id/full', async (req, res) => {
         teams: teams || [],
         labels: labels || [],
         webhooks: webhooks || [],
-        databaseConnections: databaseConnections || [],
+        databaseConnections: sanitizeConnections(databaseConnections || []),
         campaigns: campaigns || [],
         creditTransactions: creditTransactions || [],
         auditLog: auditLog || [],
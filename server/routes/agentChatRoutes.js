@@ -840,7 +840,7 @@ router.post('/conversations/:id/labels', requireAgentAuth(null), requirePermissi
       return res.status(403).json({ success: false, error: 'Acesso negado a esta conversa' });
     }
     
-    await chatService.assignLabel(userToken, id, labelId);
+    await chatService.assignLabel(userToken, id, labelId, { performedBy: agentId });
     
     res.json({ success: true });
   } catch (error) {
@@ -877,7 +877,7 @@ router.delete('/conversations/:id/labels/:labelId', requireAgentAuth(null), requ
       return res.status(403).json({ success: false, error: 'Acesso negado a esta conversa' });
     }
     
-    await chatService.removeLabel(userToken, id, parseInt(labelId, 10));
+    await chatService.removeLabel(userToken, id, labelId, { performedBy: agentId });
     
     res.json({ success: true });
   } catch (error) {
@@ -1494,13 +1494,13 @@ router.post('/macros/:id/execute', requireAgentAuth(null), requirePermission('co
         switch (action.action_type) {
           case 'assign_label':
             if (params.labelId) {
-              await chatService.assignLabel(userToken, conversationId, params.labelId);
+              await chatService.assignLabel(userToken, conversationId, params.labelId, { performedBy: agentId });
               results.push({ action: 'assign_label', success: true });
             }
             break;
           case 'remove_label':
             if (params.labelId) {
-              await chatService.removeLabel(userToken, conversationId, params.labelId);
+              await chatService.removeLabel(userToken, conversationId, params.labelId, { performedBy: agentId });
               results.push({ action: 'remove_label', success: true });
             }
             break;
@@ -15,7 +15,11 @@ const AgentService = require('../services/AgentService');
 const SupabaseService = require('../services/SupabaseService');
 const DatabaseConnectionService = require('../services/DatabaseConnectionService');
 const AgentDatabaseAccessService = require('../services/AgentDatabaseAccessService');
+const SQLConnectionService = require('../services/SQLConnectionService');
+const { ERROR_HTTP_STATUS: SQL_ERROR_HTTP_STATUS } = require('../services/SQLConnectionService');
 const ContactFetcherService = require('../services/ContactFetcherService');
+const CsatService = require('../services/CsatService');
+const CalendarFeedService = require('../services/CalendarFeedService');
 
 // Initialize services at module level (they use SupabaseService internally)
 const inboxService = new InboxService();
@@ -524,12 +528,21 @@ router.get('/my/stats', requireAgentAuth(null), async (req, res) => {
       }
     }
     
+    // Customer satisfaction ratings received by this agent
+    let csat = { responses: 0, averageScore: null, csat: null };
+    try {
+      csat = await CsatService.getAgentSummary(agentId);
+    } catch (csatError) {
+      logger.error('Failed to get agent CSAT', { error: csatError.message, agentId });
+    }
+    
     const stats = {
       totalInboxes: inboxes.length,
       totalConversations,
       openConversations,
       pendingConversations,
-      totalContacts
+      totalContacts,
+      csat
     };
     
     res.json({
@@ -546,6 +559,38 @@ router.get('/my/stats', requireAgentAuth(null), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/agent/my/calendar-feed
+ * ICS feed of the appointments assigned to the current agent (URL only shown on creation)
+ */
+router.get('/my/calendar-feed', requireAgentAuth(null), async (req, res) => {
+  try {
+    const feed = await CalendarFeedService.getFeed(req.account.id, req.agent.id);
+    res.json({ success: true, data: feed });
+  } catch (error) {
+    logger.error('Failed to get agent calendar feed', { error: error.message, agentId: req.agent?.id });
+    res.status(500).json({ error: 'Erro ao carregar agenda' });
+  }
+});
+
+/**
+ * POST /api/agent/my/calendar-feed
+ * Create (or rotate) the ICS feed of the current agent
+ */
+router.post('/my/calendar-feed', requireAgentAuth(null), async (req, res) => {
+  try {
+    const { feed, token } = await CalendarFeedService.rotateFeed(req.account.id, req.account.tenantId, req.agent.id);
+
+    res.status(201).json({
+      success: true,
+      data: { ...feed, url: CalendarFeedService.getFeedUrl(`${req.protocol}://${req.get('host')}`, token) }
+    });
+  } catch (error) {
+    logger.error('Failed to create agent calendar feed', { error: error.message, agentId: req.agent?.id });
+    res.status(500).json({ error: 'Erro ao gerar link da agenda' });
+  }
+});
+
 /**
  * POST /api/agent/my/inboxes/:inboxId/import-contacts
  * Import contacts from WUZAPI for a specific inbox
@@ -869,14 +914,13 @@ router.get('/my-database-connections', requireAgentAuth(null), async (req, res)
 router.post('/database-connections/:id/preview', requireAgentAuth(null), async (req, res) => {
   try {
     const { id } = req.params;
-    const { query } = req.body;
     
     // Import ContactFetcherService
     const fetcher = new ContactFetcherService();
     
     // Use a system token or the account's token for fetching
     // For now, we'll pass null and let the service handle it
-    const contacts = await fetcher.fetchContacts(id, null, query);
+    const contacts = await fetcher.fetchContacts(id, null);
     
     res.json({
       success: true,
@@ -904,12 +948,11 @@ router.post('/database-connections/:id/preview', requireAgentAuth(null), async (
 router.post('/database-connections/:id/fetch', requireAgentAuth(null), async (req, res) => {
   try {
     const { id } = req.params;
-    const { query } = req.body;
     
     // Import ContactFetcherService
     const fetcher = new ContactFetcherService();
     
-    const contacts = await fetcher.fetchContacts(id, null, query);
+    const contacts = await fetcher.fetchContacts(id, null);
     
     logger.info('Agent fetched contacts from database', {
       agentId: req.agent.id,
@@ -1038,6 +1081,29 @@ router.get('/database/:connectionId/data', requireAgentAuth(null), async (req, r
       );
       
       records = response.data?.list || response.data || [];
+    } else if (SQLConnectionService.isSQLType(connection.type)) {
+      const { page = 1, limit = 100, filters, orderBy, ascending } = req.query;
+      const result = await SQLConnectionService.fetchRecords(connection, {
+        page,
+        limit,
+        filters: typeof filters === 'object' ? filters : {},
+        orderBy: orderBy || null,
+        ascending: ascending === 'true'
+      });
+
+      logger.info('Agent fetched database data', {
+        agentId,
+        connectionId,
+        recordCount: result.data.length
+      });
+
+      return res.json({
+        success: true,
+        data: result.data,
+        count: result.count,
+        page: result.page,
+        totalPages: result.totalPages
+      });
     } else {
       // For other types, use existing methods (they may need userToken)
       // For now, return empty for non-NocoDB connections
@@ -1064,6 +1130,9 @@ router.get('/database/:connectionId/data', requireAgentAuth(null), async (req, r
       agentId: req.agent?.id,
       connectionId: req.params.connectionId
     });
+    if (SQL_ERROR_HTTP_STATUS[error.code]) {
+      return res.status(SQL_ERROR_HTTP_STATUS[error.code]).json({ error: error.userMessage, code: error.code });
+    }
     res.status(500).json({ error: 'Erro ao carregar dados do banco de dados' });
   }
 });
@@ -1110,6 +1179,8 @@ router.get('/database/:connectionId/record/:recordId', requireAgentAuth(null), a
         `/api/v1/db/data/noco/${projectId}/${tableId}/${recordId}`
       );
       record = response.data;
+    } else if (SQLConnectionService.isSQLType(connection.type)) {
+      record = await SQLConnectionService.getRecord(connection, recordId);
     }
     
     if (!record) {
@@ -1134,6 +1205,9 @@ router.get('/database/:connectionId/record/:recordId', requireAgentAuth(null), a
       connectionId: req.params.connectionId,
       recordId: req.params.recordId
     });
+    if (SQL_ERROR_HTTP_STATUS[error.code]) {
+      return res.status(SQL_ERROR_HTTP_STATUS[error.code]).json({ error: error.userMessage, code: error.code });
+    }
     res.status(500).json({ error: 'Erro ao carregar registro' });
   }
 });
@@ -1186,6 +1260,8 @@ router.put('/database/:connectionId/record/:recordId', requireAgentAuth(null), a
         updateData
       );
       updatedRecord = response.data;
+    } else if (SQLConnectionService.isSQLType(connection.type)) {
+      updatedRecord = await SQLConnectionService.updateRecord(connection, recordId, updateData);
     } else {
       throw new Error('Atualização de registros não suportada para este tipo de conexão');
     }
@@ -1208,6 +1284,9 @@ router.put('/database/:connectionId/record/:recordId', requireAgentAuth(null), a
       connectionId: req.params.connectionId,
       recordId: req.params.recordId
     });
+    if (SQL_ERROR_HTTP_STATUS[error.code]) {
+      return res.status(SQL_ERROR_HTTP_STATUS[error.code]).json({ error: error.userMessage, code: error.code, details: error.details });
+    }
     res.status(500).json({ error: 'Erro ao atualizar registro' });
   }
 });
@@ -1260,6 +1339,8 @@ router.post('/database/:connectionId/record', requireAgentAuth(null), async (req
         recordData
       );
       newRecord = response.data;
+    } else if (SQLConnectionService.isSQLType(connection.type)) {
+      newRecord = await SQLConnectionService.createRecord(connection, recordData);
     } else {
       throw new Error('Criação de registros não suportada para este tipo de conexão');
     }
@@ -1280,13 +1361,16 @@ router.post('/database/:connectionId/record', requireAgentAuth(null), async (req
       agentId: req.agent?.id,
       connectionId: req.params.connectionId
     });
+    if (SQL_ERROR_HTTP_STATUS[error.code]) {
+      return res.status(SQL_ERROR_HTTP_STATUS[error.code]).json({ error: error.userMessage, code: error.code, details: error.details });
+    }
     res.status(500).json({ error: error.message || 'Erro ao criar registro' });
   }
 });
 
 /**
  * GET /api/agent/database/:connectionId/columns
- * Get NocoDB columns for a connection
+ * Get table columns for a connection (NocoDB, PostgreSQL, MySQL)
  */
 router.get('/database/:connectionId/columns', requireAgentAuth(null), async (req, res) => {
   try {
@@ -1323,6 +1407,8 @@ router.get('/database/:connectionId/columns', requireAgentAuth(null), async (req
       
       const response = await nocoApi.get(`/api/v1/db/meta/tables/${tableId}/columns`);
       columns = response.data?.list || response.data || [];
+    } else if (SQLConnectionService.isSQLType(connection.type)) {
+      columns = await SQLConnectionService.getTableColumns(connection);
     }
     
     res.json({
@@ -11,6 +11,7 @@ const { logger } = require('../../../utils/logger')
 const { apiKeyAuth } = require('../../../middleware/apiKeyAuth')
 const ChatService = require('../../../services/ChatService')
 const SupabaseService = require('../../../services/SupabaseService')
+const ConversationExportService = require('../../../services/ConversationExportService')
 
 const chatService = new ChatService()
 
@@ -268,6 +269,87 @@ router.post('/conversations/:id/read', apiKeyAuth(['messages:write']), async (re
   }
 })
 
+// ==================== EXPORT ====================
+
+/**
+ * GET /api/v1/chat/conversations/:id/export
+ * Export the conversation transcript as json, html or pdf
+ * Large conversations are queued: responds 202 with an exportId to poll
+ * Scope: messages:read
+ */
+router.get('/conversations/:id/export', apiKeyAuth(['messages:read']), async (req, res) => {
+  try {
+    const { format, timezone } = req.query
+    
+    const result = await ConversationExportService.exportConversation(
+      req.accountId,
+      req.params.id,
+      { format, timezone }
+    )
+    
+    if (result.queued) {
+      return res.status(202).json({
+        success: true,
+        data: { exportId: result.exportId, format: result.format, status: 'queued' }
+      })
+    }
+    
+    if (result.file.contentType.startsWith('application/json')) {
+      return res.json({ success: true, data: result.transcript })
+    }
+    
+    res.setHeader('Content-Type', result.file.contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${result.file.filename}"`)
+    res.send(result.file.body)
+  } catch (error) {
+    logger.error('API v1: Failed to export conversation', {
+      error: error.message,
+      accountId: req.accountId,
+      conversationId: req.params.id,
+      endpoint: '/api/v1/chat/conversations/:id/export'
+    })
+    if (error.message === 'INVALID_FORMAT' || error.message === 'INVALID_TIMEZONE') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Conversation not found' })
+    }
+    res.status(500).json({ error: error.message })
+  }
+})
+
+/**
+ * GET /api/v1/chat/conversations/:id/export/:exportId
+ * Status of a queued transcript export, with a download URL when completed
+ * Scope: messages:read
+ */
+router.get('/conversations/:id/export/:exportId', apiKeyAuth(['messages:read']), async (req, res) => {
+  try {
+    const status = await ConversationExportService.getExportStatus(
+      req.accountId,
+      req.params.id,
+      req.params.exportId
+    )
+    
+    if (!status) {
+      return res.status(404).json({ error: 'Export not found' })
+    }
+    
+    res.json({
+      success: true,
+      data: status
+    })
+  } catch (error) {
+    logger.error('API v1: Failed to get export status', {
+      error: error.message,
+      accountId: req.accountId,
+      conversationId: req.params.id,
+      endpoint: '/api/v1/chat/conversations/:id/export/:exportId'
+    })
+    res.status(500).json({ error: error.message })
+  }
+})
+
 // ==================== SEARCH ====================
 
 /**
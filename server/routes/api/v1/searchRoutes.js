@@ -0,0 +1,71 @@
+/**
+ * Search API v1 Routes
+ *
+ * External REST API for account-wide full-text search
+ *
+ * Requirements: Full-text search across messages with Postgres tsvector and filters
+ */
+
+const router = require('express').Router()
+const { logger } = require('../../../utils/logger')
+const { apiKeyAuth } = require('../../../middleware/apiKeyAuth')
+const MessageSearchService = require('../../../services/MessageSearchService')
+
+/**
+ * Map search errors to HTTP responses
+ */
+function handleSearchError(req, res, error, endpoint) {
+  if (error.message === 'QUERY_TOO_SHORT' || error.message === 'QUERY_TOO_LONG' ||
+      error.message === 'INVALID_CURSOR' || error.message.startsWith('INVALID_FILTER')) {
+    return res.status(400).json({ error: error.message })
+  }
+  logger.error('API v1: Search failed', {
+    error: error.message,
+    accountId: req.accountId,
+    endpoint
+  })
+  res.status(500).json({ error: error.message })
+}
+
+/**
+ * GET /api/v1/search/messages
+ * Full-text search across the messages (and internal notes) of the account
+ * Query: q, inboxIds, labelIds, agentIds, from, to, direction, mediaTypes,
+ * includeNotes, cursor, limit
+ * Scope: messages:read
+ */
+router.get('/messages', apiKeyAuth(['messages:read']), async (req, res) => {
+  try {
+    const result = await MessageSearchService.searchMessages(req.accountId, req.query)
+
+    res.json({
+      success: true,
+      data: result.results,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    handleSearchError(req, res, error, '/api/v1/search/messages')
+  }
+})
+
+/**
+ * GET /api/v1/search/conversations
+ * Full-text search by contact name, phone and custom attributes
+ * Query: q, inboxIds, labelIds, agentIds, from, to, cursor, limit
+ * Scope: conversations:read
+ */
+router.get('/conversations', apiKeyAuth(['conversations:read']), async (req, res) => {
+  try {
+    const result = await MessageSearchService.searchConversations(req.accountId, req.query)
+
+    res.json({
+      success: true,
+      data: result.results,
+      pagination: result.pagination
+    })
+  } catch (error) {
+    handleSearchError(req, res, error, '/api/v1/search/conversations')
+  }
+})
+
+module.exports = router
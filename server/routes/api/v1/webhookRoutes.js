@@ -10,6 +10,33 @@ const router = require('express').Router()
 const { logger } = require('../../../utils/logger')
 const { apiKeyAuth } = require('../../../middleware/apiKeyAuth')
 const ExternalWebhookService = require('../../../services/ExternalWebhookService')
+const WebhookDeliveryService = require('../../../services/WebhookDeliveryService')
+const DomainEventBus = require('../../../services/DomainEventBus')
+const { PAYLOAD_FORMATS } = require('../../../services/DomainEventBus')
+
+// Domain events plus the conversation events accepted before the event bus
+const VALID_EVENTS = [
+  ...DomainEventBus.getCatalog().map(definition => definition.type),
+  'conversation.created',
+  'conversation.updated',
+  'conversation.closed'
+]
+
+/**
+ * GET /api/v1/webhooks/events
+ * Catalog of domain events (type, payload version, required data fields)
+ * See docs/api/DOMAIN_EVENTS.md for the envelope and payloads
+ * Scope: webhooks:read
+ */
+router.get('/events', apiKeyAuth(['webhooks:read']), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      events: DomainEventBus.getCatalog(),
+      payloadFormats: PAYLOAD_FORMATS
+    }
+  })
+})
 
 /**
  * GET /api/v1/webhooks
@@ -34,6 +61,100 @@ router.get('/', apiKeyAuth(['webhooks:read']), async (req, res) => {
   }
 })
 
+/**
+ * GET /api/v1/webhooks/dead-letters
+ * List deliveries that failed for good (retries exhausted, rejected or endpoint disabled)
+ * Scope: webhooks:read
+ */
+router.get('/dead-letters', apiKeyAuth(['webhooks:read']), async (req, res) => {
+  try {
+    const { webhookId, status, limit, offset } = req.query
+
+    const result = await WebhookDeliveryService.getDeadLetters('external', req.accountId, {
+      webhookId,
+      status,
+      limit: parseInt(limit, 10) || undefined,
+      offset: parseInt(offset, 10) || undefined
+    })
+
+    res.json({
+      success: true,
+      data: result.deadLetters,
+      total: result.total
+    })
+  } catch (error) {
+    logger.error('API v1: Failed to list webhook dead letters', {
+      error: error.message,
+      accountId: req.accountId,
+      endpoint: '/api/v1/webhooks/dead-letters'
+    })
+    res.status(500).json({ error: error.message })
+  }
+})
+
+/**
+ * POST /api/v1/webhooks/dead-letters/replay
+ * Replay dead-lettered deliveries: { ids: string[] } or { webhookId }
+ * Scope: webhooks:write
+ */
+router.post('/dead-letters/replay', apiKeyAuth(['webhooks:write']), async (req, res) => {
+  try {
+    const { ids, webhookId } = req.body
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length > 500)) {
+      return res.status(400).json({ error: 'ids must be an array of up to 500 items' })
+    }
+
+    const result = await WebhookDeliveryService.replayDeadLetters('external', req.accountId, { ids, webhookId })
+
+    res.json({
+      success: true,
+      data: result
+    })
+  } catch (error) {
+    if (error.message === 'INVALID_REPLAY_SELECTION') {
+      return res.status(400).json({ error: 'ids or webhookId is required' })
+    }
+    logger.error('API v1: Failed to replay webhook dead letters', {
+      error: error.message,
+      accountId: req.accountId,
+      endpoint: '/api/v1/webhooks/dead-letters/replay'
+    })
+    res.status(500).json({ error: error.message })
+  }
+})
+
+/**
+ * POST /api/v1/webhooks/dead-letters/:deadLetterId/replay
+ * Replay one dead-lettered delivery
+ * Scope: webhooks:write
+ */
+router.post('/dead-letters/:deadLetterId/replay', apiKeyAuth(['webhooks:write']), async (req, res) => {
+  try {
+    const result = await WebhookDeliveryService.replayDeadLetters('external', req.accountId, {
+      ids: [req.params.deadLetterId]
+    })
+
+    if (result.replayed.length === 0) {
+      const reason = result.skipped[0]?.reason
+      return res.status(reason === 'not_found' ? 404 : 409).json({ error: reason })
+    }
+
+    res.json({
+      success: true,
+      data: result
+    })
+  } catch (error) {
+    logger.error('API v1: Failed to replay webhook dead letter', {
+      error: error.message,
+      accountId: req.accountId,
+      deadLetterId: req.params.deadLetterId,
+      endpoint: '/api/v1/webhooks/dead-letters/:deadLetterId/replay'
+    })
+    res.status(500).json({ error: error.message })
+  }
+})
+
 /**
  * POST /api/v1/webhooks
  * Create a new webhook
@@ -41,7 +162,7 @@ router.get('/', apiKeyAuth(['webhooks:read']), async (req, res) => {
  */
 router.post('/', apiKeyAuth(['webhooks:write']), async (req, res) => {
   try {
-    const { url, secret, events, retryCount, timeoutMs } = req.body
+    const { url, secret, events, retryCount, timeoutMs, payloadFormat } = req.body
     
     if (!url) {
       return res.status(400).json({ error: 'Webhook URL is required' })
@@ -52,30 +173,26 @@ router.post('/', apiKeyAuth(['webhooks:write']), async (req, res) => {
     }
     
     // Validate event types
-    const validEvents = [
-      'message.received',
-      'message.sent',
-      'message.status',
-      'conversation.created',
-      'conversation.updated',
-      'conversation.closed'
-    ]
-    
-    const invalidEvents = events.filter(e => !validEvents.includes(e))
+    const invalidEvents = events.filter(e => !VALID_EVENTS.includes(e))
     if (invalidEvents.length > 0) {
       return res.status(400).json({ 
         error: 'Invalid event types',
         invalidEvents,
-        validEvents
+        validEvents: VALID_EVENTS
       })
     }
+
+    if (payloadFormat !== undefined && !PAYLOAD_FORMATS.includes(payloadFormat)) {
+      return res.status(400).json({ error: 'Invalid payload format', payloadFormats: PAYLOAD_FORMATS })
+    }
     
     const webhook = await ExternalWebhookService.createWebhook(req.accountId, {
       url,
       secret,
       events,
       retryCount,
-      timeoutMs
+      timeoutMs,
+      payloadFormat
     })
     
     res.status(201).json({
@@ -99,7 +216,7 @@ router.post('/', apiKeyAuth(['webhooks:write']), async (req, res) => {
  */
 router.patch('/:id', apiKeyAuth(['webhooks:write']), async (req, res) => {
   try {
-    const { url, secret, events, isActive, retryCount, timeoutMs } = req.body
+    const { url, secret, events, isActive, retryCount, timeoutMs, payloadFormat } = req.body
     
     const updates = {}
     if (url !== undefined) updates.url = url
@@ -108,10 +225,15 @@ router.patch('/:id', apiKeyAuth(['webhooks:write']), async (req, res) => {
     if (isActive !== undefined) updates.is_active = isActive
     if (retryCount !== undefined) updates.retry_count = retryCount
     if (timeoutMs !== undefined) updates.timeout_ms = timeoutMs
+    if (payloadFormat !== undefined) updates.payload_format = payloadFormat
     
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ error: 'No valid updates provided' })
     }
+
+    if (payloadFormat !== undefined && !PAYLOAD_FORMATS.includes(payloadFormat)) {
+      return res.status(400).json({ error: 'Invalid payload format', payloadFormats: PAYLOAD_FORMATS })
+    }
     
     const webhook = await ExternalWebhookService.updateWebhook(
       req.params.id,
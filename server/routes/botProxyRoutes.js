@@ -15,7 +15,7 @@ const axios = require('axios');
 const { logger } = require('../utils/logger');
 const { validatePhoneWithAPI } = require('../services/PhoneValidationService');
 const ChatService = require('../services/ChatService');
-const OutgoingWebhookService = require('../services/OutgoingWebhookService');
+const DomainEventBus = require('../services/DomainEventBus');
 const { quotaMiddleware, incrementQuotaUsage, getQuotaService, resolveUserId } = require('../middleware/quotaEnforcement');
 const SupabaseService = require('../services/SupabaseService');
 const QuotaService = require('../services/QuotaService');
@@ -48,6 +48,50 @@ async function incrementBotMessageQuota(req) {
   }
 }
 
+/**
+ * Publish message.sent for a bot message (webhooks and websocket consume it);
+ * legacy outgoing webhooks keep receiving the WUZAPI-compatible payload
+ * @param {string} userToken - WUZAPI token
+ * @param {Object} conversation - Conversation of the message
+ * @param {Object|null} storedMessage - Message stored in the local history
+ * @param {Object} wuzapiMessage - WUZAPI message content (e.g. { imageMessage: {...} })
+ * @param {Object} info - { wuzapiMessageId, contactJid, botId }
+ */
+async function publishBotMessageSent(userToken, conversation, storedMessage, wuzapiMessage, { wuzapiMessageId, contactJid, botId }) {
+  const isGroup = contactJid.endsWith('@g.us');
+
+  await DomainEventBus.publish('message.sent', {
+    accountId: conversation.account_id,
+    inboxId: conversation.inbox_id,
+    userToken
+  }, {
+    conversationId: conversation.id,
+    direction: 'outgoing',
+    isGroup,
+    message: storedMessage || { messageId: wuzapiMessageId },
+    contact: {
+      jid: contactJid,
+      phone: isGroup ? null : contactJid.replace('@s.whatsapp.net', ''),
+      name: conversation.contact_name || null
+    },
+    source: 'bot_proxy',
+    botId
+  }, {
+    legacy: {
+      outgoing: {
+        type: 'Message',
+        event: {
+          Info: { Id: wuzapiMessageId, Chat: contactJid, FromMe: true },
+          Message: wuzapiMessage
+        },
+        userID: userToken,
+        source: 'bot_proxy',
+        botId
+      }
+    }
+  });
+}
+
 const router = express.Router();
 
 /**
@@ -365,32 +409,13 @@ router.post('/send/text', verifyUserToken, quotaMiddleware.messages, quotaMiddle
       chatHandler
     );
 
-    // Send outgoing webhook if not skipped (Requirement 2.4)
+    // Publish message.sent if webhooks are not skipped (Requirement 2.4)
     if (!skip_webhook) {
-      try {
-        const outgoingWebhookService = new OutgoingWebhookService();
-        await outgoingWebhookService.sendWebhookEvent(userToken, 'message.sent', {
-          type: 'Message',
-          event: {
-            Info: {
-              Id: wuzapiMessageId,
-              Chat: contactJid,
-              FromMe: true
-            },
-            Message: {
-              conversation: Body
-            }
-          },
-          userID: userToken,
-          source: 'bot_proxy',
-          botId
-        });
-      } catch (webhookError) {
-        // Don't fail the request if webhook fails
-        logger.error('Bot proxy: Failed to send outgoing webhook', {
-          error: webhookError.message
-        });
-      }
+      await publishBotMessageSent(userToken, conversation, storedMessage, { conversation: Body }, {
+        wuzapiMessageId,
+        contactJid,
+        botId
+      });
     }
 
     // Increment quota usage after successful send
@@ -575,23 +600,11 @@ router.post('/send/image', verifyUserToken, quotaMiddleware.messages, quotaMiddl
     );
 
     if (!skip_webhook) {
-      try {
-        const outgoingWebhookService = new OutgoingWebhookService();
-        await outgoingWebhookService.sendWebhookEvent(userToken, 'message.sent', {
-          type: 'Message',
-          event: {
-            Info: { Id: wuzapiMessageId, Chat: contactJid, FromMe: true },
-            Message: { imageMessage: { caption: Caption } }
-          },
-          userID: userToken,
-          source: 'bot_proxy',
-          botId
-        });
-      } catch (webhookError) {
-        logger.error('Bot proxy: Failed to send outgoing webhook', {
-          error: webhookError.message
-        });
-      }
+      await publishBotMessageSent(userToken, conversation, storedMessage, { imageMessage: { caption: Caption } }, {
+        wuzapiMessageId,
+        contactJid,
+        botId
+      });
     }
 
     // Increment quota usage after successful send
@@ -744,23 +757,11 @@ router.post('/send/audio', verifyUserToken, quotaMiddleware.messages, quotaMiddl
     );
 
     if (!skip_webhook) {
-      try {
-        const outgoingWebhookService = new OutgoingWebhookService();
-        await outgoingWebhookService.sendWebhookEvent(userToken, 'message.sent', {
-          type: 'Message',
-          event: {
-            Info: { Id: wuzapiMessageId, Chat: contactJid, FromMe: true },
-            Message: { audioMessage: {} }
-          },
-          userID: userToken,
-          source: 'bot_proxy',
-          botId
-        });
-      } catch (webhookError) {
-        logger.error('Bot proxy: Failed to send outgoing webhook', {
-          error: webhookError.message
-        });
-      }
+      await publishBotMessageSent(userToken, conversation, storedMessage, { audioMessage: {} }, {
+        wuzapiMessageId,
+        contactJid,
+        botId
+      });
     }
 
     // Increment quota usage after successful send
@@ -921,23 +922,11 @@ router.post('/send/document', verifyUserToken, quotaMiddleware.messages, quotaMi
     );
 
     if (!skip_webhook) {
-      try {
-        const outgoingWebhookService = new OutgoingWebhookService();
-        await outgoingWebhookService.sendWebhookEvent(userToken, 'message.sent', {
-          type: 'Message',
-          event: {
-            Info: { Id: wuzapiMessageId, Chat: contactJid, FromMe: true },
-            Message: { documentMessage: { fileName: FileName, caption: Caption } }
-          },
-          userID: userToken,
-          source: 'bot_proxy',
-          botId
-        });
-      } catch (webhookError) {
-        logger.error('Bot proxy: Failed to send outgoing webhook', {
-          error: webhookError.message
-        });
-      }
+      await publishBotMessageSent(userToken, conversation, storedMessage, { documentMessage: { fileName: FileName, caption: Caption } }, {
+        wuzapiMessageId,
+        contactJid,
+        botId
+      });
     }
 
     // Increment quota usage after successful send
@@ -1093,23 +1082,11 @@ router.post('/send/video', verifyUserToken, quotaMiddleware.messages, quotaMiddl
     );
 
     if (!skip_webhook) {
-      try {
-        const outgoingWebhookService = new OutgoingWebhookService();
-        await outgoingWebhookService.sendWebhookEvent(userToken, 'message.sent', {
-          type: 'Message',
-          event: {
-            Info: { Id: wuzapiMessageId, Chat: contactJid, FromMe: true },
-            Message: { videoMessage: { caption: Caption } }
-          },
-          userID: userToken,
-          source: 'bot_proxy',
-          botId
-        });
-      } catch (webhookError) {
-        logger.error('Bot proxy: Failed to send outgoing webhook', {
-          error: webhookError.message
-        });
-      }
+      await publishBotMessageSent(userToken, conversation, storedMessage, { videoMessage: { caption: Caption } }, {
+        wuzapiMessageId,
+        contactJid,
+        botId
+      });
     }
 
     // Increment quota usage after successful send
@@ -1262,23 +1239,11 @@ router.post('/send/sticker', verifyUserToken, quotaMiddleware.messages, quotaMid
     );
 
     if (!skip_webhook) {
-      try {
-        const outgoingWebhookService = new OutgoingWebhookService();
-        await outgoingWebhookService.sendWebhookEvent(userToken, 'message.sent', {
-          type: 'Message',
-          event: {
-            Info: { Id: wuzapiMessageId, Chat: contactJid, FromMe: true },
-            Message: { stickerMessage: {} }
-          },
-          userID: userToken,
-          source: 'bot_proxy',
-          botId
-        });
-      } catch (webhookError) {
-        logger.error('Bot proxy: Failed to send outgoing webhook', {
-          error: webhookError.message
-        });
-      }
+      await publishBotMessageSent(userToken, conversation, storedMessage, { stickerMessage: {} }, {
+        wuzapiMessageId,
+        contactJid,
+        botId
+      });
     }
 
     // Increment quota usage after successful send
@@ -4,6 +4,7 @@ const { logger } = require('../utils/logger');
 const ReportGenerator = require('../services/ReportGenerator');
 const AuditLogger = require('../services/AuditLogger');
 const BulkCampaignService = require('../services/BulkCampaignService');
+const AbTestService = require('../services/AbTestService');
 const { normalizePhoneNumber } = require('../utils/phoneUtils');
 const {
   validateCampaignCreation,
@@ -162,7 +163,8 @@ router.post('/', campaignCreationLimiter, verifyUserToken, featureMiddleware.bul
       scheduledAt,
       contacts,
       messages,
-      sendingWindow
+      sendingWindow,
+      abTest
     } = req.body;
 
     // Validar dados da campanha
@@ -232,7 +234,8 @@ router.post('/', campaignCreationLimiter, verifyUserToken, featureMiddleware.bul
       totalContacts: contacts.length,
       messages,
       sendingWindow,
-      inboxes
+      inboxes,
+      abTest: AbTestService.normalizeConfig(abTest)
     });
 
     // Create campaign contacts
@@ -266,7 +269,8 @@ router.post('/', campaignCreationLimiter, verifyUserToken, featureMiddleware.bul
     }
 
     // Task 10.11: Use BullMQ queue for large campaigns (> 100 contacts) or when explicitly requested
-    const useQueue = req.query.async === 'true' || contacts.length > 100;
+    // A/B tests need the QueueManager flow (test slice, winner wait), so they never go to the queue
+    const useQueue = !abTest && (req.query.async === 'true' || contacts.length > 100);
     
     if (useQueue) {
       // Add campaign to BullMQ queue for async processing
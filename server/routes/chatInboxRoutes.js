@@ -15,8 +15,13 @@ const axios = require('axios')
 const router = express.Router()
 const { logger } = require('../utils/logger')
 const ChatService = require('../services/ChatService')
+const SlaService = require('../services/SlaService')
+const ConversationExportService = require('../services/ConversationExportService')
+const MessageSearchService = require('../services/MessageSearchService')
+const { SEARCH_TYPES } = MessageSearchService
 const QuotaService = require('../services/QuotaService')
 const { validatePhoneWithAPI } = require('../services/PhoneValidationService')
+const { ProviderAdapterFactory } = require('../services/providers')
 const supabaseService = require('../services/SupabaseService')
 const { validateSupabaseToken } = require('../middleware/supabaseAuth')
 const { inboxContextMiddleware } = require('../middleware/inboxContextMiddleware')
@@ -246,14 +251,36 @@ router.get('/conversations/:id', verifyUserToken, async (req, res) => {
   }
 })
 
+/**
+ * GET /api/chat/inbox/conversations/:id/sla
+ * Get SLA timers of a conversation (null when no policy applies)
+ */
+router.get('/conversations/:id/sla', verifyUserToken, async (req, res) => {
+  try {
+    const accountId = req.accountId || req.context?.accountId
+
+    if (!accountId) {
+      return res.status(401).json({ success: false, error: 'Account context not available' })
+    }
+
+    const sla = await SlaService.getConversationSla(accountId, req.params.id)
+
+    res.json({ success: true, data: sla })
+  } catch (error) {
+    logger.error('Error fetching conversation SLA', { error: error.message, conversationId: req.params.id })
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
 /**
  * PATCH /api/chat/inbox/conversations/:id
  * Update conversation (status, assigned bot, etc.)
+ * Resolving sends the CSAT survey when enabled, unless sendCsat is false
  */
 router.patch('/conversations/:id', verifyUserToken, async (req, res) => {
   try {
     const { id } = req.params
-    const { status, assignedBotId, isMuted, unreadCount } = req.body
+    const { status, assignedBotId, isMuted, unreadCount, sendCsat } = req.body
     
     // Using SupabaseService directly
     if (!supabaseService) {
@@ -281,7 +308,7 @@ router.patch('/conversations/:id', verifyUserToken, async (req, res) => {
     if (unreadCount !== undefined) updates.unread_count = unreadCount
 
     // Pass accountId for secure update (bypasses RLS but uses account_id filter)
-    const conversation = await chatService.updateConversation(req.userToken, id, updates, accountId)
+    const conversation = await chatService.updateConversation(req.userToken, id, updates, accountId, { sendCsat })
 
     // Broadcast update via WebSocket
     const chatHandler = req.app.locals.chatHandler
@@ -805,6 +832,22 @@ router.get('/conversations/:id/messages', verifyUserToken, async (req, res) => {
   }
 })
 
+/**
+ * Build the provider adapter message for a chat message
+ * Media must be a public URL (the Cloud API does not take base64 data)
+ */
+function buildProviderMessage(to, messageType, { content, mediaUrl, mediaFilename, replyToMessageId }) {
+  if (messageType === 'text') {
+    return { to, text: content, replyToMessageId }
+  }
+
+  return {
+    to,
+    media: { type: messageType, url: mediaUrl, caption: content, filename: mediaFilename },
+    replyToMessageId
+  }
+}
+
 /**
  * POST /api/chat/inbox/conversations/:id/messages
  * Send a new message in a conversation
@@ -844,14 +887,19 @@ router.post('/conversations/:id/messages', verifyUserToken, async (req, res) =>
     // than the one the conversation belongs to. We must use the conversation's inbox token.
     // =================================================================================
     let wuzapiTokenToUse = req.userToken // Default to active inbox token
+    let cloudInbox = null // Inbox of the official WhatsApp Cloud API (sends through its adapter)
     const conversationInboxId = conversation.inboxId || conversation.inbox_id
     
     if (conversationInboxId) {
       // Get the WUZAPI token from the conversation's inbox
       const { data: conversationInbox, error: inboxError } = await supabaseService.queryAsAdmin('inboxes', (query) =>
-        query.select('wuzapi_token, name').eq('id', conversationInboxId).single()
+        query.select('id, wuzapi_token, name, provider_type, provider_config').eq('id', conversationInboxId).single()
       )
       
+      if (!inboxError && conversationInbox?.provider_type === 'whatsapp_cloud') {
+        cloudInbox = conversationInbox
+      }
+      
       if (!inboxError && conversationInbox?.wuzapi_token) {
         wuzapiTokenToUse = conversationInbox.wuzapi_token
         
@@ -1000,6 +1048,9 @@ router.post('/conversations/:id/messages', verifyUserToken, async (req, res) =>
         groupJid: validatedPhone,
         conversationId: id
       })
+    } else if (cloudInbox) {
+      // The Cloud API only receives messages from existing WhatsApp numbers
+      validatedPhone = phone
     } else {
       // Validate phone number using WUZAPI API (same as working chatRoutes.js)
       // Use the conversation's inbox token for validation
@@ -1038,6 +1089,7 @@ router.post('/conversations/:id/messages', verifyUserToken, async (req, res) =>
     const wuzapiBaseUrl = process.env.WUZAPI_BASE_URL || 'https://wzapi.wasend.com.br'
     let wuzapiResponse
     let wuzapiSuccess = false
+    let providerMessageId = null
     
     // Log token being used for WUZAPI call
     logger.info('Preparing WUZAPI message send', {
@@ -1052,7 +1104,22 @@ router.post('/conversations/:id/messages', verifyUserToken, async (req, res) =>
     })
     
     try {
-      if (messageType === 'text') {
+      if (cloudInbox) {
+        const adapter = ProviderAdapterFactory.getAdapterForInbox(cloudInbox)
+        const result = await adapter.sendMessage(cloudInbox, buildProviderMessage(validatedPhone, messageType, {
+          content,
+          mediaUrl,
+          mediaFilename,
+          replyToMessageId
+        }))
+        
+        if (!result.success) {
+          logger.error('WhatsApp Cloud API send failed', { conversationId: id, messageType, error: result.error })
+        }
+        
+        wuzapiSuccess = result.success
+        providerMessageId = result.messageId || null
+      } else if (messageType === 'text') {
         const payload = {
           Phone: validatedPhone,
           Body: content,
@@ -1200,8 +1267,10 @@ router.post('/conversations/:id/messages', verifyUserToken, async (req, res) =>
     // Update message status based on WUZAPI response
     const newStatus = wuzapiSuccess ? 'sent' : 'failed'
     
-    // Update message status in database
-    await supabaseService.update('chat_messages', message.id, { status: newStatus })
+    // Update message status in database (Cloud API status callbacks reference the provider message ID)
+    await supabaseService.update('chat_messages', message.id, providerMessageId
+      ? { status: newStatus, message_id: providerMessageId }
+      : { status: newStatus })
     
     // Update the message object to return
     message.status = newStatus
@@ -1212,9 +1281,9 @@ router.post('/conversations/:id/messages', verifyUserToken, async (req, res) =>
         phone: validatedPhone 
       })
     } else {
-      logger.info('Message sent via WUZAPI', { 
+      logger.info(cloudInbox ? 'Message sent via WhatsApp Cloud API' : 'Message sent via WUZAPI', { 
         conversationId: id, 
-        messageId: wuzapiResponse?.data?.Id,
+        messageId: providerMessageId || wuzapiResponse?.data?.Id,
         phone: validatedPhone,
         tokenPrefix: wuzapiTokenToUse?.substring(0, 15) + '...'
       })
@@ -1686,30 +1755,41 @@ router.post('/messages/:messageId/react', verifyUserToken, async (req, res) => {
 
 // ==================== Search Routes ====================
 
+/**
+ * Map full-text search errors to HTTP responses
+ */
+function handleSearchError(res, error) {
+  if (error.message === 'QUERY_TOO_SHORT') {
+    return res.status(400).json({ success: false, error: 'Search query must be at least 2 characters' })
+  }
+  if (error.message === 'QUERY_TOO_LONG' || error.message === 'INVALID_CURSOR' || error.message.startsWith('INVALID_FILTER')) {
+    return res.status(400).json({ success: false, error: error.message })
+  }
+  logger.error('Error searching messages', { error: error.message })
+  res.status(500).json({ success: false, error: error.message })
+}
+
 /**
  * GET /api/chat/inbox/search
- * Search messages across all conversations
+ * Full-text search across all conversations of the account
+ * Query: q, type (messages | conversations, default messages), inboxIds,
+ * labelIds, agentIds, from, to, direction, mediaTypes, includeNotes, cursor, limit
  */
 router.get('/search', verifyUserToken, async (req, res) => {
   try {
-    const { q, limit = 20 } = req.query
-    
-    if (!q || q.length < 2) {
-      return res.status(400).json({ success: false, error: 'Search query must be at least 2 characters' })
-    }
+    const accountId = req.accountId || req.context?.accountId || await new ChatService().getAccountIdFromToken(req.userToken)
 
-    // Using SupabaseService directly
-    if (!supabaseService) {
-      return res.status(500).json({ success: false, error: 'Database not available' })
+    if (!accountId) {
+      return res.status(401).json({ success: false, error: 'Account context not available' })
     }
 
-    const chatService = new ChatService()
-    const results = await chatService.searchMessages(req.userToken, q, { limit: parseInt(limit, 10) })
+    const result = req.query.type === SEARCH_TYPES.CONVERSATIONS
+      ? await MessageSearchService.searchConversations(accountId, req.query)
+      : await MessageSearchService.searchMessages(accountId, req.query)
 
-    res.json({ success: true, data: results })
+    res.json({ success: true, data: result.results, pagination: result.pagination })
   } catch (error) {
-    logger.error('Error searching messages', { error: error.message })
-    res.status(500).json({ success: false, error: error.message })
+    handleSearchError(res, error)
   }
 })
 
@@ -3287,4 +3367,94 @@ router.get('/conversations/:id/transfers', verifyUserToken, async (req, res) =>
   }
 })
 
+/**
+ * Map transcript export errors to HTTP responses
+ */
+function handleExportError(res, error, conversationId) {
+  logger.error('Error exporting conversation transcript', {
+    error: error.message,
+    conversationId
+  })
+
+  if (error.message === 'INVALID_FORMAT' || error.message === 'INVALID_TIMEZONE') {
+    return res.status(400).json({ success: false, error: error.message })
+  }
+  if (error.message.includes('not found') || error.message.includes('unauthorized')) {
+    return res.status(404).json({ success: false, error: error.message })
+  }
+
+  res.status(500).json({ success: false, error: error.message })
+}
+
+/**
+ * GET /api/chat/inbox/conversations/:id/export
+ * Export the conversation transcript (messages, media links, internal notes,
+ * label history and transfer history)
+ * Query: format (json | html | pdf, default json), timezone (default UTC)
+ * Large conversations are queued: responds 202 with an exportId to poll
+ */
+router.get('/conversations/:id/export', verifyUserToken, async (req, res) => {
+  try {
+    const { id } = req.params
+    const accountId = req.accountId || req.context?.accountId
+
+    if (!accountId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account context not available'
+      })
+    }
+
+    const result = await ConversationExportService.exportConversation(accountId, id, {
+      format: req.query.format,
+      timezone: req.query.timezone
+    })
+
+    if (result.queued) {
+      return res.status(202).json({
+        success: true,
+        data: { exportId: result.exportId, format: result.format, status: 'queued' }
+      })
+    }
+
+    if (result.file.contentType.startsWith('application/json')) {
+      return res.json({ success: true, data: result.transcript })
+    }
+
+    res.setHeader('Content-Type', result.file.contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${result.file.filename}"`)
+    res.send(result.file.body)
+  } catch (error) {
+    handleExportError(res, error, req.params.id)
+  }
+})
+
+/**
+ * GET /api/chat/inbox/conversations/:id/export/:exportId
+ * Status of a queued transcript export, with a download URL when completed
+ */
+router.get('/conversations/:id/export/:exportId', verifyUserToken, async (req, res) => {
+  try {
+    const { id, exportId } = req.params
+    const accountId = req.accountId || req.context?.accountId
+
+    if (!accountId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account context not available'
+      })
+    }
+
+    const status = await ConversationExportService.getExportStatus(accountId, id, exportId)
+
+    if (!status) {
+      return res.status(404).json({ success: false, error: 'Export not found' })
+    }
+
+    res.json({ success: true, data: status })
+  } catch (error) {
+    handleExportError(res, error, req.params.id)
+  }
+})
+
 module.exports = router
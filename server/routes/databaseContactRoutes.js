@@ -22,11 +22,10 @@ const verifyUserToken = async (req, res, next) => {
 router.post('/:id/preview', verifyUserToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { query } = req.body;
         const userToken = req.userToken;
 
         const fetcher = new ContactFetcherService();
-        const contacts = await fetcher.fetchContacts(id, userToken, query);
+        const contacts = await fetcher.fetchContacts(id, userToken);
 
         res.json({
             success: true,
@@ -48,11 +47,10 @@ router.post('/:id/preview', verifyUserToken, async (req, res) => {
 router.post('/:id/fetch', verifyUserToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { query } = req.body;
         const userToken = req.userToken;
 
         const fetcher = new ContactFetcherService();
-        const contacts = await fetcher.fetchContacts(id, userToken, query);
+        const contacts = await fetcher.fetchContacts(id, userToken);
 
         res.json({
             success: true,
@@ -11,6 +11,9 @@ const { featureMiddleware } = require('../middleware/featureEnforcement');
 const DatabaseConnectionService = require('../services/DatabaseConnectionService');
 const SupabaseConnectionService = require('../services/SupabaseConnectionService');
 const NocoDBConnectionService = require('../services/NocoDBConnectionService');
+const SQLConnectionService = require('../services/SQLConnectionService');
+const { ERROR_HTTP_STATUS: SQL_ERROR_HTTP_STATUS } = require('../services/SQLConnectionService');
+const CredentialVaultService = require('../services/CredentialVaultService');
 const { withCircuitBreaker } = require('../utils/circuitBreaker');
 
 const router = express.Router();
@@ -136,7 +139,7 @@ router.post('/', async (req, res) => {
     }
   } else {
     if (
-      !connectionData.database ||
+      !(connectionData.database || connectionData.database_name) ||
       !connectionData.username ||
       !connectionData.password
     ) {
@@ -294,6 +297,9 @@ router.put('/:id', async (req, res) => {
 
     const result = await DatabaseConnectionService.updateConnection(id, connectionData);
 
+    // Host, database or table may have changed
+    SQLConnectionService.clearCache(id);
+
     // Mask credentials in response
     const sanitizedResult = sanitizeConnection(result.data || result);
 
@@ -351,6 +357,11 @@ router.post('/:id/test', async (req, res) => {
       result = await withCircuitBreaker(circuitKey, async () => {
         return await SupabaseConnectionService.testConnection(connection);
       });
+    } else if (SQLConnectionService.isSQLType(connection.type)) {
+      const circuitKey = `sql:${id}`;
+      result = await withCircuitBreaker(circuitKey, async () => {
+        return await SQLConnectionService.testConnection(connection);
+      });
     } else {
       // Para tipos de banco não implementados, retornar mensagem apropriada
       result = {
@@ -1159,10 +1170,286 @@ router.post('/nocodb/metadata', async (req, res) => {
   }
 });
 
+/**
+ * Build a PostgreSQL/MySQL connection from credentials sent by the form
+ * With connection_id, an empty or masked password uses the stored one (edit form).
+ * @returns {Promise<{ connection?: Object, error?: string }>}
+ */
+async function resolveSQLCredentials(body) {
+  const { type, host, port, database, database_name, username, password, connection_id } = body || {};
+
+  if (!SQLConnectionService.isSQLType(type)) {
+    return { error: 'Tipo deve ser POSTGRES ou MYSQL' };
+  }
+  if (!host || !(database || database_name) || !username) {
+    return { error: 'Host, banco de dados e usuário são obrigatórios' };
+  }
+
+  let resolvedPassword = password;
+  if (connection_id && (!password || CredentialVaultService.isMask(password))) {
+    const stored = await DatabaseConnectionService.getConnectionById(connection_id);
+    resolvedPassword = stored?.password;
+  }
+
+  return {
+    connection: {
+      type: type.toUpperCase(),
+      host,
+      port,
+      database_name: database || database_name,
+      username,
+      password: resolvedPassword,
+    },
+  };
+}
+
+/**
+ * Respond with a SQLConnectionService error (request errors keep their status)
+ */
+function sendSQLError(res, err, error) {
+  if (err.code === 'CIRCUIT_OPEN') {
+    return res.status(503).json({
+      success: false,
+      error: 'Serviço temporariamente indisponível',
+      code: 'CIRCUIT_OPEN',
+      message: err.userMessage,
+    });
+  }
+
+  return res.status(SQL_ERROR_HTTP_STATUS[err.code] || 500).json({
+    success: false,
+    error,
+    code: err.code,
+    message: err.userMessage || err.message,
+    details: err.details,
+  });
+}
+
+// POST /api/database-connections/test-sql-credentials - Testar credenciais PostgreSQL/MySQL antes de salvar
+router.post('/test-sql-credentials', async (req, res) => {
+  const { connection, error } = await resolveSQLCredentials(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Dados inválidos',
+      code: 'VALIDATION_ERROR',
+      message: error,
+    });
+  }
+
+  try {
+    securityLogger.logSensitiveDataAccess({
+      userId: req.session?.userId,
+      ip: req.ip,
+      resource: 'sql_credentials:temp',
+      action: 'test_sql_credentials',
+    });
+
+    const result = await SQLConnectionService.testConnection({
+      ...connection,
+      table_name: req.body.table_name || undefined,
+    });
+
+    res.json({
+      success: result.success,
+      message: result.message,
+      data: {
+        status: result.status,
+        details: result.details,
+      },
+    });
+  } catch (err) {
+    logger.error('Erro ao testar credenciais SQL', {
+      error: err.message,
+      userId: req.session?.userId,
+    });
+
+    return sendSQLError(res, err, 'Erro ao testar credenciais');
+  }
+});
+
+// POST /api/database-connections/sql/tables - Listar tabelas com credenciais temporárias
+router.post('/sql/tables', async (req, res) => {
+  const { connection, error } = await resolveSQLCredentials(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Dados inválidos',
+      code: 'VALIDATION_ERROR',
+      message: error,
+    });
+  }
+
+  try {
+    securityLogger.logSensitiveDataAccess({
+      userId: req.session?.userId,
+      ip: req.ip,
+      resource: 'sql_credentials:temp',
+      action: 'list_sql_tables_temp',
+    });
+
+    const tables = await SQLConnectionService.listTables(connection);
+
+    res.json({
+      success: true,
+      data: tables,
+      count: tables.length,
+    });
+  } catch (err) {
+    logger.error('Erro ao listar tabelas SQL (temp)', {
+      error: err.message,
+      userId: req.session?.userId,
+    });
+
+    return sendSQLError(res, err, 'Erro ao listar tabelas');
+  }
+});
+
+// POST /api/database-connections/sql/columns - Obter colunas com credenciais temporárias
+router.post('/sql/columns', async (req, res) => {
+  const { connection, error } = await resolveSQLCredentials(req.body);
+  if (error || !req.body.table_name) {
+    return res.status(400).json({
+      success: false,
+      error: 'Dados inválidos',
+      code: 'VALIDATION_ERROR',
+      message: error || 'Nome da tabela é obrigatório',
+    });
+  }
+
+  try {
+    securityLogger.logSensitiveDataAccess({
+      userId: req.session?.userId,
+      ip: req.ip,
+      resource: 'sql_credentials:temp',
+      action: 'get_sql_columns_temp',
+    });
+
+    const columns = await SQLConnectionService.getTableColumns(connection, req.body.table_name);
+
+    res.json({
+      success: true,
+      data: columns,
+      count: columns.length,
+    });
+  } catch (err) {
+    logger.error('Erro ao obter colunas SQL (temp)', {
+      table: req.body.table_name,
+      error: err.message,
+      userId: req.session?.userId,
+    });
+
+    return sendSQLError(res, err, 'Erro ao obter colunas');
+  }
+});
+
+// GET /api/database-connections/:id/sql/tables - Listar tabelas de uma conexão PostgreSQL/MySQL
+router.get('/:id/sql/tables', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const connection = await DatabaseConnectionService.getConnectionById(id);
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conexão não encontrada',
+        code: 'CONNECTION_NOT_FOUND',
+      });
+    }
+
+    if (!SQLConnectionService.isSQLType(connection.type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tipo inválido',
+        code: 'INVALID_TYPE',
+        message: 'Esta rota é apenas para conexões do tipo POSTGRES ou MYSQL',
+      });
+    }
+
+    securityLogger.logSensitiveDataAccess({
+      userId: req.session?.userId,
+      ip: req.ip,
+      resource: `database_connection:${id}:credentials`,
+      action: 'list_sql_tables',
+    });
+
+    const tables = await withCircuitBreaker(`sql:${id}`, async () => {
+      return await SQLConnectionService.listTables(connection);
+    });
+
+    res.json({
+      success: true,
+      data: tables,
+      count: tables.length,
+    });
+  } catch (err) {
+    logger.error('Erro ao listar tabelas SQL', {
+      connectionId: id,
+      error: err.message,
+      userId: req.session?.userId,
+    });
+
+    return sendSQLError(res, err, 'Erro ao listar tabelas');
+  }
+});
+
+// GET /api/database-connections/:id/sql/columns/:table - Obter colunas de uma tabela PostgreSQL/MySQL
+router.get('/:id/sql/columns/:table', async (req, res) => {
+  const { id, table } = req.params;
+
+  try {
+    const connection = await DatabaseConnectionService.getConnectionById(id);
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conexão não encontrada',
+        code: 'CONNECTION_NOT_FOUND',
+      });
+    }
+
+    if (!SQLConnectionService.isSQLType(connection.type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tipo inválido',
+        code: 'INVALID_TYPE',
+        message: 'Esta rota é apenas para conexões do tipo POSTGRES ou MYSQL',
+      });
+    }
+
+    securityLogger.logSensitiveDataAccess({
+      userId: req.session?.userId,
+      ip: req.ip,
+      resource: `database_connection:${id}:credentials`,
+      action: 'get_sql_columns',
+    });
+
+    const columns = await withCircuitBreaker(`sql:${id}`, async () => {
+      return await SQLConnectionService.getTableColumns(connection, table);
+    });
+
+    res.json({
+      success: true,
+      data: columns,
+      count: columns.length,
+    });
+  } catch (err) {
+    logger.error('Erro ao obter colunas SQL', {
+      connectionId: id,
+      table,
+      error: err.message,
+      userId: req.session?.userId,
+    });
+
+    return sendSQLError(res, err, 'Erro ao obter colunas');
+  }
+});
+
 // GET /api/database-connections/:id/data - Buscar dados da tabela (admin - para preview no page builder)
 router.get('/:id/data', async (req, res) => {
   const { id } = req.params;
-  const { limit = 50, offset = 0 } = req.query;
+  const { limit = 50, offset = 0, page, filters, orderBy, ascending } = req.query;
 
   try {
     logger.info('Admin: Fetching table data for preview', {
@@ -1199,6 +1486,27 @@ router.get('/:id/data', async (req, res) => {
       });
     }
 
+    if (SQLConnectionService.isSQLType(connection.type)) {
+      // Filtros: ?filters[coluna]=valor ou ?filters[coluna][operador]=valor
+      const result = await withCircuitBreaker(`sql:${id}`, async () => {
+        return await SQLConnectionService.fetchRecords(connection, {
+          page: page ? parseInt(page) : Math.floor(parseInt(offset) / parseInt(limit)) + 1,
+          limit: parseInt(limit),
+          filters: typeof filters === 'object' ? filters : {},
+          orderBy: orderBy || null,
+          ascending: ascending === 'true',
+        });
+      });
+
+      return res.json({
+        success: true,
+        data: result.data,
+        count: result.count,
+        page: result.page,
+        totalPages: result.totalPages,
+      });
+    }
+
     if (connection.type === 'NOCODB') {
       // Buscar dados do NocoDB
       const axios = require('axios');
@@ -1239,6 +1547,10 @@ router.get('/:id/data', async (req, res) => {
       endpoint: `GET /database-connections/${id}/data`,
     });
 
+    if (err.code === 'CIRCUIT_OPEN' || SQL_ERROR_HTTP_STATUS[err.code]) {
+      return sendSQLError(res, err, 'Erro ao buscar dados da tabela');
+    }
+
     return res.status(500).json({
       success: false,
       error: 'Erro ao buscar dados da tabela',
@@ -63,6 +63,7 @@ const userPurchaseRoutes = require('./userPurchaseRoutes');
 const userCreditRoutes = require('./userCreditRoutes');
 const userCustomFieldRoutes = require('./userCustomFieldRoutes');
 const userSegmentRoutes = require('./userSegmentRoutes');
+const userSequenceRoutes = require('./userSequenceRoutes');
 
 // CRM Calendar Routes (Contact Calendar)
 const userAppointmentRoutes = require('./userAppointmentRoutes');
@@ -74,6 +75,7 @@ const jobStatusRoutes = require('./jobStatusRoutes');
 const chatApiV1Routes = require('./api/v1/chatRoutes');
 const webhookApiV1Routes = require('./api/v1/webhookRoutes');
 const apiKeyRoutes = require('./api/v1/apiKeyRoutes');
+const searchApiV1Routes = require('./api/v1/searchRoutes');
 
 // User Account Routes (subscription, quotas, features)
 const userSubscriptionRoutes = require('./userSubscriptionRoutes');
@@ -83,6 +85,7 @@ const resellerRoutes = require('./resellerRoutes');
 
 // Admin User Management Routes
 const adminPlanRoutes = require('./adminPlanRoutes');
+const adminRetentionPolicyRoutes = require('./adminRetentionPolicyRoutes');
 const adminUserSubscriptionRoutes = require('./adminUserSubscriptionRoutes');
 const adminUserQuotaRoutes = require('./adminUserQuotaRoutes');
 const adminUserFeatureRoutes = require('./adminUserFeatureRoutes');
@@ -106,6 +109,9 @@ const superadminTenantAccountRoutes = require('./superadminTenantAccountRoutes')
 const superadminTenantAgentRoutes = require('./superadminTenantAgentRoutes');
 const superadminMetricsRoutes = require('./superadminMetricsRoutes');
 const superadminImpersonationRoutes = require('./superadminImpersonationRoutes');
+const superadminCredentialVaultRoutes = require('./superadminCredentialVaultRoutes');
+const superadminMeteredBillingRoutes = require('./superadminMeteredBillingRoutes');
+const superadminDunningRoutes = require('./superadminDunningRoutes');
 
 // Tenant Admin Routes
 const tenantBrandingRoutes = require('./tenantBrandingRoutes');
@@ -126,6 +132,14 @@ const publicRoutes = require('./publicRoutes');
 const inboxContextRoutes = require('./inboxContextRoutes');
 const sessionInboxWebhookRoutes = require('./sessionInboxWebhookRoutes');
 const userInboxStatusRoutes = require('./userInboxStatusRoutes');
+const userSlaPolicyRoutes = require('./userSlaPolicyRoutes');
+const userBusinessHoursRoutes = require('./userBusinessHoursRoutes');
+const userRoutingRuleRoutes = require('./userRoutingRuleRoutes');
+const userCsatRoutes = require('./userCsatRoutes');
+const userKeywordCommandRoutes = require('./userKeywordCommandRoutes');
+const userDataSubjectRequestRoutes = require('./userDataSubjectRequestRoutes');
+const userRetentionPolicyRoutes = require('./userRetentionPolicyRoutes');
+const userCrmSyncRoutes = require('./userCrmSyncRoutes');
 
 logger.debug('contactImportRoutes loaded', { 
   type: typeof contactImportRoutes, 
@@ -158,6 +172,9 @@ function setupRoutes(app) {
   app.use('/api/superadmin', superadminTenantRoutes);        // Has /tenants/:id catch-all
   app.use('/api/superadmin', superadminMetricsRoutes);
   app.use('/api/superadmin', superadminImpersonationRoutes);
+  app.use('/api/superadmin', superadminCredentialVaultRoutes);
+  app.use('/api/superadmin', superadminMeteredBillingRoutes);
+  app.use('/api/superadmin', superadminDunningRoutes);
   
   // Tenant Admin Routes (require tenant admin auth and tenant context)
   app.use('/api/tenant', tenantBrandingRoutes);
@@ -170,6 +187,7 @@ function setupRoutes(app) {
   // Admin User Management Routes - MUST come BEFORE adminRoutes to avoid route conflicts
   // These routes have more specific paths like /users/:userId/subscription
   app.use('/api/admin/plans', adminPlanRoutes);
+  app.use('/api/admin/retention-policies', adminRetentionPolicyRoutes);
   app.use('/api/admin/users/bulk', adminBulkActionRoutes);
   app.use('/api/admin/users', adminUserSubscriptionRoutes);
   app.use('/api/admin/users', adminUserQuotaRoutes);
@@ -218,6 +236,22 @@ function setupRoutes(app) {
   app.use('/api/user', tenantRateLimiter, inboxContextRoutes);
   // Inbox Status Routes (Provider API as source of truth)
   app.use('/api/user', tenantRateLimiter, userInboxStatusRoutes);
+  // SLA Policy Routes (per-inbox response/resolution targets)
+  app.use('/api/user/sla-policies', tenantRateLimiter, userSlaPolicyRoutes);
+  // Business Hours Routes (per-inbox calendar and away message)
+  app.use('/api/user/business-hours', tenantRateLimiter, userBusinessHoursRoutes);
+  // Routing Rule Routes (skills, weighted teams, sticky agent, overflow)
+  app.use('/api/user/routing-rules', tenantRateLimiter, userRoutingRuleRoutes);
+  // CSAT Routes (satisfaction survey on resolution and report)
+  app.use('/api/user/csat', tenantRateLimiter, userCsatRoutes);
+  // Keyword Command Routes (inbound WhatsApp self-service commands)
+  app.use('/api/user/keyword-commands', tenantRateLimiter, userKeywordCommandRoutes);
+  // Data Subject Request Routes (LGPD export and erasure of a contact's data)
+  app.use('/api/user/data-subject-requests', tenantRateLimiter, userDataSubjectRequestRoutes);
+  // Retention Policy Routes (data retention, dry-run previews and legal holds)
+  app.use('/api/user/retention-policies', tenantRateLimiter, userRetentionPolicyRoutes);
+  // CRM Sync Routes (contacts <-> external tables of database connections)
+  app.use('/api/user/crm-sync', tenantRateLimiter, userCrmSyncRoutes);
   // Session Inbox Webhook Routes (tenant-scoped webhook configuration)
   app.use('/api/session/inboxes', tenantRateLimiter, sessionInboxWebhookRoutes);
   // IMPORTANT: userBotTestRoutes MUST come BEFORE userBotRoutes
@@ -243,6 +277,7 @@ function setupRoutes(app) {
   app.use('/api/user/credits', tenantRateLimiter, userCreditRoutes);
   app.use('/api/user/custom-fields', tenantRateLimiter, userCustomFieldRoutes);
   app.use('/api/user/segments', tenantRateLimiter, userSegmentRoutes);
+  app.use('/api/user/sequences', tenantRateLimiter, userSequenceRoutes);
   
   // CRM Calendar Routes (Contact Calendar)
   app.use('/api/user/appointments', tenantRateLimiter, userAppointmentRoutes);
@@ -253,6 +288,7 @@ function setupRoutes(app) {
   app.use('/api/v1/chat', tenantRateLimiter, chatApiV1Routes);
   app.use('/api/v1/webhooks', tenantRateLimiter, webhookApiV1Routes);
   app.use('/api/v1/api-keys', tenantRateLimiter, apiKeyRoutes);
+  app.use('/api/v1/search', tenantRateLimiter, searchApiV1Routes);
   
   // Stripe Webhook (no auth - uses signature verification)
   app.use('/api/webhooks/stripe', stripeWebhookRoutes);
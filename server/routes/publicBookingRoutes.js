@@ -0,0 +1,266 @@
+/**
+ * Public Booking Routes
+ *
+ * Self-service booking page of an account, mounted under /api/public/booking.
+ * The tenant comes from the subdomain (subdomainRouter) and the account from
+ * the page slug. Booking, cancelling and rescheduling require the
+ * X-Booking-Token returned after confirming the WhatsApp code.
+ *
+ * Requirements: Public tenant-branded booking with WhatsApp code verification
+ */
+
+const router = require('express').Router();
+const { z } = require('zod');
+const { logger } = require('../utils/logger');
+const { requireTenantContext } = require('../middleware/subdomainRouter');
+const { bookingCodeLimiter } = require('../middleware/rateLimiter');
+const PublicBookingService = require('../services/PublicBookingService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const slotsQuerySchema = z.object({
+  serviceId: z.string().uuid(),
+  date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/)
+});
+
+const codeRequestSchema = z.object({
+  phone: z.string().min(8).max(30)
+});
+
+const codeConfirmSchema = z.object({
+  phone: z.string().min(8).max(30),
+  code: z.string().regex(/^\d{6}$/)
+});
+
+const bookingSchema = z.object({
+  serviceId: z.string().uuid(),
+  startTime: z.string().datetime(),
+  name: z.string().max(255).optional(),
+  notes: z.string().max(1000).optional()
+});
+
+const appointmentParamsSchema = z.object({
+  id: z.string().uuid()
+});
+
+const cancelSchema = z.object({
+  reason: z.string().max(500).optional()
+});
+
+const rescheduleSchema = z.object({
+  startTime: z.string().datetime()
+});
+
+// Service error codes exposed to the booking page
+const ERROR_RESPONSES = {
+  SERVICE_NOT_FOUND: { status: 404, message: 'Serviço não encontrado' },
+  APPOINTMENT_NOT_FOUND: { status: 404, message: 'Agendamento não encontrado' },
+  INVALID_PHONE: { status: 400, message: 'Número de WhatsApp inválido' },
+  INVALID_CODE: { status: 400, message: 'Código incorreto' },
+  CODE_EXPIRED: { status: 400, message: 'Código expirado, solicite um novo' },
+  INVALID_SESSION: { status: 401, message: 'Sessão expirada, confirme seu número novamente' },
+  TOO_MANY_CODES: { status: 429, message: 'Muitos códigos solicitados, aguarde alguns minutos' },
+  SLOT_UNAVAILABLE: { status: 409, message: 'O horário selecionado não está disponível' },
+  APPOINTMENT_NOT_ACTIVE: { status: 409, message: 'Este agendamento não pode mais ser alterado' },
+  CHANGE_WINDOW_CLOSED: { status: 409, message: 'O prazo para alterar este agendamento já passou' },
+  BOOKING_INBOX_NOT_CONFIGURED: { status: 503, message: 'Agendamento online indisponível no momento' },
+  CODE_DELIVERY_FAILED: { status: 503, message: 'Não foi possível enviar o código pelo WhatsApp' }
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Load the published page of the slug into req.bookingPage
+ */
+async function loadBookingPage(req, res, next) {
+  try {
+    const page = await PublicBookingService.getPublishedPage(req.context.tenantId, req.params.slug);
+    if (!page) {
+      return res.status(404).json({ success: false, error: 'BOOKING_PAGE_NOT_FOUND' });
+    }
+
+    req.bookingPage = page;
+    next();
+  } catch (error) {
+    logger.error('Failed to load booking page', { error: error.message, slug: req.params.slug });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Resolve the X-Booking-Token into req.bookingSession
+ */
+async function requireBookingSession(req, res, next) {
+  try {
+    req.bookingSession = await PublicBookingService.resolveSession(req.bookingPage, req.get('X-Booking-Token'));
+    next();
+  } catch (error) {
+    handleError(res, error, req);
+  }
+}
+
+function handleError(res, error, req) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+
+  const known = ERROR_RESPONSES[error.message];
+  if (known) {
+    return res.status(known.status).json({ success: false, error: error.message, message: known.message });
+  }
+
+  logger.error('Public booking error', {
+    error: error.message,
+    path: req.path,
+    bookingPageId: req.bookingPage?.id,
+    ip: req.ip
+  });
+  res.status(500).json({ success: false, error: 'Internal server error' });
+}
+
+router.use(requireTenantContext);
+
+// ==================== PAGE ====================
+
+/**
+ * GET /api/public/booking/:slug
+ * Page details, tenant branding and active services
+ */
+router.get('/:slug', loadBookingPage, async (req, res) => {
+  try {
+    const page = req.bookingPage;
+    const services = await PublicBookingService.listServices(page);
+    const branding = req.context.tenant?.branding;
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      success: true,
+      data: {
+        slug: page.slug,
+        title: page.title || req.context.tenant?.name,
+        description: page.description,
+        maxDaysAhead: page.max_days_ahead,
+        branding: {
+          appName: branding?.app_name || req.context.tenant?.name,
+          logoUrl: branding?.logo_url || null,
+          primaryColor: branding?.primary_color || null,
+          secondaryColor: branding?.secondary_color || null
+        },
+        services
+      }
+    });
+  } catch (error) {
+    handleError(res, error, req);
+  }
+});
+
+/**
+ * GET /api/public/booking/:slug/slots?serviceId=&date=YYYY-MM-DD
+ * Open slots of a service on a date
+ */
+router.get('/:slug/slots', loadBookingPage, async (req, res) => {
+  try {
+    const query = slotsQuerySchema.parse(req.query);
+    const slots = await PublicBookingService.getAvailableSlots(req.bookingPage, query.serviceId, query.date);
+
+    res.json({ success: true, data: slots });
+  } catch (error) {
+    handleError(res, error, req);
+  }
+});
+
+// ==================== VERIFICATION ====================
+
+/**
+ * POST /api/public/booking/:slug/verification
+ * Send a one-time code to the WhatsApp number
+ */
+router.post('/:slug/verification', bookingCodeLimiter, loadBookingPage, async (req, res) => {
+  try {
+    const { phone } = codeRequestSchema.parse(req.body);
+    const result = await PublicBookingService.requestCode(req.bookingPage, phone);
+
+    res.status(202).json({ success: true, data: result });
+  } catch (error) {
+    handleError(res, error, req);
+  }
+});
+
+/**
+ * POST /api/public/booking/:slug/verification/confirm
+ * Exchange the code for a booking session token
+ */
+router.post('/:slug/verification/confirm', bookingCodeLimiter, loadBookingPage, async (req, res) => {
+  try {
+    const { phone, code } = codeConfirmSchema.parse(req.body);
+    const session = await PublicBookingService.verifyCode(req.bookingPage, phone, code);
+
+    res.json({ success: true, data: session });
+  } catch (error) {
+    handleError(res, error, req);
+  }
+});
+
+// ==================== APPOINTMENTS (VERIFIED CONTACT) ====================
+
+/**
+ * GET /api/public/booking/:slug/appointments
+ * Upcoming appointments of the verified contact
+ */
+router.get('/:slug/appointments', loadBookingPage, requireBookingSession, async (req, res) => {
+  try {
+    const appointments = await PublicBookingService.listAppointments(req.bookingPage, req.bookingSession);
+    res.json({ success: true, data: appointments });
+  } catch (error) {
+    handleError(res, error, req);
+  }
+});
+
+/**
+ * POST /api/public/booking/:slug/appointments
+ * Book a service
+ */
+router.post('/:slug/appointments', loadBookingPage, requireBookingSession, async (req, res) => {
+  try {
+    const data = bookingSchema.parse(req.body);
+    const appointment = await PublicBookingService.book(req.bookingPage, req.bookingSession, data);
+
+    res.status(201).json({ success: true, data: appointment });
+  } catch (error) {
+    handleError(res, error, req);
+  }
+});
+
+/**
+ * POST /api/public/booking/:slug/appointments/:id/cancel
+ * Cancel an appointment of the verified contact
+ */
+router.post('/:slug/appointments/:id/cancel', loadBookingPage, requireBookingSession, async (req, res) => {
+  try {
+    const { id } = appointmentParamsSchema.parse(req.params);
+    const { reason } = cancelSchema.parse(req.body || {});
+    const appointment = await PublicBookingService.cancel(req.bookingPage, req.bookingSession, id, reason);
+
+    res.json({ success: true, data: appointment });
+  } catch (error) {
+    handleError(res, error, req);
+  }
+});
+
+/**
+ * POST /api/public/booking/:slug/appointments/:id/reschedule
+ * Move an appointment of the verified contact to another slot
+ */
+router.post('/:slug/appointments/:id/reschedule', loadBookingPage, requireBookingSession, async (req, res) => {
+  try {
+    const { id } = appointmentParamsSchema.parse(req.params);
+    const { startTime } = rescheduleSchema.parse(req.body);
+    const appointment = await PublicBookingService.reschedule(req.bookingPage, req.bookingSession, id, startTime);
+
+    res.json({ success: true, data: appointment });
+  } catch (error) {
+    handleError(res, error, req);
+  }
+});
+
+module.exports = router;
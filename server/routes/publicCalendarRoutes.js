@@ -0,0 +1,42 @@
+/**
+ * Public Calendar Routes
+ *
+ * Secret ICS feeds of the CRM calendar, mounted under /api/public/calendar.
+ * The token in the URL is the only credential, so unknown tokens get the
+ * same 404 as malformed ones. Express answers unchanged feeds with 304
+ * through the ETag of the response.
+ *
+ * Requirements: Secret ICS feed URLs per account and agent
+ */
+
+const router = require('express').Router();
+const { logger } = require('../utils/logger');
+const CalendarFeedService = require('../services/CalendarFeedService');
+
+const TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+
+/**
+ * GET /api/public/calendar/:token.ics
+ * ICS feed of the account or agent that owns the token
+ */
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const feed = TOKEN_PATTERN.test(token) ? await CalendarFeedService.resolveToken(token) : null;
+    if (!feed) {
+      return res.status(404).json({ success: false, error: 'CALENDAR_NOT_FOUND' });
+    }
+
+    const ics = await CalendarFeedService.buildCalendar(feed);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="agenda.ics"');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    logger.error('Failed to build calendar feed', { error: error.message, ip: req.ip });
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
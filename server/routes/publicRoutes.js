@@ -11,6 +11,14 @@ const { logger } = require('../utils/logger');
 const tenantService = require('../services/TenantService');
 const CacheService = require('../services/CacheService');
 const redisClient = require('../utils/redisClient');
+const publicBookingRoutes = require('./publicBookingRoutes');
+const publicCalendarRoutes = require('./publicCalendarRoutes');
+
+// Self-service booking pages (tenant from the subdomain)
+router.use('/booking', publicBookingRoutes);
+
+// Secret ICS feeds (account from the token)
+router.use('/calendar', publicCalendarRoutes);
 
 /**
  * GET /api/public/branding
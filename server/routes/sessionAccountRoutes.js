@@ -874,7 +874,7 @@ router.post('/inboxes', requireAuth, async (req, res) => {
     
     const account = await getOrCreateAccount(getUserId(req), getUserToken(req));
     
-    const { name, description, channelType, phoneNumber, enableAutoAssignment, autoAssignmentConfig, greetingEnabled, greetingMessage, wuzapiConfig } = req.body;
+    const { name, description, channelType, phoneNumber, enableAutoAssignment, autoAssignmentConfig, greetingEnabled, greetingMessage, wuzapiConfig, providerType, providerConfig } = req.body;
     
     if (!name) {
       return res.status(400).json({
@@ -902,6 +902,8 @@ router.post('/inboxes', requireAuth, async (req, res) => {
       greetingEnabled,
       greetingMessage,
       wuzapiConfig,
+      providerType,
+      providerConfig,
       maxInboxes,
       createdBy: req.session.userId
     });
@@ -927,6 +929,14 @@ router.post('/inboxes', requireAuth, async (req, res) => {
       });
     }
     
+    // Unknown provider or incomplete Cloud API credentials
+    if (error.message?.startsWith('INVALID_PROVIDER')) {
+      return res.status(400).json({
+        error: error.message,
+        code: 'INVALID_PROVIDER'
+      });
+    }
+    
     // Handle WUZAPI errors
     if (error.message?.includes('WUZAPI') || error.message?.includes('WhatsApp')) {
       return res.status(500).json({
@@ -13,31 +13,9 @@ const StripeService = require('../services/StripeService');
 const SubscriptionService = require('../services/SubscriptionService');
 const SupabaseService = require('../services/SupabaseService');
 const ContactPurchaseService = require('../services/ContactPurchaseService');
-
-/**
- * Get webhook secret from global_settings
- */
-async function getWebhookSecret() {
-  try {
-    const { data } = await SupabaseService.adminClient
-      .from('global_settings')
-      .select('value')
-      .eq('key', 'stripe_webhook_secret')
-      .single();
-
-    if (!data?.value?.key) return null;
-    
-    // Decrypt if needed
-    const key = data.value.key;
-    if (key.startsWith('enc:')) {
-      return key.substring(4);
-    }
-    return key;
-  } catch (error) {
-    logger.error('Failed to get webhook secret', { error: error.message });
-    return null;
-  }
-}
+const MeteredBillingService = require('../services/MeteredBillingService');
+const DunningService = require('../services/DunningService');
+const { getWebhookSecret } = require('../utils/stripeClient');
 
 /**
  * Log webhook event to database
@@ -200,7 +178,7 @@ async function handleSubscriptionUpdated(subscription) {
   // Find subscription by Stripe ID
   const { data: localSub } = await SupabaseService.adminClient
     .from('user_subscriptions')
-    .select('id, account_id')
+    .select('id, account_id, status')
     .eq('stripe_subscription_id', subscription.id)
     .single();
 
@@ -222,7 +200,12 @@ async function handleSubscriptionUpdated(subscription) {
     incomplete_expired: 'expired',
   };
 
-  const localStatus = statusMap[subscription.status] || subscription.status;
+  let localStatus = statusMap[subscription.status] || subscription.status;
+
+  // Suspended by dunning: stays suspended until the invoice is paid
+  if (localSub.status === 'suspended' && localStatus === 'past_due') {
+    localStatus = 'suspended';
+  }
 
   // Update local subscription
   await SupabaseService.adminClient
@@ -269,10 +252,13 @@ async function handleSubscriptionDeleted(subscription) {
 
     logger.info('Subscription marked as canceled', { subscriptionId: localSub.id });
   }
+
+  await DunningService.handleSubscriptionCancelled(subscription.id);
 }
 
 /**
  * Handle invoice.payment_failed event
+ * Marks the subscription past_due and opens (or updates) its dunning case
  */
 async function handlePaymentFailed(invoice) {
   logger.info('Processing invoice.payment_failed', { 
@@ -280,32 +266,20 @@ async function handlePaymentFailed(invoice) {
     customerId: invoice.customer,
   });
 
-  // Find account by customer ID
-  const { data: account } = await SupabaseService.adminClient
-    .from('accounts')
-    .select('id')
-    .eq('stripe_customer_id', invoice.customer)
-    .single();
+  const dunningCase = await DunningService.handlePaymentFailed(invoice);
 
-  if (account) {
-    // Update subscription status to past_due
-    await SupabaseService.adminClient
-      .from('user_subscriptions')
-      .update({
-        status: 'past_due',
-        updated_at: new Date().toISOString(),
-      })
-      .eq('account_id', account.id);
-
-    // TODO: Send notification to user about failed payment
+  if (dunningCase) {
     logger.info('Subscription marked as past_due due to payment failure', { 
-      accountId: account.id 
+      accountId: dunningCase.account_id,
+      dunningCaseId: dunningCase.id,
+      stage: dunningCase.stage
     });
   }
 }
 
 /**
- * Handle invoice.paid event (for credit purchases and CRM integration)
+ * Handle invoice.paid event (credit purchases, dunning recovery, metered usage
+ * reconciliation and CRM integration)
  */
 async function handleInvoicePaid(invoice) {
   logger.info('Processing invoice.paid', { 
@@ -330,8 +304,14 @@ async function handleInvoicePaid(invoice) {
     }
   }
 
+  // Dunning: a paid subscription invoice closes the case and restores access
+  await DunningService.handleInvoicePaid(invoice);
+
   // CRM Integration: Create purchase record for contact matching
   await createCRMPurchaseFromInvoice(invoice);
+
+  // Metered billing: compare invoiced usage with the usage reported to Stripe
+  await MeteredBillingService.reconcileInvoice(invoice);
 }
 
 /**
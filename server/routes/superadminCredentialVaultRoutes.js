@@ -0,0 +1,115 @@
+/**
+ * Superadmin Credential Vault Routes
+ *
+ * Key management of the credential vault (services/CredentialVaultService.js):
+ * status, master key rotation, per-tenant data key rotation and
+ * re-encryption of stored secrets. Responses never include key material.
+ *
+ * Requirements: Encrypted credential vault with key rotation
+ */
+
+const router = require('express').Router();
+const { logger } = require('../utils/logger');
+const { requireSuperadmin } = require('../middleware/superadminAuth');
+const CredentialVaultService = require('../services/CredentialVaultService');
+const { reencryptSecrets, rotateTenantDataKey } = require('../services/CredentialVaultStores');
+
+function getSuperadminId(req) {
+  return req.user?.id || req.session?.userId;
+}
+
+/**
+ * GET /api/superadmin/credential-vault
+ * Vault status (master key id, data key counts)
+ */
+router.get('/credential-vault', requireSuperadmin, async (req, res) => {
+  try {
+    const status = await CredentialVaultService.getStatus();
+
+    res.json({ success: true, data: status });
+  } catch (error) {
+    logger.error('Failed to get credential vault status', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/superadmin/credential-vault/rotate-master-key
+ * Rewrap every data key with the current CREDENTIAL_VAULT_MASTER_KEY
+ */
+router.post('/credential-vault/rotate-master-key', requireSuperadmin, async (req, res) => {
+  try {
+    const result = await CredentialVaultService.rotateMasterKey();
+
+    logger.info('Credential vault master key rotated by superadmin', {
+      superadminId: getSuperadminId(req),
+      masterKeyId: result.masterKeyId,
+      rewrapped: result.rewrapped,
+      failed: result.failed.length
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Failed to rotate credential vault master key', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/superadmin/credential-vault/tenants/:tenantId/rotate
+ * Rotate a tenant's data key and re-encrypt its secrets
+ * Use "platform" as tenantId for the platform secrets (global settings)
+ */
+router.post('/credential-vault/tenants/:tenantId/rotate', requireSuperadmin, async (req, res) => {
+  try {
+    const tenantId = req.params.tenantId === 'platform' ? null : req.params.tenantId;
+
+    const result = await rotateTenantDataKey(tenantId);
+
+    logger.info('Credential vault data key rotated by superadmin', {
+      superadminId: getSuperadminId(req),
+      tenantId,
+      dataKeyId: result.rotation.dataKeyId
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Failed to rotate credential vault data key', {
+      error: error.message,
+      superadminId: getSuperadminId(req),
+      tenantId: req.params.tenantId
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/superadmin/credential-vault/reencrypt
+ * Re-encrypt stored secrets with the active data keys (body: { dryRun })
+ */
+router.post('/credential-vault/reencrypt', requireSuperadmin, async (req, res) => {
+  try {
+    const summary = await reencryptSecrets({ dryRun: req.body?.dryRun === true });
+
+    logger.info('Stored secrets re-encrypted by superadmin', {
+      superadminId: getSuperadminId(req),
+      dryRun: req.body?.dryRun === true
+    });
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Failed to re-encrypt stored secrets', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
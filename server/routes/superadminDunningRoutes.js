@@ -0,0 +1,107 @@
+/**
+ * Superadmin Dunning Routes
+ *
+ * Accounts with failed subscription payments across all tenants
+ * (services/DunningService.js): cases by stage, their timeline and the
+ * notifications sent.
+ *
+ * Requirements: Dunning workflow for failed subscription payments
+ */
+
+const router = require('express').Router();
+const { logger } = require('../utils/logger');
+const { requireSuperadmin } = require('../middleware/superadminAuth');
+const DunningService = require('../services/DunningService');
+
+function getSuperadminId(req) {
+  return req.user?.id || req.session?.userId;
+}
+
+/**
+ * GET /api/superadmin/dunning/summary
+ * Open cases and amount due per stage
+ */
+router.get('/dunning/summary', requireSuperadmin, async (req, res) => {
+  try {
+    const summary = await DunningService.getSummary();
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Failed to get dunning summary', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/superadmin/dunning/cases
+ * Dunning cases (?stage=&tenantId=&open=true|false&limit=&offset=)
+ */
+router.get('/dunning/cases', requireSuperadmin, async (req, res) => {
+  try {
+    const { cases, total } = await DunningService.listCases({
+      stage: req.query.stage,
+      tenantId: req.query.tenantId,
+      open: req.query.open,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({ success: true, data: cases, total });
+  } catch (error) {
+    logger.error('Failed to list dunning cases', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/superadmin/dunning/cases/:caseId
+ * Dunning case with its notifications
+ */
+router.get('/dunning/cases/:caseId', requireSuperadmin, async (req, res) => {
+  try {
+    const dunningCase = await DunningService.getCase(req.params.caseId);
+    if (!dunningCase) {
+      return res.status(404).json({ success: false, error: 'Dunning case not found' });
+    }
+
+    res.json({ success: true, data: dunningCase });
+  } catch (error) {
+    logger.error('Failed to get dunning case', {
+      error: error.message,
+      superadminId: getSuperadminId(req),
+      caseId: req.params.caseId
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/superadmin/dunning/process
+ * Advance the open cases now instead of waiting for the scheduled job
+ */
+router.post('/dunning/process', requireSuperadmin, async (req, res) => {
+  try {
+    const summary = await DunningService.processOpenCases({ now: new Date() });
+
+    logger.info('Dunning cases processed by superadmin', {
+      superadminId: getSuperadminId(req),
+      ...summary
+    });
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Failed to process dunning cases', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
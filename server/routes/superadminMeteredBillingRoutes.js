@@ -0,0 +1,168 @@
+/**
+ * Superadmin Metered Billing Routes
+ *
+ * Usage-based billing of the global plans (services/PlanService.js): included
+ * message/bot-token allowances and overage prices, Stripe sync of the metered
+ * prices and the usage reported to Stripe (services/MeteredBillingService.js).
+ *
+ * Requirements: Stripe usage-based billing for messages and bot tokens
+ */
+
+const router = require('express').Router();
+const { logger } = require('../utils/logger');
+const { requireSuperadmin } = require('../middleware/superadminAuth');
+const PlanService = require('../services/PlanService');
+const MeteredBillingService = require('../services/MeteredBillingService');
+
+const planService = new PlanService();
+
+function getSuperadminId(req) {
+  return req.user?.id || req.session?.userId;
+}
+
+/**
+ * Summary of a plan with its metered billing configuration
+ * @param {Object} plan - Formatted plan
+ * @returns {Object}
+ */
+function toMeteredPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    status: plan.status,
+    priceCents: plan.priceCents,
+    billingCycle: plan.billingCycle,
+    stripePriceId: plan.stripePriceId,
+    meteredBilling: plan.meteredBilling
+  };
+}
+
+/**
+ * GET /api/superadmin/metered-billing/plans
+ * Plans with their metered billing configuration
+ */
+router.get('/metered-billing/plans', requireSuperadmin, async (req, res) => {
+  try {
+    const plans = await planService.listPlans();
+
+    res.json({ success: true, data: plans.filter(plan => !plan.isCreditPackage).map(toMeteredPlan) });
+  } catch (error) {
+    logger.error('Failed to list metered billing plans', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/superadmin/metered-billing/plans/:planId
+ * Update allowances and overage prices (body: { meteredBilling })
+ * Price changes reach Stripe on the next sync
+ */
+router.put('/metered-billing/plans/:planId', requireSuperadmin, async (req, res) => {
+  try {
+    const { meteredBilling } = req.body || {};
+    if (!meteredBilling || typeof meteredBilling !== 'object') {
+      return res.status(400).json({ success: false, error: 'meteredBilling is required' });
+    }
+
+    const plan = await planService.updatePlan(req.params.planId, { meteredBilling });
+
+    logger.info('Plan metered billing updated by superadmin', {
+      superadminId: getSuperadminId(req),
+      planId: plan.id
+    });
+
+    res.json({ success: true, data: toMeteredPlan(plan) });
+  } catch (error) {
+    if (error.message === 'Plan not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.message.startsWith('Invalid metered billing')) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    logger.error('Failed to update plan metered billing', {
+      error: error.message,
+      superadminId: getSuperadminId(req),
+      planId: req.params.planId
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/superadmin/metered-billing/plans/:planId/sync
+ * Create the plan prices in Stripe, metered prices included
+ */
+router.post('/metered-billing/plans/:planId/sync', requireSuperadmin, async (req, res) => {
+  try {
+    const plan = await planService.syncPlanToStripe(req.params.planId);
+
+    logger.info('Plan synced to Stripe by superadmin', {
+      superadminId: getSuperadminId(req),
+      planId: plan.id
+    });
+
+    res.json({ success: true, data: toMeteredPlan(plan) });
+  } catch (error) {
+    if (error.message === 'Plan not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+
+    logger.error('Failed to sync plan to Stripe', {
+      error: error.message,
+      superadminId: getSuperadminId(req),
+      planId: req.params.planId
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/superadmin/metered-billing/reports
+ * Usage reported to Stripe (?status=open|closed|reconciled|mismatch&accountId=&limit=)
+ */
+router.get('/metered-billing/reports', requireSuperadmin, async (req, res) => {
+  try {
+    const reports = await MeteredBillingService.listReports({
+      status: req.query.status,
+      accountId: req.query.accountId,
+      limit: req.query.limit
+    });
+
+    res.json({ success: true, data: reports });
+  } catch (error) {
+    logger.error('Failed to list metered usage reports', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/superadmin/metered-billing/report
+ * Report usage now instead of waiting for the scheduled job
+ */
+router.post('/metered-billing/report', requireSuperadmin, async (req, res) => {
+  try {
+    const summary = await MeteredBillingService.reportAllUsage({ now: new Date() });
+
+    logger.info('Metered usage reported by superadmin', {
+      superadminId: getSuperadminId(req),
+      ...summary
+    });
+
+    res.json({ success: true, data: summary });
+  } catch (error) {
+    logger.error('Failed to report metered usage', {
+      error: error.message,
+      superadminId: getSuperadminId(req)
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -17,13 +17,19 @@ const { z } = require('zod');
 
 // Services
 const AppointmentService = require('../services/AppointmentService');
+const AppointmentSeriesService = require('../services/AppointmentSeriesService');
 const AppointmentServiceTypeService = require('../services/AppointmentServiceTypeService');
 const BlockedSlotService = require('../services/BlockedSlotService');
+const PublicBookingService = require('../services/PublicBookingService');
+const AppointmentReminderService = require('../services/AppointmentReminderService');
+const CalendarFeedService = require('../services/CalendarFeedService');
+const CalendarImportService = require('../services/CalendarImportService');
 const SupabaseService = require('../services/SupabaseService');
 
 // Validators
 const {
   validateAppointment,
+  validateRecurringPattern,
   validateService,
   validateBlockedSlot,
   validateStatusTransition
@@ -48,6 +54,81 @@ const calendarEventsQuerySchema = z.object({
   types: z.string().optional() // comma-separated: appointment,scheduled_message,campaign,blocked
 });
 
+const bookingPageSchema = z.object({
+  slug: z.string().min(1).max(64),
+  inboxId: z.string().uuid().nullable().optional(),
+  title: z.string().max(255).nullable().optional(),
+  description: z.string().max(2000).nullable().optional(),
+  isEnabled: z.boolean().optional(),
+  slotIntervalMinutes: z.number().int().min(5).max(240).optional(),
+  minNoticeMinutes: z.number().int().min(0).optional(),
+  maxDaysAhead: z.number().int().min(1).max(365).optional(),
+  cancellationNoticeMinutes: z.number().int().min(0).optional()
+});
+
+const reminderRuleSchema = z.object({
+  serviceId: z.string().uuid().nullable().optional(),
+  inboxId: z.string().uuid().nullable().optional(),
+  offsetMinutes: z.number().int().min(1).max(43200),
+  messageTemplate: z.string().min(1).max(2000),
+  askConfirmation: z.boolean().optional(),
+  isActive: z.boolean().optional()
+});
+
+const reminderRuleUpdateSchema = reminderRuleSchema.partial();
+
+// Reminder rule errors thrown by AppointmentReminderService
+const REMINDER_RULE_ERRORS = {
+  RULE_NOT_FOUND: { status: 404, error: 'Reminder rule not found' },
+  SERVICE_NOT_FOUND: { status: 404, error: 'Service not found' },
+  INBOX_NOT_FOUND: { status: 404, error: 'Inbox not found' },
+  INVALID_OFFSET: { status: 400, error: 'INVALID_OFFSET', message: 'O lembrete deve ser enviado entre 1 minuto e 30 dias antes' },
+  INVALID_TEMPLATE: { status: 400, error: 'INVALID_TEMPLATE', message: 'Modelo de mensagem inválido' }
+};
+
+const calendarFeedSchema = z.object({
+  agentId: z.string().uuid().nullable().optional()
+});
+
+const calendarImportSchema = z.object({
+  name: z.string().min(1).max(100),
+  url: z.string().max(2000).optional(),
+  content: z.string().max(2 * 1024 * 1024).optional()
+}).refine(data => !!data.url !== !!data.content, { message: 'Informe a URL ou o conteúdo do arquivo ICS' });
+
+const calendarSyncSchema = z.object({
+  content: z.string().max(2 * 1024 * 1024).optional()
+});
+
+// Calendar feed and import errors thrown by CalendarFeedService / CalendarImportService
+const CALENDAR_ERRORS = {
+  AGENT_NOT_FOUND: { status: 404, error: 'Agent not found' },
+  FEED_NOT_FOUND: { status: 404, error: 'Calendar feed not found' },
+  IMPORT_NOT_FOUND: { status: 404, error: 'Calendar import not found' },
+  INVALID_CALENDAR_URL: { status: 400, error: 'INVALID_CALENDAR_URL', message: 'Use um endereço https:// ou webcal:// público' },
+  INVALID_CALENDAR: { status: 400, error: 'INVALID_CALENDAR', message: 'O arquivo não é uma agenda ICS válida' },
+  CALENDAR_CONTENT_REQUIRED: { status: 400, error: 'CALENDAR_CONTENT_REQUIRED', message: 'Envie o arquivo ICS atualizado' },
+  CALENDAR_FETCH_FAILED: { status: 502, error: 'CALENDAR_FETCH_FAILED', message: 'Não foi possível baixar a agenda' }
+};
+
+// Occurrences a series change applies to: the one edited, it and the next ones, or all of them
+const seriesScopeSchema = z.object({
+  scope: z.enum(['this', 'following', 'all']).default('this')
+});
+
+const seriesUpdateSchema = z.object({
+  recurringPattern: z.record(z.unknown()).optional(),
+  conflictStrategy: z.enum(['skip', 'fail']).optional()
+});
+
+// Appointment errors thrown by AppointmentService / AppointmentSeriesService
+const APPOINTMENT_ERRORS = {
+  APPOINTMENT_NOT_FOUND: { status: 404, error: 'Appointment not found' },
+  SLOT_UNAVAILABLE: { status: 409, error: 'SLOT_UNAVAILABLE', message: 'O horário selecionado não está disponível' },
+  RECURRENCE_CONFLICT: { status: 409, error: 'RECURRENCE_CONFLICT', message: 'Algumas ocorrências da recorrência coincidem com outros horários' },
+  INVALID_RECURRENCE_START: { status: 400, error: 'INVALID_RECURRENCE_START', message: 'O início não corresponde a uma ocorrência da recorrência' }
+};
+
 const statusUpdateSchema = z.object({
   status: z.enum(['scheduled', 'confirmed', 'completed', 'cancelled', 'no_show']),
   reason: z.string().max(500).optional()
@@ -87,6 +168,75 @@ async function verifyContactOwnership(contactId, accountId) {
   return !error && !!data;
 }
 
+/**
+ * Verify agent belongs to account
+ */
+async function verifyAgentOwnership(agentId, accountId) {
+  const queryFn = (query) => query
+    .select('id')
+    .eq('id', agentId)
+    .eq('account_id', accountId)
+    .single();
+
+  const { data, error } = await SupabaseService.queryAsAdmin('agents', queryFn);
+  return !error && !!data;
+}
+
+/**
+ * Respond to a calendar feed or import error
+ */
+function handleCalendarError(res, error, endpoint) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+
+  const known = CALENDAR_ERRORS[error.message];
+  if (known) {
+    const { status, ...body } = known;
+    return res.status(status).json({ success: false, ...body });
+  }
+
+  logger.error('Error handling calendar sync', { error: error.message, endpoint });
+  res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Respond to an appointment or series error (conflicts listed for RECURRENCE_CONFLICT)
+ */
+function handleAppointmentError(res, error, endpoint) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+
+  const known = APPOINTMENT_ERRORS[error.message];
+  if (known) {
+    const { status, ...body } = known;
+    const conflicts = error.details ? { conflicts: error.details } : {};
+    return res.status(status).json({ success: false, ...body, ...conflicts });
+  }
+
+  logger.error('Error handling appointment', { error: error.message, endpoint });
+  res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Respond to a reminder rule error
+ */
+function handleReminderRuleError(res, error, endpoint) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+
+  const known = REMINDER_RULE_ERRORS[error.message];
+  if (known) {
+    const { status, ...body } = known;
+    return res.status(status).json({ success: false, ...body });
+  }
+
+  logger.error('Error handling reminder rule', { error: error.message, endpoint });
+  res.status(500).json({ success: false, error: error.message });
+}
+
 // ==================== STATIC ROUTES (MUST COME FIRST) ====================
 // These routes have fixed paths and must be defined before /:id routes
 
@@ -174,7 +324,14 @@ router.get('/calendar-events', validateSupabaseToken, async (req, res) => {
         );
       }
 
-      for (const apt of appointmentResult.data) {
+      // Series occurrences that are not rows yet are expanded for the range
+      const occurrences = await AppointmentSeriesService.getOccurrences(context.accountId, context.tenantId, {
+        startDate,
+        endDate,
+        contactId: query.contactId
+      });
+
+      for (const apt of [...appointmentResult.data, ...occurrences]) {
         events.push({
           id: apt.id,
           type: 'appointment',
@@ -451,6 +608,296 @@ router.delete('/blocked-slots/:id', validateSupabaseToken, async (req, res) => {
   }
 });
 
+// ==================== BOOKING PAGE ROUTES (STATIC PATHS) ====================
+
+/**
+ * GET /api/user/appointments/booking-page
+ * Get the public booking page settings
+ */
+router.get('/booking-page', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const page = await PublicBookingService.getPageSettings(context.accountId);
+    res.json({ success: true, data: page });
+  } catch (error) {
+    logger.error('Error fetching booking page', {
+      error: error.message,
+      endpoint: '/api/user/appointments/booking-page'
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/user/appointments/booking-page
+ * Create or update the public booking page
+ */
+router.put('/booking-page', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = bookingPageSchema.parse(req.body);
+    const page = await PublicBookingService.savePageSettings(context.accountId, context.tenantId, validated);
+
+    res.json({ success: true, data: page });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+    }
+    if (error.message === 'INVALID_SLUG') {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_SLUG',
+        message: 'Use apenas letras minúsculas, números e hífens'
+      });
+    }
+    if (error.message === 'INBOX_NOT_FOUND') {
+      return res.status(404).json({ success: false, error: 'Inbox not found' });
+    }
+    if (error.message === 'SLUG_TAKEN') {
+      return res.status(409).json({
+        success: false,
+        error: 'SLUG_TAKEN',
+        message: 'Este endereço já está em uso'
+      });
+    }
+    logger.error('Error saving booking page', {
+      error: error.message,
+      endpoint: '/api/user/appointments/booking-page'
+    });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== REMINDER RULE ROUTES (STATIC PATHS) ====================
+
+/**
+ * GET /api/user/appointments/reminder-rules
+ * List WhatsApp reminder rules
+ */
+router.get('/reminder-rules', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const rules = await AppointmentReminderService.getRules(context.accountId);
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    handleReminderRuleError(res, error, '/api/user/appointments/reminder-rules');
+  }
+});
+
+/**
+ * POST /api/user/appointments/reminder-rules
+ * Create a reminder rule (serviceId null = default for services without rules)
+ */
+router.post('/reminder-rules', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = reminderRuleSchema.parse(req.body);
+    const rule = await AppointmentReminderService.createRule(context.accountId, context.tenantId, validated);
+
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    handleReminderRuleError(res, error, '/api/user/appointments/reminder-rules');
+  }
+});
+
+/**
+ * PUT /api/user/appointments/reminder-rules/:id
+ * Update a reminder rule
+ */
+router.put('/reminder-rules/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = reminderRuleUpdateSchema.parse(req.body);
+    const rule = await AppointmentReminderService.updateRule(context.accountId, req.params.id, validated);
+
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    handleReminderRuleError(res, error, '/api/user/appointments/reminder-rules/:id');
+  }
+});
+
+/**
+ * DELETE /api/user/appointments/reminder-rules/:id
+ * Delete a reminder rule
+ */
+router.delete('/reminder-rules/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    await AppointmentReminderService.deleteRule(context.accountId, req.params.id);
+    res.json({ success: true, message: 'Reminder rule deleted' });
+  } catch (error) {
+    handleReminderRuleError(res, error, '/api/user/appointments/reminder-rules/:id');
+  }
+});
+
+// ==================== CALENDAR FEED ROUTES (STATIC PATHS) ====================
+
+/**
+ * GET /api/user/appointments/calendar-feeds
+ * List ICS feeds of the account and its agents (URLs are only shown on creation)
+ */
+router.get('/calendar-feeds', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const feeds = await CalendarFeedService.getFeeds(context.accountId);
+    res.json({ success: true, data: feeds });
+  } catch (error) {
+    handleCalendarError(res, error, '/api/user/appointments/calendar-feeds');
+  }
+});
+
+/**
+ * POST /api/user/appointments/calendar-feeds
+ * Create (or rotate) the ICS feed of the account or of an agent
+ */
+router.post('/calendar-feeds', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const { agentId } = calendarFeedSchema.parse(req.body || {});
+    const { feed, token } = await CalendarFeedService.rotateFeed(context.accountId, context.tenantId, agentId || null);
+
+    res.status(201).json({
+      success: true,
+      data: { ...feed, url: CalendarFeedService.getFeedUrl(`${req.protocol}://${req.get('host')}`, token) }
+    });
+  } catch (error) {
+    handleCalendarError(res, error, '/api/user/appointments/calendar-feeds');
+  }
+});
+
+/**
+ * DELETE /api/user/appointments/calendar-feeds/:id
+ * Delete an ICS feed (subscribed calendars stop updating)
+ */
+router.delete('/calendar-feeds/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    await CalendarFeedService.deleteFeed(context.accountId, req.params.id);
+    res.json({ success: true, message: 'Calendar feed deleted' });
+  } catch (error) {
+    handleCalendarError(res, error, '/api/user/appointments/calendar-feeds/:id');
+  }
+});
+
+// ==================== CALENDAR IMPORT ROUTES (STATIC PATHS) ====================
+
+/**
+ * GET /api/user/appointments/calendar-imports
+ * List external calendars imported as busy times
+ */
+router.get('/calendar-imports', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const imports = await CalendarImportService.getImports(context.accountId);
+    res.json({ success: true, data: imports });
+  } catch (error) {
+    handleCalendarError(res, error, '/api/user/appointments/calendar-imports');
+  }
+});
+
+/**
+ * POST /api/user/appointments/calendar-imports
+ * Import an ICS file ({ name, content }) or subscribe to an ICS URL ({ name, url })
+ */
+router.post('/calendar-imports', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = calendarImportSchema.parse(req.body);
+    const calendarImport = await CalendarImportService.createImport(context.accountId, context.tenantId, validated);
+
+    res.status(201).json({ success: true, data: calendarImport });
+  } catch (error) {
+    handleCalendarError(res, error, '/api/user/appointments/calendar-imports');
+  }
+});
+
+/**
+ * POST /api/user/appointments/calendar-imports/:id/sync
+ * Refresh an import (URL imports are downloaded again; file imports need { content })
+ */
+router.post('/calendar-imports/:id/sync', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const { content } = calendarSyncSchema.parse(req.body || {});
+    const calendarImport = await CalendarImportService.syncImport(
+      context.accountId,
+      context.tenantId,
+      req.params.id,
+      content || null
+    );
+
+    res.json({ success: true, data: calendarImport });
+  } catch (error) {
+    handleCalendarError(res, error, '/api/user/appointments/calendar-imports/:id/sync');
+  }
+});
+
+/**
+ * DELETE /api/user/appointments/calendar-imports/:id
+ * Delete an import and its blocked slots
+ */
+router.delete('/calendar-imports/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    await CalendarImportService.deleteImport(context.accountId, req.params.id);
+    res.json({ success: true, message: 'Calendar import deleted' });
+  } catch (error) {
+    handleCalendarError(res, error, '/api/user/appointments/calendar-imports/:id');
+  }
+});
+
 // ==================== APPOINTMENT ROUTES (PARAMETERIZED - MUST COME LAST) ====================
 
 /**
@@ -547,6 +994,20 @@ router.post('/', validateSupabaseToken, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Contact not found' });
     }
 
+    if (req.body.agentId && !await verifyAgentOwnership(req.body.agentId, context.accountId)) {
+      return res.status(404).json({ success: false, error: 'Agent not found' });
+    }
+
+    // Recurring appointments become a series; skipped occurrences are reported back
+    if (req.body.recurringPattern) {
+      const { appointment, series, conflicts } = await AppointmentSeriesService.createSeries(
+        context.accountId,
+        context.tenantId,
+        req.body
+      );
+      return res.status(201).json({ success: true, data: appointment, series, conflicts });
+    }
+
     const appointment = await AppointmentService.createAppointment(
       context.accountId,
       context.tenantId,
@@ -555,18 +1016,7 @@ router.post('/', validateSupabaseToken, async (req, res) => {
 
     res.status(201).json({ success: true, data: appointment });
   } catch (error) {
-    if (error.message === 'SLOT_UNAVAILABLE') {
-      return res.status(409).json({
-        success: false,
-        error: 'SLOT_UNAVAILABLE',
-        message: 'O horário selecionado não está disponível'
-      });
-    }
-    logger.error('Error creating appointment', {
-      error: error.message,
-      endpoint: '/api/user/appointments'
-    });
-    res.status(500).json({ success: false, error: error.message });
+    handleAppointmentError(res, error, '/api/user/appointments');
   }
 });
 
@@ -581,7 +1031,7 @@ router.get('/:id', validateSupabaseToken, async (req, res) => {
       return res.status(401).json({ success: false, error: 'Account not found' });
     }
 
-    const appointment = await AppointmentService.getAppointmentById(
+    const appointment = await AppointmentSeriesService.getOccurrence(
       context.accountId,
       context.tenantId,
       req.params.id
@@ -603,8 +1053,8 @@ router.get('/:id', validateSupabaseToken, async (req, res) => {
 });
 
 /**
- * PUT /api/user/appointments/:id
- * Update appointment
+ * PUT /api/user/appointments/:id?scope=this|following|all
+ * Update appointment or series occurrence (scope applies to series)
  */
 router.put('/:id', validateSupabaseToken, async (req, res) => {
   try {
@@ -613,37 +1063,37 @@ router.put('/:id', validateSupabaseToken, async (req, res) => {
       return res.status(401).json({ success: false, error: 'Account not found' });
     }
 
-    const appointment = await AppointmentService.updateAppointment(
+    const { scope } = seriesScopeSchema.parse(req.query);
+    const { recurringPattern } = seriesUpdateSchema.parse(req.body);
+
+    if (recurringPattern) {
+      const validation = validateRecurringPattern(recurringPattern);
+      if (!validation.valid) {
+        return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', details: validation.errors });
+      }
+    }
+
+    if (req.body.agentId && !await verifyAgentOwnership(req.body.agentId, context.accountId)) {
+      return res.status(404).json({ success: false, error: 'Agent not found' });
+    }
+
+    const { appointment, series, conflicts } = await AppointmentSeriesService.updateOccurrence(
       context.accountId,
       context.tenantId,
       req.params.id,
-      req.body
+      req.body,
+      scope
     );
 
-    res.json({ success: true, data: appointment });
+    res.json({ success: true, data: appointment, series, conflicts });
   } catch (error) {
-    if (error.message === 'APPOINTMENT_NOT_FOUND') {
-      return res.status(404).json({ success: false, error: 'Appointment not found' });
-    }
-    if (error.message === 'SLOT_UNAVAILABLE') {
-      return res.status(409).json({
-        success: false,
-        error: 'SLOT_UNAVAILABLE',
-        message: 'O horário selecionado não está disponível'
-      });
-    }
-    logger.error('Error updating appointment', {
-      error: error.message,
-      appointmentId: req.params.id,
-      endpoint: '/api/user/appointments/:id'
-    });
-    res.status(500).json({ success: false, error: error.message });
+    handleAppointmentError(res, error, '/api/user/appointments/:id');
   }
 });
 
 /**
- * DELETE /api/user/appointments/:id
- * Delete appointment
+ * DELETE /api/user/appointments/:id?scope=this|following|all
+ * Delete appointment or series occurrence (scope applies to series)
  */
 router.delete('/:id', validateSupabaseToken, async (req, res) => {
   try {
@@ -652,20 +1102,18 @@ router.delete('/:id', validateSupabaseToken, async (req, res) => {
       return res.status(401).json({ success: false, error: 'Account not found' });
     }
 
-    await AppointmentService.deleteAppointment(
+    const { scope } = seriesScopeSchema.parse(req.query);
+
+    await AppointmentSeriesService.deleteOccurrence(
       context.accountId,
       context.tenantId,
-      req.params.id
+      req.params.id,
+      scope
     );
 
     res.json({ success: true, message: 'Appointment deleted' });
   } catch (error) {
-    logger.error('Error deleting appointment', {
-      error: error.message,
-      appointmentId: req.params.id,
-      endpoint: '/api/user/appointments/:id'
-    });
-    res.status(500).json({ success: false, error: error.message });
+    handleAppointmentError(res, error, '/api/user/appointments/:id');
   }
 });
 
@@ -683,7 +1131,7 @@ router.post('/:id/status', validateSupabaseToken, async (req, res) => {
     const validated = statusUpdateSchema.parse(req.body);
 
     // Get current appointment to validate transition
-    const current = await AppointmentService.getAppointmentById(
+    const current = await AppointmentSeriesService.getOccurrence(
       context.accountId,
       context.tenantId,
       req.params.id
@@ -703,25 +1151,24 @@ router.post('/:id/status', validateSupabaseToken, async (req, res) => {
       });
     }
 
+    // Series occurrences get a row of their own before their status changes
+    const row = await AppointmentSeriesService.materializeOccurrence(
+      context.accountId,
+      context.tenantId,
+      current.id
+    );
+
     const appointment = await AppointmentService.updateStatus(
       context.accountId,
       context.tenantId,
-      req.params.id,
+      row.id,
       validated.status,
       validated.reason
     );
 
     res.json({ success: true, data: appointment });
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
-    }
-    logger.error('Error updating appointment status', {
-      error: error.message,
-      appointmentId: req.params.id,
-      endpoint: '/api/user/appointments/:id/status'
-    });
-    res.status(500).json({ success: false, error: error.message });
+    handleAppointmentError(res, error, '/api/user/appointments/:id/status');
   }
 });
 
@@ -1,7 +1,8 @@
 /**
  * User Billing Routes
  * 
- * Endpoints for user subscription management, credits, and billing history.
+ * Endpoints for user subscription management, credits, billing history and
+ * the upcoming invoice preview (projected usage overage of metered plans).
  * All routes require user authentication.
  * 
  * Requirements: 3.1, 4.1, 4.2, 4.3, 4.5, 6.1, 6.4, 7.1, 8.1
@@ -108,6 +109,7 @@ router.post('/subscription/checkout', authenticate, async (req, res) => {
     const session = await StripeService.createCheckoutSession({
       customerId,
       priceId: plan.stripePriceId,
+      meteredPriceIds: planService.getMeteredPriceIds(plan),
       mode: 'subscription',
       successUrl: `${baseUrl}/user/account?subscription=success`,
       cancelUrl: `${baseUrl}/user/account?subscription=canceled`,
@@ -203,6 +205,7 @@ router.post('/subscription/change', authenticate, async (req, res) => {
       const session = await StripeService.createCheckoutSession({
         customerId,
         priceId: plan.stripePriceId,
+        meteredPriceIds: planService.getMeteredPriceIds(plan),
         mode: 'subscription',
         successUrl: `${baseUrl}/user/account?subscription=changed`,
         cancelUrl: `${baseUrl}/user/account?subscription=canceled`,
@@ -230,6 +233,7 @@ router.post('/subscription/change', authenticate, async (req, res) => {
     const session = await StripeService.createCheckoutSession({
       customerId,
       priceId: plan.stripePriceId,
+      meteredPriceIds: planService.getMeteredPriceIds(plan),
       mode: 'subscription',
       successUrl: `${baseUrl}/user/account?subscription=success`,
       cancelUrl: `${baseUrl}/user/account?subscription=canceled`,
@@ -611,6 +615,30 @@ router.get('/billing/history', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/user/billing/invoice-preview
+ * Upcoming invoice with the projected usage overage of metered plans
+ */
+router.get('/billing/invoice-preview', authenticate, async (req, res) => {
+  try {
+    const MeteredBillingService = require('../services/MeteredBillingService');
+    const preview = await MeteredBillingService.getInvoicePreview(getUserId(req));
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    if (error.message === 'SUBSCRIPTION_NOT_FOUND' || error.message === 'PLAN_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+
+    logger.error('Failed to get invoice preview', {
+      error: error.message,
+      userId: getUserId(req),
+      endpoint: '/api/user/billing/invoice-preview',
+    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/user/billing/portal
  * Create billing portal session
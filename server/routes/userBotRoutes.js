@@ -323,14 +323,18 @@ router.get('/:id', verifyUserToken, async (req, res) => {
  */
 router.post('/', verifyUserToken, featureMiddleware.botAutomation, quotaMiddleware.bots, async (req, res) => {
   try {
-    const { name, description, avatarUrl, outgoingUrl, includeHistory } = req.body
+    const { name, description, avatarUrl, outgoingUrl, includeHistory, botType, flowDefinition } = req.body
+    const isFlowBot = botType === BotService.BOT_TYPES.FLOW
     
     if (!name) {
       return res.status(400).json({ success: false, error: 'Name is required' })
     }
-    if (!outgoingUrl) {
+    if (!outgoingUrl && !isFlowBot) {
       return res.status(400).json({ success: false, error: 'Outgoing webhook URL is required' })
     }
+    if (isFlowBot && !flowDefinition) {
+      return res.status(400).json({ success: false, error: 'Flow definition is required' })
+    }
 
     const userId = getBotUserId(req)
     
@@ -339,11 +343,16 @@ router.post('/', verifyUserToken, featureMiddleware.botAutomation, quotaMiddlewa
       description,
       avatarUrl,
       outgoingUrl,
-      includeHistory: includeHistory || false
+      includeHistory: includeHistory || false,
+      botType: botType || BotService.BOT_TYPES.WEBHOOK,
+      flowDefinition
     })
 
     res.status(201).json({ success: true, data: bot })
   } catch (error) {
+    if (error.code === 'INVALID_FLOW') {
+      return res.status(400).json({ success: false, error: error.message, details: error.details })
+    }
     // Handle quota exceeded error from BotService
     if (error.code === 'QUOTA_EXCEEDED') {
       return res.status(429).json({
@@ -366,7 +375,7 @@ router.post('/', verifyUserToken, featureMiddleware.botAutomation, quotaMiddlewa
 router.put('/:id', verifyUserToken, async (req, res) => {
   try {
     const { id } = req.params
-    const { name, description, avatarUrl, outgoingUrl, includeHistory } = req.body
+    const { name, description, avatarUrl, outgoingUrl, includeHistory, flowDefinition } = req.body
 
     const userId = getBotUserId(req)
     
@@ -375,13 +384,18 @@ router.put('/:id', verifyUserToken, async (req, res) => {
       description,
       avatarUrl,
       outgoingUrl,
-      includeHistory
+      includeHistory,
+      flowDefinition
     })
 
     res.json({ success: true, data: bot })
   } catch (error) {
     logger.error('Error updating bot', { error: error.message, botId: req.params.id })
     
+    if (error.code === 'INVALID_FLOW' || error.message.includes('only be set on flow bots')) {
+      return res.status(400).json({ success: false, error: error.message, details: error.details })
+    }
+    
     if (error.message.includes('not found')) {
       return res.status(404).json({ success: false, error: error.message })
     }
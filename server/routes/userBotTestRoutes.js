@@ -105,6 +105,98 @@ function getBotUserId(req) {
   return resolvedId || req.userToken || req.userId;
 }
 
+/**
+ * Build quota usage payload returned by test endpoints
+ */
+function formatQuotaUsage(quotaUsage) {
+  return {
+    calls: {
+      daily: quotaUsage.botCallsDaily,
+      dailyLimit: quotaUsage.maxBotCallsPerDay
+    },
+    messages: {
+      daily: quotaUsage.botMessagesDaily,
+      dailyLimit: quotaUsage.maxBotMessagesPerDay
+    },
+    tokens: {
+      daily: quotaUsage.botTokensDaily,
+      dailyLimit: quotaUsage.maxBotTokensPerDay
+    }
+  };
+}
+
+/**
+ * Process a test message for a flow bot
+ * Side effects (attributes, labels, HTTP calls) are reported instead of applied
+ */
+async function handleFlowTestMessage(req, res, { bot, conversation, conversationId, message, userId }) {
+  // Check bot call quota
+  const quotaUsage = await quotaService.getBotQuotaUsage(userId);
+  if (quotaUsage.botCallsDaily >= quotaUsage.maxBotCallsPerDay) {
+    return res.status(429).json({
+      success: false,
+      error: 'Quota de chamadas de bot excedida',
+      code: 'BOT_CALL_QUOTA_EXCEEDED'
+    });
+  }
+
+  const userMessage = await testConversationService.addTestMessage(
+    conversationId,
+    message,
+    'user'
+  );
+
+  await botService.incrementBotCallUsage(userId);
+
+  const flowResponse = await botService.runFlowBot(
+    { id: bot.id, flow_definition: bot.flowDefinition },
+    { id: userMessage.id, content: message },
+    { ...conversation, id: conversationId },
+    { dryRun: true }
+  );
+
+  // Each reply counts against the bot message quota
+  const botReplies = [];
+  let quotaExceeded = null;
+  let messagesUsed = quotaUsage.botMessagesDaily;
+  for (const replyText of flowResponse.replies || []) {
+    if (messagesUsed >= quotaUsage.maxBotMessagesPerDay) {
+      quotaExceeded = 'messages';
+      break;
+    }
+    botReplies.push(await testConversationService.addTestMessage(conversationId, replyText, 'bot'));
+    await botService.incrementBotMessageUsage(userId);
+    messagesUsed++;
+  }
+
+  const updatedQuota = await quotaService.getBotQuotaUsage(userId);
+
+  logger.info('Flow bot test message processed', {
+    userId,
+    botId: bot.id,
+    conversationId,
+    replies: botReplies.length,
+    action: flowResponse.action
+  });
+
+  return res.json({
+    success: true,
+    data: {
+      userMessage,
+      botReply: botReplies[0] || null,
+      botReplies,
+      webhookError: flowResponse.reason === 'flow_error' ? flowResponse.error : null,
+      quotaExceeded,
+      flow: {
+        action: flowResponse.action,
+        handoff: flowResponse.action === 'handoff' ? { reason: flowResponse.reason } : null,
+        effects: flowResponse.effects || []
+      },
+      quotaUsage: formatQuotaUsage(updatedQuota)
+    }
+  });
+}
+
 /**
  * POST /api/user/bots/:botId/test/start
  * Start a test chat session with a bot
@@ -190,6 +282,7 @@ router.post('/:botId/test/start', verifyUserToken, async (req, res) => {
         botName: bot.name,
         simulatedJid: conversation.contactJid,
         includeHistory: bot.includeHistory || false,
+        botType: bot.botType || BotService.BOT_TYPES.WEBHOOK,
         quotaUsage: {
           calls: {
             daily: quotaUsage.botCallsDaily,
@@ -274,6 +367,11 @@ router.post('/:botId/test/message', verifyUserToken, async (req, res) => {
       }
     }
 
+    // Flow bots run natively through the flow engine in dry-run mode
+    if (bot && bot.botType === BotService.BOT_TYPES.FLOW) {
+      return await handleFlowTestMessage(req, res, { bot, conversation, conversationId, message, userId });
+    }
+
     if (!bot || !bot.outgoingUrl) {
       return res.status(404).json({
         success: false,
@@ -328,8 +426,8 @@ router.post('/:botId/test/message', verifyUserToken, async (req, res) => {
     const phone = conversation.contact_jid?.replace('@s.whatsapp.net', '').replace('@g.us', '') || '';
     const isGroup = conversation.contact_jid?.includes('@g.us') || false;
 
-    // Get bot access token if available
-    let botAccessToken = bot.accessToken || bot.access_token || null;
+    // Get bot access token if available (admin-assigned bots have none)
+    const botAccessToken = await botService.getBotAccessToken(bot.id, userId);
     
     // Build comprehensive webhook payload (EXACTLY same structure as real messages from BotService.forwardToBot)
     const payload = {
@@ -583,6 +681,7 @@ router.post('/:botId/test/end', verifyUserToken, async (req, res) => {
 
     // Archive the conversation
     await testConversationService.archiveTestConversation(conversationId);
+    await botService.resetFlowSession(req.params.botId, conversationId);
 
     logger.info('Bot test session ended', {
       userId,
@@ -633,8 +732,9 @@ router.delete('/:botId/test/history', verifyUserToken, async (req, res) => {
       });
     }
 
-    // Clear history
+    // Clear history (and restart the flow for flow bots)
     await testConversationService.clearTestHistory(conversationId);
+    await botService.resetFlowSession(req.params.botId, conversationId);
 
     logger.info('Bot test history cleared', {
       userId,
@@ -0,0 +1,182 @@
+/**
+ * User Business Hours Routes
+ *
+ * Handles the business hours calendar of each inbox (weekly hours,
+ * timezone, holidays) and its out-of-office away message.
+ *
+ * Requirements: Business hours calendars per inbox with out-of-office auto-replies
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const BusinessHoursService = require('../services/BusinessHoursService');
+const SupabaseService = require('../services/SupabaseService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const timeSchema = z.string().regex(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, 'Expected HH:mm');
+
+const intervalSchema = z.object({
+  start: timeSchema,
+  end: timeSchema
+});
+
+const daySchema = z.array(intervalSchema).max(10);
+
+const businessHoursSchema = z.object({
+  isEnabled: z.boolean().optional(),
+  timezone: z.string().min(1).max(64).default('America/Sao_Paulo'),
+  weeklyHours: z.object({
+    0: daySchema.optional(),
+    1: daySchema.optional(),
+    2: daySchema.optional(),
+    3: daySchema.optional(),
+    4: daySchema.optional(),
+    5: daySchema.optional(),
+    6: daySchema.optional()
+  }),
+  holidays: z.array(z.object({
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected YYYY-MM-DD'),
+    name: z.string().max(100).optional()
+  })).max(366).default([]),
+  awayMessageEnabled: z.boolean().optional(),
+  awayMessage: z.string().max(4096).optional().nullable()
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleBusinessHoursError(res, error, logMessage, endpoint, inboxId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (error.message === 'INBOX_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: 'Inbox not found' });
+  }
+  if (error.message === 'INVALID_TIMEZONE') {
+    return res.status(400).json({ success: false, error: 'Invalid timezone' });
+  }
+  if (error.message === 'INVALID_HOURS') {
+    return res.status(400).json({ success: false, error: 'Each interval must end after it starts' });
+  }
+  if (error.message === 'AWAY_MESSAGE_REQUIRED') {
+    return res.status(400).json({ success: false, error: 'Away message text is required when enabled' });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    inboxId,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== BUSINESS HOURS ROUTES ====================
+
+/**
+ * GET /api/user/business-hours/:inboxId
+ * Get the business hours of an inbox (null when always open)
+ */
+router.get('/:inboxId', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const settings = await BusinessHoursService.getSettings(context.accountId, req.params.inboxId);
+
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    handleBusinessHoursError(res, error, 'Error fetching business hours', '/api/user/business-hours/:inboxId', req.params.inboxId);
+  }
+});
+
+/**
+ * GET /api/user/business-hours/:inboxId/status
+ * Whether the inbox is open now and when it reopens
+ */
+router.get('/:inboxId/status', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const settings = await BusinessHoursService.getSettings(context.accountId, req.params.inboxId);
+    const status = await BusinessHoursService.getInboxStatus(settings ? req.params.inboxId : null);
+
+    res.json({
+      success: true,
+      data: { open: status.open, reopensAt: status.reopensAt ? status.reopensAt.toISOString() : null }
+    });
+  } catch (error) {
+    handleBusinessHoursError(res, error, 'Error fetching business hours status', '/api/user/business-hours/:inboxId/status', req.params.inboxId);
+  }
+});
+
+/**
+ * PUT /api/user/business-hours/:inboxId
+ * Create or replace the business hours of an inbox
+ */
+router.put('/:inboxId', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = businessHoursSchema.parse(req.body);
+
+    const settings = await BusinessHoursService.saveSettings(context.accountId, req.params.inboxId, validated);
+
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    handleBusinessHoursError(res, error, 'Error saving business hours', '/api/user/business-hours/:inboxId', req.params.inboxId);
+  }
+});
+
+/**
+ * DELETE /api/user/business-hours/:inboxId
+ * Remove the business hours of an inbox (always open)
+ */
+router.delete('/:inboxId', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    await BusinessHoursService.deleteSettings(context.accountId, req.params.inboxId);
+
+    res.json({ success: true, message: 'Business hours deleted' });
+  } catch (error) {
+    handleBusinessHoursError(res, error, 'Error deleting business hours', '/api/user/business-hours/:inboxId', req.params.inboxId);
+  }
+});
+
+module.exports = router;
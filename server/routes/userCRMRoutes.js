@@ -2,9 +2,10 @@
  * User CRM Routes
  * 
  * Handles CRM-specific operations for contacts including lead scoring,
- * timeline, and communication preferences.
+ * timeline, communication preferences and the LGPD consent ledger.
  * 
- * Requirements: 8.2, 8.3 (Contact CRM Evolution)
+ * Requirements: 8.2, 8.3 (Contact CRM Evolution),
+ * Double opt-in and consent ledger compliant with LGPD
  */
 
 const express = require('express');
@@ -17,6 +18,7 @@ const { z } = require('zod');
 const LeadScoringService = require('../services/LeadScoringService');
 const ContactInteractionService = require('../services/ContactInteractionService');
 const CommunicationPreferenceService = require('../services/CommunicationPreferenceService');
+const { CONSENT_PURPOSES, LEGAL_BASES } = require('../services/CommunicationPreferenceService');
 const SupabaseService = require('../services/SupabaseService');
 
 // ==================== VALIDATION SCHEMAS ====================
@@ -29,6 +31,20 @@ const updatePreferencesSchema = z.object({
   bulkMessagingOptIn: z.boolean()
 });
 
+const recordConsentSchema = z.object({
+  purpose: z.enum(CONSENT_PURPOSES),
+  granted: z.boolean(),
+  legalBasis: z.enum(LEGAL_BASES).optional(),
+  // Send a confirmation message; consent is granted by the contact's reply
+  doubleOptIn: z.boolean().optional(),
+  inboxId: z.string().uuid().optional(),
+  evidence: z.record(z.any()).optional()
+});
+
+const consentExportQuerySchema = z.object({
+  format: z.enum(['json', 'csv']).default('json')
+});
+
 const timelineQuerySchema = z.object({
   page: z.coerce.number().min(1).default(1),
   pageSize: z.coerce.number().min(1).max(100).default(50),
@@ -76,6 +92,38 @@ async function verifyContactOwnership(contactId, accountId) {
   return !error && !!data;
 }
 
+/**
+ * Evidence of a consent change recorded by an agent
+ */
+function getRequestEvidence(req, extra = {}) {
+  return {
+    ...extra,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+const CONSENT_ERRORS = {
+  CONTACT_NOT_FOUND: { status: 404, error: 'Contact not found' },
+  INBOX_NOT_FOUND: { status: 400, error: 'Inbox not found' },
+  CONTACT_WITHOUT_PHONE: { status: 400, error: 'Contact has no phone number' }
+};
+
+/**
+ * Respond to a consent error
+ */
+function handleConsentError(res, error, endpoint, contactId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  const mapped = CONSENT_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped.status).json({ success: false, error: mapped.error });
+  }
+  logger.error('Error handling consent', { error: error.message, contactId, endpoint });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
 // ==================== CRM DATA ROUTES ====================
 
 /**
@@ -285,10 +333,11 @@ router.put('/contacts/:id/preferences', validateSupabaseToken, async (req, res)
       return res.status(404).json({ success: false, error: 'Contact not found' });
     }
 
-    const result = await CommunicationPreferenceService.setOptIn(
+    await CommunicationPreferenceService.setOptIn(
       contactId,
       validated.bulkMessagingOptIn,
-      'manual'
+      'manual',
+      { evidence: getRequestEvidence(req), actorId: req.user.id }
     );
 
     res.json({ success: true, data: { bulkMessagingOptIn: validated.bulkMessagingOptIn } });
@@ -305,6 +354,93 @@ router.put('/contacts/:id/preferences', validateSupabaseToken, async (req, res)
   }
 });
 
+/**
+ * GET /api/user/crm/contacts/:id/consents
+ * Consent ledger of a contact (oldest first)
+ */
+router.get('/contacts/:id/consents', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    if (!await verifyContactOwnership(req.params.id, context.accountId)) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    const history = await CommunicationPreferenceService.getConsentHistory(context.accountId, req.params.id);
+
+    res.json({ success: true, data: history });
+  } catch (error) {
+    handleConsentError(res, error, '/api/user/crm/contacts/:id/consents', req.params.id);
+  }
+});
+
+/**
+ * GET /api/user/crm/contacts/:id/consents/export
+ * Download the consent history of a contact (?format=json|csv)
+ */
+router.get('/contacts/:id/consents/export', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const { format } = consentExportQuerySchema.parse(req.query);
+
+    const exportData = await CommunicationPreferenceService.exportConsentHistory(context.accountId, req.params.id, format);
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="consents-${req.params.id}.${format}"`);
+    res.send(exportData);
+  } catch (error) {
+    handleConsentError(res, error, '/api/user/crm/contacts/:id/consents/export', req.params.id);
+  }
+});
+
+/**
+ * POST /api/user/crm/contacts/:id/consents
+ * Record a consent change, or send a double opt-in confirmation
+ */
+router.post('/contacts/:id/consents', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = recordConsentSchema.parse(req.body);
+
+    if (!await verifyContactOwnership(req.params.id, context.accountId)) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+
+    const options = {
+      purpose: validated.purpose,
+      legalBasis: validated.legalBasis,
+      evidence: getRequestEvidence(req, validated.evidence),
+      actorId: req.user.id
+    };
+
+    if (validated.granted && validated.doubleOptIn) {
+      const pending = await CommunicationPreferenceService.requestDoubleOptIn(context.accountId, req.params.id, {
+        ...options,
+        source: 'agent',
+        inboxId: validated.inboxId
+      });
+      return res.status(202).json({ success: true, data: pending });
+    }
+
+    await CommunicationPreferenceService.setOptIn(req.params.id, validated.granted, 'agent', options);
+
+    res.status(201).json({ success: true, data: { purpose: validated.purpose, granted: validated.granted } });
+  } catch (error) {
+    handleConsentError(res, error, '/api/user/crm/contacts/:id/consents', req.params.id);
+  }
+});
+
 // ==================== ACCOUNT-LEVEL CRM ROUTES ====================
 
 /**
@@ -0,0 +1,262 @@
+/**
+ * User CRM Sync Routes
+ *
+ * Handles the sync jobs between the contacts of the account and external
+ * tables of its database connections: job configuration (column mapping,
+ * direction, incremental column, conflict policy, schedule), manual runs
+ * queued on the import queue and the run log with row-level errors.
+ *
+ * Requirements: Two-way sync between CRM contacts and external NocoDB/Supabase/SQL tables
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const CrmSyncService = require('../services/CrmSyncService');
+const { SYNC_DIRECTIONS, CONFLICT_POLICIES } = require('../services/CrmSyncService');
+const SupabaseService = require('../services/SupabaseService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const columnMappingSchema = z.array(z.object({
+  column: z.string().min(1).max(255),
+  field: z.string().min(1).max(255)
+})).min(1).max(100);
+
+const jobFields = {
+  name: z.string().min(1).max(255),
+  direction: z.enum(SYNC_DIRECTIONS),
+  columnMapping: columnMappingSchema,
+  keyColumn: z.string().min(1).max(255).nullable(),
+  updatedAtColumn: z.string().min(1).max(255).nullable(),
+  conflictPolicy: z.enum(CONFLICT_POLICIES),
+  intervalMinutes: z.number().int().min(5).max(7 * 24 * 60).nullable(),
+  isActive: z.boolean()
+};
+
+const createJobSchema = z.object({
+  connectionId: z.string().uuid(),
+  ...jobFields,
+  name: jobFields.name.optional(),
+  direction: jobFields.direction.optional(),
+  keyColumn: jobFields.keyColumn.optional(),
+  updatedAtColumn: jobFields.updatedAtColumn.optional(),
+  conflictPolicy: jobFields.conflictPolicy.optional(),
+  intervalMinutes: jobFields.intervalMinutes.optional(),
+  isActive: jobFields.isActive.optional()
+});
+
+const updateJobSchema = z.object(jobFields).partial();
+
+const runSchema = z.object({
+  fullSync: z.boolean().optional()
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleSyncError(res, error, logMessage, endpoint, resourceId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (['SYNC_JOB_NOT_FOUND', 'SYNC_RUN_NOT_FOUND', 'CONNECTION_NOT_FOUND'].includes(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.message === 'SYNC_ALREADY_RUNNING') {
+    return res.status(409).json({ success: false, error: error.message, details: error.details });
+  }
+  if (error.message.startsWith('INVALID_') || error.message.endsWith('_REQUIRED') ||
+      error.message === 'UNSUPPORTED_CONNECTION_TYPE') {
+    return res.status(400).json({ success: false, error: error.message, details: error.details });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    resourceId,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== SYNC JOB ROUTES ====================
+
+/**
+ * GET /api/user/crm-sync
+ * List sync jobs of the account
+ */
+router.get('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const jobs = await CrmSyncService.getJobs(context.accountId);
+
+    res.json({ success: true, data: jobs });
+  } catch (error) {
+    handleSyncError(res, error, 'Error fetching CRM sync jobs', '/api/user/crm-sync');
+  }
+});
+
+/**
+ * POST /api/user/crm-sync
+ * Create a sync job for a database connection
+ */
+router.post('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const input = createJobSchema.parse(req.body);
+    const job = await CrmSyncService.createJob(context.accountId, context.tenantId, input, req.user.id);
+
+    res.status(201).json({ success: true, data: job });
+  } catch (error) {
+    handleSyncError(res, error, 'Error creating CRM sync job', '/api/user/crm-sync');
+  }
+});
+
+/**
+ * GET /api/user/crm-sync/runs/:runId
+ * Run with its row-level errors
+ */
+router.get('/runs/:runId', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const run = await CrmSyncService.getRun(context.accountId, req.params.runId);
+
+    res.json({ success: true, data: run });
+  } catch (error) {
+    handleSyncError(res, error, 'Error fetching CRM sync run', '/api/user/crm-sync/runs/:runId', req.params.runId);
+  }
+});
+
+/**
+ * GET /api/user/crm-sync/:id
+ * Get a sync job
+ */
+router.get('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const job = await CrmSyncService.getJob(context.accountId, req.params.id);
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    handleSyncError(res, error, 'Error fetching CRM sync job', '/api/user/crm-sync/:id', req.params.id);
+  }
+});
+
+/**
+ * PUT /api/user/crm-sync/:id
+ * Update a sync job (mapping changes restart the incremental sync)
+ */
+router.put('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const input = updateJobSchema.parse(req.body);
+    const job = await CrmSyncService.updateJob(context.accountId, req.params.id, input);
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    handleSyncError(res, error, 'Error updating CRM sync job', '/api/user/crm-sync/:id', req.params.id);
+  }
+});
+
+/**
+ * DELETE /api/user/crm-sync/:id
+ * Delete a sync job and its runs
+ */
+router.delete('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    await CrmSyncService.deleteJob(context.accountId, req.params.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    handleSyncError(res, error, 'Error deleting CRM sync job', '/api/user/crm-sync/:id', req.params.id);
+  }
+});
+
+/**
+ * POST /api/user/crm-sync/:id/run
+ * Queue a run now (body: { fullSync } to ignore the incremental checkpoint)
+ */
+router.post('/:id/run', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const { fullSync = false } = runSchema.parse(req.body || {});
+    const run = await CrmSyncService.startRun(context.accountId, req.params.id, { fullSync });
+
+    res.status(202).json({ success: true, data: run });
+  } catch (error) {
+    handleSyncError(res, error, 'Error starting CRM sync run', '/api/user/crm-sync/:id/run', req.params.id);
+  }
+});
+
+/**
+ * GET /api/user/crm-sync/:id/runs
+ * Latest runs of a sync job
+ */
+router.get('/:id/runs', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = await CrmSyncService.getRuns(context.accountId, req.params.id, limit);
+
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    handleSyncError(res, error, 'Error fetching CRM sync runs', '/api/user/crm-sync/:id/runs', req.params.id);
+  }
+});
+
+module.exports = router;
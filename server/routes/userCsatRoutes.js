@@ -0,0 +1,143 @@
+/**
+ * User CSAT Routes
+ *
+ * Handles the customer satisfaction survey sent when a conversation is
+ * resolved (scale, messages, inboxes) and the CSAT report per agent, team
+ * and inbox.
+ *
+ * Requirements: CSAT surveys after conversation resolution
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const CsatService = require('../services/CsatService');
+const SupabaseService = require('../services/SupabaseService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const settingsSchema = z.object({
+  isEnabled: z.boolean(),
+  scale: z.enum(['numeric', 'emoji']).default('numeric'),
+  surveyMessage: z.string().max(1000).optional().nullable(),
+  commentPrompt: z.string().max(1000).optional().nullable(),
+  thankYouMessage: z.string().max(1000).optional().nullable(),
+  inboxIds: z.array(z.string().uuid()).max(100).default([]),
+  responseWindowHours: z.number().int().min(1).max(720).default(24)
+});
+
+const reportQuerySchema = z.object({
+  days: z.coerce.number().int().min(1).max(365).default(30),
+  inboxIds: z.string().optional()
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleCsatError(res, error, logMessage, endpoint) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (error.message === 'INVALID_INBOX') {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== CSAT ROUTES ====================
+
+/**
+ * GET /api/user/csat/settings
+ * Get the survey settings (null when never configured)
+ */
+router.get('/settings', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const settings = await CsatService.getSettings(context.accountId);
+
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    handleCsatError(res, error, 'Error fetching CSAT settings', '/api/user/csat/settings');
+  }
+});
+
+/**
+ * PUT /api/user/csat/settings
+ * Create or replace the survey settings
+ */
+router.put('/settings', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = settingsSchema.parse(req.body);
+
+    const settings = await CsatService.saveSettings(context.accountId, context.tenantId, validated);
+
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    handleCsatError(res, error, 'Error saving CSAT settings', '/api/user/csat/settings');
+  }
+});
+
+/**
+ * GET /api/user/csat/report
+ * CSAT over the last N days, overall and per agent, team and inbox
+ * Query: days (default 30), inboxIds (comma separated)
+ */
+router.get('/report', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const { days, inboxIds } = reportQuerySchema.parse(req.query);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const report = await CsatService.getMetrics(context.accountId, {
+      since,
+      inboxIds: inboxIds ? inboxIds.split(',').filter(Boolean) : null
+    });
+
+    res.json({ success: true, data: { days, ...report } });
+  } catch (error) {
+    handleCsatError(res, error, 'Error fetching CSAT report', '/api/user/csat/report');
+  }
+});
+
+module.exports = router;
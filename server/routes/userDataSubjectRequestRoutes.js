@@ -0,0 +1,177 @@
+/**
+ * User Data Subject Request Routes
+ *
+ * Handles LGPD data subject requests of the account: export everything
+ * about a contact (or phone number) as machine-readable JSON, or erase it
+ * (delete or anonymize), with the status trail of each request.
+ *
+ * Requirements: LGPD data subject requests: export and erase everything about a contact
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const DataSubjectRequestService = require('../services/DataSubjectRequestService');
+const { REQUEST_TYPES, ERASE_MODES } = require('../services/DataSubjectRequestService');
+const SupabaseService = require('../services/SupabaseService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const createRequestSchema = z.object({
+  type: z.enum(REQUEST_TYPES),
+  eraseMode: z.enum(ERASE_MODES).optional(),
+  contactId: z.string().uuid().optional(),
+  phone: z.string().min(8).max(30).optional(),
+  reason: z.string().max(1000).optional(),
+  // Erasure cannot be undone
+  confirm: z.boolean().optional()
+})
+  .refine(data => data.contactId || data.phone, {
+    message: 'contactId or phone is required',
+    path: ['contactId']
+  })
+  .refine(data => data.type !== 'erase' || data.confirm === true, {
+    message: 'Erase requests must be confirmed',
+    path: ['confirm']
+  });
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleDataSubjectRequestError(res, error, logMessage, endpoint, resourceId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (error.message === 'CONTACT_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: 'Contact not found' });
+  }
+  if (['REQUEST_NOT_EXPORT', 'REQUEST_NOT_COMPLETED'].includes(error.message)) {
+    return res.status(409).json({ success: false, error: error.message });
+  }
+  if (error.message === 'SUBJECT_REQUIRED' || error.message.includes('INVALID_')) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    resourceId,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== DATA SUBJECT REQUEST ROUTES ====================
+
+/**
+ * GET /api/user/data-subject-requests
+ * List data subject requests, newest first
+ */
+router.get('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const requests = await DataSubjectRequestService.getRequests(context.accountId);
+
+    res.json({ success: true, data: requests });
+  } catch (error) {
+    handleDataSubjectRequestError(res, error, 'Error fetching data subject requests', '/api/user/data-subject-requests');
+  }
+});
+
+/**
+ * POST /api/user/data-subject-requests
+ * Register and process an export or erase request
+ */
+router.post('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = createRequestSchema.parse(req.body);
+
+    const request = await DataSubjectRequestService.createRequest(context.accountId, context.tenantId, {
+      ...validated,
+      requestedBy: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: request });
+  } catch (error) {
+    handleDataSubjectRequestError(res, error, 'Error creating data subject request', '/api/user/data-subject-requests');
+  }
+});
+
+/**
+ * GET /api/user/data-subject-requests/:id
+ * Get a data subject request with its status trail
+ */
+router.get('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const request = await DataSubjectRequestService.getRequest(context.accountId, req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Data subject request not found' });
+    }
+
+    res.json({ success: true, data: request });
+  } catch (error) {
+    handleDataSubjectRequestError(res, error, 'Error fetching data subject request', '/api/user/data-subject-requests/:id', req.params.id);
+  }
+});
+
+/**
+ * GET /api/user/data-subject-requests/:id/export
+ * Download the export of a completed export request
+ */
+router.get('/:id/export', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const exportData = await DataSubjectRequestService.getExport(context.accountId, req.params.id, req.user.id);
+    if (!exportData) {
+      return res.status(404).json({ success: false, error: 'Data subject request not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="data-subject-${req.params.id}.json"`);
+    res.send(JSON.stringify(exportData, null, 2));
+  } catch (error) {
+    handleDataSubjectRequestError(res, error, 'Error exporting data subject request', '/api/user/data-subject-requests/:id/export', req.params.id);
+  }
+});
+
+module.exports = router;
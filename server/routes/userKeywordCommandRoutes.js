@@ -0,0 +1,188 @@
+/**
+ * User Keyword Command Routes
+ *
+ * Handles the account registry of inbound WhatsApp keyword commands
+ * (opt out/in, canned response, join group, add tag, credit balance and
+ * upcoming appointments).
+ *
+ * Requirements: Account keyword command registry for contact self-service
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const KeywordCommandService = require('../services/KeywordCommandService');
+const { KEYWORD_ACTIONS, KEYWORD_MATCH_TYPES } = require('../services/KeywordCommandService');
+const SupabaseService = require('../services/SupabaseService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const createCommandSchema = z.object({
+  name: z.string().min(1).max(200),
+  matchType: z.enum(KEYWORD_MATCH_TYPES).optional(),
+  keywords: z.array(z.string().min(1).max(100)).max(50).optional(),
+  pattern: z.string().min(1).max(200).optional().nullable(),
+  action: z.enum(KEYWORD_ACTIONS),
+  responseTemplate: z.string().max(4096).optional().nullable(),
+  groupId: z.string().uuid().optional().nullable(),
+  tagId: z.string().uuid().optional().nullable(),
+  inboxId: z.string().uuid().optional().nullable(),
+  priority: z.number().int().min(0).max(10000).optional(),
+  isActive: z.boolean().optional()
+});
+
+const updateCommandSchema = createCommandSchema.partial();
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleKeywordCommandError(res, error, logMessage, endpoint, resourceId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (error.message === 'KEYWORD_COMMAND_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: 'Keyword command not found' });
+  }
+  if (['GROUP_NOT_FOUND', 'TAG_NOT_FOUND', 'INBOX_NOT_FOUND'].includes(error.message)) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (error.message.includes('INVALID_')) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    resourceId,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== KEYWORD COMMAND ROUTES ====================
+
+/**
+ * GET /api/user/keyword-commands
+ * List keyword commands in evaluation order
+ */
+router.get('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const commands = await KeywordCommandService.getCommands(context.accountId);
+
+    res.json({ success: true, data: commands });
+  } catch (error) {
+    handleKeywordCommandError(res, error, 'Error fetching keyword commands', '/api/user/keyword-commands');
+  }
+});
+
+/**
+ * POST /api/user/keyword-commands
+ * Create a keyword command
+ */
+router.post('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = createCommandSchema.parse(req.body);
+
+    const command = await KeywordCommandService.createCommand(context.accountId, context.tenantId, validated);
+
+    res.status(201).json({ success: true, data: command });
+  } catch (error) {
+    handleKeywordCommandError(res, error, 'Error creating keyword command', '/api/user/keyword-commands');
+  }
+});
+
+/**
+ * GET /api/user/keyword-commands/:id
+ * Get a keyword command
+ */
+router.get('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const command = await KeywordCommandService.getCommand(context.accountId, req.params.id);
+    if (!command) {
+      return res.status(404).json({ success: false, error: 'Keyword command not found' });
+    }
+
+    res.json({ success: true, data: command });
+  } catch (error) {
+    handleKeywordCommandError(res, error, 'Error fetching keyword command', '/api/user/keyword-commands/:id', req.params.id);
+  }
+});
+
+/**
+ * PUT /api/user/keyword-commands/:id
+ * Update a keyword command
+ */
+router.put('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = updateCommandSchema.parse(req.body);
+
+    const command = await KeywordCommandService.updateCommand(context.accountId, req.params.id, validated);
+
+    res.json({ success: true, data: command });
+  } catch (error) {
+    handleKeywordCommandError(res, error, 'Error updating keyword command', '/api/user/keyword-commands/:id', req.params.id);
+  }
+});
+
+/**
+ * DELETE /api/user/keyword-commands/:id
+ * Delete a keyword command
+ */
+router.delete('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    await KeywordCommandService.deleteCommand(context.accountId, req.params.id);
+
+    res.json({ success: true, message: 'Keyword command deleted' });
+  } catch (error) {
+    handleKeywordCommandError(res, error, 'Error deleting keyword command', '/api/user/keyword-commands/:id', req.params.id);
+  }
+});
+
+module.exports = router;
@@ -50,6 +50,16 @@ router.get('/', requireUser, async (req, res) => {
       quotas: plan.quotas || {},
       features: plan.features || [],
       stripePriceId: plan.stripePriceId ? true : false, // Only indicate if synced, don't expose ID
+      // Usage billed above the allowance (metered plans), without Stripe IDs
+      overage: Object.fromEntries(
+        Object.entries(plan.meteredBilling || {})
+          .filter(([, config]) => config.enabled)
+          .map(([metric, config]) => [metric, {
+            includedUnits: config.includedUnits,
+            unitSize: config.unitSize,
+            unitAmountCents: config.unitAmountCents,
+          }])
+      ),
     }));
 
     // Sort by price (free first, then ascending)
@@ -0,0 +1,231 @@
+/**
+ * User Retention Policy Routes
+ *
+ * Handles the data retention of the account: account policies (overriding
+ * the tenant defaults within the plan caps), dry-run previews of what the
+ * retention job would delete, run history and conversation legal holds.
+ *
+ * Requirements: Configurable data retention policies per tenant
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const RetentionPolicyService = require('../services/RetentionPolicyService');
+const { RETENTION_DATA_TYPES } = require('../services/RetentionPolicyService');
+const SupabaseService = require('../services/SupabaseService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const dataTypeSchema = z.enum(RETENTION_DATA_TYPES);
+
+const policySchema = z.object({
+  retentionDays: z.number().int().min(1).max(36500),
+  dryRun: z.boolean().optional(),
+  isActive: z.boolean().optional()
+});
+
+const legalHoldSchema = z.object({
+  hold: z.boolean(),
+  reason: z.string().max(1000).optional()
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleRetentionError(res, error, logMessage, endpoint, resourceId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (['POLICY_NOT_FOUND', 'CONVERSATION_NOT_FOUND', 'ACCOUNT_NOT_FOUND'].includes(error.message)) {
+    return res.status(404).json({ success: false, error: error.message });
+  }
+  if (error.message.includes('INVALID_')) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    resourceId,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== RETENTION POLICY ROUTES ====================
+
+/**
+ * GET /api/user/retention-policies
+ * Effective retention per data type, with account and tenant policies and plan caps
+ */
+router.get('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const retention = await RetentionPolicyService.getAccountRetention(context.accountId);
+
+    res.json({ success: true, data: retention });
+  } catch (error) {
+    handleRetentionError(res, error, 'Error fetching retention policies', '/api/user/retention-policies');
+  }
+});
+
+/**
+ * POST /api/user/retention-policies/preview
+ * Report what the retention job would delete now, without deleting
+ */
+router.post('/preview', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const run = await RetentionPolicyService.previewAccount(context.accountId);
+
+    res.json({ success: true, data: run });
+  } catch (error) {
+    handleRetentionError(res, error, 'Error previewing retention policies', '/api/user/retention-policies/preview');
+  }
+});
+
+/**
+ * GET /api/user/retention-policies/runs
+ * Latest retention runs and previews of the account
+ */
+router.get('/runs', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const runs = await RetentionPolicyService.getRuns(context.accountId);
+
+    res.json({ success: true, data: runs });
+  } catch (error) {
+    handleRetentionError(res, error, 'Error fetching retention runs', '/api/user/retention-policies/runs');
+  }
+});
+
+/**
+ * GET /api/user/retention-policies/legal-holds
+ * Conversations exempt from retention
+ */
+router.get('/legal-holds', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const holds = await RetentionPolicyService.getLegalHolds(context.accountId);
+
+    res.json({ success: true, data: holds });
+  } catch (error) {
+    handleRetentionError(res, error, 'Error fetching legal holds', '/api/user/retention-policies/legal-holds');
+  }
+});
+
+/**
+ * PUT /api/user/retention-policies/legal-holds/:conversationId
+ * Place or release the legal hold of a conversation
+ */
+router.put('/legal-holds/:conversationId', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = legalHoldSchema.parse(req.body);
+
+    const hold = await RetentionPolicyService.setLegalHold(
+      context.accountId,
+      req.params.conversationId,
+      validated.hold,
+      { reason: validated.reason, actorId: req.user.id }
+    );
+
+    res.json({ success: true, data: hold });
+  } catch (error) {
+    handleRetentionError(res, error, 'Error updating legal hold', '/api/user/retention-policies/legal-holds/:conversationId', req.params.conversationId);
+  }
+});
+
+/**
+ * PUT /api/user/retention-policies/:dataType
+ * Create or replace the account policy of a data type
+ */
+router.put('/:dataType', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const dataType = dataTypeSchema.parse(req.params.dataType);
+    const validated = policySchema.parse(req.body);
+
+    const policy = await RetentionPolicyService.upsertPolicy(
+      context.tenantId,
+      context.accountId,
+      dataType,
+      validated,
+      req.user.id
+    );
+
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    handleRetentionError(res, error, 'Error saving retention policy', '/api/user/retention-policies/:dataType', req.params.dataType);
+  }
+});
+
+/**
+ * DELETE /api/user/retention-policies/:dataType
+ * Remove the account policy (the tenant default applies again)
+ */
+router.delete('/:dataType', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const dataType = dataTypeSchema.parse(req.params.dataType);
+
+    await RetentionPolicyService.deletePolicy(context.tenantId, context.accountId, dataType);
+
+    res.json({ success: true });
+  } catch (error) {
+    handleRetentionError(res, error, 'Error deleting retention policy', '/api/user/retention-policies/:dataType', req.params.dataType);
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,7 @@ const { skipCsrf } = require('../middleware/csrf');
 const UserDataService = require('../services/UserDataService');
 const SupabaseConnectionService = require('../services/SupabaseConnectionService');
 const DatabaseConnectionService = require('../services/DatabaseConnectionService');
+const { sanitizeConnection, sanitizeConnections } = require('../utils/credentialSanitizer');
 const { withCircuitBreaker } = require('../utils/circuitBreaker');
 
 const router = express.Router();
@@ -205,7 +206,7 @@ router.get('/database-connections', verifyUserToken, async (req, res) => {
     
     res.json({
       success: true,
-      data: connections,
+      data: sanitizeConnections(connections),
       count: connections.length
     });
   } catch (err) {
@@ -254,7 +255,7 @@ router.get('/database-connections/:id', verifyUserToken, async (req, res) => {
     
     res.json({
       success: true,
-      data: connection,
+      data: sanitizeConnection(connection),
       timestamp: new Date().toISOString()
     });
     
@@ -273,6 +274,73 @@ router.get('/database-connections/:id', verifyUserToken, async (req, res) => {
   }
 });
 
+// GET /api/user/database-connections/:id/columns - Colunas da tabela NocoDB
+// O token NocoDB não é enviado ao navegador, então a consulta é feita aqui
+router.get('/database-connections/:id/columns', verifyUserToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.userId;
+    
+    const connection = await UserDataService.getConnectionById(parseInt(id));
+    
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conexão não encontrada',
+        code: 'CONNECTION_NOT_FOUND',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!UserDataService.validateUserConnectionAccess(userId, connection)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Acesso negado a esta conexão',
+        code: 'ACCESS_DENIED',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (connection.type !== 'NOCODB') {
+      return res.status(400).json({
+        success: false,
+        error: 'Esta rota é apenas para conexões do tipo NOCODB',
+        code: 'INVALID_TYPE',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const tableId = connection.nocodb_table_id || connection.table_name;
+    const circuitKey = `nocodb:${id}`;
+    const columns = await withCircuitBreaker(circuitKey, async () => {
+      const response = await axios.get(`${connection.host}/api/v1/db/meta/tables/${tableId}`, {
+        headers: { 'xc-token': connection.nocodb_token || connection.password || '' },
+        timeout: 10000
+      });
+      return response.data?.columns || [];
+    });
+    
+    res.json({
+      success: true,
+      data: columns,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Erro ao buscar colunas da conexão:', { 
+      connectionId: req.params.id,
+      error: error.message
+    });
+    
+    res.status(error.code === 'CIRCUIT_OPEN' ? 503 : 500).json({
+      success: false,
+      error: error.userMessage || 'Erro ao buscar colunas',
+      code: error.code === 'CIRCUIT_OPEN' ? 'SERVICE_UNAVAILABLE' : 'INTERNAL_ERROR',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // GET /api/user/database-connections/:id/record - Buscar registro único do usuário
 router.get('/database-connections/:id/record', verifyUserToken, async (req, res) => {
   try {
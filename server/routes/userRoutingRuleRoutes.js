@@ -0,0 +1,223 @@
+/**
+ * User Routing Rule Routes
+ *
+ * Handles conversation routing rules (match by inbox, contact segment or
+ * label; required skills; weighted teams; sticky agent; overflow team) and
+ * the routing skills of each agent.
+ *
+ * Requirements: Skill-based and weighted routing in ConversationAssignmentService
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const RoutingRuleService = require('../services/RoutingRuleService');
+const SupabaseService = require('../services/SupabaseService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const skillsSchema = z.array(z.string().min(1).max(50)).max(50);
+
+const createRuleSchema = z.object({
+  name: z.string().min(1).max(200),
+  priority: z.number().int().min(0).max(10000).optional(),
+  conditions: z.object({
+    inboxIds: z.array(z.string().uuid()).optional(),
+    segmentIds: z.array(z.string().uuid()).optional(),
+    labelIds: z.array(z.string().uuid()).optional()
+  }).optional(),
+  requiredSkills: skillsSchema.optional(),
+  targets: z.array(z.object({
+    teamId: z.string().uuid(),
+    weight: z.number().int().min(1).max(100)
+  })).max(20).optional(),
+  overflowTeamId: z.string().uuid().optional().nullable(),
+  stickyAgent: z.boolean().optional(),
+  isActive: z.boolean().optional()
+});
+
+const updateRuleSchema = createRuleSchema.partial();
+
+const agentSkillsSchema = z.object({
+  skills: skillsSchema
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleRoutingError(res, error, logMessage, endpoint, resourceId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (error.message === 'ROUTING_RULE_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: 'Routing rule not found' });
+  }
+  if (error.message === 'AGENT_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: 'Agent not found' });
+  }
+  if (error.message.includes('INVALID_')) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    resourceId,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== ROUTING RULE ROUTES ====================
+
+/**
+ * GET /api/user/routing-rules
+ * List all routing rules
+ */
+router.get('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const rules = await RoutingRuleService.getRules(context.accountId);
+
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    handleRoutingError(res, error, 'Error fetching routing rules', '/api/user/routing-rules');
+  }
+});
+
+/**
+ * POST /api/user/routing-rules
+ * Create a routing rule
+ */
+router.post('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = createRuleSchema.parse(req.body);
+
+    const rule = await RoutingRuleService.createRule(context.accountId, context.tenantId, validated);
+
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    handleRoutingError(res, error, 'Error creating routing rule', '/api/user/routing-rules');
+  }
+});
+
+/**
+ * GET /api/user/routing-rules/:id
+ * Get a routing rule
+ */
+router.get('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const rule = await RoutingRuleService.getRule(context.accountId, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Routing rule not found' });
+    }
+
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    handleRoutingError(res, error, 'Error fetching routing rule', '/api/user/routing-rules/:id', req.params.id);
+  }
+});
+
+/**
+ * PUT /api/user/routing-rules/:id
+ * Update a routing rule
+ */
+router.put('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = updateRuleSchema.parse(req.body);
+
+    const rule = await RoutingRuleService.updateRule(context.accountId, req.params.id, validated);
+
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    handleRoutingError(res, error, 'Error updating routing rule', '/api/user/routing-rules/:id', req.params.id);
+  }
+});
+
+/**
+ * DELETE /api/user/routing-rules/:id
+ * Delete a routing rule
+ */
+router.delete('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const rule = await RoutingRuleService.getRule(context.accountId, req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Routing rule not found' });
+    }
+
+    await RoutingRuleService.deleteRule(context.accountId, req.params.id);
+
+    res.json({ success: true, message: 'Routing rule deleted' });
+  } catch (error) {
+    handleRoutingError(res, error, 'Error deleting routing rule', '/api/user/routing-rules/:id', req.params.id);
+  }
+});
+
+/**
+ * PUT /api/user/routing-rules/agents/:agentId/skills
+ * Replace the routing skills of an agent
+ */
+router.put('/agents/:agentId/skills', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = agentSkillsSchema.parse(req.body);
+
+    const agent = await RoutingRuleService.setAgentSkills(context.accountId, req.params.agentId, validated.skills);
+
+    res.json({ success: true, data: agent });
+  } catch (error) {
+    handleRoutingError(res, error, 'Error updating agent skills', '/api/user/routing-rules/agents/:agentId/skills', req.params.agentId);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+/**
+ * User Sequence Routes
+ *
+ * Handles drip sequence management including CRUD operations, status
+ * changes, manual enrollment, enrollment listing and per-step stats.
+ *
+ * Requirements: Drip sequences (ordered steps, waits, conditions, triggers)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const DripSequenceService = require('../services/DripSequenceService');
+const SupabaseService = require('../services/SupabaseService');
+
+const { SEQUENCE_STATUS, TRIGGER_TYPES, ENROLLMENT_STATUS, CONDITION_TYPES } = DripSequenceService;
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:mm');
+
+const sendingWindowSchema = z.object({
+  startTime: timeSchema,
+  endTime: timeSchema,
+  days: z.array(z.number().int().min(0).max(6)).optional()
+});
+
+const stepSchema = z.object({
+  messageTemplate: z.string().min(1).max(4096),
+  delayValue: z.number().int().min(0).max(365 * 24).default(0),
+  delayUnit: z.enum(['hours', 'days']).default('hours'),
+  condition: z.object({
+    type: z.enum(CONDITION_TYPES),
+    segmentId: z.string().uuid().optional(),
+    onFail: z.enum(['skip', 'exit']).optional()
+  }).nullable().optional()
+});
+
+const createSequenceSchema = z.object({
+  name: z.string().min(1).max(200),
+  description: z.string().max(500).optional(),
+  inboxId: z.string().uuid().optional().nullable(),
+  triggerType: z.enum(Object.values(TRIGGER_TYPES)).default(TRIGGER_TYPES.MANUAL),
+  triggerId: z.string().uuid().optional().nullable(),
+  exitOnReply: z.boolean().optional(),
+  sendingWindow: sendingWindowSchema.optional().nullable(),
+  steps: z.array(stepSchema).max(50).default([])
+});
+
+const updateSequenceSchema = createSequenceSchema.partial();
+
+const statusSchema = z.object({
+  status: z.enum(Object.values(SEQUENCE_STATUS))
+});
+
+const enrollSchema = z.object({
+  contactIds: z.array(z.string().uuid()).min(1).max(1000)
+});
+
+const enrollmentsQuerySchema = z.object({
+  status: z.enum(Object.values(ENROLLMENT_STATUS)).optional(),
+  page: z.coerce.number().min(1).default(1),
+  pageSize: z.coerce.number().min(1).max(100).default(50)
+});
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleSequenceError(res, error, logMessage, endpoint, sequenceId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (error.message === 'SEQUENCE_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: 'Sequence not found' });
+  }
+  if (error.message === 'INVALID_STEPS') {
+    return res.status(400).json({ success: false, error: 'Invalid steps', details: error.details });
+  }
+  if (error.message === 'SEQUENCE_HAS_NO_STEPS') {
+    return res.status(400).json({ success: false, error: 'Sequence must have at least one step' });
+  }
+  if (error.message === 'SEQUENCE_NOT_ACTIVE') {
+    return res.status(409).json({ success: false, error: 'Sequence must be active to enroll contacts' });
+  }
+  if (error.message === 'TRIGGER_ID_REQUIRED') {
+    return res.status(400).json({ success: false, error: 'Segment and tag triggers require triggerId' });
+  }
+  if (error.message.includes('INVALID_')) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    sequenceId,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== SEQUENCE ROUTES ====================
+
+/**
+ * GET /api/user/sequences
+ * List all sequences
+ */
+router.get('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const sequences = await DripSequenceService.getSequences(context.accountId);
+
+    res.json({ success: true, data: sequences });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error fetching sequences', '/api/user/sequences');
+  }
+});
+
+/**
+ * POST /api/user/sequences
+ * Create a new sequence (starts as draft)
+ */
+router.post('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = createSequenceSchema.parse(req.body);
+
+    const sequence = await DripSequenceService.createSequence(
+      context.accountId,
+      context.tenantId,
+      validated
+    );
+
+    res.status(201).json({ success: true, data: sequence });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error creating sequence', '/api/user/sequences');
+  }
+});
+
+/**
+ * GET /api/user/sequences/:id
+ * Get sequence with steps
+ */
+router.get('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const sequence = await DripSequenceService.getSequence(context.accountId, req.params.id);
+    if (!sequence) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+
+    res.json({ success: true, data: sequence });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error fetching sequence', '/api/user/sequences/:id', req.params.id);
+  }
+});
+
+/**
+ * PUT /api/user/sequences/:id
+ * Update a sequence (steps, when given, replace the current ones)
+ */
+router.put('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = updateSequenceSchema.parse(req.body);
+
+    const sequence = await DripSequenceService.updateSequence(
+      context.accountId,
+      req.params.id,
+      validated
+    );
+
+    res.json({ success: true, data: sequence });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error updating sequence', '/api/user/sequences/:id', req.params.id);
+  }
+});
+
+/**
+ * DELETE /api/user/sequences/:id
+ * Delete a sequence
+ */
+router.delete('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const sequence = await DripSequenceService.getSequence(context.accountId, req.params.id);
+    if (!sequence) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+
+    await DripSequenceService.deleteSequence(context.accountId, req.params.id);
+
+    res.json({ success: true, message: 'Sequence deleted' });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error deleting sequence', '/api/user/sequences/:id', req.params.id);
+  }
+});
+
+/**
+ * PUT /api/user/sequences/:id/status
+ * Activate, pause or archive a sequence
+ */
+router.put('/:id/status', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const { status } = statusSchema.parse(req.body);
+
+    const sequence = await DripSequenceService.setStatus(context.accountId, req.params.id, status);
+
+    res.json({ success: true, data: sequence });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error changing sequence status', '/api/user/sequences/:id/status', req.params.id);
+  }
+});
+
+/**
+ * POST /api/user/sequences/:id/enroll
+ * Manually enroll contacts
+ */
+router.post('/:id/enroll', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const { contactIds } = enrollSchema.parse(req.body);
+
+    const result = await DripSequenceService.enrollManually(context.accountId, req.params.id, contactIds);
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error enrolling contacts', '/api/user/sequences/:id/enroll', req.params.id);
+  }
+});
+
+/**
+ * GET /api/user/sequences/:id/enrollments
+ * List enrollments
+ */
+router.get('/:id/enrollments', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const query = enrollmentsQuerySchema.parse(req.query);
+
+    const sequence = await DripSequenceService.getSequence(context.accountId, req.params.id);
+    if (!sequence) {
+      return res.status(404).json({ success: false, error: 'Sequence not found' });
+    }
+
+    const result = await DripSequenceService.getEnrollments(req.params.id, query);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error fetching enrollments', '/api/user/sequences/:id/enrollments', req.params.id);
+  }
+});
+
+/**
+ * GET /api/user/sequences/:id/stats
+ * Enrollment totals, exit reasons and per-step stats
+ */
+router.get('/:id/stats', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const stats = await DripSequenceService.getSequenceStats(context.accountId, req.params.id);
+
+    res.json({ success: true, data: stats });
+  } catch (error) {
+    handleSequenceError(res, error, 'Error fetching sequence stats', '/api/user/sequences/:id/stats', req.params.id);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+/**
+ * User SLA Policy Routes
+ *
+ * Handles SLA policy management: per-inbox (or account default) first
+ * response, next response and resolution targets, business hours and
+ * escalation actions on breach.
+ *
+ * Requirements: Conversation SLA policies with breach detection and escalation
+ */
+
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validateSupabaseToken } = require('../middleware/supabaseAuth');
+const { z } = require('zod');
+
+// Services
+const SlaService = require('../services/SlaService');
+const SupabaseService = require('../services/SupabaseService');
+
+// ==================== VALIDATION SCHEMAS ====================
+
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:mm');
+
+const businessHoursSchema = z.object({
+  startTime: timeSchema,
+  endTime: timeSchema,
+  days: z.array(z.number().int().min(0).max(6)).optional()
+});
+
+const targetSchema = z.number().int().min(1).max(60 * 24 * 90).nullable();
+
+const createPolicySchema = z.object({
+  name: z.string().min(1).max(200),
+  inboxId: z.string().uuid().optional().nullable(),
+  firstResponseMinutes: targetSchema.optional(),
+  nextResponseMinutes: targetSchema.optional(),
+  resolutionMinutes: targetSchema.optional(),
+  businessHoursOnly: z.boolean().optional(),
+  businessHours: businessHoursSchema.optional().nullable(),
+  warningThresholdPercent: z.number().int().min(1).max(99).optional(),
+  escalation: z.object({
+    reassign: z.boolean().optional(),
+    notifyAgentId: z.string().uuid().optional().nullable(),
+    labelId: z.string().uuid().optional().nullable()
+  }).optional(),
+  isActive: z.boolean().optional()
+});
+
+const updatePolicySchema = createPolicySchema.partial();
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Get account context from request
+ */
+async function getAccountContext(req) {
+  if (req.user?.id) {
+    const queryFn = (query) => query
+      .select('id, tenant_id')
+      .eq('owner_user_id', req.user.id)
+      .single();
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', queryFn);
+    if (account) {
+      return { accountId: account.id, tenantId: account.tenant_id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleSlaError(res, error, logMessage, endpoint, policyId) {
+  if (error instanceof z.ZodError) {
+    return res.status(400).json({ success: false, error: 'Invalid input', details: error.errors });
+  }
+  if (error.message === 'SLA_POLICY_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: 'SLA policy not found' });
+  }
+  if (error.message === 'SLA_POLICY_CONFLICT') {
+    return res.status(409).json({ success: false, error: 'An active SLA policy already exists for this inbox' });
+  }
+  if (error.message === 'SLA_TARGET_REQUIRED') {
+    return res.status(400).json({ success: false, error: 'At least one SLA target is required' });
+  }
+  if (error.message.includes('INVALID_')) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  logger.error(logMessage, {
+    error: error.message,
+    policyId,
+    endpoint
+  });
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// ==================== SLA POLICY ROUTES ====================
+
+/**
+ * GET /api/user/sla-policies
+ * List all SLA policies
+ */
+router.get('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const policies = await SlaService.getPolicies(context.accountId);
+
+    res.json({ success: true, data: policies });
+  } catch (error) {
+    handleSlaError(res, error, 'Error fetching SLA policies', '/api/user/sla-policies');
+  }
+});
+
+/**
+ * POST /api/user/sla-policies
+ * Create an SLA policy (without inboxId it is the account default)
+ */
+router.post('/', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = createPolicySchema.parse(req.body);
+
+    const policy = await SlaService.createPolicy(context.accountId, context.tenantId, validated);
+
+    res.status(201).json({ success: true, data: policy });
+  } catch (error) {
+    handleSlaError(res, error, 'Error creating SLA policy', '/api/user/sla-policies');
+  }
+});
+
+/**
+ * GET /api/user/sla-policies/:id
+ * Get an SLA policy
+ */
+router.get('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const policy = await SlaService.getPolicy(context.accountId, req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'SLA policy not found' });
+    }
+
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    handleSlaError(res, error, 'Error fetching SLA policy', '/api/user/sla-policies/:id', req.params.id);
+  }
+});
+
+/**
+ * PUT /api/user/sla-policies/:id
+ * Update an SLA policy
+ */
+router.put('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const validated = updatePolicySchema.parse(req.body);
+
+    const policy = await SlaService.updatePolicy(context.accountId, req.params.id, validated);
+
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    handleSlaError(res, error, 'Error updating SLA policy', '/api/user/sla-policies/:id', req.params.id);
+  }
+});
+
+/**
+ * DELETE /api/user/sla-policies/:id
+ * Delete an SLA policy
+ */
+router.delete('/:id', validateSupabaseToken, async (req, res) => {
+  try {
+    const context = await getAccountContext(req);
+    if (!context) {
+      return res.status(401).json({ success: false, error: 'Account not found' });
+    }
+
+    const policy = await SlaService.getPolicy(context.accountId, req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'SLA policy not found' });
+    }
+
+    await SlaService.deletePolicy(context.accountId, req.params.id);
+
+    res.json({ success: true, message: 'SLA policy deleted' });
+  } catch (error) {
+    handleSlaError(res, error, 'Error deleting SLA policy', '/api/user/sla-policies/:id', req.params.id);
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,7 @@ const express = require('express')
 const router = express.Router()
 const { logger } = require('../utils/logger')
 const OutgoingWebhookService = require('../services/OutgoingWebhookService')
+const WebhookDeliveryService = require('../services/WebhookDeliveryService')
 const SupabaseService = require('../services/SupabaseService')
 const { toBoolean } = require('../utils/responseTransformer')
 const { quotaMiddleware } = require('../middleware/quotaEnforcement')
@@ -165,6 +166,81 @@ router.get('/', verifyUserToken, async (req, res) => {
   }
 })
 
+/**
+ * GET /api/user/outgoing-webhooks/dead-letters
+ * List deliveries that failed for good (retries exhausted, rejected or endpoint disabled)
+ * 
+ * Query params:
+ *   - webhookId: Filter by webhook (optional)
+ *   - status: 'pending' or 'replayed' (optional)
+ *   - limit, offset: Pagination (optional)
+ */
+router.get('/dead-letters', verifyUserToken, async (req, res) => {
+  try {
+    const { webhookId, status, limit, offset } = req.query
+
+    const result = await WebhookDeliveryService.getDeadLetters('outgoing', req.userId, {
+      webhookId,
+      status,
+      limit: parseInt(limit, 10) || undefined,
+      offset: parseInt(offset, 10) || undefined
+    })
+
+    res.json({ success: true, data: result.deadLetters, total: result.total })
+  } catch (error) {
+    logger.error('Error fetching webhook dead letters', { error: error.message, userId: req.userId })
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * POST /api/user/outgoing-webhooks/dead-letters/replay
+ * Replay dead-lettered deliveries
+ * 
+ * Body: { ids: string[] } or { webhookId } (every pending delivery of the webhook)
+ */
+router.post('/dead-letters/replay', verifyUserToken, async (req, res) => {
+  try {
+    const { ids, webhookId } = req.body
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length > 500)) {
+      return res.status(400).json({ success: false, error: 'ids must be an array of up to 500 items' })
+    }
+
+    const result = await WebhookDeliveryService.replayDeadLetters('outgoing', req.userId, { ids, webhookId })
+
+    res.json({ success: true, data: result })
+  } catch (error) {
+    if (error.message === 'INVALID_REPLAY_SELECTION') {
+      return res.status(400).json({ success: false, error: 'ids or webhookId is required' })
+    }
+    logger.error('Error replaying webhook dead letters', { error: error.message, userId: req.userId })
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * POST /api/user/outgoing-webhooks/dead-letters/:deadLetterId/replay
+ * Replay one dead-lettered delivery
+ */
+router.post('/dead-letters/:deadLetterId/replay', verifyUserToken, async (req, res) => {
+  try {
+    const result = await WebhookDeliveryService.replayDeadLetters('outgoing', req.userId, {
+      ids: [req.params.deadLetterId]
+    })
+
+    if (result.replayed.length === 0) {
+      const reason = result.skipped[0]?.reason
+      return res.status(reason === 'not_found' ? 404 : 409).json({ success: false, error: reason })
+    }
+
+    res.json({ success: true, data: result })
+  } catch (error) {
+    logger.error('Error replaying webhook dead letter', { error: error.message, deadLetterId: req.params.deadLetterId })
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
 /**
  * GET /api/user/outgoing-webhooks/:id
  * Get a specific webhook
@@ -202,12 +278,13 @@ router.get('/:id', verifyUserToken, async (req, res) => {
  *   - events: Array of event types (required)
  *   - secret: Custom secret (optional)
  *   - inboxId: Associate with specific inbox (optional)
+ *   - payloadFormat: 'legacy' (default) or 'domain_event' (optional)
  * 
  * Requirements: 4.2
  */
 router.post('/', verifyUserToken, featureMiddleware.webhooks, quotaMiddleware.webhooks, async (req, res) => {
   try {
-    const { url, events, secret, inboxId } = req.body
+    const { url, events, secret, inboxId, payloadFormat } = req.body
     
     if (!url) {
       return res.status(400).json({ success: false, error: 'URL is required' })
@@ -222,13 +299,18 @@ router.post('/', verifyUserToken, featureMiddleware.webhooks, quotaMiddleware.we
       url,
       events,
       secret,
-      inboxId: inboxId || null
+      inboxId: inboxId || null,
+      payloadFormat
     })
 
     res.status(201).json({ success: true, data: webhook })
   } catch (error) {
     logger.error('Error creating webhook', { error: error.message, userId: req.userId })
     
+    if (error.message === 'Invalid payload format') {
+      return res.status(400).json({ success: false, error: error.message })
+    }
+
     // Handle ownership validation errors
     if (error.message.includes('unauthorized') || error.message.includes('not found')) {
       return res.status(403).json({ success: false, error: error.message })
@@ -245,20 +327,24 @@ router.post('/', verifyUserToken, featureMiddleware.webhooks, quotaMiddleware.we
 router.put('/:id', verifyUserToken, async (req, res) => {
   try {
     const { id } = req.params
-    const { url, events, isActive } = req.body
+    const { url, events, isActive, payloadFormat } = req.body
 
     const webhookService = new OutgoingWebhookService()
     
     const webhook = await webhookService.updateWebhook(parseInt(id, 10), req.userId, {
       url,
       events,
-      isActive
+      isActive,
+      payloadFormat
     })
 
     res.json({ success: true, data: webhook })
   } catch (error) {
     logger.error('Error updating webhook', { error: error.message, webhookId: req.params.id })
     
+    if (error.message === 'Invalid payload format') {
+      return res.status(400).json({ success: false, error: error.message })
+    }
     if (error.message.includes('not found')) {
       return res.status(404).json({ success: false, error: error.message })
     }
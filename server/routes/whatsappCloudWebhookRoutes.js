@@ -0,0 +1,132 @@
+/**
+ * WhatsApp Cloud API Webhook Routes
+ *
+ * Receives webhooks of the official WhatsApp Business Cloud API for inboxes
+ * with provider_type 'whatsapp_cloud'. Each inbox has its own callback URL:
+ * /api/whatsapp-cloud/webhook/:inboxId
+ *
+ * Payloads are checked against X-Hub-Signature-256 (app secret of the inbox)
+ * and translated to WUZAPI-format events for ChatMessageHandler.
+ */
+
+const express = require('express')
+const router = express.Router()
+const { logger } = require('../utils/logger')
+const SupabaseService = require('../services/SupabaseService')
+const { ProviderAdapterFactory } = require('../services/providers')
+const ChatMessageHandler = require('../webhooks/chatMessageHandler')
+
+const PROVIDER_TYPE = 'whatsapp_cloud'
+
+// Cache handler instance
+let handlerInstance = null
+
+/**
+ * Get or create ChatMessageHandler instance
+ */
+function getHandler(req) {
+  const chatHandler = req.app.locals.chatHandler
+
+  if (!handlerInstance) {
+    handlerInstance = new ChatMessageHandler(chatHandler)
+  } else if (handlerInstance.chatHandler !== chatHandler) {
+    handlerInstance.setChatHandler(chatHandler)
+  }
+
+  return handlerInstance
+}
+
+/**
+ * Load a Cloud API inbox with its provider config
+ * @param {string} inboxId - Inbox ID
+ * @returns {Promise<Object|null>} Inbox row
+ */
+async function getCloudInbox(inboxId) {
+  const { data, error } = await SupabaseService.queryAsAdmin('inboxes', (query) =>
+    query.select('id, account_id, wuzapi_token, provider_type, provider_config').eq('id', inboxId).single()
+  )
+
+  if (error || !data || data.provider_type !== PROVIDER_TYPE) {
+    return null
+  }
+
+  return data
+}
+
+/**
+ * GET /api/whatsapp-cloud/webhook/:inboxId
+ * Webhook verification (hub.mode, hub.verify_token, hub.challenge)
+ */
+router.get('/:inboxId', async (req, res) => {
+  try {
+    const inbox = await getCloudInbox(req.params.inboxId)
+    if (!inbox) {
+      return res.status(404).json({ success: false, error: 'Inbox not found' })
+    }
+
+    const adapter = ProviderAdapterFactory.getAdapter(PROVIDER_TYPE)
+    const challenge = adapter.verifyWebhookChallenge(inbox, req.query)
+
+    if (challenge === null) {
+      logger.warn('WhatsApp Cloud webhook verification failed', { inboxId: inbox.id })
+      return res.status(403).json({ success: false, error: 'Verification failed' })
+    }
+
+    logger.info('WhatsApp Cloud webhook verified', { inboxId: inbox.id })
+    res.type('text/plain').send(challenge)
+  } catch (error) {
+    logger.error('WhatsApp Cloud webhook verification error', { error: error.message })
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * POST /api/whatsapp-cloud/webhook/:inboxId
+ * Receive messages and status callbacks
+ */
+router.post('/:inboxId', async (req, res) => {
+  try {
+    const inbox = await getCloudInbox(req.params.inboxId)
+    if (!inbox) {
+      return res.status(404).json({ success: false, error: 'Inbox not found' })
+    }
+
+    const adapter = ProviderAdapterFactory.getAdapter(PROVIDER_TYPE)
+
+    if (!adapter.verifySignature(inbox, req.rawBody, req.headers['x-hub-signature-256'])) {
+      logger.warn('WhatsApp Cloud webhook with invalid signature', { inboxId: inbox.id })
+      return res.status(401).json({ success: false, error: 'Invalid signature' })
+    }
+
+    const events = adapter.normalizeWebhook(req.body)
+    const handler = getHandler(req)
+    const results = []
+
+    // The inbox token routes events to the account like a WUZAPI token
+    for (const event of events) {
+      try {
+        const result = await handler.handleEvent(inbox.wuzapi_token, event)
+        results.push({ success: true, ...result })
+      } catch (error) {
+        results.push({ success: false, error: error.message, type: event.type })
+      }
+    }
+
+    const failCount = results.filter(r => !r.success).length
+    if (failCount > 0) {
+      logger.warn('WhatsApp Cloud webhook events failed', { inboxId: inbox.id, failCount })
+    }
+
+    // Always acknowledge a signed payload, otherwise Meta keeps retrying it
+    res.json({
+      success: true,
+      processed: results.length,
+      failCount
+    })
+  } catch (error) {
+    logger.error('WhatsApp Cloud webhook processing error', { error: error.message })
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+module.exports = router
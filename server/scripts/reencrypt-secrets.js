@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Script para criptografar segredos existentes com o cofre de credenciais
+ *
+ * Executar após a migration 055 (vault_data_keys) e após rotacionar chaves.
+ *
+ * Uso:
+ *   node scripts/reencrypt-secrets.js             # re-criptografa todos os segredos
+ *   node scripts/reencrypt-secrets.js --dry-run   # apenas conta o que seria alterado
+ *   node scripts/reencrypt-secrets.js --tenant <tenantId>
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+
+const { reencryptSecrets } = require('../services/CredentialVaultStores');
+
+function parseArgs(argv) {
+  const options = { dryRun: argv.includes('--dry-run') };
+  const tenantIndex = argv.indexOf('--tenant');
+  if (tenantIndex !== -1 && argv[tenantIndex + 1]) {
+    options.tenantId = argv[tenantIndex + 1];
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log('\n🔐 Re-criptografando segredos com o cofre de credenciais\n');
+  console.log('='.repeat(50));
+  if (options.dryRun) console.log('⚠️  Modo simulação: nada será gravado');
+  if (options.tenantId) console.log(`🏢 Tenant: ${options.tenantId}`);
+
+  try {
+    const summary = await reencryptSecrets(options);
+
+    let failed = 0;
+    for (const [store, stats] of Object.entries(summary)) {
+      console.log(`   ${store}: ${stats.scanned} verificados, ${stats.reencrypted} re-criptografados, ${stats.failed} com falha`);
+      failed += stats.failed;
+    }
+
+    console.log('='.repeat(50));
+    if (failed > 0) {
+      console.log(`❌ ${failed} segredo(s) não puderam ser re-criptografados (ver logs)`);
+      process.exit(1);
+    }
+
+    console.log('✅ Segredos re-criptografados com sucesso');
+    process.exit(0);
+  } catch (error) {
+    console.log('❌ Erro ao re-criptografar segredos:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
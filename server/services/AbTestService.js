@@ -0,0 +1,481 @@
+/**
+ * AbTestService - A/B testing for bulk campaigns
+ *
+ * Campaigns declare 2-4 message variants. Each variant is sent to part of a
+ * random test slice of contacts. Sends are logged by VariationTracker, which
+ * also records delivery/read (MessageStatus/ReadReceipt events) and replies,
+ * and once one variant is significantly better (or the deadline passes) the
+ * winner is sent to the remaining contacts.
+ *
+ * Requirements: Campaign A/B testing (variants, test slice, auto winner)
+ */
+
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const variationTracker = require('./VariationTracker');
+const HumanizationEngine = require('./HumanizationEngine');
+const { normalizePhoneNumber } = require('../utils/phoneUtils');
+
+const METRICS = {
+  DELIVERY: 'delivery',
+  READ: 'read',
+  REPLY: 'reply'
+};
+
+// Variant counter used by each metric
+const METRIC_FIELDS = {
+  delivery: 'delivered',
+  read: 'read',
+  reply: 'replied'
+};
+
+const AB_TEST_STATUS = {
+  TESTING: 'testing',
+  DECIDED: 'decided'
+};
+
+const DECISION_REASONS = {
+  SIGNIFICANT: 'significant',
+  DEADLINE: 'deadline'
+};
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 4;
+
+const DEFAULT_CONFIG = {
+  testPercentage: 20,
+  metric: METRICS.READ,
+  confidenceLevel: 0.95,
+  minSamplePerVariant: 30,
+  deadlineHours: 24
+};
+
+// Replies only count towards a campaign message sent within this window
+const REPLY_ATTRIBUTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+class AbTestService {
+  // ==================== CONFIGURATION ====================
+
+  /**
+   * Parse an ab_test column value and apply defaults
+   * @param {Object|string|null} abTest - Stored or requested A/B test config
+   * @returns {Object|null} Normalized config, or null when A/B testing is off
+   */
+  normalizeConfig(abTest) {
+    if (!abTest) return null;
+
+    let config = abTest;
+    if (typeof config === 'string') {
+      try {
+        config = JSON.parse(config);
+      } catch (error) {
+        logger.warn('Invalid ab_test JSON', { error: error.message });
+        return null;
+      }
+    }
+
+    if (!Array.isArray(config.variants) || config.variants.length < MIN_VARIANTS) {
+      return null;
+    }
+
+    return {
+      ...DEFAULT_CONFIG,
+      ...config,
+      status: config.status || AB_TEST_STATUS.TESTING,
+      variants: config.variants.map((variant, index) => ({
+        id: String(variant.id || String.fromCharCode(65 + index)),
+        name: variant.name || `Variante ${String.fromCharCode(65 + index)}`,
+        content: variant.content
+      }))
+    };
+  }
+
+  /**
+   * Get a variant by id
+   * @param {Object} config - Normalized config
+   * @param {string} variantId - Variant id
+   * @returns {Object|null}
+   */
+  getVariant(config, variantId) {
+    if (!config || !variantId) return null;
+    return config.variants.find(variant => variant.id === variantId) || null;
+  }
+
+  // ==================== ASSIGNMENT ====================
+
+  /**
+   * Number of contacts in the test slice. Every variant gets at least one
+   * contact, and the slice never exceeds the campaign size.
+   * @param {number} totalContacts - Campaign contacts
+   * @param {Object} config - Normalized config
+   * @returns {number}
+   */
+  getTestSliceSize(totalContacts, config) {
+    const size = Math.ceil(totalContacts * (config.testPercentage / 100));
+    return Math.min(totalContacts, Math.max(size, config.variants.length));
+  }
+
+  /**
+   * Draw a random test slice and assign variants round-robin within it.
+   * Contacts usually come in import/creation order, so the first ones would
+   * not be a fair sample of the audience.
+   * @param {Object[]} contacts - Campaign contacts
+   * @param {Object} config - Normalized config
+   * @returns {Array<{contactId: string, variantId: string}>}
+   */
+  assignVariants(contacts, config) {
+    const sliceSize = this.getTestSliceSize(contacts.length, config);
+    const sample = HumanizationEngine.shuffleContacts(contacts).slice(0, sliceSize);
+
+    return sample.map((contact, index) => ({
+      contactId: contact.id,
+      variantId: config.variants[index % config.variants.length].id
+    }));
+  }
+
+  /**
+   * Persist variant assignments on campaign_contacts
+   * @param {string} campaignId - Campaign id
+   * @param {Array<{contactId: string, variantId: string}>} assignments
+   */
+  async persistAssignments(campaignId, assignments) {
+    const byVariant = new Map();
+    for (const { contactId, variantId } of assignments) {
+      if (!byVariant.has(variantId)) byVariant.set(variantId, []);
+      byVariant.get(variantId).push(contactId);
+    }
+
+    for (const [variantId, contactIds] of byVariant) {
+      const { error } = await supabaseService.queryAsAdmin('campaign_contacts', (query) =>
+        query.update({ variant_id: variantId })
+          .eq('campaign_id', campaignId)
+          .in('id', contactIds)
+      );
+
+      if (error) throw error;
+    }
+
+    logger.info('A/B variants assigned', {
+      campaignId,
+      testSliceSize: assignments.length,
+      variants: byVariant.size
+    });
+  }
+
+  // ==================== STATISTICS ====================
+
+  /**
+   * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+   * @param {number} z
+   * @returns {number}
+   */
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  /**
+   * Two-sided critical z value for a confidence level (e.g. 0.95 -> 1.96)
+   * @param {number} confidenceLevel
+   * @returns {number}
+   */
+  zForConfidence(confidenceLevel) {
+    const target = (1 + confidenceLevel) / 2;
+    let low = 0;
+    let high = 10;
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (this.normalCdf(mid) < target) low = mid;
+      else high = mid;
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Wilson score interval for a proportion
+   * @param {number} successes
+   * @param {number} total
+   * @param {number} confidenceLevel
+   * @returns {{rate: number, lower: number, upper: number}}
+   */
+  wilsonInterval(successes, total, confidenceLevel) {
+    if (!total) return { rate: 0, lower: 0, upper: 1 };
+
+    const z = this.zForConfidence(confidenceLevel);
+    const p = successes / total;
+    const z2 = z * z;
+    const denominator = 1 + z2 / total;
+    const center = (p + z2 / (2 * total)) / denominator;
+    const margin = (z * Math.sqrt((p * (1 - p)) / total + z2 / (4 * total * total))) / denominator;
+
+    return {
+      rate: p,
+      lower: Math.max(0, center - margin),
+      upper: Math.min(1, center + margin)
+    };
+  }
+
+  /**
+   * Two-sided p-value of a pooled two-proportion z-test
+   * @returns {number} 1 when there is nothing to compare
+   */
+  twoProportionPValue(successesA, totalA, successesB, totalB) {
+    if (!totalA || !totalB) return 1;
+
+    const pooled = (successesA + successesB) / (totalA + totalB);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+    if (se === 0) return 1;
+
+    const z = (successesA / totalA - successesB / totalB) / se;
+    return 2 * (1 - this.normalCdf(Math.abs(z)));
+  }
+
+  /**
+   * Per-variant counts and rates with confidence intervals. A recipient
+   * logged more than once (send retries) counts once.
+   * @param {Object} config - Normalized config
+   * @param {Object[]} variations - message_variations rows of the test slice
+   * @param {Object[]} [contacts] - campaign_contacts rows of the test slice
+   * @returns {Object[]}
+   */
+  computeVariantStats(config, variations, contacts = []) {
+    return config.variants.map((variant) => {
+      const counts = { assigned: 0, sent: 0, failed: 0, delivered: 0, read: 0, replied: 0 };
+
+      for (const contact of contacts) {
+        if (contact.variant_id !== variant.id) continue;
+        counts.assigned++;
+        if (contact.status === 'failed') counts.failed++;
+      }
+
+      const recipients = new Map();
+      for (const row of variations) {
+        if (row.variant_id !== variant.id) continue;
+        const previous = recipients.get(row.recipient) || {};
+        recipients.set(row.recipient, {
+          delivered: previous.delivered || row.delivered || row.read,
+          read: previous.read || row.read,
+          replied: previous.replied || row.replied
+        });
+      }
+
+      for (const engagement of recipients.values()) {
+        counts.sent++;
+        if (engagement.delivered) counts.delivered++;
+        if (engagement.read) counts.read++;
+        if (engagement.replied) counts.replied++;
+      }
+
+      const rates = {};
+      for (const [metric, field] of Object.entries(METRIC_FIELDS)) {
+        rates[metric] = this.wilsonInterval(counts[field], counts.sent, config.confidenceLevel);
+      }
+
+      return { variantId: variant.id, name: variant.name, ...counts, rates };
+    });
+  }
+
+  /**
+   * Decide whether a variant wins.
+   *
+   * The best variant on the configured metric wins when every variant has the
+   * minimum sample and it beats each other variant with p below the
+   * Bonferroni-corrected alpha. Once the deadline is reached the best rate
+   * wins regardless (ties: larger sample, then declared order).
+   *
+   * @param {Object} config - Normalized config
+   * @param {Object[]} stats - Output of computeVariantStats
+   * @param {Object} [options]
+   * @param {boolean} [options.deadlineReached]
+   * @returns {{winnerVariantId: string|null, reason: string|null, pValue: number|null}}
+   */
+  evaluateWinner(config, stats, { deadlineReached = false } = {}) {
+    const field = METRIC_FIELDS[config.metric] || METRIC_FIELDS.read;
+    const rateOf = (variant) => (variant.sent ? variant[field] / variant.sent : 0);
+
+    const ranked = stats
+      .map((variant, index) => ({ variant, index }))
+      .sort((a, b) =>
+        (rateOf(b.variant) - rateOf(a.variant)) ||
+        (b.variant.sent - a.variant.sent) ||
+        (a.index - b.index)
+      )
+      .map(({ variant }) => variant);
+
+    const best = ranked[0];
+    if (!best) return { winnerVariantId: null, reason: null, pValue: null };
+
+    const others = ranked.slice(1);
+    const pValue = others.length
+      ? Math.max(...others.map(other =>
+        this.twoProportionPValue(best[field], best.sent, other[field], other.sent)
+      ))
+      : null;
+
+    const hasMinimumSample = stats.every(variant => variant.sent >= config.minSamplePerVariant);
+    const alpha = (1 - config.confidenceLevel) / Math.max(1, others.length);
+    const beatsAll = others.every(other => rateOf(best) > rateOf(other));
+
+    if (hasMinimumSample && beatsAll && pValue !== null && pValue < alpha) {
+      return { winnerVariantId: best.variantId, reason: DECISION_REASONS.SIGNIFICANT, pValue };
+    }
+
+    if (deadlineReached) {
+      return { winnerVariantId: best.variantId, reason: DECISION_REASONS.DEADLINE, pValue };
+    }
+
+    return { winnerVariantId: null, reason: null, pValue };
+  }
+
+  // ==================== DECISION ====================
+
+  /**
+   * Load the test slice of a campaign: assigned contacts and the variations
+   * logged for them by VariationTracker
+   * @param {string} campaignId
+   * @returns {Promise<{contacts: Object[], variations: Object[]}>}
+   */
+  async getTestData(campaignId) {
+    const { data: contacts, error } = await supabaseService.queryAsAdmin('campaign_contacts', (query) =>
+      query.select('variant_id, status')
+        .eq('campaign_id', campaignId)
+        .not('variant_id', 'is', null)
+    );
+
+    if (error) throw error;
+
+    const { data: variations, error: variationsError } = await supabaseService.queryAsAdmin('message_variations', (query) =>
+      query.select('variant_id, recipient, delivered, read, replied')
+        .eq('campaign_id', campaignId)
+        .not('variant_id', 'is', null)
+    );
+
+    if (variationsError) throw variationsError;
+
+    return { contacts: contacts || [], variations: variations || [] };
+  }
+
+  /**
+   * Persist the ab_test column of a campaign
+   */
+  async saveConfig(campaignId, config) {
+    const { error } = await supabaseService.queryAsAdmin('bulk_campaigns', (query) =>
+      query.update({ ab_test: config, updated_at: new Date().toISOString() }).eq('id', campaignId)
+    );
+
+    if (error) throw error;
+  }
+
+  /**
+   * Evaluate the test once the test slice has been sent and persist the
+   * winner when there is one. The deadline counts from the first call.
+   *
+   * @param {string} campaignId
+   * @param {Object} config - Normalized config
+   * @param {Date} [now]
+   * @returns {Promise<Object>} Updated config (winnerVariantId set when decided)
+   */
+  async decideWinner(campaignId, config, now = new Date()) {
+    if (config.winnerVariantId) return config;
+
+    let current = config;
+    if (!current.testEndedAt) {
+      current = { ...current, testEndedAt: now.toISOString() };
+      await this.saveConfig(campaignId, current);
+    }
+
+    const deadline = new Date(current.testEndedAt).getTime() + current.deadlineHours * 60 * 60 * 1000;
+    const { contacts, variations } = await this.getTestData(campaignId);
+    const stats = this.computeVariantStats(current, variations, contacts);
+    const decision = this.evaluateWinner(current, stats, { deadlineReached: now.getTime() >= deadline });
+
+    if (!decision.winnerVariantId) return current;
+
+    const decided = {
+      ...current,
+      status: AB_TEST_STATUS.DECIDED,
+      winnerVariantId: decision.winnerVariantId,
+      decisionReason: decision.reason,
+      pValue: decision.pValue,
+      decidedAt: now.toISOString()
+    };
+    await this.saveConfig(campaignId, decided);
+
+    logger.info('A/B test winner decided', {
+      campaignId,
+      winnerVariantId: decision.winnerVariantId,
+      reason: decision.reason,
+      pValue: decision.pValue
+    });
+
+    return decided;
+  }
+
+  /**
+   * A/B test section for campaign reports
+   * @param {Object} campaign - bulk_campaigns row
+   * @returns {Promise<Object|null>}
+   */
+  async getCampaignResults(campaign) {
+    const config = this.normalizeConfig(campaign.ab_test);
+    if (!config) return null;
+
+    const { contacts, variations } = await this.getTestData(campaign.id);
+    const variants = this.computeVariantStats(config, variations, contacts);
+
+    return {
+      metric: config.metric,
+      confidenceLevel: config.confidenceLevel,
+      testPercentage: config.testPercentage,
+      testSliceSize: contacts.length,
+      status: config.status,
+      winnerVariantId: config.winnerVariantId || null,
+      decisionReason: config.decisionReason || null,
+      pValue: config.pValue ?? null,
+      decidedAt: config.decidedAt || null,
+      variants: variants.map(variant => ({
+        ...variant,
+        content: this.getVariant(config, variant.variantId)?.content
+      }))
+    };
+  }
+
+  // ==================== EVENTS ====================
+
+  /**
+   * Record the first reply of a contact to a recent A/B test message
+   * @param {string} userToken - WUZAPI token of the instance that received it
+   * @param {string} phone - Contact phone
+   */
+  async recordReply(userToken, phone) {
+    if (!userToken || !phone) return;
+
+    try {
+      const { data: campaigns, error } = await supabaseService.queryAsAdmin('bulk_campaigns', (query) =>
+        query.select('id')
+          .eq('user_token', userToken)
+          .not('ab_test', 'is', null)
+      );
+
+      if (error) throw error;
+      if (!campaigns || campaigns.length === 0) return;
+
+      await variationTracker.recordReply(normalizePhoneNumber(phone), {
+        campaignIds: campaigns.map(campaign => campaign.id),
+        since: new Date(Date.now() - REPLY_ATTRIBUTION_MS).toISOString()
+      });
+    } catch (error) {
+      logger.warn('Failed to record campaign reply', { error: error.message });
+    }
+  }
+}
+
+module.exports = new AbTestService();
+module.exports.AbTestService = AbTestService;
+module.exports.METRICS = METRICS;
+module.exports.AB_TEST_STATUS = AB_TEST_STATUS;
+module.exports.DECISION_REASONS = DECISION_REASONS;
+module.exports.MIN_VARIANTS = MIN_VARIANTS;
+module.exports.MAX_VARIANTS = MAX_VARIANTS;
@@ -15,6 +15,8 @@ const AgentCampaignService = require('./AgentCampaignService');
 const QuotaService = require('./QuotaService');
 const templateProcessor = require('./TemplateProcessor');
 const SupabaseService = require('./SupabaseService');
+const BusinessHoursService = require('./BusinessHoursService');
+const businessHours = require('../utils/businessHours');
 
 class AgentCampaignScheduler {
   constructor() {
@@ -74,6 +76,9 @@ class AgentCampaignScheduler {
       contacts = this.shuffleArray([...contacts]);
     }
 
+    // { inboxId } windows follow that inbox's business hours calendar
+    const sendingWindow = await this.resolveSendingWindow(config.schedule?.sendingWindow);
+
     let sentCount = 0;
     let failedCount = 0;
     let position = 0;
@@ -94,8 +99,8 @@ class AgentCampaignScheduler {
       }
 
       // Check sending window
-      if (config.schedule?.sendingWindow) {
-        const canSend = this.isWithinSendingWindow(config.schedule.sendingWindow);
+      if (sendingWindow) {
+        const canSend = this.isWithinSendingWindow(sendingWindow);
         if (!canSend) {
           logger.info('Outside sending window, waiting...', { campaignId });
           await this.sleep(60000); // Wait 1 minute and check again
@@ -255,33 +260,23 @@ class AgentCampaignScheduler {
     return data;
   }
 
+  /**
+   * Resolve the sending window of a campaign
+   * @param {object|null} window - Sending window config
+   * @returns {Promise<object|null>} Window or inbox calendar, null when unrestricted
+   */
+  async resolveSendingWindow(window) {
+    if (!window?.inboxId) return window || null;
+    return BusinessHoursService.getCalendar(window.inboxId);
+  }
+
   /**
    * Check if current time is within sending window
-   * @param {object} window - Sending window config
+   * @param {object} window - Sending window config ({ startHour, endHour, days } or a business hours calendar)
    * @returns {boolean}
    */
   isWithinSendingWindow(window) {
-    if (!window) return true;
-
-    const now = new Date();
-    const currentHour = now.getHours();
-    const currentDay = now.getDay(); // 0 = Sunday
-
-    // Check day of week
-    if (window.days && window.days.length > 0) {
-      if (!window.days.includes(currentDay)) {
-        return false;
-      }
-    }
-
-    // Check hours
-    if (window.startHour !== undefined && window.endHour !== undefined) {
-      if (currentHour < window.startHour || currentHour >= window.endHour) {
-        return false;
-      }
-    }
-
-    return true;
+    return businessHours.isOpen(window, new Date());
   }
 
   /**
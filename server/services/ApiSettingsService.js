@@ -8,11 +8,10 @@
 const crypto = require('crypto');
 const { logger } = require('../utils/logger');
 const SupabaseService = require('./SupabaseService');
+const CredentialVaultService = require('./CredentialVaultService');
 
 // Encryption configuration
 const ALGORITHM = 'aes-256-gcm';
-const IV_LENGTH = 16;
-const AUTH_TAG_LENGTH = 16;
 const SALT = 'wuzapi-manager-api-settings';
 
 class ApiSettingsService {
@@ -52,33 +51,7 @@ class ApiSettingsService {
   }
 
   /**
-   * Encrypts a sensitive value using AES-256-GCM
-   * @param {string} value - Plain text value
-   * @returns {string} Encrypted value in format: iv:authTag:ciphertext (base64)
-   */
-  encryptValue(value) {
-    if (!value) return null;
-    
-    try {
-      const key = this._getEncryptionKey();
-      const iv = crypto.randomBytes(IV_LENGTH);
-      const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
-      
-      let encrypted = cipher.update(value, 'utf8', 'base64');
-      encrypted += cipher.final('base64');
-      
-      const authTag = cipher.getAuthTag();
-      
-      // Format: iv:authTag:ciphertext (all base64)
-      return `${iv.toString('base64')}:${authTag.toString('base64')}:${encrypted}`;
-    } catch (error) {
-      logger.error('Failed to encrypt value', { error: error.message });
-      throw new Error('Encryption failed');
-    }
-  }
-
-  /**
-   * Decrypts a value encrypted with encryptValue
+   * Decrypts a value stored before the credential vault
    * @param {string} encryptedValue - Encrypted value in format: iv:authTag:ciphertext
    * @returns {string} Decrypted plain text
    */
@@ -126,7 +99,7 @@ class ApiSettingsService {
         
         // Decrypt if it's the admin token
         if (key === ApiSettingsService.KEYS.WUZAPI_ADMIN_TOKEN) {
-          value = this.decryptValue(value);
+          value = await CredentialVaultService.decrypt(value, (legacy) => this.decryptValue(legacy));
         }
         
         if (value !== null && value !== undefined && value !== '') {
@@ -223,8 +196,8 @@ class ApiSettingsService {
       }
 
       if (updates.wuzapiAdminToken !== undefined && updates.wuzapiAdminToken !== '') {
-        // Encrypt the token before saving
-        const encryptedToken = this.encryptValue(updates.wuzapiAdminToken);
+        // Encrypt the token with the platform vault data key before saving
+        const encryptedToken = await CredentialVaultService.encrypt(null, updates.wuzapiAdminToken);
         settingsToSave.push({
           key: ApiSettingsService.KEYS.WUZAPI_ADMIN_TOKEN,
           value: encryptedToken
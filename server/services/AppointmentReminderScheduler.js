@@ -0,0 +1,89 @@
+/**
+ * AppointmentReminderScheduler Service
+ *
+ * Envia os lembretes de agendamento pelo WhatsApp:
+ * - Verificação a cada 60 segundos
+ * - Aplica as regras de lembrete de cada tipo de serviço
+ * - Evita execuções sobrepostas
+ */
+
+const { logger } = require('../utils/logger');
+const AppointmentReminderService = require('./AppointmentReminderService');
+
+class AppointmentReminderScheduler {
+  constructor() {
+    this.checkInterval = 60000; // 60 segundos
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+
+    logger.info('AppointmentReminderScheduler criado', {
+      checkInterval: this.checkInterval
+    });
+  }
+
+  /**
+   * Inicia o scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('AppointmentReminderScheduler já está em execução');
+      return;
+    }
+
+    logger.info('Iniciando AppointmentReminderScheduler');
+    this.isRunning = true;
+
+    // Executar verificação imediatamente
+    this.sendDueReminders();
+
+    // Configurar verificação periódica
+    this.intervalId = setInterval(() => {
+      this.sendDueReminders();
+    }, this.checkInterval);
+  }
+
+  /**
+   * Para o scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('AppointmentReminderScheduler não está em execução');
+      return;
+    }
+
+    logger.info('Parando AppointmentReminderScheduler');
+    this.isRunning = false;
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Envia os lembretes cujo horário chegou
+   */
+  async sendDueReminders() {
+    if (this.isProcessing) {
+      logger.debug('AppointmentReminderScheduler ainda processando lote anterior');
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const { sent, failed, skipped } = await AppointmentReminderService.processDueReminders(new Date());
+
+      if (sent > 0 || failed > 0) {
+        logger.info('Lembretes de agendamento processados', { sent, failed, skipped });
+      }
+    } catch (error) {
+      logger.error('Erro ao enviar lembretes de agendamento:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = AppointmentReminderScheduler;
@@ -0,0 +1,511 @@
+/**
+ * AppointmentReminderService - WhatsApp reminders and confirmations for appointments
+ *
+ * Reminder rules per service type (e.g. 24h and 2h before) send a templated
+ * WhatsApp message through an inbox of the account. When the rule asks for
+ * confirmation, the contact's reply ("1 confirmar / 2 cancelar / 3 remarcar")
+ * is parsed by chatMessageHandler and applied to the appointment status, and
+ * the outcome is written to the contact timeline.
+ *
+ * Reminders are claimed by inserting a row keyed by (appointment, rule), so
+ * overlapping scheduler ticks never send the same reminder twice.
+ *
+ * Requirements: Appointment reminders per service type with confirmation replies
+ */
+
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const AppointmentService = require('./AppointmentService');
+const AppointmentSeriesService = require('./AppointmentSeriesService');
+const BusinessHoursService = require('./BusinessHoursService');
+const ContactInteractionService = require('./ContactInteractionService');
+const TemplateProcessor = require('./TemplateProcessor');
+const ProviderAdapterFactory = require('./providers/ProviderAdapterFactory');
+const businessHours = require('../utils/businessHours');
+const { validateStatusTransition } = require('../validators/appointmentValidator');
+
+const MAX_OFFSET_MINUTES = 30 * 24 * 60;
+
+// Appointments reminded per rule and scheduler tick
+const BATCH_SIZE = 100;
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+const CONFIRMATION_OPTIONS = 'Responda:\n1 - Confirmar\n2 - Cancelar\n3 - Remarcar';
+
+const REPLY_MESSAGES = {
+  confirm: 'Agendamento confirmado. Até lá!',
+  alreadyConfirmed: 'Seu agendamento já está confirmado. Até lá!',
+  cancel: 'Agendamento cancelado. Se quiser marcar outro horário, é só nos chamar.',
+  reschedule: 'Certo! Nossa equipe vai falar com você para escolher um novo horário.'
+};
+
+// Reply keywords, checked after the numeric options
+const REPLY_KEYWORDS = {
+  confirm: ['confirmar', 'confirmo', 'confirmado', 'sim'],
+  cancel: ['cancelar', 'cancela', 'cancelo'],
+  reschedule: ['remarcar', 'remarca', 'reagendar']
+};
+
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+class AppointmentReminderService {
+  // ==================== RULES ====================
+
+  /**
+   * Reminder rules of an account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Array>}
+   */
+  async getRules(accountId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('appointment_reminder_rules', (query) =>
+        query.select('*, service:appointment_services(id, name)')
+          .eq('account_id', accountId)
+          .order('offset_minutes', { ascending: false })
+      );
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get reminder rules', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a reminder rule
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - { serviceId, inboxId, offsetMinutes, messageTemplate, askConfirmation, isActive }
+   * @returns {Promise<Object>}
+   */
+  async createRule(accountId, tenantId, data) {
+    try {
+      await this.validateRule(accountId, data);
+
+      const { data: rule, error } = await supabaseService.insert('appointment_reminder_rules', {
+        account_id: accountId,
+        tenant_id: tenantId,
+        service_id: data.serviceId || null,
+        inbox_id: data.inboxId || null,
+        offset_minutes: data.offsetMinutes,
+        message_template: data.messageTemplate,
+        ask_confirmation: data.askConfirmation !== false,
+        is_active: data.isActive !== false
+      });
+
+      if (error) throw error;
+
+      logger.info('Reminder rule created', { accountId, ruleId: rule.id, offsetMinutes: rule.offset_minutes });
+      return rule;
+    } catch (error) {
+      logger.error('Failed to create reminder rule', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a reminder rule
+   * @throws {Error} RULE_NOT_FOUND
+   */
+  async updateRule(accountId, ruleId, data) {
+    try {
+      const existing = await this.getRule(accountId, ruleId);
+      if (!existing) throw new Error('RULE_NOT_FOUND');
+
+      await this.validateRule(accountId, {
+        serviceId: data.serviceId !== undefined ? data.serviceId : existing.service_id,
+        inboxId: data.inboxId !== undefined ? data.inboxId : existing.inbox_id,
+        offsetMinutes: data.offsetMinutes ?? existing.offset_minutes,
+        messageTemplate: data.messageTemplate ?? existing.message_template
+      });
+
+      const updates = { updated_at: new Date().toISOString() };
+      if (data.serviceId !== undefined) updates.service_id = data.serviceId;
+      if (data.inboxId !== undefined) updates.inbox_id = data.inboxId;
+      if (data.offsetMinutes !== undefined) updates.offset_minutes = data.offsetMinutes;
+      if (data.messageTemplate !== undefined) updates.message_template = data.messageTemplate;
+      if (data.askConfirmation !== undefined) updates.ask_confirmation = data.askConfirmation;
+      if (data.isActive !== undefined) updates.is_active = data.isActive;
+
+      const { data: rule, error } = await supabaseService.update('appointment_reminder_rules', ruleId, updates);
+      if (error) throw error;
+
+      logger.info('Reminder rule updated', { accountId, ruleId });
+      return rule;
+    } catch (error) {
+      logger.error('Failed to update reminder rule', { error: error.message, accountId, ruleId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a reminder rule
+   * @throws {Error} RULE_NOT_FOUND
+   */
+  async deleteRule(accountId, ruleId) {
+    try {
+      const existing = await this.getRule(accountId, ruleId);
+      if (!existing) throw new Error('RULE_NOT_FOUND');
+
+      const { error } = await supabaseService.delete('appointment_reminder_rules', ruleId);
+      if (error) throw error;
+
+      logger.info('Reminder rule deleted', { accountId, ruleId });
+    } catch (error) {
+      logger.error('Failed to delete reminder rule', { error: error.message, accountId, ruleId });
+      throw error;
+    }
+  }
+
+  async getRule(accountId, ruleId) {
+    const { data, error } = await supabaseService.queryAsAdmin('appointment_reminder_rules', (query) =>
+      query.select('*').eq('id', ruleId).eq('account_id', accountId).single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Validate rule input
+   * @throws {Error} INVALID_OFFSET | INVALID_TEMPLATE | SERVICE_NOT_FOUND | INBOX_NOT_FOUND
+   */
+  async validateRule(accountId, data) {
+    if (!Number.isInteger(data.offsetMinutes) || data.offsetMinutes <= 0 || data.offsetMinutes > MAX_OFFSET_MINUTES) {
+      throw new Error('INVALID_OFFSET');
+    }
+
+    if (!data.messageTemplate?.trim() || !TemplateProcessor.validate(data.messageTemplate).success) {
+      throw new Error('INVALID_TEMPLATE');
+    }
+
+    if (data.serviceId) {
+      const { data: service } = await supabaseService.queryAsAdmin('appointment_services', (query) =>
+        query.select('id').eq('id', data.serviceId).eq('account_id', accountId).single()
+      );
+      if (!service) throw new Error('SERVICE_NOT_FOUND');
+    }
+
+    if (data.inboxId) {
+      const { data: inbox } = await supabaseService.queryAsAdmin('inboxes', (query) =>
+        query.select('id').eq('id', data.inboxId).eq('account_id', accountId).single()
+      );
+      if (!inbox) throw new Error('INBOX_NOT_FOUND');
+    }
+  }
+
+  // ==================== SENDING ====================
+
+  /**
+   * Send the reminders that are due
+   * @param {Date} [now]
+   * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+   */
+  async processDueReminders(now = new Date()) {
+    const totals = { sent: 0, failed: 0, skipped: 0 };
+
+    const { data: rules, error } = await supabaseService.queryAsAdmin('appointment_reminder_rules', (query) =>
+      query.select('*').eq('is_active', true)
+    );
+    if (error) throw error;
+
+    for (const rule of rules || []) {
+      // Default rules skip services that have rules of their own
+      const excludedServiceIds = rule.service_id
+        ? []
+        : [...new Set(rules.filter(r => r.account_id === rule.account_id && r.service_id).map(r => r.service_id))];
+
+      try {
+        const appointments = await this.getDueAppointments(rule, excludedServiceIds, now);
+        for (const appointment of appointments) {
+          const result = await this.sendReminder(rule, appointment, now);
+          if (result) totals[result]++;
+        }
+      } catch (ruleError) {
+        logger.error('Failed to process reminder rule', { error: ruleError.message, ruleId: rule.id });
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Active appointments starting within the rule offset that were not reminded by it yet
+   * @returns {Promise<Array>}
+   */
+  async getDueAppointments(rule, excludedServiceIds, now) {
+    const windowEnd = new Date(now.getTime() + rule.offset_minutes * 60 * 1000).toISOString();
+
+    const { data, error } = await supabaseService.queryAsAdmin('appointments', (query) => {
+      let q = query
+        .select('id, account_id, tenant_id, contact_id, service_id, title, start_time, end_time, status, created_at, contact:contacts(id, name, phone), service:appointment_services(id, name), reminders:appointment_reminders(rule_id)')
+        .eq('account_id', rule.account_id)
+        .in('status', ACTIVE_STATUSES)
+        .gt('start_time', now.toISOString())
+        .lte('start_time', windowEnd)
+        .order('start_time', { ascending: true })
+        .limit(BATCH_SIZE);
+
+      if (rule.service_id) {
+        q = q.eq('service_id', rule.service_id);
+      } else if (excludedServiceIds.length > 0) {
+        q = q.or(`service_id.is.null,service_id.not.in.(${excludedServiceIds.join(',')})`);
+      }
+      return q;
+    });
+    if (error) throw error;
+
+    const due = (data || []).filter(appointment =>
+      !(appointment.reminders || []).some(reminder => reminder.rule_id === rule.id)
+    );
+
+    // Series occurrences get a row before their first reminder
+    const occurrences = (await AppointmentSeriesService.getOccurrences(rule.account_id, rule.tenant_id, {
+      startDate: now,
+      endDate: new Date(windowEnd)
+    })).filter(occurrence => new Date(occurrence.start_time) > now && (rule.service_id
+      ? occurrence.service_id === rule.service_id
+      : !excludedServiceIds.includes(occurrence.service_id)));
+
+    for (const occurrence of occurrences.slice(0, Math.max(BATCH_SIZE - due.length, 0))) {
+      due.push(await AppointmentSeriesService.materializeOccurrence(rule.account_id, rule.tenant_id, occurrence.id));
+    }
+
+    return due;
+  }
+
+  /**
+   * Claim and send one reminder
+   * @returns {Promise<'sent'|'failed'|'skipped'|null>} null when another worker claimed it
+   */
+  async sendReminder(rule, appointment, now) {
+    const phone = appointment.contact?.phone;
+    const reminderAt = new Date(appointment.start_time).getTime() - rule.offset_minutes * 60 * 1000;
+
+    // Booked inside the reminder window: the contact just scheduled it
+    const bookedLate = appointment.created_at && new Date(appointment.created_at).getTime() > reminderAt;
+
+    const reminder = await this.claimReminder(rule, appointment, phone, bookedLate || !phone ? 'skipped' : 'sending');
+    if (!reminder) return null;
+    if (reminder.status === 'skipped') return 'skipped';
+
+    try {
+      const inbox = await this.getSendingInbox(rule);
+      if (!inbox) throw new Error('NO_INBOX');
+
+      const text = await this.renderMessage(rule, appointment, inbox.id);
+      const result = await this.sendText(inbox, phone, text);
+      if (!result.success) throw new Error(result.error || 'SEND_FAILED');
+
+      await supabaseService.update('appointment_reminders', reminder.id, {
+        status: 'sent',
+        inbox_id: inbox.id,
+        sent_at: now.toISOString(),
+        awaiting_reply: rule.ask_confirmation
+      });
+
+      logger.info('Appointment reminder sent', { appointmentId: appointment.id, ruleId: rule.id });
+      return 'sent';
+    } catch (error) {
+      await supabaseService.update('appointment_reminders', reminder.id, { status: 'failed', error: error.message });
+      logger.warn('Appointment reminder failed', { appointmentId: appointment.id, ruleId: rule.id, error: error.message });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Insert the (appointment, rule) reminder row
+   * @returns {Promise<Object|null>} null when it already exists
+   */
+  async claimReminder(rule, appointment, phone, status) {
+    const { data, error } = await supabaseService.insert('appointment_reminders', {
+      account_id: rule.account_id,
+      appointment_id: appointment.id,
+      rule_id: rule.id,
+      contact_phone: phone || '',
+      status
+    });
+
+    if (error) {
+      if (error.code === '23505') return null;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Inbox of the rule, or the first inbox of the account
+   * @returns {Promise<Object|null>}
+   */
+  async getSendingInbox(rule) {
+    const { data } = await supabaseService.queryAsAdmin('inboxes', (query) => {
+      let q = query.select('id, wuzapi_token, provider_type, provider_config').eq('account_id', rule.account_id);
+      q = rule.inbox_id
+        ? q.eq('id', rule.inbox_id)
+        : q.order('created_at', { ascending: true });
+      return q.limit(1);
+    });
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Reminder text of an appointment
+   * @param {Object} rule
+   * @param {Object} appointment - With contact and service
+   * @param {string} inboxId - Sending inbox (its business hours timezone formats the date)
+   * @returns {Promise<string>}
+   */
+  async renderMessage(rule, appointment, inboxId) {
+    const calendar = await BusinessHoursService.getCalendar(inboxId);
+    const p = businessHours.getLocalParts(new Date(appointment.start_time), calendar?.timezone || DEFAULT_TIMEZONE);
+    const pad = (value) => String(value).padStart(2, '0');
+
+    const result = TemplateProcessor.process(rule.message_template, {
+      nome: appointment.contact?.name || '',
+      servico: appointment.service?.name || appointment.title,
+      titulo: appointment.title,
+      data: `${pad(p.day)}/${pad(p.month)}/${p.year}`,
+      hora: `${pad(p.hour)}:${pad(p.minute)}`
+    });
+    if (!result.success) throw new Error('INVALID_TEMPLATE');
+
+    return rule.ask_confirmation
+      ? `${result.finalMessage}\n\n${CONFIRMATION_OPTIONS}`
+      : result.finalMessage;
+  }
+
+  async sendText(inbox, phone, text) {
+    return ProviderAdapterFactory.getAdapterForInbox(inbox).sendMessage(inbox, { to: phone, text });
+  }
+
+  // ==================== REPLIES ====================
+
+  /**
+   * Parse a reply to the confirmation options
+   * @param {string} content - Message text
+   * @returns {'confirm'|'cancel'|'reschedule'|null}
+   */
+  parseReply(content) {
+    const text = String(content || '').trim().toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (!text) return null;
+
+    const option = text.match(/^([123])(?:\D|$)/);
+    if (option) {
+      return { 1: 'confirm', 2: 'cancel', 3: 'reschedule' }[option[1]];
+    }
+
+    const firstWord = text.split(/[^a-z]+/)[0];
+    for (const [action, keywords] of Object.entries(REPLY_KEYWORDS)) {
+      if (keywords.includes(firstWord)) return action;
+    }
+    return null;
+  }
+
+  /**
+   * Apply a contact message to the reminder awaiting its reply
+   * @param {Object} conversation - Conversation (account_id, inbox_id, contact_jid)
+   * @param {string} content - Message text
+   * @param {Date} [now]
+   * @returns {Promise<{handled: boolean, action?: string}>}
+   */
+  async handleIncomingMessage(conversation, content, now = new Date()) {
+    try {
+      if (!conversation?.account_id || !conversation.contact_jid) return { handled: false };
+
+      const action = this.parseReply(content);
+      if (!action) return { handled: false };
+
+      const phone = conversation.contact_jid.replace('@s.whatsapp.net', '');
+      const reminder = await this.getAwaitingReminder(conversation.account_id, phone);
+      if (!reminder) return { handled: false };
+
+      const appointment = reminder.appointment;
+      if (!appointment || !ACTIVE_STATUSES.includes(appointment.status) || new Date(appointment.start_time) <= now) {
+        await supabaseService.update('appointment_reminders', reminder.id, { awaiting_reply: false });
+        return { handled: false };
+      }
+
+      let reply = REPLY_MESSAGES[action];
+      if (action === 'confirm' && appointment.status === 'confirmed') {
+        reply = REPLY_MESSAGES.alreadyConfirmed;
+      } else if (action !== 'reschedule') {
+        const status = action === 'confirm' ? 'confirmed' : 'cancelled';
+        if (!validateStatusTransition(appointment.status, status).valid) return { handled: false };
+
+        await AppointmentService.updateStatus(
+          appointment.account_id,
+          appointment.tenant_id,
+          appointment.id,
+          status,
+          action === 'cancel' ? 'Cancelado pelo contato via WhatsApp' : null
+        );
+      }
+
+      await supabaseService.update('appointment_reminders', reminder.id, {
+        awaiting_reply: false,
+        reply_action: action,
+        replied_at: now.toISOString()
+      });
+
+      await this.logReply(appointment, action);
+
+      // Answer from the inbox the contact wrote to
+      const inboxId = conversation.inbox_id || reminder.inbox_id;
+      const inbox = inboxId ? await this.getSendingInbox({ account_id: conversation.account_id, inbox_id: inboxId }) : null;
+      if (inbox) {
+        await this.sendText(inbox, phone, reply);
+      }
+
+      logger.info('Appointment reminder reply handled', { appointmentId: appointment.id, action });
+      return { handled: true, action };
+    } catch (error) {
+      logger.warn('Failed to handle appointment reminder reply', { error: error.message, conversationId: conversation?.id });
+      return { handled: false };
+    }
+  }
+
+  async getAwaitingReminder(accountId, phone) {
+    const { data, error } = await supabaseService.queryAsAdmin('appointment_reminders', (query) =>
+      query.select('id, inbox_id, appointment:appointments(id, account_id, tenant_id, contact_id, title, start_time, status)')
+        .eq('account_id', accountId)
+        .eq('contact_phone', phone)
+        .eq('awaiting_reply', true)
+        .order('sent_at', { ascending: false })
+        .limit(1)
+    );
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Contact timeline entry for a reminder reply
+   * @private
+   */
+  async logReply(appointment, action) {
+    const descriptions = {
+      confirm: 'Confirmou o agendamento',
+      cancel: 'Cancelou o agendamento',
+      reschedule: 'Pediu para remarcar o agendamento'
+    };
+
+    try {
+      await ContactInteractionService.logInteraction(
+        appointment.contact_id,
+        'status_change',
+        'incoming',
+        `${descriptions[action]} "${appointment.title}" pelo lembrete do WhatsApp`,
+        { appointmentId: appointment.id, reminderReply: action }
+      );
+    } catch (error) {
+      logger.warn('Failed to log reminder reply interaction', { error: error.message, appointmentId: appointment.id });
+    }
+  }
+}
+
+module.exports = new AppointmentReminderService();
+module.exports.AppointmentReminderService = AppointmentReminderService;
@@ -0,0 +1,908 @@
+/**
+ * AppointmentSeriesService - Recurring appointments (RFC 5545 rules)
+ *
+ * A series keeps its rule (daily, weekdays, weekly on chosen days, monthly on
+ * a day or on the nth weekday, with COUNT or UNTIL), first start, timezone
+ * and excluded dates in appointment_series. Occurrences are expanded for the
+ * requested range and look like appointments with the id
+ * `${seriesId}_${originalStartIso}` and is_occurrence: true, like the
+ * occurrences of recurring blocked slots.
+ *
+ * Editing an occurrence, changing its status or sending it a reminder turns
+ * it into an appointments row (series_id + recurrence_start). Rows replace the
+ * occurrence they came from, so the rule never overrides what was changed.
+ *
+ * Changes apply to one occurrence ('this'), to an occurrence and the ones
+ * after it ('following', which ends the series and starts a new one) or to
+ * the whole series ('all'). Creating a series or moving its occurrences
+ * reports the occurrences that collide with other appointments or blocked
+ * slots: they are excluded (conflictStrategy 'skip', default) or nothing is
+ * saved (conflictStrategy 'fail').
+ *
+ * Requirements: RFC 5545 recurrence for CRM calendar appointments
+ */
+
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const AppointmentService = require('./AppointmentService');
+const BlockedSlotService = require('./BlockedSlotService');
+const ical = require('../utils/ical');
+const { getLocalParts } = require('../utils/businessHours');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Occurrences checked for conflicts ahead of the first changed one
+const CONFLICT_HORIZON_DAYS = 365;
+const MAX_CHECKED_OCCURRENCES = 500;
+
+// Busy times are loaded one window at a time
+const CONFLICT_WINDOW_DAYS = 31;
+
+// Wall clock of the rules when the account has no timezone
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+// Expansion end used to find the last occurrence of COUNT/UNTIL rules
+const FAR_FUTURE = new Date('9999-12-31T00:00:00.000Z');
+
+const RULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAYS_RULE = 'BYDAY=MO,TU,WE,TH,FR';
+
+// Occurrence rows that follow series changes (past and closed ones keep their history)
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+
+// Postgres unique_violation / exclusion_violation
+const UNIQUE_VIOLATION = '23505';
+const EXCLUSION_VIOLATION = '23P01';
+
+const APPOINTMENT_FIELDS = `
+  *,
+  service:appointment_services(*),
+  contact:contacts(id, name, phone, avatar_url)
+`;
+
+const OCCURRENCE_ID_PATTERN = /^([0-9a-f-]{36})_(.+)$/i;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toTime(value) {
+  return new Date(value).getTime();
+}
+
+function toIso(time) {
+  return new Date(time).toISOString();
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant
+ */
+function localDateKey(date, timezone) {
+  const p = getLocalParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+class AppointmentSeriesService {
+  // ==================== RULES ====================
+
+  /**
+   * RRULE of a recurrence pattern
+   * @param {Object} pattern - { type: daily|weekdays|weekly|monthly, interval, daysOfWeek, weekOfMonth, count, endDate }
+   * @param {Date} start - First occurrence (weekday of weekly and nth weekday rules)
+   * @param {string} timezone - Wall clock of the rule
+   * @returns {string} e.g. FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;COUNT=6
+   */
+  buildRule(pattern, start, timezone) {
+    const local = getLocalParts(start, timezone);
+    const weekday = new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay();
+    const parts = [];
+
+    if (pattern.type === 'daily') {
+      parts.push('FREQ=DAILY');
+    } else if (pattern.type === 'weekdays') {
+      parts.push('FREQ=WEEKLY', WEEKDAYS_RULE);
+    } else if (pattern.type === 'weekly') {
+      const days = pattern.daysOfWeek?.length
+        ? [...new Set(pattern.daysOfWeek)].sort((a, b) => a - b)
+        : [weekday];
+      parts.push('FREQ=WEEKLY', `BYDAY=${days.map(day => RULE_WEEKDAYS[day]).join(',')}`);
+    } else {
+      parts.push('FREQ=MONTHLY');
+      if (pattern.weekOfMonth) parts.push(`BYDAY=${pattern.weekOfMonth}${RULE_WEEKDAYS[weekday]}`);
+    }
+
+    if (pattern.interval > 1) parts.splice(1, 0, `INTERVAL=${pattern.interval}`);
+
+    if (pattern.count) {
+      parts.push(`COUNT=${pattern.count}`);
+    } else if (pattern.endDate) {
+      parts.push(`UNTIL=${ical.formatDateTime(pattern.endDate)}`);
+    }
+
+    return parts.join(';');
+  }
+
+  /**
+   * Original starts of the occurrences of a series up to rangeEnd (EXDATEs included)
+   * @param {Object} series - { rrule, starts_at, timezone }
+   * @param {Date} rangeEnd
+   * @returns {Date[]}
+   */
+  getRuleStarts(series, rangeEnd) {
+    return ical.expandRule({
+      start: new Date(series.starts_at),
+      timezone: series.timezone,
+      rrule: ical.parseRule(series.rrule)
+    }, rangeEnd);
+  }
+
+  /**
+   * End of the last occurrence (null for rules without COUNT/UNTIL)
+   * @returns {string|null}
+   */
+  getLastOccurrenceEnd(series) {
+    const rule = ical.parseRule(series.rrule);
+    if (!rule.count && !rule.until) return null;
+
+    const excluded = new Set(series.exdates.map(toTime));
+    const starts = this.getRuleStarts(series, FAR_FUTURE).filter(start => !excluded.has(start.getTime()));
+    const last = starts.length > 0 ? starts[starts.length - 1] : new Date(series.starts_at);
+    return toIso(last.getTime() + series.duration_minutes * MINUTE_MS);
+  }
+
+  /**
+   * Rule, first start and excluded dates of a pattern
+   * @param {Object} pattern - Recurrence pattern (exceptions: dates left out)
+   * @param {Date} start - First occurrence
+   * @param {number} durationMinutes
+   * @param {string} timezone
+   * @param {string[]} [exdates] - Excluded starts kept from an existing series
+   * @returns {Object} Series columns
+   * @throws {Error} INVALID_RECURRENCE_START when the start is not the first occurrence of the rule
+   */
+  buildDraft(pattern, start, durationMinutes, timezone, exdates = []) {
+    const { exceptions, ...rulePattern } = pattern;
+    const draft = {
+      pattern: rulePattern,
+      rrule: this.buildRule(rulePattern, start, timezone),
+      timezone,
+      starts_at: start.toISOString(),
+      duration_minutes: durationMinutes,
+      exdates
+    };
+
+    // Rules work on whole minutes
+    const [first] = this.getRuleStarts(draft, new Date(start.getTime() + MINUTE_MS));
+    if (!first || Math.floor(first.getTime() / MINUTE_MS) !== Math.floor(start.getTime() / MINUTE_MS)) {
+      throw new Error('INVALID_RECURRENCE_START');
+    }
+    draft.starts_at = first.toISOString();
+
+    if (exceptions?.length) {
+      const excluded = this.matchExceptions(draft, exceptions).filter(date => date !== draft.starts_at);
+      draft.exdates = [...new Set([...exdates, ...excluded])];
+    }
+    return draft;
+  }
+
+  /**
+   * Starts of the occurrences falling on exception dates (YYYY-MM-DD or ISO, local date)
+   * @returns {string[]}
+   */
+  matchExceptions(draft, exceptions) {
+    const keys = new Set(exceptions.map(value =>
+      (DATE_ONLY_PATTERN.test(value) ? value : localDateKey(new Date(value), draft.timezone))
+    ));
+    const latest = Math.max(...exceptions.map(toTime));
+
+    return this.getRuleStarts(draft, new Date(latest + 2 * DAY_MS))
+      .filter(start => keys.has(localDateKey(start, draft.timezone)))
+      .map(start => start.toISOString());
+  }
+
+  /**
+   * Pattern with its weekdays moved along with a start that changed day
+   */
+  shiftPattern(pattern, from, to, timezone) {
+    if (!pattern.daysOfWeek?.length) return pattern;
+
+    const dayNumber = (date) => toTime(`${localDateKey(date, timezone)}T00:00:00.000Z`) / DAY_MS;
+    const shift = dayNumber(to) - dayNumber(from);
+    return { ...pattern, daysOfWeek: pattern.daysOfWeek.map(day => (((day + shift) % 7) + 7) % 7) };
+  }
+
+  // ==================== OCCURRENCES ====================
+
+  /**
+   * Whether an id is a series occurrence id (not an appointments row)
+   * @param {string} id
+   * @returns {boolean}
+   */
+  isOccurrenceId(id) {
+    return OCCURRENCE_ID_PATTERN.test(String(id));
+  }
+
+  /**
+   * Id of a series occurrence
+   * @param {string} seriesId
+   * @param {Date|string} recurrenceStart - Original start
+   * @returns {string}
+   */
+  getOccurrenceId(seriesId, recurrenceStart) {
+    return `${seriesId}_${new Date(recurrenceStart).toISOString()}`;
+  }
+
+  /**
+   * Occurrences of the series of an account overlapping a range that are not rows
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options
+   * @param {Date} options.startDate
+   * @param {Date} options.endDate
+   * @param {string} [options.contactId]
+   * @param {string} [options.agentId]
+   * @param {string} [options.excludeSeriesId]
+   * @returns {Promise<Array>} Appointment-shaped occurrences
+   */
+  async getOccurrences(accountId, tenantId, options) {
+    const { startDate, endDate, contactId, agentId, excludeSeriesId } = options;
+
+    const { data: seriesList, error } = await supabaseService.queryAsAdmin('appointment_series', (query) => {
+      let q = query.select(APPOINTMENT_FIELDS)
+        .eq('account_id', accountId)
+        .eq('tenant_id', tenantId)
+        .lt('starts_at', endDate.toISOString())
+        .or(`last_occurrence_end.is.null,last_occurrence_end.gt.${startDate.toISOString()}`);
+      if (contactId) q = q.eq('contact_id', contactId);
+      if (agentId) q = q.eq('agent_id', agentId);
+      if (excludeSeriesId) q = q.neq('id', excludeSeriesId);
+      return q;
+    });
+    if (error) throw error;
+    if (!seriesList?.length) return [];
+
+    const rows = await this.getOccurrenceRows(seriesList, startDate, endDate);
+    return seriesList
+      .flatMap(series => this.expandSeries(series, rows.filter(row => row.series_id === series.id), startDate, endDate))
+      .sort((a, b) => toTime(a.start_time) - toTime(b.start_time));
+  }
+
+  /**
+   * Rows created from occurrences that start in a range
+   * @returns {Promise<Array<{series_id: string, recurrence_start: string}>>}
+   */
+  async getOccurrenceRows(seriesList, startDate, endDate) {
+    const longest = Math.max(...seriesList.map(series => series.duration_minutes));
+
+    const { data, error } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      query.select('series_id, recurrence_start')
+        .in('series_id', seriesList.map(series => series.id))
+        .gt('recurrence_start', toIso(startDate.getTime() - longest * MINUTE_MS))
+        .lt('recurrence_start', endDate.toISOString())
+    );
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Occurrences of one series overlapping a range, leaving out EXDATEs and rows
+   */
+  expandSeries(series, rows, startDate, endDate) {
+    const duration = series.duration_minutes * MINUTE_MS;
+    const skipped = new Set([...(series.exdates || []), ...rows.map(row => row.recurrence_start)].map(toTime));
+
+    return this.getRuleStarts(series, endDate)
+      .filter(start => start < endDate &&
+        start.getTime() + duration > startDate.getTime() &&
+        !skipped.has(start.getTime()))
+      .map(start => this.toOccurrence(series, start));
+  }
+
+  /**
+   * Appointment-shaped occurrence of a series
+   */
+  toOccurrence(series, start) {
+    return {
+      id: this.getOccurrenceId(series.id, start),
+      account_id: series.account_id,
+      tenant_id: series.tenant_id,
+      contact_id: series.contact_id,
+      service_id: series.service_id,
+      agent_id: series.agent_id,
+      title: series.title,
+      description: series.description,
+      notes: series.notes,
+      price_cents: series.price_cents,
+      start_time: start.toISOString(),
+      end_time: toIso(start.getTime() + series.duration_minutes * MINUTE_MS),
+      status: 'scheduled',
+      source: 'internal',
+      series_id: series.id,
+      recurrence_start: start.toISOString(),
+      created_at: series.created_at,
+      updated_at: series.updated_at,
+      contact: series.contact,
+      service: series.service,
+      is_occurrence: true
+    };
+  }
+
+  async getSeries(accountId, tenantId, seriesId) {
+    const { data, error } = await supabaseService.queryAsAdmin('appointment_series', (query) =>
+      query.select(APPOINTMENT_FIELDS)
+        .eq('id', seriesId)
+        .eq('account_id', accountId)
+        .eq('tenant_id', tenantId)
+        .single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Appointment row or series occurrence by id
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} id - Appointment UUID or occurrence id
+   * @returns {Promise<Object|null>}
+   */
+  async getOccurrence(accountId, tenantId, id) {
+    const match = OCCURRENCE_ID_PATTERN.exec(id);
+    if (!match) return AppointmentService.getAppointmentById(accountId, tenantId, id);
+
+    const recurrenceStart = new Date(match[2]);
+    if (isNaN(recurrenceStart.getTime())) return null;
+
+    const series = await this.getSeries(accountId, tenantId, match[1]);
+    if (!series) return null;
+
+    const row = await this.getOccurrenceRow(series.id, recurrenceStart);
+    if (row) return AppointmentService.getAppointmentById(accountId, tenantId, row.id);
+
+    const time = recurrenceStart.getTime();
+    const exists = this.getRuleStarts(series, recurrenceStart).some(start => start.getTime() === time) &&
+      !series.exdates.some(date => toTime(date) === time);
+    return exists ? this.toOccurrence(series, recurrenceStart) : null;
+  }
+
+  async getOccurrenceRow(seriesId, recurrenceStart) {
+    const { data, error } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      query.select('id').eq('series_id', seriesId).eq('recurrence_start', new Date(recurrenceStart).toISOString()).single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Turn an occurrence into an appointments row (rows are returned as they are)
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} id - Appointment UUID or occurrence id
+   * @returns {Promise<Object>} Appointment row
+   * @throws {Error} APPOINTMENT_NOT_FOUND | SLOT_UNAVAILABLE
+   */
+  async materializeOccurrence(accountId, tenantId, id) {
+    const occurrence = await this.getOccurrence(accountId, tenantId, id);
+    if (!occurrence) throw new Error('APPOINTMENT_NOT_FOUND');
+    if (!occurrence.is_occurrence) return occurrence;
+
+    const { data, error } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      query.insert({
+        account_id: occurrence.account_id,
+        tenant_id: occurrence.tenant_id,
+        contact_id: occurrence.contact_id,
+        service_id: occurrence.service_id,
+        agent_id: occurrence.agent_id,
+        title: occurrence.title,
+        description: occurrence.description,
+        notes: occurrence.notes,
+        price_cents: occurrence.price_cents,
+        start_time: occurrence.start_time,
+        end_time: occurrence.end_time,
+        status: 'scheduled',
+        source: 'internal',
+        series_id: occurrence.series_id,
+        recurrence_start: occurrence.recurrence_start,
+        // Booked when the series was (reminders skip late bookings)
+        created_at: occurrence.created_at
+      }).select(APPOINTMENT_FIELDS).single()
+    );
+
+    if (error) {
+      // Created by a concurrent request
+      if (error.code === UNIQUE_VIOLATION) {
+        const row = await this.getOccurrenceRow(occurrence.series_id, occurrence.recurrence_start);
+        return AppointmentService.getAppointmentById(accountId, tenantId, row.id);
+      }
+      if (error.code === EXCLUSION_VIOLATION) throw new Error('SLOT_UNAVAILABLE');
+      throw error;
+    }
+
+    logger.info('Series occurrence materialized', { seriesId: occurrence.series_id, appointmentId: data.id });
+    return data;
+  }
+
+  // ==================== CONFLICTS ====================
+
+  /**
+   * Appointments, occurrences of other series and blocked slots overlapping a range
+   * @returns {Promise<Array<{type: string, id: string, title: string, start: Date, end: Date}>>}
+   */
+  async getBusyRanges(accountId, tenantId, from, to, excludeSeriesId = null) {
+    const fromIso = from.toISOString();
+    const toIsoValue = to.toISOString();
+
+    const { data: appointments, error: appointmentError } = await supabaseService.queryAsAdmin('appointments', (query) => {
+      let q = query.select('id, title, start_time, end_time')
+        .eq('account_id', accountId)
+        .eq('tenant_id', tenantId)
+        .neq('status', 'cancelled')
+        .lt('start_time', toIsoValue)
+        .gt('end_time', fromIso);
+      if (excludeSeriesId) q = q.or(`series_id.is.null,series_id.neq.${excludeSeriesId}`);
+      return q;
+    });
+    if (appointmentError) throw appointmentError;
+
+    // Recurring blocks keep their first occurrence dates, so they are always expanded
+    const { data: blocked, error: blockedError } = await supabaseService.queryAsAdmin('blocked_slots', (query) =>
+      query.select('*')
+        .eq('account_id', accountId)
+        .eq('tenant_id', tenantId)
+        .or(`is_recurring.eq.true,and(start_time.lt.${toIsoValue},end_time.gt.${fromIso})`)
+    );
+    if (blockedError) throw blockedError;
+
+    const occurrences = await this.getOccurrences(accountId, tenantId, { startDate: from, endDate: to, excludeSeriesId });
+
+    return [
+      ...[...(appointments || []), ...occurrences].map(appointment => ({
+        type: 'appointment',
+        id: appointment.id,
+        title: appointment.title,
+        start: new Date(appointment.start_time),
+        end: new Date(appointment.end_time)
+      })),
+      ...BlockedSlotService.expandRecurringSlots(blocked || [], from, to).map(slot => ({
+        type: 'blocked',
+        id: slot.parent_id || slot.id,
+        title: slot.reason || 'Bloqueado',
+        start: new Date(slot.start_time),
+        end: new Date(slot.end_time)
+      }))
+    ];
+  }
+
+  /**
+   * Occurrences colliding with busy times
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Date[]} starts - Occurrence starts, in order
+   * @param {number} durationMinutes
+   * @param {string} [excludeSeriesId] - Series being changed
+   * @returns {Promise<Array<{startTime: string, endTime: string, conflictsWith: Object}>>}
+   */
+  async findConflicts(accountId, tenantId, starts, durationMinutes, excludeSeriesId = null) {
+    const duration = durationMinutes * MINUTE_MS;
+    const conflicts = [];
+
+    for (let i = 0; i < starts.length;) {
+      const windowStart = starts[i];
+      const windowEnd = windowStart.getTime() + CONFLICT_WINDOW_DAYS * DAY_MS;
+      const batch = [];
+      while (i < starts.length && starts[i].getTime() < windowEnd) batch.push(starts[i++]);
+
+      const lastEnd = new Date(batch[batch.length - 1].getTime() + duration);
+      const busy = await this.getBusyRanges(accountId, tenantId, windowStart, lastEnd, excludeSeriesId);
+
+      for (const start of batch) {
+        const end = new Date(start.getTime() + duration);
+        const hit = busy.find(range => start < range.end && end > range.start);
+        if (hit) {
+          conflicts.push({
+            startTime: start.toISOString(),
+            endTime: end.toISOString(),
+            conflictsWith: {
+              type: hit.type,
+              id: hit.id,
+              title: hit.title,
+              startTime: hit.start.toISOString(),
+              endTime: hit.end.toISOString()
+            }
+          });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Starts checked for conflicts: occurrences from a date within the horizon
+   */
+  getCheckedStarts(draft, from) {
+    const excluded = new Set(draft.exdates.map(toTime));
+    return this.getRuleStarts(draft, new Date(from.getTime() + CONFLICT_HORIZON_DAYS * DAY_MS))
+      .filter(start => start >= from && !excluded.has(start.getTime()))
+      .slice(0, MAX_CHECKED_OCCURRENCES);
+  }
+
+  /**
+   * Exclude conflicting occurrences, or reject the change
+   * @throws {Error} RECURRENCE_CONFLICT (details: conflicts) with conflictStrategy 'fail'
+   */
+  applyConflicts(draft, conflicts, conflictStrategy = 'skip') {
+    if (conflicts.length === 0) return;
+
+    if (conflictStrategy === 'fail') {
+      const error = new Error('RECURRENCE_CONFLICT');
+      error.details = conflicts;
+      throw error;
+    }
+    draft.exdates = [...draft.exdates, ...conflicts.map(conflict => conflict.startTime)];
+  }
+
+  // ==================== SERIES ====================
+
+  /**
+   * Create a series and the appointment of its first occurrence
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - Appointment data with recurringPattern and conflictStrategy
+   * @returns {Promise<{appointment: Object, series: Object, conflicts: Array}>}
+   * @throws {Error} INVALID_RECURRENCE_START | SLOT_UNAVAILABLE | RECURRENCE_CONFLICT
+   */
+  async createSeries(accountId, tenantId, data) {
+    const start = new Date(data.startTime);
+    const durationMinutes = Math.round((new Date(data.endTime) - start) / MINUTE_MS);
+    const timezone = await this.getTimezone(accountId);
+    const draft = this.buildDraft(data.recurringPattern, start, durationMinutes, timezone);
+
+    const conflicts = await this.findConflicts(
+      accountId,
+      tenantId,
+      this.getCheckedStarts(draft, new Date(draft.starts_at)),
+      durationMinutes
+    );
+    // The chosen slot itself is checked like a single appointment
+    if (conflicts[0]?.startTime === draft.starts_at) throw new Error('SLOT_UNAVAILABLE');
+    this.applyConflicts(draft, conflicts, data.conflictStrategy);
+
+    const { data: series, error } = await supabaseService.insert('appointment_series', {
+      account_id: accountId,
+      tenant_id: tenantId,
+      contact_id: data.contactId,
+      service_id: data.serviceId || null,
+      agent_id: data.agentId || null,
+      title: data.title,
+      description: data.description || null,
+      notes: data.notes || null,
+      price_cents: data.priceCents || 0,
+      ...draft,
+      last_occurrence_end: this.getLastOccurrenceEnd(draft)
+    });
+    if (error) throw error;
+
+    try {
+      const appointmentData = { ...data, seriesId: series.id, recurrenceStart: draft.starts_at };
+      delete appointmentData.recurringPattern;
+      delete appointmentData.conflictStrategy;
+      const appointment = await AppointmentService.createAppointment(accountId, tenantId, appointmentData);
+
+      logger.info('Appointment series created', { seriesId: series.id, rrule: series.rrule, conflicts: conflicts.length });
+      return { appointment, series, conflicts };
+    } catch (createError) {
+      await supabaseService.delete('appointment_series', series.id);
+      throw createError;
+    }
+  }
+
+  /**
+   * Update an appointment, or an occurrence with the scope of the change
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} id - Appointment UUID or occurrence id
+   * @param {Object} data - Update data (recurringPattern and conflictStrategy for series scopes)
+   * @param {'this'|'following'|'all'} [scope='this']
+   * @returns {Promise<{appointment: Object, series: Object|null, conflicts: Array}>}
+   * @throws {Error} APPOINTMENT_NOT_FOUND | SLOT_UNAVAILABLE | INVALID_RECURRENCE_START | RECURRENCE_CONFLICT
+   */
+  async updateOccurrence(accountId, tenantId, id, data, scope = 'this') {
+    const occurrence = await this.getOccurrence(accountId, tenantId, id);
+    if (!occurrence) throw new Error('APPOINTMENT_NOT_FOUND');
+
+    if (!occurrence.series_id || scope === 'this') {
+      if (occurrence.is_occurrence && (data.startTime || data.endTime)) {
+        const isAvailable = await AppointmentService.checkSlotAvailability(
+          accountId,
+          tenantId,
+          data.startTime || occurrence.start_time,
+          data.endTime || occurrence.end_time,
+          occurrence.id
+        );
+        if (!isAvailable) throw new Error('SLOT_UNAVAILABLE');
+      }
+
+      const row = await this.materializeOccurrence(accountId, tenantId, occurrence.id);
+      const appointment = await AppointmentService.updateAppointment(accountId, tenantId, row.id, data);
+      return { appointment, series: null, conflicts: [] };
+    }
+
+    const series = await this.getSeries(accountId, tenantId, occurrence.series_id);
+    const split = new Date(occurrence.recurrence_start);
+    if (scope === 'following' && split > new Date(series.starts_at)) {
+      return this.updateFollowing(accountId, tenantId, series, occurrence, data);
+    }
+    return this.updateAll(accountId, tenantId, series, occurrence, data);
+  }
+
+  /**
+   * Time shift, duration and field changes of a series edit made on one occurrence
+   */
+  getChange(series, occurrence, data) {
+    const start = new Date(data.startTime || occurrence.start_time);
+    const end = new Date(data.endTime || occurrence.end_time);
+    const delta = start - new Date(occurrence.start_time);
+    const resized = end - start !== new Date(occurrence.end_time) - new Date(occurrence.start_time);
+    const durationMinutes = resized ? Math.round((end - start) / MINUTE_MS) : series.duration_minutes;
+
+    const fields = {};
+    if (data.title !== undefined) fields.title = data.title;
+    if (data.description !== undefined) fields.description = data.description;
+    if (data.notes !== undefined) fields.notes = data.notes;
+    if (data.serviceId !== undefined) fields.service_id = data.serviceId;
+    if (data.agentId !== undefined) fields.agent_id = data.agentId;
+    if (data.priceCents !== undefined) fields.price_cents = data.priceCents;
+
+    return {
+      delta,
+      durationMinutes,
+      durationDelta: (durationMinutes - series.duration_minutes) * MINUTE_MS,
+      fields,
+      moved: delta !== 0 || resized || !!data.recurringPattern
+    };
+  }
+
+  /**
+   * Apply a change to the whole series
+   */
+  async updateAll(accountId, tenantId, series, occurrence, data) {
+    const change = this.getChange(series, occurrence, data);
+    const newStart = new Date(toTime(series.starts_at) + change.delta);
+    const pattern = data.recurringPattern ||
+      this.shiftPattern(series.pattern, new Date(series.starts_at), newStart, series.timezone);
+    const draft = this.buildDraft(
+      pattern,
+      newStart,
+      change.durationMinutes,
+      series.timezone,
+      series.exdates.map(date => toIso(toTime(date) + change.delta))
+    );
+
+    const rows = await this.getSeriesRows(series.id);
+    const conflicts = await this.checkChange(accountId, tenantId, series, occurrence, draft, rows, change, data);
+
+    const updated = await this.saveSeries(series.id, {
+      ...change.fields,
+      ...draft,
+      last_occurrence_end: this.getLastOccurrenceEnd(draft)
+    });
+    await this.moveRows(rows, change, series.id, conflicts);
+
+    logger.info('Appointment series updated', { seriesId: series.id, scope: 'all', conflicts: conflicts.length });
+    return this.getChangeResult(accountId, tenantId, updated, occurrence, change, conflicts);
+  }
+
+  /**
+   * End the series before an occurrence and continue it, changed, in a new series
+   */
+  async updateFollowing(accountId, tenantId, series, occurrence, data) {
+    const split = new Date(occurrence.recurrence_start);
+    const change = this.getChange(series, occurrence, data);
+    const newStart = new Date(split.getTime() + change.delta);
+
+    let pattern = data.recurringPattern;
+    if (!pattern) {
+      pattern = this.shiftPattern(series.pattern, split, newStart, series.timezone);
+      // COUNT keeps counting the occurrences of the original series
+      if (pattern.count) {
+        pattern = { ...pattern, count: pattern.count - this.getRuleStarts(series, new Date(split.getTime() - 1)).length };
+      }
+    }
+
+    const draft = this.buildDraft(
+      pattern,
+      newStart,
+      change.durationMinutes,
+      series.timezone,
+      series.exdates.filter(date => toTime(date) >= split.getTime()).map(date => toIso(toTime(date) + change.delta))
+    );
+
+    const rows = (await this.getSeriesRows(series.id))
+      .filter(row => toTime(row.recurrence_start) >= split.getTime());
+    const conflicts = await this.checkChange(accountId, tenantId, series, occurrence, draft, rows, change, data);
+
+    const { data: created, error } = await supabaseService.insert('appointment_series', {
+      account_id: series.account_id,
+      tenant_id: series.tenant_id,
+      contact_id: series.contact_id,
+      service_id: series.service_id,
+      agent_id: series.agent_id,
+      title: series.title,
+      description: series.description,
+      notes: series.notes,
+      price_cents: series.price_cents,
+      ...change.fields,
+      ...draft,
+      last_occurrence_end: this.getLastOccurrenceEnd(draft)
+    });
+    if (error) throw error;
+
+    await this.saveSeries(series.id, this.truncate(series, split));
+    await this.moveRows(rows, change, created.id, conflicts);
+
+    logger.info('Appointment series split', { seriesId: series.id, newSeriesId: created.id, conflicts: conflicts.length });
+    return this.getChangeResult(accountId, tenantId, created, occurrence, change, conflicts);
+  }
+
+  /**
+   * Conflicts of moved occurrences from now on (none when only fields change)
+   * @throws {Error} SLOT_UNAVAILABLE when the edited occurrence itself collides
+   */
+  async checkChange(accountId, tenantId, series, occurrence, draft, rows, change, data) {
+    if (!change.moved) return [];
+
+    // Closed rows keep their time, so their occurrences are not checked
+    const closed = new Set(rows
+      .filter(row => !OPEN_STATUSES.includes(row.status))
+      .map(row => toTime(row.recurrence_start) + change.delta));
+    const from = new Date(Math.max(Date.now(), toTime(draft.starts_at)));
+    const starts = this.getCheckedStarts(draft, from).filter(start => !closed.has(start.getTime()));
+
+    const conflicts = await this.findConflicts(accountId, tenantId, starts, draft.duration_minutes, series.id);
+    const editedStart = toIso(toTime(occurrence.recurrence_start) + change.delta);
+    if (conflicts.some(conflict => conflict.startTime === editedStart)) throw new Error('SLOT_UNAVAILABLE');
+
+    this.applyConflicts(draft, conflicts, data.conflictStrategy);
+    return conflicts;
+  }
+
+  /**
+   * Move occurrence rows with their series: recurrence_start always, times and
+   * fields only while the appointment is still open
+   */
+  async moveRows(rows, change, seriesId, conflicts) {
+    const now = Date.now();
+    const skipped = new Set(conflicts.map(conflict => toTime(conflict.startTime)));
+
+    // Rows are moved away from the ones they would collide with before those move
+    const ordered = [...rows].sort((a, b) =>
+      (toTime(b.recurrence_start) - toTime(a.recurrence_start)) * (change.delta > 0 ? 1 : -1)
+    );
+
+    for (const row of ordered) {
+      const recurrenceStart = toTime(row.recurrence_start) + change.delta;
+      const isOpen = OPEN_STATUSES.includes(row.status) && toTime(row.end_time) > now;
+      if (isOpen && skipped.has(recurrenceStart)) continue;
+
+      const update = { series_id: seriesId, recurrence_start: toIso(recurrenceStart), updated_at: new Date(now).toISOString() };
+      if (isOpen) {
+        Object.assign(update, change.fields);
+        if (change.delta || change.durationDelta) {
+          update.start_time = toIso(toTime(row.start_time) + change.delta);
+          update.end_time = toIso(toTime(row.end_time) + change.delta + change.durationDelta);
+        }
+      }
+
+      const { error } = await supabaseService.update('appointments', row.id, update);
+      if (error) throw error;
+    }
+  }
+
+  async getChangeResult(accountId, tenantId, series, occurrence, change, conflicts) {
+    const id = occurrence.is_occurrence
+      ? this.getOccurrenceId(series.id, toTime(occurrence.recurrence_start) + change.delta)
+      : occurrence.id;
+    const appointment = await this.getOccurrence(accountId, tenantId, id);
+    return { appointment, series, conflicts };
+  }
+
+  /**
+   * Delete an appointment, or an occurrence with the scope of the deletion
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} id - Appointment UUID or occurrence id
+   * @param {'this'|'following'|'all'} [scope='this']
+   * @returns {Promise<void>}
+   * @throws {Error} APPOINTMENT_NOT_FOUND
+   */
+  async deleteOccurrence(accountId, tenantId, id, scope = 'this') {
+    const occurrence = await this.getOccurrence(accountId, tenantId, id);
+    if (!occurrence) throw new Error('APPOINTMENT_NOT_FOUND');
+
+    if (!occurrence.series_id) {
+      await AppointmentService.deleteAppointment(accountId, tenantId, occurrence.id);
+      return;
+    }
+
+    const series = await this.getSeries(accountId, tenantId, occurrence.series_id);
+    const split = new Date(occurrence.recurrence_start);
+
+    if (scope === 'all' || (scope === 'following' && split <= new Date(series.starts_at))) {
+      // Rows of the series are deleted with it
+      const { error } = await supabaseService.delete('appointment_series', series.id);
+      if (error) throw error;
+      logger.info('Appointment series deleted', { seriesId: series.id });
+      return;
+    }
+
+    if (scope === 'following') {
+      await this.saveSeries(series.id, this.truncate(series, split));
+      const { error } = await supabaseService.queryAsAdmin('appointments', (query) =>
+        query.delete().eq('series_id', series.id).gte('recurrence_start', split.toISOString())
+      );
+      if (error) throw error;
+      logger.info('Appointment series ended', { seriesId: series.id, until: split.toISOString() });
+      return;
+    }
+
+    // Excluded before the row goes, so the rule does not bring it back
+    const exdates = [...series.exdates, split.toISOString()];
+    await this.saveSeries(series.id, {
+      exdates,
+      last_occurrence_end: this.getLastOccurrenceEnd({ ...series, exdates })
+    });
+    if (!occurrence.is_occurrence) {
+      await AppointmentService.deleteAppointment(accountId, tenantId, occurrence.id);
+    }
+    logger.info('Series occurrence deleted', { seriesId: series.id, recurrenceStart: split.toISOString() });
+  }
+
+  /**
+   * Columns of a series ending right before an occurrence
+   */
+  truncate(series, split) {
+    const pattern = { ...series.pattern, endDate: toIso(split.getTime() - 1000) };
+    delete pattern.count;
+    const truncated = {
+      ...series,
+      pattern,
+      rrule: this.buildRule(pattern, new Date(series.starts_at), series.timezone),
+      exdates: series.exdates.filter(date => toTime(date) < split.getTime())
+    };
+
+    return {
+      pattern,
+      rrule: truncated.rrule,
+      exdates: truncated.exdates,
+      last_occurrence_end: this.getLastOccurrenceEnd(truncated)
+    };
+  }
+
+  async getSeriesRows(seriesId) {
+    const { data, error } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      query.select('id, status, start_time, end_time, recurrence_start').eq('series_id', seriesId)
+    );
+    if (error) throw error;
+    return data || [];
+  }
+
+  async saveSeries(seriesId, changes) {
+    const { data, error } = await supabaseService.update('appointment_series', seriesId, {
+      ...changes,
+      updated_at: new Date().toISOString()
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  async getTimezone(accountId) {
+    const { data: account } = await supabaseService.queryAsAdmin('accounts', (query) =>
+      query.select('timezone').eq('id', accountId).single()
+    );
+    return account?.timezone || DEFAULT_TIMEZONE;
+  }
+}
+
+module.exports = new AppointmentSeriesService();
+module.exports.AppointmentSeriesService = AppointmentSeriesService;
@@ -1,14 +1,20 @@
 /**
  * Appointment Service
  * 
- * Business logic for appointments, including CRUD operations,
- * slot availability checking, and recurring appointment generation.
+ * Business logic for appointments, including CRUD operations
+ * and slot availability checking. Recurring appointments are series
+ * (AppointmentSeriesService) whose occurrences become rows here.
  * 
  * Requirements: 2.1, 2.2, 2.3, 2.4, 2.5, 2.6, 5.1 (CRM Contact Calendar)
  */
 
 const { logger } = require('../utils/logger');
 const SupabaseService = require('./SupabaseService');
+const DomainEventBus = require('./DomainEventBus');
+const ContactInteractionService = require('./ContactInteractionService');
+
+// Postgres exclusion_violation
+const EXCLUSION_VIOLATION = '23P01';
 
 class AppointmentService {
   /**
@@ -175,12 +181,18 @@ class AppointmentService {
    */
   async createAppointment(accountId, tenantId, data) {
     try {
+      // The first occurrence of a new series does not collide with itself
+      const excludeId = data.seriesId
+        ? require('./AppointmentSeriesService').getOccurrenceId(data.seriesId, data.recurrenceStart)
+        : null;
+
       // Check slot availability
       const isAvailable = await this.checkSlotAvailability(
         accountId,
         tenantId,
         data.startTime,
-        data.endTime
+        data.endTime,
+        excludeId
       );
 
       if (!isAvailable) {
@@ -193,6 +205,7 @@ class AppointmentService {
         tenant_id: tenantId,
         contact_id: data.contactId,
         service_id: data.serviceId || null,
+        agent_id: data.agentId || null,
         title: data.title,
         description: data.description || null,
         start_time: data.startTime,
@@ -200,8 +213,9 @@ class AppointmentService {
         status: 'scheduled',
         price_cents: data.priceCents || 0,
         notes: data.notes || null,
-        recurring_parent_id: data.recurringParentId || null,
-        recurring_pattern: data.recurringPattern || null
+        series_id: data.seriesId || null,
+        recurrence_start: data.recurrenceStart || null,
+        source: data.source || 'internal'
       };
 
       const { data: appointment, error } = await SupabaseService.adminClient
@@ -215,6 +229,10 @@ class AppointmentService {
         .single();
 
       if (error) {
+        // Overlap caught by appointments_no_overlap (concurrent booking of the same slot)
+        if (error.code === EXCLUSION_VIOLATION) {
+          throw new Error('SLOT_UNAVAILABLE');
+        }
         logger.error('Error creating appointment', { error: error.message });
         throw new Error('Erro ao criar agendamento');
       }
@@ -224,12 +242,13 @@ class AppointmentService {
         await this._createFinancialRecord(accountId, tenantId, appointment.id, data.priceCents);
       }
 
-      // Handle recurring appointments
-      if (data.recurringPattern && !data.recurringParentId) {
-        await this._generateRecurringAppointments(accountId, tenantId, appointment, data.recurringPattern);
-      }
-
       logger.info('Appointment created', { appointmentId: appointment.id, contactId: data.contactId });
+
+      await DomainEventBus.publish('appointment.created', { accountId, tenantId }, {
+        appointmentId: appointment.id,
+        appointment
+      });
+
       return appointment;
     } catch (error) {
       logger.error('AppointmentService.createAppointment error', { error: error.message });
@@ -281,6 +300,7 @@ class AppointmentService {
       if (data.startTime !== undefined) updateData.start_time = data.startTime;
       if (data.endTime !== undefined) updateData.end_time = data.endTime;
       if (data.serviceId !== undefined) updateData.service_id = data.serviceId;
+      if (data.agentId !== undefined) updateData.agent_id = data.agentId;
       if (data.priceCents !== undefined) updateData.price_cents = data.priceCents;
       if (data.notes !== undefined) updateData.notes = data.notes;
       if (data.status !== undefined) updateData.status = data.status;
@@ -301,6 +321,9 @@ class AppointmentService {
         .single();
 
       if (error) {
+        if (error.code === EXCLUSION_VIOLATION) {
+          throw new Error('SLOT_UNAVAILABLE');
+        }
         logger.error('Error updating appointment', { error: error.message, appointmentId });
         throw new Error('Erro ao atualizar agendamento');
       }
@@ -357,6 +380,11 @@ class AppointmentService {
       }
 
       logger.info('Appointment status updated', { appointmentId, status });
+
+      if (status === 'no_show' && appointment.contact_id) {
+        await this.logNoShow(appointment);
+      }
+
       return appointment;
     } catch (error) {
       logger.error('AppointmentService.updateStatus error', { error: error.message });
@@ -364,6 +392,25 @@ class AppointmentService {
     }
   }
 
+  /**
+   * Record a no-show on the contact timeline
+   * @param {Object} appointment - Appointment marked as no_show
+   * @returns {Promise<void>}
+   */
+  async logNoShow(appointment) {
+    try {
+      await ContactInteractionService.logInteraction(
+        appointment.contact_id,
+        'status_change',
+        null,
+        `Não compareceu ao agendamento "${appointment.title}"`,
+        { appointmentId: appointment.id, status: 'no_show', startTime: appointment.start_time }
+      );
+    } catch (error) {
+      logger.warn('Failed to log no-show interaction', { error: error.message, appointmentId: appointment.id });
+    }
+  }
+
   /**
    * Delete an appointment
    * @param {string} accountId - Account ID
@@ -398,11 +445,14 @@ class AppointmentService {
    * @param {string} tenantId - Tenant ID
    * @param {string} startTime - Start time
    * @param {string} endTime - End time
-   * @param {string} excludeId - Appointment ID to exclude (for updates)
+   * @param {string} excludeId - Appointment or series occurrence ID to exclude (for updates)
    * @returns {Promise<boolean>}
    */
   async checkSlotAvailability(accountId, tenantId, startTime, endTime, excludeId = null) {
     try {
+      // Lazy require: the series service builds on this one
+      const AppointmentSeriesService = require('./AppointmentSeriesService');
+
       // Check for overlapping appointments
       let appointmentQuery = SupabaseService.adminClient
         .from('appointments')
@@ -412,7 +462,7 @@ class AppointmentService {
         .not('status', 'eq', 'cancelled')
         .or(`and(start_time.lt.${endTime},end_time.gt.${startTime})`);
 
-      if (excludeId) {
+      if (excludeId && !AppointmentSeriesService.isOccurrenceId(excludeId)) {
         appointmentQuery = appointmentQuery.neq('id', excludeId);
       }
 
@@ -444,7 +494,13 @@ class AppointmentService {
         return false;
       }
 
-      return true;
+      // Series occurrences that are not rows yet
+      const occurrences = await AppointmentSeriesService.getOccurrences(accountId, tenantId, {
+        startDate: new Date(startTime),
+        endDate: new Date(endTime)
+      });
+
+      return !occurrences.some(occurrence => occurrence.id !== excludeId);
     } catch (error) {
       logger.error('AppointmentService.checkSlotAvailability error', { error: error.message });
       throw error;
@@ -505,79 +561,6 @@ class AppointmentService {
       logger.error('AppointmentService._updateFinancialRecord error', { error: error.message });
     }
   }
-
-  /**
-   * Generate recurring appointments
-   * @private
-   */
-  async _generateRecurringAppointments(accountId, tenantId, parentAppointment, pattern) {
-    try {
-      const { type, interval = 1, endDate } = pattern;
-      const maxOccurrences = 52; // Max 1 year of weekly or 52 monthly
-      
-      const startDate = new Date(parentAppointment.start_time);
-      const appointmentEndDate = new Date(parentAppointment.end_time);
-      const duration = appointmentEndDate.getTime() - startDate.getTime();
-      
-      const patternEndDate = endDate ? new Date(endDate) : new Date(startDate.getTime() + 365 * 24 * 60 * 60 * 1000);
-      
-      let currentDate = new Date(startDate);
-      let count = 0;
-
-      while (count < maxOccurrences) {
-        // Move to next occurrence
-        if (type === 'weekly') {
-          currentDate.setDate(currentDate.getDate() + (7 * interval));
-        } else if (type === 'monthly') {
-          currentDate.setMonth(currentDate.getMonth() + interval);
-        }
-
-        // Check if we've passed the end date
-        if (currentDate > patternEndDate) {
-          break;
-        }
-
-        const newEndDate = new Date(currentDate.getTime() + duration);
-
-        // Check availability before creating
-        const isAvailable = await this.checkSlotAvailability(
-          accountId,
-          tenantId,
-          currentDate.toISOString(),
-          newEndDate.toISOString()
-        );
-
-        if (isAvailable) {
-          await SupabaseService.adminClient
-            .from('appointments')
-            .insert({
-              account_id: accountId,
-              tenant_id: tenantId,
-              contact_id: parentAppointment.contact_id,
-              service_id: parentAppointment.service_id,
-              title: parentAppointment.title,
-              description: parentAppointment.description,
-              start_time: currentDate.toISOString(),
-              end_time: newEndDate.toISOString(),
-              status: 'scheduled',
-              price_cents: parentAppointment.price_cents,
-              notes: parentAppointment.notes,
-              recurring_parent_id: parentAppointment.id,
-              recurring_pattern: pattern
-            });
-        }
-
-        count++;
-      }
-
-      logger.info('Recurring appointments generated', { 
-        parentId: parentAppointment.id, 
-        count 
-      });
-    } catch (error) {
-      logger.error('AppointmentService._generateRecurringAppointments error', { error: error.message });
-    }
-  }
 }
 
 module.exports = new AppointmentService();
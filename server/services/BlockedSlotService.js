@@ -195,6 +195,57 @@ class BlockedSlotService {
     }
   }
 
+  /**
+   * Replace the blocked slots of a calendar import
+   * @param {string} accountId - Account ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} importId - Calendar import ID
+   * @param {Array<{uid: string, start: Date, end: Date}>} intervals - Busy intervals
+   * @param {string} reason - Reason shown on the slots
+   * @returns {Promise<number>} Slots created
+   */
+  async replaceImportedSlots(accountId, tenantId, importId, intervals, reason) {
+    try {
+      const { error: deleteError } = await SupabaseService.adminClient
+        .from('blocked_slots')
+        .delete()
+        .eq('import_id', importId)
+        .eq('account_id', accountId)
+        .eq('tenant_id', tenantId);
+
+      if (deleteError) {
+        logger.error('Error clearing imported blocked slots', { error: deleteError.message, importId });
+        throw new Error('Erro ao atualizar horários importados');
+      }
+
+      if (intervals.length === 0) return 0;
+
+      const { error } = await SupabaseService.adminClient
+        .from('blocked_slots')
+        .insert(intervals.map(interval => ({
+          account_id: accountId,
+          tenant_id: tenantId,
+          start_time: interval.start.toISOString(),
+          end_time: interval.end.toISOString(),
+          reason,
+          is_recurring: false,
+          import_id: importId,
+          external_uid: interval.uid ? String(interval.uid).slice(0, 255) : null
+        })));
+
+      if (error) {
+        logger.error('Error creating imported blocked slots', { error: error.message, importId });
+        throw new Error('Erro ao atualizar horários importados');
+      }
+
+      logger.info('Imported blocked slots replaced', { importId, count: intervals.length });
+      return intervals.length;
+    } catch (error) {
+      logger.error('BlockedSlotService.replaceImportedSlots error', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Expand recurring slots into individual occurrences within a date range
    * @param {Array} slots - Array of blocked slots
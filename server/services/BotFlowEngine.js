@@ -0,0 +1,478 @@
+/**
+ * BotFlowEngine - Runtime for native flow bots
+ *
+ * Executes a stored graph of nodes (send message, ask question, branch,
+ * set contact attribute, add label, hand off to human, call HTTP) against
+ * a per-conversation session. The engine does not send messages itself:
+ * replies are collected and returned so the caller can apply message quotas
+ * and deliver them through the proper channel (WUZAPI or the test simulator).
+ *
+ * Side effects that must happen mid-flow (attributes, labels, HTTP calls)
+ * are delegated to an `effects` object supplied by the caller.
+ */
+
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const { isPublicHost } = require('../utils/networkAddress');
+const TemplateProcessor = require('./TemplateProcessor');
+
+const NODE_TYPES = {
+  SEND_MESSAGE: 'send_message',
+  ASK_QUESTION: 'ask_question',
+  CONDITION: 'condition',
+  SET_ATTRIBUTE: 'set_attribute',
+  ADD_LABEL: 'add_label',
+  HANDOFF: 'handoff',
+  HTTP_REQUEST: 'http_request',
+  END: 'end'
+};
+
+const SESSION_STATUS = {
+  ACTIVE: 'active',
+  WAITING: 'waiting',
+  COMPLETED: 'completed',
+  HANDOFF: 'handoff'
+};
+
+const CONDITION_SOURCES = ['message', 'variable', 'custom_field'];
+const CONDITION_OPERATORS = ['equals', 'contains', 'keyword', 'regex', 'exists'];
+
+// Protects against cycles in user-defined graphs
+const MAX_STEPS_PER_RUN = 50;
+
+// Same timeout used for webhook bots in BotService.forwardToBot
+const HTTP_TIMEOUT = 10000;
+
+class BotFlowEngine {
+  /**
+   * Validate a flow definition
+   * @param {Object} definition - Flow definition { startNodeId, nodes }
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  validateDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return { valid: false, errors: ['Flow definition is required'] };
+    }
+
+    const nodes = Array.isArray(definition.nodes) ? definition.nodes : [];
+    if (nodes.length === 0) {
+      errors.push('Flow must have at least one node');
+    }
+
+    const ids = new Set();
+    for (const node of nodes) {
+      if (!node || !node.id) {
+        errors.push('Every node must have an id');
+        continue;
+      }
+      if (ids.has(node.id)) {
+        errors.push(`Duplicate node id: ${node.id}`);
+      }
+      ids.add(node.id);
+      if (!Object.values(NODE_TYPES).includes(node.type)) {
+        errors.push(`Node ${node.id} has invalid type: ${node.type}`);
+      }
+    }
+
+    if (!definition.startNodeId || !ids.has(definition.startNodeId)) {
+      errors.push('startNodeId must reference an existing node');
+    }
+
+    const checkTarget = (nodeId, target) => {
+      if (target && !ids.has(target)) {
+        errors.push(`Node ${nodeId} points to unknown node: ${target}`);
+      }
+    };
+
+    for (const node of nodes) {
+      if (!node || !node.id) continue;
+      const data = node.data || {};
+      checkTarget(node.id, node.next);
+
+      switch (node.type) {
+        case NODE_TYPES.SEND_MESSAGE:
+          if (!data.text) errors.push(`Node ${node.id} requires data.text`);
+          break;
+        case NODE_TYPES.ASK_QUESTION:
+          if (!data.text) errors.push(`Node ${node.id} requires data.text`);
+          if (!data.variable || !/^\w+$/.test(data.variable)) {
+            errors.push(`Node ${node.id} requires a data.variable name (letters, digits, _)`);
+          }
+          if (data.validation) {
+            try {
+              new RegExp(data.validation);
+            } catch {
+              errors.push(`Node ${node.id} has invalid validation regex`);
+            }
+          }
+          break;
+        case NODE_TYPES.CONDITION:
+          if (!Array.isArray(data.rules) || data.rules.length === 0) {
+            errors.push(`Node ${node.id} requires at least one rule`);
+          }
+          for (const rule of data.rules || []) {
+            if (!CONDITION_SOURCES.includes(rule.source)) {
+              errors.push(`Node ${node.id} has rule with invalid source: ${rule.source}`);
+            }
+            if (!CONDITION_OPERATORS.includes(rule.operator)) {
+              errors.push(`Node ${node.id} has rule with invalid operator: ${rule.operator}`);
+            }
+            if (rule.operator === 'regex') {
+              try {
+                new RegExp(rule.value);
+              } catch {
+                errors.push(`Node ${node.id} has rule with invalid regex`);
+              }
+            }
+            checkTarget(node.id, rule.next);
+          }
+          checkTarget(node.id, data.defaultNext);
+          break;
+        case NODE_TYPES.SET_ATTRIBUTE:
+          if (!data.field) errors.push(`Node ${node.id} requires data.field`);
+          break;
+        case NODE_TYPES.ADD_LABEL:
+          if (!data.labelId) errors.push(`Node ${node.id} requires data.labelId`);
+          break;
+        case NODE_TYPES.HTTP_REQUEST:
+          try {
+            const { protocol } = new URL(data.url);
+            if (protocol !== 'https:' && protocol !== 'http:') throw new Error('INVALID_PROTOCOL');
+          } catch {
+            errors.push(`Node ${node.id} requires a valid http(s) data.url`);
+          }
+          checkTarget(node.id, data.errorNext);
+          break;
+        default:
+          break;
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Create a fresh session state for a flow
+   * @param {Object} definition - Flow definition
+   * @returns {Object} Session state
+   */
+  createSession(definition) {
+    return {
+      currentNodeId: definition.startNodeId,
+      variables: {},
+      status: SESSION_STATUS.ACTIVE
+    };
+  }
+
+  /**
+   * Run the flow for an incoming message
+   *
+   * Resumes a waiting session (storing the reply in the question's variable)
+   * or starts over when the session is missing, completed or handed off.
+   * Execution stops at the next question, handoff, end node or dead end.
+   *
+   * @param {Object} params
+   * @param {Object} params.definition - Flow definition
+   * @param {Object|null} params.session - Current session state
+   * @param {string} params.input - Incoming message text
+   * @param {Object} params.context - { contact: { name, phone, customFields } }
+   * @param {Object} params.effects - { setAttribute, addLabel, httpRequest }
+   * @returns {Promise<{session: Object, replies: string[], handoff: Object|null, steps: number}>}
+   */
+  async run({ definition, session, input, context = {}, effects = {} }) {
+    const nodeMap = new Map((definition.nodes || []).map(n => [n.id, n]));
+    const replies = [];
+    let handoff = null;
+    let steps = 0;
+
+    let state = session && session.status !== SESSION_STATUS.COMPLETED && session.status !== SESSION_STATUS.HANDOFF
+      ? { ...session, variables: { ...(session.variables || {}) } }
+      : this.createSession(definition);
+
+    const text = typeof input === 'string' ? input : '';
+    let nodeId = state.currentNodeId;
+
+    // Resume: the reply answers the question we were waiting on
+    if (state.status === SESSION_STATUS.WAITING) {
+      const waitingNode = nodeMap.get(nodeId);
+      if (waitingNode && waitingNode.type === NODE_TYPES.ASK_QUESTION) {
+        const data = waitingNode.data || {};
+        if (data.validation && !new RegExp(data.validation, 'i').test(text.trim())) {
+          replies.push(this.interpolate(data.retryText || data.text, state.variables, context, text));
+          return { session: state, replies, handoff, steps };
+        }
+        state.variables[data.variable] = text.trim();
+        nodeId = waitingNode.next || null;
+      }
+      state.status = SESSION_STATUS.ACTIVE;
+    }
+
+    while (nodeId) {
+      if (++steps > MAX_STEPS_PER_RUN) {
+        logger.warn('Flow exceeded max steps, stopping', { nodeId, maxSteps: MAX_STEPS_PER_RUN });
+        state.status = SESSION_STATUS.COMPLETED;
+        nodeId = null;
+        break;
+      }
+
+      const node = nodeMap.get(nodeId);
+      if (!node) {
+        logger.warn('Flow node not found', { nodeId });
+        nodeId = null;
+        break;
+      }
+
+      const data = node.data || {};
+      state.currentNodeId = node.id;
+
+      switch (node.type) {
+        case NODE_TYPES.SEND_MESSAGE:
+          replies.push(this.interpolate(data.text, state.variables, context, text));
+          nodeId = node.next || null;
+          break;
+
+        case NODE_TYPES.ASK_QUESTION:
+          replies.push(this.interpolate(data.text, state.variables, context, text));
+          state.status = SESSION_STATUS.WAITING;
+          return { session: state, replies, handoff, steps };
+
+        case NODE_TYPES.CONDITION:
+          nodeId = this.evaluateCondition(data, state.variables, context, text);
+          break;
+
+        case NODE_TYPES.SET_ATTRIBUTE: {
+          const value = this.interpolate(String(data.value ?? ''), state.variables, context, text);
+          state.variables[data.field] = value;
+          if (effects.setAttribute) {
+            await this.safeEffect('setAttribute', () => effects.setAttribute(data.field, value));
+          }
+          nodeId = node.next || null;
+          break;
+        }
+
+        case NODE_TYPES.ADD_LABEL:
+          if (effects.addLabel) {
+            await this.safeEffect('addLabel', () => effects.addLabel(data.labelId));
+          }
+          nodeId = node.next || null;
+          break;
+
+        case NODE_TYPES.HTTP_REQUEST: {
+          const result = await this.executeHttpRequest(data, state.variables, context, text, effects);
+          if (result.ok) {
+            if (data.saveAs) state.variables[data.saveAs] = result.data;
+            nodeId = node.next || null;
+          } else {
+            nodeId = data.errorNext || node.next || null;
+          }
+          break;
+        }
+
+        case NODE_TYPES.HANDOFF:
+          if (data.text) {
+            replies.push(this.interpolate(data.text, state.variables, context, text));
+          }
+          handoff = { reason: data.reason || 'Flow requested handoff' };
+          state.status = SESSION_STATUS.HANDOFF;
+          return { session: state, replies, handoff, steps };
+
+        case NODE_TYPES.END:
+        default:
+          nodeId = null;
+          break;
+      }
+    }
+
+    state.status = SESSION_STATUS.COMPLETED;
+    return { session: state, replies, handoff, steps };
+  }
+
+  /**
+   * Pick the next node of a condition node
+   * @param {Object} data - Condition node data { rules, defaultNext }
+   * @param {Object} variables - Session variables
+   * @param {Object} context - Execution context
+   * @param {string} text - Incoming message text
+   * @returns {string|null} Next node id
+   */
+  evaluateCondition(data, variables, context, text) {
+    for (const rule of data.rules || []) {
+      let subject;
+      if (rule.source === 'message') {
+        subject = text;
+      } else if (rule.source === 'variable') {
+        subject = variables[rule.field];
+      } else if (rule.source === 'custom_field') {
+        subject = context.contact?.customFields?.[rule.field];
+      }
+
+      if (this.matchRule(rule, subject)) {
+        return rule.next || null;
+      }
+    }
+    return data.defaultNext || null;
+  }
+
+  /**
+   * Test a single condition rule
+   * @param {Object} rule - { operator, value }
+   * @param {*} subject - Value under test
+   * @returns {boolean}
+   */
+  matchRule(rule, subject) {
+    if (rule.operator === 'exists') {
+      return subject !== undefined && subject !== null && String(subject).trim() !== '';
+    }
+    if (subject === undefined || subject === null) {
+      return false;
+    }
+
+    const normalized = String(subject).trim().toLowerCase();
+    const expected = String(rule.value ?? '').trim().toLowerCase();
+
+    switch (rule.operator) {
+      case 'equals':
+        return normalized === expected;
+      case 'contains':
+        return normalized.includes(expected);
+      case 'keyword': {
+        // Comma-separated keywords matched as whole words
+        const words = normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        return expected.split(',').map(k => k.trim()).filter(Boolean).some(k => words.includes(k));
+      }
+      case 'regex':
+        try {
+          return new RegExp(rule.value, 'i').test(String(subject));
+        } catch {
+          return false;
+        }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Execute an HTTP request node
+   * Contact input only ever fills values: URL placeholders are percent-encoded
+   * and body placeholders are replaced inside each string of the body.
+   * Requests only go to public hosts and redirects are not followed.
+   * @param {Object} data - { url, method, headers, body, saveAs }
+   * @returns {Promise<{ok: boolean, data?: *}>}
+   */
+  async executeHttpRequest(data, variables, context, text, effects) {
+    let request = null;
+
+    try {
+      request = {
+        url: this.interpolate(data.url, variables, context, text, encodeURIComponent),
+        method: (data.method || 'GET').toUpperCase(),
+        headers: data.headers || {},
+        body: data.body !== undefined
+          ? this.interpolateValue(data.body, variables, context, text)
+          : undefined
+      };
+
+      const response = effects.httpRequest
+        ? await effects.httpRequest(request)
+        : await this.sendHttpRequest(request);
+      return { ok: true, data: response };
+    } catch (error) {
+      logger.warn('Flow HTTP request failed', { url: request?.url || data.url, error: error.message });
+      return { ok: false };
+    }
+  }
+
+  /**
+   * Send a flow HTTP request to a public host
+   * @param {Object} request - { url, method, headers, body }
+   * @returns {Promise<*>} Response body
+   * @throws {Error} HTTP_URL_NOT_ALLOWED when the URL is not http(s) or the host is not public
+   */
+  async sendHttpRequest(request) {
+    const url = new URL(request.url);
+    if ((url.protocol !== 'https:' && url.protocol !== 'http:') || !(await isPublicHost(url.hostname))) {
+      throw new Error('HTTP_URL_NOT_ALLOWED');
+    }
+
+    const response = await axios({
+      url: request.url,
+      method: request.method,
+      headers: request.headers,
+      data: request.body,
+      timeout: HTTP_TIMEOUT,
+      maxRedirects: 0
+    });
+    return response.data;
+  }
+
+  /**
+   * Interpolate every string of a JSON value, keeping its structure
+   * @param {*} value - String, array or object
+   * @returns {*}
+   */
+  interpolateValue(value, variables, context, text) {
+    if (typeof value === 'string') {
+      return this.interpolate(value, variables, context, text);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolateValue(item, variables, context, text));
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.interpolateValue(item, variables, context, text)])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Replace {{variables}} in a text, including contact fields
+   * @param {string} template - Text with {{variable}} placeholders
+   * @param {Object} variables - Session variables
+   * @param {Object} context - Execution context
+   * @param {string} text - Incoming message text
+   * @param {Function} [encode] - Applied to each value (e.g. encodeURIComponent)
+   * @returns {string}
+   */
+  interpolate(template, variables = {}, context = {}, text = '', encode = null) {
+    if (!template) return '';
+    const contact = context.contact || {};
+    const values = {
+      nome: contact.name || '',
+      telefone: contact.phone || '',
+      mensagem: text
+    };
+
+    for (const [key, value] of Object.entries({ ...(contact.customFields || {}), ...variables })) {
+      // TemplateProcessor builds a RegExp from each key
+      if (!/^\w+$/.test(key)) continue;
+      values[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+
+    const result = TemplateProcessor.process(template, encode
+      ? Object.fromEntries(Object.entries(values).map(([key, value]) => [key, encode(String(value ?? ''))]))
+      : values);
+    return result.success ? result.finalMessage : template;
+  }
+
+  /**
+   * Run a side effect without aborting the flow on failure
+   * @param {string} name - Effect name for logging
+   * @param {Function} fn - Effect function
+   */
+  async safeEffect(name, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      logger.warn('Flow effect failed', { effect: name, error: error.message });
+    }
+  }
+}
+
+module.exports = new BotFlowEngine();
+module.exports.BotFlowEngine = BotFlowEngine;
+module.exports.NODE_TYPES = NODE_TYPES;
+module.exports.SESSION_STATUS = SESSION_STATUS;
+module.exports.MAX_STEPS_PER_RUN = MAX_STEPS_PER_RUN;
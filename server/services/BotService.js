@@ -13,7 +13,17 @@ const axios = require('axios')
 const { logger } = require('../utils/logger')
 const { toBoolean } = require('../utils/responseTransformer')
 const SupabaseService = require('./SupabaseService')
+const CredentialVaultService = require('./CredentialVaultService')
 const QuotaService = require('./QuotaService')
+const BotFlowEngine = require('./BotFlowEngine')
+
+const BOT_TYPES = {
+  WEBHOOK: 'webhook',
+  FLOW: 'flow'
+}
+
+// Result of HTTP nodes in test conversations, which never call the endpoint
+const DRY_RUN_HTTP_RESPONSE = '[resposta HTTP simulada]'
 
 class BotService {
   constructor() {
@@ -280,7 +290,8 @@ class BotService {
 
   /**
    * Track token usage from bot webhook response
-   * Increments both daily and monthly token counters
+   * Increments both daily and monthly token counters (the monthly increment
+   * also records the usage billed by metered plans)
    * @param {string} userId - User ID
    * @param {number} tokensUsed - Tokens consumed
    * @returns {Promise<void>}
@@ -385,25 +396,43 @@ class BotService {
       throw error;
     }
 
-    const { name, description = '', avatarUrl = null, outgoingUrl, includeHistory = false } = data
+    const {
+      name,
+      description = '',
+      avatarUrl = null,
+      outgoingUrl,
+      includeHistory = false,
+      botType = BOT_TYPES.WEBHOOK,
+      flowDefinition = null
+    } = data
 
     if (!name) {
       throw new Error('Bot name is required')
     }
 
-    if (!outgoingUrl) {
-      throw new Error('Outgoing webhook URL is required')
+    if (!Object.values(BOT_TYPES).includes(botType)) {
+      throw new Error('Invalid bot type')
     }
 
-    // Validate URL format
-    try {
-      new URL(outgoingUrl)
-    } catch {
-      throw new Error('Invalid outgoing webhook URL format')
+    if (botType === BOT_TYPES.FLOW) {
+      this.assertValidFlow(flowDefinition)
+      await this.assertFlowLabels(userId, flowDefinition)
+    } else {
+      if (!outgoingUrl) {
+        throw new Error('Outgoing webhook URL is required')
+      }
+
+      // Validate URL format
+      try {
+        new URL(outgoingUrl)
+      } catch {
+        throw new Error('Invalid outgoing webhook URL format')
+      }
     }
 
-    // Generate unique access token
+    // Generate unique access token (stored encrypted, returned in clear only now)
     const accessToken = this.generateAccessToken()
+    const tenantId = await CredentialVaultService.resolveTenantId({ userId })
 
     // Get the next priority (max + 1) for this user
     const { data: priorityData, error: priorityError } = await SupabaseService.queryAsAdmin('agent_bots', (query) =>
@@ -422,12 +451,14 @@ class BotService {
       name,
       description,
       avatar_url: avatarUrl,
-      outgoing_url: outgoingUrl,
-      access_token: accessToken,
+      outgoing_url: botType === BOT_TYPES.FLOW ? null : outgoingUrl,
+      access_token: await CredentialVaultService.encrypt(tenantId, accessToken),
       status: 'active',
       priority,
       is_default: isDefault,
-      include_history: includeHistory
+      include_history: includeHistory,
+      bot_type: botType,
+      flow_definition: botType === BOT_TYPES.FLOW ? flowDefinition : null
     });
 
     if (insertError) {
@@ -435,9 +466,9 @@ class BotService {
       throw insertError;
     }
 
-    logger.info('Bot created', { botId: newBot.id, userId, name });
+    logger.info('Bot created', { botId: newBot.id, userId, name, botType });
 
-    return this.transformBot(newBot);
+    return { ...this.transformBot(newBot), accessToken };
   }
 
   /**
@@ -450,7 +481,7 @@ class BotService {
    * Requirements: 17.2
    */
   async updateBot(botId, userId, data) {
-    const { name, description, avatarUrl, outgoingUrl, includeHistory } = data
+    const { name, description, avatarUrl, outgoingUrl, includeHistory, flowDefinition } = data
 
     // Verify ownership
     const existingBot = await this.getBotById(botId, userId)
@@ -458,6 +489,14 @@ class BotService {
       throw new Error('Bot not found or unauthorized')
     }
 
+    if (flowDefinition !== undefined) {
+      if (existingBot.botType !== BOT_TYPES.FLOW) {
+        throw new Error('Flow definition can only be set on flow bots')
+      }
+      this.assertValidFlow(flowDefinition)
+      await this.assertFlowLabels(userId, flowDefinition)
+    }
+
     // Validate URL if provided
     if (outgoingUrl) {
       try {
@@ -474,6 +513,7 @@ class BotService {
     if (avatarUrl !== undefined) updates.avatar_url = avatarUrl;
     if (outgoingUrl !== undefined) updates.outgoing_url = outgoingUrl;
     if (includeHistory !== undefined) updates.include_history = includeHistory;
+    if (flowDefinition !== undefined) updates.flow_definition = flowDefinition;
 
     if (Object.keys(updates).length === 0) {
       return existingBot
@@ -623,6 +663,13 @@ class BotService {
       return { action: 'ignore', reason: 'bot_paused' }
     }
 
+    // Flow bots run natively instead of calling an external URL
+    if (bot.bot_type === BOT_TYPES.FLOW) {
+      return this.runFlowBot(bot, message, conversation)
+    }
+
+    const accessToken = await CredentialVaultService.decrypt(bot.access_token)
+
     // Get conversation labels
     let labels = []
     try {
@@ -669,7 +716,7 @@ class BotService {
         id: bot.id,
         name: bot.name,
         description: bot.description,
-        accessToken: bot.access_token
+        accessToken
       },
       
       // Contact information
@@ -733,7 +780,7 @@ class BotService {
       const response = await axios.post(bot.outgoing_url, payload, {
         headers: {
           'Content-Type': 'application/json',
-          'X-Bot-Token': bot.access_token,
+          'X-Bot-Token': accessToken,
           'X-Bot-Id': bot.id.toString(),
           'X-Conversation-Id': conversation.id.toString(),
           'X-Contact-Phone': phone
@@ -793,6 +840,253 @@ class BotService {
     }
   }
 
+  // ==================== Flow Bot Methods ====================
+
+  /**
+   * Throw if a flow definition is invalid
+   * @param {Object} flowDefinition - Flow definition
+   */
+  assertValidFlow(flowDefinition) {
+    const { valid, errors } = BotFlowEngine.validateDefinition(flowDefinition)
+    if (!valid) {
+      const error = new Error(`Invalid flow definition: ${errors.join('; ')}`)
+      error.code = 'INVALID_FLOW'
+      error.details = errors
+      throw error
+    }
+  }
+
+  /**
+   * Throw if a flow adds labels that do not belong to the accounts of the bot owner
+   * @param {string} userId - Bot owner
+   * @param {Object} flowDefinition - Valid flow definition
+   */
+  async assertFlowLabels(userId, flowDefinition) {
+    const labelIds = [...new Set(
+      flowDefinition.nodes
+        .filter(node => node.type === BotFlowEngine.NODE_TYPES.ADD_LABEL)
+        .map(node => String(node.data.labelId))
+    )]
+    if (labelIds.length === 0) return
+
+    const { data: accounts } = await SupabaseService.queryAsAdmin('accounts', (query) =>
+      query.select('id').eq('owner_user_id', userId)
+    )
+    const accountIds = (accounts || []).map(account => account.id)
+
+    let owned = new Set()
+    if (accountIds.length > 0) {
+      const { data: labels } = await SupabaseService.queryAsAdmin('labels', (query) =>
+        query.select('id').in('id', labelIds).in('account_id', accountIds)
+      )
+      owned = new Set((labels || []).map(label => String(label.id)))
+    }
+
+    const errors = labelIds.filter(id => !owned.has(id)).map(id => `Label ${id} not found`)
+    if (errors.length > 0) {
+      const error = new Error(`Invalid flow definition: ${errors.join('; ')}`)
+      error.code = 'INVALID_FLOW'
+      error.details = errors
+      throw error
+    }
+  }
+
+  /**
+   * Run a flow bot for an incoming message
+   * @param {Object} bot - Bot row (snake_case)
+   * @param {Object} message - Incoming message
+   * @param {Object} conversation - Conversation context
+   * @param {Object} options - { dryRun } - dry run records effects instead of applying them
+   * @returns {Promise<Object>} { action, replies, content, reason, effects }
+   */
+  async runFlowBot(bot, message, conversation, options = {}) {
+    const { dryRun = false } = options
+    const definition = bot.flow_definition
+
+    if (!definition) {
+      logger.warn('Flow bot has no flow definition', { botId: bot.id })
+      return { action: 'ignore', reason: 'flow_not_configured' }
+    }
+
+    const phone = conversation.contact_jid?.replace('@s.whatsapp.net', '').replace('@g.us', '') || ''
+    const contact = dryRun ? null : await this.findFlowContact(conversation, phone)
+    const appliedEffects = []
+
+    const effects = {
+      setAttribute: async (field, value) => {
+        appliedEffects.push({ type: 'set_attribute', field, value })
+        if (dryRun || !contact) return
+        const CustomFieldService = require('./CustomFieldService')
+        await CustomFieldService.setContactCustomField(contact.id, field, value)
+      },
+      addLabel: async (labelId) => {
+        if (!dryRun) {
+          // Only labels of the conversation's account
+          const { data: label } = await SupabaseService.queryAsAdmin('labels', (query) =>
+            query.select('id').eq('id', labelId).eq('account_id', conversation.account_id).single()
+          )
+          if (!label) throw new Error('Label not found')
+        }
+        appliedEffects.push({ type: 'add_label', labelId })
+        if (dryRun) return
+        const { error } = await SupabaseService.queryAsAdmin('conversation_labels', (query) =>
+          query.upsert(
+            { conversation_id: conversation.id, label_id: labelId },
+            { onConflict: 'conversation_id,label_id', ignoreDuplicates: true }
+          )
+        )
+        if (error) throw error
+      }
+    }
+
+    if (dryRun) {
+      effects.httpRequest = async (request) => {
+        appliedEffects.push({ type: 'http_request', method: request.method, url: request.url })
+        return DRY_RUN_HTTP_RESPONSE
+      }
+    }
+
+    try {
+      const session = await this.getFlowSession(bot.id, conversation.id)
+
+      const result = await BotFlowEngine.run({
+        definition,
+        session,
+        input: message.content || '',
+        context: {
+          contact: {
+            name: contact?.name || conversation.contact_name || phone,
+            phone,
+            customFields: contact?.custom_fields || {}
+          }
+        },
+        effects
+      })
+
+      await this.saveFlowSession(bot.id, conversation.id, result.session)
+
+      logger.info('Flow bot executed', {
+        botId: bot.id,
+        conversationId: conversation.id,
+        steps: result.steps,
+        replies: result.replies.length,
+        status: result.session.status
+      })
+
+      if (result.handoff) {
+        return {
+          action: 'handoff',
+          replies: result.replies,
+          reason: result.handoff.reason,
+          effects: appliedEffects
+        }
+      }
+
+      if (result.replies.length === 0) {
+        return { action: 'ignore', effects: appliedEffects }
+      }
+
+      return {
+        action: 'reply',
+        content: result.replies[0],
+        replies: result.replies,
+        messageType: 'text',
+        effects: appliedEffects
+      }
+    } catch (error) {
+      logger.error('Failed to run flow bot', {
+        botId: bot.id,
+        conversationId: conversation.id,
+        error: error.message
+      })
+      return { action: 'ignore', reason: 'flow_error', error: error.message }
+    }
+  }
+
+  /**
+   * Find the CRM contact behind a conversation
+   * @param {Object} conversation - Conversation row
+   * @param {string} phone - Contact phone
+   * @returns {Promise<Object|null>} Contact with custom_fields or null
+   */
+  async findFlowContact(conversation, phone) {
+    if (!conversation.account_id || !phone) {
+      return null
+    }
+
+    const { data } = await SupabaseService.queryAsAdmin('contacts', (query) =>
+      query.select('id, name, custom_fields')
+        .eq('account_id', conversation.account_id)
+        .eq('phone', phone)
+        .limit(1)
+    )
+
+    return data?.[0] || null
+  }
+
+  /**
+   * Get flow session state for a conversation
+   * @param {string} botId - Bot ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object|null>} { currentNodeId, variables, status } or null
+   */
+  async getFlowSession(botId, conversationId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('bot_flow_sessions', (query) =>
+      query.select('*').eq('bot_id', botId).eq('conversation_id', conversationId).limit(1)
+    )
+
+    if (error || !data || data.length === 0) {
+      return null
+    }
+
+    return {
+      currentNodeId: data[0].current_node_id,
+      variables: data[0].variables || {},
+      status: data[0].status
+    }
+  }
+
+  /**
+   * Persist flow session state for a conversation
+   * @param {string} botId - Bot ID
+   * @param {string} conversationId - Conversation ID
+   * @param {Object} session - { currentNodeId, variables, status }
+   */
+  async saveFlowSession(botId, conversationId, session) {
+    const now = new Date().toISOString()
+    const { error } = await SupabaseService.queryAsAdmin('bot_flow_sessions', (query) =>
+      query.upsert({
+        bot_id: botId,
+        conversation_id: conversationId,
+        current_node_id: session.currentNodeId,
+        variables: session.variables,
+        status: session.status,
+        last_input_at: now,
+        updated_at: now
+      }, { onConflict: 'bot_id,conversation_id' })
+    )
+
+    if (error) {
+      logger.error('Failed to save flow session', { error: error.message, botId, conversationId })
+      throw error
+    }
+  }
+
+  /**
+   * Reset flow session so the next message starts the flow over
+   * @param {string} botId - Bot ID
+   * @param {string} conversationId - Conversation ID
+   */
+  async resetFlowSession(botId, conversationId) {
+    const { error } = await SupabaseService.queryAsAdmin('bot_flow_sessions', (query) =>
+      query.delete().eq('bot_id', botId).eq('conversation_id', conversationId)
+    )
+
+    if (error) {
+      logger.warn('Failed to reset flow session', { error: error.message, botId, conversationId })
+    }
+  }
+
   /**
    * Assign a bot to a conversation
    * @param {number} conversationId - Conversation ID
@@ -881,11 +1175,13 @@ class BotService {
       description: row.description,
       avatarUrl: row.avatar_url,
       outgoingUrl: row.outgoing_url,
-      accessToken: row.access_token,
+      accessToken: CredentialVaultService.mask(row.access_token),
       status: row.status,
       priority: row.priority ?? 999,
       isDefault: toBoolean(row.is_default),
       includeHistory: toBoolean(row.include_history),
+      botType: row.bot_type || BOT_TYPES.WEBHOOK,
+      flowDefinition: row.flow_definition || null,
       createdAt: row.created_at,
       updatedAt: row.updated_at,
       assignedConversations: row.assigned_conversations
@@ -1064,9 +1360,11 @@ class BotService {
     }
 
     const newToken = this.generateAccessToken()
+    const tenantId = await CredentialVaultService.resolveTenantId({ userId })
+    const encryptedToken = await CredentialVaultService.encrypt(tenantId, newToken)
 
     const { data: updatedBot, error } = await SupabaseService.queryAsAdmin('agent_bots', (query) =>
-      query.update({ access_token: newToken }).eq('id', botId).eq('user_id', userId).select().single()
+      query.update({ access_token: encryptedToken }).eq('id', botId).eq('user_id', userId).select().single()
     );
 
     if (error) {
@@ -1076,8 +1374,28 @@ class BotService {
 
     logger.info('Bot access token regenerated', { botId, userId })
 
-    return this.transformBot(updatedBot);
+    return { ...this.transformBot(updatedBot), accessToken: newToken };
+  }
+
+  /**
+   * Decrypted access token of a bot (API responses only carry it masked)
+   * @param {number} botId - Bot ID
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Access token or null if not found
+   */
+  async getBotAccessToken(botId, userId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('agent_bots', (query) =>
+      query.select('access_token').eq('id', botId).eq('user_id', userId).single()
+    );
+
+    if (error || !data) {
+      return null;
+    }
+
+    return CredentialVaultService.decrypt(data.access_token);
   }
 }
 
+BotService.BOT_TYPES = BOT_TYPES
+
 module.exports = BotService
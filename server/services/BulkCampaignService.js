@@ -33,7 +33,8 @@ class BulkCampaignService {
       totalContacts,
       messages,
       sendingWindow,
-      inboxes
+      inboxes,
+      abTest
     } = campaignData;
 
     const insertData = {
@@ -55,7 +56,8 @@ class BulkCampaignService {
       total_contacts: totalContacts,
       messages: messages ? JSON.stringify(messages) : null,
       sending_window: sendingWindow ? JSON.stringify(sendingWindow) : null,
-      inboxes: inboxes && Array.isArray(inboxes) ? JSON.stringify(inboxes) : null
+      inboxes: inboxes && Array.isArray(inboxes) ? JSON.stringify(inboxes) : null,
+      ab_test: abTest || null
     };
 
     const { data, error } = await SupabaseService.insert('bulk_campaigns', insertData);
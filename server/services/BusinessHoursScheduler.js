@@ -0,0 +1,95 @@
+/**
+ * BusinessHoursScheduler Service
+ *
+ * Retoma conversas recebidas fora do horário de atendimento:
+ * - Verificação a cada 60 segundos
+ * - Limpa a marcação de fora do horário quando a caixa de entrada reabre
+ * - Executa a atribuição automática que foi adiada
+ * - Evita execuções sobrepostas
+ */
+
+const { logger } = require('../utils/logger');
+const BusinessHoursService = require('./BusinessHoursService');
+const ConversationAssignmentService = require('./ConversationAssignmentService');
+
+class BusinessHoursScheduler {
+  constructor() {
+    this.checkInterval = 60000; // 60 segundos
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.assignmentService = new ConversationAssignmentService();
+
+    logger.info('BusinessHoursScheduler criado', {
+      checkInterval: this.checkInterval
+    });
+  }
+
+  /**
+   * Inicia o scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('BusinessHoursScheduler já está em execução');
+      return;
+    }
+
+    logger.info('Iniciando BusinessHoursScheduler');
+    this.isRunning = true;
+
+    // Executar verificação imediatamente
+    this.resumeConversations();
+
+    // Configurar verificação periódica
+    this.intervalId = setInterval(() => {
+      this.resumeConversations();
+    }, this.checkInterval);
+  }
+
+  /**
+   * Para o scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('BusinessHoursScheduler não está em execução');
+      return;
+    }
+
+    logger.info('Parando BusinessHoursScheduler');
+    this.isRunning = false;
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Retoma as conversas cuja caixa de entrada reabriu
+   */
+  async resumeConversations() {
+    if (this.isProcessing) {
+      logger.debug('BusinessHoursScheduler ainda processando lote anterior');
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const { resumed, assigned } = await BusinessHoursService.resumeConversations(
+        new Date(),
+        this.assignmentService
+      );
+
+      if (resumed > 0) {
+        logger.info('Conversas retomadas após o horário de atendimento', { resumed, assigned });
+      }
+    } catch (error) {
+      logger.error('Erro ao retomar conversas fora do horário:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = BusinessHoursScheduler;
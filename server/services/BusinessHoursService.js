@@ -0,0 +1,324 @@
+/**
+ * BusinessHoursService - Inbox business hours calendars and away messages
+ *
+ * Stores the business hours calendar of each inbox (weekly hours, timezone,
+ * holidays), answers "is this inbox open" for the rest of the system, sends
+ * the out-of-office auto-reply once per closed period and defers
+ * auto-assignment until the inbox reopens.
+ *
+ * Calendar math lives in utils/businessHours and is shared with campaign
+ * sending windows, drip sequences and SLA timers.
+ *
+ * Requirements: Business hours calendars per inbox with out-of-office auto-replies
+ */
+
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const businessHours = require('../utils/businessHours');
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+// Conversations resumed per scheduler tick
+const RESUME_BATCH_SIZE = 200;
+
+class BusinessHoursService {
+  // ==================== SETTINGS ====================
+
+  /**
+   * Get the business hours settings of an inbox
+   * @param {string} accountId - Account UUID
+   * @param {string} inboxId - Inbox UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getSettings(accountId, inboxId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('inbox_business_hours', (query) =>
+        query.select('*')
+          .eq('inbox_id', inboxId)
+          .eq('account_id', accountId)
+          .single()
+      );
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Failed to get business hours', { error: error.message, accountId, inboxId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the business hours settings of an inbox
+   * @param {string} accountId - Account UUID
+   * @param {string} inboxId - Inbox UUID
+   * @param {Object} data - { isEnabled, timezone, weeklyHours, holidays, awayMessageEnabled, awayMessage }
+   * @returns {Promise<Object>}
+   */
+  async saveSettings(accountId, inboxId, data) {
+    try {
+      const { data: inbox } = await supabaseService.queryAsAdmin('inboxes', (query) =>
+        query.select('id').eq('id', inboxId).eq('account_id', accountId).single()
+      );
+      if (!inbox) throw new Error('INBOX_NOT_FOUND');
+
+      this.validateSettings(data);
+
+      const { data: settings, error } = await supabaseService.queryAsAdmin('inbox_business_hours', (query) =>
+        query.upsert({
+          account_id: accountId,
+          inbox_id: inboxId,
+          is_enabled: data.isEnabled !== false,
+          timezone: data.timezone,
+          weekly_hours: data.weeklyHours,
+          holidays: data.holidays || [],
+          away_message_enabled: !!data.awayMessageEnabled,
+          away_message: data.awayMessage || null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'inbox_id' })
+          .select()
+          .single()
+      );
+
+      if (error) throw error;
+
+      logger.info('Business hours saved', { accountId, inboxId });
+      return settings;
+    } catch (error) {
+      logger.error('Failed to save business hours', { error: error.message, accountId, inboxId });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the business hours of an inbox (inbox becomes always open)
+   * @param {string} accountId - Account UUID
+   * @param {string} inboxId - Inbox UUID
+   */
+  async deleteSettings(accountId, inboxId) {
+    try {
+      const { error } = await supabaseService.queryAsAdmin('inbox_business_hours', (query) =>
+        query.delete().eq('inbox_id', inboxId).eq('account_id', accountId)
+      );
+
+      if (error) throw error;
+
+      logger.info('Business hours deleted', { accountId, inboxId });
+    } catch (error) {
+      logger.error('Failed to delete business hours', { error: error.message, accountId, inboxId });
+      throw error;
+    }
+  }
+
+  /**
+   * Validate settings input
+   * @param {Object} data
+   * @throws {Error} INVALID_TIMEZONE | INVALID_HOURS | AWAY_MESSAGE_REQUIRED
+   */
+  validateSettings(data) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: data.timezone });
+    } catch {
+      throw new Error('INVALID_TIMEZONE');
+    }
+
+    for (const intervals of Object.values(data.weeklyHours || {})) {
+      for (const interval of intervals) {
+        const valid = TIME_PATTERN.test(interval.start) && TIME_PATTERN.test(interval.end) &&
+          interval.end > interval.start;
+        if (!valid) throw new Error('INVALID_HOURS');
+      }
+    }
+
+    if (data.awayMessageEnabled && !data.awayMessage?.trim()) {
+      throw new Error('AWAY_MESSAGE_REQUIRED');
+    }
+  }
+
+  // ==================== CALENDAR QUERIES ====================
+
+  /**
+   * Calendar of a settings row (null = always open)
+   * @param {Object|null} settings - inbox_business_hours row
+   * @returns {Object|null}
+   */
+  toCalendar(settings) {
+    if (!settings || !settings.is_enabled) return null;
+
+    return businessHours.normalizeCalendar({
+      timezone: settings.timezone,
+      weeklyHours: settings.weekly_hours || {},
+      holidays: settings.holidays || []
+    });
+  }
+
+  async getSettingsByInbox(inboxId) {
+    const { data, error } = await supabaseService.queryAsAdmin('inbox_business_hours', (query) =>
+      query.select('*').eq('inbox_id', inboxId).single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Business hours calendar of an inbox
+   * @param {string} inboxId - Inbox UUID
+   * @returns {Promise<Object|null>} Normalized calendar, null when the inbox has none
+   */
+  async getCalendar(inboxId) {
+    if (!inboxId) return null;
+    return this.toCalendar(await this.getSettingsByInbox(inboxId));
+  }
+
+  /**
+   * Whether an inbox is open
+   * @param {string} inboxId - Inbox UUID
+   * @param {Date} [at]
+   * @returns {Promise<{open: boolean, reopensAt: Date|null, settings: Object|null}>}
+   */
+  async getInboxStatus(inboxId, at = new Date()) {
+    const settings = inboxId ? await this.getSettingsByInbox(inboxId) : null;
+    const calendar = this.toCalendar(settings);
+
+    if (businessHours.isOpen(calendar, at)) {
+      return { open: true, reopensAt: null, settings };
+    }
+
+    return { open: false, reopensAt: businessHours.getNextOpening(calendar, at), settings };
+  }
+
+  /**
+   * Inbox of a conversation: its own inbox, or the inbox that received the
+   * message (conversations created by the webhook have no inbox_id)
+   * @param {Object} conversation
+   * @param {string} [userToken] - WUZAPI token of the receiving inbox
+   * @returns {Promise<string|null>}
+   */
+  async resolveInboxId(conversation, userToken = null) {
+    if (conversation.inbox_id) return conversation.inbox_id;
+    if (!userToken) return null;
+
+    const { data } = await supabaseService.queryAsAdmin('inboxes', (query) =>
+      query.select('id').eq('wuzapi_token', userToken).single()
+    );
+    return data?.id || null;
+  }
+
+  // ==================== OUT OF HOURS ====================
+
+  /**
+   * Mark a conversation as waiting for the inbox to reopen
+   * @param {string} conversationId
+   * @param {Date|null} reopensAt
+   * @param {Date} [now]
+   * @returns {Promise<boolean>} true when this is the first mark of the closed period
+   */
+  async deferUntilOpen(conversationId, reopensAt, now = new Date()) {
+    if (!reopensAt) return false;
+
+    // Conditional update keeps concurrent messages from sending twice
+    const { data, error } = await supabaseService.queryAsAdmin('conversations', (query) =>
+      query.update({ out_of_hours_until: reopensAt.toISOString() })
+        .eq('id', conversationId)
+        .or(`out_of_hours_until.is.null,out_of_hours_until.lte.${now.toISOString()}`)
+        .select('id')
+    );
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+
+  /**
+   * Handle a contact message: outside business hours, mark the conversation
+   * and return the away message when it has not been sent in this closed
+   * period. Never throws.
+   *
+   * @param {Object} conversation - Conversation row
+   * @param {string} [userToken] - WUZAPI token of the receiving inbox
+   * @param {Date} [now]
+   * @returns {Promise<{open: boolean, reopensAt?: Date|null, awayMessage?: string|null}>}
+   */
+  async handleIncomingMessage(conversation, userToken = null, now = new Date()) {
+    try {
+      const inboxId = await this.resolveInboxId(conversation, userToken);
+      const status = await this.getInboxStatus(inboxId, now);
+      if (status.open) return { open: true };
+
+      const isFirstInPeriod = await this.deferUntilOpen(conversation.id, status.reopensAt, now);
+      const settings = status.settings;
+      const awayMessage = isFirstInPeriod && settings.away_message_enabled && settings.away_message
+        ? this.renderAwayMessage(settings.away_message, status.reopensAt, settings.timezone)
+        : null;
+
+      return { open: false, reopensAt: status.reopensAt, awayMessage };
+    } catch (error) {
+      logger.warn('Failed to check business hours', { error: error.message, conversationId: conversation?.id });
+      return { open: true };
+    }
+  }
+
+  /**
+   * Fill the {{reopens_at}} placeholder with the local reopening time
+   * @param {string} template
+   * @param {Date|null} reopensAt
+   * @param {string|null} timezone
+   * @returns {string}
+   */
+  renderAwayMessage(template, reopensAt, timezone) {
+    let formatted = '';
+    if (reopensAt) {
+      const p = businessHours.getLocalParts(reopensAt, timezone);
+      const pad = (value) => String(value).padStart(2, '0');
+      formatted = `${pad(p.day)}/${pad(p.month)} ${pad(p.hour)}:${pad(p.minute)}`;
+    }
+
+    return template.replace(/\{\{\s*reopens_at\s*\}\}/g, formatted);
+  }
+
+  /**
+   * Resume conversations whose inbox has reopened: clear the out-of-hours
+   * mark and run the auto-assignment that was skipped
+   * @param {Date} now
+   * @param {Object} assignmentService - ConversationAssignmentService instance
+   * @returns {Promise<{resumed: number, assigned: number}>}
+   */
+  async resumeConversations(now, assignmentService) {
+    const { data: conversations, error } = await supabaseService.queryAsAdmin('conversations', (query) =>
+      query.select('id, inbox_id, status, assigned_agent_id, assigned_bot_id')
+        .lte('out_of_hours_until', now.toISOString())
+        .order('out_of_hours_until', { ascending: true })
+        .limit(RESUME_BATCH_SIZE)
+    );
+
+    if (error) throw error;
+
+    let resumed = 0;
+    let assigned = 0;
+
+    for (const conversation of conversations || []) {
+      try {
+        await supabaseService.queryAsAdmin('conversations', (query) =>
+          query.update({ out_of_hours_until: null }).eq('id', conversation.id)
+        );
+        resumed++;
+
+        const needsAgent = conversation.status === 'open' && conversation.inbox_id &&
+          !conversation.assigned_agent_id && !conversation.assigned_bot_id;
+
+        if (needsAgent && await assignmentService.autoAssign(conversation.inbox_id, conversation.id)) {
+          assigned++;
+        }
+      } catch (err) {
+        logger.error('Failed to resume conversation after business hours', {
+          error: err.message,
+          conversationId: conversation.id
+        });
+      }
+    }
+
+    return { resumed, assigned };
+  }
+}
+
+module.exports = new BusinessHoursService();
+module.exports.BusinessHoursService = BusinessHoursService;
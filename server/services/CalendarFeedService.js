@@ -0,0 +1,488 @@
+/**
+ * CalendarFeedService - Secret iCalendar (ICS) feeds of the CRM calendar
+ *
+ * Each account has one feed with all appointments and each agent can have a
+ * feed with the appointments assigned to them. Calendar apps subscribe to
+ * /api/public/calendar/:token.ics; the feed is rebuilt from the appointments
+ * table on every request, so created, moved and cancelled appointments show
+ * up on the next refresh. Cancelled appointments stay in the feed with
+ * STATUS:CANCELLED so subscribed calendars drop them.
+ *
+ * Appointment series are exported as one event with their RRULE (in the
+ * series timezone) and EXDATEs; occurrences that became rows are
+ * RECURRENCE-ID overrides, or EXDATEs once cancelled. Legacy series (parent
+ * appointment with recurring_pattern plus its generated rows) are exported
+ * the same way, with the rule rebuilt from the generated rows.
+ *
+ * Only a hash of the feed token is stored: the URL is returned when the
+ * feed is created or rotated.
+ *
+ * Requirements: Secret ICS feed URLs per account and agent
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const ical = require('../utils/ical');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Appointments exported around the current date
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 400;
+const MAX_FEED_APPOINTMENTS = 5000;
+
+// Mirrors the generator of legacy series (removed with appointment_series)
+const SERIES_MAX_OCCURRENCES = 52;
+const SERIES_DEFAULT_DAYS = 365;
+const SERIES_FREQS = { weekly: 'WEEKLY', monthly: 'MONTHLY' };
+
+const EVENT_STATUS = {
+  scheduled: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+const APPOINTMENT_FIELDS = 'id, title, description, notes, start_time, end_time, status, agent_id, series_id, recurring_parent_id, recurring_pattern, recurrence_start, cancellation_reason, created_at, updated_at, contact:contacts(name, phone), service:appointment_services(name)';
+
+const SERIES_FIELDS = 'id, title, description, notes, agent_id, rrule, timezone, starts_at, duration_minutes, exdates, created_at, updated_at, contact:contacts(name, phone), service:appointment_services(name)';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class CalendarFeedService {
+  // ==================== FEEDS ====================
+
+  /**
+   * Feeds of an account (without tokens)
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Array>}
+   */
+  async getFeeds(accountId) {
+    const { data, error } = await supabaseService.queryAsAdmin('calendar_feeds', (query) =>
+      query.select('id, agent_id, created_at, last_accessed_at, agent:agents(id, name)')
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: true })
+    );
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Feed of the account (agentId null) or of an agent
+   * @returns {Promise<Object|null>}
+   */
+  async getFeed(accountId, agentId = null) {
+    const { data, error } = await supabaseService.queryAsAdmin('calendar_feeds', (query) => {
+      const q = query.select('id, agent_id, created_at, last_accessed_at').eq('account_id', accountId);
+      return agentId ? q.eq('agent_id', agentId) : q.is('agent_id', null);
+    });
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Create the feed of the account or agent, replacing the previous URL
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {string|null} agentId - Agent UUID (null = whole account)
+   * @returns {Promise<{feed: Object, token: string}>}
+   * @throws {Error} AGENT_NOT_FOUND
+   */
+  async rotateFeed(accountId, tenantId, agentId = null) {
+    try {
+      if (agentId) {
+        const { data: agent } = await supabaseService.queryAsAdmin('agents', (query) =>
+          query.select('id').eq('id', agentId).eq('account_id', accountId).single()
+        );
+        if (!agent) throw new Error('AGENT_NOT_FOUND');
+      }
+
+      const existing = await this.getFeed(accountId, agentId);
+      if (existing) {
+        const { error: deleteError } = await supabaseService.delete('calendar_feeds', existing.id);
+        if (deleteError) throw deleteError;
+      }
+
+      const token = crypto.randomBytes(24).toString('hex');
+      const { data: feed, error } = await supabaseService.insert('calendar_feeds', {
+        account_id: accountId,
+        tenant_id: tenantId,
+        agent_id: agentId,
+        token_hash: hashToken(token)
+      });
+      if (error) throw error;
+
+      logger.info('Calendar feed created', { accountId, agentId, feedId: feed.id, rotated: !!existing });
+      return {
+        feed: { id: feed.id, agent_id: feed.agent_id, created_at: feed.created_at, last_accessed_at: null },
+        token
+      };
+    } catch (error) {
+      logger.error('Failed to create calendar feed', { error: error.message, accountId, agentId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a feed (its URL stops working)
+   * @throws {Error} FEED_NOT_FOUND
+   */
+  async deleteFeed(accountId, feedId) {
+    const { data: feed } = await supabaseService.queryAsAdmin('calendar_feeds', (query) =>
+      query.select('id').eq('id', feedId).eq('account_id', accountId).single()
+    );
+    if (!feed) throw new Error('FEED_NOT_FOUND');
+
+    const { error } = await supabaseService.delete('calendar_feeds', feedId);
+    if (error) throw error;
+
+    logger.info('Calendar feed deleted', { accountId, feedId });
+  }
+
+  /**
+   * Public URL of a feed token
+   * @param {string} baseUrl - e.g. https://cliente.example.com
+   * @param {string} token
+   * @returns {string}
+   */
+  getFeedUrl(baseUrl, token) {
+    return `${baseUrl}/api/public/calendar/${token}.ics`;
+  }
+
+  /**
+   * Feed of a token
+   * @param {string} token
+   * @param {Date} [now]
+   * @returns {Promise<Object|null>}
+   */
+  async resolveToken(token, now = new Date()) {
+    const { data: feed, error } = await supabaseService.queryAsAdmin('calendar_feeds', (query) =>
+      query.select('id, account_id, tenant_id, agent_id').eq('token_hash', hashToken(token)).single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!feed) return null;
+
+    await supabaseService.update('calendar_feeds', feed.id, { last_accessed_at: now.toISOString() });
+    return feed;
+  }
+
+  // ==================== ICS ====================
+
+  /**
+   * ICS document of a feed
+   * @param {Object} feed - Resolved feed (account_id, agent_id)
+   * @param {Date} [now]
+   * @returns {Promise<string>}
+   */
+  async buildCalendar(feed, now = new Date()) {
+    const appointments = await this.getFeedAppointments(feed, now);
+    const seriesList = await this.getFeedSeries(feed, now);
+    const name = await this.getCalendarName(feed);
+
+    // Rows of the exported series are written as their overrides
+    const seriesIds = new Set(seriesList.map(series => series.id));
+    const events = [
+      ...this.toEvents(appointments.filter(appointment => !seriesIds.has(appointment.series_id))),
+      ...seriesList.flatMap(series => this.toRuleEvents(series, feed.agent_id))
+    ];
+
+    return ical.buildCalendar({ name, events, now });
+  }
+
+  /**
+   * Appointment series with occurrences in the feed window, with all their rows
+   * @returns {Promise<Array>} Series with `rows`
+   */
+  async getFeedSeries(feed, now) {
+    const windowStart = new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS).toISOString();
+    const windowEnd = new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS).toISOString();
+
+    const { data: seriesList, error } = await supabaseService.queryAsAdmin('appointment_series', (query) => {
+      const q = query.select(SERIES_FIELDS)
+        .eq('account_id', feed.account_id)
+        .lte('starts_at', windowEnd)
+        .or(`last_occurrence_end.is.null,last_occurrence_end.gte.${windowStart}`);
+      return feed.agent_id ? q.eq('agent_id', feed.agent_id) : q;
+    });
+    if (error) throw error;
+    if (!seriesList?.length) return [];
+
+    // Rows of other agents are included so their occurrences leave this feed
+    const { data: rows, error: rowsError } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      query.select(APPOINTMENT_FIELDS)
+        .eq('account_id', feed.account_id)
+        .in('series_id', seriesList.map(series => series.id))
+    );
+    if (rowsError) throw rowsError;
+
+    return seriesList.map(series => ({
+      ...series,
+      rows: (rows || []).filter(row => row.series_id === series.id)
+    }));
+  }
+
+  /**
+   * Appointments of the feed window plus every row of the series they belong to
+   * @returns {Promise<Array>}
+   */
+  async getFeedAppointments(feed, now) {
+    const windowStart = new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS).toISOString();
+    const windowEnd = new Date(now.getTime() + FEED_FUTURE_DAYS * DAY_MS).toISOString();
+
+    const scoped = (query) => {
+      const q = query.select(APPOINTMENT_FIELDS).eq('account_id', feed.account_id);
+      return feed.agent_id ? q.eq('agent_id', feed.agent_id) : q;
+    };
+
+    const { data: rows, error } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      scoped(query)
+        .gte('end_time', windowStart)
+        .lte('start_time', windowEnd)
+        .order('start_time', { ascending: true })
+        .limit(MAX_FEED_APPOINTMENTS)
+    );
+    if (error) throw error;
+
+    // Series are compared against all their generated rows, including the
+    // ones outside the window, so missing rows really mean excluded dates
+    const seriesIds = [...new Set((rows || [])
+      .map(row => row.recurring_parent_id || (row.recurring_pattern ? row.id : null))
+      .filter(Boolean))];
+    if (seriesIds.length === 0) return rows || [];
+
+    const { data: seriesRows, error: seriesError } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      scoped(query).or(`id.in.(${seriesIds.join(',')}),recurring_parent_id.in.(${seriesIds.join(',')})`)
+    );
+    if (seriesError) throw seriesError;
+
+    const byId = new Map((rows || []).map(row => [row.id, row]));
+    for (const row of seriesRows || []) byId.set(row.id, row);
+    return [...byId.values()];
+  }
+
+  async getCalendarName(feed) {
+    if (feed.agent_id) {
+      const { data: agent } = await supabaseService.queryAsAdmin('agents', (query) =>
+        query.select('name').eq('id', feed.agent_id).single()
+      );
+      return `Agenda - ${agent?.name || 'Agente'}`;
+    }
+
+    const { data: account } = await supabaseService.queryAsAdmin('accounts', (query) =>
+      query.select('name').eq('id', feed.account_id).single()
+    );
+    return `Agenda - ${account?.name || 'Conta'}`;
+  }
+
+  /**
+   * ICS events of the appointments, grouping recurring series
+   * @param {Array} appointments
+   * @returns {Array}
+   */
+  toEvents(appointments) {
+    const byId = new Map(appointments.map(appointment => [appointment.id, appointment]));
+    const isSeries = (appointment) => !appointment.recurring_parent_id &&
+      SERIES_FREQS[appointment.recurring_pattern?.type] !== undefined;
+
+    const children = new Map();
+    for (const appointment of appointments) {
+      const parent = byId.get(appointment.recurring_parent_id);
+      if (parent && isSeries(parent)) {
+        if (!children.has(parent.id)) children.set(parent.id, []);
+        children.get(parent.id).push(appointment);
+      }
+    }
+
+    const events = [];
+    for (const appointment of appointments) {
+      const parent = byId.get(appointment.recurring_parent_id);
+      if (parent && isSeries(parent)) continue;
+
+      if (isSeries(appointment)) {
+        events.push(...this.toSeriesEvents(appointment, children.get(appointment.id) || []));
+      } else {
+        events.push(this.toEvent(appointment));
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Single appointment event
+   */
+  toEvent(appointment) {
+    const details = [];
+    if (appointment.service?.name) details.push(`Serviço: ${appointment.service.name}`);
+    if (appointment.contact) {
+      details.push(`Contato: ${[appointment.contact.name, appointment.contact.phone].filter(Boolean).join(' - ')}`);
+    }
+    if (appointment.description) details.push(appointment.description);
+    if (appointment.notes) details.push(`Observações: ${appointment.notes}`);
+    if (appointment.status === 'cancelled' && appointment.cancellation_reason) {
+      details.push(`Cancelado: ${appointment.cancellation_reason}`);
+    }
+
+    return {
+      uid: `${appointment.id}@appointments`,
+      start: new Date(appointment.start_time),
+      end: new Date(appointment.end_time),
+      summary: appointment.contact?.name ? `${appointment.title} - ${appointment.contact.name}` : appointment.title,
+      description: details.join('\n'),
+      status: EVENT_STATUS[appointment.status],
+      lastModified: new Date(appointment.updated_at || appointment.created_at)
+    };
+  }
+
+  /**
+   * Series master with RRULE, EXDATEs and overrides of changed occurrences
+   * @param {Object} master - Parent appointment
+   * @param {Array} children - Generated occurrences
+   * @returns {Array}
+   */
+  toSeriesEvents(master, children) {
+    const instances = this.getSeriesInstances(master);
+    const duration = new Date(master.end_time) - new Date(master.start_time);
+    const masterEvent = {
+      ...this.toEvent(master),
+      rrule: `FREQ=${SERIES_FREQS[master.recurring_pattern.type]};INTERVAL=${this.getInterval(master.recurring_pattern)};COUNT=${instances.length}`,
+      exdates: []
+    };
+
+    // Only the first occurrence was cancelled, not the series
+    if (master.status === 'cancelled') {
+      masterEvent.exdates.push(instances[0]);
+      masterEvent.status = EVENT_STATUS.scheduled;
+    }
+
+    const pending = new Map(children.map(child => [
+      new Date(child.recurrence_start || child.start_time).getTime(),
+      child
+    ]));
+    const overrides = [];
+
+    for (const instance of instances.slice(1)) {
+      const child = pending.get(instance.getTime());
+      pending.delete(instance.getTime());
+
+      // Skipped by the generator (slot taken) or cancelled
+      if (!child || child.status === 'cancelled') {
+        masterEvent.exdates.push(instance);
+        continue;
+      }
+
+      const changed = new Date(child.start_time).getTime() !== instance.getTime() ||
+        new Date(child.end_time).getTime() !== instance.getTime() + duration ||
+        child.title !== master.title ||
+        child.notes !== master.notes ||
+        EVENT_STATUS[child.status] !== masterEvent.status;
+      if (changed) {
+        overrides.push({ ...this.toEvent(child), uid: masterEvent.uid, recurrenceId: instance });
+      }
+    }
+
+    // Rows that do not match any rule occurrence are exported on their own
+    const standalone = [...pending.values()].map(child => this.toEvent(child));
+
+    return [masterEvent, ...overrides, ...standalone];
+  }
+
+  /**
+   * Appointment series event with its RRULE plus its rows as overrides
+   * @param {Object} series - appointment_series row with `rows`
+   * @param {string|null} agentId - Agent of the feed (null = whole account)
+   * @returns {Array}
+   */
+  toRuleEvents(series, agentId) {
+    const start = new Date(series.starts_at);
+    const masterEvent = {
+      ...this.toEvent({
+        ...series,
+        start_time: series.starts_at,
+        end_time: new Date(start.getTime() + series.duration_minutes * MINUTE_MS).toISOString(),
+        status: 'scheduled'
+      }),
+      uid: `${series.id}@series`,
+      timezone: series.timezone,
+      rrule: series.rrule,
+      exdates: series.exdates.map(date => new Date(date))
+    };
+
+    const lastRow = Math.max(start.getTime(), ...series.rows.map(row => new Date(row.recurrence_start).getTime()));
+    const instances = new Set(ical.expandRule({
+      start,
+      timezone: series.timezone,
+      rrule: ical.parseRule(series.rrule)
+    }, new Date(lastRow)).map(instance => instance.getTime()));
+
+    const overrides = [];
+    const standalone = [];
+    for (const row of series.rows) {
+      const recurrenceId = new Date(row.recurrence_start);
+      const inFeed = !agentId || row.agent_id === agentId;
+
+      if (!instances.has(recurrenceId.getTime())) {
+        if (inFeed) standalone.push(this.toEvent(row));
+      } else if (!inFeed || row.status === 'cancelled') {
+        masterEvent.exdates.push(recurrenceId);
+      } else {
+        overrides.push({ ...this.toEvent(row), uid: masterEvent.uid, timezone: series.timezone, recurrenceId });
+      }
+    }
+
+    return [masterEvent, ...overrides, ...standalone];
+  }
+
+  getInterval(pattern) {
+    return Math.max(1, parseInt(pattern.interval, 10) || 1);
+  }
+
+  /**
+   * Occurrence starts of a series (RRULE semantics in UTC), first one included
+   * @param {Object} master - Parent appointment with recurring_pattern
+   * @returns {Date[]}
+   */
+  getSeriesInstances(master) {
+    const pattern = master.recurring_pattern;
+    const interval = this.getInterval(pattern);
+    const start = new Date(master.start_time);
+    const patternEnd = pattern.endDate
+      ? new Date(pattern.endDate)
+      : new Date(start.getTime() + SERIES_DEFAULT_DAYS * DAY_MS);
+
+    const instances = [start];
+    for (let step = 1; step <= SERIES_MAX_OCCURRENCES; step++) {
+      let next;
+      if (pattern.type === 'weekly') {
+        next = new Date(start.getTime() + step * interval * 7 * DAY_MS);
+      } else {
+        next = new Date(Date.UTC(
+          start.getUTCFullYear(),
+          start.getUTCMonth() + step * interval,
+          start.getUTCDate(),
+          start.getUTCHours(),
+          start.getUTCMinutes(),
+          start.getUTCSeconds()
+        ));
+        // Months without the start day are not part of a MONTHLY rule
+        if (next.getUTCDate() !== start.getUTCDate()) continue;
+      }
+
+      if (next > patternEnd) break;
+      instances.push(next);
+    }
+
+    return instances;
+  }
+}
+
+module.exports = new CalendarFeedService();
+module.exports.CalendarFeedService = CalendarFeedService;
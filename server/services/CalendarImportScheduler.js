@@ -0,0 +1,89 @@
+/**
+ * CalendarImportScheduler Service
+ *
+ * Atualiza as agendas externas assinadas por URL (ICS):
+ * - Verificação a cada 5 minutos
+ * - Cada agenda é baixada novamente uma vez por hora
+ * - Evita execuções sobrepostas
+ */
+
+const { logger } = require('../utils/logger');
+const CalendarImportService = require('./CalendarImportService');
+
+class CalendarImportScheduler {
+  constructor() {
+    this.checkInterval = 5 * 60 * 1000; // 5 minutos
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+
+    logger.info('CalendarImportScheduler criado', {
+      checkInterval: this.checkInterval
+    });
+  }
+
+  /**
+   * Inicia o scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('CalendarImportScheduler já está em execução');
+      return;
+    }
+
+    logger.info('Iniciando CalendarImportScheduler');
+    this.isRunning = true;
+
+    // Executar verificação imediatamente
+    this.syncCalendars();
+
+    // Configurar verificação periódica
+    this.intervalId = setInterval(() => {
+      this.syncCalendars();
+    }, this.checkInterval);
+  }
+
+  /**
+   * Para o scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('CalendarImportScheduler não está em execução');
+      return;
+    }
+
+    logger.info('Parando CalendarImportScheduler');
+    this.isRunning = false;
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Sincroniza as agendas assinadas desatualizadas
+   */
+  async syncCalendars() {
+    if (this.isProcessing) {
+      logger.debug('CalendarImportScheduler ainda processando lote anterior');
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const { synced, failed } = await CalendarImportService.syncDueImports(new Date());
+
+      if (synced > 0 || failed > 0) {
+        logger.info('Agendas externas sincronizadas', { synced, failed });
+      }
+    } catch (error) {
+      logger.error('Erro ao sincronizar agendas externas:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = CalendarImportScheduler;
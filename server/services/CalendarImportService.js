@@ -0,0 +1,260 @@
+/**
+ * CalendarImportService - Busy times from external calendars
+ *
+ * Imports an ICS file (uploaded once) or subscribes to an ICS URL (Google,
+ * Outlook and iCloud "secret address" links, refreshed by
+ * CalendarImportScheduler). Busy events of the next months become blocked
+ * slots of the account, so booking and availability checks skip them.
+ * Event titles are not copied: slots show the import name only.
+ *
+ * Every sync replaces the slots of the import.
+ *
+ * Requirements: ICS import of busy times into the CRM calendar
+ */
+
+const { logger } = require('../utils/logger');
+const { isPublicHost } = require('../utils/networkAddress');
+const supabaseService = require('./SupabaseService');
+const BlockedSlotService = require('./BlockedSlotService');
+const ical = require('../utils/ical');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Busy times imported ahead of the sync date
+const IMPORT_HORIZON_DAYS = 180;
+const MAX_IMPORTED_SLOTS = 2000;
+
+const MAX_CALENDAR_BYTES = 2 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+
+// Subscribed URLs are refreshed once per interval
+const URL_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+const URL_SYNC_BATCH_SIZE = 20;
+
+// Floating times and all-day events when the account has no timezone
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+class CalendarImportService {
+  /**
+   * Imports of an account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Array>}
+   */
+  async getImports(accountId) {
+    const { data, error } = await supabaseService.queryAsAdmin('calendar_imports', (query) =>
+      query.select('*').eq('account_id', accountId).order('created_at', { ascending: true })
+    );
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getImport(accountId, importId) {
+    const { data, error } = await supabaseService.queryAsAdmin('calendar_imports', (query) =>
+      query.select('*').eq('id', importId).eq('account_id', accountId).single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Create an import from an uploaded file or a subscribed URL and sync it
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - { name, url } or { name, content }
+   * @returns {Promise<Object>} Import with unsupportedRules
+   * @throws {Error} INVALID_CALENDAR_URL | INVALID_CALENDAR | CALENDAR_FETCH_FAILED
+   */
+  async createImport(accountId, tenantId, data) {
+    const sourceUrl = data.url ? this.normalizeUrl(data.url) : null;
+    const content = sourceUrl ? await this.fetchCalendar(sourceUrl) : data.content;
+
+    // Reject files that are not calendars before creating the import
+    this.parse(content);
+
+    const { data: calendarImport, error } = await supabaseService.insert('calendar_imports', {
+      account_id: accountId,
+      tenant_id: tenantId,
+      name: data.name,
+      source_url: sourceUrl
+    });
+    if (error) throw error;
+
+    logger.info('Calendar import created', { accountId, importId: calendarImport.id, subscribed: !!sourceUrl });
+    return this.syncImport(accountId, tenantId, calendarImport.id, content);
+  }
+
+  /**
+   * Replace the blocked slots of an import with the busy times of its calendar
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} importId - Import UUID
+   * @param {string|null} [content] - ICS content (required for uploaded imports)
+   * @param {Date} [now]
+   * @returns {Promise<Object>} Import with unsupportedRules
+   * @throws {Error} IMPORT_NOT_FOUND | CALENDAR_CONTENT_REQUIRED | INVALID_CALENDAR | CALENDAR_FETCH_FAILED
+   */
+  async syncImport(accountId, tenantId, importId, content = null, now = new Date()) {
+    const calendarImport = await this.getImport(accountId, importId);
+    if (!calendarImport) throw new Error('IMPORT_NOT_FOUND');
+
+    try {
+      if (!content && !calendarImport.source_url) throw new Error('CALENDAR_CONTENT_REQUIRED');
+      const text = content || await this.fetchCalendar(calendarImport.source_url);
+      const timezone = await this.getAccountTimezone(accountId);
+
+      const { busy, unsupportedRules } = ical.getBusyIntervals(
+        this.parse(text, timezone),
+        new Date(now.getTime() - DAY_MS),
+        new Date(now.getTime() + IMPORT_HORIZON_DAYS * DAY_MS)
+      );
+      const intervals = busy.filter(interval => interval.end > interval.start).slice(0, MAX_IMPORTED_SLOTS);
+
+      const slotCount = await BlockedSlotService.replaceImportedSlots(
+        accountId,
+        tenantId,
+        importId,
+        intervals,
+        `Ocupado (${calendarImport.name})`
+      );
+
+      const { data: updated, error } = await supabaseService.update('calendar_imports', importId, {
+        slot_count: slotCount,
+        last_synced_at: now.toISOString(),
+        last_error: null
+      });
+      if (error) throw error;
+
+      logger.info('Calendar import synced', { accountId, importId, slotCount, unsupportedRules });
+      return { ...updated, unsupportedRules };
+    } catch (error) {
+      await supabaseService.update('calendar_imports', importId, {
+        last_synced_at: now.toISOString(),
+        last_error: error.message
+      });
+      logger.warn('Calendar import sync failed', { accountId, importId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an import and its blocked slots
+   * @throws {Error} IMPORT_NOT_FOUND
+   */
+  async deleteImport(accountId, importId) {
+    const calendarImport = await this.getImport(accountId, importId);
+    if (!calendarImport) throw new Error('IMPORT_NOT_FOUND');
+
+    const { error } = await supabaseService.delete('calendar_imports', importId);
+    if (error) throw error;
+
+    logger.info('Calendar import deleted', { accountId, importId });
+  }
+
+  /**
+   * Refresh subscribed URLs not synced within the interval
+   * @param {Date} [now]
+   * @returns {Promise<{synced: number, failed: number}>}
+   */
+  async syncDueImports(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - URL_SYNC_INTERVAL_MS).toISOString();
+    const { data: imports, error } = await supabaseService.queryAsAdmin('calendar_imports', (query) =>
+      query.select('id, account_id, tenant_id')
+        .not('source_url', 'is', null)
+        .or(`last_synced_at.is.null,last_synced_at.lt.${staleBefore}`)
+        .order('last_synced_at', { ascending: true, nullsFirst: true })
+        .limit(URL_SYNC_BATCH_SIZE)
+    );
+    if (error) throw error;
+
+    const totals = { synced: 0, failed: 0 };
+    for (const calendarImport of imports || []) {
+      try {
+        await this.syncImport(calendarImport.account_id, calendarImport.tenant_id, calendarImport.id, null, now);
+        totals.synced++;
+      } catch {
+        // Recorded in last_error by syncImport
+        totals.failed++;
+      }
+    }
+    return totals;
+  }
+
+  async getAccountTimezone(accountId) {
+    const { data: account } = await supabaseService.queryAsAdmin('accounts', (query) =>
+      query.select('timezone').eq('id', accountId).single()
+    );
+    return account?.timezone || DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Parsed events of an ICS document
+   * @param {string} content - ICS content
+   * @param {string} [timezone] - Timezone of floating times and all-day events
+   * @throws {Error} INVALID_CALENDAR
+   */
+  parse(content, timezone = DEFAULT_TIMEZONE) {
+    if (typeof content !== 'string' || !content.includes('BEGIN:VCALENDAR')) {
+      throw new Error('INVALID_CALENDAR');
+    }
+    return ical.parseCalendar(content, { timezone });
+  }
+
+  /**
+   * HTTPS URL of a subscription link (webcal:// is served over HTTPS)
+   * @throws {Error} INVALID_CALENDAR_URL
+   */
+  normalizeUrl(value) {
+    let url;
+    try {
+      url = new URL(String(value).trim().replace(/^webcals?:\/\//i, 'https://'));
+    } catch {
+      throw new Error('INVALID_CALENDAR_URL');
+    }
+
+    if (url.protocol !== 'https:' || url.username || url.password) {
+      throw new Error('INVALID_CALENDAR_URL');
+    }
+    return url.toString();
+  }
+
+  /**
+   * Download a subscribed calendar (public hosts only, no redirects)
+   * @throws {Error} INVALID_CALENDAR_URL | CALENDAR_FETCH_FAILED | INVALID_CALENDAR
+   */
+  async fetchCalendar(sourceUrl) {
+    const url = new URL(sourceUrl);
+    if (!(await isPublicHost(url.hostname))) {
+      throw new Error('INVALID_CALENDAR_URL');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(url, {
+        signal: controller.signal,
+        redirect: 'error',
+        headers: { Accept: 'text/calendar, */*;q=0.5' }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      if (Number(response.headers.get('content-length')) > MAX_CALENDAR_BYTES) {
+        throw new Error('INVALID_CALENDAR');
+      }
+      const text = await response.text();
+      if (Buffer.byteLength(text) > MAX_CALENDAR_BYTES) throw new Error('INVALID_CALENDAR');
+      return text;
+    } catch (error) {
+      if (error.message === 'INVALID_CALENDAR') throw error;
+      logger.warn('Failed to fetch calendar', { host: url.hostname, error: error.message });
+      throw new Error('CALENDAR_FETCH_FAILED');
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+module.exports = new CalendarImportService();
+module.exports.CalendarImportService = CalendarImportService;
@@ -309,7 +309,8 @@ class CampaignScheduler {
         delay_max: campaign.delay_max,
         randomize_order: campaign.randomize_order === 1,
         messages: campaign.messages ? JSON.parse(campaign.messages) : [],
-        sending_window: campaign.sending_window ? JSON.parse(campaign.sending_window) : null
+        sending_window: campaign.sending_window ? JSON.parse(campaign.sending_window) : null,
+        ab_test: campaign.ab_test || null
       };
 
       const queueManager = new QueueManager(campaign.id, config);
@@ -497,7 +498,8 @@ class CampaignScheduler {
       delay_max: campaign.delay_max,
       randomize_order: campaign.randomize_order === 1,
       messages: messages,
-      sending_window: sendingWindow
+      sending_window: sendingWindow,
+      ab_test: campaign.ab_test || null
     };
 
     logger.debug('Config criado com sucesso', {
@@ -8,6 +8,7 @@
 
 const { logger } = require('../utils/logger');
 const SupabaseService = require('./SupabaseService');
+const StorageService = require('./StorageService');
 
 class CascadeDeleteService {
   constructor() {
@@ -276,6 +277,73 @@ class CascadeDeleteService {
     }
   }
 
+  /**
+   * Delete conversations with their messages, media and related records
+   *
+   * Cascade order:
+   * 1. Stored media (Supabase Storage conversations/<id>/)
+   * 2. Messages, notes, attributes, CSAT surveys and bot flow sessions
+   * 3. Conversations
+   *
+   * @param {string[]} conversationIds - Conversation IDs to delete
+   * @returns {Promise<Object>} Deletion summary with the number of rows per table
+   */
+  async deleteConversations(conversationIds) {
+    const summary = {
+      conversationIds,
+      deletedCounts: {},
+      success: false
+    };
+
+    try {
+      logger.info('Starting cascade delete for conversations', { count: conversationIds.length });
+
+      // 1. Delete stored media
+      summary.deletedCounts.mediaFiles = 0;
+      for (const conversationId of conversationIds) {
+        const { deleted, error } = await StorageService.deleteConversationMedia(conversationId);
+        if (error) {
+          const mediaError = new Error('MEDIA_DELETE_FAILED');
+          mediaError.details = { conversationId, ...error };
+          throw mediaError;
+        }
+        summary.deletedCounts.mediaFiles += deleted;
+      }
+
+      // 2. Delete conversation records, then 3. the conversations
+      const tables = [
+        ['messages', 'chat_messages', 'conversation_id'],
+        ['notes', 'contact_notes', 'conversation_id'],
+        ['attributes', 'contact_attributes', 'conversation_id'],
+        ['csatSurveys', 'csat_surveys', 'conversation_id'],
+        ['botFlowSessions', 'bot_flow_sessions', 'conversation_id'],
+        ['conversations', 'conversations', 'id']
+      ];
+
+      for (const [key, table, column] of tables) {
+        summary.deletedCounts[key] = 0;
+        if (conversationIds.length === 0) continue;
+
+        const { count, error } = await SupabaseService.queryAsAdmin(table, (query) =>
+          query.delete({ count: 'exact' }).in(column, conversationIds)
+        );
+        if (error) throw error;
+        summary.deletedCounts[key] = count || 0;
+      }
+
+      summary.success = true;
+      logger.info('Cascade delete completed for conversations', { deletedCounts: summary.deletedCounts });
+
+      return summary;
+    } catch (error) {
+      logger.error('Cascade delete failed for conversations', {
+        error: error.message,
+        summary
+      });
+      throw error;
+    }
+  }
+
   /**
    * Verify no orphaned records exist after deletion
    * 
@@ -15,6 +15,9 @@
 const { logger } = require('../utils/logger');
 const wuzapiClient = require('../utils/wuzapiClient');
 const supabaseService = require('./SupabaseService');
+const SlaService = require('./SlaService');
+const CsatService = require('./CsatService');
+const { ProviderAdapterFactory } = require('./providers');
 
 class ChatService {
   /**
@@ -503,33 +506,55 @@ class ChatService {
         throw insertError;
       }
 
-      // Send via WUZAPI
-      const isGroup = conversation.contact_jid.endsWith('@g.us');
-      const wuzapiPayload = {
-        Phone: isGroup
-          ? conversation.contact_jid
-          : conversation.contact_jid.replace('@s.whatsapp.net', ''),
-        Body: content
-      };
+      // Send via the WhatsApp Cloud API adapter or WUZAPI
+      let response;
+      const statusUpdate = {};
+      const cloudInbox = await this.getCloudApiInbox(conversation.inbox_id);
+
+      if (cloudInbox) {
+        const result = await ProviderAdapterFactory.getAdapterForInbox(cloudInbox).sendMessage(cloudInbox, {
+          to: conversation.contact_jid,
+          text: content,
+          replyToMessageId
+        });
+        response = { success: result.success, error: result.error };
 
-      if (replyToMessageId) {
-        wuzapiPayload.ContextInfo = {
-          StanzaId: replyToMessageId,
-          Participant: conversation.contact_jid
+        // Status callbacks reference the Cloud API message ID
+        if (result.messageId) {
+          statusUpdate.message_id = result.messageId;
+        }
+      } else {
+        const isGroup = conversation.contact_jid.endsWith('@g.us');
+        const wuzapiPayload = {
+          Phone: isGroup
+            ? conversation.contact_jid
+            : conversation.contact_jid.replace('@s.whatsapp.net', ''),
+          Body: content
         };
-      }
 
-      const response = await wuzapiClient.post('/chat/send/text', wuzapiPayload, {
-        headers: { 'Token': userToken }
-      });
+        if (replyToMessageId) {
+          wuzapiPayload.ContextInfo = {
+            StanzaId: replyToMessageId,
+            Participant: conversation.contact_jid
+          };
+        }
+
+        response = await wuzapiClient.post('/chat/send/text', wuzapiPayload, {
+          headers: { 'Token': userToken }
+        });
+      }
 
       // Update message status based on response
       const newStatus = response.success ? 'sent' : 'failed';
-      await supabaseService.update('chat_messages', message.id, { status: newStatus }, token);
+      await supabaseService.update('chat_messages', message.id, { ...statusUpdate, status: newStatus }, token);
 
       // Update conversation
       await this.updateConversationLastMessage(conversationId, content, token);
 
+      if (response.success) {
+        await SlaService.recordResponse(conversationId);
+      }
+
       logger.info('Message sent', { userId, conversationId, messageId, status: newStatus });
 
       return { ...message, status: newStatus };
@@ -539,6 +564,23 @@ class ChatService {
     }
   }
 
+  /**
+   * Get the inbox when it uses the official WhatsApp Cloud API
+   * @param {string} inboxId - Inbox ID
+   * @returns {Promise<Object|null>} Inbox row with provider_config, null for WUZAPI inboxes
+   */
+  async getCloudApiInbox(inboxId) {
+    if (!inboxId) {
+      return null;
+    }
+
+    const { data, error } = await supabaseService.queryAsAdmin('inboxes', (query) =>
+      query.select('id, provider_type, provider_config').eq('id', inboxId).single()
+    );
+
+    return !error && data?.provider_type === 'whatsapp_cloud' ? data : null;
+  }
+
   /**
    * Validate message content
    * @param {string} content - Message content
@@ -594,6 +636,10 @@ class ChatService {
         throw error;
       }
 
+      if (record.direction === 'outgoing') {
+        await SlaService.recordResponse(conversationId);
+      }
+
       return data || { ...record, id: messageId };
     } catch (error) {
       logger.error('Failed to create message', { conversationId, error: error.message });
@@ -776,9 +822,11 @@ class ChatService {
    * @param {string} conversationId - Conversation ID (UUID)
    * @param {Object} updates - Fields to update
    * @param {string} [accountId] - Account ID (optional, resolved from userToken if not provided)
+   * @param {Object} [options]
+   * @param {boolean} [options.sendCsat=true] - Send the CSAT survey when resolving (if enabled for the account)
    * @returns {Promise<Object>} Updated conversation
    */
-  async updateConversation(userToken, conversationId, updates, accountId = null) {
+  async updateConversation(userToken, conversationId, updates, accountId = null, options = {}) {
     try {
       // Resolve accountId if not provided
       const resolvedAccountId = accountId || await this.getAccountIdFromToken(userToken);
@@ -818,6 +866,14 @@ class ChatService {
         updates: Object.keys(updates) 
       });
 
+      if (updates.status) {
+        await SlaService.recordStatusChange(conversationId, updates.status);
+      }
+
+      if (updates.status === 'resolved' && options.sendCsat !== false) {
+        await CsatService.sendSurvey(conversationId, { userToken });
+      }
+
       return this.formatConversation(data);
     } catch (error) {
       logger.error('Failed to update conversation', { 
@@ -834,9 +890,11 @@ class ChatService {
    * @param {string} conversationId - Conversation ID (UUID)
    * @param {string} status - New status
    * @param {string} [token] - User JWT token for RLS
+   * @param {Object} [options]
+   * @param {boolean} [options.sendCsat=true] - Send the CSAT survey when resolving (if enabled for the account)
    * @returns {Promise<Object>} Updated conversation
    */
-  async updateConversationStatus(conversationId, status, token = null) {
+  async updateConversationStatus(conversationId, status, token = null, options = {}) {
     try {
       const { data, error } = await supabaseService.update(
         'conversations',
@@ -851,6 +909,12 @@ class ChatService {
 
       logger.info('Conversation status updated', { conversationId, status });
 
+      await SlaService.recordStatusChange(conversationId, status);
+
+      if (status === 'resolved' && options.sendCsat !== false) {
+        await CsatService.sendSurvey(conversationId);
+      }
+
       return data;
     } catch (error) {
       logger.error('Failed to update conversation status', { conversationId, error: error.message });
@@ -1027,6 +1091,169 @@ class ChatService {
     }
   }
 
+  /**
+   * Assign a label to a conversation and record it in the label history
+   * @param {string} userToken - WUZAPI token or account ID
+   * @param {string} conversationId - Conversation ID (UUID)
+   * @param {string} labelId - Label ID
+   * @param {Object} [options]
+   * @param {string} [options.performedBy] - Agent ID who added the label
+   * @returns {Promise<void>}
+   */
+  async assignLabel(userToken, conversationId, labelId, options = {}) {
+    try {
+      const { accountId, label } = await this.resolveConversationLabel(userToken, conversationId, labelId);
+
+      const { data: existing } = await supabaseService.queryAsAdmin('conversation_labels', (query) =>
+        query.select('label_id').eq('conversation_id', conversationId).eq('label_id', labelId)
+      );
+
+      if (existing && existing.length > 0) {
+        return;
+      }
+
+      const { error } = await supabaseService.queryAsAdmin('conversation_labels', (query) =>
+        query.upsert(
+          { conversation_id: conversationId, label_id: labelId },
+          { onConflict: 'conversation_id,label_id', ignoreDuplicates: true }
+        )
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      await this.recordLabelEvent(accountId, conversationId, label, 'added', options.performedBy);
+
+      logger.info('Label assigned', { conversationId, labelId });
+    } catch (error) {
+      logger.error('Failed to assign label', { conversationId, labelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a label from a conversation and record it in the label history
+   * @param {string} userToken - WUZAPI token or account ID
+   * @param {string} conversationId - Conversation ID (UUID)
+   * @param {string} labelId - Label ID
+   * @param {Object} [options]
+   * @param {string} [options.performedBy] - Agent ID who removed the label
+   * @returns {Promise<void>}
+   */
+  async removeLabel(userToken, conversationId, labelId, options = {}) {
+    try {
+      const { accountId, label } = await this.resolveConversationLabel(userToken, conversationId, labelId);
+
+      const { data: removed, error } = await supabaseService.queryAsAdmin('conversation_labels', (query) =>
+        query.delete().eq('conversation_id', conversationId).eq('label_id', labelId).select('label_id')
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      if (removed && removed.length > 0) {
+        await this.recordLabelEvent(accountId, conversationId, label, 'removed', options.performedBy);
+      }
+
+      logger.info('Label removed', { conversationId, labelId });
+    } catch (error) {
+      logger.error('Failed to remove label', { conversationId, labelId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check that both the conversation and the label belong to the caller's account
+   * @param {string} userToken - WUZAPI token or account ID
+   * @param {string} conversationId - Conversation ID (UUID)
+   * @param {string} labelId - Label ID
+   * @returns {Promise<{accountId: string, label: Object}>}
+   */
+  async resolveConversationLabel(userToken, conversationId, labelId) {
+    const accountId = await this.getAccountIdFromToken(userToken);
+    if (!accountId) {
+      throw new Error('Account not found for the provided token');
+    }
+
+    const conversation = await this.getConversationById(conversationId, accountId);
+    if (!conversation) {
+      throw new Error('Conversation not found or unauthorized');
+    }
+
+    const { data: label, error } = await supabaseService.queryAsAdmin('labels', (query) =>
+      query.select('id, title').eq('id', labelId).eq('account_id', accountId).single()
+    );
+
+    if (error || !label) {
+      throw new Error('Label not found');
+    }
+
+    return { accountId, label };
+  }
+
+  /**
+   * Record a label change in the conversation label history
+   * History is best effort: a failure here never undoes the label change
+   * @param {string} accountId - Account ID (UUID)
+   * @param {string} conversationId - Conversation ID (UUID)
+   * @param {Object} label - Label row ({ id, title })
+   * @param {string} action - 'added' or 'removed'
+   * @param {string} [performedBy] - Agent ID
+   * @returns {Promise<void>}
+   */
+  async recordLabelEvent(accountId, conversationId, label, action, performedBy = null) {
+    const { error } = await supabaseService.insert('conversation_label_events', {
+      account_id: accountId,
+      conversation_id: conversationId,
+      label_id: label.id,
+      label_name: label.title || null,
+      action,
+      performed_by_agent_id: performedBy || null
+    });
+
+    if (error) {
+      logger.warn('Failed to record label history', { conversationId, labelId: label.id, error: error.message });
+    }
+  }
+
+  /**
+   * Get the label history of a conversation, oldest first
+   * @param {string} accountId - Account ID (UUID)
+   * @param {string} conversationId - Conversation ID (UUID)
+   * @returns {Promise<Array>} Label events
+   */
+  async getLabelHistory(accountId, conversationId) {
+    const { data, error } = await supabaseService.queryAsAdmin('conversation_label_events', (query) =>
+      query.select(`
+        id,
+        label_id,
+        label_name,
+        action,
+        created_at,
+        agent:agents!conversation_label_events_performed_by_agent_id_fkey(id, name)
+      `)
+      .eq('conversation_id', conversationId)
+      .eq('account_id', accountId)
+      .order('created_at', { ascending: true })
+    );
+
+    if (error) {
+      logger.error('Failed to get label history', { conversationId, error: error.message });
+      throw error;
+    }
+
+    return (data || []).map(event => ({
+      id: event.id,
+      labelId: event.label_id,
+      labelName: event.label_name,
+      action: event.action,
+      performedBy: event.agent ? { id: event.agent.id, name: event.agent.name } : null,
+      createdAt: event.created_at
+    }));
+  }
+
   // ==================== CANNED RESPONSES METHODS ====================
 
   /**
@@ -2,36 +2,108 @@
  * CommunicationPreferenceService - Service for managing contact communication preferences
  * 
  * Handles opt-in/opt-out status, keyword detection, and campaign filtering.
+ *
+ * Consent changes are appended to the contact_consents ledger (LGPD) with
+ * their source, evidence, legal basis and purpose before the current status
+ * cached on the contact changes. Double opt-in sends a confirmation message
+ * and grants consent only when the contact replies to it.
  * 
- * Requirements: 5.1, 5.2, 5.3, 5.4 (Contact CRM Evolution)
+ * Requirements: 5.1, 5.2, 5.3, 5.4 (Contact CRM Evolution),
+ * Double opt-in and consent ledger compliant with LGPD
  */
 
 const { logger } = require('../utils/logger');
 const supabaseService = require('./SupabaseService');
+const ProviderAdapterFactory = require('./providers/ProviderAdapterFactory');
 
 // Opt-out keywords (case-insensitive)
 const OPT_OUT_KEYWORDS = ['SAIR', 'PARAR', 'STOP', 'UNSUBSCRIBE', 'CANCELAR', 'REMOVER'];
 
+const CONSENT_PURPOSES = ['marketing', 'transactional'];
+const CONSENT_SOURCES = ['import', 'keyword', 'form', 'api', 'agent'];
+
+// LGPD art. 7
+const LEGAL_BASES = ['consent', 'contract', 'legal_obligation', 'legitimate_interest'];
+
+const DEFAULT_LEGAL_BASIS = {
+  marketing: 'consent',
+  transactional: 'contract'
+};
+
+// Contact column caching the current consent of each purpose
+const PURPOSE_COLUMNS = {
+  marketing: 'bulk_messaging_opt_in',
+  transactional: 'transactional_opt_in'
+};
+
+// Methods recorded before the ledger existed
+const METHOD_SOURCES = {
+  manual: 'agent'
+};
+
+// Replies to a double opt-in confirmation are accepted for this long
+const DOUBLE_OPT_IN_TTL_HOURS = 72;
+
+const CONFIRMATION_REPLIES = {
+  confirm: ['sim', 'confirmo', 'aceito', 'quero'],
+  decline: ['nao', 'recuso']
+};
+
+const PURPOSE_DESCRIPTIONS = {
+  marketing: 'novidades e promoções',
+  transactional: 'avisos sobre seus atendimentos'
+};
+
+const CONFIRMATION_MESSAGES = {
+  request: (name, purpose) =>
+    `Olá${name ? ` ${name}` : ''}! Para receber ${PURPOSE_DESCRIPTIONS[purpose]} por aqui, responda SIM. Se não quiser, responda NÃO.`,
+  confirm: 'Pronto! Sua inscrição foi confirmada. Para sair a qualquer momento, responda SAIR.',
+  decline: 'Tudo bem! Você não receberá essas mensagens.'
+};
+
 class CommunicationPreferenceService {
   /**
    * Set opt-in status for a contact
    * @param {string} contactId - Contact UUID
    * @param {boolean} optIn - Opt-in status
-   * @param {string} method - Method of change (manual, keyword, api)
+   * @param {string} method - Method of change (manual, keyword, api, import, form, agent)
+   * @param {Object} [options]
+   * @param {string} [options.purpose='marketing'] - marketing | transactional
+   * @param {string} [options.legalBasis] - LGPD legal basis (default per purpose)
+   * @param {Object} [options.evidence] - Message id, IP, user agent, form payload
+   * @param {string} [options.actorId] - User recording the change
+   * @param {string} [options.confirmsId] - Pending double opt-in row answered
    * @returns {Promise<Object>} Updated contact
    */
-  async setOptIn(contactId, optIn, method = 'manual') {
+  async setOptIn(contactId, optIn, method = 'manual', options = {}) {
     try {
+      const purpose = options.purpose || 'marketing';
+      if (!CONSENT_PURPOSES.includes(purpose)) throw new Error('INVALID_PURPOSE');
+
+      const contact = await this.getContact(contactId);
+      if (!contact) throw new Error('CONTACT_NOT_FOUND');
+
+      // The ledger row is written first: status never changes without proof
+      await this.recordConsent(contact, {
+        purpose,
+        status: optIn ? 'granted' : 'revoked',
+        source: METHOD_SOURCES[method] || method,
+        legalBasis: options.legalBasis,
+        evidence: options.evidence,
+        actorId: options.actorId,
+        confirmsId: options.confirmsId
+      });
+
       const updateData = {
-        bulk_messaging_opt_in: optIn,
+        [PURPOSE_COLUMNS[purpose]]: optIn,
         updated_at: new Date().toISOString()
       };
 
-      // If opting out, record timestamp and method
-      if (!optIn) {
+      // If opting out of marketing, record timestamp and method
+      if (purpose === 'marketing' && !optIn) {
         updateData.opt_out_at = new Date().toISOString();
         updateData.opt_out_method = method;
-      } else {
+      } else if (purpose === 'marketing') {
         // If opting back in, clear opt-out fields
         updateData.opt_out_at = null;
         updateData.opt_out_method = null;
@@ -41,10 +113,17 @@ class CommunicationPreferenceService {
 
       if (error) throw error;
 
+      // Opted-out contacts leave every drip sequence
+      if (purpose === 'marketing' && !optIn) {
+        const DripSequenceService = require('./DripSequenceService');
+        await DripSequenceService.exitContact(contactId, 'opted_out');
+      }
+
       logger.info('Communication preference updated', { 
         contactId, 
         optIn, 
-        method 
+        method,
+        purpose
       });
 
       return data;
@@ -54,13 +133,285 @@ class CommunicationPreferenceService {
     }
   }
 
+  async getContact(contactId) {
+    const { data, error } = await supabaseService.queryAsAdmin('contacts', (query) =>
+      query.select('id, account_id, tenant_id, name, phone, bulk_messaging_opt_in, transactional_opt_in')
+        .eq('id', contactId)
+        .single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  // ==================== CONSENT LEDGER ====================
+
+  /**
+   * Append a consent change to the ledger
+   * @param {Object} contact - Contact (id, account_id, tenant_id, phone)
+   * @param {Object} entry - { purpose, status, source, legalBasis, evidence, actorId, confirmsId }
+   * @returns {Promise<Object>} Ledger row
+   * @throws {Error} INVALID_PURPOSE | INVALID_SOURCE | INVALID_LEGAL_BASIS
+   */
+  async recordConsent(contact, entry) {
+    const legalBasis = entry.legalBasis || DEFAULT_LEGAL_BASIS[entry.purpose];
+
+    if (!CONSENT_PURPOSES.includes(entry.purpose)) throw new Error('INVALID_PURPOSE');
+    if (!CONSENT_SOURCES.includes(entry.source)) throw new Error('INVALID_SOURCE');
+    if (!LEGAL_BASES.includes(legalBasis)) throw new Error('INVALID_LEGAL_BASIS');
+
+    const { data, error } = await supabaseService.insert('contact_consents', {
+      tenant_id: contact.tenant_id,
+      account_id: contact.account_id,
+      contact_id: contact.id,
+      contact_phone: contact.phone || null,
+      purpose: entry.purpose,
+      status: entry.status,
+      source: entry.source,
+      legal_basis: legalBasis,
+      evidence: entry.evidence || {},
+      confirms_id: entry.confirmsId || null,
+      actor_id: entry.actorId || null
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Consent ledger of a contact, oldest first
+   * @param {string} accountId - Account UUID
+   * @param {string} contactId - Contact UUID
+   * @returns {Promise<Object[]>}
+   */
+  async getConsentHistory(accountId, contactId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('contact_consents', (query) =>
+        query.select('*')
+          .eq('account_id', accountId)
+          .eq('contact_id', contactId)
+          .order('created_at', { ascending: true })
+      );
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get consent history', { error: error.message, accountId, contactId });
+      throw error;
+    }
+  }
+
+  /**
+   * Export the consent history of a contact (data subject access, audits)
+   * @param {string} accountId - Account UUID
+   * @param {string} contactId - Contact UUID
+   * @param {string} [format='json'] - json | csv
+   * @returns {Promise<string>}
+   * @throws {Error} CONTACT_NOT_FOUND
+   */
+  async exportConsentHistory(accountId, contactId, format = 'json') {
+    const contact = await this.getContact(contactId);
+    if (!contact || contact.account_id !== accountId) throw new Error('CONTACT_NOT_FOUND');
+
+    const history = await this.getConsentHistory(accountId, contactId);
+
+    if (format === 'csv') {
+      return this.toCSV(history);
+    }
+
+    return JSON.stringify({
+      contact: { id: contact.id, name: contact.name, phone: contact.phone },
+      current: Object.fromEntries(
+        CONSENT_PURPOSES.map(purpose => [purpose, contact[PURPOSE_COLUMNS[purpose]] !== false])
+      ),
+      history,
+      exportedAt: new Date().toISOString()
+    }, null, 2);
+  }
+
+  toCSV(history) {
+    const headers = ['id', 'createdAt', 'purpose', 'status', 'source', 'legalBasis', 'evidence', 'confirmsId', 'actorId', 'contactPhone'];
+    const rows = history.map(entry => [
+      entry.id,
+      entry.created_at,
+      entry.purpose,
+      entry.status,
+      entry.source,
+      entry.legal_basis,
+      JSON.stringify(entry.evidence || {}),
+      entry.confirms_id || '',
+      entry.actor_id || '',
+      entry.contact_phone || ''
+    ]);
+
+    const escape = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    return [headers.join(','), ...rows.map(r => r.map(escape).join(','))].join('\n');
+  }
+
+  // ==================== DOUBLE OPT-IN ====================
+
+  /**
+   * Send a double opt-in confirmation; consent is granted by the reply
+   * @param {string} accountId - Account UUID
+   * @param {string} contactId - Contact UUID
+   * @param {Object} [options]
+   * @param {string} [options.purpose='marketing']
+   * @param {string} [options.source='agent'] - Where the request came from
+   * @param {string} [options.legalBasis]
+   * @param {Object} [options.evidence] - IP, form payload, ...
+   * @param {string} [options.actorId]
+   * @param {string} [options.inboxId] - Sending inbox (default: first inbox of the account)
+   * @returns {Promise<Object>} Pending ledger row
+   * @throws {Error} CONTACT_NOT_FOUND | INBOX_NOT_FOUND | CONTACT_WITHOUT_PHONE
+   */
+  async requestDoubleOptIn(accountId, contactId, options = {}) {
+    try {
+      const purpose = options.purpose || 'marketing';
+      if (!CONSENT_PURPOSES.includes(purpose)) throw new Error('INVALID_PURPOSE');
+
+      const contact = await this.getContact(contactId);
+      if (!contact || contact.account_id !== accountId) throw new Error('CONTACT_NOT_FOUND');
+      if (!contact.phone) throw new Error('CONTACT_WITHOUT_PHONE');
+
+      const inbox = await this.getSendingInbox(accountId, options.inboxId);
+      if (!inbox) throw new Error('INBOX_NOT_FOUND');
+
+      const result = await ProviderAdapterFactory.getAdapterForInbox(inbox).sendMessage(inbox, {
+        to: contact.phone,
+        text: CONFIRMATION_MESSAGES.request(contact.name, purpose)
+      });
+
+      const pending = await this.recordConsent(contact, {
+        purpose,
+        status: 'pending',
+        source: options.source || 'agent',
+        legalBasis: options.legalBasis,
+        evidence: {
+          ...options.evidence,
+          inboxId: inbox.id,
+          confirmationMessageId: result?.messageId || null
+        },
+        actorId: options.actorId
+      });
+
+      logger.info('Double opt-in requested', { accountId, contactId, purpose, consentId: pending.id });
+      return pending;
+    } catch (error) {
+      logger.error('Failed to request double opt-in', { error: error.message, accountId, contactId });
+      throw error;
+    }
+  }
+
+  async getSendingInbox(accountId, inboxId) {
+    const { data } = await supabaseService.queryAsAdmin('inboxes', (query) => {
+      let q = query.select('id, wuzapi_token, provider_type, provider_config').eq('account_id', accountId);
+      q = inboxId
+        ? q.eq('id', inboxId)
+        : q.order('created_at', { ascending: true });
+      return q.limit(1);
+    });
+
+    return data?.[0] || null;
+  }
+
+  /**
+   * Parse a reply to the double opt-in confirmation
+   * @param {string} content - Message text
+   * @returns {'confirm'|'decline'|null}
+   */
+  parseConfirmationReply(content) {
+    const text = String(content || '').trim().toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const firstWord = text.split(/[^a-z]+/).filter(Boolean)[0];
+    if (!firstWord) return null;
+
+    for (const [reply, words] of Object.entries(CONFIRMATION_REPLIES)) {
+      if (words.includes(firstWord)) return reply;
+    }
+    return null;
+  }
+
+  /**
+   * Latest pending confirmation of a contact that is still open: not
+   * expired and not followed by another change of the same purpose
+   * @returns {Promise<Object|null>}
+   */
+  async getPendingConfirmation(contactId, now = new Date()) {
+    const { data, error } = await supabaseService.queryAsAdmin('contact_consents', (query) =>
+      query.select('*')
+        .eq('contact_id', contactId)
+        .gte('created_at', new Date(now.getTime() - DOUBLE_OPT_IN_TTL_HOURS * 60 * 60 * 1000).toISOString())
+        .order('created_at', { ascending: false })
+        .limit(20)
+    );
+    if (error) throw error;
+
+    const seen = new Set();
+    for (const entry of data || []) {
+      if (seen.has(entry.purpose)) continue;
+      seen.add(entry.purpose);
+      if (entry.status === 'pending') return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Apply a contact reply to a pending double opt-in confirmation
+   * @param {Object} conversation - Conversation (account_id, inbox_id, contact_jid)
+   * @param {string} content - Message text
+   * @param {string} [messageId] - WhatsApp message id (evidence)
+   * @param {Date} [now]
+   * @returns {Promise<{handled: boolean, action?: string}>}
+   */
+  async handleIncomingMessage(conversation, content, messageId = null, now = new Date()) {
+    try {
+      if (!conversation?.account_id || !conversation.contact_jid) return { handled: false };
+
+      const action = this.parseConfirmationReply(content);
+      if (!action) return { handled: false };
+
+      const phone = conversation.contact_jid.replace('@s.whatsapp.net', '');
+      const { data: contacts } = await supabaseService.queryAsAdmin('contacts', (query) =>
+        query.select('id').eq('account_id', conversation.account_id).eq('phone', phone).limit(1)
+      );
+      const contact = contacts?.[0];
+      if (!contact) return { handled: false };
+
+      const pending = await this.getPendingConfirmation(contact.id, now);
+      if (!pending) return { handled: false };
+
+      await this.setOptIn(contact.id, action === 'confirm', pending.source, {
+        purpose: pending.purpose,
+        legalBasis: pending.legal_basis,
+        evidence: { messageId, message: content, conversationId: conversation.id },
+        confirmsId: pending.id
+      });
+
+      const inboxId = conversation.inbox_id || pending.evidence?.inboxId;
+      const inbox = inboxId ? await this.getSendingInbox(conversation.account_id, inboxId) : null;
+      if (inbox) {
+        await ProviderAdapterFactory.getAdapterForInbox(inbox).sendMessage(inbox, {
+          to: phone,
+          text: CONFIRMATION_MESSAGES[action]
+        });
+      }
+
+      logger.info('Double opt-in reply handled', { contactId: contact.id, purpose: pending.purpose, action });
+      return { handled: true, action };
+    } catch (error) {
+      logger.warn('Failed to handle double opt-in reply', { error: error.message, conversationId: conversation?.id });
+      return { handled: false };
+    }
+  }
+
   /**
    * Process a message for opt-out keywords
    * @param {string} contactId - Contact UUID
    * @param {string} message - Message content
+   * @param {Object} [evidence] - Message id, conversation id
    * @returns {Promise<{optedOut: boolean, keyword: string|null}>}
    */
-  async processOptOutKeyword(contactId, message) {
+  async processOptOutKeyword(contactId, message, evidence = {}) {
     try {
       if (!message) {
         return { optedOut: false, keyword: null };
@@ -75,7 +426,9 @@ class CommunicationPreferenceService {
       );
 
       if (foundKeyword) {
-        await this.setOptIn(contactId, false, 'keyword');
+        await this.setOptIn(contactId, false, 'keyword', {
+          evidence: { ...evidence, message, keyword: foundKeyword }
+        });
         
         logger.info('Contact opted out via keyword', { 
           contactId, 
@@ -129,9 +482,10 @@ class CommunicationPreferenceService {
   /**
    * Filter contact IDs to only include opted-in contacts
    * @param {string[]} contactIds - Contact UUIDs to filter
+   * @param {string} [purpose='marketing'] - Consent purpose
    * @returns {Promise<string[]>} Filtered contact IDs
    */
-  async filterOptedIn(contactIds) {
+  async filterOptedIn(contactIds, purpose = 'marketing') {
     try {
       if (!contactIds || contactIds.length === 0) {
         return [];
@@ -140,7 +494,7 @@ class CommunicationPreferenceService {
       const queryFn = (query) => query
         .select('id')
         .in('id', contactIds)
-        .eq('bulk_messaging_opt_in', true);
+        .eq(this.getPurposeColumn(purpose), true);
 
       const { data, error } = await supabaseService.queryAsAdmin('contacts', queryFn);
 
@@ -209,15 +563,16 @@ class CommunicationPreferenceService {
    * @param {string[]} contactIds - Contact UUIDs
    * @param {boolean} optIn - Opt-in status
    * @param {string} method - Method of change
+   * @param {Object} [options] - Purpose, legal basis, evidence and actor (see setOptIn)
    * @returns {Promise<{updated: number}>}
    */
-  async bulkSetOptIn(contactIds, optIn, method = 'manual') {
+  async bulkSetOptIn(contactIds, optIn, method = 'manual', options = {}) {
     try {
       let updated = 0;
 
       for (const contactId of contactIds) {
         try {
-          await this.setOptIn(contactId, optIn, method);
+          await this.setOptIn(contactId, optIn, method, options);
           updated++;
         } catch (error) {
           logger.warn('Failed to update opt-in for contact', { 
@@ -243,12 +598,14 @@ class CommunicationPreferenceService {
   /**
    * Check if a contact is opted in
    * @param {string} contactId - Contact UUID
+   * @param {string} [purpose='marketing'] - Consent purpose
    * @returns {Promise<boolean>}
    */
-  async isOptedIn(contactId) {
+  async isOptedIn(contactId, purpose = 'marketing') {
     try {
+      const column = this.getPurposeColumn(purpose);
       const queryFn = (query) => query
-        .select('bulk_messaging_opt_in')
+        .select(column)
         .eq('id', contactId)
         .single();
 
@@ -258,7 +615,7 @@ class CommunicationPreferenceService {
         return false;
       }
 
-      return data.bulk_messaging_opt_in === true;
+      return data[column] === true;
     } catch (error) {
       logger.error('Failed to check opt-in status', { error: error.message, contactId });
       return false;
@@ -291,9 +648,9 @@ class CommunicationPreferenceService {
   }
 
   /**
-   * Get contacts eligible for a campaign (opted-in and active)
+   * Get contacts eligible for a campaign (consent for the purpose and active)
    * @param {string} accountId - Account UUID
-   * @param {Object} options - Additional filters
+   * @param {Object} options - Additional filters (purpose defaults to marketing)
    * @returns {Promise<{data: Object[], total: number}>}
    */
   async getCampaignEligibleContacts(accountId, options = {}) {
@@ -303,16 +660,19 @@ class CommunicationPreferenceService {
         pageSize = 100,
         tagIds = null,
         segmentId = null,
-        includeInactive = false
+        includeInactive = false,
+        purpose = 'marketing'
       } = options;
 
+      const consentColumn = this.getPurposeColumn(purpose);
+
       const offset = (page - 1) * pageSize;
 
       const queryFn = (query) => {
         let q = query
           .select('id, name, phone', { count: 'exact' })
           .eq('account_id', accountId)
-          .eq('bulk_messaging_opt_in', true);
+          .eq(consentColumn, true);
 
         if (!includeInactive) {
           q = q.eq('is_active', true);
@@ -341,8 +701,22 @@ class CommunicationPreferenceService {
       throw error;
     }
   }
+
+  /**
+   * Contact column with the current consent of a purpose
+   * @param {string} purpose
+   * @returns {string}
+   * @throws {Error} INVALID_PURPOSE
+   */
+  getPurposeColumn(purpose) {
+    if (!CONSENT_PURPOSES.includes(purpose)) throw new Error('INVALID_PURPOSE');
+    return PURPOSE_COLUMNS[purpose];
+  }
 }
 
 module.exports = new CommunicationPreferenceService();
 module.exports.CommunicationPreferenceService = CommunicationPreferenceService;
 module.exports.OPT_OUT_KEYWORDS = OPT_OUT_KEYWORDS;
+module.exports.CONSENT_PURPOSES = CONSENT_PURPOSES;
+module.exports.CONSENT_SOURCES = CONSENT_SOURCES;
+module.exports.LEGAL_BASES = LEGAL_BASES;
@@ -1,5 +1,10 @@
 const { logger } = require('../utils/logger');
 const SupabaseService = require('./SupabaseService');
+const DatabaseConnectionService = require('./DatabaseConnectionService');
+const SQLConnectionService = require('./SQLConnectionService');
+
+// Linhas lidas por busca de contatos
+const MAX_CONTACTS = 1000;
 
 class ContactFetcherService {
     constructor() {
@@ -7,16 +12,13 @@ class ContactFetcherService {
     }
 
     /**
-     * Busca contatos de uma conexão de banco de dados externa
+     * Busca contatos da tabela configurada em uma conexão de banco de dados externa
+     * Consultas parametrizadas via SQLConnectionService: o cliente não envia SQL.
      * @param {string} connectionId - ID da conexão
      * @param {string} userToken - Token do usuário (para segurança)
-     * @param {string} query - Query SQL customizada (opcional)
      * @returns {Promise<Array>} Lista de contatos { phone, name, variables }
      */
-    async fetchContacts(connectionId, userToken, query = null) {
-        let connection = null;
-        let client = null;
-
+    async fetchContacts(connectionId, userToken) {
         try {
             // 1. Obter detalhes da conexão usando SupabaseService
             const { data: connections, error } = await SupabaseService.getMany(
@@ -33,66 +35,22 @@ class ContactFetcherService {
                 throw new Error('Conexão de banco de dados não encontrada');
             }
 
-            const dbConfig = connections[0];
-
-            // Decodificar senha (assumindo base64 simples por enquanto, ideal seria criptografia)
-            // Nota: Em produção real, usar criptografia forte
-            let password = dbConfig.password;
-            try {
-                // Tentar decodificar se parecer base64
-                if (password.length > 20 && !password.includes(' ')) {
-                    // Implementação simplificada, manter como está se falhar
-                }
-            } catch (e) { }
-
-            // 2. Conectar ao banco externo
-            if (dbConfig.type === 'mysql') {
-                const mysql = require('mysql2/promise');
-                connection = await mysql.createConnection({
-                    host: dbConfig.host,
-                    port: dbConfig.port,
-                    user: dbConfig.username,
-                    password: password,
-                    database: dbConfig.database
-                });
-            } else if (dbConfig.type === 'postgres') {
-                const { Client } = require('pg');
-                client = new Client({
-                    host: dbConfig.host,
-                    port: dbConfig.port,
-                    user: dbConfig.username,
-                    password: password,
-                    database: dbConfig.database,
-                    ssl: { rejectUnauthorized: false } // Comum para bancos em nuvem
-                });
-                await client.connect();
-            } else {
-                throw new Error(`Tipo de banco de dados não suportado: ${dbConfig.type}`);
-            }
-
-            // 3. Executar Query
-            // Se query não for fornecida, usar a query padrão da conexão (se existir) ou erro
-            // Por segurança, vamos exigir uma query explícita ou usar uma tabela padrão se implementado
-
-            // Para este MVP, vamos assumir que o usuário fornece a query ou seleciona uma tabela
-            // Vamos implementar uma query segura padrão se nada for passado
-            const sqlQuery = query || `SELECT * FROM ${dbConfig.table_name || 'contacts'} LIMIT 1000`;
+            // Senha armazenada criptografada pelo cofre de credenciais
+            const dbConfig = await DatabaseConnectionService.decryptSecrets(connections[0]);
 
-            // Validar query para evitar DROP/DELETE (básico)
-            if (/drop|delete|truncate|update|insert|alter/i.test(sqlQuery)) {
-                throw new Error('Apenas consultas SELECT são permitidas');
+            if (!SQLConnectionService.isSQLType(dbConfig.type)) {
+                throw new Error(`Tipo de banco de dados não suportado: ${dbConfig.type}`);
             }
 
-            let results;
-            if (dbConfig.type === 'mysql') {
-                const [rows] = await connection.execute(sqlQuery);
-                results = rows;
-            } else {
-                const res = await client.query(sqlQuery);
-                results = res.rows;
-            }
+            // 2. Ler a tabela configurada na conexão
+            const { data: results } = await SQLConnectionService.fetchRecords(dbConfig, {
+                table: dbConfig.table_name || 'contacts',
+                page: 1,
+                limit: MAX_CONTACTS,
+                ascending: true
+            });
 
-            // 4. Mapear resultados para formato padrão
+            // 3. Mapear resultados para formato padrão
             // Tentar identificar colunas automaticamente: phone/celular/telefone, name/nome
             const contacts = results.map(row => {
                 // Normalizar chaves para lowercase
@@ -128,9 +86,6 @@ class ContactFetcherService {
         } catch (error) {
             logger.error('Erro ao buscar contatos externos:', error);
             throw error;
-        } finally {
-            if (connection) await connection.end();
-            if (client) await client.end();
         }
     }
 }
@@ -9,6 +9,7 @@
 const { logger } = require('../utils/logger');
 const supabaseService = require('./SupabaseService');
 const LeadScoringService = require('./LeadScoringService');
+const DomainEventBus = require('./DomainEventBus');
 
 class ContactPurchaseService {
   /**
@@ -75,6 +76,24 @@ class ContactPurchaseService {
         amountCents: purchase.amount_cents 
       });
 
+      await DomainEventBus.publish('purchase.created', {
+        accountId: contact.account_id,
+        tenantId: contact.tenant_id
+      }, {
+        purchaseId: createdPurchase.id,
+        contactId,
+        purchase: {
+          id: createdPurchase.id,
+          externalId: purchase.external_id,
+          amountCents: purchase.amount_cents,
+          currency: purchase.currency,
+          productName: purchase.product_name,
+          status: purchase.status,
+          source: purchase.source,
+          purchasedAt: purchase.purchased_at
+        }
+      });
+
       return createdPurchase;
     } catch (error) {
       logger.error('Failed to create purchase', { error: error.message, contactId });
@@ -284,6 +303,16 @@ class ContactPurchaseService {
         contact = newContact;
 
         logger.info('Contact created from webhook', { contactId: contact.id });
+
+        await DomainEventBus.publish('contact.created', { accountId, tenantId }, {
+          contactId: contact.id,
+          contact: {
+            id: contact.id,
+            phone: contact.phone,
+            name: contact.name,
+            source: contact.source
+          }
+        });
       }
 
       // Create purchase
@@ -178,6 +178,12 @@ class ContactSegmentService {
       // Build and execute query based on conditions
       const matchingContactIds = await this.findMatchingContacts(segment.account_id, segment.conditions);
 
+      // Remember current members to detect contacts joining the segment
+      const { data: currentMembers } = await supabaseService.queryAsAdmin('contact_segment_members', (query) =>
+        query.select('contact_id').eq('segment_id', segmentId)
+      );
+      const currentMemberIds = new Set((currentMembers || []).map(m => m.contact_id));
+
       // Clear existing members
       const clearQueryFn = (query) => query
         .delete()
@@ -207,6 +213,13 @@ class ContactSegmentService {
         updated_at: new Date().toISOString()
       });
 
+      // Enroll contacts that joined the segment in sequences triggered by it
+      const joinedContactIds = matchingContactIds.filter(id => !currentMemberIds.has(id));
+      if (joinedContactIds.length > 0) {
+        const DripSequenceService = require('./DripSequenceService');
+        await DripSequenceService.enrollForTrigger(segment.account_id, 'segment', segmentId, joinedContactIds);
+      }
+
       logger.info('Segment evaluated', { segmentId, memberCount: matchingContactIds.length });
 
       return { memberCount: matchingContactIds.length };
@@ -432,6 +445,9 @@ class ContactSegmentService {
             segment_id: segment.id,
             contact_id: contactId
           });
+
+          const DripSequenceService = require('./DripSequenceService');
+          await DripSequenceService.enrollForTrigger(contact.account_id, 'segment', segment.id, [contactId]);
         } else if (!matches && existingMember) {
           // Remove from segment
           const deleteQueryFn = (query) => query
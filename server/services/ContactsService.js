@@ -9,6 +9,7 @@
 
 const { logger } = require('../utils/logger');
 const supabaseService = require('./SupabaseService');
+const DomainEventBus = require('./DomainEventBus');
 
 // Default pagination settings
 const DEFAULT_PAGE_SIZE = 50;
@@ -193,7 +194,13 @@ class ContactsService {
 
       logger.info('Contact created', { contactId: contact.id, accountId });
 
-      return this.formatContact(contact);
+      const formatted = this.formatContact(contact);
+      await DomainEventBus.publish('contact.created', { accountId, tenantId }, {
+        contactId: contact.id,
+        contact: formatted
+      });
+
+      return formatted;
     } catch (error) {
       logger.error('Failed to create contact', { error: error.message, accountId });
       throw error;
@@ -437,6 +444,7 @@ class ContactsService {
 
       // Step 4: Batch insert new contacts
       let imported = 0;
+      const importedIds = [];
       if (toInsert.length > 0) {
         // Insert in batches of 100 to avoid payload limits
         const BATCH_SIZE = 100;
@@ -458,6 +466,7 @@ class ContactsService {
             // Continue with next batch instead of failing completely
           } else {
             imported += (insertedData || []).length;
+            importedIds.push(...(insertedData || []).map(c => c.id));
           }
         }
       }
@@ -487,6 +496,11 @@ class ContactsService {
         }
       }
 
+      if (importedIds.length > 0) {
+        const DripSequenceService = require('./DripSequenceService');
+        await DripSequenceService.enrollForTrigger(accountId, 'import', null, importedIds);
+      }
+
       logger.info('WhatsApp import completed', { 
         accountId, 
         added: imported, 
@@ -652,6 +666,7 @@ class ContactsService {
   async addTagsToContacts(accountId, contactIds, tagIds) {
     try {
       let added = 0;
+      const taggedByTag = new Map();
 
       for (const contactId of contactIds) {
         // Verify contact belongs to account
@@ -675,6 +690,9 @@ class ContactsService {
                 tag_id: tagId
               });
               added++;
+
+              if (!taggedByTag.has(tagId)) taggedByTag.set(tagId, []);
+              taggedByTag.get(tagId).push(contactId);
             }
           } catch (tagError) {
             // Ignore duplicate errors
@@ -689,6 +707,14 @@ class ContactsService {
         }
       }
 
+      // Enroll newly tagged contacts in sequences triggered by the tag
+      if (taggedByTag.size > 0) {
+        const DripSequenceService = require('./DripSequenceService');
+        for (const [tagId, taggedContactIds] of taggedByTag) {
+          await DripSequenceService.enrollForTrigger(accountId, 'tag', tagId, taggedContactIds);
+        }
+      }
+
       logger.info('Tags added to contacts', { added, accountId });
 
       return { added };
@@ -1461,6 +1487,7 @@ class ContactsService {
 
       // Step 6: Batch insert new contacts
       let added = 0;
+      const importedIds = [];
       if (toInsert.length > 0) {
         const BATCH_SIZE = 100;
         for (let i = 0; i < toInsert.length; i += BATCH_SIZE) {
@@ -1480,6 +1507,7 @@ class ContactsService {
             });
           } else {
             added += (insertedData || []).length;
+            importedIds.push(...(insertedData || []).map(c => c.id));
           }
         }
       }
@@ -1502,6 +1530,11 @@ class ContactsService {
         }
       }
 
+      if (importedIds.length > 0) {
+        const DripSequenceService = require('./DripSequenceService');
+        await DripSequenceService.enrollForTrigger(accountId, 'import', null, importedIds);
+      }
+
       logger.info('Inbox import completed', { 
         accountId, 
         inboxId,
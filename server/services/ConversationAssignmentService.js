@@ -2,7 +2,8 @@
  * ConversationAssignmentService
  * 
  * Handles automatic and manual conversation assignment to agents.
- * Implements round-robin distribution, pickup, transfer, and release operations.
+ * Implements routing rules (skills, teams, sticky agent, overflow) with
+ * round-robin fallback, pickup, transfer, and release operations.
  * 
  * Requirements: 1.1, 1.2, 1.3, 2.3, 5.1, 5.2, 5.3, 6.1, 6.2, 6.3, 7.4
  * 
@@ -11,6 +12,10 @@
 
 const { logger } = require('../utils/logger');
 const SupabaseService = require('./SupabaseService');
+const BusinessHoursService = require('./BusinessHoursService');
+const RoutingRuleService = require('./RoutingRuleService');
+const { ROUTING_REASONS } = require('./RoutingRuleService');
+const DomainEventBus = require('./DomainEventBus');
 
 class ConversationAssignmentService {
   constructor() {
@@ -66,7 +71,7 @@ class ConversationAssignmentService {
       
       // Get active online agents
       const { data: agents, error: agentsError } = await SupabaseService.queryAsAdmin('agents', (query) =>
-        query.select('id, name, availability')
+        query.select('id, name, availability, skills')
           .in('id', agentIds)
           .eq('availability', 'online')
           .eq('status', 'active')
@@ -102,17 +107,33 @@ class ConversationAssignmentService {
   }
 
   /**
-   * Get next agent for round-robin assignment
+   * Get next agent for assignment
    * @param {string} inboxId - Inbox ID
+   * @param {Object} [options]
+   * @param {string} [options.excludeAgentId] - Agent to skip (e.g. SLA escalation)
+   * @param {string} [options.conversationId] - Conversation being routed (enables routing rules)
    * @returns {Promise<string|null>} Agent ID or null if no agents available
    * 
    * Requirements: 1.2
    */
-  async getNextAvailableAgent(inboxId) {
+  async getNextAvailableAgent(inboxId, options = {}) {
+    const decision = await this.selectAgent(inboxId, options);
+    return decision?.agentId || null;
+  }
+
+  /**
+   * Choose an agent and the reason it was chosen: the account routing rules
+   * first, round-robin among the inbox agents when no rule matches
+   * @param {string} inboxId - Inbox ID
+   * @param {Object} [options] - Same as getNextAvailableAgent
+   * @returns {Promise<Object|null>} { agentId, reason, ruleId, teamId } or null when
+   *   auto-assignment is disabled or nobody is available
+   */
+  async selectAgent(inboxId, options = {}) {
     try {
       // Get inbox configuration
       const { data: inbox, error: inboxError } = await SupabaseService.queryAsAdmin('inboxes', (query) =>
-        query.select('id, enable_auto_assignment, max_conversations_per_agent, last_assigned_agent_id')
+        query.select('id, account_id, enable_auto_assignment, max_conversations_per_agent, last_assigned_agent_id')
           .eq('id', inboxId)
           .single()
       );
@@ -129,31 +150,31 @@ class ConversationAssignmentService {
       }
       
       // Get available agents
-      const availableAgents = await this.getAvailableAgents(
+      const availableAgents = (await this.getAvailableAgents(
         inboxId, 
         inbox.max_conversations_per_agent
-      );
+      )).filter(agent => agent.id !== options.excludeAgentId);
+      
+      // Routing rules decide first (also when nobody is available, so the
+      // conversation is not handed to an agent outside the rule)
+      const routed = await RoutingRuleService.route({
+        accountId: inbox.account_id,
+        inboxId,
+        conversationId: options.conversationId,
+        agents: availableAgents
+      });
+      
+      if (routed) {
+        logger.debug('Agent selected by routing rule', { inboxId, ...routed });
+        return routed;
+      }
       
       if (availableAgents.length === 0) {
         logger.debug('No available agents for inbox', { inboxId });
         return null;
       }
       
-      // Round-robin: find next agent after last assigned
-      let nextAgent = null;
-      const lastAssignedId = inbox.last_assigned_agent_id;
-      
-      if (lastAssignedId) {
-        const lastIndex = availableAgents.findIndex(a => a.id === lastAssignedId);
-        
-        if (lastIndex >= 0 && lastIndex < availableAgents.length - 1) {
-          nextAgent = availableAgents[lastIndex + 1];
-        } else {
-          nextAgent = availableAgents[0];
-        }
-      } else {
-        nextAgent = availableAgents[0];
-      }
+      const nextAgent = this.pickRoundRobin(availableAgents, inbox.last_assigned_agent_id);
       
       logger.debug('Next available agent selected', { 
         inboxId, 
@@ -161,7 +182,7 @@ class ConversationAssignmentService {
         agentName: nextAgent.name
       });
       
-      return nextAgent.id;
+      return { agentId: nextAgent.id, reason: ROUTING_REASONS.ROUND_ROBIN };
     } catch (error) {
       logger.error('Failed to get next available agent', { 
         inboxId, 
@@ -171,22 +192,67 @@ class ConversationAssignmentService {
     }
   }
 
+  /**
+   * Round-robin: next agent after the last assigned one
+   * @param {Array} availableAgents - Agents ordered by name
+   * @param {string|null} lastAssignedId - Last agent assigned in the inbox
+   * @returns {Object} Agent
+   */
+  pickRoundRobin(availableAgents, lastAssignedId) {
+    if (lastAssignedId) {
+      const lastIndex = availableAgents.findIndex(a => a.id === lastAssignedId);
+      
+      if (lastIndex >= 0 && lastIndex < availableAgents.length - 1) {
+        return availableAgents[lastIndex + 1];
+      }
+    }
+    
+    return availableAgents[0];
+  }
+
   /**
    * Auto-assign a conversation to an available agent
    * @param {string} inboxId - Inbox ID
    * @param {number} conversationId - Conversation ID
-   * @returns {Promise<string|null>} Assigned agent ID or null
+   * @param {Object} [options]
+   * @param {string} [options.excludeAgentId] - Agent to skip (e.g. SLA escalation)
+   * @param {string} [options.action] - Audit action (defaults to 'auto_assign')
+   * @returns {Promise<string|null>} Assigned agent ID or null (also while the inbox is closed)
    * 
    * Requirements: 1.1, 1.2, 1.3
    */
-  async autoAssign(inboxId, conversationId) {
+  async autoAssign(inboxId, conversationId, options = {}) {
     try {
-      const agentId = await this.getNextAvailableAgent(inboxId);
+      // Outside business hours the conversation waits for the inbox to reopen
+      const hours = await BusinessHoursService.getInboxStatus(inboxId);
+      if (!hours.open) {
+        await BusinessHoursService.deferUntilOpen(conversationId, hours.reopensAt);
+        logger.info('Auto-assignment deferred until business hours', { 
+          inboxId, 
+          conversationId, 
+          reopensAt: hours.reopensAt 
+        });
+        return null;
+      }
+
+      const decision = await this.selectAgent(inboxId, { ...options, conversationId });
+      const agentId = decision?.agentId || null;
       
       if (!agentId) {
+        // A matching rule without capacity is still a routing decision
+        if (decision) {
+          await this.logAssignmentAction(
+            conversationId,
+            options.excludeAgentId || null,
+            null,
+            options.action || 'auto_assign',
+            this.toRoutingDetails(decision)
+          );
+        }
         logger.info('No agent available for auto-assignment', { 
           inboxId, 
-          conversationId 
+          conversationId,
+          reason: decision?.reason
         });
         return null;
       }
@@ -202,12 +268,20 @@ class ConversationAssignmentService {
       );
       
       // Log assignment for audit
-      await this.logAssignmentAction(conversationId, null, agentId, 'auto_assign');
+      await this.logAssignmentAction(
+        conversationId,
+        options.excludeAgentId || null,
+        agentId,
+        options.action || 'auto_assign',
+        this.toRoutingDetails(decision)
+      );
+      await this.publishAssignment(conversationId, agentId, options.action || 'auto_assign', decision.reason);
       
       logger.info('Conversation auto-assigned', { 
         conversationId, 
         agentId, 
-        inboxId 
+        inboxId,
+        reason: decision.reason
       });
       
       return agentId;
@@ -249,6 +323,7 @@ class ConversationAssignmentService {
       
       // Log pickup action
       await this.logAssignmentAction(conversationId, null, agentId, 'pickup');
+      await this.publishAssignment(conversationId, agentId, 'pickup');
       
       logger.info('Conversation picked up', { conversationId, agentId });
       return true;
@@ -279,6 +354,7 @@ class ConversationAssignmentService {
       
       // Log transfer action
       await this.logAssignmentAction(conversationId, sourceAgentId, targetAgentId, 'transfer');
+      await this.publishAssignment(conversationId, targetAgentId, 'transfer');
       
       logger.info('Conversation transferred', { 
         conversationId, 
@@ -341,6 +417,7 @@ class ConversationAssignmentService {
       
       // Log manual assignment
       await this.logAssignmentAction(conversationId, assignerId, targetAgentId, 'manual_assign');
+      await this.publishAssignment(conversationId, targetAgentId, 'manual_assign');
       
       logger.info('Conversation manually assigned', { 
         conversationId, 
@@ -364,15 +441,18 @@ class ConversationAssignmentService {
    * @param {string|null} fromAgentId - Source agent ID
    * @param {string|null} toAgentId - Target agent ID
    * @param {string} action - Action type (auto_assign, pickup, transfer, release, manual_assign)
+   * @param {Object} [details] - Routing decision (reason, rule_id, team_id) stored with the new value
    */
-  async logAssignmentAction(conversationId, fromAgentId, toAgentId, action) {
+  async logAssignmentAction(conversationId, fromAgentId, toAgentId, action, details = null) {
     try {
+      const newValue = toAgentId || details ? { agent_id: toAgentId, ...details } : null;
+
       await SupabaseService.insert('audit_log', {
         entity_type: 'conversation_assignment',
         entity_id: conversationId.toString(),
         action,
         old_value: fromAgentId ? JSON.stringify({ agent_id: fromAgentId }) : null,
-        new_value: toAgentId ? JSON.stringify({ agent_id: toAgentId }) : null
+        new_value: newValue ? JSON.stringify(newValue) : null
       });
     } catch (error) {
       // Don't fail the main operation if audit logging fails
@@ -384,6 +464,37 @@ class ConversationAssignmentService {
     }
   }
 
+  /**
+   * Publish conversation.assigned (webhooks and websocket consume it)
+   * @param {number} conversationId - Conversation ID
+   * @param {string} agentId - Agent the conversation is now assigned to
+   * @param {string} action - auto_assign | pickup | transfer | manual_assign | ...
+   * @param {string} [reason] - Routing reason of automatic assignments
+   * @returns {Promise<void>}
+   */
+  async publishAssignment(conversationId, agentId, action, reason = null) {
+    await DomainEventBus.publish('conversation.assigned', { conversationId }, {
+      conversationId,
+      agentId,
+      action,
+      reason
+    });
+  }
+
+  /**
+   * Audit fields of a routing decision
+   * @param {Object} decision - Result of selectAgent
+   * @returns {Object}
+   */
+  toRoutingDetails(decision) {
+    return {
+      reason: decision.reason,
+      rule_id: decision.ruleId || null,
+      rule_name: decision.ruleName || null,
+      team_id: decision.teamId || null
+    };
+  }
+
   /**
    * Check if agent has access to conversation (is member of inbox)
    * @param {string} agentId - Agent ID
@@ -0,0 +1,521 @@
+/**
+ * ConversationExportService - Conversation transcript export
+ *
+ * Builds the full transcript of a conversation (messages, media links,
+ * internal notes, current labels, label history and transfer history) and
+ * renders it as JSON, HTML or a printable PDF for disputes and audits.
+ *
+ * Small conversations are rendered in the request. Conversations above
+ * INLINE_MESSAGE_LIMIT are rendered by the report worker and stored in S3
+ * when both the queue and S3 are available.
+ *
+ * Every lookup is filtered by the caller's account ID, so a transcript can
+ * only be exported from the account that owns the conversation.
+ *
+ * Requirements: Conversation transcript export
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { createPdf } = require('../utils/pdfWriter');
+const supabaseService = require('./SupabaseService');
+const ChatService = require('./ChatService');
+const { s3Service } = require('./S3Service');
+const { addTranscriptExportJob, getReportJobStatus } = require('../queues/reportQueue');
+
+const EXPORT_FORMATS = {
+  JSON: 'json',
+  HTML: 'html',
+  PDF: 'pdf'
+};
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// Conversations with more messages than this are exported in the background
+const INLINE_MESSAGE_LIMIT = 500;
+
+// Messages fetched per query while building a transcript
+const MESSAGE_PAGE_SIZE = 1000;
+
+// Lifetime of the download link of a queued export (seconds)
+const DOWNLOAD_URL_TTL = 3600;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for HTML output
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+class ConversationExportService {
+  constructor() {
+    this.chatService = new ChatService();
+  }
+
+  /**
+   * Export a conversation, inline or through the report queue
+   * @param {string} accountId - Account ID (UUID) of the caller
+   * @param {string} conversationId - Conversation ID (UUID)
+   * @param {Object} [options]
+   * @param {string} [options.format='json'] - json, html or pdf
+   * @param {string} [options.timezone='UTC'] - Timezone for printed timestamps
+   * @returns {Promise<Object>} { queued: true, exportId } or { queued: false, transcript, file }
+   */
+  async exportConversation(accountId, conversationId, options = {}) {
+    const format = options.format || EXPORT_FORMATS.JSON;
+    const timezone = this.resolveTimezone(options.timezone);
+
+    if (!Object.values(EXPORT_FORMATS).includes(format)) {
+      throw new Error('INVALID_FORMAT');
+    }
+
+    await this.getConversation(accountId, conversationId);
+
+    const { count } = await supabaseService.count('chat_messages', { conversation_id: conversationId });
+
+    if ((count || 0) > INLINE_MESSAGE_LIMIT && s3Service.isEnabled()) {
+      const exportId = crypto.randomUUID();
+      const job = await addTranscriptExportJob({ exportId, accountId, conversationId, format, timezone });
+
+      if (job) {
+        return { queued: true, exportId, format, messageCount: count };
+      }
+      // Queue unavailable: fall through and render in the request
+    }
+
+    const transcript = await this.buildTranscript(accountId, conversationId);
+
+    return {
+      queued: false,
+      transcript,
+      file: this.render(transcript, format, { timezone })
+    };
+  }
+
+  /**
+   * Render a queued export and store it in S3 (called by the report worker)
+   * @param {Object} data - Job data ({ exportId, accountId, conversationId, format, timezone })
+   * @param {Function} [onProgress] - Called with a 0-100 progress value
+   * @returns {Promise<Object>} { exportId, key, format, messageCount }
+   */
+  async generateExportFile(data, onProgress = async () => {}) {
+    const { exportId, accountId, conversationId, format, timezone } = data;
+
+    const transcript = await this.buildTranscript(accountId, conversationId);
+    await onProgress(60);
+
+    const file = this.render(transcript, format, { timezone });
+    await onProgress(80);
+
+    const uploaded = await s3Service.upload({
+      body: file.body,
+      key: `exports/transcripts/${accountId}/${exportId}.${format}`,
+      originalName: file.filename,
+      contentType: file.contentType,
+      userId: accountId,
+      metadata: { 'conversation-id': conversationId }
+    });
+
+    return {
+      exportId,
+      conversationId,
+      format,
+      key: uploaded.key,
+      filename: file.filename,
+      messageCount: transcript.messages.length,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the status of a queued export, with a download link once it is ready
+   * @param {string} accountId - Account ID (UUID) of the caller
+   * @param {string} conversationId - Conversation ID (UUID)
+   * @param {string} exportId - Export ID returned when the export was queued
+   * @returns {Promise<Object|null>} Status or null when not found for this account
+   */
+  async getExportStatus(accountId, conversationId, exportId) {
+    const status = await getReportJobStatus(exportId, 'export-transcript');
+
+    if (!status || status.data.accountId !== accountId || status.data.conversationId !== conversationId) {
+      return null;
+    }
+
+    const result = {
+      exportId,
+      format: status.data.format,
+      state: status.state,
+      progress: status.progress,
+      failedReason: status.failedReason || null,
+      downloadUrl: null,
+      expiresIn: null
+    };
+
+    if (status.state === 'completed' && status.result?.key && s3Service.isEnabled()) {
+      result.downloadUrl = await s3Service.getDownloadUrl(status.result.key, DOWNLOAD_URL_TTL);
+      result.expiresIn = DOWNLOAD_URL_TTL;
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a conversation of the account with its inbox
+   * @param {string} accountId
+   * @param {string} conversationId
+   * @returns {Promise<Object>} Conversation row
+   */
+  async getConversation(accountId, conversationId) {
+    const { data, error } = await supabaseService.queryAsAdmin('conversations', (query) =>
+      query.select('*, inboxes(id, name, phone_number)')
+        .eq('id', conversationId)
+        .eq('account_id', accountId)
+        .single()
+    );
+
+    if (error || !data) {
+      throw new Error('Conversation not found or unauthorized');
+    }
+
+    return data;
+  }
+
+  /**
+   * Get every message of a conversation in chronological order
+   * Internal notes are included and flagged with isPrivateNote
+   * @param {string} conversationId
+   * @returns {Promise<Array>} Formatted messages
+   */
+  async getAllMessages(conversationId) {
+    const messages = [];
+
+    for (let from = 0; ; from += MESSAGE_PAGE_SIZE) {
+      const { data, error } = await supabaseService.queryAsAdmin('chat_messages', (query) =>
+        query.select(`
+          *,
+          agents!chat_messages_sender_agent_id_fkey(id, name, avatar_url),
+          agent_bots!chat_messages_sender_bot_id_fkey(id, name, avatar_url)
+        `)
+        .eq('conversation_id', conversationId)
+        .order('timestamp', { ascending: true })
+        .range(from, from + MESSAGE_PAGE_SIZE - 1)
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      const rows = data || [];
+      messages.push(...rows.map(row => this.chatService.formatMessage(row)));
+
+      if (rows.length < MESSAGE_PAGE_SIZE) {
+        return messages;
+      }
+    }
+  }
+
+  /**
+   * Build the transcript of a conversation
+   * @param {string} accountId - Account ID (UUID) of the caller
+   * @param {string} conversationId - Conversation ID (UUID)
+   * @returns {Promise<Object>} Transcript
+   */
+  async buildTranscript(accountId, conversationId) {
+    const row = await this.getConversation(accountId, conversationId);
+
+    const [messages, labels, labelHistory, transfers] = await Promise.all([
+      this.getAllMessages(conversationId),
+      this.chatService.getConversationLabels(conversationId),
+      this.chatService.getLabelHistory(accountId, conversationId),
+      this.chatService.getTransferHistory(accountId, conversationId)
+    ]);
+
+    logger.info('Conversation transcript built', { conversationId, messages: messages.length });
+
+    return {
+      exportedAt: new Date().toISOString(),
+      conversation: {
+        ...this.chatService.formatConversation(row),
+        inbox: row.inboxes ? { id: row.inboxes.id, name: row.inboxes.name, phoneNumber: row.inboxes.phone_number } : null
+      },
+      labels,
+      labelHistory,
+      // getTransferHistory returns the newest first
+      transfers: [...transfers].reverse(),
+      messages
+    };
+  }
+
+  /**
+   * Validate a timezone name, defaulting to UTC
+   * @param {string} [timezone]
+   * @returns {string}
+   */
+  resolveTimezone(timezone) {
+    if (!timezone) {
+      return 'UTC';
+    }
+    try {
+      new Intl.DateTimeFormat('pt-BR', { timeZone: timezone });
+      return timezone;
+    } catch {
+      throw new Error('INVALID_TIMEZONE');
+    }
+  }
+
+  /**
+   * Format a timestamp for the printed transcript ("dd/mm/aaaa hh:mm:ss")
+   * @param {string} value - ISO timestamp
+   * @param {string} timezone
+   * @returns {string}
+   */
+  formatTimestamp(value, timezone = 'UTC') {
+    if (!value) {
+      return '';
+    }
+    return new Intl.DateTimeFormat('pt-BR', {
+      timeZone: timezone,
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false
+    }).format(new Date(value));
+  }
+
+  /**
+   * Name shown as the author of a message
+   * @param {Object} message - Formatted message
+   * @param {Object} conversation - Formatted conversation
+   * @returns {string}
+   */
+  getSenderName(message, conversation) {
+    if (message.direction === 'incoming') {
+      return conversation.contactName || (conversation.contactJid || '').split('@')[0] || 'Contato';
+    }
+    if (message.senderAgent) {
+      return message.senderAgent.name;
+    }
+    if (message.senderBot) {
+      return `${message.senderBot.name} (bot)`;
+    }
+    return 'Atendimento';
+  }
+
+  /**
+   * Text body of a message, describing media without a caption
+   * @param {Object} message - Formatted message
+   * @returns {string}
+   */
+  getMessageText(message) {
+    if (message.content) {
+      return message.content;
+    }
+    if (message.mediaUrl || message.messageType !== 'text') {
+      return `[${message.messageType || 'media'}${message.mediaFilename ? `: ${message.mediaFilename}` : ''}]`;
+    }
+    return '';
+  }
+
+  /**
+   * Human readable label history and transfer lines
+   * @param {Object} transcript
+   * @param {string} timezone
+   * @returns {{labels: string[], transfers: string[]}}
+   */
+  describeEvents(transcript, timezone) {
+    const labels = transcript.labelHistory.map(event => {
+      const action = event.action === 'added' ? 'adicionada' : 'removida';
+      const by = event.performedBy ? ` por ${event.performedBy.name}` : '';
+      return `${this.formatTimestamp(event.createdAt, timezone)} - Etiqueta "${event.labelName || event.labelId}" ${action}${by}`;
+    });
+
+    const transfers = transcript.transfers.map(transfer => {
+      const from = transfer.fromInbox?.name || 'caixa removida';
+      const to = transfer.toInbox?.name || 'caixa removida';
+      const by = transfer.transferredBy ? ` por ${transfer.transferredBy.name}` : '';
+      const reason = transfer.reason ? ` (motivo: ${transfer.reason})` : '';
+      return `${this.formatTimestamp(transfer.transferredAt, timezone)} - ${from} -> ${to}${by}${reason}`;
+    });
+
+    return { labels, transfers };
+  }
+
+  /**
+   * Render a transcript in the requested format
+   * @param {Object} transcript
+   * @param {string} format - json, html or pdf
+   * @param {Object} [options]
+   * @param {string} [options.timezone]
+   * @returns {{body: Buffer|string, contentType: string, filename: string}}
+   */
+  render(transcript, format, options = {}) {
+    const timezone = options.timezone || 'UTC';
+    let body;
+
+    if (format === EXPORT_FORMATS.PDF) {
+      body = this.renderPdf(transcript, timezone);
+    } else if (format === EXPORT_FORMATS.HTML) {
+      body = this.renderHtml(transcript, timezone);
+    } else {
+      body = this.renderJson(transcript);
+    }
+
+    return {
+      body,
+      contentType: CONTENT_TYPES[format] || CONTENT_TYPES.json,
+      filename: `conversa-${transcript.conversation.id}.${format}`
+    };
+  }
+
+  /**
+   * @param {Object} transcript
+   * @returns {string}
+   */
+  renderJson(transcript) {
+    return JSON.stringify(transcript, null, 2);
+  }
+
+  /**
+   * Render a standalone, printable HTML document
+   * @param {Object} transcript
+   * @param {string} timezone
+   * @returns {string}
+   */
+  renderHtml(transcript, timezone) {
+    const { conversation } = transcript;
+    const events = this.describeEvents(transcript, timezone);
+    const title = `Conversa com ${this.getSenderName({ direction: 'incoming' }, conversation)}`;
+
+    const messages = transcript.messages.map(message => {
+      const classes = ['message', message.direction === 'incoming' ? 'incoming' : 'outgoing'];
+      if (message.isPrivateNote) classes.push('note');
+
+      const media = message.mediaUrl
+        ? `<div class="media"><a href="${escapeHtml(message.mediaUrl)}">${escapeHtml(message.mediaFilename || message.mediaUrl)}</a>${message.mediaMimeType ? ` (${escapeHtml(message.mediaMimeType)})` : ''}</div>`
+        : '';
+
+      return `<div class="${classes.join(' ')}">
+  <div class="meta">${escapeHtml(this.getSenderName(message, conversation))}${message.isPrivateNote ? ' · <strong>Nota interna</strong>' : ''} · ${escapeHtml(this.formatTimestamp(message.timestamp, timezone))}</div>
+  <div class="content">${escapeHtml(this.getMessageText(message))}</div>${media}
+</div>`;
+    });
+
+    const list = (items) => (items.length
+      ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+      : '<p class="empty">Nenhum registro.</p>');
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #111; max-width: 800px; margin: 24px auto; font-size: 13px; }
+  h1 { font-size: 20px; } h2 { font-size: 15px; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 24px; }
+  dl { display: grid; grid-template-columns: 160px 1fr; gap: 4px 8px; } dt { color: #555; } dd { margin: 0; }
+  .message { border-left: 3px solid #2563eb; padding: 6px 10px; margin: 8px 0; page-break-inside: avoid; }
+  .message.incoming { border-left-color: #16a34a; }
+  .message.note { border-left-color: #d97706; background: #fffbeb; }
+  .meta { color: #555; font-size: 11px; margin-bottom: 2px; }
+  .content { white-space: pre-wrap; word-wrap: break-word; }
+  .media a { word-break: break-all; }
+  .empty { color: #777; }
+  @media print { body { margin: 0; } a { color: #111; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<dl>
+  <dt>Conversa</dt><dd>${escapeHtml(conversation.id)}</dd>
+  <dt>Contato</dt><dd>${escapeHtml(conversation.contactJid)}</dd>
+  <dt>Caixa de entrada</dt><dd>${escapeHtml(conversation.inbox?.name || '-')}</dd>
+  <dt>Status</dt><dd>${escapeHtml(conversation.status)}</dd>
+  <dt>Etiquetas</dt><dd>${escapeHtml(transcript.labels.map(label => label.name || label.title).join(', ') || '-')}</dd>
+  <dt>Criada em</dt><dd>${escapeHtml(this.formatTimestamp(conversation.createdAt, timezone))}</dd>
+  <dt>Exportada em</dt><dd>${escapeHtml(this.formatTimestamp(transcript.exportedAt, timezone))} (${escapeHtml(timezone)})</dd>
+</dl>
+<h2>Mensagens (${transcript.messages.length})</h2>
+${messages.join('\n') || '<p class="empty">Nenhuma mensagem.</p>'}
+<h2>Histórico de etiquetas</h2>
+${list(events.labels)}
+<h2>Transferências</h2>
+${list(events.transfers)}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Render a printable PDF document
+   * @param {Object} transcript
+   * @param {string} timezone
+   * @returns {Buffer}
+   */
+  renderPdf(transcript, timezone) {
+    const { conversation } = transcript;
+    const events = this.describeEvents(transcript, timezone);
+    const title = `Conversa com ${this.getSenderName({ direction: 'incoming' }, conversation)}`;
+    const gray = [85, 85, 85];
+
+    const blocks = [
+      { text: title, bold: true, size: 16 },
+      { text: `Conversa: ${conversation.id}`, spaceBefore: 6, color: gray },
+      { text: `Contato: ${conversation.contactJid || '-'}`, color: gray },
+      { text: `Caixa de entrada: ${conversation.inbox?.name || '-'}`, color: gray },
+      { text: `Status: ${conversation.status || '-'}`, color: gray },
+      { text: `Etiquetas: ${transcript.labels.map(label => label.name || label.title).join(', ') || '-'}`, color: gray },
+      { text: `Criada em: ${this.formatTimestamp(conversation.createdAt, timezone)}`, color: gray },
+      { text: `Exportada em: ${this.formatTimestamp(transcript.exportedAt, timezone)} (${timezone})`, color: gray },
+      { text: `Mensagens (${transcript.messages.length})`, bold: true, size: 12, spaceBefore: 14 }
+    ];
+
+    for (const message of transcript.messages) {
+      const note = message.isPrivateNote ? ' - NOTA INTERNA' : '';
+      blocks.push({
+        text: `${this.getSenderName(message, conversation)}${note} - ${this.formatTimestamp(message.timestamp, timezone)}`,
+        bold: true,
+        size: 9,
+        spaceBefore: 6,
+        color: message.isPrivateNote ? [180, 83, 9] : gray
+      });
+      blocks.push({ text: this.getMessageText(message), indent: 10 });
+      if (message.mediaUrl) {
+        blocks.push({ text: `Mídia: ${message.mediaUrl}`, indent: 10, size: 8, color: [37, 99, 235] });
+      }
+    }
+
+    blocks.push({ text: 'Histórico de etiquetas', bold: true, size: 12, spaceBefore: 14 });
+    for (const line of events.labels.length ? events.labels : ['Nenhum registro.']) {
+      blocks.push({ text: line, size: 9 });
+    }
+
+    blocks.push({ text: 'Transferências', bold: true, size: 12, spaceBefore: 14 });
+    for (const line of events.transfers.length ? events.transfers : ['Nenhum registro.']) {
+      blocks.push({ text: line, size: 9 });
+    }
+
+    return createPdf(blocks, { title });
+  }
+}
+
+module.exports = new ConversationExportService();
+module.exports.ConversationExportService = ConversationExportService;
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.INLINE_MESSAGE_LIMIT = INLINE_MESSAGE_LIMIT;
@@ -0,0 +1,513 @@
+/**
+ * CredentialVaultService - Envelope encryption for stored secrets
+ *
+ * Every stored secret (external database passwords, NocoDB tokens, Supabase
+ * keys, WUZAPI admin tokens, Stripe keys, bot access tokens) is encrypted with
+ * a per-tenant data key (AES-256-GCM). Data keys are stored in vault_data_keys
+ * wrapped by the master key from the environment, so rotating the master key
+ * only rewraps data keys and rotating a data key only touches one tenant.
+ *
+ * Secrets without a tenant (platform settings) use the platform data key.
+ *
+ * Ciphertext format: vault:v1:<dataKeyId>:<iv>:<authTag>:<ciphertext> (base64)
+ *
+ * Environment:
+ * - CREDENTIAL_VAULT_MASTER_KEY: current master key (32 bytes, base64)
+ * - CREDENTIAL_VAULT_MASTER_KEY_ID: id of the current master key (default: primary)
+ * - CREDENTIAL_VAULT_PREVIOUS_MASTER_KEYS: retired master keys still able to
+ *   unwrap data keys until rotateMasterKey runs ("id:base64,id:base64")
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const SupabaseService = require('./SupabaseService');
+const { MASK } = require('../utils/credentialSanitizer');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const VAULT_PREFIX = 'vault:v1:';
+const PLATFORM_SCOPE = 'platform';
+const DEFAULT_MASTER_KEY_ID = 'primary';
+const DERIVED_MASTER_KEY_ID = 'derived-session-secret';
+// Other instances pick up a rotated data key within this window
+const ACTIVE_KEY_CACHE_TTL_MS = 5 * 60 * 1000;
+
+class CredentialVaultService {
+  constructor() {
+    this.masterKeys = null;
+    // dataKeyId -> { key, tenantId }
+    this.dataKeys = new Map();
+    // scope (tenantId or 'platform') -> { id, expiresAt } of the active data key
+    this.activeKeyIds = new Map();
+    // accountId/owner -> tenantId
+    this.tenantCache = new Map();
+  }
+
+  // ==================== Master keys ====================
+
+  /**
+   * Parse the master keys from the environment
+   * @param {Object} [env] - Environment variables
+   * @returns {{ currentId: string, keys: Map<string, Buffer> }}
+   */
+  loadMasterKeys(env = process.env) {
+    const keys = new Map();
+    let currentId = env.CREDENTIAL_VAULT_MASTER_KEY_ID || DEFAULT_MASTER_KEY_ID;
+
+    if (env.CREDENTIAL_VAULT_MASTER_KEY) {
+      keys.set(currentId, this.parseMasterKey(env.CREDENTIAL_VAULT_MASTER_KEY, currentId));
+    } else {
+      if (env.NODE_ENV === 'production') {
+        throw new Error('VAULT_MASTER_KEY_MISSING');
+      }
+
+      // Development fallback: derived from the session secret
+      logger.warn('CREDENTIAL_VAULT_MASTER_KEY not set, deriving vault master key from SESSION_SECRET');
+      const secret = env.ENCRYPTION_SECRET || env.SESSION_SECRET || 'default-encryption-key-change-me';
+      currentId = DERIVED_MASTER_KEY_ID;
+      keys.set(currentId, crypto.scryptSync(secret, 'credential-vault-master', KEY_LENGTH));
+    }
+
+    for (const entry of (env.CREDENTIAL_VAULT_PREVIOUS_MASTER_KEYS || '').split(',')) {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) continue;
+
+      const id = entry.slice(0, separator).trim();
+      if (!keys.has(id)) {
+        keys.set(id, this.parseMasterKey(entry.slice(separator + 1).trim(), id));
+      }
+    }
+
+    return { currentId, keys };
+  }
+
+  /**
+   * Decode a base64 master key
+   * @param {string} value - Base64 key
+   * @param {string} id - Master key id (for the error)
+   * @returns {Buffer}
+   */
+  parseMasterKey(value, id) {
+    const key = Buffer.from(value, 'base64');
+    if (key.length !== KEY_LENGTH) {
+      const error = new Error('VAULT_MASTER_KEY_INVALID');
+      error.details = { masterKeyId: id, expectedBytes: KEY_LENGTH };
+      throw error;
+    }
+    return key;
+  }
+
+  getMasterKeys() {
+    if (!this.masterKeys) {
+      this.masterKeys = this.loadMasterKeys();
+    }
+    return this.masterKeys;
+  }
+
+  getMasterKey(masterKeyId) {
+    const key = this.getMasterKeys().keys.get(masterKeyId);
+    if (!key) {
+      const error = new Error('VAULT_MASTER_KEY_UNKNOWN');
+      error.details = { masterKeyId };
+      throw error;
+    }
+    return key;
+  }
+
+  // ==================== Data keys ====================
+
+  /**
+   * Encrypt a data key with a master key
+   * @param {Buffer} dataKey - Plain data key
+   * @param {Buffer} masterKey - Master key
+   * @returns {string} iv:authTag:ciphertext (base64)
+   */
+  wrapKey(dataKey, masterKey) {
+    return this.seal(masterKey, dataKey, null);
+  }
+
+  /**
+   * Decrypt a wrapped data key
+   * @param {string} wrappedKey - iv:authTag:ciphertext (base64)
+   * @param {Buffer} masterKey - Master key
+   * @returns {Buffer}
+   */
+  unwrapKey(wrappedKey, masterKey) {
+    return this.open(masterKey, wrappedKey, null);
+  }
+
+  /**
+   * Active data key of a tenant (or of the platform), created on first use
+   * @param {string|null} tenantId - Tenant UUID, null for platform secrets
+   * @returns {Promise<{ id: string, key: Buffer }>}
+   */
+  async getActiveDataKey(tenantId) {
+    const scope = tenantId || PLATFORM_SCOPE;
+    const cached = this.activeKeyIds.get(scope);
+    if (cached && cached.expiresAt > Date.now() && this.dataKeys.has(cached.id)) {
+      return { id: cached.id, key: this.dataKeys.get(cached.id).key };
+    }
+
+    let row = await this.findActiveKeyRow(tenantId);
+    if (!row) {
+      row = await this.createDataKey(tenantId, 1);
+    }
+
+    const key = this.cacheDataKey(row);
+    this.activeKeyIds.set(scope, { id: row.id, expiresAt: Date.now() + ACTIVE_KEY_CACHE_TTL_MS });
+    return { id: row.id, key };
+  }
+
+  /**
+   * Data key by id (any status, so retired keys still decrypt)
+   * @param {string} dataKeyId - vault_data_keys.id
+   * @returns {Promise<Buffer>}
+   */
+  async getDataKeyById(dataKeyId) {
+    if (this.dataKeys.has(dataKeyId)) {
+      return this.dataKeys.get(dataKeyId).key;
+    }
+
+    const { data: row, error } = await SupabaseService.queryAsAdmin('vault_data_keys', (query) =>
+      query.select('*').eq('id', dataKeyId).maybeSingle()
+    );
+
+    if (error) throw error;
+    if (!row) {
+      const notFound = new Error('VAULT_DATA_KEY_NOT_FOUND');
+      notFound.details = { dataKeyId };
+      throw notFound;
+    }
+
+    return this.cacheDataKey(row);
+  }
+
+  async findActiveKeyRow(tenantId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('vault_data_keys', (query) => {
+      const scoped = query.select('*').eq('status', 'active');
+      return (tenantId ? scoped.eq('tenant_id', tenantId) : scoped.is('tenant_id', null)).maybeSingle();
+    });
+
+    if (error) throw error;
+    return data || null;
+  }
+
+  /**
+   * Generate and store a new active data key
+   * @param {string|null} tenantId - Tenant UUID, null for platform
+   * @param {number} version - Key version for the scope
+   * @returns {Promise<Object>} vault_data_keys row
+   */
+  async createDataKey(tenantId, version) {
+    const { currentId } = this.getMasterKeys();
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+    const { data: row, error } = await SupabaseService.queryAsAdmin('vault_data_keys', (query) =>
+      query.insert({
+        tenant_id: tenantId || null,
+        version,
+        wrapped_key: this.wrapKey(dataKey, this.getMasterKey(currentId)),
+        master_key_id: currentId,
+        status: 'active'
+      }).select().single()
+    );
+
+    if (error) {
+      // Another instance created the active key first (unique active key per scope)
+      if (error.code === '23505') {
+        const existing = await this.findActiveKeyRow(tenantId);
+        if (existing) return existing;
+      }
+      logger.error('Failed to create vault data key', { tenantId, error: error.message });
+      throw error;
+    }
+
+    logger.info('Vault data key created', { tenantId, dataKeyId: row.id, version });
+    return row;
+  }
+
+  cacheDataKey(row) {
+    const key = this.unwrapKey(row.wrapped_key, this.getMasterKey(row.master_key_id));
+    this.dataKeys.set(row.id, { key, tenantId: row.tenant_id || null });
+    return key;
+  }
+
+  // ==================== Secrets ====================
+
+  /**
+   * Encrypt a secret with the tenant's active data key
+   * @param {string|null} tenantId - Tenant UUID, null for platform secrets
+   * @param {string} plaintext - Secret
+   * @returns {Promise<string|null>} Vault ciphertext (null/empty input is returned as-is)
+   */
+  async encrypt(tenantId, plaintext) {
+    if (plaintext === null || plaintext === undefined || plaintext === '') {
+      return plaintext;
+    }
+
+    const { id, key } = await this.getActiveDataKey(tenantId);
+    return `${VAULT_PREFIX}${id}:${this.seal(key, Buffer.from(String(plaintext), 'utf8'), id)}`;
+  }
+
+  /**
+   * Decrypt a stored secret
+   *
+   * Values written before the vault are passed to legacyDecrypt (each store
+   * knows its previous format); without it they are returned as-is.
+   *
+   * @param {string} value - Stored value
+   * @param {Function} [legacyDecrypt] - (value) => plaintext for pre-vault values
+   * @returns {Promise<string|null>}
+   */
+  async decrypt(value, legacyDecrypt = null) {
+    if (value === null || value === undefined || value === '') {
+      return value ?? null;
+    }
+
+    if (!this.isEncrypted(value)) {
+      return legacyDecrypt ? legacyDecrypt(value) : value;
+    }
+
+    const { dataKeyId, sealed } = this.parse(value);
+    const key = await this.getDataKeyById(dataKeyId);
+
+    try {
+      return this.open(key, sealed, dataKeyId).toString('utf8');
+    } catch (error) {
+      logger.error('Failed to decrypt vault secret', { dataKeyId, error: error.message });
+      throw new Error('VAULT_DECRYPT_FAILED');
+    }
+  }
+
+  /**
+   * Encrypt the given fields of a record (other fields are copied)
+   * @param {string|null} tenantId - Tenant UUID
+   * @param {Object} record - Record
+   * @param {string[]} fields - Secret fields
+   * @returns {Promise<Object>}
+   */
+  async encryptFields(tenantId, record, fields) {
+    const result = { ...record };
+    for (const field of fields) {
+      if (typeof result[field] === 'string' && result[field] !== '' && !this.isEncrypted(result[field])) {
+        result[field] = await this.encrypt(tenantId, result[field]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Decrypt the given fields of a record (other fields are copied)
+   * @param {Object} record - Record
+   * @param {string[]} fields - Secret fields
+   * @param {Function} [legacyDecrypt] - Decryption of pre-vault values
+   * @returns {Promise<Object>}
+   */
+  async decryptFields(record, fields, legacyDecrypt = null) {
+    if (!record) return record;
+
+    const result = { ...record };
+    for (const field of fields) {
+      if (result[field]) {
+        result[field] = await this.decrypt(result[field], legacyDecrypt);
+      }
+    }
+    return result;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(VAULT_PREFIX);
+  }
+
+  /**
+   * Data key id of a vault ciphertext
+   * @param {string} value - Vault ciphertext
+   * @returns {string|null}
+   */
+  getDataKeyId(value) {
+    return this.isEncrypted(value) ? this.parse(value).dataKeyId : null;
+  }
+
+  /**
+   * Masked representation of a secret for API responses
+   * @param {string} value - Secret (plain or encrypted)
+   * @returns {string|null} MASK when there is a secret, null otherwise
+   */
+  mask(value) {
+    return value ? MASK : null;
+  }
+
+  isMask(value) {
+    return value === MASK;
+  }
+
+  parse(value) {
+    const rest = value.slice(VAULT_PREFIX.length);
+    const separator = rest.indexOf(':');
+    return { dataKeyId: rest.slice(0, separator), sealed: rest.slice(separator + 1) };
+  }
+
+  seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
+
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return `${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+  }
+
+  open(key, sealed, aad) {
+    const [iv, authTag, ciphertext] = sealed.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  // ==================== Tenant resolution ====================
+
+  /**
+   * Tenant owning an account or a user (account owner id or WUZAPI token)
+   * @param {Object} owner - { accountId } or { userId }
+   * @returns {Promise<string|null>} Tenant UUID, null when unknown (platform key)
+   */
+  async resolveTenantId({ accountId = null, userId = null } = {}) {
+    const cacheKey = accountId ? `account:${accountId}` : `user:${userId}`;
+    if (!accountId && !userId) return null;
+    if (this.tenantCache.has(cacheKey)) return this.tenantCache.get(cacheKey);
+
+    let account = null;
+    if (accountId) {
+      const { data } = await SupabaseService.queryAsAdmin('accounts', (query) =>
+        query.select('tenant_id').eq('id', accountId).maybeSingle()
+      );
+      account = data;
+    } else {
+      for (const column of ['owner_user_id', 'wuzapi_token']) {
+        const { data } = await SupabaseService.queryAsAdmin('accounts', (query) =>
+          query.select('tenant_id').eq(column, userId).limit(1)
+        );
+        account = data?.[0] || null;
+        if (account) break;
+      }
+    }
+
+    const tenantId = account?.tenant_id || null;
+    if (account) this.tenantCache.set(cacheKey, tenantId);
+    return tenantId;
+  }
+
+  // ==================== Rotation ====================
+
+  /**
+   * Replace the active data key of a tenant
+   *
+   * The previous key is retired but kept, so existing ciphertexts still
+   * decrypt until CredentialVaultStores.reencryptSecrets rewrites them.
+   *
+   * @param {string|null} tenantId - Tenant UUID, null for platform
+   * @returns {Promise<Object>} { tenantId, dataKeyId, version, previousDataKeyId }
+   */
+  async rotateDataKey(tenantId) {
+    const previous = await this.findActiveKeyRow(tenantId);
+
+    if (previous) {
+      const { error } = await SupabaseService.queryAsAdmin('vault_data_keys', (query) =>
+        query.update({ status: 'retired', rotated_at: new Date().toISOString() }).eq('id', previous.id)
+      );
+      if (error) throw error;
+    }
+
+    const row = await this.createDataKey(tenantId, (previous?.version || 0) + 1);
+    this.cacheDataKey(row);
+    this.activeKeyIds.set(tenantId || PLATFORM_SCOPE, { id: row.id, expiresAt: Date.now() + ACTIVE_KEY_CACHE_TTL_MS });
+
+    logger.info('Vault data key rotated', {
+      tenantId,
+      dataKeyId: row.id,
+      previousDataKeyId: previous?.id || null
+    });
+
+    return {
+      tenantId: tenantId || null,
+      dataKeyId: row.id,
+      version: row.version,
+      previousDataKeyId: previous?.id || null
+    };
+  }
+
+  /**
+   * Rewrap every data key with the current master key
+   *
+   * Run after setting a new CREDENTIAL_VAULT_MASTER_KEY (with the old one in
+   * CREDENTIAL_VAULT_PREVIOUS_MASTER_KEYS); secrets themselves are untouched.
+   *
+   * @returns {Promise<Object>} { masterKeyId, rewrapped, failed }
+   */
+  async rotateMasterKey() {
+    const { currentId } = this.getMasterKeys();
+    const currentKey = this.getMasterKey(currentId);
+
+    const { data: rows, error } = await SupabaseService.queryAsAdmin('vault_data_keys', (query) =>
+      query.select('*').neq('master_key_id', currentId)
+    );
+    if (error) throw error;
+
+    let rewrapped = 0;
+    const failed = [];
+
+    for (const row of rows || []) {
+      try {
+        const dataKey = this.unwrapKey(row.wrapped_key, this.getMasterKey(row.master_key_id));
+        const { error: updateError } = await SupabaseService.queryAsAdmin('vault_data_keys', (query) =>
+          query.update({ wrapped_key: this.wrapKey(dataKey, currentKey), master_key_id: currentId }).eq('id', row.id)
+        );
+        if (updateError) throw updateError;
+        rewrapped++;
+      } catch (rowError) {
+        logger.error('Failed to rewrap vault data key', { dataKeyId: row.id, error: rowError.message });
+        failed.push(row.id);
+      }
+    }
+
+    logger.info('Vault master key rotated', { masterKeyId: currentId, rewrapped, failed: failed.length });
+
+    return { masterKeyId: currentId, rewrapped, failed };
+  }
+
+  /**
+   * Vault status for the superadmin panel (never includes key material)
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const { currentId } = this.getMasterKeys();
+
+    const { data: rows, error } = await SupabaseService.queryAsAdmin('vault_data_keys', (query) =>
+      query.select('id, tenant_id, version, master_key_id, status, created_at, rotated_at')
+    );
+    if (error) throw error;
+
+    const keys = rows || [];
+    return {
+      masterKeyId: currentId,
+      masterKeyFromEnvironment: currentId !== DERIVED_MASTER_KEY_ID,
+      activeDataKeys: keys.filter(k => k.status === 'active').length,
+      retiredDataKeys: keys.filter(k => k.status === 'retired').length,
+      dataKeysPendingRewrap: keys.filter(k => k.master_key_id !== currentId).length
+    };
+  }
+
+  clearCache() {
+    this.masterKeys = null;
+    this.dataKeys.clear();
+    this.activeKeyIds.clear();
+    this.tenantCache.clear();
+  }
+}
+
+module.exports = new CredentialVaultService();
+module.exports.CredentialVaultService = CredentialVaultService;
+module.exports.VAULT_PREFIX = VAULT_PREFIX;
+module.exports.MASK = MASK;
@@ -0,0 +1,210 @@
+/**
+ * CredentialVaultStores - Where the credential vault's secrets are stored
+ *
+ * Each store lists its rows with the tenant owning them and knows how to
+ * read values written before the vault. reencryptSecrets uses them to
+ * migrate existing rows and to move secrets to a rotated data key.
+ */
+
+const { logger } = require('../utils/logger');
+const SupabaseService = require('./SupabaseService');
+const CredentialVaultService = require('./CredentialVaultService');
+const { SECRET_FIELDS: CONNECTION_SECRET_FIELDS } = require('./DatabaseConnectionService');
+
+const GLOBAL_SECRET_SETTINGS = {
+  stripe_secret_key: 'stripe',
+  stripe_webhook_secret: 'stripe',
+  'api.wuzapi.adminToken': 'api'
+};
+
+const TENANT_SECRET_SETTINGS = ['wuzapi.adminToken'];
+
+async function selectAll(table, columns) {
+  const { data, error } = await SupabaseService.queryAsAdmin(table, (query) => query.select(columns));
+  if (error) throw error;
+  return data || [];
+}
+
+async function updateById(table, column, id, values) {
+  const { error } = await SupabaseService.queryAsAdmin(table, (query) =>
+    query.update(values).eq(column, id)
+  );
+  if (error) throw error;
+}
+
+/**
+ * Secret stores
+ * load() => [{ id, tenantId, values: { field: storedValue } }]
+ * save(item, values) persists the re-encrypted values of an item
+ * legacyDecrypt(field) => reader of pre-vault values (absent: stored in clear)
+ */
+const SECRET_STORES = [
+  {
+    name: 'database_connections',
+    async load() {
+      const rows = await selectAll('database_connections', ['id', 'account_id', ...CONNECTION_SECRET_FIELDS].join(', '));
+      const items = [];
+      for (const row of rows) {
+        const values = {};
+        for (const field of CONNECTION_SECRET_FIELDS) values[field] = row[field];
+        items.push({
+          id: row.id,
+          tenantId: await CredentialVaultService.resolveTenantId({ accountId: row.account_id }),
+          values
+        });
+      }
+      return items;
+    },
+    save: (item, values) => updateById('database_connections', 'id', item.id, values)
+  },
+  {
+    name: 'agent_bots',
+    async load() {
+      const rows = await selectAll('agent_bots', 'id, user_id, access_token');
+      const items = [];
+      for (const row of rows) {
+        items.push({
+          id: row.id,
+          tenantId: await CredentialVaultService.resolveTenantId({ userId: row.user_id }),
+          values: { access_token: row.access_token }
+        });
+      }
+      return items;
+    },
+    save: (item, values) => updateById('agent_bots', 'id', item.id, values)
+  },
+  {
+    name: 'tenant_settings',
+    async load() {
+      const rows = await selectAll('tenant_settings', 'tenant_id, settings');
+      return rows.map(row => {
+        const values = {};
+        for (const key of TENANT_SECRET_SETTINGS) values[key] = row.settings?.[key];
+        return { id: row.tenant_id, tenantId: row.tenant_id, settings: row.settings || {}, values };
+      });
+    },
+    legacyDecrypt: () => {
+      const TenantSettingsService = require('./TenantSettingsService');
+      return (value) => TenantSettingsService.decryptToken(value);
+    },
+    save: (item, values) => updateById('tenant_settings', 'tenant_id', item.id, {
+      settings: { ...item.settings, ...values },
+      updated_at: new Date().toISOString()
+    })
+  },
+  {
+    name: 'global_settings',
+    async load() {
+      const { data, error } = await SupabaseService.queryAsAdmin('global_settings', (query) =>
+        query.select('key, value').in('key', Object.keys(GLOBAL_SECRET_SETTINGS))
+      );
+      if (error) throw error;
+
+      // Stripe settings keep the secret in value.key, API settings in value
+      return (data || []).map(row => ({
+        id: row.key,
+        tenantId: null,
+        wrapped: GLOBAL_SECRET_SETTINGS[row.key] === 'stripe',
+        values: { [row.key]: GLOBAL_SECRET_SETTINGS[row.key] === 'stripe' ? row.value?.key : row.value }
+      }));
+    },
+    legacyDecrypt: (key) => {
+      if (GLOBAL_SECRET_SETTINGS[key] === 'stripe') {
+        return require('../utils/stripeClient').decrypt;
+      }
+      const ApiSettingsService = require('./ApiSettingsService');
+      return (value) => ApiSettingsService.decryptValue(value);
+    },
+    save: (item, values) => updateById('global_settings', 'key', item.id, {
+      value: item.wrapped ? { key: values[item.id] } : values[item.id],
+      updated_at: new Date().toISOString()
+    })
+  }
+];
+
+/**
+ * Re-encrypt stored secrets with the active data key of their tenant
+ *
+ * Encrypts values written before the vault (the migration of existing rows)
+ * and moves values of retired data keys to the active key. Values already on
+ * the active key are left untouched, so it is safe to run repeatedly.
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.tenantId] - Only rows of this tenant (null: platform secrets)
+ * @param {boolean} [options.dryRun] - Count without writing
+ * @returns {Promise<Object>} Per store { scanned, reencrypted, failed }
+ */
+async function reencryptSecrets({ tenantId, dryRun = false } = {}) {
+  const summary = {};
+
+  for (const store of SECRET_STORES) {
+    const stats = { scanned: 0, reencrypted: 0, failed: 0 };
+    summary[store.name] = stats;
+
+    let items;
+    try {
+      items = await store.load();
+    } catch (error) {
+      logger.error('Failed to load secret store', { store: store.name, error: error.message });
+      stats.failed++;
+      continue;
+    }
+
+    for (const item of items) {
+      if (tenantId !== undefined && item.tenantId !== tenantId) continue;
+
+      try {
+        const { id: activeKeyId } = await CredentialVaultService.getActiveDataKey(item.tenantId);
+        const updates = {};
+
+        for (const [field, stored] of Object.entries(item.values)) {
+          if (!stored || typeof stored !== 'string') continue;
+          stats.scanned++;
+
+          if (CredentialVaultService.getDataKeyId(stored) === activeKeyId) continue;
+
+          const legacyDecrypt = store.legacyDecrypt ? store.legacyDecrypt(field) : null;
+          const plaintext = await CredentialVaultService.decrypt(stored, legacyDecrypt);
+          if (!plaintext) {
+            logger.warn('Stored secret could not be decrypted, skipped', { store: store.name, id: item.id, field });
+            stats.failed++;
+            continue;
+          }
+
+          updates[field] = await CredentialVaultService.encrypt(item.tenantId, plaintext);
+        }
+
+        if (Object.keys(updates).length === 0) continue;
+
+        if (!dryRun) {
+          await store.save(item, updates);
+        }
+        stats.reencrypted += Object.keys(updates).length;
+      } catch (error) {
+        logger.error('Failed to re-encrypt secrets', { store: store.name, id: item.id, error: error.message });
+        stats.failed++;
+      }
+    }
+  }
+
+  logger.info('Stored secrets re-encrypted', { tenantId, dryRun, summary });
+
+  return summary;
+}
+
+/**
+ * Rotate a tenant's data key and move its secrets to the new key
+ * @param {string|null} tenantId - Tenant UUID, null for platform secrets
+ * @returns {Promise<Object>} { rotation, reencrypted }
+ */
+async function rotateTenantDataKey(tenantId) {
+  const rotation = await CredentialVaultService.rotateDataKey(tenantId);
+  const reencrypted = await reencryptSecrets({ tenantId: tenantId || null });
+  return { rotation, reencrypted };
+}
+
+module.exports = {
+  SECRET_STORES,
+  reencryptSecrets,
+  rotateTenantDataKey,
+};
@@ -0,0 +1,230 @@
+/**
+ * CrmSyncAdapters - Row access to the external table of a CRM sync job
+ *
+ * One adapter per connection type, all with the same interface:
+ * - fetchRows({ since, offset, limit }) rows ordered by the updated-at column
+ *   (only rows changed after `since` when the job has one), else by the key
+ * - findByColumn(column, value) first row with column = value, or null
+ * - insertRow(values) / updateRow(row, values) write mapped columns
+ * - close() releases the connection (SQL)
+ *
+ * Column and table names come from the job configuration and are validated
+ * (SQL identifiers are quoted by SQLConnectionService, values always
+ * parameterized).
+ */
+
+const SupabaseConnectionService = require('./SupabaseConnectionService');
+const NocoDBConnectionService = require('./NocoDBConnectionService');
+const SQLConnectionService = require('./SQLConnectionService');
+const { SQL_TYPES } = require('./SQLConnectionService');
+
+const SUPPORTED_TYPES = ['NOCODB', 'SUPABASE', ...SQL_TYPES];
+
+/**
+ * Default key column of the external table
+ * @param {Object} connection - Database connection
+ * @returns {string}
+ */
+function defaultKeyColumn(connection) {
+  return connection.type === 'NOCODB' ? 'Id' : 'id';
+}
+
+/**
+ * Whether a name can be used as SQL identifier
+ * @param {string} name - Table or column name
+ * @returns {boolean}
+ */
+function isValidIdentifier(name) {
+  return SQLConnectionService.isValidIdentifier(name);
+}
+
+function createNocoDBAdapter(connection, { keyColumn, updatedAtColumn }) {
+  const client = NocoDBConnectionService.createClient(connection);
+  const projectId = connection.nocodb_project_id || connection.database_name || connection.database;
+  const tableId = connection.nocodb_table_id || connection.table_name;
+  const basePath = `/api/v1/db/data/noco/${projectId}/${tableId}`;
+
+  const request = async (fn) => {
+    try {
+      return await fn();
+    } catch (error) {
+      throw NocoDBConnectionService.translateError(error);
+    }
+  };
+
+  return {
+    async fetchRows({ since, offset, limit }) {
+      const params = { limit, offset, sort: updatedAtColumn || keyColumn };
+      if (since && updatedAtColumn) {
+        params.where = `(${updatedAtColumn},gt,exactDate,${since})`;
+      }
+      const response = await request(() => client.get(basePath, { params }));
+      return response.data?.list || [];
+    },
+
+    async findByColumn(column, value) {
+      const response = await request(() => client.get(basePath, {
+        params: { limit: 1, where: `(${column},eq,${value})` }
+      }));
+      return response.data?.list?.[0] || null;
+    },
+
+    async insertRow(values) {
+      const response = await request(() => client.post(basePath, values));
+      return response.data;
+    },
+
+    async updateRow(row, values) {
+      const response = await request(() => client.patch(`${basePath}/${row[keyColumn]}`, values));
+      return response.data;
+    },
+
+    async close() {}
+  };
+}
+
+function createSupabaseAdapter(connection, { keyColumn, updatedAtColumn }) {
+  const client = SupabaseConnectionService.getClient(connection);
+  const table = connection.supabase_table;
+
+  const run = async (query) => {
+    const { data, error } = await query;
+    if (error) throw SupabaseConnectionService.translateError(error);
+    return data;
+  };
+
+  return {
+    async fetchRows({ since, offset, limit }) {
+      let query = client.from(table).select('*');
+      if (since && updatedAtColumn) {
+        query = query.gt(updatedAtColumn, since);
+      }
+      query = query.order(updatedAtColumn || keyColumn, { ascending: true }).range(offset, offset + limit - 1);
+      return (await run(query)) || [];
+    },
+
+    async findByColumn(column, value) {
+      const rows = await run(client.from(table).select('*').eq(column, value).limit(1));
+      return rows?.[0] || null;
+    },
+
+    insertRow: (values) => run(client.from(table).insert(values).select().single()),
+
+    updateRow: (row, values) => run(
+      client.from(table).update(values).eq(keyColumn, row[keyColumn]).select().single()
+    ),
+
+    async close() {}
+  };
+}
+
+async function createSQLAdapter(connection, { keyColumn, updatedAtColumn }) {
+  const table = connection.table_name;
+
+  for (const name of [keyColumn, updatedAtColumn].filter(Boolean)) {
+    if (!isValidIdentifier(name)) {
+      const error = new Error('INVALID_IDENTIFIER');
+      error.details = { name };
+      throw error;
+    }
+  }
+
+  const tableRef = SQLConnectionService.tableRef(connection, table);
+  const quote = (name) => SQLConnectionService.quote(connection, name);
+  const session = await SQLConnectionService.connect(connection);
+
+  const columnsOf = (values) => {
+    const columns = Object.keys(values);
+    const invalid = columns.find(column => !isValidIdentifier(column));
+    if (invalid) {
+      const error = new Error('INVALID_IDENTIFIER');
+      error.details = { name: invalid };
+      throw error;
+    }
+    return columns;
+  };
+
+  return {
+    async fetchRows({ since, offset, limit }) {
+      const params = [];
+      const param = SQLConnectionService.paramBuilder(connection, params);
+      let sql = `SELECT * FROM ${tableRef}`;
+      if (since && updatedAtColumn) {
+        sql += ` WHERE ${quote(updatedAtColumn)} > ${param(new Date(since))}`;
+      }
+      // LIMIT/OFFSET are integers built here, not client input
+      sql += ` ORDER BY ${quote(updatedAtColumn || keyColumn)} LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
+      return session.query(sql, params);
+    },
+
+    async findByColumn(column, value) {
+      columnsOf({ [column]: value });
+      const params = [];
+      const param = SQLConnectionService.paramBuilder(connection, params);
+      const rows = await session.query(
+        `SELECT * FROM ${tableRef} WHERE ${quote(column)} = ${param(value)} LIMIT 1`,
+        params
+      );
+      return rows[0] || null;
+    },
+
+    async insertRow(values) {
+      const columns = columnsOf(values);
+      const params = [];
+      const param = SQLConnectionService.paramBuilder(connection, params);
+      const placeholders = columns.map(column => param(values[column]));
+      await session.query(
+        `INSERT INTO ${tableRef} (${columns.map(quote).join(', ')}) VALUES (${placeholders.join(', ')})`,
+        params
+      );
+      return values;
+    },
+
+    async updateRow(row, values) {
+      const columns = columnsOf(values);
+      const params = [];
+      const param = SQLConnectionService.paramBuilder(connection, params);
+      const assignments = columns.map(column => `${quote(column)} = ${param(values[column])}`);
+      await session.query(
+        `UPDATE ${tableRef} SET ${assignments.join(', ')} WHERE ${quote(keyColumn)} = ${param(row[keyColumn])}`,
+        params
+      );
+      return { ...row, ...values };
+    },
+
+    close: () => session.close()
+  };
+}
+
+/**
+ * Create the adapter for the external table of a sync job
+ * @param {Object} connection - Decrypted database connection
+ * @param {Object} options - { keyColumn, updatedAtColumn }
+ * @returns {Promise<Object>} Adapter
+ * @throws {Error} UNSUPPORTED_CONNECTION_TYPE | INVALID_IDENTIFIER
+ */
+async function createAdapter(connection, options) {
+  switch (connection.type) {
+    case 'NOCODB':
+      return createNocoDBAdapter(connection, options);
+    case 'SUPABASE':
+      return createSupabaseAdapter(connection, options);
+    case 'POSTGRES':
+    case 'POSTGRESQL':
+    case 'MYSQL':
+      return createSQLAdapter(connection, options);
+    default: {
+      const error = new Error('UNSUPPORTED_CONNECTION_TYPE');
+      error.details = { type: connection.type };
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  createAdapter,
+  defaultKeyColumn,
+  isValidIdentifier,
+  SUPPORTED_TYPES,
+  SQL_TYPES,
+};
@@ -0,0 +1,979 @@
+/**
+ * CrmSyncService - Two-way sync between contacts and external tables
+ *
+ * A sync job links a database connection of the account (NocoDB, Supabase,
+ * PostgreSQL or MySQL table) to its contacts through a column mapping to
+ * contact fields and custom fields (CustomFieldService). Rows are matched
+ * to contacts by the mapped phone column.
+ *
+ * - import: external rows create/update contacts
+ * - export: contacts changed since the last run create/update external rows
+ * - bidirectional: import, then export; when both sides changed since the
+ *   last run the job's conflict policy decides (crm_wins, external_wins,
+ *   newest_wins by the updated-at column)
+ *
+ * Runs are executed by the import queue (queues/importQueue.js), or in this
+ * process when the queue is unavailable. With an
+ * updated-at column only rows changed since the last successful run are
+ * read; values are only written when they differ, so a bidirectional job
+ * does not echo its own writes. Row-level errors go to crm_sync_run_errors.
+ *
+ * Requirements: Two-way sync between CRM contacts and external NocoDB/Supabase/SQL tables
+ */
+
+const { logger } = require('../utils/logger');
+const SupabaseService = require('./SupabaseService');
+const DatabaseConnectionService = require('./DatabaseConnectionService');
+const ContactsService = require('./ContactsService');
+const CustomFieldService = require('./CustomFieldService');
+const { createAdapter, defaultKeyColumn, isValidIdentifier, SUPPORTED_TYPES, SQL_TYPES } = require('./CrmSyncAdapters');
+const { addCrmSyncJob } = require('../queues/importQueue');
+
+const SYNC_DIRECTIONS = ['import', 'export', 'bidirectional'];
+const CONFLICT_POLICIES = ['crm_wins', 'external_wins', 'newest_wins'];
+
+// Mappable contact fields and their contacts columns
+const CONTACT_FIELDS = {
+  phone: 'phone',
+  name: 'name',
+  avatarUrl: 'avatar_url',
+  whatsappJid: 'whatsapp_jid'
+};
+
+// Mapping target of a custom field: 'custom:<field name>'
+const CUSTOM_FIELD_PREFIX = 'custom:';
+
+// Rows read per page from either side
+const PAGE_SIZE = 200;
+
+// Row errors stored per run (the counters keep the full count)
+const MAX_ERRORS_PER_RUN = 500;
+
+const ACTIVE_RUN_STATUSES = ['queued', 'running'];
+
+// Queued/running runs older than this are considered lost (worker restart)
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+const MIN_INTERVAL_MINUTES = 5;
+
+function emptyStats() {
+  return { read: 0, created: 0, updated: 0, unchanged: 0, skipped: 0, conflicts: 0, failed: 0 };
+}
+
+function normalizeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+}
+
+function sameValue(a, b) {
+  const left = normalizeValue(a);
+  const right = normalizeValue(b);
+  if (left === right) return true;
+  return String(left ?? '') === String(right ?? '');
+}
+
+class CrmSyncService {
+  // ==================== JOBS ====================
+
+  /**
+   * List the sync jobs of an account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object[]>}
+   */
+  async getJobs(accountId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('crm_sync_jobs', (query) =>
+      query.select('*').eq('account_id', accountId).order('created_at', { ascending: true })
+    );
+
+    if (error) throw error;
+    return (data || []).map(row => this.formatJob(row));
+  }
+
+  /**
+   * Get a sync job of an account
+   * @param {string} accountId - Account UUID
+   * @param {string} jobId - Sync job UUID
+   * @returns {Promise<Object>}
+   * @throws {Error} SYNC_JOB_NOT_FOUND
+   */
+  async getJob(accountId, jobId) {
+    return this.formatJob(await this.getJobRow(accountId, jobId));
+  }
+
+  /**
+   * Create a sync job
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} input - { connectionId, name, direction, columnMapping, keyColumn,
+   *   updatedAtColumn, conflictPolicy, intervalMinutes, isActive }
+   * @param {string} [actorId] - User creating the job
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(accountId, tenantId, input, actorId = null) {
+    const connection = await this.getAccountConnection(accountId, input.connectionId);
+    const values = await this.buildJobValues(accountId, connection, input);
+
+    const { data, error } = await SupabaseService.insert('crm_sync_jobs', {
+      ...values,
+      tenant_id: tenantId,
+      account_id: accountId,
+      connection_id: connection.id,
+      created_by: actorId
+    });
+
+    if (error) throw error;
+
+    logger.info('CRM sync job created', { jobId: data.id, accountId, connectionId: connection.id, direction: data.direction });
+
+    return this.formatJob(data);
+  }
+
+  /**
+   * Update a sync job
+   * Changing the mapping or the updated-at column resets the incremental
+   * checkpoint: the next run reads the whole table.
+   * @param {string} accountId - Account UUID
+   * @param {string} jobId - Sync job UUID
+   * @param {Object} input - Fields to change (same as createJob, except connectionId)
+   * @returns {Promise<Object>} Updated job
+   */
+  async updateJob(accountId, jobId, input) {
+    const existing = await this.getJobRow(accountId, jobId);
+    const connection = await this.getAccountConnection(accountId, existing.connection_id);
+
+    const merged = {
+      name: input.name ?? existing.name,
+      direction: input.direction ?? existing.direction,
+      columnMapping: input.columnMapping ?? existing.column_mapping,
+      keyColumn: input.keyColumn !== undefined ? input.keyColumn : existing.key_column,
+      updatedAtColumn: input.updatedAtColumn !== undefined ? input.updatedAtColumn : existing.updated_at_column,
+      conflictPolicy: input.conflictPolicy ?? existing.conflict_policy,
+      intervalMinutes: input.intervalMinutes !== undefined ? input.intervalMinutes : existing.interval_minutes,
+      isActive: input.isActive ?? existing.is_active
+    };
+    const values = await this.buildJobValues(accountId, connection, merged);
+
+    const checkpointChanged =
+      JSON.stringify(values.column_mapping) !== JSON.stringify(existing.column_mapping) ||
+      values.updated_at_column !== existing.updated_at_column;
+    if (checkpointChanged) {
+      values.last_synced_at = null;
+    }
+
+    const { data, error } = await SupabaseService.update('crm_sync_jobs', jobId, {
+      ...values,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) throw error;
+
+    logger.info('CRM sync job updated', { jobId, accountId, checkpointReset: checkpointChanged });
+
+    return this.formatJob(data);
+  }
+
+  /**
+   * Delete a sync job (and its runs)
+   * @param {string} accountId - Account UUID
+   * @param {string} jobId - Sync job UUID
+   * @returns {Promise<void>}
+   */
+  async deleteJob(accountId, jobId) {
+    await this.getJobRow(accountId, jobId);
+
+    const { error } = await SupabaseService.queryAsAdmin('crm_sync_jobs', (query) =>
+      query.delete().eq('id', jobId).eq('account_id', accountId)
+    );
+
+    if (error) throw error;
+
+    logger.info('CRM sync job deleted', { jobId, accountId });
+  }
+
+  /**
+   * Validate a job configuration and build its columns
+   * @param {string} accountId - Account UUID
+   * @param {Object} connection - Database connection of the job
+   * @param {Object} input - Job input (camelCase)
+   * @returns {Promise<Object>} crm_sync_jobs values
+   * @throws {Error} INVALID_DIRECTION | INVALID_CONFLICT_POLICY | INVALID_INTERVAL |
+   *   INVALID_COLUMN_MAPPING | INVALID_MAPPING_FIELD | MAPPING_PHONE_REQUIRED |
+   *   INVALID_IDENTIFIER | UPDATED_AT_COLUMN_REQUIRED
+   */
+  async buildJobValues(accountId, connection, input) {
+    const direction = input.direction || 'import';
+    if (!SYNC_DIRECTIONS.includes(direction)) throw new Error('INVALID_DIRECTION');
+
+    const conflictPolicy = input.conflictPolicy || 'newest_wins';
+    if (!CONFLICT_POLICIES.includes(conflictPolicy)) throw new Error('INVALID_CONFLICT_POLICY');
+
+    const intervalMinutes = input.intervalMinutes ?? null;
+    if (intervalMinutes !== null && (!Number.isInteger(intervalMinutes) || intervalMinutes < MIN_INTERVAL_MINUTES)) {
+      throw new Error('INVALID_INTERVAL');
+    }
+
+    const keyColumn = input.keyColumn || null;
+    const updatedAtColumn = input.updatedAtColumn || null;
+
+    // newest_wins compares the external updated-at column with the contact
+    if (direction === 'bidirectional' && conflictPolicy === 'newest_wins' && !updatedAtColumn) {
+      throw new Error('UPDATED_AT_COLUMN_REQUIRED');
+    }
+
+    const columnMapping = await this.validateMapping(accountId, input.columnMapping);
+
+    if (SQL_TYPES.includes(connection.type)) {
+      const names = [keyColumn, updatedAtColumn, ...columnMapping.map(m => m.column)].filter(Boolean);
+      const invalid = names.find(name => !isValidIdentifier(name));
+      if (invalid) {
+        const error = new Error('INVALID_IDENTIFIER');
+        error.details = { name: invalid };
+        throw error;
+      }
+    }
+
+    return {
+      name: input.name || connection.name,
+      direction,
+      column_mapping: columnMapping,
+      key_column: keyColumn,
+      updated_at_column: updatedAtColumn,
+      conflict_policy: conflictPolicy,
+      interval_minutes: intervalMinutes,
+      is_active: input.isActive ?? true
+    };
+  }
+
+  /**
+   * Validate a column mapping
+   * @param {string} accountId - Account UUID (custom field definitions)
+   * @param {Array} mapping - [{ column, field }]
+   * @returns {Promise<Array>} Normalized mapping
+   */
+  async validateMapping(accountId, mapping) {
+    if (!Array.isArray(mapping) || mapping.length === 0) {
+      throw new Error('INVALID_COLUMN_MAPPING');
+    }
+
+    const customFieldNames = new Set();
+    if (mapping.some(m => typeof m?.field === 'string' && m.field.startsWith(CUSTOM_FIELD_PREFIX))) {
+      const definitions = await CustomFieldService.getFieldDefinitions(accountId);
+      definitions.forEach(definition => customFieldNames.add(definition.name));
+    }
+
+    const normalized = [];
+    const seenFields = new Set();
+    for (const entry of mapping) {
+      const column = typeof entry?.column === 'string' ? entry.column.trim() : '';
+      const field = typeof entry?.field === 'string' ? entry.field.trim() : '';
+
+      if (!column || !field || seenFields.has(field)) {
+        throw new Error('INVALID_COLUMN_MAPPING');
+      }
+
+      const isContactField = Object.prototype.hasOwnProperty.call(CONTACT_FIELDS, field);
+      const isCustomField = field.startsWith(CUSTOM_FIELD_PREFIX) &&
+        customFieldNames.has(field.slice(CUSTOM_FIELD_PREFIX.length));
+
+      if (!isContactField && !isCustomField) {
+        const error = new Error('INVALID_MAPPING_FIELD');
+        error.details = { field };
+        throw error;
+      }
+
+      seenFields.add(field);
+      normalized.push({ column, field });
+    }
+
+    if (!seenFields.has('phone')) {
+      throw new Error('MAPPING_PHONE_REQUIRED');
+    }
+
+    return normalized;
+  }
+
+  // ==================== RUNS ====================
+
+  /**
+   * Queue a run of a sync job on the import queue
+   * Without the queue the run executes in this process, in the background.
+   * @param {string} accountId - Account UUID
+   * @param {string} jobId - Sync job UUID
+   * @param {Object} [options]
+   * @param {string} [options.trigger] - 'manual' | 'schedule'
+   * @param {boolean} [options.fullSync] - Ignore the incremental checkpoint
+   * @returns {Promise<Object>} Queued run
+   * @throws {Error} SYNC_JOB_NOT_FOUND | SYNC_ALREADY_RUNNING
+   */
+  async startRun(accountId, jobId, { trigger = 'manual', fullSync = false } = {}) {
+    const job = await this.getJobRow(accountId, jobId);
+
+    const activeRun = await this.getActiveRun(job.id);
+    if (activeRun) {
+      const error = new Error('SYNC_ALREADY_RUNNING');
+      error.details = { runId: activeRun.id };
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const { data: run, error } = await SupabaseService.insert('crm_sync_runs', {
+      job_id: job.id,
+      tenant_id: job.tenant_id,
+      account_id: job.account_id,
+      trigger,
+      full_sync: fullSync,
+      status: 'queued',
+      created_at: now
+    });
+
+    if (error) throw error;
+
+    await SupabaseService.update('crm_sync_jobs', job.id, { last_run_at: now });
+
+    const queued = await addCrmSyncJob({ runId: run.id, jobId: job.id, accountId: job.account_id });
+    if (queued) {
+      logger.info('CRM sync run queued', { runId: run.id, jobId: job.id, accountId, trigger, fullSync });
+    } else {
+      logger.info('Import queue not available, running CRM sync in-process', { runId: run.id, jobId: job.id, accountId, trigger, fullSync });
+      this.executeRun(run.id).catch(error => {
+        logger.error('In-process CRM sync run failed', { runId: run.id, error: error.message });
+      });
+    }
+
+    return this.formatRun(run);
+  }
+
+  /**
+   * Execute a queued run (import queue worker)
+   * @param {string} runId - Sync run UUID
+   * @returns {Promise<Object>} Finished run
+   * @throws {Error} SYNC_RUN_NOT_FOUND
+   */
+  async executeRun(runId) {
+    const run = await this.getRunRow(runId);
+
+    if (run.status !== 'queued') {
+      logger.warn('CRM sync run is not queued, skipped', { runId, status: run.status });
+      return this.formatRun(run);
+    }
+
+    const job = await this.getJobRow(run.account_id, run.job_id);
+    const startedAt = new Date().toISOString();
+    const checkpoint = run.full_sync ? null : (job.last_synced_at || null);
+
+    await this.updateRun(runId, {
+      status: 'running',
+      started_at: startedAt,
+      synced_since: checkpoint
+    });
+
+    const context = {
+      run,
+      job,
+      checkpoint,
+      // Rows are only filtered when the table has an updated-at column
+      since: job.updated_at_column ? checkpoint : null,
+      actor: { id: job.created_by, type: 'account' },
+      stats: { import: emptyStats(), export: emptyStats() },
+      errors: [],
+      importedContactIds: new Set(),
+      crmWinsContactIds: new Set()
+    };
+
+    let failure = null;
+    let adapter = null;
+    try {
+      const connection = await DatabaseConnectionService.getConnectionById(job.connection_id);
+      if (!connection) throw new Error('CONNECTION_NOT_FOUND');
+
+      context.keyColumn = job.key_column || defaultKeyColumn(connection);
+      adapter = await createAdapter(connection, {
+        keyColumn: context.keyColumn,
+        updatedAtColumn: job.updated_at_column
+      });
+      context.adapter = adapter;
+
+      if (job.direction !== 'export') {
+        await this.importRows(context);
+      }
+      if (job.direction !== 'import') {
+        await this.exportContacts(context);
+      }
+    } catch (error) {
+      failure = error;
+      logger.error('CRM sync run failed', { runId, jobId: job.id, error: error.message });
+    } finally {
+      if (adapter) {
+        await adapter.close().catch(error =>
+          logger.warn('Failed to close CRM sync connection', { runId, error: error.message })
+        );
+      }
+    }
+
+    await this.saveRunErrors(context);
+
+    const failedRows = context.stats.import.failed + context.stats.export.failed;
+    let status = 'completed';
+    if (failure) status = 'failed';
+    else if (failedRows > 0) status = 'completed_with_errors';
+
+    const finished = await this.updateRun(runId, {
+      status,
+      stats: context.stats,
+      error: failure ? failure.message : null,
+      finished_at: new Date().toISOString()
+    });
+
+    // Failed rows are reported, not retried: fixing them changes their updated-at
+    const jobUpdates = { last_run_status: status };
+    if (!failure) {
+      jobUpdates.last_synced_at = startedAt;
+    }
+    await SupabaseService.update('crm_sync_jobs', job.id, jobUpdates);
+
+    logger.info('CRM sync run finished', {
+      runId,
+      jobId: job.id,
+      accountId: job.account_id,
+      status,
+      stats: context.stats
+    });
+
+    return this.formatRun(finished || { ...run, status, stats: context.stats });
+  }
+
+  /**
+   * Queue the runs of scheduled jobs that are due (import queue dispatcher)
+   * @returns {Promise<Object>} { dispatched, skipped }
+   */
+  async dispatchScheduledJobs() {
+    const { data: jobs, error } = await SupabaseService.queryAsAdmin('crm_sync_jobs', (query) =>
+      query.select('id, account_id, interval_minutes, last_run_at')
+        .eq('is_active', true)
+        .not('interval_minutes', 'is', null)
+    );
+
+    if (error) throw error;
+
+    const now = Date.now();
+    let dispatched = 0;
+    let skipped = 0;
+
+    for (const job of jobs || []) {
+      const lastRun = job.last_run_at ? new Date(job.last_run_at).getTime() : 0;
+      if (lastRun + job.interval_minutes * 60 * 1000 > now) continue;
+
+      try {
+        await this.startRun(job.account_id, job.id, { trigger: 'schedule' });
+        dispatched++;
+      } catch (runError) {
+        skipped++;
+        logger.warn('Scheduled CRM sync run not queued', { jobId: job.id, error: runError.message });
+      }
+    }
+
+    if (dispatched > 0 || skipped > 0) {
+      logger.info('Scheduled CRM sync runs dispatched', { dispatched, skipped });
+    }
+
+    return { dispatched, skipped };
+  }
+
+  /**
+   * Latest runs of a sync job
+   * @param {string} accountId - Account UUID
+   * @param {string} jobId - Sync job UUID
+   * @param {number} [limit] - Max runs
+   * @returns {Promise<Object[]>}
+   */
+  async getRuns(accountId, jobId, limit = 20) {
+    await this.getJobRow(accountId, jobId);
+
+    const { data, error } = await SupabaseService.queryAsAdmin('crm_sync_runs', (query) =>
+      query.select('*')
+        .eq('job_id', jobId)
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: false })
+        .limit(limit)
+    );
+
+    if (error) throw error;
+    return (data || []).map(row => this.formatRun(row));
+  }
+
+  /**
+   * Get a run with its row errors
+   * @param {string} accountId - Account UUID
+   * @param {string} runId - Sync run UUID
+   * @returns {Promise<Object>}
+   * @throws {Error} SYNC_RUN_NOT_FOUND
+   */
+  async getRun(accountId, runId) {
+    const run = await this.getRunRow(runId);
+    if (run.account_id !== accountId) throw new Error('SYNC_RUN_NOT_FOUND');
+
+    const { data: errors, error } = await SupabaseService.queryAsAdmin('crm_sync_run_errors', (query) =>
+      query.select('*').eq('run_id', runId).order('created_at', { ascending: true }).limit(MAX_ERRORS_PER_RUN)
+    );
+
+    if (error) throw error;
+
+    return {
+      ...this.formatRun(run),
+      errors: (errors || []).map(row => this.formatRunError(row))
+    };
+  }
+
+  // ==================== SYNC ====================
+
+  /**
+   * Import phase: external rows (changed since the checkpoint) into contacts
+   * @param {Object} context - Run context
+   */
+  async importRows(context) {
+    const { adapter, job, since } = context;
+    const phoneColumn = job.column_mapping.find(m => m.field === 'phone').column;
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const rows = await adapter.fetchRows({ since, offset, limit: PAGE_SIZE });
+      if (!rows || rows.length === 0) break;
+
+      const phones = rows
+        .map(row => ContactsService.normalizePhone(row[phoneColumn] == null ? '' : String(row[phoneColumn])))
+        .filter(Boolean);
+      const contacts = await this.getContactsByPhone(job.account_id, phones);
+
+      for (const row of rows) {
+        await this.importRow(context, row, contacts);
+      }
+
+      if (rows.length < PAGE_SIZE) break;
+    }
+  }
+
+  /**
+   * Import one external row
+   * @param {Object} context - Run context
+   * @param {Object} row - External row
+   * @param {Map} contacts - Contacts of the page by phone (updated in place)
+   */
+  async importRow(context, row, contacts) {
+    const { job, actor } = context;
+    const stats = context.stats.import;
+    const rowKey = row[context.keyColumn];
+    let contactId = null;
+
+    stats.read++;
+
+    try {
+      const { contact: values, customFields } = this.mapRowToContact(job.column_mapping, row);
+      if (!values.phone) throw new Error('MISSING_PHONE');
+
+      const existing = contacts.get(values.phone);
+
+      if (!existing) {
+        const created = await ContactsService.createContact(job.account_id, job.tenant_id, {
+          ...values,
+          source: 'sync'
+        }, actor);
+        contactId = created.id;
+
+        if (Object.keys(customFields).length > 0) {
+          await CustomFieldService.setContactCustomFields(created.id, customFields);
+        }
+
+        contacts.set(values.phone, { id: created.id, phone: values.phone });
+        context.importedContactIds.add(created.id);
+        stats.created++;
+        return;
+      }
+
+      contactId = existing.id;
+      const changes = this.diffContact(existing, values, customFields);
+      if (!changes) {
+        stats.unchanged++;
+        return;
+      }
+
+      if (this.isContactChanged(context, existing)) {
+        stats.conflicts++;
+        if (!this.externalWins(context, row, existing)) {
+          context.crmWinsContactIds.add(existing.id);
+          stats.skipped++;
+          return;
+        }
+      }
+
+      if (Object.keys(changes.contact).length > 0) {
+        await ContactsService.updateContact(job.account_id, existing.id, changes.contact, actor);
+      }
+      if (Object.keys(changes.customFields).length > 0) {
+        await CustomFieldService.setContactCustomFields(existing.id, changes.customFields);
+      }
+
+      context.importedContactIds.add(existing.id);
+      stats.updated++;
+    } catch (error) {
+      stats.failed++;
+      this.recordError(context, 'import', { rowKey, contactId, error });
+    }
+  }
+
+  /**
+   * Export phase: contacts changed since the checkpoint into external rows
+   * @param {Object} context - Run context
+   */
+  async exportContacts(context) {
+    const { job, checkpoint } = context;
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data: contacts, error } = await SupabaseService.queryAsAdmin('contacts', (query) => {
+        let scoped = query.select('*').eq('account_id', job.account_id);
+        if (checkpoint) {
+          scoped = scoped.gt('updated_at', checkpoint);
+        }
+        return scoped
+          .order('updated_at', { ascending: true })
+          .order('id', { ascending: true })
+          .range(offset, offset + PAGE_SIZE - 1);
+      });
+
+      if (error) throw error;
+      if (!contacts || contacts.length === 0) break;
+
+      for (const contact of contacts) {
+        // Just written by the import phase: already in sync
+        if (context.importedContactIds.has(contact.id)) continue;
+        await this.exportContact(context, contact);
+      }
+
+      if (contacts.length < PAGE_SIZE) break;
+    }
+  }
+
+  /**
+   * Export one contact
+   * @param {Object} context - Run context
+   * @param {Object} contact - contacts row
+   */
+  async exportContact(context, contact) {
+    const { job, adapter } = context;
+    const stats = context.stats.export;
+    const phoneColumn = job.column_mapping.find(m => m.field === 'phone').column;
+
+    stats.read++;
+
+    try {
+      if (!contact.phone) {
+        stats.skipped++;
+        return;
+      }
+
+      const values = this.mapContactToRow(job.column_mapping, contact);
+      const row = await adapter.findByColumn(phoneColumn, contact.phone);
+
+      if (!row) {
+        await adapter.insertRow(values);
+        stats.created++;
+        return;
+      }
+
+      const changes = {};
+      for (const [column, value] of Object.entries(values)) {
+        if (!sameValue(row[column], value)) changes[column] = value;
+      }
+      if (Object.keys(changes).length === 0) {
+        stats.unchanged++;
+        return;
+      }
+
+      if (!context.crmWinsContactIds.has(contact.id) && this.isRowChanged(context, row)) {
+        stats.conflicts++;
+        if (this.externalWins(context, row, contact)) {
+          stats.skipped++;
+          return;
+        }
+      }
+
+      await adapter.updateRow(row, changes);
+      stats.updated++;
+    } catch (error) {
+      stats.failed++;
+      this.recordError(context, 'export', { contactId: contact.id, error });
+    }
+  }
+
+  /**
+   * Map an external row to contact fields and custom field values
+   * @param {Array} mapping - Job column mapping
+   * @param {Object} row - External row
+   * @returns {{contact: Object, customFields: Object}}
+   */
+  mapRowToContact(mapping, row) {
+    const contact = {};
+    const customFields = {};
+
+    for (const { column, field } of mapping) {
+      if (!Object.prototype.hasOwnProperty.call(row, column)) continue;
+      const value = normalizeValue(row[column]);
+
+      if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+        customFields[field.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+      } else if (field === 'phone') {
+        contact.phone = ContactsService.normalizePhone(value == null ? '' : String(value));
+      } else {
+        contact[field] = value == null || value === '' ? null : String(value);
+      }
+    }
+
+    return { contact, customFields };
+  }
+
+  /**
+   * Map a contact to external columns
+   * @param {Array} mapping - Job column mapping
+   * @param {Object} contact - contacts row
+   * @returns {Object} Column values
+   */
+  mapContactToRow(mapping, contact) {
+    const values = {};
+
+    for (const { column, field } of mapping) {
+      if (field.startsWith(CUSTOM_FIELD_PREFIX)) {
+        values[column] = contact.custom_fields?.[field.slice(CUSTOM_FIELD_PREFIX.length)] ?? null;
+      } else {
+        values[column] = contact[CONTACT_FIELDS[field]] ?? null;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Fields of a contact that differ from the mapped row values
+   * @param {Object} contact - contacts row
+   * @param {Object} values - Mapped contact fields
+   * @param {Object} customFields - Mapped custom field values
+   * @returns {{contact: Object, customFields: Object}|null} null when nothing differs
+   */
+  diffContact(contact, values, customFields) {
+    const changes = { contact: {}, customFields: {} };
+
+    for (const [field, value] of Object.entries(values)) {
+      if (field === 'phone') continue;
+      if (!sameValue(contact[CONTACT_FIELDS[field]], value)) changes.contact[field] = value;
+    }
+
+    for (const [name, value] of Object.entries(customFields)) {
+      if (!sameValue(contact.custom_fields?.[name], value)) changes.customFields[name] = value;
+    }
+
+    const changed = Object.keys(changes.contact).length + Object.keys(changes.customFields).length;
+    return changed > 0 ? changes : null;
+  }
+
+  /**
+   * Whether a contact changed in the CRM since the last run (bidirectional jobs)
+   */
+  isContactChanged(context, contact) {
+    if (context.job.direction !== 'bidirectional' || !context.checkpoint || !contact.updated_at) return false;
+    return new Date(contact.updated_at) > new Date(context.checkpoint);
+  }
+
+  /**
+   * Whether an external row changed since the last run (bidirectional jobs)
+   */
+  isRowChanged(context, row) {
+    const column = context.job.updated_at_column;
+    if (context.job.direction !== 'bidirectional' || !context.checkpoint || !column || !row[column]) return false;
+    return new Date(row[column]) > new Date(context.checkpoint);
+  }
+
+  /**
+   * Resolve a conflict with the job's policy
+   * @returns {boolean} true when the external row wins
+   */
+  externalWins(context, row, contact) {
+    switch (context.job.conflict_policy) {
+      case 'external_wins':
+        return true;
+      case 'crm_wins':
+        return false;
+      default: {
+        const rowTime = row[context.job.updated_at_column];
+        if (!rowTime) return false;
+        return new Date(rowTime) > new Date(contact.updated_at);
+      }
+    }
+  }
+
+  recordError(context, phase, { rowKey = null, contactId = null, error }) {
+    logger.debug('CRM sync row failed', { runId: context.run.id, phase, rowKey, contactId, error: error.message });
+
+    if (context.errors.length >= MAX_ERRORS_PER_RUN) return;
+
+    context.errors.push({
+      run_id: context.run.id,
+      account_id: context.job.account_id,
+      phase,
+      row_key: rowKey == null ? null : String(rowKey),
+      contact_id: contactId,
+      error: error.message,
+      details: error.details || {}
+    });
+  }
+
+  async saveRunErrors(context) {
+    for (let i = 0; i < context.errors.length; i += 100) {
+      const batch = context.errors.slice(i, i + 100);
+      const { error } = await SupabaseService.queryAsAdmin('crm_sync_run_errors', (query) => query.insert(batch));
+      if (error) {
+        logger.error('Failed to save CRM sync run errors', { runId: context.run.id, error: error.message });
+        return;
+      }
+    }
+  }
+
+  // ==================== HELPERS ====================
+
+  async getJobRow(accountId, jobId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('crm_sync_jobs', (query) =>
+      query.select('*').eq('id', jobId).eq('account_id', accountId).maybeSingle()
+    );
+
+    if (error) throw error;
+    if (!data) throw new Error('SYNC_JOB_NOT_FOUND');
+    return data;
+  }
+
+  async getRunRow(runId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('crm_sync_runs', (query) =>
+      query.select('*').eq('id', runId).maybeSingle()
+    );
+
+    if (error) throw error;
+    if (!data) throw new Error('SYNC_RUN_NOT_FOUND');
+    return data;
+  }
+
+  async updateRun(runId, values) {
+    const { data, error } = await SupabaseService.update('crm_sync_runs', runId, values);
+    if (error) {
+      logger.error('Failed to update CRM sync run', { runId, error: error.message });
+      return null;
+    }
+    return data;
+  }
+
+  async getActiveRun(jobId) {
+    const staleBefore = new Date(Date.now() - STALE_RUN_MS).toISOString();
+    const { data, error } = await SupabaseService.queryAsAdmin('crm_sync_runs', (query) =>
+      query.select('id, status, created_at')
+        .eq('job_id', jobId)
+        .in('status', ACTIVE_RUN_STATUSES)
+        .gt('created_at', staleBefore)
+        .limit(1)
+    );
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Connection of the account usable by a sync job
+   * @throws {Error} CONNECTION_NOT_FOUND | UNSUPPORTED_CONNECTION_TYPE
+   */
+  async getAccountConnection(accountId, connectionId) {
+    const connection = connectionId
+      ? await DatabaseConnectionService.getConnectionById(connectionId)
+      : null;
+
+    if (!connection || connection.account_id !== accountId) {
+      throw new Error('CONNECTION_NOT_FOUND');
+    }
+
+    if (!SUPPORTED_TYPES.includes(connection.type)) {
+      const error = new Error('UNSUPPORTED_CONNECTION_TYPE');
+      error.details = { type: connection.type };
+      throw error;
+    }
+
+    return connection;
+  }
+
+  /**
+   * Contacts of an account by normalized phone
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getContactsByPhone(accountId, phones) {
+    const contacts = new Map();
+    if (phones.length === 0) return contacts;
+
+    const { data, error } = await SupabaseService.queryAsAdmin('contacts', (query) =>
+      query.select('*').eq('account_id', accountId).in('phone', [...new Set(phones)])
+    );
+
+    if (error) throw error;
+    (data || []).forEach(contact => contacts.set(contact.phone, contact));
+    return contacts;
+  }
+
+  formatJob(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      accountId: row.account_id,
+      connectionId: row.connection_id,
+      name: row.name,
+      direction: row.direction,
+      columnMapping: row.column_mapping || [],
+      keyColumn: row.key_column,
+      updatedAtColumn: row.updated_at_column,
+      conflictPolicy: row.conflict_policy,
+      intervalMinutes: row.interval_minutes,
+      isActive: row.is_active,
+      lastSyncedAt: row.last_synced_at,
+      lastRunAt: row.last_run_at,
+      lastRunStatus: row.last_run_status,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      jobId: row.job_id,
+      accountId: row.account_id,
+      trigger: row.trigger,
+      fullSync: row.full_sync,
+      status: row.status,
+      stats: row.stats || {},
+      error: row.error,
+      syncedSince: row.synced_since,
+      createdAt: row.created_at,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+
+  formatRunError(row) {
+    return {
+      id: row.id,
+      phase: row.phase,
+      rowKey: row.row_key,
+      contactId: row.contact_id,
+      error: row.error,
+      details: row.details || {},
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new CrmSyncService();
+module.exports.CrmSyncService = CrmSyncService;
+module.exports.SYNC_DIRECTIONS = SYNC_DIRECTIONS;
+module.exports.CONFLICT_POLICIES = CONFLICT_POLICIES;
+module.exports.CONTACT_FIELDS = CONTACT_FIELDS;
+module.exports.CUSTOM_FIELD_PREFIX = CUSTOM_FIELD_PREFIX;
@@ -0,0 +1,462 @@
+/**
+ * CsatService - Customer satisfaction surveys after conversation resolution
+ *
+ * Sends a short rating message (1-5 or emoji scale) when a conversation is
+ * resolved, parses the contact's reply (score, then an optional comment),
+ * stores the score linked to the conversation and the assigned agent and
+ * aggregates CSAT per agent, team and inbox for the dashboards.
+ *
+ * Requirements: CSAT surveys after conversation resolution
+ */
+
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const BusinessHoursService = require('./BusinessHoursService');
+
+const SURVEY_STATUS = {
+  PENDING: 'pending',
+  AWAITING_COMMENT: 'awaiting_comment',
+  COMPLETED: 'completed',
+  EXPIRED: 'expired'
+};
+
+const SCALES = {
+  NUMERIC: 'numeric',
+  EMOJI: 'emoji'
+};
+
+// Emoji answers, from worst to best
+const EMOJI_SCORES = {
+  '😡': 1, '😠': 1,
+  '😕': 2, '🙁': 2, '😞': 2,
+  '😐': 3, '😶': 3,
+  '🙂': 4, '😊': 4, '👍': 4,
+  '😍': 5, '🤩': 5, '😁': 5
+};
+
+const DEFAULT_MESSAGES = {
+  numeric: 'Como você avalia o atendimento que recebeu? Responda com uma nota de 1 (muito ruim) a 5 (excelente).',
+  emoji: 'Como você avalia o atendimento que recebeu? Responda com um emoji: 😡 😕 😐 🙂 😍',
+  thankYou: 'Obrigado pela sua avaliação!'
+};
+
+// Scores counted as satisfied in the CSAT percentage
+const SATISFIED_MIN_SCORE = 4;
+
+class CsatService {
+  // ==================== SETTINGS ====================
+
+  /**
+   * Get the survey settings of an account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getSettings(accountId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('csat_settings', (query) =>
+        query.select('*').eq('account_id', accountId).single()
+      );
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Failed to get CSAT settings', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the survey settings of an account
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - { isEnabled, scale, surveyMessage, commentPrompt, thankYouMessage, inboxIds, responseWindowHours }
+   * @returns {Promise<Object>}
+   */
+  async saveSettings(accountId, tenantId, data) {
+    try {
+      const inboxIds = [...new Set(data.inboxIds || [])];
+      if (inboxIds.length > 0) {
+        const { data: inboxes } = await supabaseService.queryAsAdmin('inboxes', (query) =>
+          query.select('id').in('id', inboxIds).eq('account_id', accountId)
+        );
+        if ((inboxes || []).length !== inboxIds.length) throw new Error('INVALID_INBOX');
+      }
+
+      const scale = data.scale || SCALES.NUMERIC;
+
+      const { data: settings, error } = await supabaseService.queryAsAdmin('csat_settings', (query) =>
+        query.upsert({
+          account_id: accountId,
+          tenant_id: tenantId,
+          is_enabled: !!data.isEnabled,
+          scale,
+          survey_message: data.surveyMessage?.trim() || DEFAULT_MESSAGES[scale],
+          comment_prompt: data.commentPrompt?.trim() || null,
+          thank_you_message: data.thankYouMessage?.trim() || null,
+          inbox_ids: inboxIds,
+          response_window_hours: data.responseWindowHours || 24,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'account_id' })
+          .select()
+          .single()
+      );
+
+      if (error) throw error;
+
+      logger.info('CSAT settings saved', { accountId, isEnabled: settings.is_enabled });
+      return settings;
+    } catch (error) {
+      logger.error('Failed to save CSAT settings', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  // ==================== SURVEYS ====================
+
+  /**
+   * Send the survey for a resolved conversation when the account has it
+   * enabled for the inbox. Never throws.
+   *
+   * @param {string} conversationId - Conversation UUID
+   * @param {Object} [options]
+   * @param {string} [options.userToken] - WUZAPI token of the inbox (resolved when missing)
+   * @param {Date} [options.now]
+   * @returns {Promise<Object|null>} Survey row, null when no survey was sent
+   */
+  async sendSurvey(conversationId, { userToken = null, now = new Date() } = {}) {
+    try {
+      const { data: conversation } = await supabaseService.queryAsAdmin('conversations', (query) =>
+        query.select('id, account_id, inbox_id, contact_jid, assigned_agent_id')
+          .eq('id', conversationId)
+          .single()
+      );
+      if (!conversation?.contact_jid || conversation.contact_jid.endsWith('@g.us')) return null;
+
+      // Conversations created by the webhook have no inbox_id
+      const inboxId = await BusinessHoursService.resolveInboxId(conversation, userToken);
+
+      const settings = await this.getSettings(conversation.account_id);
+      if (!this.shouldSend(settings, inboxId)) return null;
+
+      const token = await this.getSendingToken(conversation, userToken);
+      if (!token) {
+        logger.warn('No WUZAPI token to send CSAT survey', { conversationId });
+        return null;
+      }
+
+      // A new resolution replaces any survey still waiting for an answer
+      await supabaseService.queryAsAdmin('csat_surveys', (query) =>
+        query.update({ status: SURVEY_STATUS.EXPIRED })
+          .eq('conversation_id', conversationId)
+          .in('status', [SURVEY_STATUS.PENDING, SURVEY_STATUS.AWAITING_COMMENT])
+      );
+
+      await this.sendText(token, conversation.contact_jid, settings.survey_message);
+
+      const expiresAt = new Date(now.getTime() + settings.response_window_hours * 60 * 60 * 1000);
+      const { data: survey, error } = await supabaseService.insert('csat_surveys', {
+        account_id: conversation.account_id,
+        conversation_id: conversationId,
+        inbox_id: inboxId,
+        agent_id: conversation.assigned_agent_id || null,
+        status: SURVEY_STATUS.PENDING,
+        scale: settings.scale,
+        sent_at: now.toISOString(),
+        expires_at: expiresAt.toISOString()
+      });
+
+      if (error) throw error;
+
+      logger.info('CSAT survey sent', { conversationId, surveyId: survey.id, agentId: survey.agent_id });
+      return survey;
+    } catch (error) {
+      logger.error('Failed to send CSAT survey', { error: error.message, conversationId });
+      return null;
+    }
+  }
+
+  /**
+   * Whether the settings send a survey for the conversation's inbox
+   * @param {Object|null} settings - csat_settings row
+   * @param {string|null} inboxId - Inbox of the conversation
+   * @returns {boolean}
+   */
+  shouldSend(settings, inboxId) {
+    if (!settings?.is_enabled) return false;
+
+    const inboxIds = settings.inbox_ids || [];
+    return inboxIds.length === 0 || inboxIds.includes(inboxId);
+  }
+
+  /**
+   * Handle a contact message while a survey waits for an answer: the first
+   * reply must carry the score, the next one (when a comment is asked) is
+   * stored as the comment. Never throws.
+   *
+   * @param {Object} conversation - Conversation row
+   * @param {string} content - Message text
+   * @param {string} [userToken] - WUZAPI token of the receiving inbox
+   * @param {Date} [now]
+   * @returns {Promise<{handled: boolean, score?: number}>} handled = message consumed by the survey
+   */
+  async handleIncomingMessage(conversation, content, userToken = null, now = new Date()) {
+    try {
+      const survey = await this.getOpenSurvey(conversation.id, now);
+      if (!survey || !content?.trim()) return { handled: false };
+
+      const settings = await this.getSettings(survey.account_id);
+      const updates = {};
+      let reply = null;
+
+      if (survey.status === SURVEY_STATUS.AWAITING_COMMENT) {
+        updates.comment = content.trim().slice(0, 2000);
+      } else {
+        const answer = this.parseScore(content, survey.scale);
+        if (!answer) return { handled: false };
+
+        updates.score = answer.score;
+        updates.rated_at = now.toISOString();
+        if (answer.comment) updates.comment = answer.comment.slice(0, 2000);
+
+        if (!answer.comment && settings?.comment_prompt) {
+          updates.status = SURVEY_STATUS.AWAITING_COMMENT;
+          reply = settings.comment_prompt;
+        }
+      }
+
+      if (!updates.status) {
+        updates.status = SURVEY_STATUS.COMPLETED;
+        updates.completed_at = now.toISOString();
+        reply = settings?.thank_you_message || DEFAULT_MESSAGES.thankYou;
+      }
+
+      const { error } = await supabaseService.update('csat_surveys', survey.id, updates);
+      if (error) throw error;
+
+      const token = await this.getSendingToken(conversation, userToken);
+      if (reply && token) {
+        await this.sendText(token, conversation.contact_jid, reply);
+      }
+
+      logger.info('CSAT answer recorded', {
+        conversationId: conversation.id,
+        surveyId: survey.id,
+        status: updates.status
+      });
+      return { handled: true, score: updates.score ?? survey.score };
+    } catch (error) {
+      logger.warn('Failed to handle CSAT answer', { error: error.message, conversationId: conversation?.id });
+      return { handled: false };
+    }
+  }
+
+  async getOpenSurvey(conversationId, now) {
+    const { data, error } = await supabaseService.queryAsAdmin('csat_surveys', (query) =>
+      query.select('*')
+        .eq('conversation_id', conversationId)
+        .in('status', [SURVEY_STATUS.PENDING, SURVEY_STATUS.AWAITING_COMMENT])
+        .gt('expires_at', now.toISOString())
+        .order('sent_at', { ascending: false })
+        .limit(1)
+    );
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Parse a rating reply. Accepts "4", "4/5", "4 estrelas", "4️⃣", "⭐⭐⭐⭐"
+   * and, on the emoji scale, the scale emojis. Text after the score is
+   * kept as the comment.
+   *
+   * @param {string} content - Message text
+   * @param {string} [scale] - numeric | emoji
+   * @returns {{score: number, comment: string|null}|null}
+   */
+  parseScore(content, scale = SCALES.NUMERIC) {
+    const text = String(content || '').replace(/\uFE0F|\u20E3/g, '').trim();
+    if (!text) return null;
+
+    const toComment = (rest) => rest?.replace(/^[\s,.;:!-]+/, '').trim() || null;
+
+    if (/^[1-5](\D|$)/.test(text)) {
+      // "4/5", "4 estrelas"; anything else must be separated from the digit
+      const rest = text.slice(1).replace(/^\s*(\/\s*5|estrelas?|pontos?)/i, '');
+      if (!rest || /^[\s,.;:!-]/.test(rest)) {
+        return { score: Number(text[0]), comment: toComment(rest) };
+      }
+    }
+
+    const stars = text.match(/^(⭐{1,5})(.*)$/su);
+    if (stars) {
+      return { score: [...stars[1]].length, comment: toComment(stars[2]) };
+    }
+
+    if (scale === SCALES.EMOJI) {
+      const [first, ...rest] = [...text];
+      const score = EMOJI_SCORES[first];
+      if (score) {
+        return { score, comment: toComment(rest.join('')) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * WUZAPI token used to talk to the contact: the given token, the
+   * conversation inbox token or the account token
+   * @param {Object} conversation
+   * @param {string|null} userToken
+   * @returns {Promise<string|null>}
+   */
+  async getSendingToken(conversation, userToken = null) {
+    if (userToken) return userToken;
+
+    if (conversation.inbox_id) {
+      const { data: inbox } = await supabaseService.getById('inboxes', conversation.inbox_id);
+      if (inbox?.wuzapi_token) return inbox.wuzapi_token;
+    }
+
+    const { data: account } = await supabaseService.getById('accounts', conversation.account_id);
+    return account?.wuzapi_token || null;
+  }
+
+  async sendText(token, contactJid, content) {
+    const wuzapiBaseUrl = process.env.WUZAPI_BASE_URL || 'https://wzapi.wasend.com.br';
+
+    await axios.post(`${wuzapiBaseUrl}/chat/send/text`, {
+      Phone: contactJid.replace('@s.whatsapp.net', ''),
+      Body: content
+    }, {
+      headers: {
+        'token': token,
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000
+    });
+  }
+
+  // ==================== REPORTING ====================
+
+  /**
+   * CSAT over rated surveys, overall and per agent, team and inbox
+   * @param {string} accountId - Account UUID
+   * @param {Object} [options]
+   * @param {Date} [options.since] - Only ratings after this date
+   * @param {string[]|null} [options.inboxIds] - Restrict to inboxes
+   * @param {string[]|null} [options.agentIds] - Restrict to agents
+   * @returns {Promise<{overall: Object, byAgent: Object, byTeam: Object, byInbox: Object}>}
+   */
+  async getMetrics(accountId, { since = null, inboxIds = null, agentIds = null } = {}) {
+    const { data, error } = await supabaseService.queryAsAdmin('csat_surveys', (query) => {
+      let q = query
+        .select('score, agent_id, inbox_id')
+        .eq('account_id', accountId)
+        .not('score', 'is', null);
+
+      if (since) q = q.gte('rated_at', since.toISOString());
+      if (inboxIds && inboxIds.length > 0) q = q.in('inbox_id', inboxIds);
+      if (agentIds && agentIds.length > 0) q = q.in('agent_id', agentIds);
+      return q;
+    });
+
+    if (error) throw error;
+
+    const rows = data || [];
+    const teamsByAgent = await this.getTeamsByAgent([...new Set(rows.map(r => r.agent_id).filter(Boolean))]);
+
+    return {
+      overall: this.summarize(rows.map(r => r.score)),
+      byAgent: this.aggregateScores(rows, row => [row.agent_id]),
+      byTeam: this.aggregateScores(rows, row => teamsByAgent.get(row.agent_id) || []),
+      byInbox: this.aggregateScores(rows, row => [row.inbox_id])
+    };
+  }
+
+  /**
+   * CSAT of a single agent (used by the agent stats endpoint)
+   * @param {string} agentId - Agent UUID
+   * @param {Object} [options]
+   * @param {Date} [options.since]
+   * @returns {Promise<{responses: number, averageScore: number|null, csat: number|null}>}
+   */
+  async getAgentSummary(agentId, { since = null } = {}) {
+    const { data, error } = await supabaseService.queryAsAdmin('csat_surveys', (query) => {
+      let q = query
+        .select('score')
+        .eq('agent_id', agentId)
+        .not('score', 'is', null);
+
+      if (since) q = q.gte('rated_at', since.toISOString());
+      return q;
+    });
+
+    if (error) throw error;
+    return this.summarize((data || []).map(r => r.score));
+  }
+
+  async getTeamsByAgent(agentIds) {
+    const teams = new Map();
+    if (agentIds.length === 0) return teams;
+
+    const { data, error } = await supabaseService.queryAsAdmin('team_members', (query) =>
+      query.select('team_id, agent_id').in('agent_id', agentIds)
+    );
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      if (!teams.has(row.agent_id)) teams.set(row.agent_id, []);
+      teams.get(row.agent_id).push(row.team_id);
+    }
+    return teams;
+  }
+
+  /**
+   * @param {Object[]} rows - Rated surveys
+   * @param {Function} keysOf - Row -> group keys (an agent may be in several teams)
+   * @returns {Object} key -> { responses, averageScore, csat }
+   */
+  aggregateScores(rows, keysOf) {
+    const scores = {};
+
+    for (const row of rows) {
+      for (const key of keysOf(row)) {
+        if (!key) continue;
+        (scores[key] || (scores[key] = [])).push(row.score);
+      }
+    }
+
+    const result = {};
+    for (const [key, values] of Object.entries(scores)) {
+      result[key] = this.summarize(values);
+    }
+    return result;
+  }
+
+  /**
+   * @param {number[]} scores
+   * @returns {{responses: number, averageScore: number|null, csat: number|null}} csat = % of 4-5 ratings
+   */
+  summarize(scores) {
+    if (scores.length === 0) {
+      return { responses: 0, averageScore: null, csat: null };
+    }
+
+    const total = scores.reduce((sum, score) => sum + score, 0);
+    const satisfied = scores.filter(score => score >= SATISFIED_MIN_SCORE).length;
+
+    return {
+      responses: scores.length,
+      averageScore: Math.round((total / scores.length) * 100) / 100,
+      csat: Math.round((satisfied / scores.length) * 10000) / 100
+    };
+  }
+}
+
+module.exports = new CsatService();
+module.exports.CsatService = CsatService;
+module.exports.SURVEY_STATUS = SURVEY_STATUS;
+module.exports.SCALES = SCALES;
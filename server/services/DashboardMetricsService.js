@@ -8,6 +8,8 @@
  */
 
 const SupabaseService = require('./SupabaseService');
+const SlaService = require('./SlaService');
+const CsatService = require('./CsatService');
 const { logger } = require('../utils/logger');
 
 class DashboardMetricsService {
@@ -27,7 +29,8 @@ class DashboardMetricsService {
         campaigns,
         quotas,
         subscription,
-        contacts
+        contacts,
+        csat
       ] = await Promise.all([
         this.getInboxStatus(accountId),
         this.getConversationMetrics(accountId, null, inboxIds),
@@ -36,19 +39,30 @@ class DashboardMetricsService {
         this.getCampaignStatus(accountId),
         this.getQuotaUsage(accountId),
         this.getSubscriptionInfo(accountId),
-        this.getContactStats(accountId, inboxIds)
+        this.getContactStats(accountId, inboxIds),
+        this.getCsatMetrics(accountId, inboxIds)
       ]);
 
       return {
         inboxes,
         conversations,
         previousPeriodConversations: previousConversations,
-        agents,
+        agents: agents.map(agent => ({
+          ...agent,
+          csatResponses: csat.byAgent[agent.id]?.responses || 0,
+          csatAverageScore: csat.byAgent[agent.id]?.averageScore ?? null,
+          csatScore: csat.byAgent[agent.id]?.csat ?? null
+        })),
         campaigns,
         quotas,
         subscription,
         creditBalance: subscription?.creditBalance || 0,
         contacts,
+        csat: {
+          overall: csat.overall,
+          byTeam: csat.byTeam,
+          byInbox: csat.byInbox
+        },
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
@@ -202,7 +216,7 @@ class DashboardMetricsService {
   }
 
   /**
-   * Get agent metrics
+   * Get agent metrics, including SLA compliance over the current period
    * Requirements: 4.1, 4.2, 4.3
    * @param {string} accountId - Account ID
    * @param {string[]|null} inboxIds - Optional inbox IDs to filter by
@@ -283,13 +297,27 @@ class DashboardMetricsService {
         return acc;
       }, {});
 
+      // SLA outcomes (met/breached) attributed to each agent
+      let slaByAgent = {};
+      try {
+        slaByAgent = await SlaService.getAgentCompliance(accountId, agentIds, {
+          since: this._getCurrentPeriod().start,
+          inboxIds
+        });
+      } catch (slaError) {
+        logger.error('Failed to fetch SLA compliance', { accountId, error: slaError.message });
+      }
+
       return agents.map(agent => ({
         id: agent.id,
         name: agent.name,
         avatarUrl: agent.avatar_url,
         availability: agent.availability_status || 'offline',
         assignedConversations: assignedByAgent[agent.id] || 0,
-        resolvedConversations: resolvedByAgent[agent.id] || 0
+        resolvedConversations: resolvedByAgent[agent.id] || 0,
+        slaMet: slaByAgent[agent.id]?.met || 0,
+        slaBreached: slaByAgent[agent.id]?.breached || 0,
+        slaCompliance: slaByAgent[agent.id]?.compliance ?? null
       }));
     } catch (error) {
       logger.error('Error in getAgentMetrics', { accountId, error: error.message });
@@ -297,6 +325,25 @@ class DashboardMetricsService {
     }
   }
 
+  /**
+   * Get CSAT (customer satisfaction) over the current period, overall and
+   * per agent, team and inbox
+   * @param {string} accountId - Account ID
+   * @param {string[]|null} inboxIds - Optional inbox IDs to filter by
+   * @returns {Promise<Object>} { overall, byAgent, byTeam, byInbox }
+   */
+  async getCsatMetrics(accountId, inboxIds = null) {
+    try {
+      return await CsatService.getMetrics(accountId, {
+        since: this._getCurrentPeriod().start,
+        inboxIds
+      });
+    } catch (error) {
+      logger.error('Error in getCsatMetrics', { accountId, error: error.message });
+      return { overall: CsatService.summarize([]), byAgent: {}, byTeam: {}, byInbox: {} };
+    }
+  }
+
   /**
    * Get campaign status
    * Requirements: 5.1, 5.2, 5.3
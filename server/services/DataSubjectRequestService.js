@@ -0,0 +1,669 @@
+/**
+ * DataSubjectRequestService - LGPD data subject requests (export and erase)
+ *
+ * Given a contact id or a phone number, finds every record about the data
+ * subject across the CRM, inbox, scheduling and campaign tables. Export
+ * requests produce a machine-readable JSON copy of those records; erase
+ * requests delete them (or anonymize the ones that must be kept) together
+ * with the stored media of the subject's conversations.
+ *
+ * Every status change of a request is appended to
+ * data_subject_request_events. The consent ledger is exported but never
+ * erased: it is the account's proof of the consent it had (LGPD art. 16).
+ *
+ * Requirements: LGPD data subject requests: export and erase everything about a contact
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const SupabaseService = require('./SupabaseService');
+const CascadeDeleteService = require('./CascadeDeleteService');
+const { s3Service } = require('./S3Service');
+const { normalizePhoneNumber } = require('../utils/phoneUtils');
+
+const REQUEST_TYPES = ['export', 'erase'];
+const ERASE_MODES = ['delete', 'anonymize'];
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Rows read per query when collecting a source
+const PAGE_SIZE = 1000;
+
+/**
+ * Where the personal data of a subject lives.
+ * - by: 'contact' (column with the contact id), 'conversation' (conversation_id)
+ *   or 'phone' (account rows keyed by phone, without a contact link)
+ * - keep: exported but never erased
+ * - anonymize: (placeholder) => columns overwritten in anonymize mode ({}
+ *   keeps the row as is, it only points to the anonymized contact); sources
+ *   without it are deleted in both modes
+ * - scope: how phone rows are restricted to the account
+ *
+ * Conversation sources are erased by CascadeDeleteService.deleteConversations.
+ */
+const DATA_SOURCES = [
+  { key: 'consents', table: 'contact_consents', by: 'contact', keep: true },
+  { key: 'interactions', table: 'contact_interactions', by: 'contact' },
+  { key: 'purchases', table: 'contact_purchases', by: 'contact', anonymize: () => ({}) },
+  { key: 'creditTransactions', table: 'contact_credit_transactions', by: 'contact', anonymize: () => ({}) },
+  { key: 'appointments', table: 'appointments', by: 'contact', anonymize: () => ({ description: null, notes: null }) },
+  { key: 'appointmentSeries', table: 'appointment_series', by: 'contact', anonymize: () => ({ description: null, notes: null }) },
+  { key: 'tags', table: 'contact_tag_members', by: 'contact' },
+  { key: 'groups', table: 'contact_group_members', by: 'contact' },
+  { key: 'segments', table: 'contact_segment_members', by: 'contact' },
+  { key: 'dripEvents', table: 'drip_sequence_events', by: 'contact' },
+  { key: 'dripEnrollments', table: 'drip_sequence_enrollments', by: 'contact' },
+  { key: 'campaignErrors', table: 'campaign_error_logs', by: 'contact' },
+  { key: 'mergeAudit', table: 'contact_merge_audit', by: 'contact', column: 'merged_contact_id' },
+  { key: 'messages', table: 'chat_messages', by: 'conversation' },
+  { key: 'notes', table: 'contact_notes', by: 'conversation' },
+  { key: 'attributes', table: 'contact_attributes', by: 'conversation' },
+  { key: 'csatSurveys', table: 'csat_surveys', by: 'conversation' },
+  { key: 'botFlowSessions', table: 'bot_flow_sessions', by: 'conversation' },
+  { key: 'appointmentReminders', table: 'appointment_reminders', by: 'phone', column: 'contact_phone', scope: 'account' },
+  { key: 'bookingVerifications', table: 'booking_verifications', by: 'phone', column: 'phone', scope: 'account' },
+  { key: 'sentMessages', table: 'sent_messages', by: 'phone', column: 'phone', scope: 'account' },
+  { key: 'scheduledMessages', table: 'scheduled_single_messages', by: 'phone', column: 'recipient', scope: 'account' },
+  {
+    key: 'campaignContacts',
+    table: 'campaign_contacts',
+    by: 'phone',
+    column: 'phone',
+    scope: 'userToken',
+    anonymize: (placeholder) => ({ phone: placeholder, name: null, variables: {} })
+  },
+  {
+    key: 'agentCampaignContacts',
+    table: 'agent_campaign_contacts',
+    by: 'phone',
+    column: 'phone',
+    scope: 'agentCampaign',
+    anonymize: (placeholder) => ({ phone: placeholder, name: null, variables: {} })
+  }
+];
+
+// Contact columns overwritten in anonymize mode
+const CONTACT_ANONYMIZATION = {
+  name: 'Titular anonimizado',
+  avatar_url: null,
+  whatsapp_jid: null,
+  metadata: {},
+  custom_fields: {},
+  is_active: false,
+  bulk_messaging_opt_in: false,
+  transactional_opt_in: false
+};
+
+class DataSubjectRequestService {
+  // ==================== REQUESTS ====================
+
+  /**
+   * List the data subject requests of an account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object[]>}
+   */
+  async getRequests(accountId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('data_subject_requests', (query) =>
+      query.select('*')
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: false })
+    );
+
+    if (error) throw error;
+    return (data || []).map(row => this.formatRequest(row));
+  }
+
+  /**
+   * Get a data subject request with its status trail
+   * @param {string} accountId - Account UUID
+   * @param {string} requestId - Request UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getRequest(accountId, requestId) {
+    const row = await this.getRequestRow(accountId, requestId);
+    if (!row) return null;
+
+    const { data: events, error } = await SupabaseService.queryAsAdmin('data_subject_request_events', (query) =>
+      query.select('*')
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: true })
+    );
+
+    if (error) throw error;
+    return {
+      ...this.formatRequest(row),
+      events: (events || []).map(event => this.formatEvent(event))
+    };
+  }
+
+  async getRequestRow(accountId, requestId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('data_subject_requests', (query) =>
+      query.select('*')
+        .eq('id', requestId)
+        .eq('account_id', accountId)
+        .single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Register a data subject request and process it
+   *
+   * The request is returned with its final status: a failure is recorded in
+   * the status trail instead of being thrown.
+   *
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} input
+   * @param {string} input.type - export | erase
+   * @param {string} [input.eraseMode='delete'] - delete | anonymize (erase only)
+   * @param {string} [input.contactId] - Contact of the subject
+   * @param {string} [input.phone] - Phone of the subject (when there is no contact)
+   * @param {string} [input.reason] - How the subject asked (ticket, e-mail...)
+   * @param {string} [input.requestedBy] - User registering the request
+   * @returns {Promise<Object>} Request with its status trail
+   * @throws {Error} INVALID_TYPE | INVALID_ERASE_MODE | SUBJECT_REQUIRED | CONTACT_NOT_FOUND
+   */
+  async createRequest(accountId, tenantId, input) {
+    if (!REQUEST_TYPES.includes(input.type)) throw new Error('INVALID_TYPE');
+
+    const eraseMode = input.type === 'erase' ? (input.eraseMode || 'delete') : null;
+    if (eraseMode && !ERASE_MODES.includes(eraseMode)) throw new Error('INVALID_ERASE_MODE');
+
+    const subject = await this.resolveSubject(accountId, input);
+
+    const { data: request, error } = await SupabaseService.insert('data_subject_requests', {
+      tenant_id: tenantId,
+      account_id: accountId,
+      type: input.type,
+      erase_mode: eraseMode,
+      status: 'received',
+      contact_id: subject.contact?.id || null,
+      subject_phone: subject.phone,
+      subject_hash: this.hashSubject(accountId, subject.phone),
+      reason: input.reason || null,
+      requested_by: input.requestedBy || null
+    });
+
+    if (error) throw error;
+
+    await this.recordEvent(request, 'received', `${input.type} request received`, {
+      eraseMode,
+      reason: input.reason || null
+    }, input.requestedBy);
+
+    await this.processRequest(request, subject, input.requestedBy);
+
+    return this.getRequest(accountId, request.id);
+  }
+
+  /**
+   * Run a registered request, recording each status change
+   * @param {Object} request - data_subject_requests row
+   * @param {Object} subject - { contact, phone }
+   * @param {string} [actorId]
+   */
+  async processRequest(request, subject, actorId) {
+    try {
+      await this.setStatus(request, 'processing', `${request.type} started`, {}, actorId);
+
+      if (request.type === 'export') {
+        const data = await this.collectSubjectData(request.account_id, subject);
+        const result = { records: this.countRecords(data) };
+
+        await this.setStatus(request, 'completed', 'Export ready for download', result, actorId, { result });
+      } else {
+        const result = await this.eraseSubject(request.account_id, subject, request.erase_mode);
+
+        // Only the hash identifies an erased subject from now on
+        await this.setStatus(request, 'completed', `Subject data erased (${request.erase_mode})`, result, actorId, {
+          result,
+          subject_phone: null
+        });
+      }
+    } catch (error) {
+      logger.error('Data subject request failed', {
+        requestId: request.id,
+        type: request.type,
+        error: error.message
+      });
+
+      await this.setStatus(request, 'failed', `${request.type} failed`, {
+        error: error.message,
+        ...(error.details ? { details: error.details } : {})
+      }, actorId, { error: error.message });
+    }
+  }
+
+  /**
+   * Update the request status and append it to the status trail
+   */
+  async setStatus(request, status, message, details, actorId, changes = {}) {
+    const now = new Date().toISOString();
+
+    const { error } = await SupabaseService.update('data_subject_requests', request.id, {
+      status,
+      ...changes,
+      ...(['completed', 'failed'].includes(status) ? { completed_at: now } : {}),
+      updated_at: now
+    });
+
+    if (error) throw error;
+
+    request.status = status;
+    await this.recordEvent(request, status, message, details, actorId);
+  }
+
+  async recordEvent(request, status, message, details = {}, actorId = null) {
+    const { error } = await SupabaseService.insert('data_subject_request_events', {
+      request_id: request.id,
+      account_id: request.account_id,
+      status,
+      message,
+      details,
+      actor_id: actorId || null
+    });
+
+    if (error) throw error;
+  }
+
+  // ==================== EXPORT ====================
+
+  /**
+   * Build the export of a completed export request
+   *
+   * The export is rebuilt from the current data on every download so no copy
+   * of the subject's data is stored; each download is recorded in the trail.
+   *
+   * @param {string} accountId - Account UUID
+   * @param {string} requestId - Request UUID
+   * @param {string} [actorId] - User downloading the export
+   * @returns {Promise<Object|null>} Export document, null if the request does not exist
+   * @throws {Error} REQUEST_NOT_EXPORT | REQUEST_NOT_COMPLETED
+   */
+  async getExport(accountId, requestId, actorId) {
+    const request = await this.getRequestRow(accountId, requestId);
+    if (!request) return null;
+
+    if (request.type !== 'export') throw new Error('REQUEST_NOT_EXPORT');
+    if (request.status !== 'completed') throw new Error('REQUEST_NOT_COMPLETED');
+
+    const subject = await this.resolveSubject(accountId, {
+      contactId: request.contact_id,
+      phone: request.subject_phone
+    });
+    const data = await this.collectSubjectData(accountId, subject);
+
+    await this.recordEvent(request, request.status, 'Export downloaded', { records: this.countRecords(data) }, actorId);
+
+    return {
+      version: EXPORT_FORMAT_VERSION,
+      requestId: request.id,
+      generatedAt: new Date().toISOString(),
+      subject: {
+        contactId: subject.contact?.id || null,
+        phone: subject.phone
+      },
+      data
+    };
+  }
+
+  /**
+   * Collect every record about the subject, keyed by data source
+   * @param {string} accountId - Account UUID
+   * @param {Object} subject - { contact, phone }
+   * @returns {Promise<Object>} { contact, conversations, <source key>: rows[] }
+   */
+  async collectSubjectData(accountId, subject) {
+    const conversations = await this.getConversations(accountId, subject);
+    const context = await this.getSourceContext(accountId, subject, conversations);
+
+    const data = {
+      contact: subject.contact,
+      conversations
+    };
+
+    for (const source of DATA_SOURCES) {
+      data[source.key] = await this.fetchSource(source, context);
+    }
+
+    return data;
+  }
+
+  countRecords(data) {
+    const records = {};
+    for (const [key, value] of Object.entries(data)) {
+      records[key] = Array.isArray(value) ? value.length : (value ? 1 : 0);
+    }
+    return records;
+  }
+
+  // ==================== ERASE ====================
+
+  /**
+   * Erase the subject's data
+   *
+   * Order: media and conversations (CascadeDeleteService), S3 media of the
+   * subject's messages, sources keyed by phone and by contact, and finally
+   * the contact itself. In anonymize mode purchases, credit transactions,
+   * appointments and campaign rows are kept without personal data and the
+   * contact row stays as an anonymous record.
+   *
+   * @param {string} accountId - Account UUID
+   * @param {Object} subject - { contact, phone }
+   * @param {string} mode - delete | anonymize
+   * @returns {Promise<Object>} { erased, anonymized, kept, mediaFiles }
+   */
+  async eraseSubject(accountId, subject, mode) {
+    const conversations = await this.getConversations(accountId, subject);
+    const context = await this.getSourceContext(accountId, subject, conversations);
+    const result = { erased: {}, anonymized: {}, kept: {}, mediaFiles: 0 };
+    const placeholder = `anon-${this.hashSubject(accountId, subject.phone).slice(0, 12)}`;
+
+    // S3 media is referenced by message URLs only, collect before the messages go
+    const messages = await this.fetchSource(DATA_SOURCES.find(s => s.key === 'messages'), context);
+    const s3Keys = this.getS3Keys(messages);
+
+    const cascade = new CascadeDeleteService();
+    const summary = await cascade.deleteConversations(conversations.map(c => c.id));
+    const { mediaFiles, conversations: conversationCount, ...conversationCounts } = summary.deletedCounts;
+
+    result.mediaFiles = mediaFiles;
+    result.erased.conversations = conversationCount;
+    Object.assign(result.erased, conversationCounts);
+
+    for (const key of s3Keys) {
+      await s3Service.delete(key);
+      result.mediaFiles++;
+    }
+
+    for (const source of DATA_SOURCES) {
+      if (source.by === 'conversation') continue;
+
+      const rows = await this.fetchSource(source, context);
+      if (source.keep) {
+        result.kept[source.key] = rows.length;
+        continue;
+      }
+      if (rows.length === 0) {
+        result.erased[source.key] = 0;
+        continue;
+      }
+
+      const ids = rows.map(row => row.id);
+      if (mode === 'anonymize' && source.anonymize) {
+        const changes = source.anonymize(placeholder);
+        if (Object.keys(changes).length > 0) {
+          await this.updateRows(source.table, ids, changes);
+        }
+        result.anonymized[source.key] = rows.length;
+      } else {
+        await this.deleteRows(source.table, ids);
+        result.erased[source.key] = rows.length;
+      }
+    }
+
+    if (subject.contact) {
+      if (mode === 'anonymize') {
+        const { error } = await SupabaseService.update('contacts', subject.contact.id, {
+          ...CONTACT_ANONYMIZATION,
+          phone: placeholder,
+          updated_at: new Date().toISOString()
+        });
+        if (error) throw error;
+        result.anonymized.contact = 1;
+      } else {
+        const { error } = await SupabaseService.delete('contacts', subject.contact.id);
+        if (error) throw error;
+        result.erased.contact = 1;
+      }
+    }
+
+    logger.info('Data subject erased', {
+      accountId,
+      contactId: subject.contact?.id || null,
+      mode,
+      result
+    });
+
+    return result;
+  }
+
+  /**
+   * S3 keys of the media attached to messages
+   * @param {Object[]} messages - chat_messages rows
+   * @returns {string[]}
+   */
+  getS3Keys(messages) {
+    if (!s3Service.isEnabled()) return [];
+
+    const prefix = s3Service.getPublicUrl('');
+    const keys = messages
+      .map(message => message.media_url)
+      .filter(url => typeof url === 'string' && url.startsWith(prefix))
+      .map(url => decodeURIComponent(url.slice(prefix.length)));
+
+    return [...new Set(keys)];
+  }
+
+  async updateRows(table, ids, changes) {
+    for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+      const batch = ids.slice(i, i + PAGE_SIZE);
+      const { error } = await SupabaseService.queryAsAdmin(table, (query) =>
+        query.update(changes).in('id', batch)
+      );
+      if (error) throw error;
+    }
+  }
+
+  async deleteRows(table, ids) {
+    for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+      const batch = ids.slice(i, i + PAGE_SIZE);
+      const { error } = await SupabaseService.queryAsAdmin(table, (query) =>
+        query.delete().in('id', batch)
+      );
+      if (error) throw error;
+    }
+  }
+
+  // ==================== SUBJECT LOOKUP ====================
+
+  /**
+   * Resolve the contact and phone of a subject
+   * @param {string} accountId - Account UUID
+   * @param {Object} input - { contactId, phone }
+   * @returns {Promise<{contact: Object|null, phone: string}>}
+   * @throws {Error} SUBJECT_REQUIRED | CONTACT_NOT_FOUND
+   */
+  async resolveSubject(accountId, input) {
+    if (input.contactId) {
+      const contact = await this.getContact(accountId, 'id', input.contactId);
+      if (!contact) throw new Error('CONTACT_NOT_FOUND');
+      return { contact, phone: contact.phone || (input.phone ? normalizePhoneNumber(input.phone) : null) };
+    }
+
+    if (!input.phone) throw new Error('SUBJECT_REQUIRED');
+
+    const phone = normalizePhoneNumber(input.phone);
+    const contact = await this.getContact(accountId, 'phone', phone);
+    return { contact, phone };
+  }
+
+  async getContact(accountId, column, value) {
+    const { data, error } = await SupabaseService.queryAsAdmin('contacts', (query) =>
+      query.select('*')
+        .eq('account_id', accountId)
+        .eq(column, value)
+        .limit(1)
+    );
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Conversations of the subject in the account (matched by WhatsApp JID)
+   */
+  async getConversations(accountId, subject) {
+    const jids = this.getSubjectJids(subject);
+    if (jids.length === 0) return [];
+
+    return this.fetchAll('conversations', (query) =>
+      query.select('*')
+        .eq('account_id', accountId)
+        .in('contact_jid', jids)
+    );
+  }
+
+  getSubjectJids(subject) {
+    const jids = this.getSubjectPhones(subject).map(phone => `${phone}@s.whatsapp.net`);
+    if (subject.contact?.whatsapp_jid) jids.push(subject.contact.whatsapp_jid);
+    return [...new Set(jids)];
+  }
+
+  getSubjectPhones(subject) {
+    return [...new Set([subject.phone, subject.contact?.phone].filter(Boolean))];
+  }
+
+  /**
+   * Everything fetchSource needs to find the subject's rows
+   */
+  async getSourceContext(accountId, subject, conversations) {
+    return {
+      accountId,
+      contactId: subject.contact?.id || null,
+      phones: this.getSubjectPhones(subject),
+      conversationIds: conversations.map(c => c.id),
+      userTokens: await this.getAccountTokens(accountId)
+    };
+  }
+
+  /**
+   * WhatsApp tokens of the account (bulk campaigns are keyed by token)
+   */
+  async getAccountTokens(accountId) {
+    const [{ data: account, error: accountError }, { data: inboxes, error: inboxError }] = await Promise.all([
+      SupabaseService.queryAsAdmin('accounts', (query) =>
+        query.select('wuzapi_token').eq('id', accountId).single()
+      ),
+      SupabaseService.queryAsAdmin('inboxes', (query) =>
+        query.select('wuzapi_token').eq('account_id', accountId)
+      )
+    ]);
+
+    if (accountError && accountError.code !== 'PGRST116') throw accountError;
+    if (inboxError) throw inboxError;
+
+    const tokens = [account?.wuzapi_token, ...(inboxes || []).map(i => i.wuzapi_token)];
+    return [...new Set(tokens.filter(Boolean))];
+  }
+
+  /**
+   * Fetch the subject's rows of a data source
+   * @param {Object} source - DATA_SOURCES entry
+   * @param {Object} context - From getSourceContext
+   * @returns {Promise<Object[]>}
+   */
+  async fetchSource(source, context) {
+    if (source.by === 'contact') {
+      if (!context.contactId) return [];
+      return this.fetchAll(source.table, (query) =>
+        query.select('*').eq(source.column || 'contact_id', context.contactId)
+      );
+    }
+
+    if (source.by === 'conversation') {
+      if (context.conversationIds.length === 0) return [];
+      return this.fetchAll(source.table, (query) =>
+        query.select('*').in('conversation_id', context.conversationIds)
+      );
+    }
+
+    if (context.phones.length === 0) return [];
+
+    if (source.scope === 'userToken') {
+      if (context.userTokens.length === 0) return [];
+      return this.fetchAll(source.table, (query) =>
+        query.select('*, bulk_campaigns!inner(user_token)')
+          .in('bulk_campaigns.user_token', context.userTokens)
+          .in(source.column, context.phones)
+      );
+    }
+
+    if (source.scope === 'agentCampaign') {
+      return this.fetchAll(source.table, (query) =>
+        query.select('*, agent_campaigns!inner(account_id)')
+          .eq('agent_campaigns.account_id', context.accountId)
+          .in(source.column, context.phones)
+      );
+    }
+
+    return this.fetchAll(source.table, (query) =>
+      query.select('*')
+        .eq('account_id', context.accountId)
+        .in(source.column, context.phones)
+    );
+  }
+
+  /**
+   * Read all rows of a query, PAGE_SIZE at a time
+   */
+  async fetchAll(table, queryFn) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await SupabaseService.queryAsAdmin(table, (query) =>
+        queryFn(query).order('id', { ascending: true }).range(from, from + PAGE_SIZE - 1)
+      );
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  hashSubject(accountId, phone) {
+    return crypto.createHash('sha256').update(`${accountId}:${phone || ''}`).digest('hex');
+  }
+
+  // ==================== FORMATTING ====================
+
+  formatRequest(row) {
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      type: row.type,
+      eraseMode: row.erase_mode,
+      status: row.status,
+      contactId: row.contact_id,
+      subjectPhone: row.subject_phone,
+      subjectHash: row.subject_hash,
+      reason: row.reason,
+      requestedBy: row.requested_by,
+      result: row.result || {},
+      error: row.error,
+      completedAt: row.completed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatEvent(row) {
+    return {
+      id: row.id,
+      status: row.status,
+      message: row.message,
+      details: row.details || {},
+      actorId: row.actor_id,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new DataSubjectRequestService();
+module.exports.DataSubjectRequestService = DataSubjectRequestService;
+module.exports.REQUEST_TYPES = REQUEST_TYPES;
+module.exports.ERASE_MODES = ERASE_MODES;
+module.exports.DATA_SOURCES = DATA_SOURCES;
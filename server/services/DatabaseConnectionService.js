@@ -2,14 +2,19 @@
  * Database Connection Service
  * Handles CRUD operations for database connections (NocoDB, etc.)
  * Migrated from database.js compatibility layer
+ *
+ * Credentials are stored encrypted by the credential vault and returned
+ * decrypted by the read methods; routes must mask them before responding.
  */
 
 const SupabaseService = require('./SupabaseService');
+const CredentialVaultService = require('./CredentialVaultService');
 const { logger } = require('../utils/logger');
 
 // Field mapping from camelCase to snake_case
 const FIELD_MAPPING = {
   accountId: 'account_id',
+  database: 'database_name',
   databaseName: 'database_name',
   tableName: 'table_name',
   nocodbToken: 'nocodb_token',
@@ -36,6 +41,9 @@ const ALLOWED_FIELDS = [
   'supabase_url', 'supabase_key', 'supabase_key_type', 'supabase_table'
 ];
 
+// Credential fields encrypted by the credential vault
+const SECRET_FIELDS = ['password', 'nocodb_token', 'supabase_key'];
+
 class DatabaseConnectionService {
   /**
    * Filter and map connection data to match Supabase table schema
@@ -64,6 +72,43 @@ class DatabaseConnectionService {
     return filteredData;
   }
 
+  /**
+   * Encrypt the credential fields of filtered connection data
+   * Masked values (sent back unchanged by the UI) keep the stored secret.
+   * @param {Object} filteredData - Output of _filterConnectionData
+   * @param {string|null} accountId - Account owning the connection
+   * @returns {Promise<Object>} Data with encrypted credentials
+   */
+  static async _encryptSecrets(filteredData, accountId) {
+    const data = { ...filteredData };
+    for (const field of SECRET_FIELDS) {
+      if (CredentialVaultService.isMask(data[field])) {
+        delete data[field];
+      }
+    }
+
+    if (!SECRET_FIELDS.some(field => data[field])) {
+      return data;
+    }
+
+    const tenantId = await CredentialVaultService.resolveTenantId({ accountId });
+    return CredentialVaultService.encryptFields(tenantId, data, SECRET_FIELDS);
+  }
+
+  /**
+   * Decrypt the credential fields of a connection row
+   * Use for rows read without this service (e.g. queryAsAdmin).
+   * @param {Object|null} connection - database_connections row
+   * @returns {Promise<Object|null>} Connection with plain credentials
+   */
+  static async decryptSecrets(connection) {
+    return CredentialVaultService.decryptFields(connection, SECRET_FIELDS);
+  }
+
+  static async _decryptAll(connections) {
+    return Promise.all((connections || []).map(connection => this.decryptSecrets(connection)));
+  }
+
   /**
    * Get all database connections
    * @returns {Promise<Array>} List of connections
@@ -79,7 +124,7 @@ class DatabaseConnectionService {
       throw error;
     }
     
-    return data || [];
+    return this._decryptAll(data);
   }
 
   /**
@@ -95,7 +140,7 @@ class DatabaseConnectionService {
       throw error;
     }
     
-    return data;
+    return this.decryptSecrets(data);
   }
 
   /**
@@ -105,15 +150,16 @@ class DatabaseConnectionService {
    */
   static async createConnection(connectionData) {
     const filteredData = this._filterConnectionData(connectionData);
+    const encryptedData = await this._encryptSecrets(filteredData, filteredData.account_id || null);
     
-    const { data, error } = await SupabaseService.insert('database_connections', filteredData);
+    const { data, error } = await SupabaseService.insert('database_connections', encryptedData);
     
     if (error) {
       logger.error('Error creating connection', { error: error.message });
       throw error;
     }
     
-    return { id: data?.id, changes: 1, data };
+    return { id: data?.id, changes: 1, data: await this.decryptSecrets(data) };
   }
 
   /**
@@ -124,15 +170,22 @@ class DatabaseConnectionService {
    */
   static async updateConnection(id, connectionData) {
     const filteredData = this._filterConnectionData(connectionData, true);
+
+    let accountId = filteredData.account_id || null;
+    if (!accountId && SECRET_FIELDS.some(field => filteredData[field])) {
+      const { data: existing } = await SupabaseService.getById('database_connections', id);
+      accountId = existing?.account_id || null;
+    }
+    const encryptedData = await this._encryptSecrets(filteredData, accountId);
     
-    const { data, error } = await SupabaseService.update('database_connections', id, filteredData);
+    const { data, error } = await SupabaseService.update('database_connections', id, encryptedData);
     
     if (error) {
       logger.error('Error updating connection', { id, error: error.message });
       throw error;
     }
     
-    return { changes: data ? 1 : 0, data };
+    return { changes: data ? 1 : 0, data: await this.decryptSecrets(data) };
   }
 
   /**
@@ -187,7 +240,7 @@ class DatabaseConnectionService {
         return assignedUsers.includes(userId);
       });
       
-      return userConnections;
+      return await this._decryptAll(userConnections);
     } catch (err) {
       logger.error('Error in getUserConnections', { userId, error: err.message });
       return [];
@@ -212,8 +265,9 @@ class DatabaseConnectionService {
       throw error;
     }
     
-    return data || [];
+    return this._decryptAll(data);
   }
 }
 
 module.exports = DatabaseConnectionService;
+module.exports.SECRET_FIELDS = SECRET_FIELDS;
@@ -0,0 +1,331 @@
+/**
+ * DomainEventBus - Internal bus of domain events
+ *
+ * Services publish what happened (message received, contact created, ...)
+ * once, and every consumer subscribes to the bus instead of being called
+ * from the publisher: outgoing webhooks, external (API v1) webhooks,
+ * websocket broadcasts and automations (services/DomainEventSubscribers.js).
+ *
+ * Events are wrapped in a versioned envelope; the catalog below and
+ * docs/api/DOMAIN_EVENTS.md document the payload of each event type.
+ * Publishing never fails the caller: invalid events and subscriber errors
+ * are logged.
+ *
+ * Requirements: Unify OutgoingWebhookService and ExternalWebhookService into one event bus
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const SupabaseService = require('./SupabaseService');
+
+// Event catalog: bump the version of an event type when a required field
+// changes or is removed; adding optional fields keeps the version
+const EVENT_TYPES = {
+  'message.received': {
+    version: 1,
+    description: 'Message received from a contact',
+    required: ['conversationId', 'message', 'contact']
+  },
+  'message.sent': {
+    version: 1,
+    description: 'Message sent to a contact (agent, bot, campaign or phone)',
+    required: ['conversationId', 'message', 'contact']
+  },
+  'message.status': {
+    version: 1,
+    description: 'Delivery status of a sent message changed (delivered, read, failed)',
+    required: ['conversationId', 'messageId', 'status']
+  },
+  'conversation.assigned': {
+    version: 1,
+    description: 'Conversation assigned or transferred to an agent',
+    required: ['conversationId', 'agentId', 'action']
+  },
+  'contact.created': {
+    version: 1,
+    description: 'Contact created in the account',
+    required: ['contactId', 'contact']
+  },
+  'campaign.completed': {
+    version: 1,
+    description: 'Bulk campaign finished sending',
+    required: ['campaignId', 'sentCount', 'failedCount']
+  },
+  'appointment.created': {
+    version: 1,
+    description: 'Appointment scheduled',
+    required: ['appointmentId', 'appointment']
+  },
+  'purchase.created': {
+    version: 1,
+    description: 'Purchase recorded for a contact',
+    required: ['purchaseId', 'contactId', 'purchase']
+  }
+};
+
+// What webhooks receive: the payload they received before the bus
+// (compatibility mapping) or the event envelope
+const PAYLOAD_FORMATS = ['legacy', 'domain_event'];
+
+const CONTEXT_CACHE_TTL_MS = 60000;
+
+class DomainEventBus {
+  constructor() {
+    this.subscribers = new Map();
+    this.contextCache = new Map();
+  }
+
+  // ==================== SUBSCRIPTIONS ====================
+
+  /**
+   * Subscribe to domain events (a subscriber with the same name is replaced)
+   * @param {string} name - Subscriber name, used in logs
+   * @param {Function} handler - async (event, context) => void
+   * @param {Object} [options]
+   * @param {string[]} [options.events] - Event types to receive (default: all)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(name, handler, options = {}) {
+    const events = options.events || null;
+
+    const unknown = (events || []).filter(type => !EVENT_TYPES[type]);
+    if (unknown.length > 0) {
+      const error = new Error('UNKNOWN_EVENT_TYPE');
+      error.details = { eventTypes: unknown };
+      throw error;
+    }
+
+    this.subscribers.set(name, { name, handler, events });
+
+    return () => {
+      if (this.subscribers.get(name)?.handler === handler) {
+        this.subscribers.delete(name);
+      }
+    };
+  }
+
+  /**
+   * Subscribers of an event type
+   * @param {string} type - Event type
+   * @returns {Object[]}
+   */
+  getSubscribers(type) {
+    return [...this.subscribers.values()]
+      .filter(subscriber => !subscriber.events || subscriber.events.includes(type));
+  }
+
+  // ==================== PUBLISHING ====================
+
+  /**
+   * Publish a domain event to its subscribers
+   *
+   * The context identifies the owner of the event; the account, tenant and
+   * WUZAPI token are resolved from whatever is given (account, inbox,
+   * conversation or token).
+   * @param {string} type - Event type (see EVENT_TYPES)
+   * @param {Object} context
+   * @param {string} [context.accountId]
+   * @param {string} [context.tenantId]
+   * @param {string} [context.inboxId]
+   * @param {string} [context.conversationId]
+   * @param {string} [context.userToken] - WUZAPI token of the inbox or account
+   * @param {Object} data - Event payload
+   * @param {Object} [options]
+   * @param {Object} [options.legacy] - Payloads in the formats the webhooks
+   *   received before the bus ({ outgoing, external }); see DomainEventSubscribers
+   * @returns {Promise<Object|null>} Published event, null when nobody subscribes
+   *   or the event is invalid
+   */
+  async publish(type, context = {}, data = {}, options = {}) {
+    try {
+      const subscribers = this.getSubscribers(type);
+      if (subscribers.length === 0) {
+        return null;
+      }
+
+      const resolved = await this.resolveContext(context);
+      const event = this.buildEvent(type, resolved, data);
+      const subscriberContext = { ...resolved, legacy: options.legacy || {} };
+
+      const results = await Promise.allSettled(
+        subscribers.map(subscriber => subscriber.handler(event, subscriberContext))
+      );
+
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          logger.error('Domain event subscriber failed', {
+            subscriber: subscribers[index].name,
+            eventId: event.id,
+            type,
+            error: result.reason?.message
+          });
+        }
+      });
+
+      logger.debug('Domain event published', {
+        eventId: event.id,
+        type,
+        accountId: event.accountId,
+        subscribers: subscribers.length
+      });
+
+      return event;
+    } catch (error) {
+      logger.error('Failed to publish domain event', {
+        type,
+        error: error.message,
+        details: error.details
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Build the versioned envelope of an event
+   * @param {string} type - Event type
+   * @param {Object} context - Resolved context (accountId, tenantId, inboxId)
+   * @param {Object} data - Event payload
+   * @returns {Object} { id, type, version, occurredAt, tenantId, accountId, inboxId, data }
+   * @throws {Error} UNKNOWN_EVENT_TYPE | INVALID_EVENT_PAYLOAD (details.missing)
+   */
+  buildEvent(type, context, data) {
+    const definition = EVENT_TYPES[type];
+    if (!definition) {
+      const error = new Error('UNKNOWN_EVENT_TYPE');
+      error.details = { eventTypes: [type] };
+      throw error;
+    }
+
+    const missing = definition.required.filter(field => data?.[field] === undefined || data[field] === null);
+    if (missing.length > 0) {
+      const error = new Error('INVALID_EVENT_PAYLOAD');
+      error.details = { type, missing };
+      throw error;
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      type,
+      version: definition.version,
+      occurredAt: new Date().toISOString(),
+      tenantId: context.tenantId || null,
+      accountId: context.accountId || null,
+      inboxId: context.inboxId || null,
+      data
+    };
+  }
+
+  // ==================== CONTEXT ====================
+
+  /**
+   * Resolve account, tenant, inbox, account owner and WUZAPI token of an event
+   * @param {Object} context - Publish context
+   * @returns {Promise<Object>} { accountId, tenantId, inboxId, userToken, ownerUserId }
+   */
+  async resolveContext(context) {
+    let { accountId = null, inboxId = null } = context;
+    const userToken = context.userToken || null;
+
+    if (!accountId && context.conversationId) {
+      const { data: conversation } = await SupabaseService.queryAsAdmin('conversations', (query) =>
+        query.select('account_id, inbox_id').eq('id', context.conversationId).maybeSingle()
+      );
+      accountId = conversation?.account_id || null;
+      inboxId = inboxId || conversation?.inbox_id || null;
+    }
+
+    if (!accountId && inboxId) {
+      const inbox = await this.cached(`inbox:${inboxId}`, () => this.findInbox('id', inboxId));
+      accountId = inbox?.account_id || null;
+    }
+
+    if (!accountId && userToken) {
+      const owner = await this.cached(`token:${userToken}`, () => this.findTokenOwner(userToken));
+      accountId = owner?.accountId || null;
+      inboxId = inboxId || owner?.inboxId || null;
+    }
+
+    const account = accountId
+      ? await this.cached(`account:${accountId}`, () => this.findAccount(accountId))
+      : null;
+
+    return {
+      accountId,
+      tenantId: context.tenantId || account?.tenant_id || null,
+      inboxId,
+      userToken: userToken || account?.wuzapi_token || null,
+      ownerUserId: account?.owner_user_id || null
+    };
+  }
+
+  /**
+   * Inbox or account owning a WUZAPI token
+   * @param {string} userToken - WUZAPI token
+   * @returns {Promise<Object|null>} { accountId, inboxId }
+   */
+  async findTokenOwner(userToken) {
+    const inbox = await this.findInbox('wuzapi_token', userToken);
+    if (inbox) {
+      return { accountId: inbox.account_id, inboxId: inbox.id };
+    }
+
+    const { data: account } = await SupabaseService.queryAsAdmin('accounts', (query) =>
+      query.select('id').eq('wuzapi_token', userToken).maybeSingle()
+    );
+
+    return account ? { accountId: account.id, inboxId: null } : null;
+  }
+
+  async findInbox(column, value) {
+    const { data } = await SupabaseService.queryAsAdmin('inboxes', (query) =>
+      query.select('id, account_id').eq(column, value).maybeSingle()
+    );
+    return data || null;
+  }
+
+  async findAccount(accountId) {
+    const { data } = await SupabaseService.queryAsAdmin('accounts', (query) =>
+      query.select('id, tenant_id, owner_user_id, wuzapi_token').eq('id', accountId).maybeSingle()
+    );
+    return data || null;
+  }
+
+  /**
+   * Memoize a lookup for CONTEXT_CACHE_TTL_MS (misses are not cached)
+   * @param {string} key - Cache key
+   * @param {Function} load - async () => value
+   * @returns {Promise<*>}
+   */
+  async cached(key, load) {
+    const entry = this.contextCache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    const value = await load();
+    if (value) {
+      this.contextCache.set(key, { value, expiresAt: Date.now() + CONTEXT_CACHE_TTL_MS });
+    }
+    return value;
+  }
+
+  // ==================== CATALOG ====================
+
+  /**
+   * Documented event types (GET /api/v1/webhooks/events)
+   * @returns {Object[]} [{ type, version, description, required }]
+   */
+  getCatalog() {
+    return Object.entries(EVENT_TYPES).map(([type, definition]) => ({
+      type,
+      version: definition.version,
+      description: definition.description,
+      required: definition.required
+    }));
+  }
+}
+
+module.exports = new DomainEventBus();
+module.exports.DomainEventBus = DomainEventBus;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.PAYLOAD_FORMATS = PAYLOAD_FORMATS;
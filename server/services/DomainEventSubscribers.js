@@ -0,0 +1,139 @@
+/**
+ * DomainEventSubscribers - Consumers of the domain event bus
+ *
+ * - outgoing-webhooks: outgoing_webhooks of the account owner and of the
+ *   WUZAPI token (webhooks created before the inbox system), through the
+ *   compatibility mapping below
+ * - external-webhooks: chat_external_webhooks of the account (API v1)
+ * - websocket: Socket.IO broadcasts to the conversation room
+ * - automations: drip sequences and campaign A/B tests
+ *
+ * Requirements: Unify OutgoingWebhookService and ExternalWebhookService into one event bus
+ */
+
+const DomainEventBus = require('./DomainEventBus');
+const OutgoingWebhookService = require('./OutgoingWebhookService');
+const ExternalWebhookService = require('./ExternalWebhookService');
+const DripSequenceService = require('./DripSequenceService');
+const AbTestService = require('./AbTestService');
+
+const outgoingWebhookService = new OutgoingWebhookService();
+
+// Event names outgoing webhooks subscribed to before the bus; a webhook
+// subscribed to either the legacy or the domain event name receives it
+const LEGACY_OUTGOING_EVENT_TYPES = {
+  'message.status': (event) => `message.${event.data.status}`
+};
+
+/**
+ * Outgoing webhook event name of a domain event (compatibility mapping)
+ * @param {Object} event - Domain event
+ * @returns {string}
+ */
+function getLegacyOutgoingEventType(event) {
+  const mapType = LEGACY_OUTGOING_EVENT_TYPES[event.type];
+  return mapType ? mapType(event) : event.type;
+}
+
+/**
+ * Deliver to outgoing webhooks. 'legacy' webhooks receive the payload they
+ * received before the bus (context.legacy.outgoing, e.g. the WUZAPI message
+ * event) or the event data; 'domain_event' webhooks receive the envelope.
+ * @param {Object} event - Domain event
+ * @param {Object} context - Resolved publish context
+ * @returns {Promise<void>}
+ */
+async function deliverToOutgoingWebhooks(event, context) {
+  const owners = [...new Set([context.ownerUserId, context.userToken].filter(Boolean))];
+  const eventType = getLegacyOutgoingEventType(event);
+  const payload = context.legacy.outgoing || event.data;
+
+  for (const owner of owners) {
+    await outgoingWebhookService.sendWebhookEvent(owner, context.inboxId, eventType, payload, event);
+  }
+}
+
+/**
+ * Deliver to the external (API v1) webhooks of the account
+ * @param {Object} event - Domain event
+ * @param {Object} context - Resolved publish context
+ * @returns {Promise<void>}
+ */
+async function deliverToExternalWebhooks(event, context) {
+  if (!event.accountId) {
+    return;
+  }
+
+  await ExternalWebhookService.sendEvent(event.accountId, event.type, context.legacy.external || event.data, event);
+}
+
+/**
+ * Broadcast to the websocket clients of the conversation
+ * @param {Object} event - Domain event
+ * @returns {Promise<void>}
+ */
+async function broadcastToWebsocket(event) {
+  const { getChatHandler } = require('../websocket');
+  const chatHandler = getChatHandler();
+  const { conversationId } = event.data;
+
+  if (!chatHandler || !conversationId) {
+    return;
+  }
+
+  if (event.type === 'message.status') {
+    chatHandler.broadcastMessageStatusUpdate(
+      conversationId,
+      event.data.messageId,
+      event.data.status,
+      event.data.timestamp
+    );
+  }
+
+  chatHandler.broadcastDomainEvent(event);
+}
+
+/**
+ * Contact replies stop (or feed reply conditions of) active drip sequences
+ * and count towards the reply rate of campaign A/B tests
+ * @param {Object} event - message.received event
+ * @param {Object} context - Resolved publish context
+ * @returns {Promise<void>}
+ */
+async function recordReplyInAutomations(event, context) {
+  const { contact, message, isGroup } = event.data;
+  if (isGroup || !contact.phone) {
+    return;
+  }
+
+  if (event.accountId) {
+    await DripSequenceService.recordReply(event.accountId, contact.phone, message.content);
+  }
+
+  if (context.userToken) {
+    await AbTestService.recordReply(context.userToken, contact.phone);
+  }
+}
+
+/**
+ * Register the subscribers on the bus (called once at startup)
+ * @param {Object} [bus=DomainEventBus]
+ * @returns {Function[]} Unsubscribe functions
+ */
+function registerDomainEventSubscribers(bus = DomainEventBus) {
+  return [
+    bus.subscribe('outgoing-webhooks', deliverToOutgoingWebhooks),
+    bus.subscribe('external-webhooks', deliverToExternalWebhooks),
+    bus.subscribe('websocket', broadcastToWebsocket),
+    bus.subscribe('automations', recordReplyInAutomations, { events: ['message.received'] })
+  ];
+}
+
+module.exports = {
+  registerDomainEventSubscribers,
+  getLegacyOutgoingEventType,
+  deliverToOutgoingWebhooks,
+  deliverToExternalWebhooks,
+  broadcastToWebsocket,
+  recordReplyInAutomations
+};
@@ -0,0 +1,90 @@
+/**
+ * DripSequenceScheduler Service
+ *
+ * Processa etapas de sequências (drip) com vencimento:
+ * - Verificação a cada 60 segundos
+ * - Respeita a janela de envio de cada sequência
+ * - Evita execuções sobrepostas
+ */
+
+const { logger } = require('../utils/logger');
+const DripSequenceService = require('./DripSequenceService');
+
+class DripSequenceScheduler {
+  constructor() {
+    this.checkInterval = 60000; // 60 segundos
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+
+    logger.info('DripSequenceScheduler criado', {
+      checkInterval: this.checkInterval
+    });
+  }
+
+  /**
+   * Inicia o scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('DripSequenceScheduler já está em execução');
+      return;
+    }
+
+    logger.info('Iniciando DripSequenceScheduler');
+    this.isRunning = true;
+
+    // Executar verificação imediatamente
+    this.processDueSteps();
+
+    // Configurar verificação periódica
+    this.intervalId = setInterval(() => {
+      this.processDueSteps();
+    }, this.checkInterval);
+  }
+
+  /**
+   * Para o scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('DripSequenceScheduler não está em execução');
+      return;
+    }
+
+    logger.info('Parando DripSequenceScheduler');
+    this.isRunning = false;
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Processa as inscrições com etapa vencida
+   */
+  async processDueSteps() {
+    // Um lote grande pode levar mais que o intervalo
+    if (this.isProcessing) {
+      logger.debug('DripSequenceScheduler ainda processando lote anterior');
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const { processed } = await DripSequenceService.processDueEnrollments(new Date());
+
+      if (processed > 0) {
+        logger.info('Etapas de sequência processadas', { processed });
+      }
+    } catch (error) {
+      logger.error('Erro ao processar sequências:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = DripSequenceScheduler;
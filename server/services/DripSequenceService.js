@@ -0,0 +1,1099 @@
+/**
+ * DripSequenceService - Service for automated follow-up sequences
+ *
+ * Handles sequence CRUD, contact enrollment (manual, segment, tag and import
+ * triggers), step execution inside the sending window, exit on reply/opt-out
+ * and per-step stats.
+ *
+ * Requirements: Drip sequences (ordered steps, waits, conditions, triggers)
+ */
+
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const templateProcessor = require('./TemplateProcessor');
+const businessHours = require('../utils/businessHours');
+const CommunicationPreferenceService = require('./CommunicationPreferenceService');
+
+const SEQUENCE_STATUS = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  ARCHIVED: 'archived'
+};
+
+const TRIGGER_TYPES = {
+  MANUAL: 'manual',
+  SEGMENT: 'segment',
+  TAG: 'tag',
+  IMPORT: 'import'
+};
+
+const ENROLLMENT_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  EXITED: 'exited'
+};
+
+const CONDITION_TYPES = ['replied', 'not_replied', 'in_segment', 'not_in_segment'];
+
+const EVENT_TYPES = ['entered', 'sent', 'skipped', 'failed', 'exited', 'completed'];
+
+const DELAY_UNITS = {
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+
+// Due enrollments processed per scheduler tick
+const PROCESS_BATCH_SIZE = 100;
+
+// Failed sends are retried after RETRY_DELAY_MS, up to MAX_SEND_ATTEMPTS
+const MAX_SEND_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+
+class DripSequenceService {
+  // ==================== SEQUENCES CRUD ====================
+
+  /**
+   * Get all sequences for an account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object[]>}
+   */
+  async getSequences(accountId) {
+    try {
+      const queryFn = (query) => query
+        .select('*, drip_sequence_steps(count)')
+        .eq('account_id', accountId)
+        .neq('status', SEQUENCE_STATUS.ARCHIVED)
+        .order('created_at', { ascending: false });
+
+      const { data, error } = await supabaseService.queryAsAdmin('drip_sequences', queryFn);
+
+      if (error) throw error;
+
+      return (data || []).map(({ drip_sequence_steps: steps, ...sequence }) => ({
+        ...sequence,
+        step_count: steps?.[0]?.count || 0
+      }));
+    } catch (error) {
+      logger.error('Failed to get sequences', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a sequence with its ordered steps
+   * @param {string} accountId - Account UUID
+   * @param {string} sequenceId - Sequence UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getSequence(accountId, sequenceId) {
+    try {
+      const queryFn = (query) => query
+        .select('*')
+        .eq('id', sequenceId)
+        .eq('account_id', accountId)
+        .single();
+
+      const { data: sequence, error } = await supabaseService.queryAsAdmin('drip_sequences', queryFn);
+
+      if (error || !sequence) {
+        return null;
+      }
+
+      sequence.steps = await this.getSteps(sequenceId);
+
+      return sequence;
+    } catch (error) {
+      logger.error('Failed to get sequence', { error: error.message, sequenceId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a sequence with its steps
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} sequenceData - { name, description, inboxId, triggerType, triggerId, exitOnReply, sendingWindow, steps }
+   * @returns {Promise<Object>}
+   */
+  async createSequence(accountId, tenantId, sequenceData) {
+    try {
+      const steps = sequenceData.steps || [];
+      this.validateSteps(steps);
+      this.validateTrigger(sequenceData.triggerType, sequenceData.triggerId);
+
+      const { data: sequence, error } = await supabaseService.insert('drip_sequences', {
+        tenant_id: tenantId,
+        account_id: accountId,
+        inbox_id: sequenceData.inboxId || null,
+        name: sequenceData.name,
+        description: sequenceData.description || null,
+        status: SEQUENCE_STATUS.DRAFT,
+        trigger_type: sequenceData.triggerType || TRIGGER_TYPES.MANUAL,
+        trigger_id: sequenceData.triggerId || null,
+        exit_on_reply: sequenceData.exitOnReply !== false,
+        sending_window: sequenceData.sendingWindow || null
+      });
+
+      if (error) throw error;
+
+      sequence.steps = await this.replaceSteps(sequence.id, steps);
+
+      logger.info('Drip sequence created', { sequenceId: sequence.id, accountId, steps: steps.length });
+
+      return sequence;
+    } catch (error) {
+      logger.error('Failed to create sequence', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a sequence. When steps are given they replace the current ones;
+   * active enrollments keep their position and continue with the new step at it.
+   * @param {string} accountId - Account UUID
+   * @param {string} sequenceId - Sequence UUID
+   * @param {Object} updates - Fields to update (same shape as createSequence)
+   * @returns {Promise<Object>}
+   */
+  async updateSequence(accountId, sequenceId, updates) {
+    try {
+      const existing = await this.getSequence(accountId, sequenceId);
+      if (!existing) {
+        throw new Error('SEQUENCE_NOT_FOUND');
+      }
+
+      if (updates.steps !== undefined) {
+        this.validateSteps(updates.steps);
+        if (existing.status === SEQUENCE_STATUS.ACTIVE && updates.steps.length === 0) {
+          throw new Error('SEQUENCE_HAS_NO_STEPS');
+        }
+      }
+
+      const triggerType = updates.triggerType !== undefined ? updates.triggerType : existing.trigger_type;
+      const triggerId = updates.triggerId !== undefined ? updates.triggerId : existing.trigger_id;
+      this.validateTrigger(triggerType, triggerId);
+
+      const updateData = { updated_at: new Date().toISOString() };
+      if (updates.name !== undefined) updateData.name = updates.name;
+      if (updates.description !== undefined) updateData.description = updates.description;
+      if (updates.inboxId !== undefined) updateData.inbox_id = updates.inboxId;
+      if (updates.triggerType !== undefined) updateData.trigger_type = updates.triggerType;
+      if (updates.triggerId !== undefined) updateData.trigger_id = updates.triggerId;
+      if (updates.exitOnReply !== undefined) updateData.exit_on_reply = updates.exitOnReply;
+      if (updates.sendingWindow !== undefined) updateData.sending_window = updates.sendingWindow;
+
+      const { data: sequence, error } = await supabaseService.update('drip_sequences', sequenceId, updateData);
+
+      if (error) throw error;
+
+      sequence.steps = updates.steps !== undefined
+        ? await this.replaceSteps(sequenceId, updates.steps)
+        : existing.steps;
+
+      logger.info('Drip sequence updated', { sequenceId, accountId });
+
+      return sequence;
+    } catch (error) {
+      logger.error('Failed to update sequence', { error: error.message, sequenceId });
+      throw error;
+    }
+  }
+
+  /**
+   * Change sequence status (activate, pause, archive)
+   * Archiving exits all active enrollments.
+   * @param {string} accountId - Account UUID
+   * @param {string} sequenceId - Sequence UUID
+   * @param {string} status - New status
+   * @returns {Promise<Object>}
+   */
+  async setStatus(accountId, sequenceId, status) {
+    try {
+      if (!Object.values(SEQUENCE_STATUS).includes(status)) {
+        throw new Error('INVALID_STATUS');
+      }
+
+      const existing = await this.getSequence(accountId, sequenceId);
+      if (!existing) {
+        throw new Error('SEQUENCE_NOT_FOUND');
+      }
+
+      if (status === SEQUENCE_STATUS.ACTIVE && existing.steps.length === 0) {
+        throw new Error('SEQUENCE_HAS_NO_STEPS');
+      }
+
+      const { data: sequence, error } = await supabaseService.update('drip_sequences', sequenceId, {
+        status,
+        updated_at: new Date().toISOString()
+      });
+
+      if (error) throw error;
+
+      if (status === SEQUENCE_STATUS.ARCHIVED) {
+        const { data: enrollments } = await supabaseService.queryAsAdmin('drip_sequence_enrollments', (query) =>
+          query.select('*')
+            .eq('sequence_id', sequenceId)
+            .eq('status', ENROLLMENT_STATUS.ACTIVE)
+        );
+
+        for (const enrollment of enrollments || []) {
+          await this.exitEnrollment(enrollment, 'sequence_archived');
+        }
+      }
+
+      logger.info('Drip sequence status changed', { sequenceId, status });
+
+      return { ...sequence, steps: existing.steps };
+    } catch (error) {
+      logger.error('Failed to set sequence status', { error: error.message, sequenceId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a sequence (cascades to steps, enrollments and events)
+   * @param {string} accountId - Account UUID
+   * @param {string} sequenceId - Sequence UUID
+   * @returns {Promise<void>}
+   */
+  async deleteSequence(accountId, sequenceId) {
+    try {
+      const queryFn = (query) => query
+        .delete()
+        .eq('id', sequenceId)
+        .eq('account_id', accountId);
+
+      const { error } = await supabaseService.queryAsAdmin('drip_sequences', queryFn);
+
+      if (error) throw error;
+
+      logger.info('Drip sequence deleted', { sequenceId, accountId });
+    } catch (error) {
+      logger.error('Failed to delete sequence', { error: error.message, sequenceId });
+      throw error;
+    }
+  }
+
+  // ==================== STEPS ====================
+
+  /**
+   * Get ordered steps of a sequence
+   * @param {string} sequenceId - Sequence UUID
+   * @returns {Promise<Object[]>}
+   */
+  async getSteps(sequenceId) {
+    const { data, error } = await supabaseService.queryAsAdmin('drip_sequence_steps', (query) =>
+      query.select('*')
+        .eq('sequence_id', sequenceId)
+        .order('position', { ascending: true })
+    );
+
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  /**
+   * Replace all steps of a sequence, numbering them by array order
+   * @param {string} sequenceId - Sequence UUID
+   * @param {Object[]} steps - { messageTemplate, delayValue, delayUnit, condition }
+   * @returns {Promise<Object[]>} Stored steps
+   */
+  async replaceSteps(sequenceId, steps) {
+    const { error: deleteError } = await supabaseService.queryAsAdmin('drip_sequence_steps', (query) =>
+      query.delete().eq('sequence_id', sequenceId)
+    );
+
+    if (deleteError) throw deleteError;
+
+    if (steps.length === 0) {
+      return [];
+    }
+
+    const rows = steps.map((step, index) => ({
+      sequence_id: sequenceId,
+      position: index,
+      message_template: step.messageTemplate,
+      delay_value: step.delayValue || 0,
+      delay_unit: step.delayUnit || 'hours',
+      condition: step.condition || null
+    }));
+
+    const { data, error } = await supabaseService.queryAsAdmin('drip_sequence_steps', (query) =>
+      query.insert(rows).select('*')
+    );
+
+    if (error) throw error;
+
+    return (data || []).sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Validate step definitions
+   * @param {Object[]} steps - Steps to validate
+   * @throws {Error} INVALID_STEPS with details
+   */
+  validateSteps(steps) {
+    const errors = [];
+
+    if (!Array.isArray(steps)) {
+      errors.push('steps must be an array');
+    } else {
+      steps.forEach((step, index) => {
+        if (!step || typeof step.messageTemplate !== 'string' || !step.messageTemplate.trim()) {
+          errors.push(`step ${index}: messageTemplate is required`);
+        }
+        if (step?.delayValue !== undefined && (!Number.isInteger(step.delayValue) || step.delayValue < 0)) {
+          errors.push(`step ${index}: delayValue must be a non-negative integer`);
+        }
+        if (step?.delayUnit !== undefined && !DELAY_UNITS[step.delayUnit]) {
+          errors.push(`step ${index}: delayUnit must be hours or days`);
+        }
+        if (step?.condition) {
+          const { type, segmentId, onFail } = step.condition;
+          if (!CONDITION_TYPES.includes(type)) {
+            errors.push(`step ${index}: invalid condition type "${type}"`);
+          }
+          if ((type === 'in_segment' || type === 'not_in_segment') && !segmentId) {
+            errors.push(`step ${index}: segment conditions require segmentId`);
+          }
+          if (onFail !== undefined && !['skip', 'exit'].includes(onFail)) {
+            errors.push(`step ${index}: onFail must be skip or exit`);
+          }
+        }
+      });
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('INVALID_STEPS');
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Validate trigger configuration
+   * @param {string} triggerType - Trigger type
+   * @param {string|null} triggerId - Segment or tag UUID
+   */
+  validateTrigger(triggerType, triggerId) {
+    if (triggerType === undefined) return;
+
+    if (!Object.values(TRIGGER_TYPES).includes(triggerType)) {
+      throw new Error('INVALID_TRIGGER');
+    }
+
+    if ((triggerType === TRIGGER_TYPES.SEGMENT || triggerType === TRIGGER_TYPES.TAG) && !triggerId) {
+      throw new Error('TRIGGER_ID_REQUIRED');
+    }
+  }
+
+  /**
+   * Get the wait before a step in milliseconds
+   * @param {Object} step - Step row
+   * @returns {number}
+   */
+  getStepDelayMs(step) {
+    return (step.delay_value || 0) * (DELAY_UNITS[step.delay_unit] || DELAY_UNITS.hours);
+  }
+
+  /**
+   * Evaluate a step condition against the enrollment state
+   * @param {Object|null} condition - { type, segmentId }
+   * @param {Object} state - { hasReplied, segmentIds }
+   * @returns {boolean} True when the step should be sent
+   */
+  evaluateStepCondition(condition, state) {
+    if (!condition || !condition.type) return true;
+
+    const segmentIds = state.segmentIds || [];
+
+    switch (condition.type) {
+      case 'replied':
+        return state.hasReplied === true;
+      case 'not_replied':
+        return state.hasReplied !== true;
+      case 'in_segment':
+        return segmentIds.includes(condition.segmentId);
+      case 'not_in_segment':
+        return !segmentIds.includes(condition.segmentId);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get the next moment the sending window opens after a given time
+   * @param {Object} sendingWindow - { startTime, endTime, days } or a business hours calendar
+   * @param {Date} from - Reference time (outside the window)
+   * @returns {Date}
+   */
+  getNextWindowStart(sendingWindow, from) {
+    return businessHours.getNextOpening(sendingWindow, from) || from;
+  }
+
+  // ==================== ENROLLMENT ====================
+
+  /**
+   * Enroll contacts in a sequence. Contacts already enrolled (in any status)
+   * and opted-out contacts are skipped.
+   * @param {Object} sequence - Sequence row with steps
+   * @param {string[]} contactIds - Contact UUIDs
+   * @param {string} source - Enrollment source (manual, segment, tag, import)
+   * @returns {Promise<{enrolled: number}>}
+   */
+  async enrollContacts(sequence, contactIds, source = TRIGGER_TYPES.MANUAL) {
+    try {
+      if (!contactIds || contactIds.length === 0) {
+        return { enrolled: 0 };
+      }
+
+      if (sequence.status !== SEQUENCE_STATUS.ACTIVE) {
+        throw new Error('SEQUENCE_NOT_ACTIVE');
+      }
+
+      const steps = sequence.steps || await this.getSteps(sequence.id);
+      if (steps.length === 0) {
+        throw new Error('SEQUENCE_HAS_NO_STEPS');
+      }
+
+      const eligibleIds = await CommunicationPreferenceService.filterOptedIn(contactIds);
+
+      const now = new Date();
+      const nextRunAt = new Date(now.getTime() + this.getStepDelayMs(steps[0])).toISOString();
+      let enrolled = 0;
+
+      const BATCH_SIZE = 100;
+      for (let i = 0; i < eligibleIds.length; i += BATCH_SIZE) {
+        const rows = eligibleIds.slice(i, i + BATCH_SIZE).map(contactId => ({
+          sequence_id: sequence.id,
+          contact_id: contactId,
+          account_id: sequence.account_id,
+          current_step: 0,
+          status: ENROLLMENT_STATUS.ACTIVE,
+          source,
+          next_run_at: nextRunAt
+        }));
+
+        const { data: inserted, error } = await supabaseService.queryAsAdmin('drip_sequence_enrollments', (query) =>
+          query.upsert(rows, { onConflict: 'sequence_id,contact_id', ignoreDuplicates: true })
+            .select('id, contact_id')
+        );
+
+        if (error) throw error;
+
+        for (const enrollment of inserted || []) {
+          await this.logEvent(sequence.id, enrollment, 0, 'entered');
+        }
+
+        enrolled += (inserted || []).length;
+      }
+
+      logger.info('Contacts enrolled in drip sequence', {
+        sequenceId: sequence.id,
+        requested: contactIds.length,
+        enrolled,
+        source
+      });
+
+      return { enrolled };
+    } catch (error) {
+      logger.error('Failed to enroll contacts', { error: error.message, sequenceId: sequence.id });
+      throw error;
+    }
+  }
+
+  /**
+   * Manually enroll account contacts in a sequence
+   * @param {string} accountId - Account UUID
+   * @param {string} sequenceId - Sequence UUID
+   * @param {string[]} contactIds - Contact UUIDs
+   * @returns {Promise<{enrolled: number}>}
+   */
+  async enrollManually(accountId, sequenceId, contactIds) {
+    const sequence = await this.getSequence(accountId, sequenceId);
+    if (!sequence) {
+      throw new Error('SEQUENCE_NOT_FOUND');
+    }
+
+    // Only contacts of the same account can be enrolled
+    const { data: contacts, error } = await supabaseService.queryAsAdmin('contacts', (query) =>
+      query.select('id')
+        .eq('account_id', accountId)
+        .in('id', contactIds)
+    );
+
+    if (error) throw error;
+
+    return this.enrollContacts(sequence, (contacts || []).map(c => c.id), TRIGGER_TYPES.MANUAL);
+  }
+
+  /**
+   * Enroll contacts in every active sequence listening to a trigger.
+   * Never throws: enrollment must not break the operation that fired the trigger.
+   * @param {string} accountId - Account UUID
+   * @param {string} triggerType - segment, tag or import
+   * @param {string|null} triggerId - Segment or tag UUID (null for import)
+   * @param {string[]} contactIds - Contact UUIDs
+   * @returns {Promise<{enrolled: number}>}
+   */
+  async enrollForTrigger(accountId, triggerType, triggerId, contactIds) {
+    try {
+      if (!contactIds || contactIds.length === 0) {
+        return { enrolled: 0 };
+      }
+
+      const queryFn = (query) => {
+        const q = query
+          .select('*')
+          .eq('account_id', accountId)
+          .eq('status', SEQUENCE_STATUS.ACTIVE)
+          .eq('trigger_type', triggerType);
+        return triggerId ? q.eq('trigger_id', triggerId) : q;
+      };
+
+      const { data: sequences, error } = await supabaseService.queryAsAdmin('drip_sequences', queryFn);
+
+      if (error) throw error;
+
+      let enrolled = 0;
+      for (const sequence of sequences || []) {
+        try {
+          const result = await this.enrollContacts(sequence, contactIds, triggerType);
+          enrolled += result.enrolled;
+        } catch (sequenceError) {
+          logger.warn('Trigger enrollment failed for sequence', {
+            sequenceId: sequence.id,
+            error: sequenceError.message
+          });
+        }
+      }
+
+      return { enrolled };
+    } catch (error) {
+      logger.warn('Failed to enroll contacts for trigger', {
+        error: error.message,
+        accountId,
+        triggerType,
+        triggerId
+      });
+      return { enrolled: 0 };
+    }
+  }
+
+  /**
+   * Get enrollments of a sequence
+   * @param {string} sequenceId - Sequence UUID
+   * @param {Object} options - { status, page, pageSize }
+   * @returns {Promise<{data: Object[], total: number}>}
+   */
+  async getEnrollments(sequenceId, options = {}) {
+    try {
+      const { status, page = 1, pageSize = 50 } = options;
+      const offset = (page - 1) * pageSize;
+
+      const queryFn = (query) => {
+        let q = query
+          .select('*, contacts(id, name, phone)', { count: 'exact' })
+          .eq('sequence_id', sequenceId);
+        if (status) q = q.eq('status', status);
+        return q
+          .order('enrolled_at', { ascending: false })
+          .range(offset, offset + pageSize - 1);
+      };
+
+      const { data, count, error } = await supabaseService.queryAsAdmin('drip_sequence_enrollments', queryFn);
+
+      if (error) throw error;
+
+      return { data: data || [], total: count || 0 };
+    } catch (error) {
+      logger.error('Failed to get enrollments', { error: error.message, sequenceId });
+      throw error;
+    }
+  }
+
+  /**
+   * Stop an enrollment
+   * @param {Object} enrollment - Enrollment row
+   * @param {string} reason - Exit reason
+   * @returns {Promise<void>}
+   */
+  async exitEnrollment(enrollment, reason) {
+    const { error } = await supabaseService.update('drip_sequence_enrollments', enrollment.id, {
+      status: ENROLLMENT_STATUS.EXITED,
+      exit_reason: reason,
+      next_run_at: null,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) throw error;
+
+    await this.logEvent(enrollment.sequence_id, enrollment, enrollment.current_step, 'exited', reason);
+
+    logger.info('Drip enrollment exited', { enrollmentId: enrollment.id, reason });
+  }
+
+  /**
+   * Stop all active enrollments of a contact
+   * @param {string} contactId - Contact UUID
+   * @param {string} reason - Exit reason
+   * @returns {Promise<{exited: number}>}
+   */
+  async exitContact(contactId, reason) {
+    try {
+      const { data: enrollments, error } = await supabaseService.queryAsAdmin('drip_sequence_enrollments', (query) =>
+        query.select('*')
+          .eq('contact_id', contactId)
+          .eq('status', ENROLLMENT_STATUS.ACTIVE)
+      );
+
+      if (error) throw error;
+
+      for (const enrollment of enrollments || []) {
+        await this.exitEnrollment(enrollment, reason);
+      }
+
+      return { exited: (enrollments || []).length };
+    } catch (error) {
+      logger.warn('Failed to exit contact enrollments', { error: error.message, contactId, reason });
+      return { exited: 0 };
+    }
+  }
+
+  /**
+   * Record an incoming reply from a contact. Opt-out keywords exit every
+   * enrollment; other replies exit sequences with exit_on_reply and are
+   * remembered for reply conditions on the remaining ones.
+   * @param {string} accountId - Account UUID
+   * @param {string} phone - Contact phone
+   * @param {string} content - Message content
+   * @returns {Promise<{exited: number}>}
+   */
+  async recordReply(accountId, phone, content) {
+    try {
+      const { data: contacts } = await supabaseService.queryAsAdmin('contacts', (query) =>
+        query.select('id')
+          .eq('account_id', accountId)
+          .eq('phone', phone)
+          .limit(1)
+      );
+
+      const contact = contacts?.[0];
+      if (!contact) {
+        return { exited: 0 };
+      }
+
+      const { data: enrollments, error } = await supabaseService.queryAsAdmin('drip_sequence_enrollments', (query) =>
+        query.select('*, drip_sequences(exit_on_reply)')
+          .eq('contact_id', contact.id)
+          .eq('status', ENROLLMENT_STATUS.ACTIVE)
+      );
+
+      if (error) throw error;
+      if (!enrollments || enrollments.length === 0) {
+        return { exited: 0 };
+      }
+
+      const optOut = await CommunicationPreferenceService.processOptOutKeyword(contact.id, content);
+      if (optOut.optedOut) {
+        // setOptIn already exited the enrollments
+        return { exited: enrollments.length };
+      }
+
+      let exited = 0;
+      const now = new Date().toISOString();
+      for (const enrollment of enrollments) {
+        if (enrollment.drip_sequences?.exit_on_reply !== false) {
+          await this.exitEnrollment(enrollment, 'replied');
+          exited++;
+        } else {
+          await supabaseService.update('drip_sequence_enrollments', enrollment.id, {
+            last_reply_at: now,
+            updated_at: now
+          });
+        }
+      }
+
+      return { exited };
+    } catch (error) {
+      logger.warn('Failed to record drip sequence reply', { error: error.message, accountId });
+      return { exited: 0 };
+    }
+  }
+
+  // ==================== EXECUTION ====================
+
+  /**
+   * Process enrollments whose next step is due
+   * @param {Date} now - Current time
+   * @returns {Promise<{processed: number}>}
+   */
+  async processDueEnrollments(now = new Date()) {
+    const { data: enrollments, error } = await supabaseService.queryAsAdmin('drip_sequence_enrollments', (query) =>
+      query.select('*')
+        .eq('status', ENROLLMENT_STATUS.ACTIVE)
+        .lte('next_run_at', now.toISOString())
+        .order('next_run_at', { ascending: true })
+        .limit(PROCESS_BATCH_SIZE)
+    );
+
+    if (error) throw error;
+
+    const sequences = new Map();
+    let processed = 0;
+
+    for (const enrollment of enrollments || []) {
+      try {
+        if (!sequences.has(enrollment.sequence_id)) {
+          sequences.set(enrollment.sequence_id, await this.getSequence(enrollment.account_id, enrollment.sequence_id));
+        }
+
+        await this.processEnrollment(enrollment, sequences.get(enrollment.sequence_id), now);
+        processed++;
+      } catch (enrollmentError) {
+        logger.error('Failed to process drip enrollment', {
+          enrollmentId: enrollment.id,
+          error: enrollmentError.message
+        });
+      }
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Run the current step of an enrollment
+   * @param {Object} enrollment - Enrollment row
+   * @param {Object|null} sequence - Sequence row with steps
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} Outcome: waiting, sent, skipped, failed, exited, completed
+   */
+  async processEnrollment(enrollment, sequence, now) {
+    if (!sequence || sequence.status === SEQUENCE_STATUS.ARCHIVED) {
+      await this.exitEnrollment(enrollment, 'sequence_archived');
+      return 'exited';
+    }
+
+    // Paused sequences keep enrollments where they are
+    if (sequence.status !== SEQUENCE_STATUS.ACTIVE) {
+      return 'waiting';
+    }
+
+    // Same calendar semantics as campaigns and inbox business hours
+    if (!businessHours.isOpen(sequence.sending_window, now)) {
+      await this.updateEnrollment(enrollment.id, {
+        next_run_at: this.getNextWindowStart(sequence.sending_window, now).toISOString()
+      });
+      return 'waiting';
+    }
+
+    const step = sequence.steps.find(s => s.position === enrollment.current_step);
+    if (!step) {
+      await this.completeEnrollment(enrollment, now);
+      return 'completed';
+    }
+
+    if (!(await CommunicationPreferenceService.isOptedIn(enrollment.contact_id))) {
+      await this.exitEnrollment(enrollment, 'opted_out');
+      return 'exited';
+    }
+
+    if (step.condition) {
+      const state = await this.getConditionState(enrollment, step.condition);
+      if (!this.evaluateStepCondition(step.condition, state)) {
+        if (step.condition.onFail === 'exit') {
+          await this.exitEnrollment(enrollment, 'condition');
+          return 'exited';
+        }
+
+        await this.logEvent(sequence.id, enrollment, step.position, 'skipped', step.condition.type);
+        await this.advanceEnrollment(enrollment, sequence, now, {});
+        return 'skipped';
+      }
+    }
+
+    try {
+      await this.sendStepMessage(sequence, enrollment.contact_id, step);
+    } catch (sendError) {
+      const attempts = (enrollment.attempts || 0) + 1;
+      await this.logEvent(sequence.id, enrollment, step.position, 'failed', sendError.message?.substring(0, 50));
+
+      if (attempts >= MAX_SEND_ATTEMPTS) {
+        await this.exitEnrollment(enrollment, 'send_failed');
+        return 'exited';
+      }
+
+      await this.updateEnrollment(enrollment.id, {
+        attempts,
+        next_run_at: new Date(now.getTime() + RETRY_DELAY_MS).toISOString()
+      });
+      return 'failed';
+    }
+
+    await this.logEvent(sequence.id, enrollment, step.position, 'sent');
+    await this.advanceEnrollment(enrollment, sequence, now, { last_sent_at: now.toISOString() });
+    return 'sent';
+  }
+
+  /**
+   * Move an enrollment to its next step, or complete it after the last one
+   * @param {Object} enrollment - Enrollment row
+   * @param {Object} sequence - Sequence row with steps
+   * @param {Date} now - Current time
+   * @param {Object} extra - Extra fields to update
+   */
+  async advanceEnrollment(enrollment, sequence, now, extra) {
+    const nextStep = sequence.steps.find(s => s.position > enrollment.current_step);
+
+    if (!nextStep) {
+      await this.completeEnrollment(enrollment, now, extra);
+      return;
+    }
+
+    await this.updateEnrollment(enrollment.id, {
+      ...extra,
+      current_step: nextStep.position,
+      attempts: 0,
+      next_run_at: new Date(now.getTime() + this.getStepDelayMs(nextStep)).toISOString()
+    });
+
+    await this.logEvent(sequence.id, enrollment, nextStep.position, 'entered');
+  }
+
+  /**
+   * Mark an enrollment as completed
+   * @param {Object} enrollment - Enrollment row
+   * @param {Date} now - Current time
+   * @param {Object} extra - Extra fields to update
+   */
+  async completeEnrollment(enrollment, now, extra = {}) {
+    await this.updateEnrollment(enrollment.id, {
+      ...extra,
+      status: ENROLLMENT_STATUS.COMPLETED,
+      next_run_at: null,
+      completed_at: now.toISOString()
+    });
+
+    await this.logEvent(enrollment.sequence_id, enrollment, enrollment.current_step, 'completed');
+  }
+
+  /**
+   * Update enrollment fields
+   * @param {string} enrollmentId - Enrollment UUID
+   * @param {Object} updates - Fields to update
+   */
+  async updateEnrollment(enrollmentId, updates) {
+    const { error } = await supabaseService.update('drip_sequence_enrollments', enrollmentId, {
+      ...updates,
+      updated_at: new Date().toISOString()
+    });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Load the data a step condition depends on
+   * @param {Object} enrollment - Enrollment row
+   * @param {Object} condition - Step condition
+   * @returns {Promise<{hasReplied: boolean, segmentIds: string[]}>}
+   */
+  async getConditionState(enrollment, condition) {
+    const state = { hasReplied: !!enrollment.last_reply_at, segmentIds: [] };
+
+    if (condition.type === 'in_segment' || condition.type === 'not_in_segment') {
+      const { data } = await supabaseService.queryAsAdmin('contact_segment_members', (query) =>
+        query.select('segment_id')
+          .eq('contact_id', enrollment.contact_id)
+          .eq('segment_id', condition.segmentId)
+      );
+      state.segmentIds = (data || []).map(m => m.segment_id);
+    }
+
+    return state;
+  }
+
+  /**
+   * Send a step message to a contact through the sequence inbox
+   * (falls back to the account WUZAPI token when no inbox is set)
+   * @param {Object} sequence - Sequence row
+   * @param {string} contactId - Contact UUID
+   * @param {Object} step - Step row
+   */
+  async sendStepMessage(sequence, contactId, step) {
+    const { data: contact, error } = await supabaseService.getById('contacts', contactId);
+    if (error || !contact?.phone) {
+      throw new Error('CONTACT_NOT_FOUND');
+    }
+
+    const token = await this.getSendingToken(sequence);
+    if (!token) {
+      throw new Error('NO_SENDING_TOKEN');
+    }
+
+    const processed = templateProcessor.process(step.message_template, this.buildVariables(contact));
+    if (!processed.success) {
+      throw new Error('Template processing failed');
+    }
+
+    const wuzapiBaseUrl = process.env.WUZAPI_BASE_URL || 'https://wzapi.wasend.com.br';
+    const response = await axios.post(`${wuzapiBaseUrl}/chat/send/text`, {
+      Phone: contact.phone,
+      Body: processed.finalMessage
+    }, {
+      headers: {
+        'token': token,
+        'Content-Type': 'application/json'
+      },
+      timeout: 15000
+    });
+
+    if (!response.data) {
+      throw new Error('No response from WUZAPI');
+    }
+  }
+
+  /**
+   * Resolve the WUZAPI token used to send a sequence
+   * @param {Object} sequence - Sequence row
+   * @returns {Promise<string|null>}
+   */
+  async getSendingToken(sequence) {
+    if (sequence.inbox_id) {
+      const { data: inbox } = await supabaseService.getById('inboxes', sequence.inbox_id);
+      if (inbox?.wuzapi_token) {
+        return inbox.wuzapi_token;
+      }
+    }
+
+    const { data: account } = await supabaseService.getById('accounts', sequence.account_id);
+    return account?.wuzapi_token || null;
+  }
+
+  /**
+   * Build template variables for a contact
+   * @param {Object} contact - Contact row
+   * @returns {Object}
+   */
+  buildVariables(contact) {
+    const variables = {};
+
+    for (const [key, value] of Object.entries(contact.custom_fields || {})) {
+      if (/^\w+$/.test(key) && value !== null && typeof value !== 'object') {
+        variables[key] = String(value);
+      }
+    }
+
+    variables.nome = contact.name || '';
+    variables.telefone = contact.phone || '';
+
+    return variables;
+  }
+
+  // ==================== STATS ====================
+
+  /**
+   * Record a per-step event
+   * @param {string} sequenceId - Sequence UUID
+   * @param {Object} enrollment - Enrollment row ({ id, contact_id })
+   * @param {number} stepPosition - Step position
+   * @param {string} eventType - Event type
+   * @param {string} [reason] - Optional reason
+   */
+  async logEvent(sequenceId, enrollment, stepPosition, eventType, reason = null) {
+    try {
+      await supabaseService.insert('drip_sequence_events', {
+        sequence_id: sequenceId,
+        enrollment_id: enrollment.id,
+        contact_id: enrollment.contact_id,
+        step_position: stepPosition,
+        event_type: eventType,
+        reason
+      });
+    } catch (error) {
+      logger.warn('Failed to log drip sequence event', { error: error.message, sequenceId, eventType });
+    }
+  }
+
+  /**
+   * Aggregate events into per-step counters
+   * @param {Object[]} steps - Step rows
+   * @param {Object[]} events - { step_position, event_type } rows
+   * @returns {Object[]} [{ position, entered, sent, skipped, failed, exited, completed }]
+   */
+  buildStepStats(steps, events) {
+    const byPosition = new Map(steps.map(step => [step.position, {
+      position: step.position,
+      stepId: step.id,
+      ...Object.fromEntries(EVENT_TYPES.map(type => [type, 0]))
+    }]));
+
+    for (const event of events) {
+      const stats = byPosition.get(event.step_position);
+      if (stats && EVENT_TYPES.includes(event.event_type)) {
+        stats[event.event_type]++;
+      }
+    }
+
+    return Array.from(byPosition.values());
+  }
+
+  /**
+   * Get enrollment totals and per-step stats for a sequence
+   * @param {string} accountId - Account UUID
+   * @param {string} sequenceId - Sequence UUID
+   * @returns {Promise<Object>}
+   */
+  async getSequenceStats(accountId, sequenceId) {
+    try {
+      const sequence = await this.getSequence(accountId, sequenceId);
+      if (!sequence) {
+        throw new Error('SEQUENCE_NOT_FOUND');
+      }
+
+      const { data: enrollments, error: enrollmentError } = await supabaseService.queryAsAdmin(
+        'drip_sequence_enrollments',
+        (query) => query.select('status, exit_reason').eq('sequence_id', sequenceId)
+      );
+
+      if (enrollmentError) throw enrollmentError;
+
+      const { data: events, error: eventError } = await supabaseService.queryAsAdmin(
+        'drip_sequence_events',
+        (query) => query.select('step_position, event_type').eq('sequence_id', sequenceId)
+      );
+
+      if (eventError) throw eventError;
+
+      const totals = { enrolled: 0, active: 0, completed: 0, exited: 0 };
+      const exitReasons = {};
+
+      for (const enrollment of enrollments || []) {
+        totals.enrolled++;
+        totals[enrollment.status] = (totals[enrollment.status] || 0) + 1;
+        if (enrollment.status === ENROLLMENT_STATUS.EXITED && enrollment.exit_reason) {
+          exitReasons[enrollment.exit_reason] = (exitReasons[enrollment.exit_reason] || 0) + 1;
+        }
+      }
+
+      return {
+        sequenceId,
+        totals,
+        exitReasons,
+        steps: this.buildStepStats(sequence.steps, events || [])
+      };
+    } catch (error) {
+      logger.error('Failed to get sequence stats', { error: error.message, sequenceId });
+      throw error;
+    }
+  }
+}
+
+module.exports = new DripSequenceService();
+module.exports.DripSequenceService = DripSequenceService;
+module.exports.SEQUENCE_STATUS = SEQUENCE_STATUS;
+module.exports.TRIGGER_TYPES = TRIGGER_TYPES;
+module.exports.ENROLLMENT_STATUS = ENROLLMENT_STATUS;
+module.exports.CONDITION_TYPES = CONDITION_TYPES;
@@ -0,0 +1,769 @@
+/**
+ * DunningService - Failed subscription payments
+ *
+ * invoice.payment_failed opens a dunning case for the subscription. The
+ * scheduled dunning job moves open cases through the tenant timings
+ * (TenantSettingsService.getDunningSettings):
+ *
+ *   grace       full access, payment reminders on the configured days
+ *   restricted  read-only (SubscriptionService.isUserReadOnly)
+ *   suspended   subscription and account suspended
+ *
+ * invoice.paid closes the case as recovered and restores the subscription and
+ * the account. Notifications go by email (EmailService) and by WhatsApp from
+ * the tenant's system inbox; each one is claimed by inserting its
+ * dunning_notifications row, so overlapping runs never send it twice.
+ *
+ * Requirements: Dunning workflow for failed subscription payments
+ */
+
+const { logger } = require('../utils/logger');
+const SupabaseService = require('./SupabaseService');
+const TenantSettingsService = require('./TenantSettingsService');
+const EmailService = require('./EmailService');
+const ProviderAdapterFactory = require('./providers/ProviderAdapterFactory');
+
+const DUNNING_STAGES = {
+  GRACE: 'grace',
+  RESTRICTED: 'restricted',
+  SUSPENDED: 'suspended',
+  RECOVERED: 'recovered',
+  CANCELLED: 'cancelled'
+};
+
+// Open stages in the order a case moves through them
+const OPEN_STAGES = [DUNNING_STAGES.GRACE, DUNNING_STAGES.RESTRICTED, DUNNING_STAGES.SUSPENDED];
+const READ_ONLY_STAGES = [DUNNING_STAGES.RESTRICTED, DUNNING_STAGES.SUSPENDED];
+
+const CHANNELS = ['email', 'whatsapp'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACCOUNT_URL = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/user/account`;
+
+/**
+ * Notification texts: ({ amount, restrictAt, suspendAt }) => { subject, text }
+ */
+const NOTIFICATIONS = {
+  payment_failed: ({ amount, restrictAt }) => ({
+    subject: 'Não conseguimos processar o pagamento da sua assinatura',
+    text: `O pagamento de ${amount} da sua assinatura não foi aprovado. ` +
+      `Atualize a forma de pagamento até ${restrictAt} para evitar que sua conta entre em modo somente leitura.\n\n${ACCOUNT_URL}`
+  }),
+  reminder: ({ amount, restrictAt, suspendAt, stage }) => ({
+    subject: 'Lembrete: pagamento da assinatura pendente',
+    text: stage === DUNNING_STAGES.RESTRICTED
+      ? `Sua conta está em modo somente leitura porque o pagamento de ${amount} está pendente. ` +
+        `Regularize até ${suspendAt} para evitar a suspensão.\n\n${ACCOUNT_URL}`
+      : `O pagamento de ${amount} da sua assinatura continua pendente. ` +
+        `Atualize a forma de pagamento até ${restrictAt} para manter o acesso completo.\n\n${ACCOUNT_URL}`
+  }),
+  restricted: ({ amount, suspendAt }) => ({
+    subject: 'Sua conta está em modo somente leitura',
+    text: `Como o pagamento de ${amount} não foi confirmado, sua conta passou para o modo somente leitura. ` +
+      `Envios e novos cadastros estão bloqueados. Regularize até ${suspendAt} para evitar a suspensão.\n\n${ACCOUNT_URL}`
+  }),
+  suspended: ({ amount }) => ({
+    subject: 'Sua conta foi suspensa',
+    text: `Sua conta foi suspensa por falta de pagamento (${amount}). ` +
+      `O acesso é restabelecido automaticamente assim que o pagamento for confirmado.\n\n${ACCOUNT_URL}`
+  }),
+  restored: () => ({
+    subject: 'Pagamento confirmado',
+    text: 'Recebemos o pagamento da sua assinatura e o acesso completo à sua conta foi restabelecido.'
+  })
+};
+
+function formatAmount(cents, currency) {
+  return new Intl.NumberFormat('pt-BR', {
+    style: 'currency',
+    currency: (currency || 'BRL').toUpperCase()
+  }).format((cents || 0) / 100);
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+}
+
+class DunningService {
+  // ==================== Timeline ====================
+
+  /**
+   * Dates at which a case becomes read-only and suspended
+   * @param {Object} dunningCase - dunning_cases row
+   * @param {Object} settings - Tenant dunning settings
+   * @returns {{restrictAt: Date, suspendAt: Date}}
+   */
+  getSchedule(dunningCase, settings) {
+    const failedAt = new Date(dunningCase.failed_at).getTime();
+    const restrictAt = new Date(failedAt + settings.gracePeriodDays * DAY_MS);
+    const suspendAt = new Date(restrictAt.getTime() + settings.restrictedDays * DAY_MS);
+
+    return { restrictAt, suspendAt };
+  }
+
+  /**
+   * Stage a case should be in; cases never move back
+   * @param {Object} dunningCase - dunning_cases row
+   * @param {Object} settings - Tenant dunning settings
+   * @param {Date} now - Reference time
+   * @returns {string}
+   */
+  getTargetStage(dunningCase, settings, now) {
+    const { restrictAt, suspendAt } = this.getSchedule(dunningCase, settings);
+    const due = now >= suspendAt
+      ? DUNNING_STAGES.SUSPENDED
+      : now >= restrictAt ? DUNNING_STAGES.RESTRICTED : DUNNING_STAGES.GRACE;
+
+    return OPEN_STAGES.indexOf(due) > OPEN_STAGES.indexOf(dunningCase.stage) ? due : dunningCase.stage;
+  }
+
+  /**
+   * Latest reminder day that is due, after the day of the failure
+   * @param {Object} dunningCase - dunning_cases row
+   * @param {Object} settings - Tenant dunning settings
+   * @param {Date} now - Reference time
+   * @returns {number|null}
+   */
+  getDueReminderDay(dunningCase, settings, now) {
+    const elapsedDays = Math.floor((now - new Date(dunningCase.failed_at)) / DAY_MS);
+    const due = settings.reminderDays.filter(day => day >= 1 && day <= elapsedDays);
+
+    return due.length > 0 ? due[due.length - 1] : null;
+  }
+
+  // ==================== Webhook events ====================
+
+  /**
+   * Open a dunning case for a failed invoice, or count the new failure on the
+   * open case of the subscription
+   * @param {Object} invoice - Stripe invoice
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object|null>} dunning_cases row, null without local subscription
+   */
+  async handlePaymentFailed(invoice, now = new Date()) {
+    const { data: account } = await SupabaseService.adminClient
+      .from('accounts')
+      .select('id, tenant_id')
+      .eq('stripe_customer_id', invoice.customer)
+      .single();
+
+    if (!account) return null;
+
+    const { data: subscription } = await SupabaseService.adminClient
+      .from('user_subscriptions')
+      .select('id, status, stripe_subscription_id')
+      .eq('account_id', account.id)
+      .single();
+
+    if (!subscription) return null;
+
+    // A suspended subscription stays suspended until paid
+    if (subscription.status !== 'suspended') {
+      await SupabaseService.adminClient
+        .from('user_subscriptions')
+        .update({ status: 'past_due', updated_at: now.toISOString() })
+        .eq('id', subscription.id);
+    }
+
+    const existing = await this.getOpenCase({ subscriptionId: subscription.id });
+    if (existing) {
+      return this.recordFailure(existing, invoice, now);
+    }
+
+    const { data: created, error } = await SupabaseService.adminClient
+      .from('dunning_cases')
+      .insert({
+        account_id: account.id,
+        tenant_id: account.tenant_id,
+        subscription_id: subscription.id,
+        stripe_subscription_id: subscription.stripe_subscription_id,
+        stripe_invoice_id: invoice.id,
+        stage: DUNNING_STAGES.GRACE,
+        amount_due_cents: invoice.amount_due || 0,
+        currency: (invoice.currency || 'brl').toUpperCase(),
+        failed_at: now.toISOString(),
+        last_failed_at: now.toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Opened concurrently by a retried webhook
+      if (error.code === '23505') {
+        const raced = await this.getOpenCase({ subscriptionId: subscription.id });
+        return raced ? this.recordFailure(raced, invoice, now) : null;
+      }
+      throw error;
+    }
+
+    logger.info('Dunning case opened', { caseId: created.id, accountId: account.id, invoiceId: invoice.id });
+
+    await this.notify(created, 'payment_failed', now);
+    return created;
+  }
+
+  /**
+   * Count another failed attempt on an open case
+   * @returns {Promise<Object>} Updated row
+   */
+  async recordFailure(dunningCase, invoice, now) {
+    const { data: updated, error } = await SupabaseService.adminClient
+      .from('dunning_cases')
+      .update({
+        failure_count: (dunningCase.failure_count || 1) + 1,
+        last_failed_at: now.toISOString(),
+        stripe_invoice_id: invoice.id,
+        amount_due_cents: invoice.amount_due || dunningCase.amount_due_cents,
+        updated_at: now.toISOString()
+      })
+      .eq('id', dunningCase.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Dunning case payment failed again', { caseId: dunningCase.id, failureCount: updated.failure_count });
+    return updated;
+  }
+
+  /**
+   * Close the open case of a paid subscription invoice and restore access
+   * @param {Object} invoice - Stripe invoice
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object|null>} Closed row, null without open case
+   */
+  async handleInvoicePaid(invoice, now = new Date()) {
+    const stripeSubscriptionId = typeof invoice.subscription === 'string'
+      ? invoice.subscription
+      : invoice.subscription?.id;
+    if (!stripeSubscriptionId) return null;
+
+    const dunningCase = await this.getOpenCase({ stripeSubscriptionId });
+    if (!dunningCase) return null;
+
+    const wasLimited = READ_ONLY_STAGES.includes(dunningCase.stage);
+
+    await SupabaseService.adminClient
+      .from('user_subscriptions')
+      .update({ status: 'active', updated_at: now.toISOString() })
+      .eq('id', dunningCase.subscription_id)
+      .in('status', ['past_due', 'suspended']);
+
+    const closed = await this.closeCase(dunningCase, DUNNING_STAGES.RECOVERED, 'paid', now);
+
+    logger.info('Dunning case recovered', { caseId: dunningCase.id, accountId: dunningCase.account_id, invoiceId: invoice.id });
+
+    if (wasLimited) {
+      await this.notify(closed, 'restored', now);
+    }
+    return closed;
+  }
+
+  /**
+   * Close the open case of a cancelled subscription
+   * @param {string} stripeSubscriptionId - Stripe subscription ID
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object|null>} Closed row, null without open case
+   */
+  async handleSubscriptionCancelled(stripeSubscriptionId, now = new Date()) {
+    const dunningCase = await this.getOpenCase({ stripeSubscriptionId });
+    if (!dunningCase) return null;
+
+    const closed = await this.closeCase(dunningCase, DUNNING_STAGES.CANCELLED, 'cancelled', now);
+
+    logger.info('Dunning case cancelled', { caseId: dunningCase.id, accountId: dunningCase.account_id });
+    return closed;
+  }
+
+  /**
+   * Resolve a case, reactivating the account if dunning suspended it
+   * @returns {Promise<Object>} Updated row
+   */
+  async closeCase(dunningCase, stage, resolution, now) {
+    if (dunningCase.account_suspended) {
+      await SupabaseService.adminClient
+        .from('accounts')
+        .update({ status: 'active', updated_at: now.toISOString() })
+        .eq('id', dunningCase.account_id)
+        .eq('status', 'suspended');
+    }
+
+    const { data: closed, error } = await SupabaseService.adminClient
+      .from('dunning_cases')
+      .update({
+        stage,
+        resolution,
+        resolved_at: now.toISOString(),
+        updated_at: now.toISOString()
+      })
+      .eq('id', dunningCase.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return closed;
+  }
+
+  // ==================== Scheduled job ====================
+
+  /**
+   * Advance an open case to its due stage and send the due reminder
+   * @param {Object} dunningCase - dunning_cases row
+   * @param {Object} settings - Tenant dunning settings
+   * @param {Date} now - Reference time
+   * @returns {Promise<{stage: string, transitioned: boolean, reminded: boolean}>}
+   */
+  async advanceCase(dunningCase, settings, now) {
+    const target = this.getTargetStage(dunningCase, settings, now);
+    let current = dunningCase;
+
+    if (target !== dunningCase.stage) {
+      const updates = { stage: target, updated_at: now.toISOString() };
+      if (!dunningCase.restricted_at) {
+        updates.restricted_at = now.toISOString();
+      }
+
+      if (target === DUNNING_STAGES.SUSPENDED) {
+        updates.suspended_at = now.toISOString();
+        updates.account_suspended = await this.suspendAccount(dunningCase, now);
+      }
+
+      const { data: updated, error } = await SupabaseService.adminClient
+        .from('dunning_cases')
+        .update(updates)
+        .eq('id', dunningCase.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      current = updated;
+
+      logger.info('Dunning case advanced', { caseId: dunningCase.id, from: dunningCase.stage, to: target });
+      await this.notify(current, target, now, settings);
+
+      return { stage: target, transitioned: true, reminded: false };
+    }
+
+    // Suspended accounts get no more reminders
+    const reminderDay = target === DUNNING_STAGES.SUSPENDED ? null : this.getDueReminderDay(current, settings, now);
+    const reminded = reminderDay !== null &&
+      await this.notify(current, `reminder:${reminderDay}`, now, settings) > 0;
+
+    return { stage: target, transitioned: false, reminded };
+  }
+
+  /**
+   * Suspend the subscription and the account of a case
+   * @returns {Promise<boolean>} Whether the account was active and got suspended
+   */
+  async suspendAccount(dunningCase, now) {
+    await SupabaseService.adminClient
+      .from('user_subscriptions')
+      .update({ status: 'suspended', updated_at: now.toISOString() })
+      .eq('id', dunningCase.subscription_id);
+
+    // Accounts suspended or deactivated by an admin are left as they are
+    const { data: suspended } = await SupabaseService.adminClient
+      .from('accounts')
+      .update({ status: 'suspended', updated_at: now.toISOString() })
+      .eq('id', dunningCase.account_id)
+      .eq('status', 'active')
+      .select('id');
+
+    return (suspended || []).length > 0;
+  }
+
+  /**
+   * Advance every open case (scheduled job)
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time
+   * @returns {Promise<Object>} Run summary
+   */
+  async processOpenCases({ now = new Date() } = {}) {
+    const summary = { processed: 0, restricted: 0, suspended: 0, reminded: 0, failed: 0 };
+
+    const { data: cases, error } = await SupabaseService.adminClient
+      .from('dunning_cases')
+      .select('*')
+      .is('resolved_at', null)
+      .order('failed_at', { ascending: true });
+
+    if (error) throw error;
+
+    const settingsByTenant = new Map();
+    for (const dunningCase of cases || []) {
+      try {
+        const settings = await this.getCachedSettings(dunningCase.tenant_id, settingsByTenant);
+        const result = await this.advanceCase(dunningCase, settings, now);
+
+        summary.processed++;
+        if (result.transitioned && result.stage === DUNNING_STAGES.RESTRICTED) summary.restricted++;
+        if (result.transitioned && result.stage === DUNNING_STAGES.SUSPENDED) summary.suspended++;
+        if (result.reminded) summary.reminded++;
+      } catch (caseError) {
+        summary.failed++;
+        logger.error('Failed to process dunning case', { error: caseError.message, caseId: dunningCase.id });
+      }
+    }
+
+    logger.info('Dunning cases processed', summary);
+    return summary;
+  }
+
+  /**
+   * Tenant dunning settings, cached for the duration of a run
+   * @param {string|null} tenantId - Tenant UUID
+   * @param {Map} cache - Run cache
+   * @returns {Promise<Object>}
+   */
+  async getCachedSettings(tenantId, cache) {
+    const key = tenantId || 'default';
+    if (!cache.has(key)) {
+      cache.set(key, await TenantSettingsService.getDunningSettings(tenantId));
+    }
+    return cache.get(key);
+  }
+
+  // ==================== Notifications ====================
+
+  /**
+   * Send a notification of a case on every enabled channel
+   * @param {Object} dunningCase - dunning_cases row
+   * @param {string} key - payment_failed | reminder:<day> | restricted | suspended | restored
+   * @param {Date} now - Reference time
+   * @param {Object} [settings] - Tenant dunning settings
+   * @returns {Promise<number>} Notifications sent
+   */
+  async notify(dunningCase, key, now, settings = null) {
+    let sent = 0;
+
+    try {
+      settings = settings || await TenantSettingsService.getDunningSettings(dunningCase.tenant_id);
+      const { restrictAt, suspendAt } = this.getSchedule(dunningCase, settings);
+      const message = NOTIFICATIONS[key.split(':')[0]]({
+        amount: formatAmount(dunningCase.amount_due_cents, dunningCase.currency),
+        restrictAt: formatDate(restrictAt),
+        suspendAt: formatDate(suspendAt),
+        stage: dunningCase.stage
+      });
+      const recipients = await this.getRecipients(dunningCase.account_id);
+
+      for (const channel of CHANNELS) {
+        const enabled = channel === 'email' ? settings.emailEnabled : settings.whatsappEnabled;
+        if (!enabled) continue;
+
+        if (await this.sendNotification(dunningCase, key, channel, recipients, message, settings, now)) {
+          sent++;
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to send dunning notification', { error: error.message, caseId: dunningCase.id, key });
+    }
+
+    return sent;
+  }
+
+  /**
+   * Claim and send one notification
+   * @returns {Promise<boolean>} Whether it was sent
+   */
+  async sendNotification(dunningCase, key, channel, recipients, message, settings, now) {
+    const recipient = channel === 'email' ? recipients.email : recipients.phone;
+
+    const { data: notification, error } = await SupabaseService.adminClient
+      .from('dunning_notifications')
+      .insert({
+        case_id: dunningCase.id,
+        account_id: dunningCase.account_id,
+        notification_key: key,
+        channel,
+        recipient: recipient || null,
+        status: recipient ? 'sending' : 'skipped',
+        error: recipient ? null : 'NO_RECIPIENT'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Already claimed by an earlier run
+      if (error.code === '23505') return false;
+      throw error;
+    }
+    if (!recipient) return false;
+
+    try {
+      const result = channel === 'email'
+        ? await EmailService.send({ to: recipient, subject: message.subject, text: message.text })
+        : await this.sendWhatsApp(dunningCase.tenant_id, settings.systemInboxId, recipient, `*${message.subject}*\n\n${message.text}`);
+      if (!result.success) throw new Error(result.error || 'SEND_FAILED');
+
+      await SupabaseService.adminClient
+        .from('dunning_notifications')
+        .update({ status: 'sent', sent_at: now.toISOString() })
+        .eq('id', notification.id);
+
+      return true;
+    } catch (sendError) {
+      await SupabaseService.adminClient
+        .from('dunning_notifications')
+        .update({ status: 'failed', error: sendError.message })
+        .eq('id', notification.id);
+
+      logger.warn('Dunning notification failed', { caseId: dunningCase.id, key, channel, error: sendError.message });
+      return false;
+    }
+  }
+
+  /**
+   * Send a WhatsApp message from the system inbox of the tenant
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendWhatsApp(tenantId, inboxId, phone, text) {
+    if (!inboxId) {
+      return { success: false, error: 'NO_SYSTEM_INBOX' };
+    }
+
+    const { data: inbox } = await SupabaseService.adminClient
+      .from('inboxes')
+      .select('id, wuzapi_token, provider_type, provider_config, accounts(tenant_id)')
+      .eq('id', inboxId)
+      .single();
+
+    // The system inbox must belong to an account of the tenant
+    if (!inbox || (tenantId && inbox.accounts?.tenant_id !== tenantId)) {
+      return { success: false, error: 'NO_SYSTEM_INBOX' };
+    }
+
+    return ProviderAdapterFactory.getAdapterForInbox(inbox).sendMessage(inbox, { to: phone, text });
+  }
+
+  /**
+   * Email and WhatsApp number of the account owner
+   * The phone falls back to the number of the first inbox of the account.
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<{email: string|null, phone: string|null}>}
+   */
+  async getRecipients(accountId) {
+    const { data: account } = await SupabaseService.adminClient
+      .from('accounts')
+      .select('id, owner_user_id')
+      .eq('id', accountId)
+      .single();
+
+    let email = null;
+    let phone = null;
+
+    if (account?.owner_user_id) {
+      try {
+        const { data } = await SupabaseService.adminClient.auth.admin.getUserById(account.owner_user_id);
+        email = data?.user?.email || null;
+        phone = data?.user?.phone || data?.user?.user_metadata?.phone || null;
+      } catch (error) {
+        logger.debug('Could not fetch account owner from auth', { accountId, error: error.message });
+      }
+    }
+
+    if (!phone) {
+      const { data: inboxes } = await SupabaseService.adminClient
+        .from('inboxes')
+        .select('phone_number')
+        .eq('account_id', accountId)
+        .not('phone_number', 'is', null)
+        .order('created_at', { ascending: true })
+        .limit(1);
+
+      phone = inboxes?.[0]?.phone_number || null;
+    }
+
+    return { email, phone };
+  }
+
+  // ==================== Queries ====================
+
+  /**
+   * Open case of a subscription
+   * @param {Object} filter - { subscriptionId } or { stripeSubscriptionId }
+   * @returns {Promise<Object|null>}
+   */
+  async getOpenCase({ subscriptionId, stripeSubscriptionId }) {
+    let query = SupabaseService.adminClient
+      .from('dunning_cases')
+      .select('*')
+      .is('resolved_at', null);
+
+    query = subscriptionId
+      ? query.eq('subscription_id', subscriptionId)
+      : query.eq('stripe_subscription_id', stripeSubscriptionId);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Whether an account is read-only because of an open case
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<boolean>}
+   */
+  async isAccountRestricted(accountId) {
+    const { data, error } = await SupabaseService.adminClient
+      .from('dunning_cases')
+      .select('id')
+      .eq('account_id', accountId)
+      .is('resolved_at', null)
+      .in('stage', READ_ONLY_STAGES)
+      .limit(1);
+
+    if (error) throw error;
+
+    return (data || []).length > 0;
+  }
+
+  /**
+   * List dunning cases with their account and tenant
+   * @param {Object} [filters] - { stage, tenantId, open, limit, offset }
+   * @returns {Promise<{cases: Object[], total: number}>}
+   */
+  async listCases(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const offset = Math.max(parseInt(filters.offset) || 0, 0);
+
+    let query = SupabaseService.adminClient
+      .from('dunning_cases')
+      .select('*, accounts(id, name, status), tenants(id, name, subdomain)', { count: 'exact' })
+      .order('failed_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (filters.stage) {
+      query = query.eq('stage', filters.stage);
+    }
+
+    if (filters.tenantId) {
+      query = query.eq('tenant_id', filters.tenantId);
+    }
+
+    if (filters.open !== undefined && filters.open !== null) {
+      query = String(filters.open) === 'false'
+        ? query.not('resolved_at', 'is', null)
+        : query.is('resolved_at', null);
+    }
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    const settingsByTenant = new Map();
+    const cases = [];
+    for (const row of data || []) {
+      const settings = await this.getCachedSettings(row.tenant_id, settingsByTenant);
+      cases.push(this.formatCase(row, settings));
+    }
+
+    return { cases, total: count || 0 };
+  }
+
+  /**
+   * Get a case with its notifications
+   * @param {string} caseId - Case UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getCase(caseId) {
+    const { data: row, error } = await SupabaseService.adminClient
+      .from('dunning_cases')
+      .select('*, accounts(id, name, status), tenants(id, name, subdomain)')
+      .eq('id', caseId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!row) return null;
+
+    const { data: notifications, error: notificationsError } = await SupabaseService.adminClient
+      .from('dunning_notifications')
+      .select('*')
+      .eq('case_id', caseId)
+      .order('created_at', { ascending: true });
+
+    if (notificationsError) throw notificationsError;
+
+    const settings = await TenantSettingsService.getDunningSettings(row.tenant_id);
+
+    return {
+      ...this.formatCase(row, settings),
+      notifications: (notifications || []).map(notification => ({
+        id: notification.id,
+        key: notification.notification_key,
+        channel: notification.channel,
+        recipient: notification.recipient,
+        status: notification.status,
+        error: notification.error,
+        sentAt: notification.sent_at,
+        createdAt: notification.created_at
+      }))
+    };
+  }
+
+  /**
+   * Open cases and amount due per stage
+   * @returns {Promise<Object>} { [stage]: { count, amountDueCents } }
+   */
+  async getSummary() {
+    const { data, error } = await SupabaseService.adminClient
+      .from('dunning_cases')
+      .select('stage, amount_due_cents')
+      .is('resolved_at', null);
+
+    if (error) throw error;
+
+    const summary = {};
+    for (const stage of OPEN_STAGES) {
+      summary[stage] = { count: 0, amountDueCents: 0 };
+    }
+    for (const row of data || []) {
+      if (!summary[row.stage]) continue;
+      summary[row.stage].count++;
+      summary[row.stage].amountDueCents += row.amount_due_cents || 0;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Format a case row
+   * @param {Object} row - dunning_cases row (with accounts and tenants)
+   * @param {Object} settings - Tenant dunning settings
+   * @returns {Object}
+   */
+  formatCase(row, settings) {
+    const { restrictAt, suspendAt } = this.getSchedule(row, settings);
+
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      accountName: row.accounts?.name || null,
+      accountStatus: row.accounts?.status || null,
+      tenantId: row.tenant_id,
+      tenantName: row.tenants?.name || null,
+      subscriptionId: row.subscription_id,
+      stripeSubscriptionId: row.stripe_subscription_id,
+      stripeInvoiceId: row.stripe_invoice_id,
+      stage: row.stage,
+      amountDueCents: row.amount_due_cents,
+      currency: row.currency,
+      failureCount: row.failure_count,
+      failedAt: row.failed_at,
+      lastFailedAt: row.last_failed_at,
+      restrictedAt: row.restricted_at,
+      suspendedAt: row.suspended_at,
+      restrictAt: row.resolved_at ? null : restrictAt.toISOString(),
+      suspendAt: row.resolved_at ? null : suspendAt.toISOString(),
+      resolvedAt: row.resolved_at,
+      resolution: row.resolution
+    };
+  }
+}
+
+module.exports = new DunningService();
+module.exports.DunningService = DunningService;
+module.exports.DUNNING_STAGES = DUNNING_STAGES;
+module.exports.READ_ONLY_STAGES = READ_ONLY_STAGES;
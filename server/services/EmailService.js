@@ -0,0 +1,58 @@
+/**
+ * EmailService - Transactional emails through an HTTP email API
+ *
+ * Posts { from, to, subject, text } to EMAIL_API_URL with EMAIL_API_KEY as
+ * bearer token (the request format of providers such as Resend). Without
+ * EMAIL_API_URL nothing is sent and callers get EMAIL_NOT_CONFIGURED.
+ *
+ * Requirements: Dunning workflow for failed subscription payments
+ */
+
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+class EmailService {
+  /**
+   * Whether an email API is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(process.env.EMAIL_API_URL);
+  }
+
+  /**
+   * Send a plain text email
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async send({ to, subject, text }) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'EMAIL_NOT_CONFIGURED' };
+    }
+    if (!to) {
+      return { success: false, error: 'NO_RECIPIENT' };
+    }
+
+    try {
+      await axios.post(process.env.EMAIL_API_URL, {
+        from: process.env.EMAIL_FROM,
+        to,
+        subject,
+        text
+      }, {
+        headers: process.env.EMAIL_API_KEY ? { Authorization: `Bearer ${process.env.EMAIL_API_KEY}` } : {},
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      logger.warn('Failed to send email', { error: message, status: error.response?.status });
+      return { success: false, error: message };
+    }
+  }
+}
+
+module.exports = new EmailService();
@@ -2,6 +2,8 @@
  * ExternalWebhookService
  * 
  * Handles delivery of webhook events to external URLs configured by users
+ * Events are delivered through the webhook queue (WebhookDeliveryService);
+ * deliverWebhook remains for test deliveries and when the queue is unavailable
  * 
  * Requirements: REQ-2.3 (chat-api-realtime-migration)
  */
@@ -10,6 +12,8 @@ const crypto = require('crypto')
 const axios = require('axios')
 const { logger } = require('../utils/logger')
 const SupabaseService = require('./SupabaseService')
+const { addWebhookDeliveryJob } = require('../queues/webhookQueue')
+const { PAYLOAD_FORMATS } = require('./DomainEventBus')
 
 class ExternalWebhookService {
   constructor() {
@@ -68,36 +72,101 @@ class ExternalWebhookService {
   }
 
   /**
-   * Deliver a webhook event to a single endpoint
+   * Build the delivery of an event (payload sent and delivery ID)
    * @param {Object} webhook - The webhook configuration
    * @param {string} eventType - The event type
    * @param {Object} payload - The event payload
-   * @returns {Promise<Object>} Delivery result
+   * @param {Object} [domainEvent] - Event bus envelope, sent as is to 'domain_event' webhooks
+   * @returns {Object} Delivery for the webhook queue
    */
-  async deliverWebhook(webhook, eventType, payload) {
-    const startTime = Date.now()
+  buildDelivery(webhook, eventType, payload, domainEvent = null) {
     const deliveryId = crypto.randomUUID()
 
-    const webhookPayload = {
-      id: deliveryId,
-      event: eventType,
-      timestamp: new Date().toISOString(),
-      data: payload
+    if (domainEvent && webhook.payload_format === 'domain_event') {
+      return {
+        source: 'external',
+        webhookId: webhook.id,
+        ownerId: webhook.account_id,
+        deliveryId,
+        eventType,
+        body: domainEvent
+      }
+    }
+
+    return {
+      source: 'external',
+      webhookId: webhook.id,
+      ownerId: webhook.account_id,
+      deliveryId,
+      eventType,
+      body: {
+        id: deliveryId,
+        event: eventType,
+        timestamp: new Date().toISOString(),
+        data: payload
+      }
     }
+  }
 
+  /**
+   * Build the HTTP headers of a delivery (signed with the current secret)
+   * @param {Object} webhook - The webhook configuration
+   * @param {Object} delivery - Delivery from buildDelivery
+   * @returns {Object} Headers
+   */
+  buildDeliveryHeaders(webhook, delivery) {
     const headers = {
       'Content-Type': 'application/json',
-      'X-Webhook-Event': eventType,
-      'X-Webhook-Delivery': deliveryId,
-      'X-Webhook-Timestamp': webhookPayload.timestamp
+      'X-Webhook-Event': delivery.eventType,
+      'X-Webhook-Delivery': delivery.deliveryId,
+      'X-Webhook-Timestamp': delivery.body.timestamp || delivery.body.occurredAt
     }
 
     // Add HMAC signature if secret is configured
     if (webhook.secret) {
-      const signature = this.generateSignature(webhook.secret, webhookPayload)
+      const signature = this.generateSignature(webhook.secret, delivery.body)
       headers['X-Webhook-Signature'] = `sha256=${signature}`
     }
 
+    return headers
+  }
+
+  /**
+   * Queue a webhook delivery, delivering inline when the queue is unavailable
+   * @param {Object} webhook - The webhook configuration
+   * @param {string} eventType - The event type
+   * @param {Object} payload - The event payload
+   * @param {Object} [domainEvent] - Event bus envelope
+   * @returns {Promise<Object>} Queued delivery or inline delivery result
+   */
+  async queueDelivery(webhook, eventType, payload, domainEvent = null) {
+    const delivery = this.buildDelivery(webhook, eventType, payload, domainEvent)
+    const job = await addWebhookDeliveryJob(delivery)
+
+    if (!job) {
+      return this.deliverWebhook(webhook, eventType, payload, delivery)
+    }
+
+    return {
+      success: true,
+      deliveryId: delivery.deliveryId,
+      queued: true
+    }
+  }
+
+  /**
+   * Deliver a webhook event to a single endpoint
+   * @param {Object} webhook - The webhook configuration
+   * @param {string} eventType - The event type
+   * @param {Object} payload - The event payload
+   * @param {Object} [delivery] - Delivery already built by buildDelivery
+   * @returns {Promise<Object>} Delivery result
+   */
+  async deliverWebhook(webhook, eventType, payload, delivery = this.buildDelivery(webhook, eventType, payload)) {
+    const startTime = Date.now()
+    const { deliveryId, body: webhookPayload } = delivery
+    const headers = this.buildDeliveryHeaders(webhook, delivery)
+
     let lastError = null
     let attempt = 0
 
@@ -223,7 +292,11 @@ class ExternalWebhookService {
         last_triggered_at: new Date().toISOString(),
         failure_count: newFailureCount,
         last_error: errorMessage,
-        is_active: !shouldDisable
+        is_active: !shouldDisable,
+        ...(shouldDisable && {
+          disabled_at: new Date().toISOString(),
+          disabled_reason: `${newFailureCount} consecutive failed deliveries`
+        })
       })
 
       if (shouldDisable) {
@@ -245,9 +318,10 @@ class ExternalWebhookService {
    * @param {string} accountId - The account ID
    * @param {string} eventType - The event type
    * @param {Object} payload - The event payload
+   * @param {Object} [domainEvent] - Event bus envelope, for 'domain_event' webhooks
    * @returns {Promise<Array>} Delivery results
    */
-  async sendEvent(accountId, eventType, payload) {
+  async sendEvent(accountId, eventType, payload, domainEvent = null) {
     try {
       const webhooks = await this.getWebhooksForEvent(accountId, eventType)
 
@@ -265,9 +339,9 @@ class ExternalWebhookService {
         webhookCount: webhooks.length
       })
 
-      // Deliver to all webhooks in parallel
+      // Queue the delivery to every webhook
       const results = await Promise.all(
-        webhooks.map(webhook => this.deliverWebhook(webhook, eventType, payload))
+        webhooks.map(webhook => this.queueDelivery(webhook, eventType, payload, domainEvent))
       )
 
       return results
@@ -289,7 +363,7 @@ class ExternalWebhookService {
    */
   async createWebhook(accountId, config) {
     try {
-      const { url, secret, events, retryCount = 3, timeoutMs = 5000 } = config
+      const { url, secret, events, retryCount = 3, timeoutMs = 5000, payloadFormat = 'legacy' } = config
 
       if (!url) {
         throw new Error('Webhook URL is required')
@@ -299,6 +373,10 @@ class ExternalWebhookService {
         throw new Error('At least one event type is required')
       }
 
+      if (!PAYLOAD_FORMATS.includes(payloadFormat)) {
+        throw new Error('Invalid payload format')
+      }
+
       const webhookData = {
         account_id: accountId,
         url,
@@ -306,6 +384,7 @@ class ExternalWebhookService {
         events,
         retry_count: retryCount,
         timeout_ms: timeoutMs,
+        payload_format: payloadFormat,
         is_active: true
       }
 
@@ -339,7 +418,7 @@ class ExternalWebhookService {
    */
   async updateWebhook(webhookId, accountId, updates) {
     try {
-      const allowedFields = ['url', 'secret', 'events', 'is_active', 'retry_count', 'timeout_ms']
+      const allowedFields = ['url', 'secret', 'events', 'is_active', 'retry_count', 'timeout_ms', 'payload_format']
       const filteredUpdates = {}
 
       for (const field of allowedFields) {
@@ -352,12 +431,18 @@ class ExternalWebhookService {
         throw new Error('No valid updates provided')
       }
 
+      if (filteredUpdates.payload_format !== undefined && !PAYLOAD_FORMATS.includes(filteredUpdates.payload_format)) {
+        throw new Error('Invalid payload format')
+      }
+
       filteredUpdates.updated_at = new Date().toISOString()
 
       // Reset failure count if re-enabling
       if (filteredUpdates.is_active === true) {
         filteredUpdates.failure_count = 0
         filteredUpdates.last_error = null
+        filteredUpdates.disabled_at = null
+        filteredUpdates.disabled_reason = null
       }
 
       const { data, error } = await SupabaseService.queryAsAdmin('chat_external_webhooks', (query) =>
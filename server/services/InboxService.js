@@ -12,6 +12,7 @@ const MultiUserAuditService = require('./MultiUserAuditService');
 const { ACTION_TYPES, RESOURCE_TYPES } = require('./MultiUserAuditService');
 const wuzapiClient = require('../utils/wuzapiClient');
 const SupabaseService = require('./SupabaseService');
+const { ProviderAdapterFactory } = require('./providers');
 
 class InboxService {
   constructor(auditService = null) {
@@ -133,6 +134,8 @@ class InboxService {
    * @param {string} [data.greetingMessage] - Greeting message
    * @param {number} [data.maxInboxes] - Max inboxes allowed (for quota check)
    * @param {Object} [data.wuzapiConfig] - WUZAPI configuration (webhook, events)
+   * @param {string} [data.providerType] - Provider (wuzapi, whatsapp_cloud), default wuzapi
+   * @param {Object} [data.providerConfig] - Provider credentials (see WhatsAppCloudAdapter)
    * @param {string} [tenantId] - Tenant ID for validation (optional)
    * @returns {Promise<Object>} Created inbox
    */
@@ -161,13 +164,25 @@ class InboxService {
       const id = this.generateId();
       const now = new Date().toISOString();
       const channelType = data.channelType || 'whatsapp';
+      const providerType = data.providerType || 'wuzapi';
+      let providerConfig = {};
+
+      if (!ProviderAdapterFactory.hasAdapter(providerType)) {
+        throw new Error(`INVALID_PROVIDER: ${providerType}`);
+      }
       
       // Use provided wuzapiToken/wuzapiUserId or create new ones for WhatsApp channels
       let wuzapiToken = data.wuzapiToken || null;
       let wuzapiUserId = data.wuzapiUserId || null;
 
-      // Create WUZAPI user for WhatsApp channels if not already provided
-      if (channelType === 'whatsapp' && !wuzapiToken) {
+      if (providerType === 'whatsapp_cloud') {
+        // Official Cloud API: no WUZAPI user. The generated token only routes
+        // webhook events and chat lookups to this inbox, like a WUZAPI token.
+        providerConfig = data.providerConfig || {};
+        ProviderAdapterFactory.getAdapter(providerType).validateConfig(providerConfig);
+        wuzapiToken = wuzapiToken || this.generateWuzapiToken(data.name);
+      } else if (channelType === 'whatsapp' && !wuzapiToken) {
+        // Create WUZAPI user for WhatsApp channels if not already provided
         wuzapiToken = this.generateWuzapiToken(data.name);
         
         try {
@@ -201,6 +216,8 @@ class InboxService {
         wuzapi_token: wuzapiToken,
         wuzapi_user_id: wuzapiUserId,
         wuzapi_connected: false,
+        provider_type: providerType,
+        provider_config: providerConfig,
         created_at: now,
         updated_at: now
       };
@@ -218,6 +235,7 @@ class InboxService {
         accountId, 
         name: data.name, 
         channelType,
+        providerType,
         hasWuzapi: !!wuzapiToken 
       });
 
@@ -228,7 +246,7 @@ class InboxService {
         action: ACTION_TYPES.INBOX_CREATED,
         resourceType: RESOURCE_TYPES.INBOX,
         resourceId: id,
-        details: { name: data.name, channelType, hasWuzapi: !!wuzapiToken }
+        details: { name: data.name, channelType, providerType, hasWuzapi: !!wuzapiToken }
       });
 
       return this._getInboxByIdInternal(id);
@@ -817,6 +835,7 @@ class InboxService {
       wuzapiToken: row.wuzapi_token,
       wuzapiUserId: row.wuzapi_user_id,
       wuzapiConnected: row.wuzapi_connected === true || row.wuzapi_connected === 1,
+      providerType: row.provider_type || 'wuzapi',
       createdAt: row.created_at,
       updatedAt: row.updated_at
     };
@@ -0,0 +1,606 @@
+/**
+ * KeywordCommandService - Inbound WhatsApp keyword commands for contact self-service
+ *
+ * Each account keeps a registry of keywords (exact words or a regular
+ * expression) mapped to an action: opt out/in, canned response, join a
+ * contact group, add a tag, credit balance and upcoming appointments.
+ * chatMessageHandler matches contact messages before bot forwarding; the
+ * first active command by priority (inbox commands first on ties) runs,
+ * answers from the inbox the contact wrote to and is logged to the contact
+ * timeline.
+ *
+ * Matching ignores case and Portuguese accents ("Crédito" = "credito").
+ * The built-in OPT_OUT_KEYWORDS of CommunicationPreferenceService keep
+ * working for accounts without commands.
+ *
+ * Requirements: Account keyword command registry for contact self-service
+ */
+
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const AppointmentSeriesService = require('./AppointmentSeriesService');
+const BusinessHoursService = require('./BusinessHoursService');
+const CommunicationPreferenceService = require('./CommunicationPreferenceService');
+const ContactCreditService = require('./ContactCreditService');
+const ContactInteractionService = require('./ContactInteractionService');
+const ContactsService = require('./ContactsService');
+const TemplateProcessor = require('./TemplateProcessor');
+const ProviderAdapterFactory = require('./providers/ProviderAdapterFactory');
+const businessHours = require('../utils/businessHours');
+
+const MATCH_TYPES = ['exact', 'regex'];
+
+const ACTIONS = [
+  'opt_out',
+  'opt_in',
+  'canned_response',
+  'join_group',
+  'add_tag',
+  'credit_balance',
+  'upcoming_appointments'
+];
+
+const MAX_PATTERN_LENGTH = 200;
+
+// Longer messages are cut before the regex test
+const MAX_MATCH_LENGTH = 500;
+
+const UPCOMING_LIMIT = 5;
+const UPCOMING_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+// Replies of actions without a response template
+const DEFAULT_REPLIES = {
+  opt_out: 'Pronto! Você não receberá mais nossas mensagens. Para voltar a recebê-las, é só nos avisar.',
+  opt_in: 'Pronto! Você voltará a receber nossas mensagens.',
+  join_group: 'Pronto! Sua inscrição foi registrada.',
+  add_tag: 'Pronto! Recebemos sua solicitação.',
+  credit_balance: 'Seu saldo é de {{saldo}} créditos.',
+  upcoming_appointments: 'Seus próximos agendamentos:\n{{agendamentos}}'
+};
+
+const NO_APPOINTMENTS = 'Você não tem agendamentos futuros.';
+
+const INTERACTION_DESCRIPTIONS = {
+  opt_out: 'Deixou de receber mensagens',
+  opt_in: 'Voltou a receber mensagens',
+  canned_response: 'Recebeu a resposta automática',
+  join_group: 'Entrou no grupo de contatos',
+  add_tag: 'Recebeu a tag',
+  credit_balance: 'Consultou o saldo de créditos',
+  upcoming_appointments: 'Consultou os próximos agendamentos'
+};
+
+class KeywordCommandService {
+  // ==================== COMMANDS CRUD ====================
+
+  /**
+   * Keyword commands of an account, in evaluation order
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Array>}
+   */
+  async getCommands(accountId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('keyword_commands', (query) =>
+        query.select('*')
+          .eq('account_id', accountId)
+          .order('priority', { ascending: true })
+          .order('created_at', { ascending: true })
+      );
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get keyword commands', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single keyword command
+   * @param {string} accountId - Account UUID
+   * @param {string} commandId - Command UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getCommand(accountId, commandId) {
+    const { data, error } = await supabaseService.queryAsAdmin('keyword_commands', (query) =>
+      query.select('*')
+        .eq('id', commandId)
+        .eq('account_id', accountId)
+        .single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Create a keyword command
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - { name, matchType, keywords, pattern, action, responseTemplate, groupId, tagId, inboxId, priority, isActive }
+   * @returns {Promise<Object>}
+   */
+  async createCommand(accountId, tenantId, data) {
+    try {
+      const command = {
+        name: data.name,
+        matchType: data.matchType || 'exact',
+        keywords: data.keywords || [],
+        pattern: data.pattern || null,
+        action: data.action,
+        responseTemplate: data.responseTemplate || null,
+        groupId: data.groupId || null,
+        tagId: data.tagId || null,
+        inboxId: data.inboxId || null
+      };
+      await this.validateCommand(accountId, command);
+
+      const { data: created, error } = await supabaseService.insert('keyword_commands', {
+        account_id: accountId,
+        tenant_id: tenantId,
+        inbox_id: command.inboxId,
+        name: command.name,
+        match_type: command.matchType,
+        keywords: this.normalizeKeywords(command.keywords),
+        pattern: command.matchType === 'regex' ? command.pattern : null,
+        action: command.action,
+        response_template: command.responseTemplate,
+        group_id: command.action === 'join_group' ? command.groupId : null,
+        tag_id: command.action === 'add_tag' ? command.tagId : null,
+        priority: data.priority ?? 0,
+        is_active: data.isActive !== false
+      });
+
+      if (error) throw error;
+
+      logger.info('Keyword command created', { accountId, commandId: created.id, action: created.action });
+      return created;
+    } catch (error) {
+      logger.error('Failed to create keyword command', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a keyword command
+   * @throws {Error} KEYWORD_COMMAND_NOT_FOUND
+   */
+  async updateCommand(accountId, commandId, data) {
+    try {
+      const existing = await this.getCommand(accountId, commandId);
+      if (!existing) throw new Error('KEYWORD_COMMAND_NOT_FOUND');
+
+      const pick = (key, column) => (data[key] !== undefined ? data[key] : existing[column]);
+      const command = {
+        name: pick('name', 'name'),
+        matchType: pick('matchType', 'match_type'),
+        keywords: pick('keywords', 'keywords') || [],
+        pattern: pick('pattern', 'pattern'),
+        action: pick('action', 'action'),
+        responseTemplate: pick('responseTemplate', 'response_template'),
+        groupId: pick('groupId', 'group_id'),
+        tagId: pick('tagId', 'tag_id'),
+        inboxId: pick('inboxId', 'inbox_id')
+      };
+      await this.validateCommand(accountId, command);
+
+      const updates = {
+        name: command.name,
+        match_type: command.matchType,
+        keywords: this.normalizeKeywords(command.keywords),
+        pattern: command.matchType === 'regex' ? command.pattern : null,
+        action: command.action,
+        response_template: command.responseTemplate || null,
+        group_id: command.action === 'join_group' ? command.groupId : null,
+        tag_id: command.action === 'add_tag' ? command.tagId : null,
+        inbox_id: command.inboxId || null,
+        updated_at: new Date().toISOString()
+      };
+      if (data.priority !== undefined) updates.priority = data.priority;
+      if (data.isActive !== undefined) updates.is_active = data.isActive;
+
+      const { data: updated, error } = await supabaseService.update('keyword_commands', commandId, updates);
+      if (error) throw error;
+
+      logger.info('Keyword command updated', { accountId, commandId });
+      return updated;
+    } catch (error) {
+      logger.error('Failed to update keyword command', { error: error.message, accountId, commandId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a keyword command
+   * @throws {Error} KEYWORD_COMMAND_NOT_FOUND
+   */
+  async deleteCommand(accountId, commandId) {
+    try {
+      const existing = await this.getCommand(accountId, commandId);
+      if (!existing) throw new Error('KEYWORD_COMMAND_NOT_FOUND');
+
+      const { error } = await supabaseService.delete('keyword_commands', commandId);
+      if (error) throw error;
+
+      logger.info('Keyword command deleted', { accountId, commandId });
+    } catch (error) {
+      logger.error('Failed to delete keyword command', { error: error.message, accountId, commandId });
+      throw error;
+    }
+  }
+
+  /**
+   * Validate command input
+   * @throws {Error} INVALID_MATCH_TYPE | INVALID_KEYWORDS | INVALID_PATTERN | INVALID_ACTION |
+   *   INVALID_TEMPLATE | GROUP_NOT_FOUND | TAG_NOT_FOUND | INBOX_NOT_FOUND
+   */
+  async validateCommand(accountId, command) {
+    if (!MATCH_TYPES.includes(command.matchType)) throw new Error('INVALID_MATCH_TYPE');
+    if (!ACTIONS.includes(command.action)) throw new Error('INVALID_ACTION');
+
+    if (command.matchType === 'exact' && this.normalizeKeywords(command.keywords).length === 0) {
+      throw new Error('INVALID_KEYWORDS');
+    }
+    if (command.matchType === 'regex' && !this.isSafePattern(command.pattern)) {
+      throw new Error('INVALID_PATTERN');
+    }
+
+    if (command.action === 'canned_response' && !command.responseTemplate?.trim()) {
+      throw new Error('INVALID_TEMPLATE');
+    }
+    if (command.responseTemplate && !TemplateProcessor.validate(command.responseTemplate).success) {
+      throw new Error('INVALID_TEMPLATE');
+    }
+
+    const references = [
+      ['contact_groups', command.action === 'join_group', command.groupId, 'GROUP_NOT_FOUND'],
+      ['contact_tags', command.action === 'add_tag', command.tagId, 'TAG_NOT_FOUND'],
+      ['inboxes', Boolean(command.inboxId), command.inboxId, 'INBOX_NOT_FOUND']
+    ];
+
+    for (const [table, required, id, code] of references) {
+      if (!required) continue;
+      if (!id) throw new Error(code);
+
+      const { data } = await supabaseService.queryAsAdmin(table, (query) =>
+        query.select('id').eq('id', id).eq('account_id', accountId).single()
+      );
+      if (!data) throw new Error(code);
+    }
+  }
+
+  /**
+   * Patterns must compile and have no quantified group that contains a
+   * quantifier or backreferences (catastrophic backtracking on WhatsApp input)
+   * @param {string} pattern
+   * @returns {boolean}
+   */
+  isSafePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim() || pattern.length > MAX_PATTERN_LENGTH) return false;
+
+    try {
+      new RegExp(pattern, 'i');
+    } catch {
+      return false;
+    }
+
+    // Whether each open group contains a quantifier
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+
+      if (char === '\\') {
+        if (/[1-9k]/.test(pattern[i + 1] || '')) return false;
+        i++;
+      } else if (char === '[') {
+        // Character classes are single characters
+        i++;
+        while (i < pattern.length && pattern[i] !== ']') {
+          if (pattern[i] === '\\') i++;
+          i++;
+        }
+      } else if (char === '(') {
+        groups.push(false);
+      } else if (char === ')') {
+        const quantified = groups.pop();
+        if (quantified && '*+{'.includes(pattern[i + 1] || ' ')) return false;
+        if (quantified && groups.length > 0) groups[groups.length - 1] = true;
+      } else if ('*+{'.includes(char) && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    }
+    return true;
+  }
+
+  // ==================== MATCHING ====================
+
+  /**
+   * Lowercase without Portuguese accents
+   * @param {string} text
+   * @returns {string}
+   */
+  normalizeText(text) {
+    return this.stripAccents(String(text || '').trim().toLowerCase());
+  }
+
+  stripAccents(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Exact keywords ignore punctuation and repeated spaces ("Saldo?" = "saldo")
+   * @param {string} text
+   * @returns {string}
+   */
+  normalizeKeyword(text) {
+    return this.normalizeText(text).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  normalizeKeywords(keywords) {
+    return [...new Set((keywords || []).map(k => this.normalizeKeyword(k)).filter(Boolean))];
+  }
+
+  /**
+   * First command matching a message
+   * @param {Array} commands - Active commands in evaluation order
+   * @param {string} content - Message text
+   * @returns {Object|null}
+   */
+  match(commands, content) {
+    const keyword = this.normalizeKeyword(content);
+    if (!keyword) return null;
+
+    const text = this.normalizeText(content).slice(0, MAX_MATCH_LENGTH);
+
+    return commands.find(command => {
+      if (command.match_type === 'exact') {
+        return (command.keywords || []).includes(keyword);
+      }
+      try {
+        return new RegExp(this.stripAccents(command.pattern), 'i').test(text);
+      } catch {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Active commands that answer on an inbox: priority first, then inbox
+   * commands before account-wide ones
+   * @param {string} accountId - Account UUID
+   * @param {string|null} inboxId - Inbox of the conversation
+   * @returns {Promise<Array>}
+   */
+  async getActiveCommands(accountId, inboxId) {
+    const { data, error } = await supabaseService.queryAsAdmin('keyword_commands', (query) => {
+      const q = query.select('*')
+        .eq('account_id', accountId)
+        .eq('is_active', true);
+      return (inboxId ? q.or(`inbox_id.is.null,inbox_id.eq.${inboxId}`) : q.is('inbox_id', null))
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true });
+    });
+    if (error) throw error;
+
+    return (data || [])
+      .map((command, index) => ({ command, index }))
+      .sort((a, b) => (a.command.priority - b.command.priority) ||
+        (Number(!a.command.inbox_id) - Number(!b.command.inbox_id)) ||
+        (a.index - b.index))
+      .map(({ command }) => command);
+  }
+
+  // ==================== INCOMING MESSAGES ====================
+
+  /**
+   * Run the keyword command a contact message matches
+   * @param {Object} conversation - Conversation (account_id, inbox_id, contact_jid)
+   * @param {string} content - Message text
+   * @param {Date} [now]
+   * @returns {Promise<{handled: boolean, action?: string, commandId?: string}>}
+   */
+  async handleIncomingMessage(conversation, content, now = new Date()) {
+    try {
+      if (!conversation?.account_id || !conversation.contact_jid || !content) return { handled: false };
+
+      const commands = await this.getActiveCommands(conversation.account_id, conversation.inbox_id);
+      const command = this.match(commands, content);
+      if (!command) return { handled: false };
+
+      const phone = conversation.contact_jid.replace('@s.whatsapp.net', '');
+      const contact = await this.getContact(conversation.account_id, phone);
+
+      // Every action but the canned response changes or reads the CRM contact
+      if (!contact && command.action !== 'canned_response') {
+        logger.info('Keyword command skipped for unknown contact', { commandId: command.id, conversationId: conversation.id });
+        return { handled: false };
+      }
+
+      const variables = await this.runAction(command, contact, { conversation, content, now });
+      const reply = this.renderReply(command, contact, variables);
+
+      const inbox = conversation.inbox_id
+        ? await this.getInbox(conversation.account_id, conversation.inbox_id)
+        : null;
+      if (inbox && reply) {
+        await this.sendText(inbox, phone, reply);
+      }
+
+      await this.recordHit(command, now);
+      if (contact) {
+        await this.logHit(command, contact, content, conversation);
+      }
+
+      logger.info('Keyword command handled', { commandId: command.id, action: command.action, conversationId: conversation.id });
+      return { handled: true, action: command.action, commandId: command.id };
+    } catch (error) {
+      logger.warn('Failed to handle keyword command', { error: error.message, conversationId: conversation?.id });
+      return { handled: false };
+    }
+  }
+
+  async getContact(accountId, phone) {
+    const { data } = await supabaseService.queryAsAdmin('contacts', (query) =>
+      query.select('id, name')
+        .eq('account_id', accountId)
+        .eq('phone', phone)
+        .limit(1)
+    );
+    return data?.[0] || null;
+  }
+
+  /**
+   * Apply the action of a command
+   * @param {Object} command
+   * @param {Object|null} contact
+   * @param {Object} message - { conversation, content, now }
+   * @returns {Promise<Object>} Template variables of the reply
+   */
+  async runAction(command, contact, { conversation, content, now }) {
+    // Consent ledger evidence of opt in/out commands
+    const evidence = { message: content, conversationId: conversation.id, keywordCommandId: command.id };
+
+    switch (command.action) {
+      case 'opt_out':
+        await CommunicationPreferenceService.setOptIn(contact.id, false, 'keyword', { evidence });
+        return {};
+      case 'opt_in':
+        await CommunicationPreferenceService.setOptIn(contact.id, true, 'keyword', { evidence });
+        return {};
+      case 'join_group':
+        await ContactsService.addContactsToGroup(command.account_id, command.group_id, [contact.id]);
+        return {};
+      case 'add_tag':
+        await ContactsService.addTagsToContacts(command.account_id, [contact.id], [command.tag_id]);
+        return {};
+      case 'credit_balance': {
+        const { balance } = await ContactCreditService.getBalance(contact.id);
+        return { saldo: String(balance) };
+      }
+      case 'upcoming_appointments': {
+        const appointments = await this.getUpcomingAppointments(command, contact, now);
+        return { agendamentos: await this.formatAppointments(appointments, conversation.inbox_id) };
+      }
+      default:
+        return {};
+    }
+  }
+
+  renderReply(command, contact, variables) {
+    let template = command.response_template || DEFAULT_REPLIES[command.action];
+    if (command.action === 'upcoming_appointments' && !variables.agendamentos) {
+      if (!command.response_template) template = NO_APPOINTMENTS;
+      variables = { ...variables, agendamentos: NO_APPOINTMENTS };
+    }
+    if (!template) return null;
+
+    const result = TemplateProcessor.process(template, { nome: contact?.name || '', ...variables });
+    if (!result.success) throw new Error('INVALID_TEMPLATE');
+    return result.finalMessage;
+  }
+
+  /**
+   * Next appointments of a contact: rows and occurrences of recurring series
+   * @returns {Promise<Array<{title: string, start_time: string}>>}
+   */
+  async getUpcomingAppointments(command, contact, now) {
+    const { data: rows, error } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      query.select('id, title, start_time, status')
+        .eq('account_id', command.account_id)
+        .eq('contact_id', contact.id)
+        .in('status', ACTIVE_STATUSES)
+        .gte('start_time', now.toISOString())
+        .order('start_time', { ascending: true })
+        .limit(UPCOMING_LIMIT)
+    );
+    if (error) throw error;
+
+    const occurrences = await AppointmentSeriesService.getOccurrences(command.account_id, command.tenant_id, {
+      startDate: now,
+      endDate: new Date(now.getTime() + UPCOMING_DAYS * DAY_MS),
+      contactId: contact.id
+    });
+
+    return [...(rows || []), ...occurrences]
+      .filter(appointment => ACTIVE_STATUSES.includes(appointment.status) && new Date(appointment.start_time) >= now)
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+      .slice(0, UPCOMING_LIMIT);
+  }
+
+  /**
+   * One line per appointment in the business hours timezone of the inbox
+   * @returns {Promise<string>} Empty when there are no appointments
+   */
+  async formatAppointments(appointments, inboxId) {
+    if (appointments.length === 0) return '';
+
+    const calendar = await BusinessHoursService.getCalendar(inboxId);
+    const timezone = calendar?.timezone || DEFAULT_TIMEZONE;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return appointments.map(appointment => {
+      const p = businessHours.getLocalParts(new Date(appointment.start_time), timezone);
+      return `• ${pad(p.day)}/${pad(p.month)} às ${pad(p.hour)}:${pad(p.minute)} - ${appointment.title}`;
+    }).join('\n');
+  }
+
+  async getInbox(accountId, inboxId) {
+    const { data } = await supabaseService.queryAsAdmin('inboxes', (query) =>
+      query.select('id, wuzapi_token, provider_type, provider_config')
+        .eq('id', inboxId)
+        .eq('account_id', accountId)
+        .limit(1)
+    );
+    return data?.[0] || null;
+  }
+
+  async sendText(inbox, phone, text) {
+    return ProviderAdapterFactory.getAdapterForInbox(inbox).sendMessage(inbox, { to: phone, text });
+  }
+
+  async recordHit(command, now) {
+    try {
+      await supabaseService.update('keyword_commands', command.id, {
+        hit_count: (command.hit_count || 0) + 1,
+        last_hit_at: now.toISOString()
+      });
+    } catch (error) {
+      logger.warn('Failed to record keyword command hit', { error: error.message, commandId: command.id });
+    }
+  }
+
+  /**
+   * Contact timeline entry for a command hit
+   * @private
+   */
+  async logHit(command, contact, content, conversation) {
+    try {
+      await ContactInteractionService.logInteraction(
+        contact.id,
+        ['opt_out', 'opt_in', 'join_group', 'add_tag'].includes(command.action) ? 'status_change' : 'message',
+        'incoming',
+        `${INTERACTION_DESCRIPTIONS[command.action]} pelo comando "${String(content).trim()}" do WhatsApp`,
+        {
+          keywordCommandId: command.id,
+          keywordCommandName: command.name,
+          keywordAction: command.action,
+          conversationId: conversation.id,
+          groupId: command.group_id || undefined,
+          tagId: command.tag_id || undefined
+        }
+      );
+    } catch (error) {
+      logger.warn('Failed to log keyword command interaction', { error: error.message, commandId: command.id });
+    }
+  }
+}
+
+module.exports = new KeywordCommandService();
+module.exports.KeywordCommandService = KeywordCommandService;
+module.exports.KEYWORD_ACTIONS = ACTIONS;
+module.exports.KEYWORD_MATCH_TYPES = MATCH_TYPES;
@@ -2,13 +2,15 @@
  * MediaProcessorService - Processa e armazena mídia no S3
  * 
  * Responsável por:
- * - Download de mídia do WhatsApp (via WUZAPI)
+ * - Download de mídia do WhatsApp (via WUZAPI ou API oficial)
  * - Upload para S3
  * - Gerenciamento de URLs de mídia
  */
 
 const { logger } = require('../utils/logger');
 const { s3Service } = require('./S3Service');
+const SupabaseService = require('./SupabaseService');
+const { ProviderAdapterFactory } = require('./providers');
 const axios = require('axios');
 const crypto = require('crypto');
 
@@ -47,8 +49,10 @@ class MediaProcessorService {
     }
 
     try {
-      // 1. Baixar mídia do WhatsApp via WUZAPI
-      const mediaBuffer = await this.downloadFromWuzapi(userToken, mediaMetadata, mediaType);
+      // 1. Baixar mídia do WhatsApp via WUZAPI (ou pela API oficial quando há mediaId)
+      const mediaBuffer = mediaMetadata.mediaId
+        ? await this.downloadFromCloudApi(userToken, mediaMetadata.mediaId)
+        : await this.downloadFromWuzapi(userToken, mediaMetadata, mediaType);
       
       if (!mediaBuffer) {
         logger.warn('MediaProcessor: Failed to download media from WUZAPI');
@@ -167,6 +171,35 @@ class MediaProcessorService {
     }
   }
 
+  /**
+   * Baixa mídia recebida por uma caixa da API oficial do WhatsApp (Cloud API)
+   * @param {string} userToken - Token de roteamento da caixa de entrada
+   * @param {string} mediaId - ID da mídia na Cloud API
+   * @returns {Promise<Buffer|null>} Buffer da mídia
+   */
+  async downloadFromCloudApi(userToken, mediaId) {
+    try {
+      const { data: inbox, error } = await SupabaseService.queryAsAdmin('inboxes', (query) =>
+        query.select('id, provider_type, provider_config').eq('wuzapi_token', userToken).single()
+      );
+
+      if (error || !inbox) {
+        logger.warn('MediaProcessor: Inbox not found for Cloud API media', { mediaId });
+        return null;
+      }
+
+      const adapter = ProviderAdapterFactory.getAdapterForInbox(inbox);
+      const { buffer } = await adapter.downloadMedia(inbox, mediaId);
+      return buffer;
+    } catch (error) {
+      logger.error('MediaProcessor: Cloud API download failed', {
+        mediaId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Processa mídia para envio - faz upload para S3 e retorna URL
    * @param {Object} params - Parâmetros
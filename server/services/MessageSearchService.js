@@ -0,0 +1,326 @@
+/**
+ * MessageSearchService - Account-wide full-text search
+ *
+ * Searches message content (internal notes included), contact names, phones
+ * and contact custom attributes through the search_messages and
+ * search_conversations Postgres functions (tsvector with Portuguese stemming
+ * and unaccent, see migration 043).
+ *
+ * Results are newest first with keyset cursor pagination and an HTML-safe
+ * snippet where matches are wrapped in <mark>.
+ *
+ * Requirements: Full-text search across messages with Postgres tsvector and filters
+ */
+
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+
+const SEARCH_TYPES = {
+  MESSAGES: 'messages',
+  CONVERSATIONS: 'conversations'
+};
+
+const DIRECTIONS = ['incoming', 'outgoing'];
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Highlight markers used by ts_headline in the search functions
+const HIGHLIGHT_START = /\{\{\{/g;
+const HIGHLIGHT_END = /\}\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+class MessageSearchService {
+  /**
+   * Search messages of the account
+   * @param {string} accountId - Account ID (UUID)
+   * @param {Object} params - Raw search parameters (see parseParams)
+   * @returns {Promise<Object>} { results, pagination }
+   */
+  async searchMessages(accountId, params = {}) {
+    const { query, filters, cursor, limit } = this.parseParams(params, SEARCH_TYPES.MESSAGES);
+
+    const rows = await this.callSearch('search_messages', {
+      p_account_id: accountId,
+      p_query: query,
+      ...this.toFunctionFilters(filters),
+      p_direction: filters.direction,
+      p_message_types: filters.mediaTypes,
+      p_include_notes: filters.includeNotes,
+      p_cursor_timestamp: cursor?.timestamp || null,
+      p_cursor_id: cursor?.id || null,
+      p_limit: limit + 1
+    });
+
+    const page = this.paginate(rows, limit, row => ({ timestamp: row.message_timestamp, id: row.id }));
+
+    logger.info('Messages full-text search', { accountId, results: page.results.length, hasMore: page.pagination.hasMore });
+
+    return {
+      results: page.results.map(row => ({
+        id: row.id,
+        conversationId: row.conversation_id,
+        inboxId: row.inbox_id,
+        contactJid: row.contact_jid,
+        contactName: row.contact_name,
+        direction: row.direction,
+        messageType: row.message_type,
+        isPrivateNote: row.is_private_note,
+        senderAgentId: row.sender_agent_id,
+        mediaUrl: row.media_url,
+        mediaFilename: row.media_filename,
+        timestamp: row.message_timestamp,
+        snippet: this.formatSnippet(row.snippet),
+        rank: row.rank
+      })),
+      pagination: page.pagination
+    };
+  }
+
+  /**
+   * Search conversations of the account by contact name, phone and custom attributes
+   * @param {string} accountId - Account ID (UUID)
+   * @param {Object} params - Raw search parameters (see parseParams)
+   * @returns {Promise<Object>} { results, pagination }
+   */
+  async searchConversations(accountId, params = {}) {
+    const { query, filters, cursor, limit } = this.parseParams(params, SEARCH_TYPES.CONVERSATIONS);
+
+    const rows = await this.callSearch('search_conversations', {
+      p_account_id: accountId,
+      p_query: query,
+      ...this.toFunctionFilters(filters),
+      p_cursor_timestamp: cursor?.timestamp || null,
+      p_cursor_id: cursor?.id || null,
+      p_limit: limit + 1
+    });
+
+    const page = this.paginate(rows, limit, row => ({ timestamp: row.activity_at, id: row.id }));
+
+    logger.info('Conversations full-text search', { accountId, results: page.results.length, hasMore: page.pagination.hasMore });
+
+    return {
+      results: page.results.map(row => ({
+        id: row.id,
+        inboxId: row.inbox_id,
+        contactJid: row.contact_jid,
+        contactName: row.contact_name,
+        status: row.status,
+        assignedAgentId: row.assigned_agent_id,
+        lastMessageAt: row.last_message_at,
+        snippet: this.formatSnippet(row.snippet),
+        rank: row.rank
+      })),
+      pagination: page.pagination
+    };
+  }
+
+  /**
+   * Call a search function
+   * @param {string} functionName
+   * @param {Object} args
+   * @returns {Promise<Array>} Rows
+   */
+  async callSearch(functionName, args) {
+    const { data, error } = await supabaseService.adminClient.rpc(functionName, args);
+
+    if (error) {
+      logger.error('Full-text search failed', { functionName, error: error.message });
+      throw new Error('SEARCH_FAILED');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Validate and normalize search parameters (query string values accepted)
+   *
+   * q            - search text (websearch syntax: "exact phrase", or, -exclude)
+   * inboxIds     - array or comma separated UUIDs
+   * labelIds     - array or comma separated IDs
+   * agentIds     - array or comma separated UUIDs
+   * from, to     - ISO dates (to is exclusive)
+   * direction    - incoming | outgoing (messages only)
+   * mediaTypes   - array or comma separated message types, e.g. image,document (messages only)
+   * includeNotes - false to leave internal notes out (messages only, default true)
+   * cursor, limit
+   *
+   * @param {Object} params
+   * @param {string} type - messages or conversations
+   * @returns {{query: string, filters: Object, cursor: Object|null, limit: number}}
+   */
+  parseParams(params, type) {
+    const query = typeof params.q === 'string' ? params.q.trim() : '';
+    if (query.length < MIN_QUERY_LENGTH) {
+      throw new Error('QUERY_TOO_SHORT');
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw new Error('QUERY_TOO_LONG');
+    }
+
+    const filters = {
+      inboxIds: this.parseList(params.inboxIds, 'inboxIds', true),
+      labelIds: this.parseList(params.labelIds, 'labelIds', false),
+      agentIds: this.parseList(params.agentIds, 'agentIds', true),
+      dateFrom: this.parseDate(params.from, 'from'),
+      dateTo: this.parseDate(params.to, 'to'),
+      direction: null,
+      mediaTypes: null,
+      includeNotes: true
+    };
+
+    if (type === SEARCH_TYPES.MESSAGES) {
+      if (params.direction) {
+        if (!DIRECTIONS.includes(params.direction)) {
+          throw new Error('INVALID_FILTER: direction');
+        }
+        filters.direction = params.direction;
+      }
+      filters.mediaTypes = this.parseList(params.mediaTypes, 'mediaTypes', false);
+      filters.includeNotes = !(params.includeNotes === false || params.includeNotes === 'false');
+    }
+
+    const limit = params.limit === undefined || params.limit === ''
+      ? DEFAULT_LIMIT
+      : Number.parseInt(params.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new Error('INVALID_FILTER: limit');
+    }
+
+    return { query, filters, cursor: this.decodeCursor(params.cursor), limit };
+  }
+
+  /**
+   * Parse a list filter given as an array or a comma separated string
+   * @param {string|string[]} value
+   * @param {string} name - Filter name (for the error)
+   * @param {boolean} uuids - Require UUIDs
+   * @returns {string[]|null} null when the filter is not set
+   */
+  parseList(value, name, uuids) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+
+    if (items.length === 0) {
+      return null;
+    }
+    if (items.length > 100 || (uuids && !items.every(item => UUID_REGEX.test(item)))) {
+      throw new Error(`INVALID_FILTER: ${name}`);
+    }
+
+    return items;
+  }
+
+  /**
+   * Parse a date filter
+   * @param {string} value
+   * @param {string} name - Filter name (for the error)
+   * @returns {string|null} ISO timestamp
+   */
+  parseDate(value, name) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`INVALID_FILTER: ${name}`);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Filters shared by both search functions
+   * @param {Object} filters - Parsed filters
+   * @returns {Object} Function arguments
+   */
+  toFunctionFilters(filters) {
+    return {
+      p_inbox_ids: filters.inboxIds,
+      p_label_ids: filters.labelIds,
+      p_agent_ids: filters.agentIds,
+      p_date_from: filters.dateFrom,
+      p_date_to: filters.dateTo
+    };
+  }
+
+  /**
+   * Split the extra row fetched to detect the next page
+   * @param {Array} rows - limit + 1 rows at most
+   * @param {number} limit
+   * @param {Function} cursorOf - Row -> { timestamp, id }
+   * @returns {{results: Array, pagination: Object}}
+   */
+  paginate(rows, limit, cursorOf) {
+    const hasMore = rows.length > limit;
+    const results = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+      results,
+      pagination: {
+        limit,
+        cursor: hasMore ? this.encodeCursor(cursorOf(results[results.length - 1])) : null,
+        hasMore
+      }
+    };
+  }
+
+  /**
+   * @param {{timestamp: string, id: string}} position
+   * @returns {string} Opaque cursor
+   */
+  encodeCursor(position) {
+    return Buffer.from(JSON.stringify({ t: position.timestamp, i: position.id })).toString('base64url');
+  }
+
+  /**
+   * @param {string} cursor - Opaque cursor from a previous page
+   * @returns {{timestamp: string, id: string}|null}
+   */
+  decodeCursor(cursor) {
+    if (!cursor) {
+      return null;
+    }
+
+    try {
+      const { t, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (Number.isNaN(new Date(t).getTime()) || !UUID_REGEX.test(i)) {
+        throw new Error('invalid');
+      }
+      return { timestamp: t, id: i };
+    } catch {
+      throw new Error('INVALID_CURSOR');
+    }
+  }
+
+  /**
+   * Escape the snippet for HTML and turn the match markers into <mark>
+   * @param {string} snippet - ts_headline output
+   * @returns {string}
+   */
+  formatSnippet(snippet) {
+    return String(snippet || '')
+      .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+      .replace(HIGHLIGHT_START, '<mark>')
+      .replace(HIGHLIGHT_END, '</mark>');
+  }
+}
+
+module.exports = new MessageSearchService();
+module.exports.MessageSearchService = MessageSearchService;
+module.exports.SEARCH_TYPES = SEARCH_TYPES;
@@ -0,0 +1,589 @@
+/**
+ * MeteredBillingService - Usage-based billing of messages and bot tokens
+ *
+ * Plans declare, per metric, an included allowance and an overage price
+ * (PlanService meteredBilling). Usage recorded in usage_metrics is summed per
+ * Stripe billing period of the subscription and the billable overage units are
+ * sent to the billing meter of the metric. metered_usage_reports keeps what
+ * was reported per subscription, metric and period; invoice.paid reconciles
+ * it with the metered lines of the invoice.
+ *
+ * Requirements: Stripe usage-based billing for messages and bot tokens
+ */
+
+const { logger } = require('../utils/logger');
+const SupabaseService = require('./SupabaseService');
+const StripeService = require('./StripeService');
+const PlanService = require('./PlanService');
+const QuotaService = require('./QuotaService');
+const UsageTrackingService = require('./UsageTrackingService');
+const { normalizeToUUID } = require('../utils/userIdHelper');
+
+const { METERED_METRICS } = PlanService;
+
+// Usage metric and monthly quota of each metered metric
+const METRIC_SOURCES = {
+  messages: {
+    usageMetric: UsageTrackingService.METRIC_TYPES.MESSAGES_SENT,
+    quotaType: QuotaService.QUOTA_TYPES.MAX_MESSAGES_PER_MONTH
+  },
+  botTokens: {
+    usageMetric: UsageTrackingService.METRIC_TYPES.BOT_TOKENS_USED,
+    quotaType: QuotaService.QUOTA_TYPES.MAX_BOT_TOKENS_PER_MONTH
+  }
+};
+
+// Subscriptions whose usage is reported / that may exceed their allowance
+const REPORTED_STATUSES = ['active', 'trial', 'past_due'];
+const OVERAGE_STATUSES = ['active', 'trial'];
+
+const OVERAGE_CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Metric key (messages, botTokens) of a metered_usage_reports.metric value
+ * @param {string} column - messages | bot_tokens
+ * @returns {string|undefined}
+ */
+function metricForColumn(column) {
+  return Object.keys(METERED_METRICS).find(metric => METERED_METRICS[metric].column === column);
+}
+
+class MeteredBillingService {
+  constructor() {
+    this.planService = new PlanService();
+    this.usageTracking = new UsageTrackingService();
+    this.overageCache = new Map();
+  }
+
+  /**
+   * Overage of a usage under the plan terms
+   * @param {number} usage - Usage in the period
+   * @param {Object} terms - { includedUnits, unitSize, unitAmountCents }
+   * @returns {{usage: number, overageUsage: number, billableUnits: number, amountCents: number}}
+   */
+  calculateOverage(usage, terms) {
+    const overageUsage = Math.max(0, usage - (terms.includedUnits || 0));
+    const billableUnits = Math.ceil(overageUsage / (terms.unitSize || 1));
+
+    return {
+      usage,
+      overageUsage,
+      billableUnits,
+      amountCents: billableUnits * (terms.unitAmountCents || 0)
+    };
+  }
+
+  /**
+   * Metered metrics of a plan that are enabled and synced to Stripe
+   * @param {Object} plan - Formatted plan
+   * @returns {Array<{metric: string, config: Object}>}
+   */
+  getMeteredMetrics(plan) {
+    return Object.keys(METERED_METRICS)
+      .map(metric => ({ metric, config: plan?.meteredBilling?.[metric] }))
+      .filter(({ config }) => config?.enabled && config.stripePriceId && config.stripeMeterId);
+  }
+
+  /**
+   * Get a plan, cached for the duration of a run
+   * @param {string} planId - Plan ID
+   * @param {Map} plans - Run cache
+   * @returns {Promise<Object|null>}
+   */
+  async getCachedPlan(planId, plans) {
+    if (!planId) return null;
+
+    if (!plans.has(planId)) {
+      plans.set(planId, await this.planService.getPlanById(planId));
+    }
+
+    return plans.get(planId);
+  }
+
+  /**
+   * Account, subscription and plan of a user
+   * @param {string} userId - User ID (UUID or hash)
+   * @returns {Promise<Object|null>} { account, subscription, plan } or null without subscription
+   */
+  async getUserBilling(userId) {
+    const { data: account } = await SupabaseService.adminClient
+      .from('accounts')
+      .select('id, owner_user_id, stripe_customer_id')
+      .eq('owner_user_id', normalizeToUUID(userId) || userId)
+      .single();
+
+    if (!account) return null;
+
+    const { data: subscription } = await SupabaseService.adminClient
+      .from('user_subscriptions')
+      .select('id, account_id, plan_id, status, stripe_subscription_id, current_period_start, current_period_end')
+      .eq('account_id', account.id)
+      .single();
+
+    if (!subscription) return null;
+
+    const plan = subscription.plan_id ? await this.planService.getPlanById(subscription.plan_id) : null;
+
+    return { account, subscription, plan };
+  }
+
+  /**
+   * Whether usage above a monthly quota is billed as overage instead of blocked
+   * Cached for a minute per user and quota
+   * @param {string} userId - User ID
+   * @param {string} quotaType - Quota type
+   * @returns {Promise<boolean>}
+   */
+  async allowsOverage(userId, quotaType) {
+    const metric = Object.keys(METRIC_SOURCES).find(key => METRIC_SOURCES[key].quotaType === quotaType);
+    if (!metric) return false;
+
+    const cacheKey = `${userId}:${quotaType}`;
+    const cached = this.overageCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.allowed;
+    }
+
+    let allowed = false;
+    try {
+      const billing = await this.getUserBilling(userId);
+      allowed = Boolean(
+        billing?.subscription.stripe_subscription_id &&
+        OVERAGE_STATUSES.includes(billing.subscription.status) &&
+        this.getMeteredMetrics(billing.plan).some(entry => entry.metric === metric)
+      );
+    } catch (error) {
+      logger.warn('Failed to check metered overage', { error: error.message, userId, quotaType });
+    }
+
+    this.overageCache.set(cacheKey, { allowed, expiresAt: Date.now() + OVERAGE_CACHE_TTL_MS });
+    return allowed;
+  }
+
+  // ==================== Reporting ====================
+
+  /**
+   * Get the report row of a subscription, metric and period, creating it with
+   * the current plan terms
+   * @param {Object} params
+   * @returns {Promise<Object>} metered_usage_reports row
+   */
+  async getOrCreateReport({ account, subscription, metric, config, period }) {
+    const column = METERED_METRICS[metric].column;
+    const findReport = () => SupabaseService.adminClient
+      .from('metered_usage_reports')
+      .select('*')
+      .eq('stripe_subscription_id', subscription.stripe_subscription_id)
+      .eq('metric', column)
+      .eq('period_start', period.start.toISOString())
+      .maybeSingle();
+
+    const { data: existing, error: findError } = await findReport();
+    if (findError) throw findError;
+    if (existing) return existing;
+
+    const { data: created, error } = await SupabaseService.adminClient
+      .from('metered_usage_reports')
+      .insert({
+        account_id: account.id,
+        user_id: account.owner_user_id,
+        stripe_customer_id: account.stripe_customer_id,
+        stripe_subscription_id: subscription.stripe_subscription_id,
+        stripe_meter_id: config.stripeMeterId,
+        metric: column,
+        period_start: period.start.toISOString(),
+        period_end: period.end.toISOString(),
+        included_units: config.includedUnits,
+        unit_size: config.unitSize,
+        unit_amount_cents: config.unitAmountCents
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Created concurrently by another run
+      if (error.code === '23505') {
+        const { data: raced, error: raceError } = await findReport();
+        if (raceError) throw raceError;
+        return raced;
+      }
+      throw error;
+    }
+
+    return created;
+  }
+
+  /**
+   * Sum the usage of a report period and send the new billable units to the meter
+   * Once the period has ended the report is final and the row is closed.
+   * @param {Object} report - metered_usage_reports row
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} Updated row
+   */
+  async reportPeriod(report, now = new Date()) {
+    const metric = metricForColumn(report.metric);
+    const periodStart = new Date(report.period_start);
+    const periodEnd = new Date(report.period_end);
+    const final = now >= periodEnd;
+
+    const usage = await this.usageTracking.getUsageTotal(
+      report.user_id,
+      METRIC_SOURCES[metric].usageMetric,
+      periodStart,
+      final ? periodEnd : now
+    );
+
+    const overage = this.calculateOverage(usage, {
+      includedUnits: Number(report.included_units),
+      unitSize: report.unit_size,
+      unitAmountCents: report.unit_amount_cents
+    });
+    const reportedUnits = Number(report.reported_units) || 0;
+    const newUnits = overage.billableUnits - reportedUnits;
+
+    if (newUnits > 0) {
+      // Meter events count in the period of their timestamp
+      const timestamp = Math.floor(Math.min(now.getTime(), periodEnd.getTime() - 1000) / 1000);
+
+      await StripeService.createMeterEvent({
+        eventName: METERED_METRICS[metric].meterEventName,
+        customerId: report.stripe_customer_id,
+        value: newUnits,
+        identifier: `${report.id}:${overage.billableUnits}`,
+        timestamp
+      });
+    }
+
+    const { data: updated, error } = await SupabaseService.adminClient
+      .from('metered_usage_reports')
+      .update({
+        usage_quantity: usage,
+        billable_units: overage.billableUnits,
+        reported_units: Math.max(reportedUnits, overage.billableUnits),
+        last_reported_at: now.toISOString(),
+        status: final ? 'closed' : 'open',
+        updated_at: now.toISOString()
+      })
+      .eq('id', report.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return updated;
+  }
+
+  /**
+   * Report the overage of the current billing period of a subscription
+   * @param {Object} subscription - user_subscriptions row
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time
+   * @param {Map} [options.plans] - Plan cache of the run
+   * @returns {Promise<Object[]>} Report rows updated
+   */
+  async reportSubscriptionUsage(subscription, { now = new Date(), plans = new Map() } = {}) {
+    const plan = await this.getCachedPlan(subscription.plan_id, plans);
+    const metrics = this.getMeteredMetrics(plan);
+    if (metrics.length === 0) return [];
+
+    const { data: account } = await SupabaseService.adminClient
+      .from('accounts')
+      .select('id, owner_user_id, stripe_customer_id')
+      .eq('id', subscription.account_id)
+      .single();
+
+    if (!account?.stripe_customer_id) {
+      logger.warn('Metered subscription without Stripe customer', { subscriptionId: subscription.id });
+      return [];
+    }
+
+    const stripeSubscription = await StripeService.getSubscription(subscription.stripe_subscription_id);
+    if (!stripeSubscription) return [];
+
+    const period = {
+      start: new Date(stripeSubscription.current_period_start * 1000),
+      end: new Date(stripeSubscription.current_period_end * 1000)
+    };
+    const subscribedMeters = new Set(
+      (stripeSubscription.items?.data || []).map(item => item.price?.recurring?.meter).filter(Boolean)
+    );
+
+    const reports = [];
+    for (const { metric, config } of metrics) {
+      // Subscriptions created before the plan was metered have no metered item
+      if (!subscribedMeters.has(config.stripeMeterId)) {
+        logger.warn('Metered price missing from Stripe subscription, usage not reported', {
+          subscriptionId: subscription.id,
+          stripeSubscriptionId: subscription.stripe_subscription_id,
+          metric
+        });
+        continue;
+      }
+
+      const report = await this.getOrCreateReport({ account, subscription, metric, config, period });
+      if (report.status !== 'open') continue;
+
+      reports.push(await this.reportPeriod(report, now));
+    }
+
+    return reports;
+  }
+
+  /**
+   * Report usage of every metered subscription (scheduled job)
+   * Periods that ended since the last run get their final report first.
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time
+   * @returns {Promise<Object>} Run summary
+   */
+  async reportAllUsage({ now = new Date() } = {}) {
+    const summary = { closed: 0, subscriptions: 0, reported: 0, failed: 0 };
+
+    const { data: ended, error: endedError } = await SupabaseService.adminClient
+      .from('metered_usage_reports')
+      .select('*')
+      .eq('status', 'open')
+      .lte('period_end', now.toISOString());
+
+    if (endedError) throw endedError;
+
+    for (const report of ended || []) {
+      try {
+        await this.reportPeriod(report, now);
+        summary.closed++;
+      } catch (error) {
+        summary.failed++;
+        logger.error('Failed to close metered usage period', { error: error.message, reportId: report.id });
+      }
+    }
+
+    const { data: subscriptions, error } = await SupabaseService.adminClient
+      .from('user_subscriptions')
+      .select('id, account_id, plan_id, status, stripe_subscription_id')
+      .in('status', REPORTED_STATUSES)
+      .not('stripe_subscription_id', 'is', null);
+
+    if (error) throw error;
+
+    const plans = new Map();
+    for (const subscription of subscriptions || []) {
+      try {
+        const reports = await this.reportSubscriptionUsage(subscription, { now, plans });
+        if (reports.length > 0) {
+          summary.subscriptions++;
+          summary.reported += reports.length;
+        }
+      } catch (reportError) {
+        summary.failed++;
+        logger.error('Failed to report metered usage', {
+          error: reportError.message,
+          subscriptionId: subscription.id
+        });
+      }
+    }
+
+    logger.info('Metered usage reported', summary);
+    return summary;
+  }
+
+  /**
+   * List usage reports
+   * @param {Object} [filters] - { status, accountId, limit }
+   * @returns {Promise<Object[]>}
+   */
+  async listReports(filters = {}) {
+    let query = SupabaseService.adminClient
+      .from('metered_usage_reports')
+      .select('*')
+      .order('period_start', { ascending: false })
+      .limit(Math.min(parseInt(filters.limit) || 50, 500));
+
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+
+    if (filters.accountId) {
+      query = query.eq('account_id', filters.accountId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data || [];
+  }
+
+  // ==================== Invoices ====================
+
+  /**
+   * Upcoming invoice of a user with the overage projected to the period end
+   * The projection extrapolates the usage so far linearly over the period.
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {Date} [options.now] - Reference time
+   * @returns {Promise<Object>}
+   */
+  async getInvoicePreview(userId, { now = new Date() } = {}) {
+    const billing = await this.getUserBilling(userId);
+    if (!billing) throw new Error('SUBSCRIPTION_NOT_FOUND');
+
+    const { account, subscription, plan } = billing;
+    if (!plan) throw new Error('PLAN_NOT_FOUND');
+
+    let stripeSubscription = null;
+    let upcoming = null;
+    if (subscription.stripe_subscription_id) {
+      stripeSubscription = await StripeService.getSubscription(subscription.stripe_subscription_id);
+      if (stripeSubscription && account.stripe_customer_id) {
+        upcoming = await StripeService.previewInvoice(account.stripe_customer_id, subscription.stripe_subscription_id);
+      }
+    }
+
+    const periodStart = stripeSubscription
+      ? new Date(stripeSubscription.current_period_start * 1000)
+      : new Date(subscription.current_period_start);
+    const periodEnd = stripeSubscription
+      ? new Date(stripeSubscription.current_period_end * 1000)
+      : new Date(subscription.current_period_end);
+    const usageEnd = new Date(Math.min(now.getTime(), periodEnd.getTime()));
+    const elapsed = usageEnd - periodStart;
+    const length = periodEnd - periodStart;
+
+    const meterIds = new Set();
+    const metrics = [];
+    for (const { metric, config } of this.getMeteredMetrics(plan)) {
+      meterIds.add(config.stripeMeterId);
+
+      const usage = elapsed > 0
+        ? await this.usageTracking.getUsageTotal(account.owner_user_id, METRIC_SOURCES[metric].usageMetric, periodStart, usageEnd)
+        : 0;
+      const projectedUsage = elapsed > 0 && length > elapsed ? Math.round(usage * length / elapsed) : usage;
+      const current = this.calculateOverage(usage, config);
+      const projected = this.calculateOverage(projectedUsage, config);
+
+      metrics.push({
+        metric,
+        includedUnits: config.includedUnits,
+        unitSize: config.unitSize,
+        unitAmountCents: config.unitAmountCents,
+        usage,
+        billableUnits: current.billableUnits,
+        amountCents: current.amountCents,
+        projectedUsage,
+        projectedBillableUnits: projected.billableUnits,
+        projectedAmountCents: projected.amountCents
+      });
+    }
+
+    const overageCents = metrics.reduce((sum, entry) => sum + entry.amountCents, 0);
+    const projectedOverageCents = metrics.reduce((sum, entry) => sum + entry.projectedAmountCents, 0);
+
+    // Metered lines of the Stripe preview only hold the usage reported so far
+    const invoicedOverageCents = (upcoming?.lines?.data || [])
+      .filter(line => meterIds.has(line.price?.recurring?.meter))
+      .reduce((sum, line) => sum + (line.amount || 0), 0);
+    const baseCents = upcoming ? upcoming.total - invoicedOverageCents : plan.priceCents;
+
+    return {
+      planId: plan.id,
+      planName: plan.name,
+      status: subscription.status,
+      periodStart: periodStart.toISOString(),
+      periodEnd: periodEnd.toISOString(),
+      currency: (upcoming?.currency || 'brl').toUpperCase(),
+      metrics,
+      overageCents,
+      projectedOverageCents,
+      upcomingInvoice: upcoming ? {
+        amountDueCents: upcoming.amount_due,
+        totalCents: upcoming.total,
+        overageCents: invoicedOverageCents,
+        nextPaymentAttempt: upcoming.next_payment_attempt
+          ? new Date(upcoming.next_payment_attempt * 1000).toISOString()
+          : null
+      } : null,
+      projectedTotalCents: baseCents + projectedOverageCents
+    };
+  }
+
+  /**
+   * Compare the metered lines of a paid invoice with the reported usage
+   * Reports are matched by meter and period start; a different quantity marks
+   * the report as mismatch.
+   * @param {Object} invoice - Stripe invoice
+   * @returns {Promise<Object|null>} { invoiceId, reconciled, mismatched, unmatched }, null without metered lines
+   */
+  async reconcileInvoice(invoice) {
+    const subscriptionId = typeof invoice.subscription === 'string'
+      ? invoice.subscription
+      : invoice.subscription?.id;
+    const lines = (invoice.lines?.data || []).filter(line => line.price?.recurring?.meter);
+
+    if (!subscriptionId || lines.length === 0) {
+      return null;
+    }
+
+    const { data: reports, error } = await SupabaseService.adminClient
+      .from('metered_usage_reports')
+      .select('*')
+      .eq('stripe_subscription_id', subscriptionId);
+
+    if (error) throw error;
+
+    const summary = { invoiceId: invoice.id, reconciled: 0, mismatched: 0, unmatched: 0 };
+    const now = new Date().toISOString();
+
+    for (const line of lines) {
+      const report = (reports || []).find(row =>
+        row.stripe_meter_id === line.price.recurring.meter &&
+        new Date(row.period_start).getTime() === line.period?.start * 1000
+      );
+
+      if (!report) {
+        summary.unmatched++;
+        logger.warn('Metered invoice line without usage report', {
+          invoiceId: invoice.id,
+          lineId: line.id,
+          meterId: line.price.recurring.meter
+        });
+        continue;
+      }
+
+      const invoicedUnits = line.quantity || 0;
+      const matches = invoicedUnits === Number(report.reported_units);
+
+      const { error: updateError } = await SupabaseService.adminClient
+        .from('metered_usage_reports')
+        .update({
+          status: matches ? 'reconciled' : 'mismatch',
+          stripe_invoice_id: invoice.id,
+          invoiced_units: invoicedUnits,
+          invoiced_amount_cents: line.amount,
+          reconciled_at: now,
+          updated_at: now
+        })
+        .eq('id', report.id);
+
+      if (updateError) throw updateError;
+
+      if (matches) {
+        summary.reconciled++;
+      } else {
+        summary.mismatched++;
+        logger.warn('Invoiced usage differs from reported usage', {
+          invoiceId: invoice.id,
+          reportId: report.id,
+          metric: report.metric,
+          reportedUnits: Number(report.reported_units),
+          invoicedUnits
+        });
+      }
+    }
+
+    logger.info('Invoice usage reconciled', summary);
+    return summary;
+  }
+}
+
+module.exports = new MeteredBillingService();
+module.exports.MeteredBillingService = MeteredBillingService;
+module.exports.METRIC_SOURCES = METRIC_SOURCES;
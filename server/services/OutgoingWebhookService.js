@@ -3,6 +3,8 @@
  * 
  * Handles webhook configuration, delivery, and retry logic
  * Uses SupabaseService for database operations
+ * Events are delivered through the webhook queue (WebhookDeliveryService);
+ * deliverWebhook remains for test deliveries and when the queue is unavailable
  * 
  * Requirements: 16.1-16.6
  */
@@ -12,6 +14,8 @@ const axios = require('axios')
 const { logger } = require('../utils/logger')
 const { toBoolean } = require('../utils/responseTransformer')
 const supabaseService = require('./SupabaseService')
+const { addWebhookDeliveryJob } = require('../queues/webhookQueue')
+const { PAYLOAD_FORMATS } = require('./DomainEventBus')
 
 class OutgoingWebhookService {
   constructor() {
@@ -24,12 +28,13 @@ class OutgoingWebhookService {
    * @param {string} userId - User ID
    * @param {Object} data - Webhook configuration
    * @param {string} [data.inboxId] - Inbox ID (optional for legacy webhooks)
+   * @param {string} [data.payloadFormat='legacy'] - 'legacy' or 'domain_event' (event bus envelope)
    * @returns {Promise<Object>} Created webhook
    * 
    * Requirements: 16.1, 16.2, 3.1, 3.6
    */
   async configureWebhook(userId, data) {
-    const { url, events = [], secret = null, inboxId = null } = data
+    const { url, events = [], secret = null, inboxId = null, payloadFormat = 'legacy' } = data
 
     // Validate URL format
     try {
@@ -43,6 +48,10 @@ class OutgoingWebhookService {
       throw new Error('At least one event type is required')
     }
 
+    if (!PAYLOAD_FORMATS.includes(payloadFormat)) {
+      throw new Error('Invalid payload format')
+    }
+
     // Validate inbox ownership if inboxId provided
     if (inboxId) {
       await this.validateInboxOwnership(userId, inboxId)
@@ -57,6 +66,7 @@ class OutgoingWebhookService {
       url,
       events: JSON.stringify(events),
       secret: webhookSecret,
+      payload_format: payloadFormat,
       is_active: true,
       success_count: 0,
       failure_count: 0
@@ -113,7 +123,7 @@ class OutgoingWebhookService {
    * @returns {Promise<Object>} Updated webhook
    */
   async updateWebhook(webhookId, userId, data) {
-    const { url, events, isActive } = data
+    const { url, events, isActive, payloadFormat } = data
 
     const webhook = await this.getWebhookById(webhookId, userId)
     if (!webhook) {
@@ -128,6 +138,10 @@ class OutgoingWebhookService {
       }
     }
 
+    if (payloadFormat !== undefined && !PAYLOAD_FORMATS.includes(payloadFormat)) {
+      throw new Error('Invalid payload format')
+    }
+
     const updates = {}
 
     if (url !== undefined) {
@@ -139,6 +153,15 @@ class OutgoingWebhookService {
     if (isActive !== undefined) {
       updates.is_active = isActive
     }
+    if (payloadFormat !== undefined) {
+      updates.payload_format = payloadFormat
+    }
+    // Re-enabling clears an automatic disable
+    if (isActive === true) {
+      updates.consecutive_failures = 0
+      updates.disabled_at = null
+      updates.disabled_reason = null
+    }
 
     if (Object.keys(updates).length === 0) {
       return webhook
@@ -194,11 +217,13 @@ class OutgoingWebhookService {
    * @param {string} inboxId - Inbox ID (required for inbox-specific routing)
    * @param {string} eventType - Event type
    * @param {Object} payload - Event payload
+   * @param {Object} [domainEvent] - Event bus envelope; webhooks subscribed to its
+   *   type also receive the event and 'domain_event' webhooks receive the envelope
    * @returns {Promise<Array>} Delivery results
    * 
    * Requirements: 16.3, 16.4, 3.5, 8.1, 8.2, 9.1, 9.2
    */
-  async sendWebhookEvent(userId, inboxId, eventType, payload) {
+  async sendWebhookEvent(userId, inboxId, eventType, payload, domainEvent = null) {
     // Get webhooks for this specific inbox
     const inboxWebhooks = inboxId ? await this.getWebhooks(userId, inboxId) : []
     
@@ -221,46 +246,79 @@ class OutgoingWebhookService {
 
     for (const webhook of allWebhooks) {
       const events = Array.isArray(webhook.events) ? webhook.events : this.parseEvents(webhook.events)
+      const matches = events.includes(eventType) || events.includes('*') ||
+        (domainEvent !== null && events.includes(domainEvent.type))
       
       logger.debug('Webhook event check', {
         webhookId: webhook.id,
         webhookInboxId: webhook.inboxId,
         subscribedEvents: events,
         eventType,
-        matches: events.includes(eventType) || events.includes('*')
+        matches
       })
       
       // Check if webhook subscribes to this event
-      if (!events.includes(eventType) && !events.includes('*')) {
+      if (!matches) {
         continue
       }
 
-      const result = await this.deliverWebhook(webhook, eventType, payload)
+      const result = await this.queueDelivery(webhook, eventType, payload, domainEvent)
       results.push(result)
     }
 
     return results
   }
 
+  /**
+   * Queue a webhook delivery, delivering inline when the queue is unavailable
+   * @param {Object} webhook - Webhook configuration
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event payload
+   * @param {Object} [domainEvent] - Event bus envelope
+   * @returns {Promise<Object>} Queued delivery or inline delivery result
+   */
+  async queueDelivery(webhook, eventType, payload, domainEvent = null) {
+    const delivery = this.buildDelivery(webhook, eventType, payload, domainEvent)
+    const job = await addWebhookDeliveryJob(delivery)
+
+    if (!job) {
+      return this.deliverWebhook(webhook, eventType, payload, delivery)
+    }
+
+    return {
+      webhookId: webhook.id,
+      deliveryId: delivery.deliveryId,
+      queued: true
+    }
+  }
 
   /**
-   * Deliver webhook with retry logic
+   * Build the delivery of an event (payload sent and delivery ID)
    * @param {Object} webhook - Webhook configuration
    * @param {string} eventType - Event type
    * @param {Object} payload - Event payload
-   * @returns {Promise<Object>} Delivery result
-   * 
-   * Requirements: 16.5
+   * @param {Object} [domainEvent] - Event bus envelope, sent as is to 'domain_event' webhooks
+   * @returns {Object} Delivery for the webhook queue
    */
-  async deliverWebhook(webhook, eventType, payload) {
+  buildDelivery(webhook, eventType, payload, domainEvent = null) {
     const deliveryId = crypto.randomUUID()
-    const startTime = Date.now()
+
+    if (domainEvent && webhook.payloadFormat === 'domain_event') {
+      return {
+        source: 'outgoing',
+        webhookId: webhook.id,
+        ownerId: webhook.userId,
+        deliveryId,
+        eventType: domainEvent.type,
+        body: domainEvent
+      }
+    }
 
     // Use payload directly if it's already in WUZAPI format (has 'event' or 'type' field)
     // Otherwise wrap it in our standard format
     const isWuzapiFormat = payload && (payload.event || payload.type === 'Message')
-    
-    const webhookPayload = isWuzapiFormat 
+
+    const body = isWuzapiFormat
       ? payload  // Send WUZAPI-compatible payload directly
       : {
           id: deliveryId,
@@ -269,8 +327,47 @@ class OutgoingWebhookService {
           data: payload
         }
 
-    // Generate signature
-    const signature = this.generateSignature(webhookPayload, webhook.secret)
+    return {
+      source: 'outgoing',
+      webhookId: webhook.id,
+      ownerId: webhook.userId,
+      deliveryId,
+      eventType,
+      body
+    }
+  }
+
+  /**
+   * Build the HTTP headers of a delivery (signed with the current secret)
+   * @param {Object} webhook - Webhook configuration
+   * @param {Object} delivery - Delivery from buildDelivery
+   * @returns {Object} Headers
+   */
+  buildDeliveryHeaders(webhook, delivery) {
+    return {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': webhook.id.toString(),
+      'X-Webhook-Signature': this.generateSignature(delivery.body, webhook.secret),
+      'X-Delivery-Id': delivery.deliveryId,
+      'X-Event-Type': delivery.eventType
+    }
+  }
+
+
+  /**
+   * Deliver webhook with retry logic
+   * @param {Object} webhook - Webhook configuration
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event payload
+   * @param {Object} [delivery] - Delivery already built by buildDelivery
+   * @returns {Promise<Object>} Delivery result
+   * 
+   * Requirements: 16.5
+   */
+  async deliverWebhook(webhook, eventType, payload, delivery = this.buildDelivery(webhook, eventType, payload)) {
+    const { deliveryId, body: webhookPayload } = delivery
+    const startTime = Date.now()
+    const headers = this.buildDeliveryHeaders(webhook, delivery)
 
     let lastError = null
     let attempt = 0
@@ -284,13 +381,7 @@ class OutgoingWebhookService {
 
       try {
         const response = await axios.post(webhook.url, webhookPayload, {
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Webhook-Id': webhook.id.toString(),
-            'X-Webhook-Signature': signature,
-            'X-Delivery-Id': deliveryId,
-            'X-Event-Type': eventType
-          },
+          headers,
           timeout: 10000,
           validateStatus: (status) => status < 500 // Don't retry on 4xx
         })
@@ -570,6 +661,10 @@ class OutgoingWebhookService {
       successCount: webhook.success_count || 0,
       failureCount: webhook.failure_count || 0,
       lastDeliveryAt: webhook.last_delivery_at,
+      consecutiveFailures: webhook.consecutive_failures || 0,
+      disabledAt: webhook.disabled_at || null,
+      disabledReason: webhook.disabled_reason || null,
+      payloadFormat: webhook.payload_format || 'legacy',
       createdAt: webhook.created_at
     }
   }
@@ -56,6 +56,26 @@ const DEFAULT_QUOTAS = {
   maxBotTokensPerMonth: 300000
 };
 
+// Usage billed above the plan allowance (metered billing). The allowance
+// defaults to the monthly quota; overage units go to a Stripe billing meter
+// shared by every plan.
+const METERED_METRICS = {
+  messages: {
+    column: 'messages',
+    quotaKey: 'maxMessagesPerMonth',
+    quotaColumn: 'max_messages_per_month',
+    meterEventName: 'wuzapi_messages_overage',
+    meterDisplayName: 'Mensagens excedentes'
+  },
+  botTokens: {
+    column: 'bot_tokens',
+    quotaKey: 'maxBotTokensPerMonth',
+    quotaColumn: 'max_bot_tokens_per_month',
+    meterEventName: 'wuzapi_bot_tokens_overage',
+    meterDisplayName: 'Tokens de bot excedentes'
+  }
+};
+
 /**
  * Validate that plan features only contain valid user features
  * @param {Object} features - Features object to validate
@@ -94,6 +114,100 @@ function filterValidFeatures(features) {
   return filtered;
 }
 
+/**
+ * Validate a complete metered billing configuration (camelCase, per metric)
+ * @param {Object} meteredBilling - { messages, botTokens }
+ * @throws {Error} If a metric is unknown or a value is invalid
+ */
+function validateMeteredBilling(meteredBilling) {
+  if (!meteredBilling || typeof meteredBilling !== 'object') {
+    return;
+  }
+
+  const invalidMetrics = Object.keys(meteredBilling).filter(m => !METERED_METRICS[m]);
+  if (invalidMetrics.length > 0) {
+    throw new Error(`Invalid metered billing metrics: ${invalidMetrics.join(', ')}. Valid metrics are: ${Object.keys(METERED_METRICS).join(', ')}`);
+  }
+
+  const minimums = { includedUnits: 0, unitSize: 1, unitAmountCents: 0 };
+  for (const [metric, config] of Object.entries(meteredBilling)) {
+    for (const [field, min] of Object.entries(minimums)) {
+      const value = config?.[field];
+      if (value !== undefined && (!Number.isInteger(value) || value < min)) {
+        throw new Error(`Invalid metered billing for ${metric}: ${field} must be an integer >= ${min}`);
+      }
+    }
+
+    if (config?.enabled && !(config.unitAmountCents > 0)) {
+      throw new Error(`Invalid metered billing for ${metric}: unitAmountCents is required when enabled`);
+    }
+  }
+}
+
+/**
+ * Format the metered_billing column
+ * @param {Object} column - metered_billing JSONB
+ * @param {Object} quotas - quotas JSONB (default allowances)
+ * @returns {Object} { messages, botTokens }
+ */
+function formatMeteredBilling(column, quotas = {}) {
+  const meteredBilling = {};
+
+  for (const [metric, def] of Object.entries(METERED_METRICS)) {
+    const config = column?.[def.column] || {};
+    meteredBilling[metric] = {
+      enabled: config.enabled === true,
+      includedUnits: config.included_units ?? quotas[def.quotaColumn] ?? DEFAULT_QUOTAS[def.quotaKey],
+      unitSize: config.unit_size ?? 1,
+      unitAmountCents: config.unit_amount_cents ?? 0,
+      stripePriceId: config.stripe_price_id || null,
+      stripeMeterId: config.stripe_meter_id || null
+    };
+  }
+
+  return meteredBilling;
+}
+
+/**
+ * Build the metered_billing column from a (partial) camelCase configuration
+ * Stripe ids are kept from the current configuration
+ * @param {Object} input - { messages, botTokens }
+ * @param {Object} current - Current formatted configuration
+ * @returns {Object} metered_billing JSONB
+ */
+function buildMeteredBilling(input, current) {
+  const invalidMetrics = Object.keys(input || {}).filter(m => !METERED_METRICS[m]);
+  if (invalidMetrics.length > 0) {
+    throw new Error(`Invalid metered billing metrics: ${invalidMetrics.join(', ')}. Valid metrics are: ${Object.keys(METERED_METRICS).join(', ')}`);
+  }
+
+  const column = {};
+
+  for (const [metric, def] of Object.entries(METERED_METRICS)) {
+    const existing = current[metric];
+    const changes = input?.[metric] || {};
+    const config = {
+      enabled: changes.enabled ?? existing.enabled,
+      includedUnits: changes.includedUnits ?? existing.includedUnits,
+      unitSize: changes.unitSize ?? existing.unitSize,
+      unitAmountCents: changes.unitAmountCents ?? existing.unitAmountCents
+    };
+
+    validateMeteredBilling({ [metric]: config });
+
+    column[def.column] = {
+      enabled: config.enabled === true,
+      included_units: config.includedUnits,
+      unit_size: config.unitSize,
+      unit_amount_cents: config.unitAmountCents,
+      stripe_price_id: existing.stripePriceId,
+      stripe_meter_id: existing.stripeMeterId
+    };
+  }
+
+  return column;
+}
+
 class PlanService {
   /**
    * Create a new plan
@@ -142,7 +256,8 @@ class PlanService {
         is_default: data.isDefault || false,
         trial_days: data.trialDays || 0,
         quotas,
-        features
+        features,
+        metered_billing: buildMeteredBilling(data.meteredBilling, formatMeteredBilling({}, quotas))
       };
 
       const { data: plan, error } = await supabaseService.insert('plans', planData);
@@ -365,6 +480,10 @@ class PlanService {
         updates.features = { ...filterValidFeatures(plan.features), ...filteredFeatures };
       }
 
+      if (data.meteredBilling !== undefined) {
+        updates.metered_billing = buildMeteredBilling(data.meteredBilling, plan.meteredBilling);
+      }
+
       if (Object.keys(updates).length === 0) {
         return plan;
       }
@@ -493,6 +612,7 @@ class PlanService {
         maxBotTokensPerMonth: quotas.max_bot_tokens_per_month ?? DEFAULT_QUOTAS.maxBotTokensPerMonth
       },
       features,
+      meteredBilling: formatMeteredBilling(row.metered_billing, quotas),
       subscriberCount: 0,
       createdAt: row.created_at,
       updatedAt: row.updated_at
@@ -552,10 +672,13 @@ class PlanService {
       stripePriceId = price.id;
       logger.info('Stripe price created for plan', { planId, stripePriceId });
 
+      const meteredBilling = await this.syncMeteredPricesToStripe(plan, stripeProductId, recurring);
+
       // Update plan with Stripe IDs
       const { data: updatedPlan, error } = await supabaseService.update('plans', planId, {
         stripe_product_id: stripeProductId,
         stripe_price_id: stripePriceId,
+        metered_billing: meteredBilling,
         updated_at: new Date().toISOString()
       });
 
@@ -572,6 +695,60 @@ class PlanService {
     }
   }
 
+  /**
+   * Create the metered (overage) prices of a plan in Stripe
+   * Each enabled metric gets a new price on the plan product, attached to the
+   * billing meter of the metric; previous metered prices are archived.
+   * @param {Object} plan - Formatted plan
+   * @param {string} stripeProductId - Stripe product ID
+   * @param {Object|null} recurring - Recurring options of the base price (null for credit packages)
+   * @returns {Promise<Object>} metered_billing column with the new Stripe IDs
+   */
+  async syncMeteredPricesToStripe(plan, stripeProductId, recurring) {
+    const column = buildMeteredBilling({}, plan.meteredBilling);
+
+    for (const [metric, def] of Object.entries(METERED_METRICS)) {
+      const config = plan.meteredBilling[metric];
+      const entry = column[def.column];
+
+      if (config.stripePriceId) {
+        await StripeService.archivePrice(config.stripePriceId);
+        entry.stripe_price_id = null;
+      }
+
+      if (!config.enabled || !recurring) {
+        continue;
+      }
+
+      const meter = await StripeService.getOrCreateMeter(def.meterEventName, def.meterDisplayName);
+      const price = await StripeService.createMeteredPrice(
+        stripeProductId,
+        config.unitAmountCents,
+        'brl',
+        recurring,
+        meter.id,
+        `${plan.name} - ${def.meterDisplayName}`
+      );
+
+      entry.stripe_price_id = price.id;
+      entry.stripe_meter_id = meter.id;
+      logger.info('Stripe metered price created for plan', { planId: plan.id, metric, stripePriceId: price.id });
+    }
+
+    return column;
+  }
+
+  /**
+   * Stripe price IDs of the enabled metered metrics of a plan (checkout line items)
+   * @param {Object} plan - Formatted plan
+   * @returns {string[]} Price IDs
+   */
+  getMeteredPriceIds(plan) {
+    return Object.values(plan.meteredBilling || {})
+      .filter(config => config.enabled && config.stripePriceId)
+      .map(config => config.stripePriceId);
+  }
+
   /**
    * Archive a plan in Stripe (deactivate Product)
    * Requirements: 2.3
@@ -707,8 +884,10 @@ class PlanService {
 // Export constants and helpers
 PlanService.DEFAULT_FEATURES = DEFAULT_FEATURES;
 PlanService.DEFAULT_QUOTAS = DEFAULT_QUOTAS;
+PlanService.METERED_METRICS = METERED_METRICS;
 PlanService.VALID_USER_FEATURES = VALID_USER_FEATURES;
 PlanService.validatePlanFeatures = validatePlanFeatures;
 PlanService.filterValidFeatures = filterValidFeatures;
+PlanService.validateMeteredBilling = validateMeteredBilling;
 
 module.exports = PlanService;
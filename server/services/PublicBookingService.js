@@ -0,0 +1,668 @@
+/**
+ * PublicBookingService - Public self-service booking pages
+ *
+ * Lets contacts book, cancel and reschedule appointments from a public,
+ * tenant-branded page without an account. Open slots come from the service
+ * duration, the business hours of the page inbox, existing appointments and
+ * blocked slots. Contacts prove they own a phone number with a one-time code
+ * sent over WhatsApp; the verified code opens a short booking session.
+ *
+ * The slot check here is only for friendly errors: the appointments_no_overlap
+ * exclusion constraint is what stops two concurrent requests from booking the
+ * same time (surfaced as SLOT_UNAVAILABLE by AppointmentService).
+ *
+ * Requirements: Public tenant-branded booking with WhatsApp code verification
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const AppointmentService = require('./AppointmentService');
+const AppointmentSeriesService = require('./AppointmentSeriesService');
+const AppointmentServiceTypeService = require('./AppointmentServiceTypeService');
+const BlockedSlotService = require('./BlockedSlotService');
+const BusinessHoursService = require('./BusinessHoursService');
+const ContactsService = require('./ContactsService');
+const ProviderAdapterFactory = require('./providers/ProviderAdapterFactory');
+const businessHours = require('../utils/businessHours');
+const { validatePhoneFormat } = require('../utils/phoneUtils');
+
+// Lowercase words separated by single hyphens (same rule as booking_pages_valid_slug)
+const SLUG_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+const CODE_TTL_MINUTES = 10;
+const SESSION_TTL_MINUTES = 30;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Codes sent to the same phone within CODE_WINDOW_MINUTES
+const MAX_CODES_PER_WINDOW = 3;
+const CODE_WINDOW_MINUTES = 15;
+
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+const MINUTE_MS = 60 * 1000;
+
+// Bookable hours when the page inbox has no business hours calendar
+const DEFAULT_CALENDAR = {
+  timezone: 'America/Sao_Paulo',
+  weeklyHours: {
+    1: [{ start: '09:00', end: '18:00' }],
+    2: [{ start: '09:00', end: '18:00' }],
+    3: [{ start: '09:00', end: '18:00' }],
+    4: [{ start: '09:00', end: '18:00' }],
+    5: [{ start: '09:00', end: '18:00' }]
+  },
+  holidays: []
+};
+
+/**
+ * SHA-256 of a code or session token
+ * @param {string} value
+ * @returns {string}
+ */
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+class PublicBookingService {
+  // ==================== PAGE SETTINGS ====================
+
+  /**
+   * Get the booking page of an account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getPageSettings(accountId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('booking_pages', (query) =>
+        query.select('*').eq('account_id', accountId).single()
+      );
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Failed to get booking page', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update the booking page of an account
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - { slug, inboxId, title, description, isEnabled, slotIntervalMinutes, minNoticeMinutes, maxDaysAhead, cancellationNoticeMinutes }
+   * @returns {Promise<Object>}
+   * @throws {Error} INVALID_SLUG | INBOX_NOT_FOUND | SLUG_TAKEN
+   */
+  async savePageSettings(accountId, tenantId, data) {
+    try {
+      const slug = String(data.slug || '').trim().toLowerCase();
+      if (!SLUG_PATTERN.test(slug) || slug.startsWith('-') || slug.endsWith('-') || slug.includes('--')) {
+        throw new Error('INVALID_SLUG');
+      }
+
+      if (data.inboxId) {
+        const { data: inbox } = await supabaseService.queryAsAdmin('inboxes', (query) =>
+          query.select('id').eq('id', data.inboxId).eq('account_id', accountId).single()
+        );
+        if (!inbox) throw new Error('INBOX_NOT_FOUND');
+      }
+
+      const row = {
+        account_id: accountId,
+        tenant_id: tenantId,
+        slug,
+        inbox_id: data.inboxId || null,
+        title: data.title || null,
+        description: data.description || null,
+        is_enabled: !!data.isEnabled,
+        updated_at: new Date().toISOString()
+      };
+
+      if (data.slotIntervalMinutes !== undefined) row.slot_interval_minutes = data.slotIntervalMinutes;
+      if (data.minNoticeMinutes !== undefined) row.min_notice_minutes = data.minNoticeMinutes;
+      if (data.maxDaysAhead !== undefined) row.max_days_ahead = data.maxDaysAhead;
+      if (data.cancellationNoticeMinutes !== undefined) row.cancellation_notice_minutes = data.cancellationNoticeMinutes;
+
+      const { data: page, error } = await supabaseService.queryAsAdmin('booking_pages', (query) =>
+        query.upsert(row, { onConflict: 'account_id' }).select().single()
+      );
+
+      if (error) {
+        if (error.code === '23505') throw new Error('SLUG_TAKEN');
+        throw error;
+      }
+
+      logger.info('Booking page saved', { accountId, slug, isEnabled: page.is_enabled });
+      return page;
+    } catch (error) {
+      logger.error('Failed to save booking page', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Published booking page of a tenant
+   * @param {string} tenantId - Tenant UUID (from the subdomain)
+   * @param {string} slug
+   * @returns {Promise<Object|null>} null when missing or disabled
+   */
+  async getPublishedPage(tenantId, slug) {
+    const { data, error } = await supabaseService.queryAsAdmin('booking_pages', (query) =>
+      query.select('*')
+        .eq('tenant_id', tenantId)
+        .eq('slug', String(slug).toLowerCase())
+        .eq('is_enabled', true)
+        .single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  // ==================== SERVICES AND SLOTS ====================
+
+  /**
+   * Active services offered on the page
+   * @param {Object} page - booking_pages row
+   * @returns {Promise<Array>}
+   */
+  async listServices(page) {
+    const services = await AppointmentServiceTypeService.getServices(page.account_id, page.tenant_id, { activeOnly: true });
+    return services.map(service => this.formatService(service));
+  }
+
+  /**
+   * Active service of the page account
+   * @throws {Error} SERVICE_NOT_FOUND
+   */
+  async getBookableService(page, serviceId) {
+    const service = await AppointmentServiceTypeService.getServiceById(page.account_id, page.tenant_id, serviceId);
+    if (!service || !service.is_active) {
+      throw new Error('SERVICE_NOT_FOUND');
+    }
+    return service;
+  }
+
+  /**
+   * Bookable hours of the page: business hours of its inbox, or the default calendar
+   * @param {Object} page
+   * @returns {Promise<Object>}
+   */
+  async getCalendar(page) {
+    const calendar = await BusinessHoursService.getCalendar(page.inbox_id);
+    return calendar || DEFAULT_CALENDAR;
+  }
+
+  /**
+   * Open slots of a service on a local date of the page calendar
+   * @param {Object} page
+   * @param {string} serviceId
+   * @param {string} dateKey - "YYYY-MM-DD"
+   * @param {Date} [now]
+   * @returns {Promise<Array<{startTime: string, endTime: string}>>}
+   */
+  async getAvailableSlots(page, serviceId, dateKey, now = new Date()) {
+    const service = await this.getBookableService(page, serviceId);
+    return this.computeSlots(page, service.default_duration_minutes, dateKey, { now });
+  }
+
+  /**
+   * Slots of a given duration on a local date
+   * @param {Object} page
+   * @param {number} durationMinutes
+   * @param {string} dateKey - "YYYY-MM-DD"
+   * @param {Object} [options] - { now, excludeAppointmentId }
+   * @returns {Promise<Array<{startTime: string, endTime: string}>>}
+   */
+  async computeSlots(page, durationMinutes, dateKey, options = {}) {
+    const { now = new Date(), excludeAppointmentId = null } = options;
+    const calendar = await this.getCalendar(page);
+    const intervals = businessHours.getDayIntervals(calendar, dateKey);
+    if (intervals.length === 0) return [];
+
+    const from = intervals[0].start;
+    const to = intervals[intervals.length - 1].end;
+    const busy = await this.getBusyRanges(page, from, to, excludeAppointmentId);
+
+    return this.buildSlots(intervals, busy, {
+      durationMinutes,
+      stepMinutes: page.slot_interval_minutes,
+      earliest: new Date(now.getTime() + page.min_notice_minutes * MINUTE_MS),
+      latest: new Date(now.getTime() + page.max_days_ahead * 24 * 60 * MINUTE_MS)
+    });
+  }
+
+  /**
+   * Slots inside the open intervals that do not overlap busy ranges
+   * @param {Array<{start: Date, end: Date}>} intervals - Open intervals
+   * @param {Array<{start: Date, end: Date}>} busy - Appointments and blocked slots
+   * @param {Object} options - { durationMinutes, stepMinutes, earliest, latest }
+   * @returns {Array<{startTime: string, endTime: string}>}
+   */
+  buildSlots(intervals, busy, { durationMinutes, stepMinutes, earliest, latest }) {
+    const durationMs = durationMinutes * MINUTE_MS;
+    const stepMs = stepMinutes * MINUTE_MS;
+    const slots = [];
+
+    for (const interval of intervals) {
+      for (let start = interval.start.getTime(); start + durationMs <= interval.end.getTime(); start += stepMs) {
+        const end = start + durationMs;
+        if (start < earliest.getTime() || start > latest.getTime()) continue;
+
+        const overlaps = busy.some(range => start < range.end.getTime() && end > range.start.getTime());
+        if (!overlaps) {
+          slots.push({ startTime: new Date(start).toISOString(), endTime: new Date(end).toISOString() });
+        }
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Appointments (not cancelled), series occurrences and blocked slots overlapping a range
+   * @returns {Promise<Array<{start: Date, end: Date}>>}
+   */
+  async getBusyRanges(page, from, to, excludeAppointmentId = null) {
+    const fromIso = from.toISOString();
+    const toIso = to.toISOString();
+
+    const { data: appointments, error: appointmentError } = await supabaseService.queryAsAdmin('appointments', (query) => {
+      let q = query.select('id, start_time, end_time')
+        .eq('account_id', page.account_id)
+        .neq('status', 'cancelled')
+        .lt('start_time', toIso)
+        .gt('end_time', fromIso);
+      if (excludeAppointmentId) q = q.neq('id', excludeAppointmentId);
+      return q;
+    });
+    if (appointmentError) throw appointmentError;
+
+    // Recurring blocks keep their first occurrence dates, so they are always expanded
+    const { data: blocked, error: blockedError } = await supabaseService.queryAsAdmin('blocked_slots', (query) =>
+      query.select('*')
+        .eq('account_id', page.account_id)
+        .or(`is_recurring.eq.true,and(start_time.lt.${toIso},end_time.gt.${fromIso})`)
+    );
+    if (blockedError) throw blockedError;
+
+    const occurrences = await AppointmentSeriesService.getOccurrences(page.account_id, page.tenant_id, {
+      startDate: from,
+      endDate: to
+    });
+
+    return [
+      ...(appointments || []),
+      ...occurrences,
+      ...BlockedSlotService.expandRecurringSlots(blocked || [], from, to)
+    ].map(range => ({ start: new Date(range.start_time), end: new Date(range.end_time) }));
+  }
+
+  /**
+   * Whether a start time is one of the open slots of its local date
+   * @returns {Promise<boolean>}
+   */
+  async isSlotOpen(page, durationMinutes, startTime, options = {}) {
+    const calendar = await this.getCalendar(page);
+    const p = businessHours.getLocalParts(startTime, calendar.timezone);
+    const dateKey = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+
+    const slots = await this.computeSlots(page, durationMinutes, dateKey, options);
+    return slots.some(slot => slot.startTime === startTime.toISOString());
+  }
+
+  // ==================== VERIFICATION ====================
+
+  /**
+   * Send a one-time code to a phone over WhatsApp
+   * @param {Object} page
+   * @param {string} phone
+   * @param {Date} [now]
+   * @returns {Promise<{expiresAt: string}>}
+   * @throws {Error} INVALID_PHONE | BOOKING_INBOX_NOT_CONFIGURED | TOO_MANY_CODES | CODE_DELIVERY_FAILED
+   */
+  async requestCode(page, phone, now = new Date()) {
+    const validation = validatePhoneFormat(phone);
+    if (!validation.isValid) throw new Error('INVALID_PHONE');
+    if (!page.inbox_id) throw new Error('BOOKING_INBOX_NOT_CONFIGURED');
+
+    const normalized = validation.normalized;
+    const windowStart = new Date(now.getTime() - CODE_WINDOW_MINUTES * MINUTE_MS).toISOString();
+
+    const { count } = await supabaseService.queryAsAdmin('booking_verifications', (query) =>
+      query.select('id', { count: 'exact', head: true })
+        .eq('booking_page_id', page.id)
+        .eq('phone', normalized)
+        .gte('created_at', windowStart)
+    );
+    if ((count || 0) >= MAX_CODES_PER_WINDOW) throw new Error('TOO_MANY_CODES');
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiresAt = new Date(now.getTime() + CODE_TTL_MINUTES * MINUTE_MS).toISOString();
+
+    const { error } = await supabaseService.insert('booking_verifications', {
+      account_id: page.account_id,
+      booking_page_id: page.id,
+      phone: normalized,
+      code_hash: hashSecret(code),
+      expires_at: expiresAt
+    });
+    if (error) throw error;
+
+    const sent = await this.sendWhatsApp(
+      page,
+      normalized,
+      `Seu código para agendamento${page.title ? ` em ${page.title}` : ''}: ${code}. Ele expira em ${CODE_TTL_MINUTES} minutos.`
+    );
+    if (!sent) throw new Error('CODE_DELIVERY_FAILED');
+
+    logger.info('Booking code sent', { bookingPageId: page.id, phone: normalized });
+    return { expiresAt };
+  }
+
+  /**
+   * Check a one-time code and open a booking session
+   * @param {Object} page
+   * @param {string} phone
+   * @param {string} code
+   * @param {Date} [now]
+   * @returns {Promise<{token: string, expiresAt: string}>}
+   * @throws {Error} INVALID_PHONE | CODE_EXPIRED | INVALID_CODE
+   */
+  async verifyCode(page, phone, code, now = new Date()) {
+    const validation = validatePhoneFormat(phone);
+    if (!validation.isValid) throw new Error('INVALID_PHONE');
+
+    const { data: rows, error } = await supabaseService.queryAsAdmin('booking_verifications', (query) =>
+      query.select('*')
+        .eq('booking_page_id', page.id)
+        .eq('phone', validation.normalized)
+        .is('verified_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+    );
+    if (error) throw error;
+
+    const verification = rows && rows[0];
+    if (!verification || new Date(verification.expires_at) <= now || verification.attempts >= MAX_CODE_ATTEMPTS) {
+      throw new Error('CODE_EXPIRED');
+    }
+
+    const expected = Buffer.from(verification.code_hash, 'hex');
+    const received = Buffer.from(hashSecret(String(code).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+      await supabaseService.update('booking_verifications', verification.id, { attempts: verification.attempts + 1 });
+      throw new Error('INVALID_CODE');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_MINUTES * MINUTE_MS).toISOString();
+
+    // verified_at IS NULL makes the code single-use under concurrent confirmations
+    const { data: consumed } = await supabaseService.queryAsAdmin('booking_verifications', (query) =>
+      query.update({
+        verified_at: now.toISOString(),
+        session_token_hash: hashSecret(token),
+        session_expires_at: expiresAt
+      })
+        .eq('id', verification.id)
+        .is('verified_at', null)
+        .select('id')
+    );
+    if (!consumed || consumed.length === 0) throw new Error('CODE_EXPIRED');
+
+    logger.info('Booking phone verified', { bookingPageId: page.id, phone: validation.normalized });
+    return { token, expiresAt };
+  }
+
+  /**
+   * Verified phone of a booking session
+   * @param {Object} page
+   * @param {string} token - X-Booking-Token
+   * @param {Date} [now]
+   * @returns {Promise<{phone: string}>}
+   * @throws {Error} INVALID_SESSION
+   */
+  async resolveSession(page, token, now = new Date()) {
+    if (!token) throw new Error('INVALID_SESSION');
+
+    const { data } = await supabaseService.queryAsAdmin('booking_verifications', (query) =>
+      query.select('phone, session_expires_at')
+        .eq('session_token_hash', hashSecret(token))
+        .eq('booking_page_id', page.id)
+        .single()
+    );
+
+    if (!data || new Date(data.session_expires_at) <= now) {
+      throw new Error('INVALID_SESSION');
+    }
+
+    return { phone: data.phone };
+  }
+
+  // ==================== BOOKINGS ====================
+
+  /**
+   * Upcoming appointments of the verified contact
+   * @param {Object} page
+   * @param {{phone: string}} session
+   * @param {Date} [now]
+   * @returns {Promise<Array>}
+   */
+  async listAppointments(page, session, now = new Date()) {
+    const contact = await ContactsService.getContactByPhone(page.account_id, session.phone);
+    if (!contact) return [];
+
+    const { data, error } = await supabaseService.queryAsAdmin('appointments', (query) =>
+      query.select('id, title, start_time, end_time, status, service:appointment_services(id, name)')
+        .eq('account_id', page.account_id)
+        .eq('contact_id', contact.id)
+        .in('status', ACTIVE_STATUSES)
+        .gte('start_time', now.toISOString())
+        .order('start_time', { ascending: true })
+    );
+    if (error) throw error;
+
+    return (data || []).map(appointment => this.formatAppointment(appointment));
+  }
+
+  /**
+   * Book a service for the verified contact
+   * @param {Object} page
+   * @param {{phone: string}} session
+   * @param {Object} data - { serviceId, startTime, name, notes }
+   * @param {Date} [now]
+   * @returns {Promise<Object>}
+   * @throws {Error} SERVICE_NOT_FOUND | SLOT_UNAVAILABLE
+   */
+  async book(page, session, data, now = new Date()) {
+    const service = await this.getBookableService(page, data.serviceId);
+    const start = new Date(data.startTime);
+
+    if (!await this.isSlotOpen(page, service.default_duration_minutes, start, { now })) {
+      throw new Error('SLOT_UNAVAILABLE');
+    }
+
+    const contact = await this.findOrCreateContact(page, session.phone, data.name);
+    const end = new Date(start.getTime() + service.default_duration_minutes * MINUTE_MS);
+
+    const appointment = await AppointmentService.createAppointment(page.account_id, page.tenant_id, {
+      contactId: contact.id,
+      serviceId: service.id,
+      title: service.name,
+      startTime: start.toISOString(),
+      endTime: end.toISOString(),
+      priceCents: service.default_price_cents,
+      notes: data.notes,
+      source: 'public_booking'
+    });
+
+    await this.notify(page, session.phone, `Agendamento confirmado: ${service.name} em ${await this.formatLocalTime(page, start)}.`);
+
+    logger.info('Public booking created', { bookingPageId: page.id, appointmentId: appointment.id });
+    return this.formatAppointment(appointment);
+  }
+
+  /**
+   * Cancel an appointment of the verified contact
+   * @throws {Error} APPOINTMENT_NOT_FOUND | APPOINTMENT_NOT_ACTIVE | CHANGE_WINDOW_CLOSED
+   */
+  async cancel(page, session, appointmentId, reason = null, now = new Date()) {
+    const appointment = await this.getChangeableAppointment(page, session, appointmentId, now);
+
+    const cancelled = await AppointmentService.updateStatus(
+      page.account_id,
+      page.tenant_id,
+      appointment.id,
+      'cancelled',
+      reason || 'Cancelado pelo contato na página de agendamento'
+    );
+
+    await this.notify(page, session.phone, `Agendamento cancelado: ${appointment.title} em ${await this.formatLocalTime(page, new Date(appointment.start_time))}.`);
+
+    logger.info('Public booking cancelled', { bookingPageId: page.id, appointmentId });
+    return this.formatAppointment(cancelled);
+  }
+
+  /**
+   * Move an appointment of the verified contact to another open slot
+   * @throws {Error} APPOINTMENT_NOT_FOUND | APPOINTMENT_NOT_ACTIVE | CHANGE_WINDOW_CLOSED | SLOT_UNAVAILABLE
+   */
+  async reschedule(page, session, appointmentId, startTime, now = new Date()) {
+    const appointment = await this.getChangeableAppointment(page, session, appointmentId, now);
+    const durationMs = new Date(appointment.end_time).getTime() - new Date(appointment.start_time).getTime();
+    const start = new Date(startTime);
+
+    const open = await this.isSlotOpen(page, durationMs / MINUTE_MS, start, { now, excludeAppointmentId: appointment.id });
+    if (!open) throw new Error('SLOT_UNAVAILABLE');
+
+    const updated = await AppointmentService.updateAppointment(page.account_id, page.tenant_id, appointment.id, {
+      startTime: start.toISOString(),
+      endTime: new Date(start.getTime() + durationMs).toISOString()
+    });
+
+    await this.notify(page, session.phone, `Agendamento remarcado: ${appointment.title} para ${await this.formatLocalTime(page, start)}.`);
+
+    logger.info('Public booking rescheduled', { bookingPageId: page.id, appointmentId });
+    return this.formatAppointment(updated);
+  }
+
+  /**
+   * Appointment of the verified contact that can still be changed
+   * @private
+   */
+  async getChangeableAppointment(page, session, appointmentId, now) {
+    const appointment = await AppointmentService.getAppointmentById(page.account_id, page.tenant_id, appointmentId);
+    if (!appointment || appointment.contact?.phone !== session.phone) {
+      throw new Error('APPOINTMENT_NOT_FOUND');
+    }
+    if (!ACTIVE_STATUSES.includes(appointment.status)) {
+      throw new Error('APPOINTMENT_NOT_ACTIVE');
+    }
+
+    const deadline = new Date(appointment.start_time).getTime() - page.cancellation_notice_minutes * MINUTE_MS;
+    if (now.getTime() > deadline) {
+      throw new Error('CHANGE_WINDOW_CLOSED');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * CRM contact of the verified phone, created on the first booking
+   * @private
+   */
+  async findOrCreateContact(page, phone, name) {
+    const existing = await ContactsService.getContactByPhone(page.account_id, phone);
+    if (existing) return existing;
+
+    try {
+      return await ContactsService.createContact(page.account_id, page.tenant_id, {
+        phone,
+        name: name || null,
+        whatsappJid: `${phone}@s.whatsapp.net`,
+        source: 'booking',
+        metadata: { bookingPageId: page.id }
+      }, { id: null, type: 'system' });
+    } catch (error) {
+      // Created by a concurrent booking of the same phone
+      if (error.message === 'CONTACT_PHONE_EXISTS') {
+        return ContactsService.getContactByPhone(page.account_id, phone);
+      }
+      throw error;
+    }
+  }
+
+  // ==================== WHATSAPP ====================
+
+  /**
+   * Send a text through the page inbox provider
+   * @returns {Promise<boolean>}
+   */
+  async sendWhatsApp(page, phone, text) {
+    try {
+      const { data: inbox } = await supabaseService.queryAsAdmin('inboxes', (query) =>
+        query.select('id, wuzapi_token, provider_type, provider_config').eq('id', page.inbox_id).single()
+      );
+      if (!inbox) return false;
+
+      const result = await ProviderAdapterFactory.getAdapterForInbox(inbox).sendMessage(inbox, { to: phone, text });
+      if (!result.success) {
+        logger.warn('Booking WhatsApp message not sent', { bookingPageId: page.id, error: result.error });
+      }
+      return result.success;
+    } catch (error) {
+      logger.error('Failed to send booking WhatsApp message', { error: error.message, bookingPageId: page.id });
+      return false;
+    }
+  }
+
+  /**
+   * Best-effort confirmation to the contact
+   * @private
+   */
+  async notify(page, phone, text) {
+    if (page.inbox_id) {
+      await this.sendWhatsApp(page, phone, text);
+    }
+  }
+
+  /**
+   * "dd/mm HH:MM" in the page calendar timezone
+   * @private
+   */
+  async formatLocalTime(page, date) {
+    const calendar = await this.getCalendar(page);
+    const p = businessHours.getLocalParts(date, calendar.timezone);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(p.day)}/${pad(p.month)} às ${pad(p.hour)}:${pad(p.minute)}`;
+  }
+
+  // ==================== FORMATTING ====================
+
+  formatService(service) {
+    return {
+      id: service.id,
+      name: service.name,
+      description: service.description,
+      durationMinutes: service.default_duration_minutes,
+      priceCents: service.default_price_cents,
+      color: service.color
+    };
+  }
+
+  formatAppointment(appointment) {
+    return {
+      id: appointment.id,
+      title: appointment.title,
+      startTime: appointment.start_time,
+      endTime: appointment.end_time,
+      status: appointment.status,
+      service: appointment.service ? { id: appointment.service.id, name: appointment.service.name } : null
+    };
+  }
+}
+
+module.exports = new PublicBookingService();
+module.exports.PublicBookingService = PublicBookingService;
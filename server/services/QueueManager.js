@@ -17,6 +17,8 @@ const { validatePhoneWithAPI } = require('./PhoneValidationService');
 const HumanizationEngine = require('./HumanizationEngine');
 const templateProcessor = require('./TemplateProcessor');
 const variationTracker = require('./VariationTracker');
+const AbTestService = require('./AbTestService');
+const businessHours = require('../utils/businessHours');
 
 class QueueManager {
   /**
@@ -60,6 +62,13 @@ class QueueManager {
     this.maxRecentErrors = 5;
     this.processingStartTime = null;
 
+    // Teste A/B (null quando a campanha não tem variantes)
+    this.abTest = AbTestService.normalizeConfig(config.ab_test);
+    this.abTestPollInterval = 60000; // 1 minuto
+
+    // Calendário da janela de envio (resolvido na primeira verificação)
+    this.sendingCalendar = undefined;
+
     logger.info('QueueManager criado', {
       campaignId,
       instance: config.instance,
@@ -124,6 +133,11 @@ class QueueManager {
         await this.updateContactsProcessingOrder();
       }
 
+      // Sortear a fatia de teste A/B e as variantes (a fatia vai para o início da fila)
+      if (this.abTest && this.currentIndex === 0 && !this.contacts.some(c => c.variantId)) {
+        await this.assignAbTestVariants();
+      }
+
       // Processar fila
       await this.processQueue();
 
@@ -165,6 +179,13 @@ class QueueManager {
 
         // Processar contato atual
         const contact = this.contacts[this.currentIndex];
+
+        // Fora da fatia de teste A/B: aguardar a variante vencedora
+        if (this.abTest && !contact.variantId && !this.abTest.winnerVariantId) {
+          const decided = await this.waitForAbTestWinner();
+          if (!decided) continue; // pausado ou cancelado, tratado no início do loop
+        }
+
         await this.processContact(contact);
 
         // Incrementar índice
@@ -202,6 +223,16 @@ class QueueManager {
       this.isProcessing = false;
       await this.updateCampaignStatus('completed', { completed_at: this.completedAt });
 
+      // Webhooks e automações consomem o evento (services/DomainEventSubscribers.js)
+      const DomainEventBus = require('./DomainEventBus');
+      await DomainEventBus.publish('campaign.completed', { userToken: this.config.user_token }, {
+        campaignId: this.campaignId,
+        sentCount: this.sentCount,
+        failedCount: this.failedCount,
+        totalContacts: this.contacts.length,
+        completedAt: this.completedAt.toISOString()
+      });
+
     } catch (error) {
       logger.error('Erro ao processar fila:', error.message);
       this.status = 'failed';
@@ -251,6 +282,14 @@ class QueueManager {
       return msg;
     });
 
+    // Teste A/B: a variante (ou a vencedora) substitui o conteúdo da primeira mensagem
+    const variant = this.abTest
+      ? AbTestService.getVariant(this.abTest, contact.variantId || this.abTest.winnerVariantId)
+      : null;
+    if (variant) {
+      messagesToSend = [{ ...messagesToSend[0], type: messagesToSend[0].type || 'text', content: variant.content }, ...messagesToSend.slice(1)];
+    }
+
     while (attempt < this.maxRetries) {
       try {
         logger.info('Processando contato', {
@@ -288,16 +327,19 @@ class QueueManager {
           // Enviar mensagem via WUZAPI
           // Adaptar chamada para suportar config específica da mensagem
           const result = await this.sendMessageWithConfig(contact.phone, messageBody, msgConfig);
+          const messageId = result?.data?.Id || result?.id || null;
 
-          // Rastrear variações
-          if (processed.selections && processed.selections.length > 0) {
+          // Rastrear variações (e a variante do teste A/B na primeira mensagem)
+          const variantId = i === 0 ? contact.variantId || null : null;
+          if ((processed.selections && processed.selections.length > 0) || variantId) {
             await variationTracker.logVariation({
               campaignId: this.campaignId,
-              messageId: result.id || `msg-${Date.now()}-${i}`,
+              messageId: messageId || `msg-${Date.now()}-${i}`,
               template: msgConfig.content,
-              selections: processed.selections,
+              selections: processed.selections || [],
               recipient: contact.phone,
-              userId: null
+              userId: null,
+              variantId
             }).catch(err => {
               logger.warn('Erro ao rastrear variação', { error: err.message });
             });
@@ -401,14 +443,18 @@ class QueueManager {
   /**
    * Verifica se está dentro da janela de envio
    * Se não estiver, aguarda até o início da próxima janela
+   *
+   * A janela pode ser { startTime, endTime, days }, um calendário completo
+   * (fuso horário, horários semanais, feriados) ou { inboxId } para usar o
+   * horário de atendimento da caixa de entrada
    */
   async checkSendingWindow() {
     if (!this.config.sending_window) return;
 
-    const { startTime, endTime, days } = this.config.sending_window;
-    if (!startTime || !endTime) return;
+    const calendar = await this.resolveSendingCalendar();
+    if (!calendar) return;
 
-    // Loop infinito até estar dentro da janela ou ser cancelado
+    // Loop até estar dentro da janela ou ser cancelado
     while (true) {
       if (this.isCancelled) throw new Error('Campanha cancelada');
       if (this.isPaused) {
@@ -419,43 +465,41 @@ class QueueManager {
 
       const now = new Date();
 
-      // Ajustar fuso horário (assumindo servidor em UTC ou local, mas janela em horário local do usuário)
-      // Idealmente usar biblioteca como luxon ou date-fns-tz, mas aqui faremos básico
-      // Vamos assumir que startTime/endTime são strings "HH:mm"
-
-      const currentDay = now.getDay(); // 0 = Domingo, 1 = Segunda, ...
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      const currentTime = currentHour * 60 + currentMinute;
-
-      const [startHour, startMinute] = startTime.split(':').map(Number);
-      const windowStart = startHour * 60 + startMinute;
-
-      const [endHour, endMinute] = endTime.split(':').map(Number);
-      const windowEnd = endHour * 60 + endMinute;
-
-      // Verificar dia da semana (se days estiver definido)
-      // days deve ser array de números [0, 1, 2, ...]
-      const isDayAllowed = !days || days.length === 0 || days.includes(currentDay);
-
-      // Verificar horário
-      const isTimeAllowed = currentTime >= windowStart && currentTime < windowEnd;
-
-      if (isDayAllowed && isTimeAllowed) {
+      if (businessHours.isOpen(calendar, now)) {
         return; // Dentro da janela, prosseguir
       }
 
+      const nextOpening = businessHours.getNextOpening(calendar, now);
+
       logger.info('Fora da janela de envio, aguardando...', {
         campaignId: this.campaignId,
         now: now.toISOString(),
-        window: { startTime, endTime, days }
+        nextOpening: nextOpening ? nextOpening.toISOString() : null
       });
 
-      // Calcular tempo de espera
-      // Por simplicidade, esperar 1 minuto e verificar novamente
-      // Isso evita complexidade de cálculo de próximo dia/horário exato
-      await this.sleep(60000);
+      // Verificar novamente em até 1 minuto (pausa/cancelamento continuam responsivos)
+      const waitMs = nextOpening ? Math.min(60000, Math.max(1000, nextOpening - now)) : 60000;
+      await this.sleep(waitMs);
+    }
+  }
+
+  /**
+   * Resolve o calendário da janela de envio (uma vez por execução)
+   * @returns {Promise<Object|null>} Calendário normalizado ou null (sem restrição)
+   */
+  async resolveSendingCalendar() {
+    if (this.sendingCalendar !== undefined) return this.sendingCalendar;
+
+    const window = this.config.sending_window;
+
+    if (window.inboxId) {
+      const BusinessHoursService = require('./BusinessHoursService');
+      this.sendingCalendar = await BusinessHoursService.getCalendar(window.inboxId);
+    } else {
+      this.sendingCalendar = businessHours.normalizeCalendar(window);
     }
+
+    return this.sendingCalendar;
   }
 
   /**
@@ -1101,7 +1145,8 @@ class QueueManager {
           name: row.name,
           variables,
           status: row.status,
-          processingOrder: row.processing_order
+          processingOrder: row.processing_order,
+          variantId: row.variant_id || null
         };
       });
 
@@ -1214,6 +1259,68 @@ class QueueManager {
     }
   }
 
+  /**
+   * Sorteia a fatia de teste A/B e suas variantes. A fatia é enviada primeiro:
+   * o restante da fila aguarda a variante vencedora.
+   */
+  async assignAbTestVariants() {
+    const assignments = AbTestService.assignVariants(this.contacts, this.abTest);
+    const variantByContact = new Map(assignments.map(a => [a.contactId, a.variantId]));
+
+    this.contacts.forEach(contact => {
+      if (variantByContact.has(contact.id)) {
+        contact.variantId = variantByContact.get(contact.id);
+      }
+    });
+
+    this.contacts = [
+      ...this.contacts.filter(contact => contact.variantId),
+      ...this.contacts.filter(contact => !contact.variantId)
+    ];
+
+    await AbTestService.persistAssignments(this.campaignId, assignments);
+    await this.updateContactsProcessingOrder();
+
+    logger.info('Fatia de teste A/B definida', {
+      campaignId: this.campaignId,
+      testSliceSize: assignments.length,
+      variants: this.abTest.variants.length
+    });
+  }
+
+  /**
+   * Aguarda a decisão do teste A/B (significância ou prazo)
+   * @returns {Promise<boolean>} true quando há vencedora, false se pausado/cancelado
+   */
+  async waitForAbTestWinner() {
+    while (true) {
+      if (this.isPaused || this.isCancelled) return false;
+
+      try {
+        this.abTest = await AbTestService.decideWinner(this.campaignId, this.abTest);
+        if (this.abTest.winnerVariantId) {
+          logger.info('Variante vencedora definida, enviando para o restante', {
+            campaignId: this.campaignId,
+            winnerVariantId: this.abTest.winnerVariantId,
+            reason: this.abTest.decisionReason,
+            remaining: this.contacts.length - this.currentIndex
+          });
+          return true;
+        }
+
+        logger.info('Aguardando resultado do teste A/B...', {
+          campaignId: this.campaignId,
+          testEndedAt: this.abTest.testEndedAt
+        });
+      } catch (error) {
+        // Falha transitória de banco: tentar novamente no próximo ciclo
+        logger.error('Erro ao avaliar teste A/B:', error.message);
+      }
+
+      await this.sleep(this.abTestPollInterval);
+    }
+  }
+
   /**
    * Aguarda um período de tempo
    */
@@ -1249,6 +1356,7 @@ class QueueManager {
 
     if (updates.sending_window !== undefined) {
       this.config.sending_window = updates.sending_window;
+      this.sendingCalendar = undefined;
       logger.debug('sending_window atualizado', {
         campaignId: this.campaignId,
         newValue: updates.sending_window
@@ -1265,7 +1373,7 @@ class QueueManager {
    * Static helper to check if a given time is within the sending window.
    * This is a pure function that can be tested in isolation.
    * 
-   * @param {Object} sendingWindow - The sending window configuration
+   * @param {Object} sendingWindow - The sending window configuration (or a business hours calendar)
    * @param {string} sendingWindow.startTime - Start time in HH:mm format
    * @param {string} sendingWindow.endTime - End time in HH:mm format
    * @param {number[]} [sendingWindow.days] - Allowed days (0=Sunday, 6=Saturday)
@@ -1273,29 +1381,7 @@ class QueueManager {
    * @returns {boolean} True if within the sending window
    */
   static isWithinSendingWindow(sendingWindow, currentTime) {
-    if (!sendingWindow) return true;
-
-    const { startTime, endTime, days } = sendingWindow;
-    if (!startTime || !endTime) return true;
-
-    const currentDay = currentTime.getDay(); // 0 = Sunday, 6 = Saturday
-    const currentHour = currentTime.getHours();
-    const currentMinute = currentTime.getMinutes();
-    const currentTimeMinutes = currentHour * 60 + currentMinute;
-
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const windowStart = startHour * 60 + startMinute;
-
-    const [endHour, endMinute] = endTime.split(':').map(Number);
-    const windowEnd = endHour * 60 + endMinute;
-
-    // Check day of week (if days is defined)
-    const isDayAllowed = !days || days.length === 0 || days.includes(currentDay);
-
-    // Check time
-    const isTimeAllowed = currentTimeMinutes >= windowStart && currentTimeMinutes < windowEnd;
-
-    return isDayAllowed && isTimeAllowed;
+    return businessHours.isOpen(sendingWindow, currentTime);
   }
 }
 
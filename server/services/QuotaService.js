@@ -9,6 +9,8 @@
 const { logger } = require('../utils/logger');
 const crypto = require('crypto');
 const SupabaseService = require('./SupabaseService');
+const UsageTrackingService = require('./UsageTrackingService');
+const { normalizeToUUID } = require('../utils/userIdHelper');
 
 // Quota types
 const QUOTA_TYPES = {
@@ -52,6 +54,18 @@ const DAILY_QUOTAS = [
   QUOTA_TYPES.MAX_BOT_TOKENS_PER_DAY
 ];
 
+// Monthly quotas billable by usage (metered plans) and their usage metric
+const METERED_QUOTAS = {
+  [QUOTA_TYPES.MAX_MESSAGES_PER_MONTH]: UsageTrackingService.METRIC_TYPES.MESSAGES_SENT,
+  [QUOTA_TYPES.MAX_BOT_TOKENS_PER_MONTH]: UsageTrackingService.METRIC_TYPES.BOT_TOKENS_USED
+};
+
+const usageTracking = new UsageTrackingService();
+
+// Read-only status per user (expired, suspended or in dunning), cached for a minute
+const READ_ONLY_CACHE_TTL_MS = 60 * 1000;
+const readOnlyCache = new Map();
+
 // Alert threshold percentage
 const ALERT_THRESHOLD = 0.8;
 
@@ -122,6 +136,25 @@ class QuotaService {
     }
   }
 
+  /**
+   * Whether the user's subscription is read-only
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async isReadOnly(userId) {
+    const cached = readOnlyCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.readOnly;
+    }
+
+    // Required here: SubscriptionService loads the Stripe and plan services
+    const SubscriptionService = require('./SubscriptionService');
+    const readOnly = await new SubscriptionService().isUserReadOnly(userId);
+
+    readOnlyCache.set(userId, { readOnly, expiresAt: Date.now() + READ_ONLY_CACHE_TTL_MS });
+    return readOnly;
+  }
+
   /**
    * Check if an operation is allowed based on quota
    * @param {string} userId - User ID
@@ -135,14 +168,27 @@ class QuotaService {
       const limit = await this.getEffectiveLimit(userId, quotaType);
       const currentUsage = await this.getCurrentUsage(userId, quotaType, userToken);
       const remaining = Math.max(0, limit - currentUsage);
-      const allowed = currentUsage + amount <= limit;
+      // Read-only subscriptions cannot consume any quota
+      const readOnly = amount > 0 && await this.isReadOnly(userId);
+      let allowed = !readOnly && currentUsage + amount <= limit;
+      let overage = false;
+
+      // Metered plans bill usage above the allowance instead of blocking it
+      if (!allowed && !readOnly && METERED_QUOTAS[quotaType]) {
+        // Required here: MeteredBillingService depends on QuotaService
+        const MeteredBillingService = require('./MeteredBillingService');
+        overage = await MeteredBillingService.allowsOverage(userId, quotaType);
+        allowed = overage;
+      }
 
       return {
         allowed,
         limit,
         usage: currentUsage,
         remaining,
-        quotaType
+        quotaType,
+        overage,
+        readOnly
       };
     } catch (error) {
       logger.error('Failed to check quota', { error: error.message, userId, quotaType });
@@ -189,6 +235,13 @@ class QuotaService {
         });
       }
 
+      // Usage events of metered quotas are summed per billing period
+      if (METERED_QUOTAS[quotaType]) {
+        await usageTracking
+          .trackUsage(normalizeToUUID(userId) || userId, METERED_QUOTAS[quotaType], amount)
+          .catch(() => {});
+      }
+
       logger.debug('Usage incremented', { userId, quotaType, amount, newUsage });
       return newUsage;
     } catch (error) {
@@ -1042,5 +1095,6 @@ QuotaService.QUOTA_TYPES = QUOTA_TYPES;
 QuotaService.CYCLE_QUOTAS = CYCLE_QUOTAS;
 QuotaService.DAILY_QUOTAS = DAILY_QUOTAS;
 QuotaService.ALERT_THRESHOLD = ALERT_THRESHOLD;
+QuotaService.METERED_QUOTAS = METERED_QUOTAS;
 
 module.exports = QuotaService;
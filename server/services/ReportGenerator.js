@@ -10,6 +10,7 @@
 
 const { logger } = require('../utils/logger');
 const SupabaseService = require('./SupabaseService');
+const AbTestService = require('./AbTestService');
 
 class ReportGenerator {
   /**
@@ -45,6 +46,9 @@ class ReportGenerator {
       // Calcular duração
       const duration = this.calculateDuration(campaign);
 
+      // Resultados do teste A/B (null se a campanha não tiver variantes)
+      const abTest = await this.getAbTestResults(campaign);
+
       // Buscar ou criar relatório no banco
       const report = await this.saveReport(campaignId, {
         total_contacts: stats.total,
@@ -70,6 +74,7 @@ class ReportGenerator {
         stats,
         errorsByType,
         errors: contacts.filter(c => c.status === 'failed'),
+        abTest,
         config: {
           messageType: campaign.message_type,
           delayMin: campaign.delay_min,
@@ -145,6 +150,37 @@ class ReportGenerator {
     };
   }
 
+  /**
+   * Resultados do teste A/B com taxas e intervalos de confiança em percentual
+   */
+  async getAbTestResults(campaign) {
+    if (!campaign.ab_test) return null;
+
+    try {
+      const results = await AbTestService.getCampaignResults(campaign);
+      if (!results) return null;
+
+      const toPercent = (value) => Math.round(value * 10000) / 100;
+
+      return {
+        ...results,
+        variants: results.variants.map(variant => ({
+          ...variant,
+          rates: Object.fromEntries(
+            Object.entries(variant.rates).map(([metric, interval]) => [metric, {
+              rate: toPercent(interval.rate),
+              lower: toPercent(interval.lower),
+              upper: toPercent(interval.upper)
+            }])
+          )
+        }))
+      };
+    } catch (error) {
+      logger.error('Erro ao calcular resultados do teste A/B:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Categoriza erros por tipo
    */
@@ -0,0 +1,624 @@
+/**
+ * RetentionPolicyService - Configurable data retention per tenant and account
+ *
+ * Tenant policies apply to every account of the tenant; an account policy
+ * replaces the tenant policy of the same data type, and the account's plan
+ * may cap the retention further (TenantPlanService.getRetentionCaps).
+ *
+ * Policies are enforced by the scheduled retention job
+ * (queues/maintenanceQueue.js). Each enforcement, or preview, writes a
+ * retention_runs report with what was deleted (or would be deleted).
+ * Conversations under legal hold keep their messages and media.
+ *
+ * Requirements: Configurable data retention policies per tenant
+ */
+
+const { logger } = require('../utils/logger');
+const SupabaseService = require('./SupabaseService');
+const StorageService = require('./StorageService');
+const TenantPlanService = require('./TenantPlanService');
+const { s3Service } = require('./S3Service');
+
+// Messages first: deleting a message also deletes its media
+const RETENTION_DATA_TYPES = ['messages', 'media', 'webhook_deliveries', 'campaign_error_logs', 'audit_logs'];
+
+// Plan cap (TenantPlanService.getRetentionCaps) limiting each data type
+const PLAN_CAPS = {
+  media: 'media',
+  messages: 'messages',
+  webhook_deliveries: 'logs',
+  campaign_error_logs: 'logs',
+  audit_logs: 'logs'
+};
+
+// Rows deleted per query and ids per IN filter
+const BATCH_SIZE = 500;
+
+// Supabase Storage media URLs are stored as '<bucket>/<path>'
+const STORAGE_MEDIA_PREFIX = 'media/';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionPolicyService {
+  // ==================== POLICIES ====================
+
+  /**
+   * List the policies of a tenant, or of one account
+   * @param {string} tenantId - Tenant UUID
+   * @param {string|null} [accountId] - Account UUID (null = tenant policies)
+   * @returns {Promise<Object[]>}
+   */
+  async getPolicies(tenantId, accountId = null) {
+    const { data, error } = await SupabaseService.queryAsAdmin('retention_policies', (query) => {
+      const scoped = query.select('*').eq('tenant_id', tenantId);
+      return (accountId ? scoped.eq('account_id', accountId) : scoped.is('account_id', null))
+        .order('data_type', { ascending: true });
+    });
+
+    if (error) throw error;
+    return (data || []).map(row => this.formatPolicy(row));
+  }
+
+  /**
+   * Create or replace the policy of a data type
+   * @param {string} tenantId - Tenant UUID
+   * @param {string|null} accountId - Account UUID (null = tenant policy)
+   * @param {string} dataType - One of RETENTION_DATA_TYPES
+   * @param {Object} input - { retentionDays, dryRun, isActive }
+   * @param {string} [actorId] - User saving the policy
+   * @returns {Promise<Object>} Saved policy
+   * @throws {Error} INVALID_DATA_TYPE | INVALID_RETENTION_DAYS
+   */
+  async upsertPolicy(tenantId, accountId, dataType, input, actorId = null) {
+    if (!RETENTION_DATA_TYPES.includes(dataType)) throw new Error('INVALID_DATA_TYPE');
+    if (!Number.isInteger(input.retentionDays) || input.retentionDays <= 0) {
+      throw new Error('INVALID_RETENTION_DAYS');
+    }
+
+    const existing = await this.getPolicyRow(tenantId, accountId, dataType);
+    const values = {
+      retention_days: input.retentionDays,
+      dry_run: input.dryRun ?? existing?.dry_run ?? false,
+      is_active: input.isActive ?? existing?.is_active ?? true,
+      updated_at: new Date().toISOString()
+    };
+
+    const { data, error } = existing
+      ? await SupabaseService.update('retention_policies', existing.id, values)
+      : await SupabaseService.insert('retention_policies', {
+        tenant_id: tenantId,
+        account_id: accountId,
+        data_type: dataType,
+        created_by: actorId,
+        ...values
+      });
+
+    if (error) throw error;
+
+    logger.info('Retention policy saved', { tenantId, accountId, dataType, retentionDays: input.retentionDays });
+
+    return this.formatPolicy(data);
+  }
+
+  /**
+   * Delete the policy of a data type
+   * @throws {Error} POLICY_NOT_FOUND
+   */
+  async deletePolicy(tenantId, accountId, dataType) {
+    const existing = await this.getPolicyRow(tenantId, accountId, dataType);
+    if (!existing) throw new Error('POLICY_NOT_FOUND');
+
+    const { error } = await SupabaseService.delete('retention_policies', existing.id);
+    if (error) throw error;
+  }
+
+  async getPolicyRow(tenantId, accountId, dataType) {
+    const { data, error } = await SupabaseService.queryAsAdmin('retention_policies', (query) => {
+      const scoped = query.select('*').eq('tenant_id', tenantId).eq('data_type', dataType);
+      return accountId ? scoped.eq('account_id', accountId) : scoped.is('account_id', null);
+    });
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  /**
+   * Resolve the retention enforced for each data type of an account
+   *
+   * The account policy wins over the tenant policy; the plan cap wins over
+   * both when it is shorter, and applies on its own when there is no policy.
+   *
+   * @param {Object} account - accounts row (id, tenant_id, owner_user_id)
+   * @returns {Promise<Object[]>} [{ dataType, retentionDays, source, dryRun, policyDays, planCap }]
+   */
+  async getEffectivePolicies(account) {
+    const { data: rows, error } = await SupabaseService.queryAsAdmin('retention_policies', (query) =>
+      query.select('*')
+        .eq('tenant_id', account.tenant_id)
+        .eq('is_active', true)
+        .or(`account_id.is.null,account_id.eq.${account.id}`)
+    );
+
+    if (error) throw error;
+
+    const caps = await this.getPlanCaps(account);
+    const effective = [];
+
+    for (const dataType of RETENTION_DATA_TYPES) {
+      const candidates = (rows || []).filter(row => row.data_type === dataType);
+      const policy = candidates.find(row => row.account_id) || candidates.find(row => !row.account_id) || null;
+      const planCap = caps[PLAN_CAPS[dataType]];
+
+      if (!policy && !planCap) continue;
+
+      const policyApplies = policy && (!planCap || policy.retention_days <= planCap);
+      effective.push({
+        dataType,
+        retentionDays: policyApplies ? policy.retention_days : planCap,
+        source: policyApplies ? (policy.account_id ? 'account' : 'tenant') : 'plan',
+        dryRun: policyApplies ? policy.dry_run : false,
+        policyDays: policy?.retention_days ?? null,
+        planCap
+      });
+    }
+
+    return effective;
+  }
+
+  /**
+   * Policies of an account as shown to its owner
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object>} { effective, accountPolicies, tenantPolicies, planCaps }
+   * @throws {Error} ACCOUNT_NOT_FOUND
+   */
+  async getAccountRetention(accountId) {
+    const account = await this.getAccount(accountId);
+
+    const [effective, accountPolicies, tenantPolicies, planCaps] = await Promise.all([
+      this.getEffectivePolicies(account),
+      this.getPolicies(account.tenant_id, account.id),
+      this.getPolicies(account.tenant_id),
+      this.getPlanCaps(account)
+    ]);
+
+    return { effective, accountPolicies, tenantPolicies, planCaps };
+  }
+
+  /**
+   * Retention caps of the account's plan (subscription plan or tenant default)
+   */
+  async getPlanCaps(account) {
+    const { data: subscription } = await SupabaseService.queryAsAdmin('user_subscriptions', (query) =>
+      query.select('plan_id').eq('user_id', account.owner_user_id).limit(1)
+    );
+
+    const planId = subscription?.[0]?.plan_id;
+    const plan = planId
+      ? await TenantPlanService.getPlanById(planId, account.tenant_id)
+      : await TenantPlanService.getDefaultPlan(account.tenant_id);
+
+    return TenantPlanService.getRetentionCaps(plan);
+  }
+
+  // ==================== ENFORCEMENT ====================
+
+  /**
+   * Enforce the policies of every account (scheduled retention job)
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} { accounts, failed, deleted: { <dataType>: count } }
+   */
+  async runRetention(options = {}) {
+    const now = options.now || new Date();
+    const summary = { accounts: 0, failed: 0, deleted: {} };
+
+    for (let from = 0; ; from += BATCH_SIZE) {
+      const { data: accounts, error } = await SupabaseService.queryAsAdmin('accounts', (query) =>
+        query.select('id, tenant_id, owner_user_id, wuzapi_token')
+          .order('id', { ascending: true })
+          .range(from, from + BATCH_SIZE - 1)
+      );
+
+      if (error) throw error;
+
+      for (const account of accounts || []) {
+        const run = await this.enforceAccount(account, { now });
+        if (!run) continue;
+
+        summary.accounts++;
+        if (run.status === 'failed') {
+          summary.failed++;
+          continue;
+        }
+        for (const [dataType, entry] of Object.entries(run.report)) {
+          if (entry.dryRun) continue;
+          summary.deleted[dataType] = (summary.deleted[dataType] || 0) + entry.count;
+        }
+      }
+
+      if (!accounts || accounts.length < BATCH_SIZE) break;
+    }
+
+    logger.info('Retention policies enforced', summary);
+    return summary;
+  }
+
+  /**
+   * Enforce (or preview) the policies of an account and record the run
+   * @param {Object} account - accounts row (id, tenant_id, owner_user_id, wuzapi_token)
+   * @param {Object} [options]
+   * @param {boolean} [options.preview=false] - Only report, for every data type
+   * @param {Date} [options.now]
+   * @returns {Promise<Object|null>} Run, null when the account has nothing to enforce
+   */
+  async enforceAccount(account, options = {}) {
+    const now = options.now || new Date();
+    const preview = options.preview === true;
+    const startedAt = new Date().toISOString();
+    const report = {};
+    let failure = null;
+
+    try {
+      const policies = await this.getEffectivePolicies(account);
+      if (policies.length === 0 && !preview) return null;
+
+      const context = await this.getAccountContext(account, policies);
+
+      for (const policy of policies) {
+        const cutoff = new Date(now.getTime() - policy.retentionDays * DAY_MS).toISOString();
+        const dryRun = preview || policy.dryRun;
+        const result = await this.applyPolicy(policy.dataType, context, cutoff, dryRun);
+
+        report[policy.dataType] = {
+          retentionDays: policy.retentionDays,
+          source: policy.source,
+          cutoff,
+          dryRun,
+          ...result
+        };
+      }
+
+      if (context.heldConversations > 0) {
+        report.legalHold = { conversations: context.heldConversations };
+      }
+    } catch (error) {
+      failure = error;
+      logger.error('Retention enforcement failed', { accountId: account.id, error: error.message });
+    }
+
+    const { data: run, error } = await SupabaseService.insert('retention_runs', {
+      tenant_id: account.tenant_id,
+      account_id: account.id,
+      trigger: preview ? 'preview' : 'schedule',
+      status: failure ? 'failed' : 'completed',
+      report,
+      error: failure?.message || null,
+      started_at: startedAt,
+      finished_at: new Date().toISOString()
+    });
+
+    if (error) throw error;
+    return this.formatRun(run);
+  }
+
+  /**
+   * Preview what the account's policies would delete now
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object>} Run with trigger 'preview'
+   * @throws {Error} ACCOUNT_NOT_FOUND
+   */
+  async previewAccount(accountId) {
+    const account = await this.getAccount(accountId);
+    return this.enforceAccount(account, { preview: true });
+  }
+
+  /**
+   * Ids and owners needed by the policies of an account
+   */
+  async getAccountContext(account, policies) {
+    const types = policies.map(p => p.dataType);
+    const context = { account, conversationIds: [], heldConversations: 0, webhookIds: [], campaignIds: [] };
+
+    if (types.includes('media') || types.includes('messages')) {
+      const conversations = await this.fetchIds('conversations', (query) =>
+        query.select('id, legal_hold').eq('account_id', account.id)
+      );
+      context.conversationIds = conversations.filter(c => !c.legal_hold).map(c => c.id);
+      context.heldConversations = conversations.length - context.conversationIds.length;
+    }
+
+    if (types.includes('webhook_deliveries')) {
+      const webhooks = await this.fetchIds('outgoing_webhooks', (query) =>
+        query.select('id').eq('user_id', account.owner_user_id)
+      );
+      context.webhookIds = webhooks.map(w => w.id);
+    }
+
+    if (types.includes('campaign_error_logs')) {
+      const { data: inboxes, error } = await SupabaseService.queryAsAdmin('inboxes', (query) =>
+        query.select('wuzapi_token').eq('account_id', account.id)
+      );
+      if (error) throw error;
+
+      const tokens = [...new Set([account.wuzapi_token, ...(inboxes || []).map(i => i.wuzapi_token)].filter(Boolean))];
+      if (tokens.length > 0) {
+        const campaigns = await this.fetchIds('bulk_campaigns', (query) =>
+          query.select('id').in('user_token', tokens)
+        );
+        context.campaignIds = campaigns.map(c => c.id);
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Delete (or count) the records of a data type older than the cutoff
+   * @returns {Promise<{count: number, failed?: number}>}
+   */
+  async applyPolicy(dataType, context, cutoff, dryRun) {
+    switch (dataType) {
+      case 'messages':
+        return this.applyToMessages(context.conversationIds, cutoff, dryRun, { deleteMessages: true });
+      case 'media':
+        return this.applyToMessages(context.conversationIds, cutoff, dryRun, { deleteMessages: false });
+      case 'webhook_deliveries':
+        return this.applyToLogs('webhook_deliveries', 'webhook_id', context.webhookIds, cutoff, dryRun);
+      case 'campaign_error_logs':
+        return this.applyToLogs('campaign_error_logs', 'campaign_id', context.campaignIds, cutoff, dryRun);
+      case 'audit_logs':
+        return this.applyToLogs('audit_log', 'account_id', [context.account.id], cutoff, dryRun);
+      default:
+        throw new Error('INVALID_DATA_TYPE');
+    }
+  }
+
+  /**
+   * Messages (with their media) or only the media of messages older than the cutoff
+   *
+   * A message whose media file could not be deleted is kept for the next run.
+   */
+  async applyToMessages(conversationIds, cutoff, dryRun, { deleteMessages }) {
+    const result = { count: 0, failed: 0 };
+
+    const scope = (query, ids) => {
+      const scoped = query.in('conversation_id', ids).lt('created_at', cutoff);
+      return deleteMessages ? scoped : scoped.not('media_url', 'is', null);
+    };
+
+    for (const ids of this.chunk(conversationIds)) {
+      if (dryRun) {
+        const { count, error } = await SupabaseService.queryAsAdmin('chat_messages', (query) =>
+          scope(query.select('id', { count: 'exact', head: true }), ids)
+        );
+        if (error) throw error;
+        result.count += count || 0;
+        continue;
+      }
+
+      const skipped = new Set();
+      for (;;) {
+        const { data: messages, error } = await SupabaseService.queryAsAdmin('chat_messages', (query) =>
+          scope(query.select('id, media_url'), ids)
+            .order('id', { ascending: true })
+            .limit(BATCH_SIZE + skipped.size)
+        );
+        if (error) throw error;
+
+        const pending = (messages || []).filter(m => !skipped.has(m.id));
+        if (pending.length === 0) break;
+
+        const done = [];
+        for (const message of pending) {
+          if (message.media_url && !(await this.deleteMediaFile(message.media_url))) {
+            skipped.add(message.id);
+            result.failed++;
+            continue;
+          }
+          done.push(message.id);
+        }
+
+        if (done.length > 0) {
+          const { error: writeError } = await SupabaseService.queryAsAdmin('chat_messages', (query) =>
+            (deleteMessages ? query.delete() : query.update({ media_url: null })).in('id', done)
+          );
+          if (writeError) throw writeError;
+          result.count += done.length;
+        }
+
+        if (pending.length < BATCH_SIZE) break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Log rows older than the cutoff, scoped to the account's ids
+   */
+  async applyToLogs(table, column, ids, cutoff, dryRun) {
+    let count = 0;
+
+    for (const batch of this.chunk(ids)) {
+      const { count: rows, error } = await SupabaseService.queryAsAdmin(table, (query) =>
+        (dryRun ? query.select('id', { count: 'exact', head: true }) : query.delete({ count: 'exact' }))
+          .in(column, batch)
+          .lt('created_at', cutoff)
+      );
+      if (error) throw error;
+      count += rows || 0;
+    }
+
+    return { count };
+  }
+
+  /**
+   * Delete a stored media file (S3 or Supabase Storage)
+   * @param {string} url - chat_messages.media_url
+   * @returns {Promise<boolean>} false when the file could not be deleted
+   */
+  async deleteMediaFile(url) {
+    try {
+      if (s3Service.isEnabled()) {
+        const prefix = s3Service.getPublicUrl('');
+        if (url.startsWith(prefix)) {
+          return await s3Service.delete(decodeURIComponent(url.slice(prefix.length)));
+        }
+      }
+
+      if (url.startsWith(STORAGE_MEDIA_PREFIX)) {
+        const { success } = await StorageService.deleteFile('media', url.slice(STORAGE_MEDIA_PREFIX.length));
+        return success;
+      }
+
+      // External URL (provider CDN): nothing stored by us
+      return true;
+    } catch (error) {
+      logger.warn('Retention media delete failed', { url, error: error.message });
+      return false;
+    }
+  }
+
+  // ==================== LEGAL HOLD ====================
+
+  /**
+   * Place or release a conversation's legal hold
+   * @param {string} accountId - Account UUID
+   * @param {string} conversationId - Conversation UUID
+   * @param {boolean} hold - true = exempt from retention
+   * @param {Object} [options] - { reason, actorId }
+   * @returns {Promise<Object>} { conversationId, legalHold, reason, since, by }
+   * @throws {Error} CONVERSATION_NOT_FOUND
+   */
+  async setLegalHold(accountId, conversationId, hold, options = {}) {
+    const { data: conversation, error } = await SupabaseService.queryAsAdmin('conversations', (query) =>
+      query.select('id').eq('id', conversationId).eq('account_id', accountId).single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!conversation) throw new Error('CONVERSATION_NOT_FOUND');
+
+    const { data: updated, error: updateError } = await SupabaseService.update('conversations', conversationId, {
+      legal_hold: hold,
+      legal_hold_reason: hold ? (options.reason || null) : null,
+      legal_hold_at: hold ? new Date().toISOString() : null,
+      legal_hold_by: hold ? (options.actorId || null) : null
+    });
+
+    if (updateError) throw updateError;
+
+    logger.info('Conversation legal hold changed', { accountId, conversationId, hold });
+
+    return this.formatLegalHold(updated);
+  }
+
+  /**
+   * List the conversations of an account under legal hold
+   */
+  async getLegalHolds(accountId) {
+    const { data, error } = await SupabaseService.queryAsAdmin('conversations', (query) =>
+      query.select('id, contact_jid, contact_name, legal_hold, legal_hold_reason, legal_hold_at, legal_hold_by')
+        .eq('account_id', accountId)
+        .eq('legal_hold', true)
+        .order('legal_hold_at', { ascending: false })
+    );
+
+    if (error) throw error;
+    return (data || []).map(row => this.formatLegalHold(row));
+  }
+
+  // ==================== RUNS ====================
+
+  /**
+   * Latest retention runs of an account
+   */
+  async getRuns(accountId, limit = 30) {
+    const { data, error } = await SupabaseService.queryAsAdmin('retention_runs', (query) =>
+      query.select('*')
+        .eq('account_id', accountId)
+        .order('started_at', { ascending: false })
+        .limit(limit)
+    );
+
+    if (error) throw error;
+    return (data || []).map(row => this.formatRun(row));
+  }
+
+  // ==================== HELPERS ====================
+
+  async getAccount(accountId) {
+    const { data: account, error } = await SupabaseService.queryAsAdmin('accounts', (query) =>
+      query.select('id, tenant_id, owner_user_id, wuzapi_token').eq('id', accountId).single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!account) throw new Error('ACCOUNT_NOT_FOUND');
+    return account;
+  }
+
+  async fetchIds(table, queryFn) {
+    const rows = [];
+
+    for (let from = 0; ; from += BATCH_SIZE) {
+      const { data, error } = await SupabaseService.queryAsAdmin(table, (query) =>
+        queryFn(query).order('id', { ascending: true }).range(from, from + BATCH_SIZE - 1)
+      );
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < BATCH_SIZE) return rows;
+    }
+  }
+
+  chunk(ids) {
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      chunks.push(ids.slice(i, i + BATCH_SIZE));
+    }
+    return chunks;
+  }
+
+  formatPolicy(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      accountId: row.account_id,
+      dataType: row.data_type,
+      retentionDays: row.retention_days,
+      dryRun: row.dry_run,
+      isActive: row.is_active,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatRun(row) {
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      trigger: row.trigger,
+      status: row.status,
+      report: row.report || {},
+      error: row.error,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at
+    };
+  }
+
+  formatLegalHold(row) {
+    return {
+      conversationId: row.id,
+      contactJid: row.contact_jid,
+      contactName: row.contact_name,
+      legalHold: row.legal_hold,
+      reason: row.legal_hold_reason,
+      since: row.legal_hold_at,
+      by: row.legal_hold_by
+    };
+  }
+}
+
+module.exports = new RetentionPolicyService();
+module.exports.RetentionPolicyService = RetentionPolicyService;
+module.exports.RETENTION_DATA_TYPES = RETENTION_DATA_TYPES;
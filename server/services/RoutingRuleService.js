@@ -0,0 +1,494 @@
+/**
+ * RoutingRuleService - Skill-based and weighted conversation routing
+ *
+ * Handles routing rule CRUD and agent skills, and decides which agent
+ * should receive a conversation before the round-robin fallback of
+ * ConversationAssignmentService:
+ *
+ * - rules match by inbox, contact segment and conversation label
+ * - agents must have every skill the rule requires (language, product)
+ * - sticky assignment to the contact's previous agent
+ * - weighted distribution between teams
+ * - overflow to another team when the target teams have no agent
+ *   available (offline or at max conversations)
+ *
+ * Requirements: Skill-based and weighted routing in ConversationAssignmentService
+ */
+
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const { normalizePhoneNumber } = require('../utils/phoneUtils');
+
+const ROUTING_REASONS = {
+  STICKY_AGENT: 'sticky_agent',
+  SKILL_MATCH: 'skill_match',
+  WEIGHTED_TEAM: 'weighted_team',
+  OVERFLOW: 'overflow',
+  NO_CAPACITY: 'no_capacity',
+  ROUND_ROBIN: 'round_robin'
+};
+
+class RoutingRuleService {
+  // ==================== RULES CRUD ====================
+
+  /**
+   * Get all routing rules for an account, in evaluation order
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object[]>}
+   */
+  async getRules(accountId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('routing_rules', (query) =>
+        query.select('*')
+          .eq('account_id', accountId)
+          .order('priority', { ascending: true })
+          .order('created_at', { ascending: true })
+      );
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get routing rules', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single routing rule
+   * @param {string} accountId - Account UUID
+   * @param {string} ruleId - Rule UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getRule(accountId, ruleId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('routing_rules', (query) =>
+        query.select('*')
+          .eq('id', ruleId)
+          .eq('account_id', accountId)
+          .single()
+      );
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Failed to get routing rule', { error: error.message, accountId, ruleId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a routing rule
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - Rule data (camelCase)
+   * @returns {Promise<Object>}
+   */
+  async createRule(accountId, tenantId, data) {
+    try {
+      const row = this.toRuleRow(data);
+      await this.validateReferences(accountId, row);
+
+      const { data: rule, error } = await supabaseService.insert('routing_rules', {
+        ...row,
+        account_id: accountId,
+        tenant_id: tenantId
+      });
+
+      if (error) throw error;
+
+      logger.info('Routing rule created', { accountId, ruleId: rule.id, priority: rule.priority });
+      return rule;
+    } catch (error) {
+      logger.error('Failed to create routing rule', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a routing rule
+   * @param {string} accountId - Account UUID
+   * @param {string} ruleId - Rule UUID
+   * @param {Object} data - Fields to update (camelCase)
+   * @returns {Promise<Object>}
+   */
+  async updateRule(accountId, ruleId, data) {
+    try {
+      const existing = await this.getRule(accountId, ruleId);
+      if (!existing) throw new Error('ROUTING_RULE_NOT_FOUND');
+
+      const updates = this.toRuleRow(data);
+      await this.validateReferences(accountId, updates);
+
+      const { data: rule, error } = await supabaseService.queryAsAdmin('routing_rules', (query) =>
+        query.update({ ...updates, updated_at: new Date().toISOString() })
+          .eq('id', ruleId)
+          .eq('account_id', accountId)
+          .select()
+          .single()
+      );
+
+      if (error) throw error;
+
+      logger.info('Routing rule updated', { accountId, ruleId });
+      return rule;
+    } catch (error) {
+      logger.error('Failed to update routing rule', { error: error.message, accountId, ruleId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a routing rule
+   * @param {string} accountId - Account UUID
+   * @param {string} ruleId - Rule UUID
+   */
+  async deleteRule(accountId, ruleId) {
+    try {
+      const { error } = await supabaseService.queryAsAdmin('routing_rules', (query) =>
+        query.delete().eq('id', ruleId).eq('account_id', accountId)
+      );
+
+      if (error) throw error;
+
+      logger.info('Routing rule deleted', { accountId, ruleId });
+    } catch (error) {
+      logger.error('Failed to delete routing rule', { error: error.message, accountId, ruleId });
+      throw error;
+    }
+  }
+
+  /**
+   * Map camelCase rule input to columns (only fields present)
+   * @param {Object} data
+   * @returns {Object}
+   */
+  toRuleRow(data) {
+    const mapping = {
+      name: 'name',
+      priority: 'priority',
+      conditions: 'conditions',
+      requiredSkills: 'required_skills',
+      targets: 'targets',
+      overflowTeamId: 'overflow_team_id',
+      stickyAgent: 'sticky_agent',
+      isActive: 'is_active'
+    };
+
+    const row = {};
+    for (const [key, column] of Object.entries(mapping)) {
+      if (data[key] !== undefined) row[column] = data[key];
+    }
+    if (row.required_skills) {
+      row.required_skills = this.normalizeSkills(row.required_skills);
+    }
+    return row;
+  }
+
+  /**
+   * Ensure the referenced inboxes, segments, labels and teams belong to the account
+   * @param {string} accountId - Account UUID
+   * @param {Object} row - Rule columns
+   * @throws {Error} INVALID_INBOX | INVALID_SEGMENT | INVALID_LABEL | INVALID_TEAM
+   */
+  async validateReferences(accountId, row) {
+    const teamIds = [
+      ...(row.targets || []).map(t => t.teamId),
+      row.overflow_team_id
+    ].filter(Boolean);
+
+    const checks = [
+      ['inboxes', row.conditions?.inboxIds, 'INVALID_INBOX'],
+      ['contact_segments', row.conditions?.segmentIds, 'INVALID_SEGMENT'],
+      ['labels', row.conditions?.labelIds, 'INVALID_LABEL'],
+      ['teams', teamIds, 'INVALID_TEAM']
+    ];
+
+    for (const [table, ids, code] of checks) {
+      const unique = [...new Set(ids || [])];
+      if (unique.length === 0) continue;
+
+      const { data } = await supabaseService.queryAsAdmin(table, (query) =>
+        query.select('id').in('id', unique).eq('account_id', accountId)
+      );
+      if ((data || []).length !== unique.length) throw new Error(code);
+    }
+  }
+
+  // ==================== AGENT SKILLS ====================
+
+  /**
+   * Replace the routing skills of an agent
+   * @param {string} accountId - Account UUID
+   * @param {string} agentId - Agent UUID
+   * @param {string[]} skills
+   * @returns {Promise<{id: string, skills: string[]}>}
+   */
+  async setAgentSkills(accountId, agentId, skills) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('agents', (query) =>
+        query.update({ skills: this.normalizeSkills(skills), updated_at: new Date().toISOString() })
+          .eq('id', agentId)
+          .eq('account_id', accountId)
+          .select('id, skills')
+      );
+
+      if (error) throw error;
+      if (!data || data.length === 0) throw new Error('AGENT_NOT_FOUND');
+
+      logger.info('Agent skills updated', { accountId, agentId, skills: data[0].skills });
+      return data[0];
+    } catch (error) {
+      logger.error('Failed to update agent skills', { error: error.message, accountId, agentId });
+      throw error;
+    }
+  }
+
+  /**
+   * Skills are compared case-insensitively
+   * @param {string[]} skills
+   * @returns {string[]}
+   */
+  normalizeSkills(skills) {
+    return [...new Set((skills || []).map(s => String(s).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  // ==================== ROUTING ====================
+
+  /**
+   * Route a conversation among the available agents of its inbox
+   * @param {Object} params
+   * @param {string} params.accountId - Account UUID
+   * @param {string} params.inboxId - Inbox UUID
+   * @param {string} params.conversationId - Conversation UUID
+   * @param {Object[]} params.agents - Available agents ({ id, skills, conversation_count })
+   * @returns {Promise<Object|null>} Decision ({ agentId, reason, ruleId, teamId }), null when no rule matches
+   */
+  async route({ accountId, inboxId, conversationId, agents }) {
+    const rules = await this.getActiveRules(accountId);
+    if (rules.length === 0) return null;
+
+    const context = await this.getConversationContext(conversationId, inboxId, rules);
+    const teamMembers = await this.getTeamMembers(rules);
+
+    return this.selectAgent(rules, context, agents, teamMembers);
+  }
+
+  async getActiveRules(accountId) {
+    if (!accountId) return [];
+
+    const { data, error } = await supabaseService.queryAsAdmin('routing_rules', (query) =>
+      query.select('*')
+        .eq('account_id', accountId)
+        .eq('is_active', true)
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true })
+    );
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Load the conversation data the rules depend on (labels, contact
+   * segments, previous agent), skipping lookups no rule needs
+   * @param {string} conversationId
+   * @param {string} inboxId
+   * @param {Object[]} rules
+   * @returns {Promise<{inboxId: string, labelIds: string[], segmentIds: string[], previousAgentId: string|null}>}
+   */
+  async getConversationContext(conversationId, inboxId, rules) {
+    const context = { inboxId, labelIds: [], segmentIds: [], previousAgentId: null };
+    if (!conversationId) return context;
+
+    const needs = (test) => rules.some(test);
+
+    if (needs(r => r.conditions?.labelIds?.length)) {
+      const { data } = await supabaseService.queryAsAdmin('conversation_labels', (query) =>
+        query.select('label_id').eq('conversation_id', conversationId)
+      );
+      context.labelIds = (data || []).map(l => l.label_id);
+    }
+
+    const needsSegments = needs(r => r.conditions?.segmentIds?.length);
+    const needsPrevious = needs(r => r.sticky_agent);
+    if (!needsSegments && !needsPrevious) return context;
+
+    const { data: conversation } = await supabaseService.queryAsAdmin('conversations', (query) =>
+      query.select('id, account_id, contact_jid').eq('id', conversationId).single()
+    );
+    if (!conversation?.contact_jid) return context;
+
+    if (needsSegments) {
+      const phone = normalizePhoneNumber(conversation.contact_jid.replace('@s.whatsapp.net', ''));
+      const { data: contacts } = await supabaseService.queryAsAdmin('contacts', (query) =>
+        query.select('id')
+          .eq('account_id', conversation.account_id)
+          .eq('phone', phone)
+          .limit(1)
+      );
+
+      if (contacts?.[0]) {
+        const { data } = await supabaseService.queryAsAdmin('contact_segment_members', (query) =>
+          query.select('segment_id').eq('contact_id', contacts[0].id)
+        );
+        context.segmentIds = (data || []).map(m => m.segment_id);
+      }
+    }
+
+    if (needsPrevious) {
+      const { data } = await supabaseService.queryAsAdmin('conversations', (query) =>
+        query.select('assigned_agent_id')
+          .eq('account_id', conversation.account_id)
+          .eq('contact_jid', conversation.contact_jid)
+          .not('assigned_agent_id', 'is', null)
+          .order('updated_at', { ascending: false })
+          .limit(1)
+      );
+      context.previousAgentId = data?.[0]?.assigned_agent_id || null;
+    }
+
+    return context;
+  }
+
+  /**
+   * Members of every team referenced by the rules
+   * @param {Object[]} rules
+   * @returns {Promise<Map<string, Set<string>>>} teamId -> agent ids
+   */
+  async getTeamMembers(rules) {
+    const teamIds = [...new Set(rules.flatMap(rule => [
+      ...(rule.targets || []).map(t => t.teamId),
+      rule.overflow_team_id
+    ]).filter(Boolean))];
+
+    const members = new Map(teamIds.map(id => [id, new Set()]));
+    if (teamIds.length === 0) return members;
+
+    const { data, error } = await supabaseService.queryAsAdmin('team_members', (query) =>
+      query.select('team_id, agent_id').in('team_id', teamIds)
+    );
+
+    if (error) throw error;
+
+    for (const row of data || []) {
+      members.get(row.team_id)?.add(row.agent_id);
+    }
+    return members;
+  }
+
+  /**
+   * Whether a conversation matches every condition list of a rule
+   * @param {Object} rule
+   * @param {Object} context - { inboxId, labelIds, segmentIds }
+   * @returns {boolean}
+   */
+  matchesRule(rule, context) {
+    const conditions = rule.conditions || {};
+    const matchesAny = (ids, values) => !ids?.length || ids.some(id => values.includes(id));
+
+    return matchesAny(conditions.inboxIds, [context.inboxId]) &&
+      matchesAny(conditions.segmentIds, context.segmentIds) &&
+      matchesAny(conditions.labelIds, context.labelIds);
+  }
+
+  /**
+   * Decide the agent for a conversation. The first matching rule that can
+   * place the conversation wins; matching rules without an available agent
+   * fall through to the next one.
+   *
+   * @param {Object[]} rules - Active rules in priority order
+   * @param {Object} context - Conversation context
+   * @param {Object[]} agents - Available agents ({ id, skills, conversation_count })
+   * @param {Map<string, Set<string>>} teamMembers - teamId -> agent ids
+   * @param {Function} [random] - Random source in [0, 1)
+   * @returns {Object|null} Decision, null when no rule matches
+   */
+  selectAgent(rules, context, agents, teamMembers, random = Math.random) {
+    let firstMatch = null;
+
+    for (const rule of rules) {
+      if (!this.matchesRule(rule, context)) continue;
+      firstMatch = firstMatch || rule;
+
+      const required = this.normalizeSkills(rule.required_skills);
+      const pool = agents.filter(agent => {
+        const skills = this.normalizeSkills(agent.skills);
+        return required.every(skill => skills.includes(skill));
+      });
+      const decide = (agent, reason, teamId = null) => ({
+        agentId: agent.id,
+        reason,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        teamId
+      });
+
+      if (rule.sticky_agent && context.previousAgentId) {
+        const previous = pool.find(agent => agent.id === context.previousAgentId);
+        if (previous) return decide(previous, ROUTING_REASONS.STICKY_AGENT);
+      }
+
+      const membersOf = (teamId) => pool.filter(agent => teamMembers.get(teamId)?.has(agent.id));
+      const targets = (rule.targets || []).filter(t => t.weight > 0);
+
+      if (targets.length > 0) {
+        const staffed = targets.filter(t => membersOf(t.teamId).length > 0);
+        if (staffed.length > 0) {
+          const target = this.pickWeighted(staffed, random);
+          return decide(this.pickLeastLoaded(membersOf(target.teamId)), ROUTING_REASONS.WEIGHTED_TEAM, target.teamId);
+        }
+      } else if (pool.length > 0) {
+        return decide(this.pickLeastLoaded(pool), ROUTING_REASONS.SKILL_MATCH);
+      }
+
+      if (rule.overflow_team_id) {
+        const overflow = membersOf(rule.overflow_team_id);
+        if (overflow.length > 0) {
+          return decide(this.pickLeastLoaded(overflow), ROUTING_REASONS.OVERFLOW, rule.overflow_team_id);
+        }
+      }
+    }
+
+    if (!firstMatch) return null;
+
+    return {
+      agentId: null,
+      reason: ROUTING_REASONS.NO_CAPACITY,
+      ruleId: firstMatch.id,
+      ruleName: firstMatch.name,
+      teamId: null
+    };
+  }
+
+  /**
+   * Pick a target proportionally to its weight
+   * @param {Object[]} targets - [{ teamId, weight }]
+   * @param {Function} random - Random source in [0, 1)
+   * @returns {Object}
+   */
+  pickWeighted(targets, random) {
+    const total = targets.reduce((sum, t) => sum + t.weight, 0);
+    let point = random() * total;
+
+    for (const target of targets) {
+      point -= target.weight;
+      if (point < 0) return target;
+    }
+    return targets[targets.length - 1];
+  }
+
+  /**
+   * Agent with the fewest open conversations (ties keep list order)
+   * @param {Object[]} agents
+   * @returns {Object}
+   */
+  pickLeastLoaded(agents) {
+    return agents.reduce((best, agent) =>
+      (agent.conversation_count || 0) < (best.conversation_count || 0) ? agent : best
+    );
+  }
+}
+
+module.exports = new RoutingRuleService();
+module.exports.RoutingRuleService = RoutingRuleService;
+module.exports.ROUTING_REASONS = ROUTING_REASONS;
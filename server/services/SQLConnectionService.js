@@ -0,0 +1,780 @@
+/**
+ * SQL Connection Service
+ * Handles operations for external PostgreSQL and MySQL connections
+ *
+ * Clients never send SQL: table and column names are checked against the
+ * table metadata (information_schema) and quoted, values are always sent as
+ * query parameters. Each operation opens its own connection and closes it;
+ * batch callers (CRM sync) keep one session open with connect().
+ */
+
+const { logger } = require('../utils/logger');
+
+// Cache for table metadata (10 minutes TTL)
+const metadataCache = new Map();
+const CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const SQL_TYPES = ['POSTGRES', 'POSTGRESQL', 'MYSQL'];
+
+const SQL_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+
+const CONNECT_TIMEOUT = parseInt(process.env.SQL_CONNECT_TIMEOUT) || 10000;
+const MAX_PAGE_SIZE = 1000;
+
+// Filter operators accepted in fetchRecords: { column: value } or { column: { op: value } }
+const FILTER_OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+};
+const FILTER_OPERATOR_NAMES = [...Object.keys(FILTER_OPERATORS), 'contains', 'isNull'];
+
+/**
+ * Error codes for SQL operations
+ */
+const SQL_ERROR_CODES = {
+  INVALID_CONFIGURATION: 'SQL_INVALID_CONFIGURATION',
+  CONNECTION_REFUSED: 'SQL_CONNECTION_REFUSED',
+  AUTH_FAILED: 'SQL_AUTH_FAILED',
+  DATABASE_NOT_FOUND: 'SQL_DATABASE_NOT_FOUND',
+  TABLE_NOT_FOUND: 'SQL_TABLE_NOT_FOUND',
+  COLUMN_NOT_FOUND: 'SQL_COLUMN_NOT_FOUND',
+  RECORD_NOT_FOUND: 'SQL_RECORD_NOT_FOUND',
+  INVALID_IDENTIFIER: 'SQL_INVALID_IDENTIFIER',
+  INVALID_FILTER: 'SQL_INVALID_FILTER',
+  INVALID_DATA: 'SQL_INVALID_DATA',
+  PERMISSION_DENIED: 'SQL_PERMISSION_DENIED',
+  CONSTRAINT_VIOLATION: 'SQL_CONSTRAINT_VIOLATION',
+  TIMEOUT: 'SQL_TIMEOUT',
+  UNKNOWN: 'SQL_UNKNOWN_ERROR',
+};
+
+/**
+ * Error messages in Portuguese
+ */
+const ERROR_MESSAGES = {
+  [SQL_ERROR_CODES.INVALID_CONFIGURATION]: 'Conexão incompleta. Informe host, banco de dados, usuário e senha.',
+  [SQL_ERROR_CODES.CONNECTION_REFUSED]: 'Não foi possível conectar ao servidor. Verifique host e porta.',
+  [SQL_ERROR_CODES.AUTH_FAILED]: 'Falha na autenticação. Verifique usuário e senha.',
+  [SQL_ERROR_CODES.DATABASE_NOT_FOUND]: 'Banco de dados não encontrado no servidor.',
+  [SQL_ERROR_CODES.TABLE_NOT_FOUND]: 'Tabela não encontrada no banco de dados.',
+  [SQL_ERROR_CODES.COLUMN_NOT_FOUND]: 'Coluna não encontrada na tabela.',
+  [SQL_ERROR_CODES.RECORD_NOT_FOUND]: 'Registro não encontrado.',
+  [SQL_ERROR_CODES.INVALID_IDENTIFIER]: 'Nome de tabela ou coluna inválido.',
+  [SQL_ERROR_CODES.INVALID_FILTER]: 'Filtro inválido.',
+  [SQL_ERROR_CODES.INVALID_DATA]: 'Nenhum campo informado para o registro.',
+  [SQL_ERROR_CODES.PERMISSION_DENIED]: 'Permissão negada. O usuário não tem acesso a este recurso.',
+  [SQL_ERROR_CODES.CONSTRAINT_VIOLATION]: 'Os dados violam uma restrição da tabela (valor duplicado, obrigatório ou referência inválida).',
+  [SQL_ERROR_CODES.TIMEOUT]: 'Tempo limite excedido ao conectar ao banco de dados.',
+  [SQL_ERROR_CODES.UNKNOWN]: 'Erro inesperado ao comunicar com o banco de dados.',
+};
+
+// HTTP status of errors caused by the request (others are 500)
+const ERROR_HTTP_STATUS = {
+  [SQL_ERROR_CODES.INVALID_CONFIGURATION]: 400,
+  [SQL_ERROR_CODES.INVALID_IDENTIFIER]: 400,
+  [SQL_ERROR_CODES.INVALID_FILTER]: 400,
+  [SQL_ERROR_CODES.INVALID_DATA]: 400,
+  [SQL_ERROR_CODES.COLUMN_NOT_FOUND]: 400,
+  [SQL_ERROR_CODES.CONSTRAINT_VIOLATION]: 400,
+  [SQL_ERROR_CODES.TABLE_NOT_FOUND]: 404,
+  [SQL_ERROR_CODES.RECORD_NOT_FOUND]: 404,
+};
+
+// Driver error codes (pg SQLSTATE / mysql2 code) by SQL error code
+const DRIVER_ERROR_CODES = {
+  [SQL_ERROR_CODES.CONNECTION_REFUSED]: ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ECONNRESET'],
+  [SQL_ERROR_CODES.TIMEOUT]: ['ETIMEDOUT', 'PROTOCOL_SEQUENCE_TIMEOUT', '57014'],
+  [SQL_ERROR_CODES.AUTH_FAILED]: ['ER_ACCESS_DENIED_ERROR', '28P01', '28000'],
+  [SQL_ERROR_CODES.DATABASE_NOT_FOUND]: ['ER_BAD_DB_ERROR', '3D000'],
+  [SQL_ERROR_CODES.TABLE_NOT_FOUND]: ['ER_NO_SUCH_TABLE', '42P01'],
+  [SQL_ERROR_CODES.COLUMN_NOT_FOUND]: ['ER_BAD_FIELD_ERROR', '42703'],
+  [SQL_ERROR_CODES.PERMISSION_DENIED]: ['ER_TABLEACCESS_DENIED_ERROR', 'ER_DBACCESS_DENIED_ERROR', '42501'],
+  [SQL_ERROR_CODES.CONSTRAINT_VIOLATION]: [
+    'ER_DUP_ENTRY', 'ER_BAD_NULL_ERROR', 'ER_NO_DEFAULT_FOR_FIELD', 'ER_NO_REFERENCED_ROW_2',
+    'ER_TRUNCATED_WRONG_VALUE', '23505', '23503', '23502', '22P02'
+  ],
+};
+
+class SQLConnectionService {
+  /**
+   * Whether a connection type is handled by this service
+   * @param {string} type - Connection type
+   * @returns {boolean}
+   */
+  static isSQLType(type) {
+    return SQL_TYPES.includes(String(type || '').toUpperCase());
+  }
+
+  /**
+   * Whether a name can be used as SQL identifier
+   * @param {string} name - Table or column name
+   * @returns {boolean}
+   */
+  static isValidIdentifier(name) {
+    return typeof name === 'string' && SQL_IDENTIFIER.test(name);
+  }
+
+  /**
+   * Split a table name into schema and table (PostgreSQL accepts schema.table)
+   * @param {Object} connection - Database connection config
+   * @param {string} tableName - Table name
+   * @returns {{ schema: string|null, table: string }}
+   */
+  static parseTableName(connection, tableName) {
+    const parts = String(tableName || '').split('.');
+    const isMySQL = this.isMySQL(connection);
+
+    if (parts.length > 2 || (isMySQL && parts.length > 1) || !parts.every(part => this.isValidIdentifier(part))) {
+      throw this.createError(SQL_ERROR_CODES.INVALID_IDENTIFIER, `Nome de tabela inválido: '${tableName}'`);
+    }
+
+    if (parts.length === 2) {
+      return { schema: parts[0], table: parts[1] };
+    }
+    return { schema: isMySQL ? null : 'public', table: parts[0] };
+  }
+
+  static isMySQL(connection) {
+    return String(connection.type || '').toUpperCase() === 'MYSQL';
+  }
+
+  /**
+   * Quote an identifier for the connection dialect
+   * @param {Object} connection - Database connection config
+   * @param {string} name - Validated identifier
+   * @returns {string}
+   */
+  static quote(connection, name) {
+    return this.isMySQL(connection) ? `\`${name}\`` : `"${name}"`;
+  }
+
+  /**
+   * Quoted table reference (schema.table for PostgreSQL)
+   * @param {Object} connection - Database connection config
+   * @param {string} tableName - Table name
+   * @returns {string}
+   */
+  static tableRef(connection, tableName) {
+    const { schema, table } = this.parseTableName(connection, tableName);
+    return schema ? `${this.quote(connection, schema)}.${this.quote(connection, table)}` : this.quote(connection, table);
+  }
+
+  /**
+   * Open a connection to the database
+   * Callers must close() the session; prefer withClient for single operations.
+   * @param {Object} connection - Decrypted database connection config
+   * @returns {Promise<Object>} { query(sql, params) => rows, close() }
+   * @throws {Error} SQL_INVALID_CONFIGURATION or translated driver errors
+   */
+  static async connect(connection) {
+    const database = connection.database_name || connection.database;
+
+    if (!connection.host || !database || !connection.username) {
+      throw this.createError(SQL_ERROR_CODES.INVALID_CONFIGURATION, 'Host, database or username not configured');
+    }
+
+    const config = {
+      host: connection.host,
+      port: connection.port ? Number(connection.port) : undefined,
+      user: connection.username,
+      password: connection.password,
+      database,
+    };
+
+    let client;
+    let run;
+    try {
+      if (this.isMySQL(connection)) {
+        const mysql = require('mysql2/promise');
+        client = await mysql.createConnection({ ...config, connectTimeout: CONNECT_TIMEOUT });
+        run = async (sql, params) => (await client.execute(sql, params))[0];
+      } else {
+        const { Client } = require('pg');
+        client = new Client({
+          ...config,
+          ssl: { rejectUnauthorized: false }, // Common for cloud-hosted databases
+          connectionTimeoutMillis: CONNECT_TIMEOUT,
+          statement_timeout: CONNECT_TIMEOUT * 3,
+        });
+        await client.connect();
+        run = async (sql, params) => (await client.query(sql, params)).rows;
+      }
+    } catch (error) {
+      throw this.translateError(error);
+    }
+
+    return {
+      query: async (sql, params = []) => {
+        try {
+          return await run(sql, params);
+        } catch (error) {
+          throw this.translateError(error);
+        }
+      },
+      close: async () => {
+        try {
+          await client.end();
+        } catch (endError) {
+          logger.debug('Failed to close SQL connection', { connectionId: connection.id, error: endError.message });
+        }
+      },
+    };
+  }
+
+  /**
+   * Open a connection, run fn with the parameterized query helper and close it
+   * @param {Object} connection - Decrypted database connection config
+   * @param {Function} fn - async ({ query }) => result
+   * @returns {Promise<*>} Result of fn
+   */
+  static async withClient(connection, fn) {
+    const session = await this.connect(connection);
+    try {
+      return await fn(session);
+    } finally {
+      await session.close();
+    }
+  }
+
+  /**
+   * Placeholder builder for a parameter list ($n for PostgreSQL, ? for MySQL)
+   * @param {Object} connection - Database connection config
+   * @param {Array} params - Parameter list (values are pushed into it)
+   * @returns {Function} value => placeholder
+   */
+  static paramBuilder(connection, params) {
+    const isMySQL = this.isMySQL(connection);
+    return (value) => {
+      params.push(value);
+      return isMySQL ? '?' : `$${params.length}`;
+    };
+  }
+
+  /**
+   * List tables of the database
+   * @param {Object} connection - Database connection config
+   * @returns {Promise<Array>} List of tables { name, schema }
+   */
+  static async listTables(connection) {
+    const cacheKey = `tables:${connection.id || `${connection.host}:${connection.database_name || connection.database}`}`;
+
+    const cached = metadataCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return cached.data;
+    }
+
+    const rows = await this.withClient(connection, ({ query }) => {
+      if (this.isMySQL(connection)) {
+        return query(
+          `SELECT table_name AS name, table_schema AS table_schema
+           FROM information_schema.tables
+           WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE'
+           ORDER BY table_name`
+        );
+      }
+      return query(
+        `SELECT table_name AS name, table_schema AS table_schema
+         FROM information_schema.tables
+         WHERE table_schema NOT IN ('pg_catalog', 'information_schema') AND table_type = 'BASE TABLE'
+         ORDER BY table_schema, table_name`
+      );
+    });
+
+    const tables = rows.map(row => ({
+      name: !this.isMySQL(connection) && row.table_schema !== 'public' ? `${row.table_schema}.${row.name}` : row.name,
+      schema: row.table_schema,
+    }));
+
+    metadataCache.set(cacheKey, { data: tables, timestamp: Date.now() });
+
+    logger.info('Listed SQL tables', { connectionId: connection.id, type: connection.type, count: tables.length });
+
+    return tables;
+  }
+
+  /**
+   * Get column metadata for a table
+   * @param {Object} connection - Database connection config
+   * @param {string} [tableName] - Table name (default: connection table)
+   * @returns {Promise<Array>} Columns { name, dataType, isNullable, isPrimaryKey, isForeignKey, defaultValue }
+   * @throws {Error} SQL_TABLE_NOT_FOUND when the table has no visible columns
+   */
+  static async getTableColumns(connection, tableName = connection.table_name) {
+    if (!tableName) {
+      throw this.createError(SQL_ERROR_CODES.TABLE_NOT_FOUND, 'Tabela não configurada');
+    }
+
+    const { schema, table } = this.parseTableName(connection, tableName);
+    const cacheKey = `columns:${connection.id || `${connection.host}:${connection.database_name || connection.database}`}:${tableName}`;
+
+    const cached = metadataCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return cached.data;
+    }
+
+    const rows = await this.withClient(connection, ({ query }) => {
+      if (this.isMySQL(connection)) {
+        return query(
+          `SELECT column_name AS name, data_type AS data_type, is_nullable AS is_nullable,
+                  column_default AS column_default, column_key AS column_key
+           FROM information_schema.columns
+           WHERE table_schema = DATABASE() AND table_name = ?
+           ORDER BY ordinal_position`,
+          [table]
+        );
+      }
+      return query(
+        `SELECT c.column_name AS name, c.data_type AS data_type, c.is_nullable AS is_nullable,
+                c.column_default AS column_default,
+                (SELECT tc.constraint_type
+                 FROM information_schema.key_column_usage k
+                 JOIN information_schema.table_constraints tc
+                   ON tc.constraint_name = k.constraint_name AND tc.table_schema = k.table_schema
+                 WHERE k.table_schema = c.table_schema AND k.table_name = c.table_name
+                   AND k.column_name = c.column_name
+                   AND tc.constraint_type IN ('PRIMARY KEY', 'FOREIGN KEY')
+                 ORDER BY tc.constraint_type DESC
+                 LIMIT 1) AS column_key
+         FROM information_schema.columns c
+         WHERE c.table_schema = $1 AND c.table_name = $2
+         ORDER BY c.ordinal_position`,
+        [schema, table]
+      );
+    });
+
+    if (rows.length === 0) {
+      throw this.createError(SQL_ERROR_CODES.TABLE_NOT_FOUND, `Tabela '${tableName}' não encontrada`);
+    }
+
+    const columns = rows.map(row => ({
+      name: row.name,
+      dataType: row.data_type,
+      isNullable: row.is_nullable === 'YES',
+      isPrimaryKey: row.column_key === 'PRI' || row.column_key === 'PRIMARY KEY',
+      isForeignKey: row.column_key === 'MUL' || row.column_key === 'FOREIGN KEY',
+      defaultValue: row.column_default ?? undefined,
+    }));
+
+    metadataCache.set(cacheKey, { data: columns, timestamp: Date.now() });
+
+    logger.info('Got SQL table columns', { connectionId: connection.id, tableName, columnCount: columns.length });
+
+    return columns;
+  }
+
+  /**
+   * Primary key column of a table (first primary key column, else 'id' when present)
+   * @param {Array} columns - Output of getTableColumns
+   * @returns {string|null}
+   */
+  static getPrimaryKey(columns) {
+    const primaryKey = columns.find(column => column.isPrimaryKey);
+    if (primaryKey) return primaryKey.name;
+    return columns.some(column => column.name === 'id') ? 'id' : null;
+  }
+
+  /**
+   * Ensure a column exists in the table
+   * @param {Array} columns - Output of getTableColumns
+   * @param {string} name - Column name from the client
+   * @returns {string} Column name
+   * @throws {Error} SQL_COLUMN_NOT_FOUND
+   */
+  static assertColumn(columns, name) {
+    if (!columns.some(column => column.name === name) || !this.isValidIdentifier(name)) {
+      const error = this.createError(SQL_ERROR_CODES.COLUMN_NOT_FOUND, `Coluna '${name}' não encontrada`);
+      error.details = { column: name };
+      throw error;
+    }
+    return name;
+  }
+
+  /**
+   * Build the WHERE clause of the filters
+   * @param {Object} connection - Database connection config
+   * @param {Array} columns - Table columns
+   * @param {Object} filters - { column: value } or { column: { eq|neq|gt|gte|lt|lte|contains|isNull: value } }
+   * @param {Function} param - Placeholder builder
+   * @returns {string[]} Conditions
+   */
+  static buildConditions(connection, columns, filters, param) {
+    const conditions = [];
+    const isMySQL = this.isMySQL(connection);
+
+    for (const [name, filter] of Object.entries(filters || {})) {
+      const column = this.quote(connection, this.assertColumn(columns, name));
+      const operations = filter !== null && typeof filter === 'object' && !Array.isArray(filter)
+        ? filter
+        : { eq: filter };
+
+      for (const [operator, value] of Object.entries(operations)) {
+        if (!FILTER_OPERATOR_NAMES.includes(operator)) {
+          const error = this.createError(SQL_ERROR_CODES.INVALID_FILTER, `Operador de filtro inválido: '${operator}'`);
+          error.details = { column: name, operator, operators: FILTER_OPERATOR_NAMES };
+          throw error;
+        }
+        if (operator === 'isNull') {
+          const isNull = value === true || value === 'true';
+          conditions.push(`${column} IS ${isNull ? '' : 'NOT '}NULL`);
+          continue;
+        }
+        if (value === undefined || value === null || value === '') continue;
+        if (typeof value === 'object') {
+          const error = this.createError(SQL_ERROR_CODES.INVALID_FILTER, `Valor de filtro inválido para '${name}'`);
+          error.details = { column: name, operator };
+          throw error;
+        }
+
+        if (operator === 'contains') {
+          const pattern = `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+          conditions.push(isMySQL
+            ? `CAST(${column} AS CHAR) LIKE ${param(pattern)}`
+            : `CAST(${column} AS TEXT) ILIKE ${param(pattern)}`);
+        } else {
+          conditions.push(`${column} ${FILTER_OPERATORS[operator]} ${param(value)}`);
+        }
+      }
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Fetch records with pagination and filtering
+   * @param {Object} connection - Database connection config
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Paginated records with count
+   */
+  static async fetchRecords(connection, options = {}) {
+    const {
+      table: tableName = connection.table_name,
+      filters = {},
+      orderBy = null,
+      ascending = false,
+      userId = null,
+      userLinkField = null
+    } = options;
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 25, 1), MAX_PAGE_SIZE);
+
+    const columns = await this.getTableColumns(connection, tableName);
+    const params = [];
+    const param = this.paramBuilder(connection, params);
+
+    const conditions = this.buildConditions(connection, columns, filters, param);
+    if (userLinkField && userId) {
+      conditions.push(`${this.quote(connection, this.assertColumn(columns, userLinkField))} = ${param(userId)}`);
+    }
+
+    const orderColumn = orderBy
+      ? this.assertColumn(columns, orderBy)
+      : this.getPrimaryKey(columns) || columns[0].name;
+
+    const from = `FROM ${this.tableRef(connection, tableName)}${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}`;
+    const offset = (page - 1) * limit;
+
+    const { rows, count } = await this.withClient(connection, async ({ query }) => {
+      // LIMIT/OFFSET are integers computed here, not client input
+      const data = await query(
+        `SELECT * ${from} ORDER BY ${this.quote(connection, orderColumn)} ${ascending ? 'ASC' : 'DESC'} LIMIT ${limit} OFFSET ${offset}`,
+        params
+      );
+      const [{ total }] = await query(`SELECT COUNT(*) AS total ${from}`, params);
+      return { rows: data, count: Number(total) };
+    });
+
+    logger.debug('Fetched SQL records', {
+      connectionId: connection.id,
+      tableName,
+      count: rows.length,
+      total: count
+    });
+
+    return {
+      data: rows,
+      count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit)
+    };
+  }
+
+  /**
+   * Get a record by primary key
+   * @param {Object} connection - Database connection config
+   * @param {string|number} id - Primary key value
+   * @returns {Promise<Object|null>} Record or null
+   */
+  static async getRecord(connection, id) {
+    const columns = await this.getTableColumns(connection);
+    const primaryKey = this.requirePrimaryKey(connection, columns);
+    return this.findRecord(connection, primaryKey, id);
+  }
+
+  /**
+   * Get the first record with column = value
+   * @param {Object} connection - Database connection config
+   * @param {string} column - Column name
+   * @param {*} value - Value to match
+   * @returns {Promise<Object|null>} Record or null
+   */
+  static async findRecord(connection, column, value) {
+    const columns = await this.getTableColumns(connection);
+    const params = [];
+    const param = this.paramBuilder(connection, params);
+    const sql = `SELECT * FROM ${this.tableRef(connection, connection.table_name)} WHERE ${this.quote(connection, this.assertColumn(columns, column))} = ${param(value)} LIMIT 1`;
+
+    const rows = await this.withClient(connection, ({ query }) => query(sql, params));
+    return rows[0] || null;
+  }
+
+  /**
+   * Create a new record
+   * @param {Object} connection - Database connection config
+   * @param {Object} data - Record data (columns of the table)
+   * @returns {Promise<Object>} Created record
+   */
+  static async createRecord(connection, data) {
+    const columns = await this.getTableColumns(connection);
+    const names = Object.keys(data || {}).map(name => this.assertColumn(columns, name));
+
+    if (names.length === 0) {
+      throw this.createError(SQL_ERROR_CODES.INVALID_DATA, 'No fields to insert');
+    }
+
+    const params = [];
+    const param = this.paramBuilder(connection, params);
+    const placeholders = names.map(name => param(data[name]));
+    const insert = `INSERT INTO ${this.tableRef(connection, connection.table_name)} (${names.map(name => this.quote(connection, name)).join(', ')}) VALUES (${placeholders.join(', ')})`;
+    const primaryKey = this.getPrimaryKey(columns);
+
+    const created = await this.withClient(connection, async ({ query }) => {
+      if (!this.isMySQL(connection)) {
+        const [row] = await query(`${insert} RETURNING *`, params);
+        return row;
+      }
+
+      const result = await query(insert, params);
+      const id = data[primaryKey] ?? (result.insertId || null);
+      if (!primaryKey || id === null) return { ...data };
+
+      const [row] = await query(
+        `SELECT * FROM ${this.tableRef(connection, connection.table_name)} WHERE ${this.quote(connection, primaryKey)} = ? LIMIT 1`,
+        [id]
+      );
+      return row || { ...data, [primaryKey]: id };
+    });
+
+    logger.info('Created SQL record', {
+      connectionId: connection.id,
+      tableName: connection.table_name,
+      recordId: primaryKey ? created?.[primaryKey] : undefined
+    });
+
+    return created;
+  }
+
+  /**
+   * Update a record by primary key
+   * @param {Object} connection - Database connection config
+   * @param {string|number} id - Primary key value
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated record
+   * @throws {Error} SQL_RECORD_NOT_FOUND
+   */
+  static async updateRecord(connection, id, data) {
+    const columns = await this.getTableColumns(connection);
+    const primaryKey = this.requirePrimaryKey(connection, columns);
+    const names = Object.keys(data || {})
+      .filter(name => name !== primaryKey)
+      .map(name => this.assertColumn(columns, name));
+
+    if (names.length === 0) {
+      const current = await this.getRecord(connection, id);
+      if (!current) throw this.createError(SQL_ERROR_CODES.RECORD_NOT_FOUND, 'Registro não encontrado');
+      return current;
+    }
+
+    const params = [];
+    const param = this.paramBuilder(connection, params);
+    const assignments = names.map(name => `${this.quote(connection, name)} = ${param(data[name])}`);
+    const table = this.tableRef(connection, connection.table_name);
+    const where = `${this.quote(connection, primaryKey)} = ${param(id)}`;
+
+    const updated = await this.withClient(connection, async ({ query }) => {
+      if (!this.isMySQL(connection)) {
+        const [row] = await query(`UPDATE ${table} SET ${assignments.join(', ')} WHERE ${where} RETURNING *`, params);
+        return row || null;
+      }
+
+      const result = await query(`UPDATE ${table} SET ${assignments.join(', ')} WHERE ${where}`, params);
+      if (!result.affectedRows) return null;
+      const [row] = await query(`SELECT * FROM ${table} WHERE ${this.quote(connection, primaryKey)} = ? LIMIT 1`, [id]);
+      return row || null;
+    });
+
+    if (!updated) {
+      throw this.createError(SQL_ERROR_CODES.RECORD_NOT_FOUND, 'Registro não encontrado');
+    }
+
+    logger.info('Updated SQL record', {
+      connectionId: connection.id,
+      tableName: connection.table_name,
+      recordId: id,
+      fieldsUpdated: names
+    });
+
+    return updated;
+  }
+
+  /**
+   * Primary key of the table, required to address single records
+   * @param {Object} connection - Database connection config
+   * @param {Array} columns - Output of getTableColumns
+   * @returns {string} Primary key column
+   * @throws {Error} SQL_COLUMN_NOT_FOUND when the table has no primary key
+   */
+  static requirePrimaryKey(connection, columns) {
+    const primaryKey = this.getPrimaryKey(columns);
+    if (!primaryKey) {
+      throw this.createError(
+        SQL_ERROR_CODES.COLUMN_NOT_FOUND,
+        `Tabela '${connection.table_name}' sem chave primária`
+      );
+    }
+    return primaryKey;
+  }
+
+  /**
+   * Test connection validity
+   * @param {Object} connection - Database connection config
+   * @returns {Promise<Object>} Test result with status and details
+   */
+  static async testConnection(connection) {
+    try {
+      const tables = await this.listTables(connection);
+
+      // If a specific table is configured, verify access
+      if (connection.table_name) {
+        try {
+          await this.getTableColumns(connection, connection.table_name);
+        } catch (tableError) {
+          return {
+            success: false,
+            status: 'error',
+            message: `Conexão OK, mas erro ao acessar tabela '${connection.table_name}': ${tableError.userMessage || tableError.message}`,
+            details: {
+              tablesCount: tables.length,
+              tableAccessible: false,
+              errorCode: tableError.code
+            }
+          };
+        }
+      }
+
+      logger.info('SQL connection test successful', {
+        connectionId: connection.id,
+        type: connection.type,
+        tablesCount: tables.length
+      });
+
+      return {
+        success: true,
+        status: 'connected',
+        message: 'Conexão estabelecida com sucesso',
+        details: {
+          tablesCount: tables.length,
+          tableAccessible: true,
+          tables: tables.slice(0, 10).map(t => t.name) // First 10 table names
+        }
+      };
+    } catch (error) {
+      logger.error('SQL connection test failed', {
+        connectionId: connection.id,
+        type: connection.type,
+        error: error.message,
+        code: error.code
+      });
+
+      return {
+        success: false,
+        status: 'error',
+        message: error.userMessage || error.message,
+        details: {
+          errorCode: error.code
+        }
+      };
+    }
+  }
+
+  /**
+   * Clear metadata cache for a connection
+   * @param {string} connectionId
+   */
+  static clearCache(connectionId) {
+    for (const key of metadataCache.keys()) {
+      if (key.includes(connectionId)) {
+        metadataCache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Create a standardized error
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Error}
+   */
+  static createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.userMessage = ERROR_MESSAGES[code] || message;
+    return error;
+  }
+
+  /**
+   * Translate pg/mysql2 errors to user-friendly messages
+   * @param {Error} error - Original error
+   * @returns {Error} - Translated error
+   */
+  static translateError(error) {
+    if (!error) return error;
+
+    // Already translated
+    if (error.code && ERROR_MESSAGES[error.code]) {
+      return error;
+    }
+
+    const message = error.message || '';
+    const driverCode = String(error.code || '');
+
+    for (const [code, driverCodes] of Object.entries(DRIVER_ERROR_CODES)) {
+      if (driverCodes.includes(driverCode)) {
+        const translated = this.createError(code, message);
+        translated.originalError = error;
+        return translated;
+      }
+    }
+
+    if (/timeout/i.test(message)) {
+      return this.createError(SQL_ERROR_CODES.TIMEOUT, message);
+    }
+
+    // Default error
+    const translatedError = new Error(message);
+    translatedError.code = SQL_ERROR_CODES.UNKNOWN;
+    translatedError.userMessage = ERROR_MESSAGES[SQL_ERROR_CODES.UNKNOWN];
+    translatedError.originalError = error;
+    return translatedError;
+  }
+}
+
+module.exports = SQLConnectionService;
+module.exports.SQL_TYPES = SQL_TYPES;
+module.exports.SQL_ERROR_CODES = SQL_ERROR_CODES;
+module.exports.ERROR_HTTP_STATUS = ERROR_HTTP_STATUS;
+module.exports.FILTER_OPERATOR_NAMES = FILTER_OPERATOR_NAMES;
@@ -0,0 +1,97 @@
+/**
+ * SlaMonitor Service
+ *
+ * Verifica os prazos de SLA das conversas:
+ * - Verificação a cada 60 segundos
+ * - Emite avisos de SLA prestes a vencer e de SLA violado via WebSocket
+ * - Executa a escalação configurada na política
+ * - Evita execuções sobrepostas
+ */
+
+const { logger } = require('../utils/logger');
+const SlaService = require('./SlaService');
+
+class SlaMonitor {
+  constructor() {
+    this.checkInterval = 60000; // 60 segundos
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+
+    logger.info('SlaMonitor criado', {
+      checkInterval: this.checkInterval
+    });
+  }
+
+  /**
+   * Inicia o monitor
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('SlaMonitor já está em execução');
+      return;
+    }
+
+    logger.info('Iniciando SlaMonitor');
+    this.isRunning = true;
+
+    // Executar verificação imediatamente
+    this.checkTimers();
+
+    // Configurar verificação periódica
+    this.intervalId = setInterval(() => {
+      this.checkTimers();
+    }, this.checkInterval);
+  }
+
+  /**
+   * Para o monitor
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('SlaMonitor não está em execução');
+      return;
+    }
+
+    logger.info('Parando SlaMonitor');
+    this.isRunning = false;
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Handler WebSocket do chat (inicializado depois do servidor HTTP)
+   */
+  getChatHandler() {
+    return require('../websocket').getChatHandler();
+  }
+
+  /**
+   * Processa os prazos de SLA vencidos
+   */
+  async checkTimers() {
+    if (this.isProcessing) {
+      logger.debug('SlaMonitor ainda processando lote anterior');
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const { processed } = await SlaService.processTimers(new Date(), this.getChatHandler());
+
+      if (processed > 0) {
+        logger.info('Prazos de SLA processados', { processed });
+      }
+    } catch (error) {
+      logger.error('Erro ao verificar prazos de SLA:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = SlaMonitor;
@@ -0,0 +1,830 @@
+/**
+ * SlaService - Conversation SLA policies, timers and escalation
+ *
+ * Handles SLA policy CRUD, per-conversation first response, next response
+ * and resolution timers (optionally counted in business hours only),
+ * about-to-breach warnings, breach escalation (reassign, notify team lead,
+ * add label) and compliance events used by the dashboard.
+ *
+ * Requirements: Conversation SLA policies with breach detection and escalation
+ */
+
+const { logger } = require('../utils/logger');
+const supabaseService = require('./SupabaseService');
+const ConversationAssignmentService = require('./ConversationAssignmentService');
+const BusinessHoursService = require('./BusinessHoursService');
+const businessHours = require('../utils/businessHours');
+
+const SLA_METRICS = {
+  FIRST_RESPONSE: 'first_response',
+  NEXT_RESPONSE: 'next_response',
+  RESOLUTION: 'resolution'
+};
+
+const SLA_EVENT_TYPES = {
+  WARNING: 'warning',
+  MET: 'met',
+  BREACHED: 'breached',
+  ESCALATED: 'escalated'
+};
+
+// Policy column holding the target (in minutes) of each metric
+const TARGET_COLUMNS = {
+  first_response: 'first_response_minutes',
+  next_response: 'next_response_minutes',
+  resolution: 'resolution_minutes'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Due timers processed per monitor tick
+const PROCESS_BATCH_SIZE = 200;
+
+class SlaService {
+  // ==================== POLICIES CRUD ====================
+
+  /**
+   * Get all SLA policies for an account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<Object[]>}
+   */
+  async getPolicies(accountId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('sla_policies', (query) =>
+        query.select('*')
+          .eq('account_id', accountId)
+          .order('created_at', { ascending: false })
+      );
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Failed to get SLA policies', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single SLA policy
+   * @param {string} accountId - Account UUID
+   * @param {string} policyId - Policy UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getPolicy(accountId, policyId) {
+    try {
+      const { data, error } = await supabaseService.queryAsAdmin('sla_policies', (query) =>
+        query.select('*')
+          .eq('id', policyId)
+          .eq('account_id', accountId)
+          .single()
+      );
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Failed to get SLA policy', { error: error.message, accountId, policyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Create an SLA policy
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} data - Policy data (camelCase)
+   * @returns {Promise<Object>}
+   */
+  async createPolicy(accountId, tenantId, data) {
+    try {
+      const row = this.toPolicyRow(data);
+      this.validatePolicy(row);
+      await this.validateReferences(accountId, row);
+
+      const { data: policy, error } = await supabaseService.insert('sla_policies', {
+        ...row,
+        account_id: accountId,
+        tenant_id: tenantId
+      });
+
+      if (error) throw this.mapPolicyError(error);
+
+      logger.info('SLA policy created', { accountId, policyId: policy.id, inboxId: policy.inbox_id });
+      return policy;
+    } catch (error) {
+      logger.error('Failed to create SLA policy', { error: error.message, accountId });
+      throw error;
+    }
+  }
+
+  /**
+   * Update an SLA policy. Running conversation timers keep their due times;
+   * new targets apply from the next timer started.
+   * @param {string} accountId - Account UUID
+   * @param {string} policyId - Policy UUID
+   * @param {Object} data - Fields to update (camelCase)
+   * @returns {Promise<Object>}
+   */
+  async updatePolicy(accountId, policyId, data) {
+    try {
+      const existing = await this.getPolicy(accountId, policyId);
+      if (!existing) throw new Error('SLA_POLICY_NOT_FOUND');
+
+      const updates = this.toPolicyRow(data);
+      this.validatePolicy({ ...existing, ...updates });
+      await this.validateReferences(accountId, updates);
+
+      const { data: policy, error } = await supabaseService.queryAsAdmin('sla_policies', (query) =>
+        query.update({ ...updates, updated_at: new Date().toISOString() })
+          .eq('id', policyId)
+          .eq('account_id', accountId)
+          .select()
+          .single()
+      );
+
+      if (error) throw this.mapPolicyError(error);
+
+      logger.info('SLA policy updated', { accountId, policyId });
+      return policy;
+    } catch (error) {
+      logger.error('Failed to update SLA policy', { error: error.message, accountId, policyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an SLA policy (its conversation timers are removed by cascade)
+   * @param {string} accountId - Account UUID
+   * @param {string} policyId - Policy UUID
+   */
+  async deletePolicy(accountId, policyId) {
+    try {
+      const { error } = await supabaseService.queryAsAdmin('sla_policies', (query) =>
+        query.delete().eq('id', policyId).eq('account_id', accountId)
+      );
+
+      if (error) throw error;
+
+      logger.info('SLA policy deleted', { accountId, policyId });
+    } catch (error) {
+      logger.error('Failed to delete SLA policy', { error: error.message, accountId, policyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Map camelCase policy input to columns (only fields present)
+   * @param {Object} data
+   * @returns {Object}
+   */
+  toPolicyRow(data) {
+    const mapping = {
+      name: 'name',
+      inboxId: 'inbox_id',
+      firstResponseMinutes: 'first_response_minutes',
+      nextResponseMinutes: 'next_response_minutes',
+      resolutionMinutes: 'resolution_minutes',
+      businessHoursOnly: 'business_hours_only',
+      businessHours: 'business_hours',
+      warningThresholdPercent: 'warning_threshold_percent',
+      escalation: 'escalation',
+      isActive: 'is_active'
+    };
+
+    const row = {};
+    for (const [key, column] of Object.entries(mapping)) {
+      if (data[key] !== undefined) row[column] = data[key];
+    }
+    return row;
+  }
+
+  /**
+   * Validate a policy row
+   * @param {Object} row - Policy columns
+   * @throws {Error} SLA_TARGET_REQUIRED
+   */
+  validatePolicy(row) {
+    const hasTarget = Object.values(TARGET_COLUMNS).some(column => row[column]);
+    if (!hasTarget) {
+      throw new Error('SLA_TARGET_REQUIRED');
+    }
+  }
+
+  /**
+   * Ensure the inbox, escalation agent and label belong to the account
+   * @param {string} accountId - Account UUID
+   * @param {Object} row - Policy columns
+   * @throws {Error} INVALID_INBOX | INVALID_ESCALATION_AGENT | INVALID_ESCALATION_LABEL
+   */
+  async validateReferences(accountId, row) {
+    const checks = [
+      ['inboxes', row.inbox_id, 'INVALID_INBOX'],
+      ['agents', row.escalation?.notifyAgentId, 'INVALID_ESCALATION_AGENT'],
+      ['labels', row.escalation?.labelId, 'INVALID_ESCALATION_LABEL']
+    ];
+
+    for (const [table, id, code] of checks) {
+      if (!id) continue;
+
+      const { data } = await supabaseService.queryAsAdmin(table, (query) =>
+        query.select('id').eq('id', id).eq('account_id', accountId).single()
+      );
+      if (!data) throw new Error(code);
+    }
+  }
+
+  /**
+   * Translate database errors into service error codes
+   */
+  mapPolicyError(error) {
+    if (error.code === '23505') {
+      return new Error('SLA_POLICY_CONFLICT');
+    }
+    return error;
+  }
+
+  /**
+   * Active policy for an inbox, falling back to the account default
+   * @param {string} accountId - Account UUID
+   * @param {string|null} inboxId - Inbox UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getPolicyForInbox(accountId, inboxId) {
+    const { data, error } = await supabaseService.queryAsAdmin('sla_policies', (query) =>
+      query.select('*')
+        .eq('account_id', accountId)
+        .eq('is_active', true)
+    );
+
+    if (error) throw error;
+
+    const policies = data || [];
+    return policies.find(p => inboxId && p.inbox_id === inboxId) ||
+      policies.find(p => !p.inbox_id) ||
+      null;
+  }
+
+  // ==================== BUSINESS TIME ====================
+
+  /**
+   * Calendar SLA timers are counted in: the inbox business hours, falling
+   * back to the policy's own hours
+   * @param {Object} policy - Policy row
+   * @param {string|null} inboxId - Conversation inbox
+   * @returns {Promise<Object|null>} null = wall-clock time
+   */
+  async getBusinessCalendar(policy, inboxId) {
+    if (!policy.business_hours_only) return null;
+
+    const inboxCalendar = await BusinessHoursService.getCalendar(inboxId);
+    return inboxCalendar || businessHours.normalizeCalendar(policy.business_hours);
+  }
+
+  /**
+   * Warning and due times of a timer started at `from`
+   * @param {Object} policy - Policy row
+   * @param {string} metric - SLA metric
+   * @param {Date} from - Timer start
+   * @param {Object|null} [calendar] - Business hours calendar (null = wall clock)
+   * @returns {{warnAt: string, dueAt: string}|null} null when the policy has no target
+   */
+  buildTimer(policy, metric, from, calendar = null) {
+    const minutes = policy[TARGET_COLUMNS[metric]];
+    if (!minutes) return null;
+
+    const warnMinutes = Math.ceil(minutes * (policy.warning_threshold_percent || 80) / 100);
+
+    return {
+      warnAt: businessHours.addBusinessMinutes(calendar, from, warnMinutes).toISOString(),
+      dueAt: businessHours.addBusinessMinutes(calendar, from, minutes).toISOString()
+    };
+  }
+
+  // ==================== TIMER STATE ====================
+
+  /**
+   * Running timers of a conversation SLA row
+   * @param {Object} sla - conversation_slas row
+   * @returns {Array<{metric: string, warnAt: string, dueAt: string}>}
+   */
+  getActiveTimers(sla) {
+    const timers = [];
+
+    if (sla.resolved_at) return timers;
+
+    if (sla.first_response_due_at && !sla.first_response_at) {
+      timers.push({ metric: SLA_METRICS.FIRST_RESPONSE, warnAt: sla.first_response_warn_at, dueAt: sla.first_response_due_at });
+    }
+    if (sla.next_response_due_at && sla.awaiting_response_since) {
+      timers.push({ metric: SLA_METRICS.NEXT_RESPONSE, warnAt: sla.next_response_warn_at, dueAt: sla.next_response_due_at });
+    }
+    if (sla.resolution_due_at) {
+      timers.push({ metric: SLA_METRICS.RESOLUTION, warnAt: sla.resolution_warn_at, dueAt: sla.resolution_due_at });
+    }
+
+    return timers;
+  }
+
+  /**
+   * Warnings and breaches that are due and not yet raised
+   * @param {Object} sla - conversation_slas row
+   * @param {Date} now
+   * @returns {Array<{metric: string, type: string, dueAt: string}>}
+   */
+  evaluateTimers(sla, now) {
+    const warned = sla.warnings_sent || [];
+    const breached = sla.breaches || [];
+    const events = [];
+
+    for (const timer of this.getActiveTimers(sla)) {
+      if (breached.includes(timer.metric)) continue;
+
+      if (now >= new Date(timer.dueAt)) {
+        events.push({ metric: timer.metric, type: SLA_EVENT_TYPES.BREACHED, dueAt: timer.dueAt });
+      } else if (timer.warnAt && now >= new Date(timer.warnAt) && !warned.includes(timer.metric)) {
+        events.push({ metric: timer.metric, type: SLA_EVENT_TYPES.WARNING, dueAt: timer.dueAt });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Earliest pending warning or due time, null when nothing is pending
+   * @param {Object} sla - conversation_slas row
+   * @returns {string|null}
+   */
+  computeNextCheckAt(sla) {
+    const warned = sla.warnings_sent || [];
+    const breached = sla.breaches || [];
+
+    const pending = this.getActiveTimers(sla)
+      .filter(timer => !breached.includes(timer.metric))
+      .map(timer => (timer.warnAt && !warned.includes(timer.metric) ? timer.warnAt : timer.dueAt))
+      .map(value => new Date(value).getTime());
+
+    return pending.length > 0 ? new Date(Math.min(...pending)).toISOString() : null;
+  }
+
+  /**
+   * Status of each metric for display (running, met, breached)
+   * @param {Object} sla - conversation_slas row
+   * @param {Date} now
+   * @returns {Object}
+   */
+  describeSla(sla, now = new Date()) {
+    const breached = sla.breaches || [];
+    const describe = (dueAt, doneAt, metric) => {
+      if (!dueAt) return null;
+      const isBreached = breached.includes(metric) || (doneAt ? new Date(doneAt) > new Date(dueAt) : now > new Date(dueAt));
+      return {
+        dueAt,
+        completedAt: doneAt || null,
+        status: isBreached ? 'breached' : (doneAt ? 'met' : 'running'),
+        remainingMinutes: doneAt ? null : Math.round((new Date(dueAt) - now) / MINUTE_MS)
+      };
+    };
+
+    return {
+      conversationId: sla.conversation_id,
+      policyId: sla.policy_id,
+      firstResponse: describe(sla.first_response_due_at, sla.first_response_at, SLA_METRICS.FIRST_RESPONSE),
+      nextResponse: sla.awaiting_response_since
+        ? describe(sla.next_response_due_at, null, SLA_METRICS.NEXT_RESPONSE)
+        : null,
+      resolution: describe(sla.resolution_due_at, sla.resolved_at, SLA_METRICS.RESOLUTION)
+    };
+  }
+
+  // ==================== CONVERSATION EVENTS ====================
+
+  /**
+   * Get the SLA row of a conversation
+   * @param {string} conversationId
+   * @returns {Promise<Object|null>}
+   */
+  async getConversationSlaRow(conversationId) {
+    const { data, error } = await supabaseService.queryAsAdmin('conversation_slas', (query) =>
+      query.select('*').eq('conversation_id', conversationId).single()
+    );
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * SLA status of a conversation for the inbox UI
+   * @param {string} accountId - Account UUID
+   * @param {string} conversationId - Conversation UUID
+   * @returns {Promise<Object|null>}
+   */
+  async getConversationSla(accountId, conversationId) {
+    const sla = await this.getConversationSlaRow(conversationId);
+    if (!sla || sla.account_id !== accountId) return null;
+    return this.describeSla(sla);
+  }
+
+  /**
+   * Save timer changes and recompute next_check_at
+   */
+  async saveSla(sla, changes) {
+    const next = { ...sla, ...changes };
+    const { error } = await supabaseService.queryAsAdmin('conversation_slas', (query) =>
+      query.update({
+        ...changes,
+        next_check_at: this.computeNextCheckAt(next),
+        updated_at: new Date().toISOString()
+      }).eq('id', sla.id)
+    );
+
+    if (error) throw error;
+    return next;
+  }
+
+  /**
+   * Start (or restart, when the conversation was resolved) the SLA cycle
+   * for a conversation on a contact message, or start the next response
+   * timer after an agent reply. Never throws.
+   *
+   * @param {Object} conversation - Conversation row (id, account_id, inbox_id)
+   * @param {Date} [at]
+   */
+  async recordIncomingMessage(conversation, at = new Date()) {
+    try {
+      if (!conversation?.id || !conversation.account_id) return;
+
+      const sla = await this.getConversationSlaRow(conversation.id);
+
+      if (!sla || sla.resolved_at) {
+        const policy = await this.getPolicyForInbox(conversation.account_id, conversation.inbox_id);
+        if (!policy) return;
+
+        const calendar = await this.getBusinessCalendar(policy, conversation.inbox_id);
+        const firstResponse = this.buildTimer(policy, SLA_METRICS.FIRST_RESPONSE, at, calendar);
+        const resolution = this.buildTimer(policy, SLA_METRICS.RESOLUTION, at, calendar);
+        const row = {
+          conversation_id: conversation.id,
+          account_id: conversation.account_id,
+          inbox_id: conversation.inbox_id || null,
+          policy_id: policy.id,
+          first_response_warn_at: firstResponse?.warnAt || null,
+          first_response_due_at: firstResponse?.dueAt || null,
+          first_response_at: null,
+          awaiting_response_since: null,
+          next_response_warn_at: null,
+          next_response_due_at: null,
+          resolution_warn_at: resolution?.warnAt || null,
+          resolution_due_at: resolution?.dueAt || null,
+          resolved_at: null,
+          warnings_sent: [],
+          breaches: []
+        };
+        row.next_check_at = this.computeNextCheckAt(row);
+
+        const { error } = await supabaseService.queryAsAdmin('conversation_slas', (query) =>
+          query.upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'conversation_id' })
+        );
+        if (error) throw error;
+
+        logger.debug('SLA cycle started', { conversationId: conversation.id, policyId: policy.id });
+        return;
+      }
+
+      // Waiting for the first response or already awaiting a reply
+      if (!sla.first_response_at || sla.awaiting_response_since) return;
+
+      const policy = await this.getPolicyById(sla.policy_id);
+      if (!policy) return;
+
+      const calendar = await this.getBusinessCalendar(policy, sla.inbox_id);
+      const nextResponse = this.buildTimer(policy, SLA_METRICS.NEXT_RESPONSE, at, calendar);
+      if (!nextResponse) return;
+
+      await this.saveSla(sla, {
+        awaiting_response_since: at.toISOString(),
+        next_response_warn_at: nextResponse.warnAt,
+        next_response_due_at: nextResponse.dueAt,
+        warnings_sent: (sla.warnings_sent || []).filter(m => m !== SLA_METRICS.NEXT_RESPONSE),
+        breaches: (sla.breaches || []).filter(m => m !== SLA_METRICS.NEXT_RESPONSE)
+      });
+    } catch (error) {
+      logger.warn('Failed to record SLA incoming message', { error: error.message, conversationId: conversation?.id });
+    }
+  }
+
+  /**
+   * Stop the first/next response timer on an agent reply. Never throws.
+   * @param {string} conversationId
+   * @param {Date} [at]
+   */
+  async recordResponse(conversationId, at = new Date()) {
+    try {
+      const sla = await this.getConversationSlaRow(conversationId);
+      if (!sla || sla.resolved_at) return;
+
+      if (!sla.first_response_at && sla.first_response_due_at) {
+        await this.recordOutcome(sla, SLA_METRICS.FIRST_RESPONSE, sla.first_response_due_at, at);
+        await this.saveSla(sla, { first_response_at: at.toISOString() });
+      } else if (!sla.first_response_at) {
+        await this.saveSla(sla, { first_response_at: at.toISOString() });
+      } else if (sla.awaiting_response_since) {
+        await this.recordOutcome(sla, SLA_METRICS.NEXT_RESPONSE, sla.next_response_due_at, at);
+        await this.saveSla(sla, {
+          awaiting_response_since: null,
+          next_response_warn_at: null,
+          next_response_due_at: null
+        });
+      }
+    } catch (error) {
+      logger.warn('Failed to record SLA response', { error: error.message, conversationId });
+    }
+  }
+
+  /**
+   * Stop the resolution timer when a conversation is resolved. Never throws.
+   * @param {string} conversationId
+   * @param {string} status - New conversation status
+   * @param {Date} [at]
+   */
+  async recordStatusChange(conversationId, status, at = new Date()) {
+    if (status !== 'resolved') return;
+
+    try {
+      const sla = await this.getConversationSlaRow(conversationId);
+      if (!sla || sla.resolved_at) return;
+
+      if (sla.resolution_due_at) {
+        await this.recordOutcome(sla, SLA_METRICS.RESOLUTION, sla.resolution_due_at, at);
+      }
+
+      await this.saveSla(sla, {
+        resolved_at: at.toISOString(),
+        awaiting_response_since: null
+      });
+    } catch (error) {
+      logger.warn('Failed to record SLA resolution', { error: error.message, conversationId });
+    }
+  }
+
+  /**
+   * Log met/breached for a completed timer. Breaches already raised by the
+   * monitor are not counted twice.
+   */
+  async recordOutcome(sla, metric, dueAt, at) {
+    if (!dueAt || (sla.breaches || []).includes(metric)) return;
+
+    const agentId = await this.getAssignedAgentId(sla.conversation_id);
+    const eventType = at <= new Date(dueAt) ? SLA_EVENT_TYPES.MET : SLA_EVENT_TYPES.BREACHED;
+
+    await this.logEvent(sla, metric, eventType, { agentId, dueAt });
+  }
+
+  async getPolicyById(policyId) {
+    const { data, error } = await supabaseService.getById('sla_policies', policyId);
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async getAssignedAgentId(conversationId) {
+    const { data } = await supabaseService.queryAsAdmin('conversations', (query) =>
+      query.select('assigned_agent_id').eq('id', conversationId).single()
+    );
+    return data?.assigned_agent_id || null;
+  }
+
+  /**
+   * Insert an SLA event
+   */
+  async logEvent(sla, metric, eventType, { agentId = null, dueAt = null, details = null } = {}) {
+    const { error } = await supabaseService.insert('sla_events', {
+      account_id: sla.account_id,
+      conversation_id: sla.conversation_id,
+      inbox_id: sla.inbox_id || null,
+      policy_id: sla.policy_id,
+      agent_id: agentId,
+      metric,
+      event_type: eventType,
+      due_at: dueAt,
+      details
+    });
+
+    if (error) {
+      logger.warn('Failed to log SLA event', { error: error.message, conversationId: sla.conversation_id, metric, eventType });
+    }
+  }
+
+  // ==================== MONITOR ====================
+
+  /**
+   * Raise due warnings/breaches and run escalations
+   * @param {Date} now
+   * @param {Object|null} chatHandler - ChatWebSocketHandler for realtime events
+   * @returns {Promise<{processed: number}>}
+   */
+  async processTimers(now = new Date(), chatHandler = null) {
+    const { data: rows, error } = await supabaseService.queryAsAdmin('conversation_slas', (query) =>
+      query.select('*, sla_policies(*), conversations(assigned_agent_id)')
+        .lte('next_check_at', now.toISOString())
+        .order('next_check_at', { ascending: true })
+        .limit(PROCESS_BATCH_SIZE)
+    );
+
+    if (error) throw error;
+
+    let processed = 0;
+    for (const row of rows || []) {
+      try {
+        await this.processSla(row, now, chatHandler);
+        processed++;
+      } catch (err) {
+        logger.error('Failed to process SLA timers', { error: err.message, conversationId: row.conversation_id });
+      }
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Process one conversation SLA row
+   * @param {Object} row - conversation_slas row joined with policy and conversation
+   * @param {Date} now
+   * @param {Object|null} chatHandler
+   * @returns {Promise<Object[]>} Raised events
+   */
+  async processSla(row, now, chatHandler = null) {
+    const { sla_policies: policy, conversations: conversation, ...sla } = row;
+    const events = this.evaluateTimers(sla, now);
+    const agentId = conversation?.assigned_agent_id || null;
+
+    const warnings = new Set(sla.warnings_sent || []);
+    const breaches = new Set(sla.breaches || []);
+
+    for (const event of events) {
+      const payload = {
+        conversationId: sla.conversation_id,
+        inboxId: sla.inbox_id,
+        metric: event.metric,
+        dueAt: event.dueAt,
+        assignedAgentId: agentId
+      };
+
+      if (event.type === SLA_EVENT_TYPES.WARNING) {
+        warnings.add(event.metric);
+        await this.logEvent(sla, event.metric, SLA_EVENT_TYPES.WARNING, { agentId, dueAt: event.dueAt });
+        this.broadcast(chatHandler, 'warning', payload);
+      } else {
+        breaches.add(event.metric);
+        await this.logEvent(sla, event.metric, SLA_EVENT_TYPES.BREACHED, { agentId, dueAt: event.dueAt });
+        this.broadcast(chatHandler, 'breached', payload);
+        await this.escalate(sla, policy, agentId, event.metric, chatHandler);
+      }
+    }
+
+    await this.saveSla(sla, {
+      warnings_sent: [...warnings],
+      breaches: [...breaches]
+    });
+
+    return events;
+  }
+
+  /**
+   * Run the escalation actions of a policy on breach
+   * @param {Object} sla - conversation_slas row
+   * @param {Object} policy - Policy row
+   * @param {string|null} agentId - Currently assigned agent
+   * @param {string} metric - Breached metric
+   * @param {Object|null} chatHandler
+   * @returns {Promise<string[]>} Actions taken
+   */
+  async escalate(sla, policy, agentId, metric, chatHandler = null) {
+    const escalation = policy?.escalation || {};
+    const actions = [];
+    let reassignedTo = null;
+
+    if (escalation.reassign && sla.inbox_id) {
+      try {
+        const assignmentService = new ConversationAssignmentService();
+        reassignedTo = await assignmentService.autoAssign(sla.inbox_id, sla.conversation_id, {
+          excludeAgentId: agentId,
+          action: 'sla_escalation'
+        });
+        if (reassignedTo) actions.push('reassigned');
+      } catch (error) {
+        logger.warn('SLA escalation reassign failed', { error: error.message, conversationId: sla.conversation_id });
+      }
+    }
+
+    if (escalation.labelId) {
+      const { error } = await supabaseService.queryAsAdmin('conversation_labels', (query) =>
+        query.upsert(
+          { conversation_id: sla.conversation_id, label_id: escalation.labelId },
+          { onConflict: 'conversation_id,label_id', ignoreDuplicates: true }
+        )
+      );
+      if (error) {
+        logger.warn('SLA escalation label failed', { error: error.message, conversationId: sla.conversation_id });
+      } else {
+        actions.push('label_added');
+      }
+    }
+
+    if (escalation.notifyAgentId) {
+      actions.push('team_lead_notified');
+    }
+
+    if (actions.length === 0) return actions;
+
+    await this.logEvent(sla, metric, SLA_EVENT_TYPES.ESCALATED, {
+      agentId,
+      details: {
+        actions,
+        reassignedTo,
+        notifyAgentId: escalation.notifyAgentId || null,
+        labelId: escalation.labelId || null
+      }
+    });
+
+    this.broadcast(chatHandler, 'escalated', {
+      conversationId: sla.conversation_id,
+      inboxId: sla.inbox_id,
+      metric,
+      actions,
+      previousAgentId: agentId,
+      reassignedTo,
+      notifyAgentId: escalation.notifyAgentId || null
+    });
+
+    logger.info('SLA breach escalated', { conversationId: sla.conversation_id, metric, actions });
+    return actions;
+  }
+
+  broadcast(chatHandler, type, payload) {
+    if (!chatHandler || typeof chatHandler.broadcastSlaEvent !== 'function') return;
+
+    try {
+      chatHandler.broadcastSlaEvent(type, payload);
+    } catch (error) {
+      logger.warn('SLA WebSocket broadcast failed', { error: error.message, type });
+    }
+  }
+
+  // ==================== REPORTING ====================
+
+  /**
+   * SLA compliance per agent from met/breached events
+   * @param {string} accountId - Account UUID
+   * @param {string[]} agentIds - Agent UUIDs
+   * @param {Object} options
+   * @param {Date} options.since - Period start
+   * @param {string[]|null} [options.inboxIds] - Optional inbox filter
+   * @returns {Promise<Object>} agentId -> { met, breached, compliance }
+   */
+  async getAgentCompliance(accountId, agentIds, { since, inboxIds = null }) {
+    if (!agentIds || agentIds.length === 0) return {};
+
+    const { data, error } = await supabaseService.queryAsAdmin('sla_events', (query) => {
+      let q = query
+        .select('agent_id, event_type')
+        .eq('account_id', accountId)
+        .in('agent_id', agentIds)
+        .in('event_type', [SLA_EVENT_TYPES.MET, SLA_EVENT_TYPES.BREACHED])
+        .gte('created_at', since.toISOString());
+
+      if (inboxIds && inboxIds.length > 0) {
+        q = q.in('inbox_id', inboxIds);
+      }
+      return q;
+    });
+
+    if (error) throw error;
+
+    return this.aggregateCompliance(data || []);
+  }
+
+  /**
+   * @param {Array<{agent_id: string, event_type: string}>} events
+   * @returns {Object} agentId -> { met, breached, compliance }
+   */
+  aggregateCompliance(events) {
+    const byAgent = {};
+
+    for (const event of events) {
+      if (!event.agent_id) continue;
+      const stats = byAgent[event.agent_id] || (byAgent[event.agent_id] = { met: 0, breached: 0, compliance: null });
+      if (event.event_type === SLA_EVENT_TYPES.MET) stats.met++;
+      else stats.breached++;
+    }
+
+    for (const stats of Object.values(byAgent)) {
+      const total = stats.met + stats.breached;
+      stats.compliance = total > 0 ? Math.round((stats.met / total) * 10000) / 100 : null;
+    }
+
+    return byAgent;
+  }
+}
+
+module.exports = new SlaService();
+module.exports.SlaService = SlaService;
+module.exports.SLA_METRICS = SLA_METRICS;
+module.exports.SLA_EVENT_TYPES = SLA_EVENT_TYPES;
@@ -13,10 +13,11 @@ const {
   getStripeClient, 
   createTemporaryClient, 
   maskSecretKey,
-  encrypt,
+  decrypt,
   clearCache 
 } = require('../utils/stripeClient');
 const SupabaseService = require('./SupabaseService');
+const CredentialVaultService = require('./CredentialVaultService');
 
 class StripeService {
   /**
@@ -254,6 +255,121 @@ class StripeService {
     }
   }
 
+  // ==================== Usage-Based Billing ====================
+
+  /**
+   * Get the active billing meter of an event name, creating it if missing
+   * Meters sum the values of their events per customer (stripe_customer_id)
+   * @param {string} eventName - Meter event name
+   * @param {string} displayName - Meter display name
+   * @returns {Promise<Object>}
+   */
+  static async getOrCreateMeter(eventName, displayName) {
+    try {
+      const stripe = await getStripeClient();
+      if (!stripe) throw new Error('Stripe not configured');
+
+      const meters = await stripe.billing.meters.list({ status: 'active', limit: 100 });
+      const existing = meters.data.find(meter => meter.event_name === eventName);
+      if (existing) {
+        return existing;
+      }
+
+      const meter = await stripe.billing.meters.create({
+        display_name: displayName,
+        event_name: eventName,
+        default_aggregation: { formula: 'sum' },
+        customer_mapping: { type: 'by_id', event_payload_key: 'stripe_customer_id' },
+        value_settings: { event_payload_key: 'value' },
+      });
+
+      logger.info('Stripe billing meter created', { meterId: meter.id, eventName });
+      return meter;
+    } catch (error) {
+      logger.error('Failed to get or create Stripe billing meter', { error: error.message, eventName });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a metered price billed from a billing meter
+   * @param {string} productId - Stripe product ID
+   * @param {number} unitAmount - Price per meter unit in cents
+   * @param {string} currency - Currency code (e.g., 'brl')
+   * @param {Object} recurring - Recurring options (interval, interval_count)
+   * @param {string} meterId - Stripe billing meter ID
+   * @param {string} nickname - Optional price nickname
+   * @returns {Promise<Object>}
+   */
+  static async createMeteredPrice(productId, unitAmount, currency = 'brl', recurring, meterId, nickname = null) {
+    try {
+      const stripe = await getStripeClient();
+      if (!stripe) throw new Error('Stripe not configured');
+
+      const priceData = {
+        product: productId,
+        unit_amount: unitAmount,
+        currency,
+        recurring: {
+          ...recurring,
+          usage_type: 'metered',
+          meter: meterId,
+        },
+      };
+
+      if (nickname) {
+        priceData.nickname = nickname;
+      }
+
+      const price = await stripe.prices.create(priceData);
+
+      logger.info('Stripe metered price created', { priceId: price.id, productId, meterId, unitAmount });
+      return price;
+    } catch (error) {
+      logger.error('Failed to create Stripe metered price', { error: error.message, productId, meterId });
+      throw error;
+    }
+  }
+
+  /**
+   * Send usage to a billing meter
+   * Stripe drops events repeating a recent identifier, which makes retries safe
+   * @param {Object} options - Event options
+   * @param {string} options.eventName - Meter event name
+   * @param {string} options.customerId - Stripe customer ID
+   * @param {number} options.value - Usage to add
+   * @param {string} options.identifier - Unique event identifier
+   * @param {number} [options.timestamp] - Event time (Unix seconds, within the billing period)
+   * @returns {Promise<Object>}
+   */
+  static async createMeterEvent({ eventName, customerId, value, identifier, timestamp }) {
+    try {
+      const stripe = await getStripeClient();
+      if (!stripe) throw new Error('Stripe not configured');
+
+      const eventData = {
+        event_name: eventName,
+        payload: {
+          stripe_customer_id: customerId,
+          value: String(value),
+        },
+        identifier,
+      };
+
+      if (timestamp) {
+        eventData.timestamp = timestamp;
+      }
+
+      const event = await stripe.billing.meterEvents.create(eventData);
+
+      logger.info('Stripe meter event created', { eventName, customerId, value, identifier });
+      return event;
+    } catch (error) {
+      logger.error('Failed to create Stripe meter event', { error: error.message, eventName, customerId });
+      throw error;
+    }
+  }
+
   // ==================== Checkout Operations ====================
 
   /**
@@ -278,6 +394,7 @@ class StripeService {
         allowPromotionCodes = true,
         billingAddressCollection = 'auto',
         quantity = 1,
+        meteredPriceIds = [],
         idempotencyKey = null,
       } = options;
 
@@ -296,6 +413,8 @@ class StripeService {
             price: priceId,
             quantity,
           },
+          // Metered prices are billed from usage and take no quantity
+          ...meteredPriceIds.map(price => ({ price })),
         ],
         // Best Practice: Enable automatic tax calculation if configured
         automatic_tax: { enabled: true },
@@ -448,6 +567,29 @@ class StripeService {
     }
   }
 
+  /**
+   * Preview the upcoming invoice of a subscription
+   * @param {string} customerId - Stripe customer ID
+   * @param {string} subscriptionId - Stripe subscription ID
+   * @returns {Promise<Object|null>}
+   */
+  static async previewInvoice(customerId, subscriptionId) {
+    try {
+      const stripe = await getStripeClient();
+      if (!stripe) throw new Error('Stripe not configured');
+
+      const invoice = await stripe.invoices.createPreview({
+        customer: customerId,
+        subscription: subscriptionId,
+      });
+
+      return invoice;
+    } catch (error) {
+      logger.error('Failed to preview invoice', { error: error.message, customerId, subscriptionId });
+      return null;
+    }
+  }
+
   // ==================== Webhook Operations ====================
 
   /**
@@ -482,11 +624,11 @@ class StripeService {
     try {
       const { secretKey, publishableKey, webhookSecret, connectEnabled } = settings;
 
-      // Save each setting
+      // Save each setting (secrets encrypted with the platform vault data key)
       const settingsToSave = [
-        { key: 'stripe_secret_key', value: { key: encrypt(secretKey) } },
+        { key: 'stripe_secret_key', value: { key: (await CredentialVaultService.encrypt(null, secretKey)) || null } },
         { key: 'stripe_publishable_key', value: { key: publishableKey } },
-        { key: 'stripe_webhook_secret', value: { key: encrypt(webhookSecret) } },
+        { key: 'stripe_webhook_secret', value: { key: (await CredentialVaultService.encrypt(null, webhookSecret)) || null } },
         { key: 'stripe_connect_enabled', value: { enabled: connectEnabled } },
       ];
 
@@ -545,7 +687,7 @@ class StripeService {
         switch (setting.key) {
           case 'stripe_secret_key':
             if (setting.value?.key) {
-              result.secretKeyMasked = maskSecretKey(setting.value.key);
+              result.secretKeyMasked = maskSecretKey(await CredentialVaultService.decrypt(setting.value.key, decrypt));
               result.isConfigured = true;
             }
             break;
@@ -554,7 +696,7 @@ class StripeService {
             break;
           case 'stripe_webhook_secret':
             if (setting.value?.key) {
-              result.webhookSecretMasked = maskSecretKey(setting.value.key);
+              result.webhookSecretMasked = maskSecretKey(await CredentialVaultService.decrypt(setting.value.key, decrypt));
             }
             break;
           case 'stripe_connect_enabled':
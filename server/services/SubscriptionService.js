@@ -483,7 +483,14 @@ class SubscriptionService {
       if (!subscription) {
         return false;
       }
-      return READ_ONLY_STATUSES.includes(subscription.status);
+      if (READ_ONLY_STATUSES.includes(subscription.status)) {
+        return true;
+      }
+
+      // Unpaid subscriptions become read-only after the dunning grace period
+      // Required here: DunningService loads the provider adapters
+      const DunningService = require('./DunningService');
+      return await DunningService.isAccountRestricted(subscription.accountId);
     } catch (error) {
       logger.error('Failed to check user read-only status', { error: error.message, userId });
       return false;
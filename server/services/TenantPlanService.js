@@ -51,7 +51,11 @@ const DEFAULT_QUOTAS = {
   max_bot_messages_per_day: 50,
   max_bot_messages_per_month: 1500,
   max_bot_tokens_per_day: 10000,
-  max_bot_tokens_per_month: 300000
+  max_bot_tokens_per_month: 300000,
+  // Longest retention allowed by the plan in days (0 = no cap)
+  max_retention_days_media: 0,
+  max_retention_days_messages: 0,
+  max_retention_days_logs: 0
 };
 
 /**
@@ -133,7 +137,10 @@ class TenantPlanService {
         max_bot_messages_per_day: data.quotas?.maxBotMessagesPerDay ?? DEFAULT_QUOTAS.max_bot_messages_per_day,
         max_bot_messages_per_month: data.quotas?.maxBotMessagesPerMonth ?? DEFAULT_QUOTAS.max_bot_messages_per_month,
         max_bot_tokens_per_day: data.quotas?.maxBotTokensPerDay ?? DEFAULT_QUOTAS.max_bot_tokens_per_day,
-        max_bot_tokens_per_month: data.quotas?.maxBotTokensPerMonth ?? DEFAULT_QUOTAS.max_bot_tokens_per_month
+        max_bot_tokens_per_month: data.quotas?.maxBotTokensPerMonth ?? DEFAULT_QUOTAS.max_bot_tokens_per_month,
+        max_retention_days_media: data.quotas?.maxRetentionDaysMedia ?? DEFAULT_QUOTAS.max_retention_days_media,
+        max_retention_days_messages: data.quotas?.maxRetentionDaysMessages ?? DEFAULT_QUOTAS.max_retention_days_messages,
+        max_retention_days_logs: data.quotas?.maxRetentionDaysLogs ?? DEFAULT_QUOTAS.max_retention_days_logs
       };
 
       // If this plan should be default, unset other defaults first
@@ -441,7 +448,10 @@ class TenantPlanService {
           max_bot_messages_per_day: data.quotas.maxBotMessagesPerDay ?? existingQuotas.maxBotMessagesPerDay,
           max_bot_messages_per_month: data.quotas.maxBotMessagesPerMonth ?? existingQuotas.maxBotMessagesPerMonth,
           max_bot_tokens_per_day: data.quotas.maxBotTokensPerDay ?? existingQuotas.maxBotTokensPerDay,
-          max_bot_tokens_per_month: data.quotas.maxBotTokensPerMonth ?? existingQuotas.maxBotTokensPerMonth
+          max_bot_tokens_per_month: data.quotas.maxBotTokensPerMonth ?? existingQuotas.maxBotTokensPerMonth,
+          max_retention_days_media: data.quotas.maxRetentionDaysMedia ?? existingQuotas.maxRetentionDaysMedia,
+          max_retention_days_messages: data.quotas.maxRetentionDaysMessages ?? existingQuotas.maxRetentionDaysMessages,
+          max_retention_days_logs: data.quotas.maxRetentionDaysLogs ?? existingQuotas.maxRetentionDaysLogs
         };
       }
 
@@ -581,6 +591,22 @@ class TenantPlanService {
     }
   }
 
+  /**
+   * Get the retention caps of a plan
+   * @param {Object} plan - Formatted plan
+   * @returns {{media: number|null, messages: number|null, logs: number|null}} Days (null = no cap)
+   */
+  getRetentionCaps(plan) {
+    const quotas = plan?.quotas || {};
+    const cap = (days) => (days > 0 ? days : null);
+
+    return {
+      media: cap(quotas.maxRetentionDaysMedia),
+      messages: cap(quotas.maxRetentionDaysMessages),
+      logs: cap(quotas.maxRetentionDaysLogs)
+    };
+  }
+
   /**
    * Format plan from database
    * @param {Object} row - Database row
@@ -618,7 +644,10 @@ class TenantPlanService {
         maxBotMessagesPerDay: quotas.max_bot_messages_per_day ?? DEFAULT_QUOTAS.max_bot_messages_per_day,
         maxBotMessagesPerMonth: quotas.max_bot_messages_per_month ?? DEFAULT_QUOTAS.max_bot_messages_per_month,
         maxBotTokensPerDay: quotas.max_bot_tokens_per_day ?? DEFAULT_QUOTAS.max_bot_tokens_per_day,
-        maxBotTokensPerMonth: quotas.max_bot_tokens_per_month ?? DEFAULT_QUOTAS.max_bot_tokens_per_month
+        maxBotTokensPerMonth: quotas.max_bot_tokens_per_month ?? DEFAULT_QUOTAS.max_bot_tokens_per_month,
+        maxRetentionDaysMedia: quotas.max_retention_days_media ?? DEFAULT_QUOTAS.max_retention_days_media,
+        maxRetentionDaysMessages: quotas.max_retention_days_messages ?? DEFAULT_QUOTAS.max_retention_days_messages,
+        maxRetentionDaysLogs: quotas.max_retention_days_logs ?? DEFAULT_QUOTAS.max_retention_days_logs
       },
       features,
       subscriberCount: 0,
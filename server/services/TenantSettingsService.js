@@ -11,12 +11,11 @@
 const crypto = require('crypto');
 const { logger } = require('../utils/logger');
 const SupabaseService = require('./SupabaseService');
+const CredentialVaultService = require('./CredentialVaultService');
 
 // Encryption configuration
 const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
 const ENCRYPTION_KEY_LENGTH = 32;
-const IV_LENGTH = 16;
-const AUTH_TAG_LENGTH = 16;
 
 // WUZAPI configuration keys
 const WUZAPI_KEYS = {
@@ -40,9 +39,34 @@ const DEFAULT_SETTINGS = {
   },
   grace_period_days: {
     value: '7',
-    description: 'Grace period after payment failure before suspension',
+    description: 'Days after a payment failure with full access before read-only mode',
     type: 'number'
   },
+  dunning_restricted_days: {
+    value: '7',
+    description: 'Days in read-only mode after the grace period before suspension',
+    type: 'number'
+  },
+  dunning_reminder_days: {
+    value: '1,3,5',
+    description: 'Days after a payment failure on which payment reminders are sent (comma-separated)',
+    type: 'string'
+  },
+  dunning_email_enabled: {
+    value: 'true',
+    description: 'Send dunning notifications by email',
+    type: 'boolean'
+  },
+  dunning_whatsapp_enabled: {
+    value: 'true',
+    description: 'Send dunning notifications by WhatsApp from the system inbox',
+    type: 'boolean'
+  },
+  system_inbox_id: {
+    value: '',
+    description: 'Inbox that sends system messages (billing reminders) to the accounts',
+    type: 'string'
+  },
   password_min_length: {
     value: '8',
     description: 'Minimum password length',
@@ -149,12 +173,12 @@ class TenantSettingsService {
         };
       }
 
-      // Include any custom settings not in defaults
+      // Include any custom settings not in defaults (secrets only masked)
       for (const [key, value] of Object.entries(storedSettings)) {
         if (!DEFAULT_SETTINGS[key]) {
           settings[key] = {
             key,
-            value,
+            value: key === WUZAPI_KEYS.ADMIN_TOKEN ? CredentialVaultService.mask(value) : value,
             description: '',
             type: 'string',
             isDefault: false,
@@ -359,6 +383,13 @@ class TenantSettingsService {
 
       // Convert all values to strings
       for (const [key, value] of Object.entries(settings)) {
+        if (key === WUZAPI_KEYS.ADMIN_TOKEN) {
+          // Masked value sent back unchanged keeps the stored token
+          if (!CredentialVaultService.isMask(value)) {
+            updatedSettings[key] = await CredentialVaultService.encrypt(tenantId, String(value));
+          }
+          continue;
+        }
         updatedSettings[key] = String(value);
       }
 
@@ -488,6 +519,48 @@ class TenantSettingsService {
     return DEFAULT_SETTINGS;
   }
 
+  /**
+   * Get the dunning timings and channels of a tenant
+   * Invalid values fall back to the defaults.
+   * @param {string|null} tenantId - Tenant UUID (null: defaults)
+   * @returns {Promise<Object>} { gracePeriodDays, restrictedDays, reminderDays, emailEnabled, whatsappEnabled, systemInboxId }
+   */
+  async getDunningSettings(tenantId) {
+    let stored = {};
+    if (tenantId) {
+      const { data: tenantSettings, error } = await SupabaseService.adminClient
+        .from('tenant_settings')
+        .select('settings')
+        .eq('tenant_id', tenantId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        throw error;
+      }
+      stored = tenantSettings?.settings || {};
+    }
+
+    const value = (key) => (stored[key] !== undefined ? String(stored[key]) : DEFAULT_SETTINGS[key].value);
+    const days = (key) => {
+      const parsed = parseInt(value(key), 10);
+      return Number.isInteger(parsed) && parsed >= 0 ? parsed : parseInt(DEFAULT_SETTINGS[key].value, 10);
+    };
+
+    const reminderDays = value('dunning_reminder_days')
+      .split(',')
+      .map(day => parseInt(day.trim(), 10))
+      .filter(day => Number.isInteger(day) && day >= 0);
+
+    return {
+      gracePeriodDays: days('grace_period_days'),
+      restrictedDays: days('dunning_restricted_days'),
+      reminderDays: [...new Set(reminderDays)].sort((a, b) => a - b),
+      emailEnabled: value('dunning_email_enabled').toLowerCase() === 'true',
+      whatsappEnabled: value('dunning_whatsapp_enabled').toLowerCase() === 'true',
+      systemInboxId: value('system_inbox_id') || null
+    };
+  }
+
   // ============================================
   // WUZAPI Configuration Methods
   // ============================================
@@ -503,33 +576,7 @@ class TenantSettingsService {
   }
 
   /**
-   * Encrypt sensitive data using AES-256-GCM
-   * @param {string} plaintext - Data to encrypt
-   * @returns {string} Encrypted data with format: encrypted:iv:authTag:ciphertext
-   */
-  encryptToken(plaintext) {
-    if (!plaintext) return null;
-    
-    try {
-      const key = this._getEncryptionKey();
-      const iv = crypto.randomBytes(IV_LENGTH);
-      const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
-      
-      let encrypted = cipher.update(plaintext, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-      
-      const authTag = cipher.getAuthTag();
-      
-      // Format: encrypted:iv:authTag:ciphertext
-      return `encrypted:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
-    } catch (error) {
-      logger.error('Token encryption failed', { error: error.message });
-      throw new Error('Failed to encrypt token');
-    }
-  }
-
-  /**
-   * Decrypt sensitive data
+   * Decrypt tokens stored before the credential vault
    * @param {string} ciphertext - Encrypted data with format: encrypted:iv:authTag:ciphertext
    * @returns {string} Decrypted data
    */
@@ -612,7 +659,9 @@ class TenantSettingsService {
       // Get values from tenant settings or fall back to env vars
       const baseUrl = settings[WUZAPI_KEYS.BASE_URL] || process.env.WUZAPI_BASE_URL || process.env.VITE_WUZAPI_BASE_URL;
       const encryptedToken = settings[WUZAPI_KEYS.ADMIN_TOKEN];
-      const adminToken = encryptedToken ? this.decryptToken(encryptedToken) : (process.env.WUZAPI_ADMIN_TOKEN || process.env.VITE_ADMIN_TOKEN);
+      const adminToken = encryptedToken
+        ? await CredentialVaultService.decrypt(encryptedToken, (legacy) => this.decryptToken(legacy))
+        : (process.env.WUZAPI_ADMIN_TOKEN || process.env.VITE_ADMIN_TOKEN);
       const timeout = parseInt(settings[WUZAPI_KEYS.TIMEOUT] || process.env.WUZAPI_TIMEOUT || '30000', 10);
       const webhookBaseUrl = settings[WUZAPI_KEYS.WEBHOOK_BASE_URL] || process.env.WEBHOOK_BASE_URL;
 
@@ -654,7 +703,7 @@ class TenantSettingsService {
 
   /**
    * Save WUZAPI configuration for a tenant
-   * Encrypts admin token before storing
+   * Encrypts admin token with the credential vault before storing
    * @param {string} tenantId - Tenant UUID
    * @param {Object} config - Configuration { baseUrl, adminToken, timeout, webhookBaseUrl }
    * @param {string} [adminId] - Admin who made the change
@@ -700,8 +749,8 @@ class TenantSettingsService {
       }
       
       if (adminToken !== undefined && adminToken !== null && adminToken !== '') {
-        // Encrypt the token before storing
-        updatedSettings[WUZAPI_KEYS.ADMIN_TOKEN] = this.encryptToken(adminToken);
+        // Encrypt the token with the tenant's vault data key before storing
+        updatedSettings[WUZAPI_KEYS.ADMIN_TOKEN] = await CredentialVaultService.encrypt(tenantId, adminToken);
       }
       
       if (timeout !== undefined) {
@@ -18,7 +18,8 @@ const METRIC_TYPES = {
   STORAGE_USED: 'storage_used',
   CONNECTIONS_ACTIVE: 'connections_active',
   WEBHOOKS_TRIGGERED: 'webhooks_triggered',
-  CAMPAIGNS_EXECUTED: 'campaigns_executed'
+  CAMPAIGNS_EXECUTED: 'campaigns_executed',
+  BOT_TOKENS_USED: 'bot_tokens_used'
 };
 
 class UsageTrackingService {
@@ -99,6 +100,32 @@ class UsageTrackingService {
     }
   }
 
+  /**
+   * Get the total of a metric in a time range (summed in the database)
+   * @param {string} userId - User ID
+   * @param {string} metricType - Type of metric
+   * @param {Date} from - Range start (inclusive)
+   * @param {Date} to - Range end (exclusive)
+   * @returns {Promise<number>} Total amount
+   */
+  async getUsageTotal(userId, metricType, from, to) {
+    try {
+      const { data, error } = await SupabaseService.adminClient.rpc('sum_usage_metrics', {
+        p_user_id: userId,
+        p_metric_type: metricType,
+        p_from: from.toISOString(),
+        p_to: to.toISOString()
+      });
+
+      if (error) throw error;
+
+      return Number(data) || 0;
+    } catch (error) {
+      logger.error('Failed to get usage total', { error: error.message, userId, metricType });
+      throw error;
+    }
+  }
+
   /**
    * Get aggregated metrics across users
    * @param {Object} filters - Filter options
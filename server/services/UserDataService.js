@@ -12,6 +12,7 @@
  */
 
 const SupabaseService = require('./SupabaseService');
+const DatabaseConnectionService = require('./DatabaseConnectionService');
 const { logger } = require('../utils/logger');
 
 class UserDataService {
@@ -621,7 +622,7 @@ class UserDataService {
       if (!data) return [];
 
       // Filter connections where userId is in assigned_users array
-      return data.filter(conn => {
+      const userConnections = data.filter(conn => {
         if (!conn.assigned_users) return false;
         
         if (Array.isArray(conn.assigned_users)) {
@@ -640,6 +641,8 @@ class UserDataService {
 
         return false;
       });
+
+      return await Promise.all(userConnections.map(conn => DatabaseConnectionService.decryptSecrets(conn)));
     } catch (error) {
       logger.error('Error in getUserConnections', { error: error.message });
       return [];
@@ -657,7 +660,7 @@ class UserDataService {
       logger.error('Error fetching connection by ID', { error: error.message, id });
       return null;
     }
-    return data;
+    return DatabaseConnectionService.decryptSecrets(data);
   }
 
   /**
@@ -1,6 +1,8 @@
 const { logger } = require('../utils/logger');
 const axios = require('axios');
 const SupabaseService = require('./SupabaseService');
+const DatabaseConnectionService = require('./DatabaseConnectionService');
+const SQLConnectionService = require('./SQLConnectionService');
 
 /**
  * UserRecordService - Serviço para buscar registros únicos de usuários em diferentes tipos de banco de dados
@@ -28,7 +30,7 @@ class UserRecordService {
       });
 
       // 1. Buscar configuração da conexão
-      const { data: connection, error: connError } = await SupabaseService.queryAsAdmin('database_connections', (query) =>
+      const { data: storedConnection, error: connError } = await SupabaseService.queryAsAdmin('database_connections', (query) =>
         query.select('*').eq('id', connectionId).single()
       );
       
@@ -37,6 +39,8 @@ class UserRecordService {
         throw connError;
       }
       
+      const connection = await DatabaseConnectionService.decryptSecrets(storedConnection);
+
       if (!connection) {
         const error = new Error('Connection not found');
         error.code = 'CONNECTION_NOT_FOUND';
@@ -274,7 +278,9 @@ class UserRecordService {
         throw new Error(`${connection.type} password not configured`);
       }
 
-      if (!connection.database) {
+      const databaseName = connection.database_name || connection.database;
+
+      if (!databaseName) {
         throw new Error(`${connection.type} database name not configured`);
       }
 
@@ -287,113 +293,26 @@ class UserRecordService {
       logger.info('🔍 UserRecordService: Buscando em banco SQL:', { 
         type: connection.type,
         host: connection.host,
-        database: connection.database,
+        database: databaseName,
         tableName,
         userLinkField,
         token: userToken.substring(0, 8) + '...'
       });
 
-      // TODO: Implementar conexões reais para MySQL/PostgreSQL
-      // Por enquanto, simular um registro único
-      logger.warn(`⚠️ UserRecordService: Conexão ${connection.type} ainda não implementada, simulando registro único`);
-      
-      // Simular registro único baseado na configuração real
-      const simulatedRecord = {
-        id: 1,
-        [userLinkField]: userToken,
-        database_type: connection.type,
-        host: connection.host,
-        database: connection.database,
-        table: tableName,
-        message: `Registro único simulado de ${connection.type}`,
-        status: 'active',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-
-      logger.info('✅ UserRecordService: Registro simulado gerado para banco SQL:', { 
-        type: connection.type,
-        token: userToken.substring(0, 8) + '...',
-        tableName,
-        userLinkField
-      });
-
-      return simulatedRecord;
-
-      /* TODO: Implementação real para MySQL/PostgreSQL
-      
-      // Para MySQL
-      if (connection.type === 'MYSQL') {
-        const mysql = require('mysql2/promise');
-        
-        const pool = mysql.createPool({
-          host: connection.host,
-          port: connection.port || 3306,
-          user: connection.username,
-          password: connection.password,
-          database: connection.database,
-          waitForConnections: true,
-          connectionLimit: 10,
-          queueLimit: 0,
-          timeout: 60000
-        });
-
-        const sql = `SELECT * FROM ?? WHERE ?? = ? LIMIT 1`;
-        const [rows] = await pool.execute(sql, [tableName, userLinkField, userToken]);
-        
-        await pool.end();
-        return rows.length > 0 ? rows[0] : null;
-      }
-
-      // Para PostgreSQL
-      if (connection.type === 'POSTGRESQL' || connection.type === 'POSTGRES') {
-        const { Pool } = require('pg');
-        
-        const pool = new Pool({
-          host: connection.host,
-          port: connection.port || 5432,
-          user: connection.username,
-          password: connection.password,
-          database: connection.database,
-          max: 10,
-          idleTimeoutMillis: 30000,
-          connectionTimeoutMillis: 2000,
-        });
-
-        const sql = `SELECT * FROM $1 WHERE $2 = $3 LIMIT 1`;
-        const result = await pool.query(sql, [tableName, userLinkField, userToken]);
-        
-        await pool.end();
-        return result.rows.length > 0 ? result.rows[0] : null;
-      }
-      */
+      // Consulta parametrizada; tabela e campo são validados contra o schema
+      return await SQLConnectionService.findRecord(
+        { ...connection, database_name: databaseName },
+        userLinkField,
+        userToken
+      );
 
     } catch (error) {
-      // Tratamento específico de erros de banco externo
-      if (error.code === 'ECONNREFUSED') {
-        const connError = new Error(`${connection.type} server unavailable`);
-        connError.code = 'DB_CONNECTION_REFUSED';
-        throw connError;
-      } else if (error.code === 'ETIMEDOUT') {
-        const timeoutError = new Error(`Timeout connecting to ${connection.type}`);
-        timeoutError.code = 'DB_TIMEOUT';
-        throw timeoutError;
-      } else if (error.code === 'ER_ACCESS_DENIED_ERROR' || error.code === '28P01') {
-        const authError = new Error(`Invalid credentials for ${connection.type}`);
-        authError.code = 'DB_AUTH_ERROR';
-        throw authError;
-      } else if (error.code === 'ER_BAD_DB_ERROR' || error.code === '3D000') {
-        const dbError = new Error(`Database '${connection.database}' not found`);
-        dbError.code = 'DB_NOT_FOUND';
-        throw dbError;
-      }
-      
       logger.error('❌ UserRecordService: Erro ao buscar em banco SQL:', { 
         message: error.message,
         code: error.code,
         type: connection.type,
         host: connection.host,
-        database: connection.database
+        database: connection.database_name || connection.database
       });
       
       throw error;
@@ -44,7 +44,8 @@ class VariationTracker {
         template,
         selections,
         recipient = null,
-        userId = null
+        userId = null,
+        variantId = null
       } = data;
 
       // Converter selections para JSON string
@@ -59,6 +60,7 @@ class VariationTracker {
           selected_variations: selectionsJson,
           recipient,
           user_id: userId,
+          variant_id: variantId,
           sent_at: new Date().toISOString()
         }).select('id').single()
       );
@@ -336,6 +338,73 @@ class VariationTracker {
     }
   }
 
+  /**
+   * Atualiza o status de entrega pelo ID da mensagem (eventos MessageStatus/ReadReceipt).
+   * Leitura implica entrega.
+   * 
+   * @param {string} messageId - ID da mensagem no provedor
+   * @param {string} status - delivered ou read
+   * @returns {Promise<Object>} Resultado
+   */
+  async recordMessageStatus(messageId, status) {
+    if (!messageId || !['delivered', 'read'].includes(status)) {
+      return { success: true, updated: 0 };
+    }
+
+    try {
+      const updateData = status === 'read'
+        ? { delivered: true, read: true }
+        : { delivered: true };
+
+      const { data, error } = await SupabaseService.queryAsAdmin('message_variations', (query) =>
+        query.update(updateData).eq('message_id', messageId).select('id')
+      );
+
+      if (error) throw error;
+
+      return { success: true, updated: (data || []).length };
+
+    } catch (error) {
+      logger.error('Erro ao atualizar status por mensagem', { error: error.message, messageId });
+      throw error;
+    }
+  }
+
+  /**
+   * Marca como respondidas as variações de teste A/B enviadas a um destinatário
+   * 
+   * @param {string} recipient - Telefone do destinatário
+   * @param {Object} options - Filtros
+   * @param {string[]} options.campaignIds - Campanhas consideradas
+   * @param {string} options.since - Envios a partir desta data (ISO)
+   * @returns {Promise<Object>} Resultado
+   */
+  async recordReply(recipient, { campaignIds, since }) {
+    if (!recipient || !Array.isArray(campaignIds) || campaignIds.length === 0) {
+      return { success: true, updated: 0 };
+    }
+
+    try {
+      const { data, error } = await SupabaseService.queryAsAdmin('message_variations', (query) =>
+        query.update({ replied: true })
+          .eq('recipient', recipient)
+          .in('campaign_id', campaignIds)
+          .not('variant_id', 'is', null)
+          .eq('replied', false)
+          .gte('sent_at', since)
+          .select('id')
+      );
+
+      if (error) throw error;
+
+      return { success: true, updated: (data || []).length };
+
+    } catch (error) {
+      logger.error('Erro ao registrar resposta', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Valida dados de log
    * 
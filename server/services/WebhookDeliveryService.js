@@ -0,0 +1,505 @@
+/**
+ * WebhookDeliveryService - Queued webhook deliveries with dead-letter and replay
+ *
+ * Processes the deliveries queued by OutgoingWebhookService and
+ * ExternalWebhookService (queues/webhookQueue.js), one attempt per job run:
+ * - per-endpoint concurrency and a circuit breaker per endpoint
+ *   (utils/circuitBreaker.js); busy or open endpoints postpone the job
+ *   without using up an attempt
+ * - 4xx responses and exhausted retries go to webhook_dead_letters, from
+ *   where they can be replayed with the same delivery ID
+ * - endpoints are disabled after consecutive failed deliveries and the
+ *   owner is notified (admin_notifications)
+ *
+ * Requirements: Outgoing webhook delivery queue with retries, dead-letter and replay
+ */
+
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const { withCircuitBreaker, getCircuitBreaker } = require('../utils/circuitBreaker');
+const SupabaseService = require('./SupabaseService');
+const OutgoingWebhookService = require('./OutgoingWebhookService');
+const ExternalWebhookService = require('./ExternalWebhookService');
+const { addWebhookDeliveryJob } = require('../queues/webhookQueue');
+
+const outgoingWebhookService = new OutgoingWebhookService();
+
+// Where each kind of webhook is configured and how its failures are counted
+const WEBHOOK_SOURCES = {
+  outgoing: {
+    table: 'outgoing_webhooks',
+    ownerColumn: 'user_id',
+    failureColumn: 'consecutive_failures',
+    service: outgoingWebhookService,
+    timeoutMs: () => 10000
+  },
+  external: {
+    table: 'chat_external_webhooks',
+    ownerColumn: 'account_id',
+    failureColumn: 'failure_count',
+    service: ExternalWebhookService,
+    timeoutMs: (webhook) => webhook.timeout_ms || 5000
+  }
+};
+
+// Deliveries in flight per endpoint (per worker process)
+const ENDPOINT_CONCURRENCY = parseInt(process.env.WEBHOOK_ENDPOINT_CONCURRENCY, 10) || 2;
+const ENDPOINT_BUSY_DELAY_MS = 1000;
+
+// Failed deliveries in a row before the endpoint is disabled
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 10;
+
+const CIRCUIT_CONFIG = {
+  failureThreshold: 5,
+  failureWindow: 60000,
+  resetTimeout: 60000
+};
+
+// Responses worth retrying besides 5xx
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+const MAX_REPLAY_BATCH = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class WebhookDeliveryService {
+  constructor() {
+    this.inFlight = new Map();
+  }
+
+  // ==================== DELIVERY ====================
+
+  /**
+   * Make one delivery attempt (webhook queue job)
+   * @param {Object} delivery - Job data from queues/webhookQueue.js
+   * @param {Object} [options]
+   * @param {number} [options.attempt=1] - Attempt number, starting at 1
+   * @param {number} [options.maxAttempts=1] - Attempts of the job
+   * @returns {Promise<Object>} { delivered, status?, deadLettered?, skipped? }
+   * @throws {Error} ENDPOINT_BUSY | CIRCUIT_OPEN (with retryAfterMs, postpone
+   *   without using an attempt), delivery errors (retry; error.permanent when
+   *   the delivery was dead-lettered and must not be retried)
+   */
+  async processDelivery(delivery, options = {}) {
+    const attempt = options.attempt || 1;
+    const maxAttempts = options.maxAttempts || 1;
+    const source = WEBHOOK_SOURCES[delivery.source];
+    if (!source) throw new Error('INVALID_WEBHOOK_SOURCE');
+
+    const webhook = await this.getWebhook(delivery.source, delivery.webhookId);
+
+    if (!webhook) {
+      logger.info('Webhook delivery dropped, webhook removed', {
+        source: delivery.source,
+        webhookId: delivery.webhookId,
+        deliveryId: delivery.deliveryId
+      });
+      return { delivered: false, skipped: 'webhook_removed' };
+    }
+
+    if (!webhook.is_active) {
+      await this.deadLetter(delivery, webhook, { reason: 'endpoint_disabled', attempts: attempt - 1 });
+      return { delivered: false, deadLettered: 'endpoint_disabled' };
+    }
+
+    const endpointKey = `webhook:${delivery.source}:${webhook.id}`;
+
+    if (!this.acquireSlot(endpointKey)) {
+      const error = new Error('ENDPOINT_BUSY');
+      error.retryAfterMs = ENDPOINT_BUSY_DELAY_MS;
+      throw error;
+    }
+
+    const startTime = Date.now();
+    let response;
+
+    try {
+      response = await withCircuitBreaker(endpointKey, () => this.post(source, webhook, delivery), CIRCUIT_CONFIG);
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        const { openedAt } = getCircuitBreaker(endpointKey).getStatus();
+        error.retryAfterMs = Math.max(openedAt + CIRCUIT_CONFIG.resetTimeout - Date.now(), ENDPOINT_BUSY_DELAY_MS);
+        throw error;
+      }
+
+      const outcome = {
+        success: false,
+        attempts: attempt,
+        responseStatus: error.response?.status || null,
+        error: error.message,
+        duration: Date.now() - startTime
+      };
+
+      logger.warn('Webhook delivery attempt failed', {
+        source: delivery.source,
+        webhookId: webhook.id,
+        deliveryId: delivery.deliveryId,
+        attempt,
+        maxAttempts,
+        error: error.message
+      });
+
+      if (attempt >= maxAttempts) {
+        await this.deadLetter(delivery, webhook, { reason: 'exhausted', ...outcome });
+        await this.recordOutcome(delivery, webhook, outcome);
+        error.permanent = true;
+      }
+      throw error;
+    } finally {
+      this.releaseSlot(endpointKey);
+    }
+
+    const outcome = {
+      success: response.status >= 200 && response.status < 300,
+      attempts: attempt,
+      responseStatus: response.status,
+      responseBody: JSON.stringify(response.data ?? null).substring(0, 1000),
+      error: null,
+      duration: Date.now() - startTime
+    };
+
+    if (!outcome.success) {
+      // Rejected by the endpoint (4xx): retrying would not help
+      outcome.error = `HTTP ${response.status}`;
+      await this.deadLetter(delivery, webhook, { reason: 'rejected', ...outcome });
+      await this.recordOutcome(delivery, webhook, outcome);
+
+      const error = new Error(outcome.error);
+      error.permanent = true;
+      throw error;
+    }
+
+    await this.recordOutcome(delivery, webhook, outcome);
+
+    logger.info('Webhook delivered', {
+      source: delivery.source,
+      webhookId: webhook.id,
+      deliveryId: delivery.deliveryId,
+      attempt,
+      duration: outcome.duration
+    });
+
+    return { delivered: true, status: response.status };
+  }
+
+  /**
+   * POST the delivery; 5xx, 408, 425, 429 and network errors throw (retry)
+   */
+  async post(source, webhook, delivery) {
+    const response = await axios.post(webhook.url, delivery.body, {
+      headers: source.service.buildDeliveryHeaders(webhook, delivery),
+      timeout: source.timeoutMs(webhook),
+      validateStatus: () => true
+    });
+
+    if (response.status >= 500 || RETRYABLE_STATUSES.includes(response.status)) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Record the final outcome of a delivery on the webhook
+   *
+   * Failed deliveries in a row are counted; at DISABLE_AFTER_FAILURES the
+   * webhook is disabled and its owner notified.
+   */
+  async recordOutcome(delivery, webhook, outcome) {
+    const source = WEBHOOK_SOURCES[delivery.source];
+    const failures = outcome.success ? 0 : (webhook[source.failureColumn] || 0) + 1;
+    const disable = !outcome.success && failures >= DISABLE_AFTER_FAILURES;
+
+    const updates = { [source.failureColumn]: failures };
+
+    if (delivery.source === 'outgoing') {
+      await outgoingWebhookService.logDelivery(webhook.id, {
+        deliveryId: delivery.deliveryId,
+        eventType: delivery.eventType,
+        payload: delivery.body,
+        ...outcome
+      });
+      await outgoingWebhookService.updateWebhookStats(webhook.id, outcome.success);
+    } else {
+      updates.last_triggered_at = new Date().toISOString();
+      updates.last_error = outcome.error;
+    }
+
+    if (disable) {
+      updates.is_active = false;
+      updates.disabled_at = new Date().toISOString();
+      updates.disabled_reason = `${failures} consecutive failed deliveries (last error: ${outcome.error})`;
+    }
+
+    const { error } = await SupabaseService.update(source.table, webhook.id, updates);
+    if (error) {
+      logger.error('Failed to update webhook delivery state', { webhookId: webhook.id, error: error.message });
+      return;
+    }
+
+    if (disable) {
+      logger.warn('Webhook disabled after sustained failure', {
+        source: delivery.source,
+        webhookId: webhook.id,
+        failures
+      });
+      await this.notifyOwner(delivery.source, webhook, failures, outcome.error);
+    }
+  }
+
+  /**
+   * Notify the webhook owner that the endpoint was disabled
+   */
+  async notifyOwner(sourceName, webhook, failures, lastError) {
+    try {
+      const account = await this.getOwnerAccount(sourceName, webhook);
+      if (!account) {
+        logger.warn('Webhook owner not found for notification', { source: sourceName, webhookId: webhook.id });
+        return;
+      }
+
+      const { error } = await SupabaseService.insert('admin_notifications', {
+        user_id: account.owner_user_id,
+        account_id: account.id,
+        tenant_id: account.tenant_id,
+        type: 'warning',
+        title: 'Webhook desativado',
+        message: `O webhook ${webhook.url} foi desativado após ${failures} entregas seguidas com falha ` +
+          `(último erro: ${lastError}). Corrija o endpoint, reative o webhook e reenvie as entregas com falha.`,
+        created_at: new Date().toISOString()
+      });
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Failed to notify webhook owner', { source: sourceName, webhookId: webhook.id, error: error.message });
+    }
+  }
+
+  async getOwnerAccount(sourceName, webhook) {
+    const ownerId = webhook[WEBHOOK_SOURCES[sourceName].ownerColumn];
+
+    // Outgoing webhooks belong to a user ID or, for legacy ones, a WUZAPI token
+    const column = sourceName === 'external'
+      ? 'id'
+      : (UUID_PATTERN.test(ownerId) ? 'owner_user_id' : 'wuzapi_token');
+
+    const { data, error } = await SupabaseService.queryAsAdmin('accounts', (query) =>
+      query.select('id, tenant_id, owner_user_id').eq(column, ownerId).limit(1)
+    );
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  acquireSlot(key) {
+    const current = this.inFlight.get(key) || 0;
+    if (current >= ENDPOINT_CONCURRENCY) return false;
+    this.inFlight.set(key, current + 1);
+    return true;
+  }
+
+  releaseSlot(key) {
+    const current = this.inFlight.get(key) || 0;
+    if (current <= 1) {
+      this.inFlight.delete(key);
+    } else {
+      this.inFlight.set(key, current - 1);
+    }
+  }
+
+  // ==================== DEAD LETTERS ====================
+
+  /**
+   * Store (or refresh, for a replayed delivery) a dead-lettered delivery
+   */
+  async deadLetter(delivery, webhook, details) {
+    const values = {
+      event_type: delivery.eventType,
+      payload: delivery.body,
+      url: webhook.url,
+      reason: details.reason,
+      attempts: details.attempts || 0,
+      response_status: details.responseStatus || null,
+      last_error: details.error || null,
+      status: 'pending',
+      failed_at: new Date().toISOString()
+    };
+
+    const { data: existing, error: findError } = await SupabaseService.queryAsAdmin('webhook_dead_letters', (query) =>
+      query.select('id').eq('source', delivery.source).eq('delivery_id', delivery.deliveryId)
+    );
+    if (findError) throw findError;
+
+    const { error } = existing?.[0]
+      ? await SupabaseService.update('webhook_dead_letters', existing[0].id, values)
+      : await SupabaseService.insert('webhook_dead_letters', {
+        source: delivery.source,
+        webhook_id: String(webhook.id),
+        owner_id: String(delivery.ownerId ?? webhook[WEBHOOK_SOURCES[delivery.source].ownerColumn]),
+        delivery_id: delivery.deliveryId,
+        ...values
+      });
+
+    if (error) throw error;
+
+    logger.warn('Webhook delivery dead-lettered', {
+      source: delivery.source,
+      webhookId: webhook.id,
+      deliveryId: delivery.deliveryId,
+      reason: details.reason
+    });
+  }
+
+  /**
+   * List dead-lettered deliveries of an owner, newest first
+   * @param {string} sourceName - 'outgoing' | 'external'
+   * @param {string} ownerId - User ID (outgoing) or account ID (external)
+   * @param {Object} [filters] - { webhookId, status, limit, offset }
+   * @returns {Promise<{deadLetters: Object[], total: number}>}
+   */
+  async getDeadLetters(sourceName, ownerId, filters = {}) {
+    const limit = Math.min(filters.limit || 50, 200);
+    const offset = filters.offset || 0;
+
+    const { data, error, count } = await SupabaseService.queryAsAdmin('webhook_dead_letters', (query) => {
+      let scoped = query.select('*', { count: 'exact' })
+        .eq('source', sourceName)
+        .eq('owner_id', String(ownerId));
+
+      if (filters.webhookId) scoped = scoped.eq('webhook_id', String(filters.webhookId));
+      if (filters.status) scoped = scoped.eq('status', filters.status);
+
+      return scoped.order('failed_at', { ascending: false }).range(offset, offset + limit - 1);
+    });
+
+    if (error) throw error;
+
+    return {
+      deadLetters: (data || []).map(row => this.formatDeadLetter(row)),
+      total: count || 0
+    };
+  }
+
+  /**
+   * Replay dead-lettered deliveries with their original delivery ID
+   * @param {string} sourceName - 'outgoing' | 'external'
+   * @param {string} ownerId - User ID (outgoing) or account ID (external)
+   * @param {Object} selection - { ids } or { webhookId } (every pending one)
+   * @returns {Promise<{replayed: string[], skipped: Object[]}>}
+   * @throws {Error} INVALID_REPLAY_SELECTION
+   */
+  async replayDeadLetters(sourceName, ownerId, selection) {
+    if (!WEBHOOK_SOURCES[sourceName]) throw new Error('INVALID_WEBHOOK_SOURCE');
+    if (!selection.ids?.length && !selection.webhookId) throw new Error('INVALID_REPLAY_SELECTION');
+
+    const { data: rows, error } = await SupabaseService.queryAsAdmin('webhook_dead_letters', (query) => {
+      const scoped = query.select('*')
+        .eq('source', sourceName)
+        .eq('owner_id', String(ownerId));
+
+      return (selection.ids?.length
+        ? scoped.in('id', selection.ids)
+        : scoped.eq('webhook_id', String(selection.webhookId)).eq('status', 'pending'))
+        .order('failed_at', { ascending: true })
+        .limit(MAX_REPLAY_BATCH);
+    });
+
+    if (error) throw error;
+
+    const found = new Set((rows || []).map(row => row.id));
+    const result = {
+      replayed: [],
+      skipped: (selection.ids || []).filter(id => !found.has(id)).map(id => ({ id, reason: 'not_found' }))
+    };
+    const webhooks = new Map();
+
+    for (const row of rows || []) {
+      if (!webhooks.has(row.webhook_id)) {
+        webhooks.set(row.webhook_id, await this.getWebhook(sourceName, row.webhook_id));
+      }
+      const webhook = webhooks.get(row.webhook_id);
+
+      if (!webhook) {
+        result.skipped.push({ id: row.id, reason: 'webhook_removed' });
+        continue;
+      }
+      if (!webhook.is_active) {
+        result.skipped.push({ id: row.id, reason: 'endpoint_disabled' });
+        continue;
+      }
+
+      const replay = (row.replay_count || 0) + 1;
+      const delivery = {
+        source: sourceName,
+        webhookId: webhook.id,
+        ownerId: row.owner_id,
+        deliveryId: row.delivery_id,
+        eventType: row.event_type,
+        body: row.payload,
+        replay
+      };
+
+      const { error: updateError } = await SupabaseService.update('webhook_dead_letters', row.id, {
+        status: 'replayed',
+        replay_count: replay,
+        last_replayed_at: new Date().toISOString()
+      });
+      if (updateError) throw updateError;
+
+      const job = await addWebhookDeliveryJob(delivery);
+      if (!job) {
+        // No queue: a single attempt now, dead-lettered again on failure
+        await this.processDelivery(delivery).catch((replayError) => {
+          logger.warn('Inline webhook replay failed', { deliveryId: row.delivery_id, error: replayError.message });
+        });
+      }
+
+      result.replayed.push(row.id);
+    }
+
+    logger.info('Webhook dead letters replayed', {
+      source: sourceName,
+      replayed: result.replayed.length,
+      skipped: result.skipped.length
+    });
+
+    return result;
+  }
+
+  // ==================== HELPERS ====================
+
+  async getWebhook(sourceName, webhookId) {
+    const { data, error } = await SupabaseService.queryAsAdmin(WEBHOOK_SOURCES[sourceName].table, (query) =>
+      query.select('*').eq('id', webhookId).limit(1)
+    );
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  formatDeadLetter(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      deliveryId: row.delivery_id,
+      eventType: row.event_type,
+      payload: row.payload,
+      url: row.url,
+      reason: row.reason,
+      attempts: row.attempts,
+      responseStatus: row.response_status,
+      lastError: row.last_error,
+      status: row.status,
+      replayCount: row.replay_count || 0,
+      lastReplayedAt: row.last_replayed_at,
+      failedAt: row.failed_at
+    };
+  }
+}
+
+module.exports = new WebhookDeliveryService();
+module.exports.WebhookDeliveryService = WebhookDeliveryService;
+module.exports.WEBHOOK_SOURCES = WEBHOOK_SOURCES;
+module.exports.DISABLE_AFTER_FAILURES = DISABLE_AFTER_FAILURES;
@@ -2,7 +2,7 @@
  * ProviderAdapterFactory - Factory for creating and managing provider adapters
  * 
  * Centralizes adapter registration and retrieval.
- * Supports multiple providers (WUZAPI, Evolution, WattsMill, etc.)
+ * Supports multiple providers (WUZAPI, WhatsApp Cloud API, Evolution, WattsMill, etc.)
  * 
  * Requirements: 1.3, 1.4 (wuzapi-status-source-of-truth spec)
  */
@@ -41,7 +41,7 @@ class ProviderAdapterFactory {
 
   /**
    * Get adapter by provider type
-   * @param {string} providerType - Provider type (wuzapi, evolution, wattsmill)
+   * @param {string} providerType - Provider type (wuzapi, whatsapp_cloud, evolution, wattsmill)
    * @returns {import('./ProviderAdapter')} Provider adapter
    * @throws {Error} If adapter not found
    */
@@ -111,6 +111,15 @@ class ProviderAdapterFactory {
       });
     }
 
+    try {
+      const WhatsAppCloudAdapter = require('./WhatsAppCloudAdapter');
+      this.register(new WhatsAppCloudAdapter());
+    } catch (error) {
+      logger.error('ProviderAdapterFactory: Failed to register WhatsAppCloudAdapter', {
+        error: error.message
+      });
+    }
+
     // Future adapters can be registered here:
     // const EvolutionAdapter = require('./EvolutionAdapter');
     // this.register(new EvolutionAdapter());
@@ -0,0 +1,649 @@
+/**
+ * WhatsAppCloudAdapter - Provider adapter for the official WhatsApp Business Cloud API
+ *
+ * Implements the ProviderAdapter interface on top of the Graph API and translates
+ * Cloud API webhooks into the WUZAPI event format handled by ChatMessageHandler.
+ *
+ * Inbox provider_config:
+ * - phoneNumberId: Cloud API phone number ID (required)
+ * - accessToken: System user access token (required)
+ * - appSecret: Meta app secret, used to check X-Hub-Signature-256
+ * - verifyToken: Token echoed back on webhook verification (hub.verify_token)
+ * - businessAccountId: WhatsApp Business Account ID (webhook subscription)
+ * - apiVersion: Graph API version (default v21.0)
+ * - baseUrl: Graph API base URL (default WHATSAPP_CLOUD_API_URL or graph.facebook.com)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const ProviderAdapter = require('./ProviderAdapter');
+const {
+  ProviderUnavailableError,
+  InvalidTokenError,
+  ProviderTimeoutError,
+  RateLimitedError
+} = require('./errors');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_API_VERSION = 'v21.0';
+const DEFAULT_TEMPLATE_LANGUAGE = 'pt_BR';
+const REQUEST_TIMEOUT = 30000;
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// Cloud API message status -> chat message status
+const STATUS_MAP = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  failed: 'failed'
+};
+
+class WhatsAppCloudAdapter extends ProviderAdapter {
+  /**
+   * Provider type identifier
+   * @type {string}
+   * @readonly
+   */
+  get providerType() {
+    return 'whatsapp_cloud';
+  }
+
+  /**
+   * Get status of the phone number from the Graph API
+   * The Cloud API has no session: a number that answers with valid
+   * credentials is connected and able to send.
+   * @param {Object} inbox - Inbox object with provider_config
+   * @returns {Promise<import('./ProviderAdapter').ProviderStatus>}
+   */
+  async getStatus(inbox) {
+    const config = this.getConfig(inbox);
+
+    if (!config.phoneNumberId || !config.accessToken) {
+      logger.warn('WhatsAppCloudAdapter.getStatus: Credentials not configured', { inboxId: inbox.id });
+      return {
+        connected: false,
+        loggedIn: false,
+        error: 'Credenciais da API oficial não configuradas'
+      };
+    }
+
+    try {
+      const data = await this._request(config, 'get', `/${config.phoneNumberId}`, null, {
+        fields: 'display_phone_number,verified_name,quality_rating'
+      });
+
+      return {
+        connected: true,
+        loggedIn: true,
+        phoneNumber: data?.display_phone_number,
+        verifiedName: data?.verified_name,
+        qualityRating: data?.quality_rating
+      };
+    } catch (error) {
+      const status = error.response?.status;
+
+      logger.warn('WhatsAppCloudAdapter.getStatus failed', {
+        inboxId: inbox.id,
+        status,
+        error: this._getGraphError(error)
+      });
+
+      if (status === 400 || status === 401 || status === 403) {
+        return {
+          connected: false,
+          loggedIn: false,
+          error: 'Token de acesso inválido ou expirado'
+        };
+      }
+
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Validate the credentials (there is no session to open on the Cloud API)
+   * @param {Object} inbox - Inbox object with provider_config
+   */
+  async connect(inbox) {
+    const status = await this.getStatus(inbox);
+
+    if (!status.loggedIn) {
+      throw new InvalidTokenError(this.providerType);
+    }
+
+    logger.info('WhatsAppCloudAdapter.connect successful', { inboxId: inbox.id });
+  }
+
+  /**
+   * Send a text, media or template message
+   * @param {Object} inbox - Inbox object with provider_config
+   * @param {import('./ProviderAdapter').OutgoingMessage} message - Also accepts
+   *   media { type, url, caption, filename } and replyToMessageId
+   * @returns {Promise<import('./ProviderAdapter').MessageResult>}
+   */
+  async sendMessage(inbox, message) {
+    const config = this.getConfig(inbox);
+
+    if (!config.phoneNumberId || !config.accessToken) {
+      throw new InvalidTokenError(this.providerType);
+    }
+
+    let payload;
+    try {
+      payload = this.buildMessagePayload(message);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    try {
+      const data = await this._request(config, 'post', `/${config.phoneNumberId}/messages`, payload);
+
+      return {
+        success: true,
+        messageId: data?.messages?.[0]?.id
+      };
+    } catch (error) {
+      const graphError = this._getGraphError(error);
+
+      logger.error('WhatsAppCloudAdapter.sendMessage failed', {
+        inboxId: inbox.id,
+        to: message.to,
+        type: payload.type,
+        status: error.response?.status,
+        error: graphError
+      });
+
+      return {
+        success: false,
+        error: graphError
+      };
+    }
+  }
+
+  /**
+   * Point the WhatsApp Business Account webhook to this server
+   * Events are defined by the app subscription fields (messages) on Meta.
+   * @param {Object} inbox - Inbox object with provider_config
+   * @param {string} url - Webhook URL
+   */
+  async setWebhook(inbox, url) {
+    const config = this.getConfig(inbox);
+
+    if (!config.businessAccountId || !config.accessToken) {
+      throw new InvalidTokenError(this.providerType);
+    }
+
+    try {
+      await this._request(config, 'post', `/${config.businessAccountId}/subscribed_apps`, {
+        override_callback_uri: url,
+        verify_token: config.verifyToken
+      });
+
+      logger.info('WhatsAppCloudAdapter.setWebhook successful', { inboxId: inbox.id, url });
+    } catch (error) {
+      logger.error('WhatsAppCloudAdapter.setWebhook failed', {
+        inboxId: inbox.id,
+        error: this._getGraphError(error)
+      });
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Get the webhook subscription of the WhatsApp Business Account
+   * @param {Object} inbox - Inbox object with provider_config
+   * @returns {Promise<import('./ProviderAdapter').WebhookConfig>}
+   */
+  async getWebhook(inbox) {
+    const config = this.getConfig(inbox);
+
+    if (!config.businessAccountId || !config.accessToken) {
+      throw new InvalidTokenError(this.providerType);
+    }
+
+    try {
+      const data = await this._request(config, 'get', `/${config.businessAccountId}/subscribed_apps`);
+      const subscription = data?.data?.[0];
+
+      return {
+        url: subscription?.override_callback_uri || '',
+        events: subscription ? ['messages'] : [],
+        status: subscription ? 'active' : 'inactive'
+      };
+    } catch (error) {
+      logger.error('WhatsAppCloudAdapter.getWebhook failed', {
+        inboxId: inbox.id,
+        error: this._getGraphError(error)
+      });
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Download a received media file (media IDs come in the webhook)
+   * @param {Object} inbox - Inbox object with provider_config
+   * @param {string} mediaId - Cloud API media ID
+   * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+   */
+  async downloadMedia(inbox, mediaId) {
+    const config = this.getConfig(inbox);
+
+    if (!config.accessToken) {
+      throw new InvalidTokenError(this.providerType);
+    }
+
+    try {
+      // The media URL is short-lived and also requires the access token
+      const media = await this._request(config, 'get', `/${mediaId}`);
+      const response = await axios.get(media.url, {
+        headers: { Authorization: `Bearer ${config.accessToken}` },
+        responseType: 'arraybuffer',
+        timeout: 60000
+      });
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: media.mime_type
+      };
+    } catch (error) {
+      logger.error('WhatsAppCloudAdapter.downloadMedia failed', {
+        inboxId: inbox.id,
+        mediaId,
+        error: this._getGraphError(error)
+      });
+      throw this._mapError(error);
+    }
+  }
+
+  /**
+   * Check the required provider_config fields of a Cloud API inbox
+   * @param {Object} config - provider_config
+   * @throws {Error} INVALID_PROVIDER_CONFIG: <field>
+   */
+  validateConfig(config = {}) {
+    for (const field of ['phoneNumberId', 'accessToken', 'appSecret', 'verifyToken']) {
+      if (!config[field] || typeof config[field] !== 'string') {
+        throw new Error(`INVALID_PROVIDER_CONFIG: ${field}`);
+      }
+    }
+  }
+
+  /**
+   * Answer the webhook verification request (GET with hub.* params)
+   * @param {Object} inbox - Inbox object with provider_config
+   * @param {Object} query - Request query
+   * @returns {string|null} Challenge to echo back, null when verification fails
+   */
+  verifyWebhookChallenge(inbox, query = {}) {
+    const config = this.getConfig(inbox);
+
+    if (query['hub.mode'] !== 'subscribe' || !config.verifyToken) {
+      return null;
+    }
+
+    return this._safeEqual(String(query['hub.verify_token'] || ''), config.verifyToken)
+      ? String(query['hub.challenge'] || '')
+      : null;
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header against the raw request body
+   * @param {Object} inbox - Inbox object with provider_config
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {string} signature - Header value (sha256=<hex>)
+   * @returns {boolean}
+   */
+  verifySignature(inbox, rawBody, signature) {
+    const config = this.getConfig(inbox);
+
+    if (!config.appSecret || !rawBody || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', config.appSecret)
+      .update(rawBody)
+      .digest('hex');
+
+    return this._safeEqual(signature.substring(7), expected);
+  }
+
+  /**
+   * Translate a Cloud API webhook payload into WUZAPI-format events
+   * (Message and MessageStatus) for ChatMessageHandler.handleEvent
+   * @param {Object} payload - Webhook body ({ object, entry: [{ changes }] })
+   * @returns {Array<{type: string, data: Object, timestamp: string}>}
+   */
+  normalizeWebhook(payload) {
+    const events = [];
+
+    if (payload?.object !== 'whatsapp_business_account' || !Array.isArray(payload.entry)) {
+      return events;
+    }
+
+    for (const entry of payload.entry) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'messages' || !change.value) {
+          continue;
+        }
+
+        const { contacts = [], messages = [], statuses = [] } = change.value;
+
+        for (const message of messages) {
+          const event = this._normalizeMessage(message, contacts);
+          if (event) {
+            events.push(event);
+          }
+        }
+
+        for (const status of statuses) {
+          events.push(this._normalizeStatus(status));
+        }
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Build the Graph API payload for an outgoing message
+   * @param {import('./ProviderAdapter').OutgoingMessage} message
+   * @returns {Object} Graph API message payload
+   */
+  buildMessagePayload(message) {
+    const to = String(message.to || '').replace('@s.whatsapp.net', '').replace(/\D/g, '');
+    if (!to) {
+      throw new Error('Destinatário inválido');
+    }
+
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to
+    };
+
+    if (message.replyToMessageId) {
+      payload.context = { message_id: message.replyToMessageId };
+    }
+
+    if (message.template) {
+      const params = message.templateParams || {};
+      payload.type = 'template';
+      payload.template = {
+        name: message.template,
+        language: { code: params.language || DEFAULT_TEMPLATE_LANGUAGE }
+      };
+
+      // Either raw components or a list of body parameters
+      if (params.components) {
+        payload.template.components = params.components;
+      } else if (Array.isArray(params.parameters) && params.parameters.length > 0) {
+        payload.template.components = [{
+          type: 'body',
+          parameters: params.parameters.map(text => ({ type: 'text', text: String(text) }))
+        }];
+      }
+      return payload;
+    }
+
+    if (message.media) {
+      const { type, url, caption, filename } = message.media;
+      // Media goes by public link (base64 data would need an upload to /media first)
+      if (!MEDIA_TYPES.includes(type) || !url || url.startsWith('data:')) {
+        throw new Error('Mídia inválida');
+      }
+
+      const media = { link: url };
+      if (caption && type !== 'audio' && type !== 'sticker') {
+        media.caption = caption;
+      }
+      if (filename && type === 'document') {
+        media.filename = filename;
+      }
+
+      payload.type = type;
+      payload[type] = media;
+      return payload;
+    }
+
+    if (!message.text) {
+      throw new Error('Mensagem vazia');
+    }
+
+    payload.type = 'text';
+    payload.text = {
+      body: message.text,
+      preview_url: /https?:\/\//.test(message.text)
+    };
+    return payload;
+  }
+
+  /**
+   * Translate a received message into a WUZAPI Message event
+   * @param {Object} message - Cloud API message
+   * @param {Object[]} contacts - Contacts of the change (profile names)
+   * @returns {Object|null} Event, null for unsupported types
+   * @private
+   */
+  _normalizeMessage(message, contacts) {
+    const content = this._normalizeMessageContent(message);
+    if (!content) {
+      logger.debug('WhatsAppCloudAdapter: Ignoring unsupported message type', { type: message.type });
+      return null;
+    }
+
+    if (message.context?.id) {
+      content.messageContextInfo = { StanzaId: message.context.id };
+    }
+
+    const contact = contacts.find(c => c.wa_id === message.from) || contacts[0];
+    const jid = `${message.from}@s.whatsapp.net`;
+
+    return {
+      type: 'Message',
+      data: {
+        Info: {
+          Id: message.id,
+          Chat: jid,
+          Sender: jid,
+          FromMe: false,
+          PushName: contact?.profile?.name || message.from,
+          Timestamp: this._toIsoTimestamp(message.timestamp)
+        },
+        Message: content
+      },
+      timestamp: this._toIsoTimestamp(message.timestamp)
+    };
+  }
+
+  /**
+   * Map the Cloud API message body to the WUZAPI Message content
+   * @param {Object} message - Cloud API message
+   * @returns {Object|null}
+   * @private
+   */
+  _normalizeMessageContent(message) {
+    switch (message.type) {
+      case 'text':
+        return { conversation: message.text?.body || '' };
+
+      case 'image':
+      case 'video':
+      case 'audio':
+      case 'document':
+      case 'sticker': {
+        // Media is downloaded later through downloadMedia(mediaId)
+        const media = message[message.type] || {};
+        return {
+          [`${message.type}Message`]: {
+            mediaId: media.id,
+            mimetype: media.mime_type,
+            caption: media.caption,
+            fileName: media.filename,
+            ptt: message.type === 'audio' && media.voice === true
+          }
+        };
+      }
+
+      case 'location':
+        return {
+          locationMessage: {
+            degreesLatitude: message.location?.latitude,
+            degreesLongitude: message.location?.longitude,
+            name: message.location?.name || message.location?.address || ''
+          }
+        };
+
+      case 'contacts':
+        return { contactMessage: { vcard: this._toVcard(message.contacts?.[0]) } };
+
+      case 'reaction':
+        return {
+          reactionMessage: {
+            text: message.reaction?.emoji || '',
+            key: { id: message.reaction?.message_id }
+          }
+        };
+
+      case 'button':
+        return { conversation: message.button?.text || '' };
+
+      case 'interactive': {
+        const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+        return reply ? { conversation: reply.title || '' } : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Translate a status callback into a WUZAPI MessageStatus event
+   * @param {Object} status - Cloud API status
+   * @returns {Object}
+   * @private
+   */
+  _normalizeStatus(status) {
+    const data = {
+      MessageId: status.id,
+      Status: STATUS_MAP[status.status] || status.status,
+      Chat: status.recipient_id ? `${status.recipient_id}@s.whatsapp.net` : undefined,
+      Timestamp: this._toIsoTimestamp(status.timestamp)
+    };
+
+    if (status.errors?.length) {
+      data.Error = status.errors[0].title || status.errors[0].message;
+    }
+
+    return {
+      type: 'MessageStatus',
+      data,
+      timestamp: data.Timestamp
+    };
+  }
+
+  /**
+   * Build a vCard from a Cloud API shared contact
+   * @param {Object} contact
+   * @returns {string}
+   * @private
+   */
+  _toVcard(contact) {
+    if (!contact) {
+      return '';
+    }
+
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${contact.name?.formatted_name || ''}`];
+    for (const phone of contact.phones || []) {
+      lines.push(`TEL;type=${phone.type || 'CELL'}:${phone.phone || phone.wa_id || ''}`);
+    }
+    lines.push('END:VCARD');
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {string} seconds - Unix timestamp in seconds (Cloud API format)
+   * @returns {string} ISO timestamp
+   * @private
+   */
+  _toIsoTimestamp(seconds) {
+    const value = Number.parseInt(seconds, 10);
+    return Number.isNaN(value) ? new Date().toISOString() : new Date(value * 1000).toISOString();
+  }
+
+  /**
+   * Call the Graph API
+   * @param {Object} config - provider_config
+   * @param {string} method - HTTP method
+   * @param {string} path - Path after the API version
+   * @param {Object} [data] - JSON body
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<Object>} Response body
+   * @private
+   */
+  async _request(config, method, path, data = null, params = undefined) {
+    const baseUrl = (config.baseUrl || process.env.WHATSAPP_CLOUD_API_URL || 'https://graph.facebook.com').replace(/\/$/, '');
+    const response = await axios({
+      method,
+      url: `${baseUrl}/${config.apiVersion || DEFAULT_API_VERSION}${path}`,
+      data: data || undefined,
+      params,
+      headers: {
+        Authorization: `Bearer ${config.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: REQUEST_TIMEOUT
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Extract the Graph API error message
+   * @param {Error} error - Axios error
+   * @returns {string}
+   * @private
+   */
+  _getGraphError(error) {
+    return error.response?.data?.error?.message || error.message || 'Falha ao enviar mensagem';
+  }
+
+  /**
+   * Constant time string comparison
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   * @private
+   */
+  _safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  /**
+   * Map error to provider-specific error
+   * @param {Error} error - Original error
+   * @returns {Error} Mapped error
+   * @private
+   */
+  _mapError(error) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new ProviderTimeoutError(this.providerType, REQUEST_TIMEOUT);
+    }
+
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      return new InvalidTokenError(this.providerType);
+    }
+
+    if (error.response?.status === 429) {
+      return new RateLimitedError(this.providerType);
+    }
+
+    return new ProviderUnavailableError(this.providerType, new Error(this._getGraphError(error)));
+  }
+}
+
+module.exports = WhatsAppCloudAdapter;
@@ -9,6 +9,7 @@
 const ProviderAdapter = require('./ProviderAdapter');
 const ProviderAdapterFactory = require('./ProviderAdapterFactory');
 const WuzapiAdapter = require('./WuzapiAdapter');
+const WhatsAppCloudAdapter = require('./WhatsAppCloudAdapter');
 const errors = require('./errors');
 
 module.exports = {
@@ -20,6 +21,7 @@ module.exports = {
   
   // Adapters
   WuzapiAdapter,
+  WhatsAppCloudAdapter,
   
   // Errors
   ...errors
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for businessHours
+ * Tests calendar normalization, open checks, next opening and business
+ * minute arithmetic (legacy windows, timezones, holidays)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const businessHours = require('../utils/businessHours');
+
+const weekdays = {
+  1: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '18:00' }],
+  2: [{ start: '09:00', end: '18:00' }],
+  3: [{ start: '09:00', end: '18:00' }],
+  4: [{ start: '09:00', end: '18:00' }],
+  5: [{ start: '09:00', end: '18:00' }]
+};
+
+describe('businessHours', () => {
+  describe('normalizeCalendar', () => {
+    test('should convert HH:mm sending windows', () => {
+      const calendar = businessHours.normalizeCalendar({ startTime: '08:00', endTime: '20:00', days: [1, 2] });
+
+      assert.deepStrictEqual(calendar.weeklyHours[1], [{ start: '08:00', end: '20:00' }]);
+      assert.deepStrictEqual(calendar.weeklyHours[0], []);
+      assert.strictEqual(calendar.timezone, null);
+    });
+
+    test('should convert hour-based agent campaign windows', () => {
+      const calendar = businessHours.normalizeCalendar({ startHour: 9, endHour: 17 });
+
+      assert.deepStrictEqual(calendar.weeklyHours[6], [{ start: '09:00', end: '17:00' }]);
+    });
+
+    test('should treat empty and incomplete windows as unrestricted', () => {
+      assert.strictEqual(businessHours.normalizeCalendar(null), null);
+      assert.strictEqual(businessHours.normalizeCalendar({ startTime: '08:00' }), null);
+      assert.strictEqual(businessHours.isOpen(null, new Date()), true);
+    });
+  });
+
+  describe('isOpen', () => {
+    const calendar = { weeklyHours: weekdays, holidays: [{ date: '2026-01-07', name: 'Folga' }] };
+
+    test('should respect multiple intervals per day', () => {
+      assert.strictEqual(businessHours.isOpen(calendar, new Date(2026, 0, 5, 10, 0)), true);
+      assert.strictEqual(businessHours.isOpen(calendar, new Date(2026, 0, 5, 12, 30)), false);
+      assert.strictEqual(businessHours.isOpen(calendar, new Date(2026, 0, 5, 18, 0)), false);
+    });
+
+    test('should be closed on holidays and days without hours', () => {
+      assert.strictEqual(businessHours.isOpen(calendar, new Date(2026, 0, 7, 10, 0)), false);
+      assert.strictEqual(businessHours.isOpen(calendar, new Date(2026, 0, 10, 10, 0)), false);
+    });
+
+    test('should evaluate hours in the calendar timezone', () => {
+      const saoPaulo = { timezone: 'America/Sao_Paulo', weeklyHours: weekdays };
+
+      // 12:30 UTC = 09:30 in São Paulo (UTC-3)
+      assert.strictEqual(businessHours.isOpen(saoPaulo, new Date('2026-01-06T12:30:00Z')), true);
+      // 22:00 UTC = 19:00 in São Paulo
+      assert.strictEqual(businessHours.isOpen(saoPaulo, new Date('2026-01-06T22:00:00Z')), false);
+    });
+  });
+
+  describe('getNextOpening', () => {
+    test('should return the same time when already open', () => {
+      const now = new Date(2026, 0, 6, 10, 0);
+
+      assert.deepStrictEqual(businessHours.getNextOpening({ weeklyHours: weekdays }, now), now);
+    });
+
+    test('should skip lunch breaks, weekends and holidays', () => {
+      const calendar = { weeklyHours: weekdays, holidays: ['2026-01-12'] };
+
+      assert.deepStrictEqual(
+        businessHours.getNextOpening(calendar, new Date(2026, 0, 5, 12, 15)),
+        new Date(2026, 0, 5, 13, 0)
+      );
+      // Friday evening -> Monday is a holiday -> Tuesday 09:00
+      assert.deepStrictEqual(
+        businessHours.getNextOpening(calendar, new Date(2026, 0, 9, 19, 0)),
+        new Date(2026, 0, 13, 9, 0)
+      );
+    });
+
+    test('should convert the opening back from the calendar timezone', () => {
+      const saoPaulo = { timezone: 'America/Sao_Paulo', weeklyHours: weekdays };
+
+      const opening = businessHours.getNextOpening(saoPaulo, new Date('2026-01-06T22:00:00Z'));
+
+      assert.strictEqual(opening.toISOString(), '2026-01-07T12:00:00.000Z');
+    });
+
+    test('should return null when the calendar never opens', () => {
+      assert.strictEqual(businessHours.getNextOpening({ weeklyHours: {} }, new Date()), null);
+    });
+  });
+
+  describe('addBusinessMinutes', () => {
+    const calendar = { weeklyHours: weekdays };
+
+    test('should add wall-clock minutes without a calendar', () => {
+      const start = new Date(2026, 0, 5, 17, 0);
+
+      assert.strictEqual(businessHours.addBusinessMinutes(null, start, 30).getTime(), start.getTime() + 30 * 60000);
+    });
+
+    test('should carry the remainder across breaks and days', () => {
+      // Monday 11:30 + 60 min = 30 before lunch + 30 after
+      assert.deepStrictEqual(
+        businessHours.addBusinessMinutes(calendar, new Date(2026, 0, 5, 11, 30), 60),
+        new Date(2026, 0, 5, 13, 30)
+      );
+      // Friday 17:30 + 60 min -> Monday 09:30
+      assert.deepStrictEqual(
+        businessHours.addBusinessMinutes(calendar, new Date(2026, 0, 9, 17, 30), 60),
+        new Date(2026, 0, 12, 9, 30)
+      );
+    });
+
+    test('should start counting when the calendar opens', () => {
+      assert.deepStrictEqual(
+        businessHours.addBusinessMinutes(calendar, new Date(2026, 0, 6, 7, 0), 30),
+        new Date(2026, 0, 6, 9, 30)
+      );
+    });
+
+    test('should chain intervals that run until midnight', () => {
+      const allDay = { weeklyHours: { 1: [{ start: '20:00', end: '24:00' }], 2: [{ start: '00:00', end: '02:00' }] } };
+
+      assert.deepStrictEqual(
+        businessHours.addBusinessMinutes(allDay, new Date(2026, 0, 5, 23, 0), 120),
+        new Date(2026, 0, 6, 1, 0)
+      );
+    });
+  });
+
+  describe('getDayIntervals', () => {
+    test('should return the open intervals of a local date', () => {
+      assert.deepStrictEqual(businessHours.getDayIntervals({ weeklyHours: weekdays }, '2026-01-05'), [
+        { start: new Date(2026, 0, 5, 9, 0), end: new Date(2026, 0, 5, 12, 0) },
+        { start: new Date(2026, 0, 5, 13, 0), end: new Date(2026, 0, 5, 18, 0) }
+      ]);
+      assert.deepStrictEqual(businessHours.getDayIntervals({ weeklyHours: weekdays }, '2026-01-04'), []);
+    });
+
+    test('should convert the intervals from the calendar timezone', () => {
+      const calendar = { timezone: 'America/Sao_Paulo', weeklyHours: weekdays, holidays: ['2026-01-06'] };
+
+      assert.deepStrictEqual(businessHours.getDayIntervals(calendar, '2026-01-07'), [
+        { start: new Date('2026-01-07T12:00:00.000Z'), end: new Date('2026-01-07T21:00:00.000Z') }
+      ]);
+      assert.deepStrictEqual(businessHours.getDayIntervals(calendar, '2026-01-06'), []);
+    });
+  });
+});
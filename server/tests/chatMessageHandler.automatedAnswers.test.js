@@ -0,0 +1,136 @@
+/**
+ * ChatMessageHandler - automated answers
+ * Messages answered automatically (CSAT rating, reminder confirmation,
+ * consent, keyword command) are not forwarded to the assigned bot
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+function mockModule(path, exports) {
+  require.cache[require.resolve(path)] = { exports };
+}
+
+mockModule('../utils/logger', { logger: mockLogger });
+mockModule('../services/SupabaseService', {
+  queryAsAdmin: async () => ({ data: [], error: null })
+});
+
+const conversation = {
+  id: 'conv-1',
+  account_id: 'acc-1',
+  inbox_id: 'inbox-1',
+  assigned_bot_id: 'bot-1',
+  unread_count: 0
+};
+
+class MockChatService {
+  async getOrCreateConversation() {
+    return conversation;
+  }
+
+  async storeIncomingMessage(conversationId, data) {
+    return { id: 'msg-1', conversation_id: conversationId, ...data };
+  }
+}
+
+let forwarded = [];
+class MockBotService {
+  async checkBotCallQuota() {
+    return { allowed: true };
+  }
+
+  async incrementBotCallUsage() {}
+
+  async forwardToBot(botId, message) {
+    forwarded.push({ botId, content: message.content });
+    return null;
+  }
+}
+
+mockModule('../services/ChatService', MockChatService);
+mockModule('../services/BotService', MockBotService);
+mockModule('../services/GroupNameResolver', class {});
+mockModule('../services/ConversationAssignmentService', class {});
+mockModule('../services/MediaProcessorService', { mediaProcessorService: { isEnabled: () => false } });
+mockModule('../services/RealtimeService', {
+  broadcastNewMessage: async () => {},
+  broadcastConversationUpdate: async () => {}
+});
+mockModule('../services/DomainEventBus', { publish: async () => {} });
+mockModule('../services/VariationTracker', { recordMessageStatus: async () => ({ success: true }) });
+mockModule('../services/SlaService', { recordIncomingMessage: async () => {} });
+mockModule('../services/BusinessHoursService', { handleIncomingMessage: async () => ({}) });
+
+let handled = {};
+mockModule('../services/CsatService', {
+  handleIncomingMessage: async () => ({ handled: !!handled.csat })
+});
+mockModule('../services/AppointmentReminderService', {
+  handleIncomingMessage: async () => (handled.reminder ? { handled: true, action: handled.reminder } : { handled: false })
+});
+mockModule('../services/CommunicationPreferenceService', {
+  handleIncomingMessage: async () => ({ handled: !!handled.consent })
+});
+mockModule('../services/KeywordCommandService', {
+  handleIncomingMessage: async () => ({ handled: !!handled.keyword })
+});
+mockModule('../services/providers', { ProviderAdapterFactory: {} });
+
+const ChatMessageHandler = require('../webhooks/chatMessageHandler');
+
+function incomingText(text) {
+  return {
+    Info: { Id: '3EB0TEST', Chat: '5511999999999@s.whatsapp.net', FromMe: false },
+    Message: { conversation: text }
+  };
+}
+
+describe('ChatMessageHandler - automated answers and bot forwarding', () => {
+  let handler;
+
+  beforeEach(() => {
+    forwarded = [];
+    handled = {};
+    handler = new ChatMessageHandler();
+    handler.getUserIdFromToken = async () => 'user-1';
+  });
+
+  test('should forward regular messages to the assigned bot', async () => {
+    await handler.handleMessageEvent('token-1', incomingText('Oi, tudo bem?'), Date.now());
+
+    assert.deepStrictEqual(forwarded, [{ botId: 'bot-1', content: 'Oi, tudo bem?' }]);
+  });
+
+  test('should not forward a CSAT rating to the bot', async () => {
+    handled.csat = true;
+
+    await handler.handleMessageEvent('token-1', incomingText('5'), Date.now());
+
+    assert.strictEqual(forwarded.length, 0);
+  });
+
+  test('should not forward a reminder confirmation to the bot', async () => {
+    handled.reminder = 'confirm';
+
+    await handler.handleMessageEvent('token-1', incomingText('1'), Date.now());
+
+    assert.strictEqual(forwarded.length, 0);
+  });
+
+  test('should forward reschedule requests, which stay open for the agents', async () => {
+    handled.reminder = 'reschedule';
+
+    await handler.handleMessageEvent('token-1', incomingText('3'), Date.now());
+
+    assert.strictEqual(forwarded.length, 1);
+  });
+});
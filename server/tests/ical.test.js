@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for ical
+ * Tests feed writing (escaping, folding) and busy time reading from
+ * imported calendars (timezones, all-day events, recurrence, overrides)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const ical = require('../utils/ical');
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+describe('ical', () => {
+  describe('buildCalendar', () => {
+    test('should write escaped and folded events with CRLF line endings', () => {
+      const ics = ical.buildCalendar({
+        name: 'Agenda - Clínica',
+        now: new Date('2026-01-01T00:00:00.000Z'),
+        events: [{
+          uid: 'a1@appointments',
+          start: new Date('2026-01-05T12:30:00.000Z'),
+          end: new Date('2026-01-05T13:30:00.000Z'),
+          summary: 'Consulta; retorno, Maria',
+          description: 'Linha 1\nLinha 2 '.padEnd(120, 'ç'),
+          status: 'CONFIRMED',
+          rrule: 'FREQ=WEEKLY;INTERVAL=1;COUNT=3',
+          exdates: [new Date('2026-01-12T12:30:00.000Z')]
+        }]
+      });
+
+      const lines = ics.split('\r\n');
+      assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+      assert.ok(lines.includes('DTSTART:20260105T123000Z'));
+      assert.ok(lines.includes('EXDATE:20260112T123000Z'));
+      assert.ok(lines.includes('SUMMARY:Consulta\\; retorno\\, Maria'));
+      assert.ok(lines.includes('DTSTAMP:20260101T000000Z'));
+      assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+      assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+
+      // Folding round-trips through the reader
+      const [event] = ical.parseCalendar(ics);
+      assert.strictEqual(event.summary, 'Consulta; retorno, Maria');
+    });
+
+    test('should write local times with TZID for events with a timezone', () => {
+      const ics = ical.buildCalendar({
+        name: 'Agenda',
+        events: [{
+          uid: 's1@series',
+          start: new Date('2026-01-05T12:30:00.000Z'),
+          end: new Date('2026-01-05T13:30:00.000Z'),
+          summary: 'Consulta',
+          timezone: 'America/Sao_Paulo',
+          rrule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+          exdates: [new Date('2026-01-06T12:30:00.000Z'), new Date('2026-01-07T12:30:00.000Z')]
+        }]
+      });
+
+      const lines = ics.split('\r\n');
+      assert.ok(lines.includes('DTSTART;TZID=America/Sao_Paulo:20260105T093000'));
+      assert.ok(lines.includes('DTEND;TZID=America/Sao_Paulo:20260105T103000'));
+      assert.ok(lines.includes('EXDATE;TZID=America/Sao_Paulo:20260106T093000,20260107T093000'));
+    });
+  });
+
+  describe('parseCalendar', () => {
+    test('should read UTC, TZID, all-day and duration based events', () => {
+      const events = ical.parseCalendar(calendar(
+        ['BEGIN:VEVENT', 'UID:utc', 'DTSTART:20260105T120000Z', 'DTEND:20260105T130000Z', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:tz', 'DTSTART;TZID=America/Sao_Paulo:20260105T090000', 'DURATION:PT1H30M', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:day', 'DTSTART;VALUE=DATE:20260106', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:alarm', 'DTSTART:20260107T120000Z', 'BEGIN:VALARM', 'TRIGGER:-PT15M', 'END:VALARM', 'TRANSP:TRANSPARENT', 'END:VEVENT']
+      ), { timezone: 'America/Sao_Paulo' });
+
+      assert.deepStrictEqual(events.map(e => e.uid), ['utc', 'tz', 'day', 'alarm']);
+      assert.strictEqual(events[1].start.toISOString(), '2026-01-05T12:00:00.000Z');
+      assert.strictEqual(events[1].end.toISOString(), '2026-01-05T13:30:00.000Z');
+      assert.strictEqual(events[2].allDay, true);
+      assert.strictEqual(events[2].start.toISOString(), '2026-01-06T03:00:00.000Z');
+      assert.strictEqual(events[2].end.toISOString(), '2026-01-07T03:00:00.000Z');
+      assert.strictEqual(events[3].transparent, true);
+    });
+  });
+
+  describe('getBusyIntervals', () => {
+    const rangeStart = new Date('2026-01-01T00:00:00.000Z');
+    const rangeEnd = new Date('2026-03-01T00:00:00.000Z');
+
+    test('should expand weekly rules with BYDAY, COUNT and EXDATE', () => {
+      const events = ical.parseCalendar(calendar([
+        'BEGIN:VEVENT',
+        'UID:standup',
+        'DTSTART;TZID=America/Sao_Paulo:20260105T090000',
+        'DTEND;TZID=America/Sao_Paulo:20260105T093000',
+        'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+        'EXDATE;TZID=America/Sao_Paulo:20260107T090000',
+        'END:VEVENT'
+      ]));
+
+      const { busy, unsupportedRules } = ical.getBusyIntervals(events, rangeStart, rangeEnd);
+
+      assert.strictEqual(unsupportedRules, 0);
+      assert.deepStrictEqual(busy.map(b => b.start.toISOString()), [
+        '2026-01-05T12:00:00.000Z',
+        '2026-01-12T12:00:00.000Z',
+        '2026-01-14T12:00:00.000Z'
+      ]);
+    });
+
+    test('should apply overrides and skip cancelled, free and out of range events', () => {
+      const events = ical.parseCalendar(calendar(
+        ['BEGIN:VEVENT', 'UID:daily', 'DTSTART:20260110T150000Z', 'DTEND:20260110T160000Z', 'RRULE:FREQ=DAILY;UNTIL=20260112T235959Z', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:daily', 'RECURRENCE-ID:20260111T150000Z', 'DTSTART:20260111T180000Z', 'DTEND:20260111T190000Z', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:cancelled', 'DTSTART:20260115T150000Z', 'DTEND:20260115T160000Z', 'STATUS:CANCELLED', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:free', 'DTSTART:20260116T150000Z', 'DTEND:20260116T160000Z', 'TRANSP:TRANSPARENT', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:old', 'DTSTART:20251201T150000Z', 'DTEND:20251201T160000Z', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:monthly', 'DTSTART:20260131T150000Z', 'DTEND:20260131T160000Z', 'RRULE:FREQ=MONTHLY;COUNT=2', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:nth', 'DTSTART:20260202T150000Z', 'DTEND:20260202T160000Z', 'RRULE:FREQ=MONTHLY;BYDAY=1MO', 'END:VEVENT']
+      ));
+
+      const { busy, unsupportedRules } = ical.getBusyIntervals(events, rangeStart, rangeEnd);
+
+      assert.deepStrictEqual(busy.map(b => `${b.uid} ${b.start.toISOString()}`), [
+        'daily 2026-01-10T15:00:00.000Z',
+        'daily 2026-01-11T18:00:00.000Z',
+        'daily 2026-01-12T15:00:00.000Z',
+        'monthly 2026-01-31T15:00:00.000Z',
+        'nth 2026-02-02T15:00:00.000Z'
+      ]);
+      // February 31st does not exist and March 2nd is past the range
+      assert.strictEqual(unsupportedRules, 0);
+    });
+
+    test('should expand nth and last weekday of the month on the local wall clock', () => {
+      const [event] = ical.parseCalendar(calendar([
+        'BEGIN:VEVENT',
+        'UID:review',
+        'DTSTART;TZID=America/New_York:20260130T090000',
+        'DTEND;TZID=America/New_York:20260130T100000',
+        'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3',
+        'END:VEVENT'
+      ]));
+
+      // New York switches to daylight time on 2026-03-08
+      assert.deepStrictEqual(ical.expandRule(event, rangeEnd).map(d => d.toISOString()), [
+        '2026-01-30T14:00:00.000Z',
+        '2026-02-27T14:00:00.000Z'
+      ]);
+      assert.deepStrictEqual(
+        ical.expandRule(event, new Date('2027-01-01T00:00:00.000Z')).map(d => d.toISOString()).slice(2),
+        ['2026-03-27T13:00:00.000Z']
+      );
+
+      const fifth = ical.parseRule('FREQ=MONTHLY;BYDAY=5TH');
+      const starts = ical.expandRule(
+        { start: new Date('2026-01-29T12:00:00.000Z'), timezone: 'UTC', rrule: fifth },
+        new Date('2026-08-01T00:00:00.000Z')
+      );
+      assert.deepStrictEqual(starts.map(d => d.toISOString().slice(0, 10)), ['2026-01-29', '2026-04-30', '2026-07-30']);
+      assert.strictEqual(ical.parseRule('FREQ=MONTHLY;BYDAY=MO').supported, false);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Mock do query builder do Supabase
+ * Registra as chamadas encadeadas (eq, in, update, single, ...) e, ao ser
+ * aguardado, entrega a tabela e as operações ao `respond` do teste
+ */
+
+/**
+ * Cria a função que monta queries encadeáveis
+ * @param {Function} respond - (table, ops) => { data, error, count }
+ * @returns {Function} (table) => query
+ */
+function createQueryFactory(respond) {
+  return function createQuery(table) {
+    const ops = [];
+    const query = new Proxy({}, {
+      get(_, prop) {
+        if (prop === 'then') {
+          return (resolve, reject) => Promise.resolve(respond(table, ops)).then(resolve, reject);
+        }
+        return (...args) => {
+          ops.push({ op: prop, args });
+          return query;
+        };
+      }
+    });
+    return query;
+  };
+}
+
+module.exports = { createQueryFactory };
@@ -0,0 +1,280 @@
+/**
+ * Mock server para a API oficial do WhatsApp (Cloud API / Graph API)
+ * Simula os endpoints usados pelo WhatsAppCloudAdapter para testes
+ */
+
+const http = require('http');
+const url = require('url');
+const crypto = require('crypto');
+
+class WhatsAppCloudMock {
+  constructor(port = 0) {
+    this.port = port;
+    this.server = null;
+    this.phoneNumbers = new Map();
+    this.subscriptions = new Map();
+    this.media = new Map();
+    this.sentMessages = [];
+    this.requests = [];
+
+    this.initializeMockData();
+  }
+
+  initializeMockData() {
+    // Número de teste
+    this.phoneNumbers.set('100200300', {
+      accessToken: 'test-access-token',
+      display_phone_number: '+55 11 99999-0000',
+      verified_name: 'Empresa Teste',
+      quality_rating: 'GREEN',
+      businessAccountId: 'waba-1'
+    });
+
+    // Mídia recebida de teste
+    this.media.set('media-1', {
+      mime_type: 'image/jpeg',
+      content: Buffer.from('fake-jpeg-content')
+    });
+  }
+
+  /**
+   * Base URL para provider_config.baseUrl
+   */
+  get baseUrl() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handleRequest(req, res);
+      });
+
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (this.server) {
+        this.server.close(() => resolve());
+      } else {
+        resolve();
+      }
+    });
+  }
+
+  handleRequest(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+
+    const parsedUrl = url.parse(req.url, true);
+    // Remove a versão da API (/v21.0/...)
+    const parts = parsedUrl.pathname.split('/').filter(Boolean).slice(1);
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+
+    this.getRequestBody(req, (body) => {
+      this.requests.push({ method: req.method, path: parsedUrl.pathname, query: parsedUrl.query, body });
+
+      try {
+        // Download do binário da mídia (URL devolvida por GET /{media-id})
+        if (parts[0] === 'download') {
+          this.handleMediaDownload(res, parts[1], token);
+        } else if (parts.length === 2 && parts[1] === 'messages' && req.method === 'POST') {
+          this.handleSendMessage(res, parts[0], token, body);
+        } else if (parts.length === 2 && parts[1] === 'subscribed_apps') {
+          this.handleSubscribedApps(res, req.method, parts[0], token, body);
+        } else if (parts.length === 1 && req.method === 'GET') {
+          this.handleGetNode(res, parts[0], token);
+        } else {
+          this.sendError(res, 404, 'Unknown path', 100);
+        }
+      } catch (error) {
+        this.sendError(res, 500, 'Internal server error', 1);
+      }
+    });
+  }
+
+  handleGetNode(res, nodeId, token) {
+    const phone = this.phoneNumbers.get(nodeId);
+    if (phone) {
+      if (!this.checkToken(res, phone, token)) return;
+      this.sendSuccess(res, 200, {
+        id: nodeId,
+        display_phone_number: phone.display_phone_number,
+        verified_name: phone.verified_name,
+        quality_rating: phone.quality_rating
+      });
+      return;
+    }
+
+    const media = this.media.get(nodeId);
+    if (media) {
+      if (!this.isValidToken(token)) {
+        this.sendError(res, 401, 'Invalid OAuth access token', 190);
+        return;
+      }
+      this.sendSuccess(res, 200, {
+        id: nodeId,
+        url: `${this.baseUrl}/v21.0/download/${nodeId}`,
+        mime_type: media.mime_type,
+        messaging_product: 'whatsapp'
+      });
+      return;
+    }
+
+    this.sendError(res, 400, `Unsupported get request. Object with ID '${nodeId}' does not exist`, 100);
+  }
+
+  handleSendMessage(res, phoneNumberId, token, body) {
+    const phone = this.phoneNumbers.get(phoneNumberId);
+    if (!phone) {
+      this.sendError(res, 400, 'Phone number not found', 100);
+      return;
+    }
+    if (!this.checkToken(res, phone, token)) return;
+
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch {
+      this.sendError(res, 400, 'Invalid JSON', 100);
+      return;
+    }
+
+    if (message.messaging_product !== 'whatsapp' || !message.to || !message.type || !message[message.type]) {
+      this.sendError(res, 400, 'Invalid parameter', 100);
+      return;
+    }
+
+    const id = `wamid.${crypto.randomBytes(12).toString('hex')}`;
+    this.sentMessages.push({ id, phoneNumberId, ...message });
+
+    this.sendSuccess(res, 200, {
+      messaging_product: 'whatsapp',
+      contacts: [{ input: message.to, wa_id: message.to }],
+      messages: [{ id }]
+    });
+  }
+
+  handleSubscribedApps(res, method, businessAccountId, token, body) {
+    if (!this.isValidToken(token)) {
+      this.sendError(res, 401, 'Invalid OAuth access token', 190);
+      return;
+    }
+
+    if (method === 'POST') {
+      const data = body ? JSON.parse(body) : {};
+      this.subscriptions.set(businessAccountId, data);
+      this.sendSuccess(res, 200, { success: true });
+      return;
+    }
+
+    const subscription = this.subscriptions.get(businessAccountId);
+    this.sendSuccess(res, 200, {
+      data: subscription
+        ? [{ whatsapp_business_api_data: { id: 'app-1' }, override_callback_uri: subscription.override_callback_uri }]
+        : []
+    });
+  }
+
+  handleMediaDownload(res, mediaId, token) {
+    const media = this.media.get(mediaId);
+    if (!media || !this.isValidToken(token)) {
+      this.sendError(res, 404, 'Media not found', 100);
+      return;
+    }
+
+    res.setHeader('Content-Type', media.mime_type);
+    res.writeHead(200);
+    res.end(media.content);
+  }
+
+  // Métodos auxiliares
+  checkToken(res, phone, token) {
+    if (token !== phone.accessToken) {
+      this.sendError(res, 401, 'Invalid OAuth access token', 190);
+      return false;
+    }
+    return true;
+  }
+
+  isValidToken(token) {
+    return Array.from(this.phoneNumbers.values()).some(phone => phone.accessToken === token);
+  }
+
+  getRequestBody(req, callback) {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      callback(body);
+    });
+  }
+
+  sendSuccess(res, statusCode, data) {
+    res.writeHead(statusCode);
+    res.end(JSON.stringify(data));
+  }
+
+  // Formato de erro da Graph API
+  sendError(res, statusCode, message, code) {
+    res.writeHead(statusCode);
+    res.end(JSON.stringify({
+      error: {
+        message,
+        type: 'OAuthException',
+        code,
+        fbtrace_id: 'mock'
+      }
+    }));
+  }
+
+  // Métodos para manipular dados de teste
+
+  /**
+   * Monta um payload de webhook como o enviado pela Meta
+   * @param {string} phoneNumberId
+   * @param {Object} value - { contacts, messages, statuses }
+   */
+  buildWebhookPayload(phoneNumberId, value) {
+    return {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'waba-1',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '5511999990000', phone_number_id: phoneNumberId },
+            ...value
+          }
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Assinatura X-Hub-Signature-256 de um corpo
+   * @param {string} body - Corpo bruto
+   * @param {string} appSecret
+   */
+  sign(body, appSecret) {
+    return `sha256=${crypto.createHmac('sha256', appSecret).update(body).digest('hex')}`;
+  }
+
+  reset() {
+    this.phoneNumbers.clear();
+    this.subscriptions.clear();
+    this.media.clear();
+    this.sentMessages = [];
+    this.requests = [];
+    this.initializeMockData();
+  }
+}
+
+module.exports = WhatsAppCloudMock;
@@ -0,0 +1,304 @@
+/**
+ * AbTestService Tests
+ * Tests for config normalization, variant assignment, confidence intervals,
+ * winner selection and reply tracking
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Record writes made through SupabaseService
+let savedConfigs = [];
+let testContacts = [];
+let testVariations = [];
+let abCampaigns = [];
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => {
+    if (table === 'bulk_campaigns') {
+      const query = {
+        update: (data) => {
+          savedConfigs.push(data.ab_test);
+          return { eq: async () => ({ data: null, error: null }) };
+        },
+        select: () => ({
+          eq: () => ({ not: async () => ({ data: abCampaigns, error: null }) })
+        })
+      };
+      return queryFn(query);
+    }
+    if (table === 'message_variations') {
+      return { data: testVariations, error: null };
+    }
+    return { data: testContacts, error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+let recordedReplies = [];
+require.cache[require.resolve('../../services/VariationTracker')] = {
+  exports: {
+    recordReply: async (recipient, options) => {
+      recordedReplies.push({ recipient, ...options });
+      return { success: true, updated: 1 };
+    }
+  }
+};
+
+const { AbTestService } = require('../../services/AbTestService');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build logged variations: `sent` recipients of a variant, `successes` of them read
+ */
+function buildRows(variantId, sent, successes) {
+  return Array.from({ length: sent }, (_, i) => ({
+    variant_id: variantId,
+    recipient: `55119${variantId}${i}`,
+    delivered: true,
+    read: i < successes,
+    replied: false
+  }));
+}
+
+describe('AbTestService - configuration and assignment', () => {
+  const service = new AbTestService();
+
+  test('should apply defaults and generate variant ids', () => {
+    const config = service.normalizeConfig(JSON.stringify({
+      variants: [{ content: 'Oi' }, { content: 'Olá' }]
+    }));
+
+    assert.strictEqual(config.testPercentage, 20);
+    assert.strictEqual(config.metric, 'read');
+    assert.strictEqual(config.status, 'testing');
+    assert.deepStrictEqual(config.variants.map(v => v.id), ['A', 'B']);
+  });
+
+  test('should disable testing without at least two variants', () => {
+    assert.strictEqual(service.normalizeConfig(null), null);
+    assert.strictEqual(service.normalizeConfig({ variants: [{ content: 'Oi' }] }), null);
+  });
+
+  test('should assign variants round-robin to the test slice only', () => {
+    const config = service.normalizeConfig({
+      testPercentage: 30,
+      variants: [{ content: 'a' }, { content: 'b' }, { content: 'c' }]
+    });
+    const contacts = Array.from({ length: 20 }, (_, i) => ({ id: `c-${i}` }));
+
+    const assignments = service.assignVariants(contacts, config);
+
+    assert.strictEqual(assignments.length, 6);
+    assert.deepStrictEqual(assignments.map(a => a.variantId), ['A', 'B', 'C', 'A', 'B', 'C']);
+    assert.strictEqual(new Set(assignments.map(a => a.contactId)).size, 6);
+  });
+
+  test('should draw the test slice at random instead of the first contacts', () => {
+    const config = service.normalizeConfig({
+      testPercentage: 10,
+      variants: [{ content: 'a' }, { content: 'b' }]
+    });
+    const contacts = Array.from({ length: 100 }, (_, i) => ({ id: `c-${i}` }));
+    const firstTen = contacts.slice(0, 10).map(contact => contact.id);
+
+    const assignments = service.assignVariants(contacts, config);
+
+    assert.strictEqual(assignments.length, 10);
+    assert.notDeepStrictEqual(assignments.map(a => a.contactId).sort(), firstTen.sort());
+    assert.strictEqual(contacts[0].id, 'c-0');
+  });
+
+  test('should give every variant at least one contact', () => {
+    const config = service.normalizeConfig({
+      testPercentage: 1,
+      variants: [{ content: 'a' }, { content: 'b' }]
+    });
+
+    assert.strictEqual(service.getTestSliceSize(10, config), 2);
+    assert.strictEqual(service.getTestSliceSize(1, config), 1);
+  });
+});
+
+describe('AbTestService - statistics', () => {
+  const service = new AbTestService();
+
+  test('should compute critical z values', () => {
+    assert.ok(Math.abs(service.zForConfidence(0.95) - 1.96) < 0.01);
+    assert.ok(Math.abs(service.zForConfidence(0.99) - 2.576) < 0.01);
+  });
+
+  test('should compute Wilson intervals around the observed rate', () => {
+    const interval = service.wilsonInterval(50, 100, 0.95);
+
+    assert.strictEqual(interval.rate, 0.5);
+    assert.ok(Math.abs(interval.lower - 0.404) < 0.005);
+    assert.ok(Math.abs(interval.upper - 0.596) < 0.005);
+    assert.deepStrictEqual(service.wilsonInterval(0, 0, 0.95), { rate: 0, lower: 0, upper: 1 });
+  });
+
+  test('should compute two-proportion p-values', () => {
+    assert.ok(service.twoProportionPValue(60, 100, 40, 100) < 0.01);
+    assert.ok(service.twoProportionPValue(52, 100, 48, 100) > 0.5);
+    assert.strictEqual(service.twoProportionPValue(0, 10, 0, 10), 1);
+  });
+
+  test('should count logged sends once per recipient', () => {
+    const config = service.normalizeConfig({ variants: [{ content: 'a' }, { content: 'b' }] });
+    const variations = buildRows('A', 3, 1);
+    const stats = service.computeVariantStats(config, [
+      ...variations,
+      { ...variations[2], read: true, replied: true }
+    ], [
+      { variant_id: 'A', status: 'sent' },
+      { variant_id: 'A', status: 'sent' },
+      { variant_id: 'A', status: 'sent' },
+      { variant_id: 'A', status: 'failed' },
+      { variant_id: 'B', status: 'pending' }
+    ]);
+
+    assert.deepStrictEqual(
+      { assigned: stats[0].assigned, sent: stats[0].sent, failed: stats[0].failed, read: stats[0].read, replied: stats[0].replied },
+      { assigned: 4, sent: 3, failed: 1, read: 2, replied: 1 }
+    );
+    assert.strictEqual(stats[0].delivered, 3);
+    assert.strictEqual(stats[1].assigned, 1);
+    assert.strictEqual(stats[1].sent, 0);
+  });
+});
+
+describe('AbTestService - winner selection', () => {
+  const service = new AbTestService();
+  const config = service.normalizeConfig({
+    minSamplePerVariant: 50,
+    variants: [{ content: 'a' }, { content: 'b' }]
+  });
+
+  test('should pick a significantly better variant', () => {
+    const stats = service.computeVariantStats(config, [...buildRows('A', 100, 40), ...buildRows('B', 100, 65)]);
+
+    const decision = service.evaluateWinner(config, stats);
+
+    assert.strictEqual(decision.winnerVariantId, 'B');
+    assert.strictEqual(decision.reason, 'significant');
+    assert.ok(decision.pValue < 0.05);
+  });
+
+  test('should wait while the difference is not significant', () => {
+    const stats = service.computeVariantStats(config, [...buildRows('A', 100, 48), ...buildRows('B', 100, 52)]);
+
+    const decision = service.evaluateWinner(config, stats);
+
+    assert.strictEqual(decision.winnerVariantId, null);
+  });
+
+  test('should wait until every variant has the minimum sample', () => {
+    const stats = service.computeVariantStats(config, [...buildRows('A', 40, 5), ...buildRows('B', 40, 35)]);
+
+    assert.strictEqual(service.evaluateWinner(config, stats).winnerVariantId, null);
+  });
+
+  test('should pick the best rate once the deadline is reached', () => {
+    const stats = service.computeVariantStats(config, [...buildRows('A', 100, 52), ...buildRows('B', 100, 48)]);
+
+    const decision = service.evaluateWinner(config, stats, { deadlineReached: true });
+
+    assert.strictEqual(decision.winnerVariantId, 'A');
+    assert.strictEqual(decision.reason, 'deadline');
+  });
+
+  test('should apply the Bonferroni correction with more variants', () => {
+    const threeWay = service.normalizeConfig({
+      minSamplePerVariant: 50,
+      variants: [{ content: 'a' }, { content: 'b' }, { content: 'c' }]
+    });
+    // B vs A and C: p ~ 0.04, significant alone but not below 0.05 / 2
+    const stats = service.computeVariantStats(threeWay, [
+      ...buildRows('A', 200, 80),
+      ...buildRows('B', 200, 100),
+      ...buildRows('C', 200, 80)
+    ]);
+
+    assert.strictEqual(service.evaluateWinner(threeWay, stats).winnerVariantId, null);
+  });
+});
+
+describe('AbTestService - decideWinner', () => {
+  beforeEach(() => {
+    savedConfigs = [];
+    testContacts = [];
+    testVariations = [];
+  });
+
+  test('should start the deadline clock and keep testing', async () => {
+    const service = new AbTestService();
+    const config = service.normalizeConfig({ variants: [{ content: 'a' }, { content: 'b' }] });
+    const now = new Date('2026-01-07T10:00:00Z');
+
+    const result = await service.decideWinner('camp-1', config, now);
+
+    assert.strictEqual(result.winnerVariantId, undefined);
+    assert.strictEqual(result.testEndedAt, now.toISOString());
+    assert.strictEqual(savedConfigs.length, 1);
+  });
+
+  test('should persist the winner after the deadline', async () => {
+    const service = new AbTestService();
+    const testEndedAt = new Date('2026-01-07T10:00:00Z');
+    const config = service.normalizeConfig({
+      variants: [{ content: 'a' }, { content: 'b' }],
+      testEndedAt: testEndedAt.toISOString()
+    });
+    testVariations = [...buildRows('A', 10, 2), ...buildRows('B', 10, 6)];
+
+    const result = await service.decideWinner('camp-1', config, new Date(testEndedAt.getTime() + 25 * HOUR));
+
+    assert.strictEqual(result.winnerVariantId, 'B');
+    assert.strictEqual(result.status, 'decided');
+    assert.strictEqual(result.decisionReason, 'deadline');
+    assert.strictEqual(savedConfigs[0].winnerVariantId, 'B');
+  });
+});
+
+describe('AbTestService - recordReply', () => {
+  beforeEach(() => {
+    recordedReplies = [];
+    abCampaigns = [];
+  });
+
+  test('should record replies through VariationTracker for the A/B campaigns of the instance', async () => {
+    const service = new AbTestService();
+    abCampaigns = [{ id: 'camp-1' }, { id: 'camp-2' }];
+
+    await service.recordReply('token-1', '+55 (11) 99999-8888');
+
+    assert.strictEqual(recordedReplies.length, 1);
+    assert.deepStrictEqual(recordedReplies[0].campaignIds, ['camp-1', 'camp-2']);
+    assert.match(recordedReplies[0].recipient, /^\d+$/);
+    assert.ok(new Date(recordedReplies[0].since) < new Date());
+  });
+
+  test('should skip instances without A/B campaigns', async () => {
+    const service = new AbTestService();
+
+    await service.recordReply('token-1', '5511999998888');
+
+    assert.strictEqual(recordedReplies.length, 0);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * AppointmentReminderService Tests
+ * Tests due reminder selection per service rule, the one-send-per-rule claim
+ * and the handling of "1 confirmar / 2 cancelar / 3 remarcar" replies
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory rows answered by SupabaseService.queryAsAdmin
+let rules = [];
+let appointments = [];
+let reminders = [];
+let appointmentQueries = [];
+
+function respond(table, ops) {
+  const eqValue = (column) => ops.find(o => o.op === 'eq' && o.args[0] === column)?.args[1];
+
+  if (table === 'appointment_reminder_rules') return { data: rules, error: null };
+  if (table === 'inboxes') return { data: [{ id: eqValue('id') || 'inbox-1', wuzapi_token: 'token-1' }], error: null };
+
+  if (table === 'appointments') {
+    appointmentQueries.push(ops);
+    const serviceId = eqValue('service_id');
+    const rows = appointments
+      .filter(a => !serviceId || a.service_id === serviceId)
+      .map(a => ({ ...a, reminders: reminders.filter(r => r.appointment_id === a.id) }));
+    return { data: rows, error: null };
+  }
+
+  if (table === 'appointment_reminders') {
+    const awaiting = reminders.filter(r =>
+      r.awaiting_reply && r.contact_phone === eqValue('contact_phone') && r.account_id === eqValue('account_id')
+    );
+    return {
+      data: awaiting.map(r => ({ ...r, appointment: appointments.find(a => a.id === r.appointment_id) })),
+      error: null
+    };
+  }
+
+  return { data: null, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+  insert: async (table, data) => {
+    if (reminders.some(r => r.appointment_id === data.appointment_id && r.rule_id === data.rule_id)) {
+      return { data: null, error: { code: '23505' } };
+    }
+    const row = { id: `reminder-${reminders.length + 1}`, awaiting_reply: false, ...data };
+    reminders.push(row);
+    return { data: row, error: null };
+  },
+  update: async (table, id, data) => {
+    Object.assign(reminders.find(r => r.id === id), data);
+    return { data: null, error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// Collaborating services
+let statusUpdates = [];
+let interactions = [];
+let sentMessages = [];
+
+require.cache[require.resolve('../../services/AppointmentService')] = {
+  exports: {
+    updateStatus: async (accountId, tenantId, appointmentId, status, reason) => {
+      statusUpdates.push({ appointmentId, status, reason });
+      appointments.find(a => a.id === appointmentId).status = status;
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/AppointmentSeriesService')] = {
+  exports: {
+    getOccurrences: async () => []
+  }
+};
+
+require.cache[require.resolve('../../services/BusinessHoursService')] = {
+  exports: {
+    getCalendar: async () => null
+  }
+};
+
+require.cache[require.resolve('../../services/ContactInteractionService')] = {
+  exports: {
+    logInteraction: async (contactId, type, direction, content, metadata) => {
+      interactions.push({ contactId, type, content, metadata });
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/providers/ProviderAdapterFactory')] = {
+  exports: {
+    getAdapterForInbox: () => ({
+      sendMessage: async (inbox, message) => {
+        sentMessages.push({ inboxId: inbox.id, ...message });
+        return { success: true, messageId: 'msg-1' };
+      }
+    })
+  }
+};
+
+const { AppointmentReminderService } = require('../../services/AppointmentReminderService');
+
+const now = new Date('2026-01-04T15:00:00.000Z');
+
+function buildAppointment(overrides = {}) {
+  return {
+    id: 'appointment-1',
+    account_id: 'account-1',
+    tenant_id: 'tenant-1',
+    contact_id: 'contact-1',
+    service_id: 'service-1',
+    title: 'Consulta',
+    // 2026-01-05 09:30 in São Paulo
+    start_time: '2026-01-05T12:30:00.000Z',
+    end_time: '2026-01-05T13:30:00.000Z',
+    status: 'scheduled',
+    created_at: '2026-01-01T10:00:00.000Z',
+    contact: { id: 'contact-1', name: 'Maria', phone: '5511988887777' },
+    service: { id: 'service-1', name: 'Consulta' },
+    ...overrides
+  };
+}
+
+describe('AppointmentReminderService', () => {
+  let reminderService;
+
+  beforeEach(() => {
+    reminderService = new AppointmentReminderService();
+    rules = [];
+    appointments = [];
+    reminders = [];
+    appointmentQueries = [];
+    statusUpdates = [];
+    interactions = [];
+    sentMessages = [];
+  });
+
+  test('should send a templated reminder once per rule with the confirmation options', async () => {
+    rules = [{
+      id: 'rule-24h',
+      account_id: 'account-1',
+      service_id: 'service-1',
+      inbox_id: null,
+      offset_minutes: 1440,
+      message_template: 'Olá {{nome}}, lembrete: {{servico}} em {{data}} às {{hora}}.',
+      ask_confirmation: true,
+      is_active: true
+    }];
+    appointments = [buildAppointment()];
+
+    assert.deepStrictEqual(await reminderService.processDueReminders(now), { sent: 1, failed: 0, skipped: 0 });
+    assert.strictEqual(sentMessages.length, 1);
+    assert.strictEqual(sentMessages[0].to, '5511988887777');
+    assert.strictEqual(
+      sentMessages[0].text,
+      'Olá Maria, lembrete: Consulta em 05/01/2026 às 09:30.\n\nResponda:\n1 - Confirmar\n2 - Cancelar\n3 - Remarcar'
+    );
+    assert.strictEqual(reminders[0].status, 'sent');
+    assert.strictEqual(reminders[0].awaiting_reply, true);
+
+    // The next tick does not send it again
+    assert.deepStrictEqual(await reminderService.processDueReminders(now), { sent: 0, failed: 0, skipped: 0 });
+    assert.strictEqual(sentMessages.length, 1);
+  });
+
+  test('should skip appointments booked inside the reminder window', async () => {
+    rules = [{
+      id: 'rule-24h',
+      account_id: 'account-1',
+      service_id: null,
+      offset_minutes: 1440,
+      message_template: 'Lembrete: {{titulo}}',
+      ask_confirmation: false,
+      is_active: true
+    }];
+    appointments = [buildAppointment({ created_at: '2026-01-04T14:00:00.000Z' })];
+
+    assert.deepStrictEqual(await reminderService.processDueReminders(now), { sent: 0, failed: 0, skipped: 1 });
+    assert.strictEqual(sentMessages.length, 0);
+    assert.strictEqual(reminders[0].status, 'skipped');
+  });
+
+  test('should leave services with their own rules out of the default rule', async () => {
+    rules = [
+      { id: 'rule-default', account_id: 'account-1', service_id: null, offset_minutes: 120, message_template: 'A', is_active: true },
+      { id: 'rule-service', account_id: 'account-1', service_id: 'service-1', offset_minutes: 60, message_template: 'B', is_active: true }
+    ];
+
+    await reminderService.processDueReminders(now);
+
+    const defaultQuery = appointmentQueries[0];
+    assert.deepStrictEqual(defaultQuery.find(o => o.op === 'or').args[0], 'service_id.is.null,service_id.not.in.(service-1)');
+    assert.ok(!appointmentQueries[1].some(o => o.op === 'or'));
+  });
+
+  test('should parse numeric and written replies', () => {
+    assert.strictEqual(reminderService.parseReply('1'), 'confirm');
+    assert.strictEqual(reminderService.parseReply(' 2 - cancelar'), 'cancel');
+    assert.strictEqual(reminderService.parseReply('3'), 'reschedule');
+    assert.strictEqual(reminderService.parseReply('Sim, confirmo!'), 'confirm');
+    assert.strictEqual(reminderService.parseReply('Remarcar por favor'), 'reschedule');
+    assert.strictEqual(reminderService.parseReply('Cancelar'), 'cancel');
+    assert.strictEqual(reminderService.parseReply('10 minutos atrasado'), null);
+    assert.strictEqual(reminderService.parseReply('Bom dia'), null);
+  });
+
+  test('should confirm or cancel the appointment from the reply and log it on the timeline', async () => {
+    appointments = [buildAppointment()];
+    reminders = [{
+      id: 'reminder-1',
+      account_id: 'account-1',
+      appointment_id: 'appointment-1',
+      inbox_id: 'inbox-1',
+      contact_phone: '5511988887777',
+      awaiting_reply: true
+    }];
+    const conversation = { id: 'conversation-1', account_id: 'account-1', inbox_id: 'inbox-2', contact_jid: '5511988887777@s.whatsapp.net' };
+
+    assert.deepStrictEqual(await reminderService.handleIncomingMessage(conversation, 'Bom dia', now), { handled: false });
+
+    const result = await reminderService.handleIncomingMessage(conversation, '1', now);
+
+    assert.deepStrictEqual(result, { handled: true, action: 'confirm' });
+    assert.deepStrictEqual(statusUpdates, [{ appointmentId: 'appointment-1', status: 'confirmed', reason: null }]);
+    assert.strictEqual(reminders[0].awaiting_reply, false);
+    assert.strictEqual(reminders[0].reply_action, 'confirm');
+    assert.strictEqual(interactions[0].type, 'status_change');
+    assert.deepStrictEqual(interactions[0].metadata, { appointmentId: 'appointment-1', reminderReply: 'confirm' });
+    assert.strictEqual(sentMessages[0].inboxId, 'inbox-2');
+
+    // Already answered: later messages are regular conversation
+    assert.deepStrictEqual(await reminderService.handleIncomingMessage(conversation, '2', now), { handled: false });
+
+    reminders[0].awaiting_reply = true;
+    await reminderService.handleIncomingMessage(conversation, '2', now);
+    assert.deepStrictEqual(statusUpdates[1], {
+      appointmentId: 'appointment-1',
+      status: 'cancelled',
+      reason: 'Cancelado pelo contato via WhatsApp'
+    });
+  });
+
+  test('should only record reschedule requests and ignore replies to past appointments', async () => {
+    appointments = [buildAppointment()];
+    reminders = [{ id: 'reminder-1', account_id: 'account-1', appointment_id: 'appointment-1', contact_phone: '5511988887777', awaiting_reply: true }];
+    const conversation = { id: 'conversation-1', account_id: 'account-1', inbox_id: 'inbox-1', contact_jid: '5511988887777@s.whatsapp.net' };
+
+    assert.deepStrictEqual(await reminderService.handleIncomingMessage(conversation, '3', now), { handled: true, action: 'reschedule' });
+    assert.deepStrictEqual(statusUpdates, []);
+    assert.match(interactions[0].content, /Pediu para remarcar/);
+
+    reminders[0].awaiting_reply = true;
+    const late = new Date('2026-01-05T13:00:00.000Z');
+    assert.deepStrictEqual(await reminderService.handleIncomingMessage(conversation, '1', late), { handled: false });
+    assert.strictEqual(reminders[0].awaiting_reply, false);
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * AppointmentSeriesService Tests
+ * Tests RRULE building, on-the-fly expansion with rows and EXDATEs, the
+ * conflict report of new series and this/following/all edits and deletes
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+const crypto = require('crypto');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService
+let tables;
+
+const compare = (a, b) => {
+  const dateA = Date.parse(a);
+  const dateB = Date.parse(b);
+  return isNaN(dateA) || isNaN(dateB) ? String(a).localeCompare(String(b)) : dateA - dateB;
+};
+
+// "column.op.value" terms of a flat or() filter
+function matchesOr(row, filter) {
+  if (filter.includes('and(')) return true;
+  return filter.split(',').some(term => {
+    const [column, op, ...rest] = term.split('.');
+    const value = rest.join('.');
+    if (op === 'is') return row[column] === null || row[column] === undefined;
+    if (op === 'eq') return String(row[column]) === value;
+    if (op === 'neq') return row[column] !== value;
+    if (op === 'gt') return row[column] !== null && compare(row[column], value) > 0;
+    return false;
+  });
+}
+
+function matches(row, ops) {
+  return ops.every(({ op, args: [column, value] }) => {
+    if (op === 'eq') return compare(row[column], value) === 0;
+    if (op === 'neq') return row[column] !== value;
+    if (op === 'lt') return compare(row[column], value) < 0;
+    if (op === 'gt') return compare(row[column], value) > 0;
+    if (op === 'lte') return compare(row[column], value) <= 0;
+    if (op === 'gte') return compare(row[column], value) >= 0;
+    if (op === 'in') return value.includes(row[column]);
+    if (op === 'or') return matchesOr(row, column);
+    return true;
+  });
+}
+
+function respond(table, ops) {
+  const rows = tables[table] || [];
+  const insert = ops.find(o => o.op === 'insert');
+
+  if (insert) {
+    const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...insert.args[0] };
+    if (rows.some(r => r.series_id && r.series_id === row.series_id && r.recurrence_start === row.recurrence_start)) {
+      return { data: null, error: { code: '23505' } };
+    }
+    rows.push(row);
+    return { data: row, error: null };
+  }
+
+  const found = rows.filter(row => matches(row, ops));
+  if (ops.some(o => o.op === 'delete')) {
+    tables[table] = rows.filter(row => !found.includes(row));
+    return { error: null };
+  }
+  if (ops.some(o => o.op === 'single')) {
+    return found[0] ? { data: found[0], error: null } : { data: null, error: { code: 'PGRST116' } };
+  }
+  return { data: found, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: {
+    queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+    insert: async (table, data) => respond(table, [{ op: 'insert', args: [data] }]),
+    update: async (table, id, data) => {
+      const row = tables[table].find(r => r.id === id);
+      Object.assign(row, data);
+      return { data: row, error: null };
+    },
+    delete: async (table, id) => {
+      tables[table] = tables[table].filter(r => r.id !== id);
+      // ON DELETE CASCADE of appointments.series_id
+      if (table === 'appointment_series') tables.appointments = tables.appointments.filter(r => r.series_id !== id);
+      return { error: null };
+    }
+  }
+};
+
+// Collaborating appointment service (rows only)
+let created = [];
+let updated = [];
+
+require.cache[require.resolve('../../services/AppointmentService')] = {
+  exports: {
+    createAppointment: async (accountId, tenantId, data) => {
+      created.push(data);
+      const row = {
+        id: crypto.randomUUID(),
+        account_id: accountId,
+        tenant_id: tenantId,
+        title: data.title,
+        start_time: data.startTime,
+        end_time: data.endTime,
+        status: 'scheduled',
+        series_id: data.seriesId,
+        recurrence_start: data.recurrenceStart
+      };
+      tables.appointments.push(row);
+      return row;
+    },
+    getAppointmentById: async (accountId, tenantId, id) => tables.appointments.find(r => r.id === id) || null,
+    updateAppointment: async (accountId, tenantId, id, data) => {
+      updated.push({ id, data });
+      return tables.appointments.find(r => r.id === id);
+    },
+    deleteAppointment: async (accountId, tenantId, id) => {
+      tables.appointments = tables.appointments.filter(r => r.id !== id);
+    },
+    checkSlotAvailability: async () => true
+  }
+};
+
+const { AppointmentSeriesService } = require('../../services/AppointmentSeriesService');
+
+const TZ = 'America/Sao_Paulo';
+
+function appointmentData(overrides = {}) {
+  return {
+    contactId: 'contact-1',
+    title: 'Terapia',
+    // Monday 2027-03-01 09:00 in São Paulo
+    startTime: '2027-03-01T12:00:00.000Z',
+    endTime: '2027-03-01T13:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('AppointmentSeriesService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new AppointmentSeriesService();
+    tables = {
+      accounts: [{ id: 'account-1', timezone: TZ }],
+      appointment_series: [],
+      appointments: [],
+      blocked_slots: []
+    };
+    created = [];
+    updated = [];
+  });
+
+  test('should build RRULEs for every pattern type', () => {
+    const monday = new Date('2027-03-01T12:00:00.000Z');
+
+    assert.strictEqual(service.buildRule({ type: 'daily', count: 5 }, monday, TZ), 'FREQ=DAILY;COUNT=5');
+    assert.strictEqual(service.buildRule({ type: 'weekdays' }, monday, TZ), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+    assert.strictEqual(service.buildRule({ type: 'weekly', interval: 2 }, monday, TZ), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO');
+    assert.strictEqual(
+      service.buildRule({ type: 'weekly', daysOfWeek: [4, 1, 4] }, monday, TZ),
+      'FREQ=WEEKLY;BYDAY=MO,TH'
+    );
+    assert.strictEqual(
+      service.buildRule({ type: 'monthly', weekOfMonth: -1, endDate: '2027-12-31T12:00:00.000Z' }, monday, TZ),
+      'FREQ=MONTHLY;BYDAY=-1MO;UNTIL=20271231T120000Z'
+    );
+    assert.strictEqual(service.buildRule({ type: 'monthly' }, monday, TZ), 'FREQ=MONTHLY');
+  });
+
+  test('should report conflicting occurrences and leave them out of the series', async () => {
+    tables.appointments.push({
+      id: 'busy-1',
+      account_id: 'account-1',
+      tenant_id: 'tenant-1',
+      title: 'Outro paciente',
+      status: 'confirmed',
+      start_time: '2027-03-15T12:30:00.000Z',
+      end_time: '2027-03-15T13:30:00.000Z'
+    });
+    tables.blocked_slots.push({
+      id: 'block-1',
+      account_id: 'account-1',
+      tenant_id: 'tenant-1',
+      reason: 'Feriado',
+      is_recurring: false,
+      start_time: '2027-03-22T00:00:00.000Z',
+      end_time: '2027-03-23T00:00:00.000Z'
+    });
+
+    const { appointment, series, conflicts } = await service.createSeries('account-1', 'tenant-1', appointmentData({
+      recurringPattern: { type: 'weekly', count: 6, exceptions: ['2027-03-29'] }
+    }));
+
+    assert.deepStrictEqual(conflicts.map(c => [c.startTime, c.conflictsWith.type, c.conflictsWith.id]), [
+      ['2027-03-15T12:00:00.000Z', 'appointment', 'busy-1'],
+      ['2027-03-22T12:00:00.000Z', 'blocked', 'block-1']
+    ]);
+    assert.strictEqual(series.rrule, 'FREQ=WEEKLY;BYDAY=MO;COUNT=6');
+    assert.strictEqual(series.timezone, TZ);
+    assert.deepStrictEqual(series.exdates, [
+      '2027-03-29T12:00:00.000Z',
+      '2027-03-15T12:00:00.000Z',
+      '2027-03-22T12:00:00.000Z'
+    ]);
+    assert.strictEqual(series.last_occurrence_end, '2027-04-05T13:00:00.000Z');
+
+    assert.strictEqual(created[0].seriesId, series.id);
+    assert.strictEqual(created[0].recurrenceStart, '2027-03-01T12:00:00.000Z');
+    assert.strictEqual(created[0].recurringPattern, undefined);
+    assert.strictEqual(appointment.series_id, series.id);
+
+    // The first occurrence is a row, excluded ones are not expanded
+    const occurrences = await service.getOccurrences('account-1', 'tenant-1', {
+      startDate: new Date('2027-02-01T00:00:00.000Z'),
+      endDate: new Date('2027-05-01T00:00:00.000Z')
+    });
+    assert.deepStrictEqual(occurrences.map(o => o.start_time), ['2027-03-08T12:00:00.000Z', '2027-04-05T12:00:00.000Z']);
+    assert.strictEqual(occurrences[0].id, `${series.id}_2027-03-08T12:00:00.000Z`);
+    assert.strictEqual(occurrences[0].is_occurrence, true);
+  });
+
+  test('should reject conflicting series with the fail strategy and unavailable first slots', async () => {
+    tables.appointments.push({
+      id: 'busy-1',
+      account_id: 'account-1',
+      tenant_id: 'tenant-1',
+      status: 'scheduled',
+      start_time: '2027-03-03T12:00:00.000Z',
+      end_time: '2027-03-03T13:00:00.000Z'
+    });
+
+    await assert.rejects(
+      service.createSeries('account-1', 'tenant-1', appointmentData({
+        recurringPattern: { type: 'weekdays', count: 5 },
+        conflictStrategy: 'fail'
+      })),
+      (error) => error.message === 'RECURRENCE_CONFLICT' && error.details[0].startTime === '2027-03-03T12:00:00.000Z'
+    );
+
+    await assert.rejects(
+      service.createSeries('account-1', 'tenant-1', appointmentData({
+        startTime: '2027-03-03T12:00:00.000Z',
+        endTime: '2027-03-03T13:00:00.000Z',
+        recurringPattern: { type: 'daily', count: 3 }
+      })),
+      { message: 'SLOT_UNAVAILABLE' }
+    );
+
+    // Saturday is not a weekday occurrence
+    await assert.rejects(
+      service.createSeries('account-1', 'tenant-1', appointmentData({
+        startTime: '2027-03-06T12:00:00.000Z',
+        endTime: '2027-03-06T13:00:00.000Z',
+        recurringPattern: { type: 'weekdays' }
+      })),
+      { message: 'INVALID_RECURRENCE_START' }
+    );
+
+    assert.strictEqual(tables.appointment_series.length, 0);
+  });
+
+  test('should materialize an occurrence edited on its own', async () => {
+    const { series } = await service.createSeries('account-1', 'tenant-1', appointmentData({
+      recurringPattern: { type: 'weekly' }
+    }));
+    const id = `${series.id}_2027-03-08T12:00:00.000Z`;
+
+    const occurrence = await service.getOccurrence('account-1', 'tenant-1', id);
+    assert.strictEqual(occurrence.is_occurrence, true);
+    assert.strictEqual(await service.getOccurrence('account-1', 'tenant-1', `${series.id}_2027-03-09T12:00:00.000Z`), null);
+
+    const result = await service.updateOccurrence('account-1', 'tenant-1', id, { title: 'Terapia (online)' }, 'this');
+    const row = tables.appointments.find(r => r.recurrence_start === '2027-03-08T12:00:00.000Z');
+    assert.ok(row);
+    assert.strictEqual(row.created_at, series.created_at);
+    assert.deepStrictEqual(updated, [{ id: row.id, data: { title: 'Terapia (online)' } }]);
+    assert.strictEqual(result.appointment.id, row.id);
+
+    // The same virtual id now resolves to the row
+    assert.strictEqual((await service.getOccurrence('account-1', 'tenant-1', id)).id, row.id);
+    assert.strictEqual((await service.materializeOccurrence('account-1', 'tenant-1', id)).id, row.id);
+  });
+
+  test('should split the series when editing this and following occurrences', async () => {
+    const { series } = await service.createSeries('account-1', 'tenant-1', appointmentData({
+      recurringPattern: { type: 'weekly', count: 6 }
+    }));
+    const third = `${series.id}_2027-03-15T12:00:00.000Z`;
+    await service.materializeOccurrence('account-1', 'tenant-1', `${series.id}_2027-03-22T12:00:00.000Z`);
+
+    // Two hours later from the third occurrence on
+    const result = await service.updateOccurrence('account-1', 'tenant-1', third, {
+      startTime: '2027-03-15T14:00:00.000Z',
+      endTime: '2027-03-15T15:00:00.000Z'
+    }, 'following');
+
+    const old = tables.appointment_series.find(s => s.id === series.id);
+    assert.strictEqual(old.rrule, 'FREQ=WEEKLY;BYDAY=MO;UNTIL=20270315T115959Z');
+    assert.strictEqual(old.last_occurrence_end, '2027-03-08T13:00:00.000Z');
+
+    assert.strictEqual(result.series.starts_at, '2027-03-15T14:00:00.000Z');
+    assert.strictEqual(result.series.rrule, 'FREQ=WEEKLY;BYDAY=MO;COUNT=4');
+    assert.strictEqual(result.appointment.id, `${result.series.id}_2027-03-15T14:00:00.000Z`);
+    assert.deepStrictEqual(result.conflicts, []);
+
+    // The materialized occurrence moved with the new series
+    const row = tables.appointments.find(r => r.series_id === result.series.id);
+    assert.strictEqual(row.recurrence_start, '2027-03-22T14:00:00.000Z');
+    assert.strictEqual(row.start_time, '2027-03-22T14:00:00.000Z');
+    assert.strictEqual(row.end_time, '2027-03-22T15:00:00.000Z');
+  });
+
+  test('should move the whole series with its weekdays, exclusions and open rows', async () => {
+    const { series } = await service.createSeries('account-1', 'tenant-1', appointmentData({
+      recurringPattern: { type: 'weekly', daysOfWeek: [1, 3], count: 6, exceptions: ['2027-03-10'] }
+    }));
+    const firstRow = tables.appointments[0];
+
+    // Monday 09:00 -> Tuesday 10:00, from the second occurrence
+    const result = await service.updateOccurrence('account-1', 'tenant-1', `${series.id}_2027-03-03T12:00:00.000Z`, {
+      startTime: '2027-03-04T13:00:00.000Z',
+      endTime: '2027-03-04T14:30:00.000Z',
+      title: 'Terapia em grupo'
+    }, 'all');
+
+    const moved = result.series;
+    assert.strictEqual(moved.starts_at, '2027-03-02T13:00:00.000Z');
+    assert.strictEqual(moved.rrule, 'FREQ=WEEKLY;BYDAY=TU,TH;COUNT=6');
+    assert.strictEqual(moved.duration_minutes, 90);
+    assert.strictEqual(moved.title, 'Terapia em grupo');
+    assert.deepStrictEqual(moved.exdates, ['2027-03-11T13:00:00.000Z']);
+
+    assert.strictEqual(firstRow.recurrence_start, '2027-03-02T13:00:00.000Z');
+    assert.strictEqual(firstRow.start_time, '2027-03-02T13:00:00.000Z');
+    assert.strictEqual(firstRow.end_time, '2027-03-02T14:30:00.000Z');
+    assert.strictEqual(firstRow.title, 'Terapia em grupo');
+    assert.strictEqual(result.appointment.start_time, '2027-03-04T13:00:00.000Z');
+  });
+
+  test('should delete one occurrence, the following ones or the whole series', async () => {
+    const { series } = await service.createSeries('account-1', 'tenant-1', appointmentData({
+      recurringPattern: { type: 'daily', count: 10 }
+    }));
+    const id = (day) => `${series.id}_2027-03-${day}T12:00:00.000Z`;
+    await service.materializeOccurrence('account-1', 'tenant-1', id('04'));
+    await service.materializeOccurrence('account-1', 'tenant-1', id('08'));
+
+    await service.deleteOccurrence('account-1', 'tenant-1', id('04'), 'this');
+    const stored = tables.appointment_series[0];
+    assert.deepStrictEqual(stored.exdates, ['2027-03-04T12:00:00.000Z']);
+    assert.strictEqual(tables.appointments.length, 2);
+
+    await service.deleteOccurrence('account-1', 'tenant-1', id('07'), 'following');
+    assert.strictEqual(stored.rrule, 'FREQ=DAILY;UNTIL=20270307T115959Z');
+    assert.strictEqual(stored.last_occurrence_end, '2027-03-06T13:00:00.000Z');
+    assert.deepStrictEqual(tables.appointments.map(r => r.recurrence_start), ['2027-03-01T12:00:00.000Z']);
+
+    await assert.rejects(service.deleteOccurrence('account-1', 'tenant-1', id('08'), 'this'), { message: 'APPOINTMENT_NOT_FOUND' });
+
+    await service.deleteOccurrence('account-1', 'tenant-1', id('02'), 'all');
+    assert.strictEqual(tables.appointment_series.length, 0);
+    assert.strictEqual(tables.appointments.length, 0);
+  });
+});
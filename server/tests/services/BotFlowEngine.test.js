@@ -0,0 +1,288 @@
+/**
+ * BotFlowEngine Tests
+ * Tests for the native flow bot runtime (node execution, branching, sessions)
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// Mock axios (HTTP nodes without an httpRequest effect)
+let axiosCalls = [];
+require.cache[require.resolve('axios')] = {
+  exports: async (config) => {
+    axiosCalls.push(config);
+    return { data: 'ok' };
+  }
+};
+
+const BotFlowEngine = require('../../services/BotFlowEngine');
+const { SESSION_STATUS, MAX_STEPS_PER_RUN } = BotFlowEngine;
+
+const onboardingFlow = {
+  startNodeId: 'welcome',
+  nodes: [
+    { id: 'welcome', type: 'send_message', data: { text: 'Olá {{nome}}!' }, next: 'ask_email' },
+    {
+      id: 'ask_email',
+      type: 'ask_question',
+      data: { text: 'Qual seu email?', variable: 'email', validation: '^\\S+@\\S+$', retryText: 'Email inválido' },
+      next: 'menu'
+    },
+    { id: 'menu', type: 'ask_question', data: { text: '1 vendas / 2 suporte', variable: 'opcao' }, next: 'route' },
+    {
+      id: 'route',
+      type: 'condition',
+      data: {
+        rules: [
+          { source: 'variable', field: 'opcao', operator: 'keyword', value: '1, vendas', next: 'sales' },
+          { source: 'variable', field: 'opcao', operator: 'regex', value: '^2$|suporte', next: 'support' }
+        ],
+        defaultNext: 'menu'
+      }
+    },
+    { id: 'sales', type: 'set_attribute', data: { field: 'interesse', value: 'vendas' }, next: 'done' },
+    { id: 'support', type: 'handoff', data: { text: 'Transferindo...', reason: 'support' } },
+    { id: 'done', type: 'send_message', data: { text: 'Obrigado, {{email}}' }, next: 'end' },
+    { id: 'end', type: 'end' }
+  ]
+};
+
+const context = { contact: { name: 'Maria', phone: '5511999999999' } };
+
+describe('BotFlowEngine - validateDefinition', () => {
+  test('should accept a valid flow', () => {
+    const result = BotFlowEngine.validateDefinition(onboardingFlow);
+    assert.strictEqual(result.valid, true, result.errors.join(', '));
+  });
+
+  test('should reject missing start node and dangling references', () => {
+    const result = BotFlowEngine.validateDefinition({
+      startNodeId: 'missing',
+      nodes: [{ id: 'a', type: 'send_message', data: { text: 'hi' }, next: 'ghost' }]
+    });
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('startNodeId')));
+    assert.ok(result.errors.some(e => e.includes('ghost')));
+  });
+
+  test('should reject HTTP nodes with non-http(s) URLs', () => {
+    const result = BotFlowEngine.validateDefinition({
+      startNodeId: 'a',
+      nodes: [{ id: 'a', type: 'http_request', data: { url: 'file:///etc/passwd' } }]
+    });
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('data.url')));
+  });
+
+  test('should reject unknown node types and invalid variables', () => {
+    const result = BotFlowEngine.validateDefinition({
+      startNodeId: 'a',
+      nodes: [
+        { id: 'a', type: 'teleport' },
+        { id: 'b', type: 'ask_question', data: { text: 'q', variable: 'bad name' } }
+      ]
+    });
+    assert.strictEqual(result.valid, false);
+    assert.ok(result.errors.some(e => e.includes('invalid type')));
+    assert.ok(result.errors.some(e => e.includes('data.variable')));
+  });
+});
+
+describe('BotFlowEngine - run', () => {
+  test('should send messages until the first question and wait', async () => {
+    const result = await BotFlowEngine.run({ definition: onboardingFlow, session: null, input: 'oi', context });
+
+    assert.deepStrictEqual(result.replies, ['Olá Maria!', 'Qual seu email?']);
+    assert.strictEqual(result.session.status, SESSION_STATUS.WAITING);
+    assert.strictEqual(result.session.currentNodeId, 'ask_email');
+  });
+
+  test('should re-ask when the reply fails validation', async () => {
+    const session = { currentNodeId: 'ask_email', variables: {}, status: SESSION_STATUS.WAITING };
+    const result = await BotFlowEngine.run({ definition: onboardingFlow, session, input: 'not an email', context });
+
+    assert.deepStrictEqual(result.replies, ['Email inválido']);
+    assert.strictEqual(result.session.currentNodeId, 'ask_email');
+    assert.strictEqual(result.session.variables.email, undefined);
+  });
+
+  test('should store answers, branch and apply effects', async () => {
+    const attributes = [];
+    const effects = { setAttribute: async (field, value) => attributes.push({ field, value }) };
+
+    let result = await BotFlowEngine.run({
+      definition: onboardingFlow,
+      session: { currentNodeId: 'ask_email', variables: {}, status: SESSION_STATUS.WAITING },
+      input: 'maria@example.com',
+      context,
+      effects
+    });
+    assert.deepStrictEqual(result.replies, ['1 vendas / 2 suporte']);
+    assert.strictEqual(result.session.variables.email, 'maria@example.com');
+
+    result = await BotFlowEngine.run({ definition: onboardingFlow, session: result.session, input: 'Quero vendas', context, effects });
+    assert.deepStrictEqual(result.replies, ['Obrigado, maria@example.com']);
+    assert.deepStrictEqual(attributes, [{ field: 'interesse', value: 'vendas' }]);
+    assert.strictEqual(result.session.status, SESSION_STATUS.COMPLETED);
+    assert.strictEqual(result.handoff, null);
+  });
+
+  test('should hand off when a handoff node is reached', async () => {
+    const result = await BotFlowEngine.run({
+      definition: onboardingFlow,
+      session: { currentNodeId: 'menu', variables: { email: 'x@y.z' }, status: SESSION_STATUS.WAITING },
+      input: '2',
+      context
+    });
+
+    assert.deepStrictEqual(result.replies, ['Transferindo...']);
+    assert.deepStrictEqual(result.handoff, { reason: 'support' });
+    assert.strictEqual(result.session.status, SESSION_STATUS.HANDOFF);
+  });
+
+  test('should restart a completed session from the start node', async () => {
+    const session = { currentNodeId: 'end', variables: { email: 'old@x.y' }, status: SESSION_STATUS.COMPLETED };
+    const result = await BotFlowEngine.run({ definition: onboardingFlow, session, input: 'oi', context });
+
+    assert.strictEqual(result.replies[0], 'Olá Maria!');
+    assert.deepStrictEqual(result.session.variables, {});
+  });
+
+  test('should branch on the incoming message text', async () => {
+    const definition = {
+      startNodeId: 'check',
+      nodes: [
+        {
+          id: 'check',
+          type: 'condition',
+          data: { rules: [{ source: 'message', operator: 'contains', value: 'preço', next: 'price' }], defaultNext: 'fallback' }
+        },
+        { id: 'price', type: 'send_message', data: { text: 'R$ 10' } },
+        { id: 'fallback', type: 'send_message', data: { text: 'Não entendi' } }
+      ]
+    };
+
+    const hit = await BotFlowEngine.run({ definition, session: null, input: 'Qual o PREÇO?', context });
+    const miss = await BotFlowEngine.run({ definition, session: null, input: 'bom dia', context });
+
+    assert.deepStrictEqual(hit.replies, ['R$ 10']);
+    assert.deepStrictEqual(miss.replies, ['Não entendi']);
+  });
+
+  test('should store HTTP results and follow errorNext on failure', async () => {
+    const definition = {
+      startNodeId: 'call',
+      nodes: [
+        { id: 'call', type: 'http_request', data: { url: 'https://api.example.com/orders/{{telefone}}', saveAs: 'status', errorNext: 'failed' }, next: 'ok' },
+        { id: 'ok', type: 'send_message', data: { text: 'Status: {{status}}' } },
+        { id: 'failed', type: 'send_message', data: { text: 'Tente mais tarde' } }
+      ]
+    };
+
+    const requests = [];
+    const okResult = await BotFlowEngine.run({
+      definition,
+      session: null,
+      input: 'status',
+      context,
+      effects: { httpRequest: async (request) => { requests.push(request); return 'enviado'; } }
+    });
+    assert.strictEqual(requests[0].url, 'https://api.example.com/orders/5511999999999');
+    assert.deepStrictEqual(okResult.replies, ['Status: enviado']);
+
+    const failResult = await BotFlowEngine.run({
+      definition,
+      session: null,
+      input: 'status',
+      context,
+      effects: { httpRequest: async () => { throw new Error('timeout'); } }
+    });
+    assert.deepStrictEqual(failResult.replies, ['Tente mais tarde']);
+  });
+
+  test('should keep contact answers with quotes inside body values and encode them in the URL', async () => {
+    const definition = {
+      startNodeId: 'ask',
+      nodes: [
+        { id: 'ask', type: 'ask_question', data: { text: 'Seu pedido?', variable: 'pedido' }, next: 'call' },
+        {
+          id: 'call',
+          type: 'http_request',
+          data: {
+            url: 'https://api.example.com/orders?q={{pedido}}',
+            method: 'post',
+            body: { pedido: '{{pedido}}', itens: ['{{pedido}}'], total: 1 },
+            errorNext: 'failed'
+          },
+          next: 'ok'
+        },
+        { id: 'ok', type: 'send_message', data: { text: 'Recebido' } },
+        { id: 'failed', type: 'send_message', data: { text: 'Tente mais tarde' } }
+      ]
+    };
+    const answer = 'x", "admin": true, "y": "\\';
+
+    const first = await BotFlowEngine.run({ definition, session: null, input: 'oi', context });
+    const requests = [];
+    const result = await BotFlowEngine.run({
+      definition,
+      session: first.session,
+      input: answer,
+      context,
+      effects: { httpRequest: async (request) => { requests.push(request); return 'ok'; } }
+    });
+
+    assert.deepStrictEqual(result.replies, ['Recebido']);
+    assert.deepStrictEqual(requests[0].body, { pedido: answer, itens: [answer], total: 1 });
+    assert.strictEqual(requests[0].url, `https://api.example.com/orders?q=${encodeURIComponent(answer)}`);
+  });
+
+  test('should only call public hosts, without following redirects', async () => {
+    const definition = (url) => ({
+      startNodeId: 'call',
+      nodes: [
+        { id: 'call', type: 'http_request', data: { url, saveAs: 'status', errorNext: 'failed' }, next: 'ok' },
+        { id: 'ok', type: 'send_message', data: { text: 'Status: {{status}}' } },
+        { id: 'failed', type: 'send_message', data: { text: 'Tente mais tarde' } }
+      ]
+    });
+    axiosCalls = [];
+
+    for (const url of ['http://169.254.169.254/latest/meta-data/', 'http://127.0.0.1:3000/admin', 'http://10.0.0.5/', 'http://[::1]/']) {
+      const blocked = await BotFlowEngine.run({ definition: definition(url), session: null, input: 'oi', context });
+      assert.deepStrictEqual(blocked.replies, ['Tente mais tarde'], url);
+    }
+    assert.strictEqual(axiosCalls.length, 0);
+
+    const allowed = await BotFlowEngine.run({ definition: definition('https://93.184.216.34/orders'), session: null, input: 'oi', context });
+    assert.deepStrictEqual(allowed.replies, ['Status: ok']);
+    assert.strictEqual(axiosCalls[0].maxRedirects, 0);
+  });
+
+  test('should stop cyclic flows after the step limit', async () => {
+    const definition = {
+      startNodeId: 'a',
+      nodes: [
+        { id: 'a', type: 'condition', data: { rules: [{ source: 'message', operator: 'exists', next: 'b' }] } },
+        { id: 'b', type: 'condition', data: { rules: [{ source: 'message', operator: 'exists', next: 'a' }] } }
+      ]
+    };
+
+    const result = await BotFlowEngine.run({ definition, session: null, input: 'loop', context });
+
+    assert.strictEqual(result.steps, MAX_STEPS_PER_RUN + 1);
+    assert.strictEqual(result.session.status, SESSION_STATUS.COMPLETED);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * BotService Tests
+ * Tests flow bot runs: dry runs (bot test chat), flow effects and the
+ * labels a flow may add
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService
+let db = {};
+let queries = [];
+
+function respond(table, ops) {
+  queries.push({ table, ops });
+  const rows = (db[table] || []).filter(row => ops.every(({ op, args }) => {
+    if (op === 'eq') return row[args[0]] === args[1];
+    if (op === 'in') return args[1].includes(row[args[0]]);
+    return true;
+  }));
+
+  if (ops.some(o => o.op === 'single')) {
+    return { data: rows[0] || null, error: rows[0] ? null : { message: 'not found' } };
+  }
+  return { data: rows, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: {
+    queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table))
+  }
+};
+
+require.cache[require.resolve('../../services/CredentialVaultService')] = { exports: {} };
+require.cache[require.resolve('../../services/QuotaService')] = { exports: class {} };
+
+// Outbound HTTP
+let axiosCalls = [];
+const mockAxios = async (config) => {
+  axiosCalls.push(config);
+  return { data: 'real' };
+};
+require.cache[require.resolve('axios')] = { exports: mockAxios };
+
+const BotService = require('../../services/BotService');
+
+const conversation = {
+  id: 'conv-1',
+  account_id: 'acc-1',
+  contact_jid: '5511999999999@s.whatsapp.net',
+  contact_name: 'Maria'
+};
+
+const httpFlow = {
+  startNodeId: 'call',
+  nodes: [
+    { id: 'call', type: 'http_request', data: { url: 'https://93.184.216.34/orders/{{telefone}}', saveAs: 'status', errorNext: 'failed' }, next: 'ok' },
+    { id: 'ok', type: 'send_message', data: { text: 'Status: {{status}}' } },
+    { id: 'failed', type: 'send_message', data: { text: 'Tente mais tarde' } }
+  ]
+};
+
+beforeEach(() => {
+  db = {
+    accounts: [{ id: 'acc-1', owner_user_id: 'user-1' }, { id: 'acc-2', owner_user_id: 'user-2' }],
+    labels: [{ id: 'label-1', account_id: 'acc-1' }, { id: 'label-2', account_id: 'acc-2' }]
+  };
+  queries = [];
+  axiosCalls = [];
+});
+
+describe('BotService - runFlowBot', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new BotService();
+  });
+
+  test('should simulate HTTP nodes in dry runs', async () => {
+    const result = await service.runFlowBot(
+      { id: 'bot-1', flow_definition: httpFlow },
+      { id: 'msg-1', content: 'status' },
+      conversation,
+      { dryRun: true }
+    );
+
+    assert.strictEqual(axiosCalls.length, 0);
+    assert.deepStrictEqual(result.replies, ['Status: [resposta HTTP simulada]']);
+    assert.deepStrictEqual(result.effects, [
+      { type: 'http_request', method: 'GET', url: 'https://93.184.216.34/orders/5511999999999' }
+    ]);
+  });
+
+  test('should only add labels of the conversation account', async () => {
+    const labelFlow = (labelId) => ({
+      startNodeId: 'tag',
+      nodes: [
+        { id: 'tag', type: 'add_label', data: { labelId }, next: 'done' },
+        { id: 'done', type: 'send_message', data: { text: 'Ok' } }
+      ]
+    });
+    const upserts = () => queries.filter(q => q.table === 'conversation_labels' && q.ops.some(o => o.op === 'upsert'));
+
+    const own = await service.runFlowBot({ id: 'bot-1', flow_definition: labelFlow('label-1') }, { content: 'oi' }, conversation);
+    assert.deepStrictEqual(own.effects, [{ type: 'add_label', labelId: 'label-1' }]);
+    assert.strictEqual(upserts().length, 1);
+
+    const foreign = await service.runFlowBot({ id: 'bot-1', flow_definition: labelFlow('label-2') }, { content: 'oi' }, conversation);
+    assert.deepStrictEqual(foreign.replies, ['Ok']);
+    assert.deepStrictEqual(foreign.effects, []);
+    assert.strictEqual(upserts().length, 1);
+  });
+});
+
+describe('BotService - assertFlowLabels', () => {
+  const flow = {
+    startNodeId: 'a',
+    nodes: [
+      { id: 'a', type: 'add_label', data: { labelId: 'label-1' }, next: 'b' },
+      { id: 'b', type: 'add_label', data: { labelId: 'label-2' } }
+    ]
+  };
+
+  test('should accept labels of the bot owner accounts', async () => {
+    db.accounts.push({ id: 'acc-2', owner_user_id: 'user-1' });
+
+    await new BotService().assertFlowLabels('user-1', flow);
+  });
+
+  test('should reject labels of other accounts', async () => {
+    await assert.rejects(
+      () => new BotService().assertFlowLabels('user-1', flow),
+      (error) => error.code === 'INVALID_FLOW' && error.details.length === 1 && error.details[0].includes('label-2')
+    );
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * BusinessHoursService Tests
+ * Tests for settings validation, away messages once per closed period and
+ * resuming deferred assignment
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// Record conversation updates made through SupabaseService
+let conversationUpdates = [];
+let pendingConversations = [];
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => {
+    const query = {
+      select: () => query,
+      update: (data) => {
+        conversationUpdates.push(data);
+        return query;
+      },
+      eq: () => query,
+      lte: () => query,
+      order: () => query,
+      limit: async () => ({ data: pendingConversations, error: null }),
+      then: (resolve) => resolve({ data: null, error: null })
+    };
+    return queryFn(query);
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+const { BusinessHoursService } = require('../../services/BusinessHoursService');
+
+const settings = {
+  is_enabled: true,
+  timezone: 'America/Sao_Paulo',
+  weekly_hours: { 1: [{ start: '09:00', end: '18:00' }], 2: [{ start: '09:00', end: '18:00' }] },
+  holidays: [],
+  away_message_enabled: true,
+  away_message: 'Estamos fora do horário. Voltamos em {{reopens_at}}.'
+};
+
+/**
+ * Build a service reading the given settings and recording deferrals
+ */
+function buildService(row, { firstInPeriod = true } = {}) {
+  const service = new BusinessHoursService();
+  const deferrals = [];
+
+  service.resolveInboxId = async (conversation) => conversation.inbox_id;
+  service.getSettingsByInbox = async () => row;
+  service.deferUntilOpen = async (conversationId, reopensAt) => {
+    deferrals.push({ conversationId, reopensAt });
+    return firstInPeriod;
+  };
+
+  return { service, deferrals };
+}
+
+describe('BusinessHoursService - settings', () => {
+  const service = new BusinessHoursService();
+
+  test('should reject unknown timezones and inverted intervals', () => {
+    assert.throws(
+      () => service.validateSettings({ timezone: 'Mars/Olympus', weeklyHours: {} }),
+      /INVALID_TIMEZONE/
+    );
+    assert.throws(
+      () => service.validateSettings({ timezone: 'UTC', weeklyHours: { 1: [{ start: '18:00', end: '09:00' }] } }),
+      /INVALID_HOURS/
+    );
+  });
+
+  test('should require the away message text when enabled', () => {
+    assert.throws(
+      () => service.validateSettings({ timezone: 'UTC', weeklyHours: {}, awayMessageEnabled: true, awayMessage: ' ' }),
+      /AWAY_MESSAGE_REQUIRED/
+    );
+  });
+
+  test('should treat disabled settings as always open', () => {
+    assert.strictEqual(service.toCalendar({ ...settings, is_enabled: false }), null);
+    assert.strictEqual(service.toCalendar(null), null);
+  });
+});
+
+describe('BusinessHoursService - incoming messages', () => {
+  const conversation = { id: 'conv-1', inbox_id: 'inbox-1' };
+
+  test('should do nothing while the inbox is open', async () => {
+    const { service, deferrals } = buildService(settings);
+
+    // Monday 10:00 in São Paulo
+    const result = await service.handleIncomingMessage(conversation, null, new Date('2026-01-05T13:00:00Z'));
+
+    assert.deepStrictEqual(result, { open: true });
+    assert.strictEqual(deferrals.length, 0);
+  });
+
+  test('should defer and return the away message on the first message of the period', async () => {
+    const { service, deferrals } = buildService(settings);
+
+    // Monday 20:00 in São Paulo -> reopens Tuesday 09:00
+    const result = await service.handleIncomingMessage(conversation, null, new Date('2026-01-05T23:00:00Z'));
+
+    assert.strictEqual(result.open, false);
+    assert.strictEqual(result.reopensAt.toISOString(), '2026-01-06T12:00:00.000Z');
+    assert.strictEqual(result.awayMessage, 'Estamos fora do horário. Voltamos em 06/01 09:00.');
+    assert.strictEqual(deferrals[0].conversationId, 'conv-1');
+  });
+
+  test('should not repeat the away message in the same period', async () => {
+    const { service } = buildService(settings, { firstInPeriod: false });
+
+    const result = await service.handleIncomingMessage(conversation, null, new Date('2026-01-05T23:00:00Z'));
+
+    assert.strictEqual(result.open, false);
+    assert.strictEqual(result.awayMessage, null);
+  });
+
+  test('should defer without a message when away messages are disabled', async () => {
+    const { service, deferrals } = buildService({ ...settings, away_message_enabled: false });
+
+    const result = await service.handleIncomingMessage(conversation, null, new Date('2026-01-05T23:00:00Z'));
+
+    assert.strictEqual(result.awayMessage, null);
+    assert.strictEqual(deferrals.length, 1);
+  });
+
+  test('should never throw', async () => {
+    const service = new BusinessHoursService();
+    service.resolveInboxId = async () => { throw new Error('db down'); };
+
+    assert.deepStrictEqual(await service.handleIncomingMessage(conversation), { open: true });
+  });
+});
+
+describe('BusinessHoursService - resuming conversations', () => {
+  beforeEach(() => {
+    conversationUpdates = [];
+    pendingConversations = [];
+  });
+
+  test('should clear the mark and assign only unassigned open conversations', async () => {
+    const service = new BusinessHoursService();
+    const assigned = [];
+    const assignmentService = {
+      autoAssign: async (inboxId, conversationId) => {
+        assigned.push(conversationId);
+        return 'agent-1';
+      }
+    };
+    pendingConversations = [
+      { id: 'c1', inbox_id: 'inbox-1', status: 'open', assigned_agent_id: null, assigned_bot_id: null },
+      { id: 'c2', inbox_id: 'inbox-1', status: 'open', assigned_agent_id: 'agent-9', assigned_bot_id: null },
+      { id: 'c3', inbox_id: 'inbox-1', status: 'resolved', assigned_agent_id: null, assigned_bot_id: null },
+      { id: 'c4', inbox_id: null, status: 'open', assigned_agent_id: null, assigned_bot_id: null }
+    ];
+
+    const result = await service.resumeConversations(new Date(), assignmentService);
+
+    assert.deepStrictEqual(result, { resumed: 4, assigned: 1 });
+    assert.deepStrictEqual(assigned, ['c1']);
+    assert.ok(conversationUpdates.every(update => update.out_of_hours_until === null));
+  });
+});
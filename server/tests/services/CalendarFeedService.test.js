@@ -0,0 +1,235 @@
+/**
+ * CalendarFeedService Tests
+ * Tests ICS events of single appointments, recurring series (legacy and
+ * appointment_series) exported as RRULE with EXDATE/RECURRENCE-ID, and the
+ * hashed feed tokens
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory rows answered by SupabaseService.queryAsAdmin
+let feeds = [];
+let agents = [];
+
+function respond(table, ops) {
+  const eqValue = (column) => ops.find(o => o.op === 'eq' && o.args[0] === column)?.args[1];
+
+  if (table === 'agents') {
+    const agent = agents.find(a => a.id === eqValue('id') && a.account_id === eqValue('account_id'));
+    return agent ? { data: agent, error: null } : { data: null, error: { code: 'PGRST116' } };
+  }
+
+  if (table === 'calendar_feeds') {
+    if (eqValue('token_hash')) {
+      const feed = feeds.find(f => f.token_hash === eqValue('token_hash'));
+      return feed ? { data: feed, error: null } : { data: null, error: { code: 'PGRST116' } };
+    }
+    const agentId = eqValue('agent_id') || null;
+    return { data: feeds.filter(f => f.account_id === eqValue('account_id') && f.agent_id === agentId), error: null };
+  }
+
+  return { data: null, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: {
+    queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+    insert: async (table, data) => {
+      const row = { id: `feed-${feeds.length + 1}`, created_at: '2026-01-01T00:00:00.000Z', ...data };
+      feeds.push(row);
+      return { data: row, error: null };
+    },
+    update: async (table, id, data) => {
+      Object.assign(feeds.find(f => f.id === id), data);
+      return { data: null, error: null };
+    },
+    delete: async (table, id) => {
+      feeds = feeds.filter(f => f.id !== id);
+      return { error: null };
+    }
+  }
+};
+
+const { CalendarFeedService } = require('../../services/CalendarFeedService');
+
+function buildAppointment(overrides = {}) {
+  return {
+    id: 'a1',
+    title: 'Consulta',
+    notes: null,
+    start_time: '2026-01-05T12:30:00.000Z',
+    end_time: '2026-01-05T13:30:00.000Z',
+    status: 'confirmed',
+    recurring_parent_id: null,
+    recurring_pattern: null,
+    recurrence_start: null,
+    updated_at: '2026-01-02T10:00:00.000Z',
+    contact: { name: 'Maria', phone: '5511988887777' },
+    service: { name: 'Consulta' },
+    ...overrides
+  };
+}
+
+describe('CalendarFeedService', () => {
+  let feedService;
+
+  beforeEach(() => {
+    feedService = new CalendarFeedService();
+    feeds = [];
+    agents = [{ id: 'agent-1', account_id: 'account-1' }];
+  });
+
+  test('should export single appointments and keep cancelled ones as cancelled events', () => {
+    const events = feedService.toEvents([
+      buildAppointment(),
+      buildAppointment({ id: 'a2', status: 'cancelled', cancellation_reason: 'Imprevisto' })
+    ]);
+
+    assert.strictEqual(events.length, 2);
+    assert.strictEqual(events[0].uid, 'a1@appointments');
+    assert.strictEqual(events[0].summary, 'Consulta - Maria');
+    assert.strictEqual(events[0].status, 'CONFIRMED');
+    assert.match(events[0].description, /Contato: Maria - 5511988887777/);
+    assert.strictEqual(events[1].status, 'CANCELLED');
+    assert.match(events[1].description, /Cancelado: Imprevisto/);
+  });
+
+  test('should export a weekly series as one RRULE with exclusions and overrides', () => {
+    const pattern = { type: 'weekly', interval: 1, endDate: '2026-02-01T00:00:00.000Z' };
+    const master = buildAppointment({ id: 'm1', status: 'scheduled', recurring_pattern: pattern });
+    const child = (id, recurrenceStart, overrides = {}) => buildAppointment({
+      id,
+      status: 'scheduled',
+      recurring_parent_id: 'm1',
+      recurring_pattern: pattern,
+      recurrence_start: recurrenceStart,
+      start_time: recurrenceStart,
+      end_time: new Date(new Date(recurrenceStart).getTime() + 60 * 60 * 1000).toISOString(),
+      ...overrides
+    });
+
+    const events = feedService.toEvents([
+      master,
+      child('c1', '2026-01-12T12:30:00.000Z'),
+      child('c2', '2026-01-19T12:30:00.000Z', { status: 'cancelled' }),
+      // 2026-01-26 was skipped by the generator (slot taken); c3 predates recurrence_start
+      child('c3', '2026-01-26T12:30:00.000Z', {
+        recurrence_start: null,
+        start_time: '2026-01-27T14:00:00.000Z',
+        end_time: '2026-01-27T15:00:00.000Z'
+      })
+    ]);
+
+    const [series, ...others] = events;
+    assert.strictEqual(series.uid, 'm1@appointments');
+    assert.strictEqual(series.rrule, 'FREQ=WEEKLY;INTERVAL=1;COUNT=4');
+    assert.deepStrictEqual(series.exdates.map(d => d.toISOString()), [
+      '2026-01-19T12:30:00.000Z',
+      '2026-01-26T12:30:00.000Z'
+    ]);
+
+    // c1 matches the rule; c3 has no recurrence start and lands off the rule
+    assert.strictEqual(others.length, 1);
+    assert.strictEqual(others[0].uid, 'c3@appointments');
+    assert.strictEqual(others[0].start.toISOString(), '2026-01-27T14:00:00.000Z');
+  });
+
+  test('should turn moved occurrences into RECURRENCE-ID overrides', () => {
+    const pattern = { type: 'weekly', interval: 2, endDate: '2026-01-20T00:00:00.000Z' };
+    const events = feedService.toEvents([
+      buildAppointment({ id: 'm1', recurring_pattern: pattern }),
+      buildAppointment({
+        id: 'c1',
+        recurring_parent_id: 'm1',
+        recurrence_start: '2026-01-19T12:30:00.000Z',
+        start_time: '2026-01-19T17:00:00.000Z',
+        end_time: '2026-01-19T18:00:00.000Z'
+      })
+    ]);
+
+    assert.strictEqual(events.length, 2);
+    assert.strictEqual(events[0].rrule, 'FREQ=WEEKLY;INTERVAL=2;COUNT=2');
+    assert.deepStrictEqual(events[0].exdates, []);
+    assert.strictEqual(events[1].uid, 'm1@appointments');
+    assert.strictEqual(events[1].recurrenceId.toISOString(), '2026-01-19T12:30:00.000Z');
+    assert.strictEqual(events[1].start.toISOString(), '2026-01-19T17:00:00.000Z');
+  });
+
+  test('should export appointment series with their rule, timezone and occurrence rows', () => {
+    const series = {
+      id: 's1',
+      title: 'Terapia',
+      notes: null,
+      agent_id: 'agent-1',
+      rrule: 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=6',
+      timezone: 'America/Sao_Paulo',
+      starts_at: '2026-01-05T12:30:00.000Z',
+      duration_minutes: 50,
+      exdates: ['2026-01-08T12:30:00.000Z'],
+      updated_at: '2026-01-02T10:00:00.000Z',
+      contact: { name: 'Maria', phone: '5511988887777' },
+      rows: [
+        buildAppointment({ id: 'r1', series_id: 's1', agent_id: 'agent-1', recurrence_start: '2026-01-12T12:30:00.000Z', start_time: '2026-01-12T17:00:00.000Z', end_time: '2026-01-12T17:50:00.000Z' }),
+        buildAppointment({ id: 'r2', series_id: 's1', agent_id: 'agent-1', status: 'cancelled', recurrence_start: '2026-01-15T12:30:00.000Z' }),
+        buildAppointment({ id: 'r3', series_id: 's1', agent_id: 'agent-2', recurrence_start: '2026-01-19T12:30:00.000Z' })
+      ]
+    };
+
+    const [master, ...others] = feedService.toRuleEvents(series, 'agent-1');
+    assert.strictEqual(master.uid, 's1@series');
+    assert.strictEqual(master.rrule, 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=6');
+    assert.strictEqual(master.timezone, 'America/Sao_Paulo');
+    assert.strictEqual(master.end.toISOString(), '2026-01-05T13:20:00.000Z');
+    assert.deepStrictEqual(master.exdates.map(d => d.toISOString()), [
+      '2026-01-08T12:30:00.000Z',
+      '2026-01-15T12:30:00.000Z',
+      // Reassigned to another agent
+      '2026-01-19T12:30:00.000Z'
+    ]);
+
+    assert.strictEqual(others.length, 1);
+    assert.strictEqual(others[0].uid, 's1@series');
+    assert.strictEqual(others[0].recurrenceId.toISOString(), '2026-01-12T12:30:00.000Z');
+    assert.strictEqual(others[0].start.toISOString(), '2026-01-12T17:00:00.000Z');
+
+    const ics = require('../../utils/ical').buildCalendar({ name: 'Agenda', events: [master, ...others] });
+    assert.match(ics, /DTSTART;TZID=America\/Sao_Paulo:20260105T093000/);
+    assert.match(ics, /RECURRENCE-ID;TZID=America\/Sao_Paulo:20260112T093000/);
+  });
+
+  test('should store only the token hash and replace the URL on rotation', async () => {
+    const first = await feedService.rotateFeed('account-1', 'tenant-1', null);
+    assert.match(first.token, /^[0-9a-f]{48}$/);
+    assert.ok(!JSON.stringify(feeds).includes(first.token));
+
+    const resolved = await feedService.resolveToken(first.token, new Date('2026-01-04T15:00:00.000Z'));
+    assert.strictEqual(resolved.account_id, 'account-1');
+    assert.strictEqual(feeds[0].last_accessed_at, '2026-01-04T15:00:00.000Z');
+
+    const second = await feedService.rotateFeed('account-1', 'tenant-1', null);
+    assert.strictEqual(await feedService.resolveToken(first.token), null);
+    assert.ok(await feedService.resolveToken(second.token));
+    assert.strictEqual(feeds.length, 1);
+
+    await assert.rejects(feedService.rotateFeed('account-1', 'tenant-1', 'agent-x'), { message: 'AGENT_NOT_FOUND' });
+    const agentFeed = await feedService.rotateFeed('account-1', 'tenant-1', 'agent-1');
+    assert.strictEqual(agentFeed.feed.agent_id, 'agent-1');
+    assert.strictEqual(feeds.length, 2);
+  });
+});
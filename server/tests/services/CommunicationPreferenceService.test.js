@@ -0,0 +1,247 @@
+/**
+ * CommunicationPreferenceService Tests
+ * Tests the LGPD consent ledger, purpose-specific consent, double opt-in
+ * confirmations and the consent history export
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory rows answered by SupabaseService
+let contacts = [];
+let consents = [];
+let contactQueries = [];
+let writes = [];
+
+function respond(table, ops) {
+  const eqValue = (column) => ops.find(o => o.op === 'eq' && o.args[0] === column)?.args[1];
+  const single = ops.some(o => o.op === 'single');
+
+  if (table === 'contacts') {
+    contactQueries.push(ops);
+    const rows = contacts.filter(c =>
+      (!eqValue('id') || c.id === eqValue('id')) && (!eqValue('phone') || c.phone === eqValue('phone'))
+    );
+    if (single) {
+      return rows[0] ? { data: rows[0], error: null } : { data: null, error: { code: 'PGRST116' } };
+    }
+    return { data: rows, error: null };
+  }
+
+  if (table === 'contact_consents') {
+    const since = ops.find(o => o.op === 'gte')?.args[1];
+    const rows = consents
+      .filter(c => c.contact_id === eqValue('contact_id'))
+      .filter(c => !since || c.created_at >= since);
+    const descending = ops.some(o => o.op === 'order' && o.args[1]?.ascending === false);
+    return { data: descending ? [...rows].reverse() : rows, error: null };
+  }
+
+  if (table === 'inboxes') return { data: [{ id: eqValue('id') || 'inbox-1', wuzapi_token: 'token-1' }], error: null };
+
+  return { data: null, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+let clock = '2026-01-04T15:00:00.000Z';
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+  insert: async (table, data) => {
+    writes.push({ op: 'insert', table });
+    const row = { id: `consent-${consents.length + 1}`, created_at: clock, ...data };
+    consents.push(row);
+    return { data: row, error: null };
+  },
+  update: async (table, id, data) => {
+    writes.push({ op: 'update', table });
+    const contact = contacts.find(c => c.id === id);
+    Object.assign(contact, data);
+    return { data: contact, error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// Collaborating services
+let exits = [];
+let sentMessages = [];
+
+require.cache[require.resolve('../../services/DripSequenceService')] = {
+  exports: {
+    exitContact: async (contactId, reason) => {
+      exits.push({ contactId, reason });
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/providers/ProviderAdapterFactory')] = {
+  exports: {
+    getAdapterForInbox: () => ({
+      sendMessage: async (inbox, message) => {
+        sentMessages.push({ inboxId: inbox.id, ...message });
+        return { success: true, messageId: 'wamid-confirmation' };
+      }
+    })
+  }
+};
+
+const { CommunicationPreferenceService } = require('../../services/CommunicationPreferenceService');
+
+const conversation = {
+  id: 'conversation-1',
+  account_id: 'account-1',
+  inbox_id: 'inbox-2',
+  contact_jid: '5511988887777@s.whatsapp.net'
+};
+
+describe('CommunicationPreferenceService', () => {
+  let preferenceService;
+
+  beforeEach(() => {
+    preferenceService = new CommunicationPreferenceService();
+    clock = '2026-01-04T15:00:00.000Z';
+    contacts = [{
+      id: 'contact-1',
+      account_id: 'account-1',
+      tenant_id: 'tenant-1',
+      name: 'Maria',
+      phone: '5511988887777',
+      bulk_messaging_opt_in: true,
+      transactional_opt_in: true
+    }];
+    consents = [];
+    contactQueries = [];
+    writes = [];
+    exits = [];
+    sentMessages = [];
+  });
+
+  test('should append the consent change to the ledger before updating the contact', async () => {
+    await preferenceService.setOptIn('contact-1', false, 'manual', {
+      evidence: { ip: '10.0.0.1' },
+      actorId: 'user-1'
+    });
+
+    assert.deepStrictEqual(writes.map(w => `${w.op}:${w.table}`), ['insert:contact_consents', 'update:contacts']);
+    assert.deepStrictEqual(
+      {
+        purpose: consents[0].purpose,
+        status: consents[0].status,
+        source: consents[0].source,
+        legal_basis: consents[0].legal_basis,
+        contact_phone: consents[0].contact_phone,
+        account_id: consents[0].account_id,
+        tenant_id: consents[0].tenant_id
+      },
+      {
+        purpose: 'marketing',
+        status: 'revoked',
+        source: 'agent',
+        legal_basis: 'consent',
+        contact_phone: '5511988887777',
+        account_id: 'account-1',
+        tenant_id: 'tenant-1'
+      }
+    );
+    assert.deepStrictEqual(consents[0].evidence, { ip: '10.0.0.1' });
+    assert.strictEqual(consents[0].actor_id, 'user-1');
+    assert.strictEqual(contacts[0].bulk_messaging_opt_in, false);
+    assert.strictEqual(contacts[0].opt_out_method, 'manual');
+    assert.deepStrictEqual(exits, [{ contactId: 'contact-1', reason: 'opted_out' }]);
+  });
+
+  test('should keep consent per purpose', async () => {
+    await preferenceService.setOptIn('contact-1', false, 'api', { purpose: 'transactional' });
+
+    assert.strictEqual(contacts[0].transactional_opt_in, false);
+    assert.strictEqual(contacts[0].bulk_messaging_opt_in, true);
+    assert.strictEqual(consents[0].legal_basis, 'contract');
+    assert.deepStrictEqual(exits, []);
+
+    await assert.rejects(preferenceService.setOptIn('contact-1', true, 'api', { purpose: 'profiling' }), { message: 'INVALID_PURPOSE' });
+    await assert.rejects(preferenceService.setOptIn('contact-1', true, 'fax'), { message: 'INVALID_SOURCE' });
+    assert.strictEqual(consents.length, 1);
+
+    await preferenceService.getCampaignEligibleContacts('account-1', { purpose: 'transactional' });
+    const eligibleQuery = contactQueries[contactQueries.length - 1];
+    assert.ok(eligibleQuery.some(o => o.op === 'eq' && o.args[0] === 'transactional_opt_in' && o.args[1] === true));
+    assert.ok(!eligibleQuery.some(o => o.op === 'eq' && o.args[0] === 'bulk_messaging_opt_in'));
+  });
+
+  test('should only grant double opt-in consent once the contact replies', async () => {
+    contacts[0].bulk_messaging_opt_in = false;
+
+    const pending = await preferenceService.requestDoubleOptIn('account-1', 'contact-1', {
+      source: 'form',
+      evidence: { form: { origem: 'site' } }
+    });
+
+    assert.strictEqual(pending.status, 'pending');
+    assert.strictEqual(pending.evidence.confirmationMessageId, 'wamid-confirmation');
+    assert.strictEqual(sentMessages[0].to, '5511988887777');
+    assert.match(sentMessages[0].text, /responda SIM/);
+    assert.strictEqual(contacts[0].bulk_messaging_opt_in, false);
+
+    clock = '2026-01-04T16:00:00.000Z';
+    assert.deepStrictEqual(await preferenceService.handleIncomingMessage(conversation, 'Bom dia', 'wamid-1'), { handled: false });
+
+    const result = await preferenceService.handleIncomingMessage(conversation, 'Sim!', 'wamid-2', new Date(clock));
+
+    assert.deepStrictEqual(result, { handled: true, action: 'confirm' });
+    assert.strictEqual(contacts[0].bulk_messaging_opt_in, true);
+    assert.strictEqual(consents[1].status, 'granted');
+    assert.strictEqual(consents[1].source, 'form');
+    assert.strictEqual(consents[1].confirms_id, pending.id);
+    assert.deepStrictEqual(consents[1].evidence, { messageId: 'wamid-2', message: 'Sim!', conversationId: 'conversation-1' });
+    assert.strictEqual(sentMessages[1].inboxId, 'inbox-2');
+
+    // Already answered
+    assert.deepStrictEqual(await preferenceService.handleIncomingMessage(conversation, 'sim', 'wamid-3', new Date(clock)), { handled: false });
+  });
+
+  test('should record a refusal and ignore expired confirmations', async () => {
+    await preferenceService.requestDoubleOptIn('account-1', 'contact-1', { purpose: 'transactional' });
+
+    assert.deepStrictEqual(
+      await preferenceService.handleIncomingMessage(conversation, 'não', 'wamid-1', new Date('2026-01-08T15:00:00.000Z')),
+      { handled: false }
+    );
+
+    const result = await preferenceService.handleIncomingMessage(conversation, 'Não, obrigada', 'wamid-2', new Date('2026-01-05T15:00:00.000Z'));
+    assert.deepStrictEqual(result, { handled: true, action: 'decline' });
+    assert.strictEqual(consents[1].status, 'revoked');
+    assert.strictEqual(contacts[0].transactional_opt_in, false);
+  });
+
+  test('should export the consent history of a contact of the account', async () => {
+    await preferenceService.setOptIn('contact-1', true, 'import', { evidence: { file: 'lista "jan".csv' } });
+
+    const csv = await preferenceService.exportConsentHistory('account-1', 'contact-1', 'csv');
+    const [header, row] = csv.split('\n');
+    assert.strictEqual(header, 'id,createdAt,purpose,status,source,legalBasis,evidence,confirmsId,actorId,contactPhone');
+    assert.ok(row.includes('"{""file"":""lista \\""jan\\"".csv""}"'));
+
+    const json = JSON.parse(await preferenceService.exportConsentHistory('account-1', 'contact-1'));
+    assert.deepStrictEqual(json.current, { marketing: true, transactional: true });
+    assert.strictEqual(json.history.length, 1);
+
+    await assert.rejects(preferenceService.exportConsentHistory('account-2', 'contact-1'), { message: 'CONTACT_NOT_FOUND' });
+  });
+});
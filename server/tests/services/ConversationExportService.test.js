@@ -0,0 +1,237 @@
+/**
+ * ConversationExportService Tests
+ * Tests for transcript building, account scoping, HTML/PDF rendering and
+ * queueing of large conversations through the report queue
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+const conversationRow = {
+  id: 'conv-1',
+  account_id: 'acc-1',
+  contact_jid: '5511999999999@s.whatsapp.net',
+  contact_name: 'Maria <VIP>',
+  status: 'resolved',
+  created_at: '2026-01-05T12:00:00Z',
+  inboxes: { id: 'inbox-1', name: 'Suporte', phone_number: '5511888888888' }
+};
+
+let messageRows = [];
+let messageCount = 0;
+
+// Conversations are only found for their own account
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => {
+    const filters = {};
+    const query = {
+      select: () => query,
+      eq: (column, value) => {
+        filters[column] = value;
+        return query;
+      },
+      order: () => query,
+      range: () => query,
+      single: async () => {
+        const found = table === 'conversations' && filters.account_id === conversationRow.account_id;
+        return found ? { data: conversationRow, error: null } : { data: null, error: { code: 'PGRST116' } };
+      },
+      then: (resolve) => resolve({ data: table === 'chat_messages' ? messageRows : [], error: null })
+    };
+    return queryFn(query);
+  },
+  count: async () => ({ count: messageCount, error: null })
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+let s3Enabled = false;
+let queuedJobs = [];
+let jobStatus = null;
+
+require.cache[require.resolve('../../services/S3Service')] = {
+  exports: {
+    s3Service: {
+      isEnabled: () => s3Enabled,
+      getDownloadUrl: async (key) => `https://s3.example.com/${key}?signed`
+    }
+  }
+};
+
+require.cache[require.resolve('../../queues/reportQueue')] = {
+  exports: {
+    addTranscriptExportJob: async (data) => {
+      queuedJobs.push(data);
+      return { id: `export-transcript-${data.exportId}` };
+    },
+    getReportJobStatus: async () => jobStatus
+  }
+};
+
+const { ConversationExportService } = require('../../services/ConversationExportService');
+const { wrapText } = require('../../utils/pdfWriter');
+
+/**
+ * Build a service with fixed labels, label history and transfers
+ */
+function buildService() {
+  const service = new ConversationExportService();
+
+  service.chatService.getConversationLabels = async () => [{ id: 'label-1', name: 'Disputa' }];
+  service.chatService.getLabelHistory = async () => [
+    { labelId: 'label-1', labelName: 'Disputa', action: 'added', performedBy: { id: 'agent-1', name: 'Ana' }, createdAt: '2026-01-05T12:05:00Z' }
+  ];
+  service.chatService.getTransferHistory = async () => [
+    { fromInbox: { name: 'Vendas' }, toInbox: { name: 'Suporte' }, transferredBy: null, transferredAt: '2026-01-05T12:10:00Z', reason: 'Reembolso' },
+    { fromInbox: { name: 'Geral' }, toInbox: { name: 'Vendas' }, transferredBy: null, transferredAt: '2026-01-05T12:02:00Z', reason: null }
+  ];
+
+  return service;
+}
+
+describe('ConversationExportService - transcript', () => {
+  beforeEach(() => {
+    messageRows = [
+      { id: 'm1', direction: 'incoming', message_type: 'text', content: 'Quero meu <reembolso> & já', timestamp: '2026-01-05T12:01:00Z' },
+      { id: 'm2', direction: 'outgoing', message_type: 'text', content: 'Cliente recorrente', is_private_note: true, agents: { id: 'agent-1', name: 'Ana' }, timestamp: '2026-01-05T12:03:00Z' },
+      { id: 'm3', direction: 'outgoing', message_type: 'document', content: null, media_url: 'https://cdn.example.com/nota.pdf', media_filename: 'nota.pdf', agents: { id: 'agent-1', name: 'Ana' }, timestamp: '2026-01-05T12:04:00Z' }
+    ];
+  });
+
+  test('should include messages, internal notes, labels and transfers in order', async () => {
+    const transcript = await buildService().buildTranscript('acc-1', 'conv-1');
+
+    assert.strictEqual(transcript.conversation.inbox.name, 'Suporte');
+    assert.deepStrictEqual(transcript.messages.map(m => m.id), ['m1', 'm2', 'm3']);
+    assert.strictEqual(transcript.messages[1].isPrivateNote, true);
+    assert.strictEqual(transcript.messages[2].mediaUrl, 'https://cdn.example.com/nota.pdf');
+    assert.strictEqual(transcript.labelHistory[0].action, 'added');
+    assert.deepStrictEqual(transcript.transfers.map(t => t.toInbox.name), ['Vendas', 'Suporte']);
+  });
+
+  test('should not export conversations of another account', async () => {
+    await assert.rejects(
+      () => buildService().buildTranscript('acc-2', 'conv-1'),
+      { message: 'Conversation not found or unauthorized' }
+    );
+  });
+
+  test('should render escaped, printable HTML', async () => {
+    const service = buildService();
+    const transcript = await service.buildTranscript('acc-1', 'conv-1');
+
+    const html = service.renderHtml(transcript, 'America/Sao_Paulo');
+
+    assert.ok(html.includes('Conversa com Maria &lt;VIP&gt;'));
+    assert.ok(html.includes('Quero meu &lt;reembolso&gt; &amp; já'));
+    assert.ok(!html.includes('<reembolso>'));
+    assert.ok(html.includes('class="message outgoing note"'));
+    assert.ok(html.includes('<a href="https://cdn.example.com/nota.pdf">nota.pdf</a>'));
+    assert.ok(html.includes('Etiqueta &quot;Disputa&quot; adicionada por Ana'));
+    assert.ok(html.includes('05/01/2026, 09:01:00'));
+    assert.ok(html.includes('Geral -&gt; Vendas'));
+  });
+
+  test('should render a PDF with a valid cross-reference table', async () => {
+    const service = buildService();
+    const transcript = await service.buildTranscript('acc-1', 'conv-1');
+    transcript.messages = Array.from({ length: 80 }, (_, i) => ({ ...transcript.messages[0], id: `m${i}` }));
+
+    const pdf = service.renderPdf(transcript, 'UTC').toString('latin1');
+
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.ok(pdf.trimEnd().endsWith('%%EOF'));
+    assert.ok(/\/Count [2-9]/.test(pdf), 'long transcripts span several pages');
+    // "já" is written with WinAnsi octal escapes and parentheses are escaped
+    assert.ok(pdf.includes('Quero meu <reembolso> & j\\341'));
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const entries = pdf.slice(xrefOffset).split('\n').slice(3).filter(line => line.endsWith(' n '));
+    entries.forEach((entry, i) => {
+      const offset = Number(entry.slice(0, 10));
+      assert.ok(pdf.startsWith(`${i + 1} 0 obj`, offset), `object ${i + 1} offset`);
+    });
+  });
+
+  test('should wrap long lines and hard-break long words', () => {
+    assert.deepStrictEqual(wrapText('um dois tres quatro', 9), ['um dois', 'tres', 'quatro']);
+    assert.deepStrictEqual(wrapText('abcdefghij', 4), ['abcd', 'efgh', 'ij']);
+    assert.deepStrictEqual(wrapText('a\nb', 10), ['a', 'b']);
+  });
+});
+
+describe('ConversationExportService - queueing', () => {
+  beforeEach(() => {
+    queuedJobs = [];
+    messageRows = [];
+    s3Enabled = true;
+    jobStatus = null;
+  });
+
+  test('should queue large conversations and render small ones inline', async () => {
+    const service = buildService();
+
+    messageCount = 501;
+    const queued = await service.exportConversation('acc-1', 'conv-1', { format: 'pdf', timezone: 'America/Sao_Paulo' });
+    assert.strictEqual(queued.queued, true);
+    assert.deepStrictEqual(
+      { ...queuedJobs[0], exportId: undefined },
+      { exportId: undefined, accountId: 'acc-1', conversationId: 'conv-1', format: 'pdf', timezone: 'America/Sao_Paulo' }
+    );
+
+    messageCount = 10;
+    const inline = await service.exportConversation('acc-1', 'conv-1', { format: 'html' });
+    assert.strictEqual(inline.queued, false);
+    assert.strictEqual(inline.file.contentType, 'text/html; charset=utf-8');
+    assert.strictEqual(inline.file.filename, 'conversa-conv-1.html');
+    assert.strictEqual(queuedJobs.length, 1);
+  });
+
+  test('should render inline when S3 is not available to store the file', async () => {
+    s3Enabled = false;
+    messageCount = 5000;
+
+    const result = await buildService().exportConversation('acc-1', 'conv-1');
+
+    assert.strictEqual(result.queued, false);
+    assert.strictEqual(queuedJobs.length, 0);
+  });
+
+  test('should reject unknown formats and timezones', async () => {
+    const service = buildService();
+
+    await assert.rejects(() => service.exportConversation('acc-1', 'conv-1', { format: 'docx' }), { message: 'INVALID_FORMAT' });
+    await assert.rejects(() => service.exportConversation('acc-1', 'conv-1', { timezone: 'Mars/Base' }), { message: 'INVALID_TIMEZONE' });
+  });
+
+  test('should only report export status to the owning account', async () => {
+    const service = buildService();
+    jobStatus = {
+      state: 'completed',
+      progress: 100,
+      data: { format: 'pdf', accountId: 'acc-1', conversationId: 'conv-1' },
+      result: { key: 'exports/transcripts/acc-1/exp-1.pdf' }
+    };
+
+    assert.strictEqual(await service.getExportStatus('acc-2', 'conv-1', 'exp-1'), null);
+    assert.strictEqual(await service.getExportStatus('acc-1', 'conv-2', 'exp-1'), null);
+
+    const status = await service.getExportStatus('acc-1', 'conv-1', 'exp-1');
+    assert.strictEqual(status.state, 'completed');
+    assert.strictEqual(status.downloadUrl, 'https://s3.example.com/exports/transcripts/acc-1/exp-1.pdf?signed');
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * CredentialVaultService Tests
+ * Tests envelope encryption with per-tenant data keys, legacy values,
+ * master/data key rotation, re-encryption of stored secrets and masking
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+const crypto = require('crypto');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService
+let db = {};
+
+function matches(row, ops) {
+  return ops.every(({ op, args }) => {
+    if (op === 'eq') return row[args[0]] === args[1];
+    if (op === 'neq') return row[args[0]] !== args[1];
+    if (op === 'is') return (row[args[0]] ?? null) === args[1];
+    if (op === 'in') return args[1].includes(row[args[0]]);
+    return true;
+  });
+}
+
+function respond(table, ops) {
+  db[table] = db[table] || [];
+  const insert = ops.find(o => o.op === 'insert');
+  const update = ops.find(o => o.op === 'update');
+  let rows;
+
+  if (insert) {
+    const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...insert.args[0] };
+    db[table].push(row);
+    rows = [row];
+  } else if (update) {
+    rows = db[table].filter(row => matches(row, ops));
+    rows.forEach(row => Object.assign(row, update.args[0]));
+  } else {
+    rows = db[table].filter(row => matches(row, ops));
+  }
+
+  if (ops.some(o => o.op === 'single' || o.op === 'maybeSingle')) {
+    return { data: rows[0] || null, error: null };
+  }
+  return { data: rows, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: {
+    adminClient: { from: (table) => createQuery(table) },
+    queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+    getById: async (table, id) => respond(table, [{ op: 'eq', args: ['id', id] }, { op: 'single', args: [] }]),
+    insert: async (table, data) => respond(table, [{ op: 'insert', args: [data] }, { op: 'single', args: [] }]),
+    update: async (table, id, data) => respond(table, [{ op: 'update', args: [data] }, { op: 'eq', args: ['id', id] }, { op: 'single', args: [] }])
+  }
+};
+
+const MASTER_KEY = crypto.randomBytes(32).toString('base64');
+process.env.CREDENTIAL_VAULT_MASTER_KEY = MASTER_KEY;
+process.env.CREDENTIAL_VAULT_MASTER_KEY_ID = 'k1';
+delete process.env.CREDENTIAL_VAULT_PREVIOUS_MASTER_KEYS;
+
+const vault = require('../../services/CredentialVaultService');
+const { VAULT_PREFIX, MASK } = require('../../services/CredentialVaultService');
+const { reencryptSecrets, rotateTenantDataKey } = require('../../services/CredentialVaultStores');
+const DatabaseConnectionService = require('../../services/DatabaseConnectionService');
+const { sanitizeConnection } = require('../../utils/credentialSanitizer');
+const TenantSettingsService = require('../../services/TenantSettingsService');
+
+const TENANT_A = '11111111-1111-1111-1111-111111111111';
+const TENANT_B = '22222222-2222-2222-2222-222222222222';
+
+beforeEach(() => {
+  db = {
+    accounts: [
+      { id: 'acc-a', tenant_id: TENANT_A, owner_user_id: 'user-a', wuzapi_token: 'token-a' },
+      { id: 'acc-b', tenant_id: TENANT_B, owner_user_id: 'user-b', wuzapi_token: 'token-b' }
+    ]
+  };
+  process.env.CREDENTIAL_VAULT_MASTER_KEY = MASTER_KEY;
+  process.env.CREDENTIAL_VAULT_MASTER_KEY_ID = 'k1';
+  delete process.env.CREDENTIAL_VAULT_PREVIOUS_MASTER_KEYS;
+  vault.clearCache();
+});
+
+describe('CredentialVaultService encryption', () => {
+  test('round-trips a secret without storing it in clear', async () => {
+    const ciphertext = await vault.encrypt(TENANT_A, 's3cret-password');
+
+    assert.ok(ciphertext.startsWith(VAULT_PREFIX));
+    assert.ok(!ciphertext.includes('s3cret-password'));
+    assert.strictEqual(await vault.decrypt(ciphertext), 's3cret-password');
+  });
+
+  test('uses one data key per tenant, wrapped by the master key', async () => {
+    const a1 = await vault.encrypt(TENANT_A, 'one');
+    const a2 = await vault.encrypt(TENANT_A, 'two');
+    const b1 = await vault.encrypt(TENANT_B, 'three');
+    const platform = await vault.encrypt(null, 'four');
+
+    assert.strictEqual(vault.getDataKeyId(a1), vault.getDataKeyId(a2));
+    assert.notStrictEqual(vault.getDataKeyId(a1), vault.getDataKeyId(b1));
+    assert.notStrictEqual(vault.getDataKeyId(a1), vault.getDataKeyId(platform));
+
+    assert.strictEqual(db.vault_data_keys.length, 3);
+    for (const row of db.vault_data_keys) {
+      assert.strictEqual(row.master_key_id, 'k1');
+      assert.strictEqual(row.status, 'active');
+    }
+    assert.strictEqual(db.vault_data_keys.find(k => k.tenant_id === null).tenant_id, null);
+  });
+
+  test('decrypts after a restart by unwrapping the stored data key', async () => {
+    const ciphertext = await vault.encrypt(TENANT_A, 'persisted');
+    vault.clearCache();
+
+    assert.strictEqual(await vault.decrypt(ciphertext), 'persisted');
+  });
+
+  test('passes pre-vault values to the legacy reader, or returns them as-is', async () => {
+    assert.strictEqual(await vault.decrypt('plain-token'), 'plain-token');
+    assert.strictEqual(await vault.decrypt('enc:abc', (value) => value.slice(4)), 'abc');
+    assert.strictEqual(await vault.decrypt(null), null);
+  });
+
+  test('rejects a tampered ciphertext', async () => {
+    const ciphertext = await vault.encrypt(TENANT_A, 'secret');
+    const parts = ciphertext.split(':');
+    parts[parts.length - 1] = Buffer.from('tampered').toString('base64');
+
+    await assert.rejects(() => vault.decrypt(parts.join(':')), { message: 'VAULT_DECRYPT_FAILED' });
+  });
+
+  test('masks secrets and recognises the mask', () => {
+    assert.strictEqual(vault.mask('anything'), MASK);
+    assert.strictEqual(vault.mask(''), null);
+    assert.strictEqual(vault.isMask(MASK), true);
+  });
+});
+
+describe('CredentialVaultService master keys', () => {
+  test('rejects a master key that is not 32 bytes', () => {
+    assert.throws(
+      () => vault.loadMasterKeys({ CREDENTIAL_VAULT_MASTER_KEY: Buffer.from('short').toString('base64') }),
+      (error) => error.message === 'VAULT_MASTER_KEY_INVALID' && error.details.expectedBytes === 32
+    );
+  });
+
+  test('requires a master key in production', () => {
+    assert.throws(() => vault.loadMasterKeys({ NODE_ENV: 'production' }), { message: 'VAULT_MASTER_KEY_MISSING' });
+  });
+
+  test('rewraps data keys when the master key is rotated', async () => {
+    const ciphertext = await vault.encrypt(TENANT_A, 'survives rotation');
+
+    const newMasterKey = crypto.randomBytes(32).toString('base64');
+    process.env.CREDENTIAL_VAULT_MASTER_KEY = newMasterKey;
+    process.env.CREDENTIAL_VAULT_MASTER_KEY_ID = 'k2';
+    process.env.CREDENTIAL_VAULT_PREVIOUS_MASTER_KEYS = `k1:${MASTER_KEY}`;
+    vault.clearCache();
+
+    const result = await vault.rotateMasterKey();
+    assert.strictEqual(result.masterKeyId, 'k2');
+    assert.strictEqual(result.rewrapped, 1);
+    assert.deepStrictEqual(result.failed, []);
+
+    // The old master key is no longer needed
+    delete process.env.CREDENTIAL_VAULT_PREVIOUS_MASTER_KEYS;
+    vault.clearCache();
+
+    assert.strictEqual(await vault.decrypt(ciphertext), 'survives rotation');
+    assert.strictEqual((await vault.getStatus()).dataKeysPendingRewrap, 0);
+  });
+});
+
+describe('CredentialVaultStores re-encryption', () => {
+  test('encrypts existing rows, including legacy formats, and is idempotent', async () => {
+    db.database_connections = [
+      { id: 1, account_id: 'acc-a', password: 'db-pass', nocodb_token: null, supabase_key: 'sb-key' }
+    ];
+    db.agent_bots = [{ id: 7, user_id: 'user-b', access_token: 'bot_plain' }];
+    db.tenant_settings = [{
+      tenant_id: TENANT_A,
+      settings: { 'wuzapi.baseUrl': 'https://wuzapi.test', 'wuzapi.adminToken': legacyTenantToken('admin-token') }
+    }];
+    db.global_settings = [];
+
+    const summary = await reencryptSecrets();
+
+    assert.deepStrictEqual(summary.database_connections, { scanned: 2, reencrypted: 2, failed: 0 });
+    assert.deepStrictEqual(summary.agent_bots, { scanned: 1, reencrypted: 1, failed: 0 });
+    assert.deepStrictEqual(summary.tenant_settings, { scanned: 1, reencrypted: 1, failed: 0 });
+
+    const connection = db.database_connections[0];
+    assert.ok(vault.isEncrypted(connection.password));
+    assert.strictEqual(await vault.decrypt(connection.password), 'db-pass');
+    assert.strictEqual(await vault.decrypt(connection.supabase_key), 'sb-key');
+    assert.strictEqual(await vault.decrypt(db.agent_bots[0].access_token), 'bot_plain');
+
+    const settings = db.tenant_settings[0].settings;
+    assert.strictEqual(settings['wuzapi.baseUrl'], 'https://wuzapi.test');
+    assert.strictEqual(await vault.decrypt(settings['wuzapi.adminToken']), 'admin-token');
+
+    // Tenant keys: connection of acc-a and bot of user-b use different keys
+    assert.notStrictEqual(vault.getDataKeyId(connection.password), vault.getDataKeyId(db.agent_bots[0].access_token));
+
+    const second = await reencryptSecrets();
+    assert.strictEqual(second.database_connections.reencrypted, 0);
+    assert.strictEqual(second.agent_bots.reencrypted, 0);
+  });
+
+  test('moves only the rotated tenant to its new data key', async () => {
+    db.database_connections = [
+      { id: 1, account_id: 'acc-a', password: await vault.encrypt(TENANT_A, 'pass-a') },
+      { id: 2, account_id: 'acc-b', password: await vault.encrypt(TENANT_B, 'pass-b') }
+    ];
+    const tenantBKey = vault.getDataKeyId(db.database_connections[1].password);
+    const previousKey = vault.getDataKeyId(db.database_connections[0].password);
+
+    const { rotation, reencrypted } = await rotateTenantDataKey(TENANT_A);
+
+    assert.strictEqual(rotation.previousDataKeyId, previousKey);
+    assert.strictEqual(rotation.version, 2);
+    assert.strictEqual(reencrypted.database_connections.reencrypted, 1);
+    assert.strictEqual(vault.getDataKeyId(db.database_connections[0].password), rotation.dataKeyId);
+    assert.strictEqual(vault.getDataKeyId(db.database_connections[1].password), tenantBKey);
+    assert.strictEqual(await vault.decrypt(db.database_connections[0].password), 'pass-a');
+    assert.strictEqual(db.vault_data_keys.find(k => k.id === previousKey).status, 'retired');
+  });
+});
+
+describe('Stored secrets', () => {
+  test('DatabaseConnectionService encrypts on write, decrypts on read and keeps masked secrets', async () => {
+    const { id } = await DatabaseConnectionService.createConnection({
+      accountId: 'acc-a', name: 'CRM', type: 'POSTGRES', password: 'pg-pass'
+    });
+
+    const stored = db.database_connections.find(row => row.id === id);
+    assert.ok(vault.isEncrypted(stored.password));
+
+    await DatabaseConnectionService.updateConnection(id, { name: 'CRM 2', password: MASK });
+    const connection = await DatabaseConnectionService.getConnectionById(id);
+
+    assert.strictEqual(connection.name, 'CRM 2');
+    assert.strictEqual(connection.password, 'pg-pass');
+  });
+
+  test('sanitizeConnection masks every credential field', () => {
+    const sanitized = sanitizeConnection({ name: 'DB', password: 'p', nocodb_token: 't', supabase_key: 'k' });
+
+    assert.strictEqual(sanitized.password, MASK);
+    assert.strictEqual(sanitized.nocodb_token, MASK);
+    assert.strictEqual(sanitized.supabase_key, MASK);
+  });
+
+  test('TenantSettingsService stores the WUZAPI admin token in the vault and masks it in settings', async () => {
+    await TenantSettingsService.saveWuzapiConfig(TENANT_A, { baseUrl: 'https://wuzapi.test', adminToken: 'admin-secret' });
+
+    const stored = db.tenant_settings[0].settings['wuzapi.adminToken'];
+    assert.ok(vault.isEncrypted(stored));
+
+    const config = await TenantSettingsService.getWuzapiConfig(TENANT_A);
+    assert.strictEqual(config.adminToken, 'admin-secret');
+
+    const settings = await TenantSettingsService.getSettings(TENANT_A);
+    assert.strictEqual(settings.find(s => s.key === 'wuzapi.adminToken').value, MASK);
+  });
+});
+
+/**
+ * Token in the format written by TenantSettingsService before the vault
+ */
+function legacyTenantToken(plaintext) {
+  const secret = process.env.ENCRYPTION_SECRET || process.env.SESSION_SECRET || 'default-encryption-key-change-me';
+  const key = crypto.scryptSync(secret, 'tenant-settings-salt', 32);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = cipher.update(plaintext, 'utf8', 'hex') + cipher.final('hex');
+  return `encrypted:${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted}`;
+}
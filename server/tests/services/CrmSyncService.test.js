@@ -0,0 +1,403 @@
+/**
+ * CrmSyncService Tests
+ * Tests job validation, queuing on the import queue, import/export phases,
+ * incremental sync, conflict policies, row-level errors and scheduling
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+const crypto = require('crypto');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService
+let db = {};
+
+function matches(row, ops) {
+  return ops.every(({ op, args }) => {
+    if (op === 'eq') return row[args[0]] === args[1];
+    if (op === 'is') return (row[args[0]] ?? null) === args[1];
+    if (op === 'in') return args[1].includes(row[args[0]]);
+    if (op === 'gt') return row[args[0]] > args[1];
+    if (op === 'not') return (row[args[0]] ?? null) !== args[2];
+    return true;
+  });
+}
+
+function respond(table, ops) {
+  db[table] = db[table] || [];
+  const insert = ops.find(o => o.op === 'insert');
+  const update = ops.find(o => o.op === 'update');
+  let rows;
+
+  if (insert) {
+    const now = new Date().toISOString();
+    const values = Array.isArray(insert.args[0]) ? insert.args[0] : [insert.args[0]];
+    rows = values.map(value => ({ id: crypto.randomUUID(), created_at: now, updated_at: now, ...value }));
+    db[table].push(...rows);
+  } else if (update) {
+    rows = db[table].filter(row => matches(row, ops));
+    rows.forEach(row => Object.assign(row, update.args[0]));
+  } else if (ops.some(o => o.op === 'delete')) {
+    rows = db[table].filter(row => matches(row, ops));
+    db[table] = db[table].filter(row => !rows.includes(row));
+  } else {
+    rows = db[table].filter(row => matches(row, ops));
+  }
+
+  const order = ops.find(o => o.op === 'order');
+  if (order) {
+    const [column, { ascending = true } = {}] = order.args;
+    rows = [...rows].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+  }
+  const range = ops.find(o => o.op === 'range');
+  if (range) rows = rows.slice(range.args[0], range.args[1] + 1);
+  const limit = ops.find(o => o.op === 'limit');
+  if (limit) rows = rows.slice(0, limit.args[0]);
+
+  if (ops.some(o => o.op === 'single' || o.op === 'maybeSingle')) {
+    return { data: rows[0] || null, error: null };
+  }
+  return { data: rows, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: {
+    queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+    getById: async (table, id) => respond(table, [{ op: 'eq', args: ['id', id] }, { op: 'single', args: [] }]),
+    insert: async (table, data) => respond(table, [{ op: 'insert', args: [data] }, { op: 'single', args: [] }]),
+    update: async (table, id, data) => respond(table, [{ op: 'update', args: [data] }, { op: 'eq', args: ['id', id] }, { op: 'single', args: [] }])
+  }
+};
+
+// Mock domain events published by ContactsService
+require.cache[require.resolve('../../services/DomainEventBus')] = {
+  exports: { publish: async () => {} }
+};
+
+// Mock database connections (credentials are not involved here)
+require.cache[require.resolve('../../services/DatabaseConnectionService')] = {
+  exports: {
+    getConnectionById: async (id) => (db.database_connections || []).find(c => c.id === id) || null
+  }
+};
+
+// Mock import queue
+let queuedJobs = [];
+let queueAvailable = true;
+require.cache[require.resolve('../../queues/importQueue')] = {
+  exports: {
+    addCrmSyncJob: async (data) => {
+      if (!queueAvailable) return null;
+      queuedJobs.push(data);
+      return { id: `crm-sync-${data.runId}` };
+    }
+  }
+};
+
+// In-memory external table
+let external = [];
+let fetchCalls = [];
+const realAdapters = require('../../services/CrmSyncAdapters');
+require.cache[require.resolve('../../services/CrmSyncAdapters')] = {
+  exports: {
+    ...realAdapters,
+    createAdapter: async (connection, { keyColumn, updatedAtColumn }) => ({
+      async fetchRows({ since, offset, limit }) {
+        fetchCalls.push({ since, offset, limit });
+        return external
+          .filter(row => !since || !updatedAtColumn || row[updatedAtColumn] > since)
+          .slice(offset, offset + limit);
+      },
+      async findByColumn(column, value) {
+        return external.find(row => String(row[column]) === String(value)) || null;
+      },
+      async insertRow(values) {
+        const row = { [keyColumn]: external.length + 1, ...values };
+        external.push(row);
+        return row;
+      },
+      async updateRow(row, values) {
+        Object.assign(row, values);
+        return row;
+      },
+      async close() {}
+    })
+  }
+};
+
+const CrmSyncService = require('../../services/CrmSyncService');
+
+const TENANT_ID = '11111111-1111-1111-1111-111111111111';
+const ACCOUNT_ID = '22222222-2222-2222-2222-222222222222';
+const OTHER_ACCOUNT_ID = '33333333-3333-3333-3333-333333333333';
+const USER_ID = '44444444-4444-4444-4444-444444444444';
+
+const MAPPING = [
+  { column: 'celular', field: 'phone' },
+  { column: 'nome', field: 'name' },
+  { column: 'plano', field: 'custom:plano' }
+];
+
+beforeEach(() => {
+  db = {
+    database_connections: [
+      { id: 'conn-1', account_id: ACCOUNT_ID, name: 'Clientes', type: 'SUPABASE' },
+      { id: 'conn-sql', account_id: ACCOUNT_ID, name: 'ERP', type: 'POSTGRES' },
+      { id: 'conn-other', account_id: OTHER_ACCOUNT_ID, name: 'Outro', type: 'SUPABASE' }
+    ],
+    custom_field_definitions: [
+      { id: 'field-1', account_id: ACCOUNT_ID, name: 'plano', label: 'Plano', field_type: 'text', display_order: 0 }
+    ],
+    contacts: []
+  };
+  external = [];
+  fetchCalls = [];
+  queuedJobs = [];
+  queueAvailable = true;
+});
+
+function createJob(input = {}) {
+  return CrmSyncService.createJob(ACCOUNT_ID, TENANT_ID, {
+    connectionId: 'conn-1',
+    columnMapping: MAPPING,
+    ...input
+  }, USER_ID);
+}
+
+async function runJob(jobId, options) {
+  const run = await CrmSyncService.startRun(ACCOUNT_ID, jobId, options);
+  return CrmSyncService.executeRun(run.id);
+}
+
+function addContact(values) {
+  const now = new Date().toISOString();
+  const contact = {
+    id: crypto.randomUUID(),
+    tenant_id: TENANT_ID,
+    account_id: ACCOUNT_ID,
+    custom_fields: {},
+    created_at: now,
+    updated_at: now,
+    ...values
+  };
+  db.contacts.push(contact);
+  return contact;
+}
+
+describe('CrmSyncService jobs', () => {
+  test('creates a job with defaults', async () => {
+    const job = await createJob();
+
+    assert.strictEqual(job.name, 'Clientes');
+    assert.strictEqual(job.direction, 'import');
+    assert.strictEqual(job.conflictPolicy, 'newest_wins');
+    assert.deepStrictEqual(job.columnMapping, MAPPING);
+    assert.ok(!job.lastSyncedAt);
+  });
+
+  test('requires a phone mapping and known fields', async () => {
+    await assert.rejects(
+      () => createJob({ columnMapping: [{ column: 'nome', field: 'name' }] }),
+      { message: 'MAPPING_PHONE_REQUIRED' }
+    );
+    await assert.rejects(
+      () => createJob({ columnMapping: [{ column: 'celular', field: 'phone' }, { column: 'x', field: 'custom:unknown' }] }),
+      (error) => error.message === 'INVALID_MAPPING_FIELD' && error.details.field === 'custom:unknown'
+    );
+  });
+
+  test('rejects connections of other accounts and unsafe SQL identifiers', async () => {
+    await assert.rejects(() => createJob({ connectionId: 'conn-other' }), { message: 'CONNECTION_NOT_FOUND' });
+    await assert.rejects(
+      () => createJob({ connectionId: 'conn-sql', columnMapping: [{ column: 'phone; DROP TABLE x', field: 'phone' }] }),
+      { message: 'INVALID_IDENTIFIER' }
+    );
+  });
+
+  test('requires the updated-at column for bidirectional newest_wins', async () => {
+    await assert.rejects(() => createJob({ direction: 'bidirectional' }), { message: 'UPDATED_AT_COLUMN_REQUIRED' });
+  });
+
+  test('resets the incremental checkpoint when the mapping changes', async () => {
+    const job = await createJob();
+    db.crm_sync_jobs[0].last_synced_at = '2026-01-01T00:00:00.000Z';
+
+    const renamed = await CrmSyncService.updateJob(ACCOUNT_ID, job.id, { name: 'Renomeado' });
+    assert.strictEqual(renamed.lastSyncedAt, '2026-01-01T00:00:00.000Z');
+
+    const remapped = await CrmSyncService.updateJob(ACCOUNT_ID, job.id, {
+      columnMapping: [{ column: 'celular', field: 'phone' }]
+    });
+    assert.strictEqual(remapped.lastSyncedAt, null);
+  });
+});
+
+describe('CrmSyncService runs', () => {
+  test('queues runs on the import queue, one at a time', async () => {
+    const job = await createJob();
+
+    const run = await CrmSyncService.startRun(ACCOUNT_ID, job.id);
+    assert.strictEqual(run.status, 'queued');
+    assert.deepStrictEqual(queuedJobs, [{ runId: run.id, jobId: job.id, accountId: ACCOUNT_ID }]);
+
+    await assert.rejects(
+      () => CrmSyncService.startRun(ACCOUNT_ID, job.id),
+      (error) => error.message === 'SYNC_ALREADY_RUNNING' && error.details.runId === run.id
+    );
+  });
+
+  test('executes the run in-process when the import queue is unavailable', async () => {
+    external = [{ id: 1, celular: '5511977776666', nome: 'João', plano: 'prata' }];
+    const job = await createJob();
+    queueAvailable = false;
+
+    const run = await CrmSyncService.startRun(ACCOUNT_ID, job.id);
+    assert.strictEqual(run.status, 'queued');
+    assert.deepStrictEqual(queuedJobs, []);
+
+    for (let i = 0; i < 50 && db.crm_sync_runs[0].status !== 'completed'; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.strictEqual(db.crm_sync_runs[0].status, 'completed');
+    assert.strictEqual(db.contacts.length, 1);
+  });
+
+  test('imports rows into contacts and custom fields, logging row errors', async () => {
+    const existing = addContact({ phone: '5511988887777', name: 'Nome antigo' });
+    external = [
+      { id: 1, celular: '+55 (11) 98888-7777', nome: 'Maria', plano: 'ouro' },
+      { id: 2, celular: '5511977776666', nome: 'João', plano: 'prata' },
+      { id: 3, celular: null, nome: 'Sem telefone', plano: null }
+    ];
+    const job = await createJob();
+
+    const run = await runJob(job.id);
+
+    assert.strictEqual(run.status, 'completed_with_errors');
+    assert.deepStrictEqual(run.stats.import, {
+      read: 3, created: 1, updated: 1, unchanged: 0, skipped: 0, conflicts: 0, failed: 1
+    });
+
+    assert.strictEqual(existing.name, 'Maria');
+    assert.deepStrictEqual(existing.custom_fields, { plano: 'ouro' });
+    const created = db.contacts.find(c => c.phone === '5511977776666');
+    assert.strictEqual(created.name, 'João');
+    assert.strictEqual(created.source, 'sync');
+    assert.deepStrictEqual(created.custom_fields, { plano: 'prata' });
+
+    const details = await CrmSyncService.getRun(ACCOUNT_ID, run.id);
+    assert.strictEqual(details.errors.length, 1);
+    assert.strictEqual(details.errors[0].phase, 'import');
+    assert.strictEqual(details.errors[0].rowKey, '3');
+    assert.strictEqual(details.errors[0].error, 'MISSING_PHONE');
+
+    // Row errors do not hold back the checkpoint
+    assert.ok((await CrmSyncService.getJob(ACCOUNT_ID, job.id)).lastSyncedAt);
+  });
+
+  test('reads only rows changed since the last run and skips unchanged values', async () => {
+    external = [
+      { id: 1, celular: '5511988887777', nome: 'Maria', plano: 'ouro', updated_at: '2026-01-01T00:00:00.000Z' }
+    ];
+    const job = await createJob({ updatedAtColumn: 'updated_at' });
+
+    await runJob(job.id);
+    const { lastSyncedAt } = await CrmSyncService.getJob(ACCOUNT_ID, job.id);
+
+    external[0].updated_at = new Date(Date.now() + 1000).toISOString();
+    const second = await runJob(job.id);
+
+    assert.strictEqual(fetchCalls[0].since, null);
+    assert.strictEqual(fetchCalls[1].since, lastSyncedAt);
+    assert.strictEqual(second.syncedSince, lastSyncedAt);
+    assert.strictEqual(second.stats.import.read, 1);
+    assert.strictEqual(second.stats.import.unchanged, 1);
+
+    const full = await runJob(job.id, { fullSync: true });
+    assert.strictEqual(full.syncedSince, null);
+  });
+
+  test('exports contacts changed since the last run', async () => {
+    external = [{ id: 1, celular: '5511988887777', nome: 'Antigo', plano: null }];
+    addContact({ phone: '5511988887777', name: 'Maria', custom_fields: { plano: 'ouro' } });
+    addContact({ phone: '5511977776666', name: 'João' });
+    const job = await createJob({ direction: 'export' });
+
+    const run = await runJob(job.id);
+
+    assert.strictEqual(run.status, 'completed');
+    assert.strictEqual(run.stats.export.created, 1);
+    assert.strictEqual(run.stats.export.updated, 1);
+    assert.deepStrictEqual(external[0], { id: 1, celular: '5511988887777', nome: 'Maria', plano: 'ouro' });
+    assert.deepStrictEqual(external[1], { id: 2, celular: '5511977776666', nome: 'João', plano: null });
+
+    // Nothing changed since: the next run reads no contacts
+    const second = await runJob(job.id);
+    assert.strictEqual(second.stats.export.read, 0);
+  });
+
+  test('bidirectional newest_wins keeps the most recent side', async () => {
+    const checkpoint = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const contactEdited = new Date(Date.now() - 30 * 60 * 1000).toISOString();
+    const rowEdited = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+    const contact = addContact({ phone: '5511988887777', name: 'Editado no CRM', updated_at: contactEdited });
+    external = [{ id: 1, celular: '5511988887777', nome: 'Editado na planilha', plano: null, updated_at: rowEdited }];
+    const job = await createJob({ direction: 'bidirectional', updatedAtColumn: 'updated_at' });
+    db.crm_sync_jobs[0].last_synced_at = checkpoint;
+
+    const run = await runJob(job.id);
+
+    assert.strictEqual(run.stats.import.conflicts, 1);
+    assert.strictEqual(run.stats.import.updated, 1);
+    assert.strictEqual(contact.name, 'Editado na planilha');
+    // Written by the import phase, not echoed back
+    assert.strictEqual(run.stats.export.read, 0);
+  });
+
+  test('bidirectional crm_wins pushes the CRM value over a changed row', async () => {
+    const checkpoint = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const recent = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+    const contact = addContact({ phone: '5511988887777', name: 'Editado no CRM', updated_at: recent });
+    external = [{ id: 1, celular: '5511988887777', nome: 'Editado na planilha', plano: null, updated_at: recent }];
+    const job = await createJob({ direction: 'bidirectional', updatedAtColumn: 'updated_at', conflictPolicy: 'crm_wins' });
+    db.crm_sync_jobs[0].last_synced_at = checkpoint;
+
+    const run = await runJob(job.id);
+
+    assert.strictEqual(run.stats.import.conflicts, 1);
+    assert.strictEqual(run.stats.import.skipped, 1);
+    assert.strictEqual(run.stats.export.updated, 1);
+    assert.strictEqual(contact.name, 'Editado no CRM');
+    assert.strictEqual(external[0].nome, 'Editado no CRM');
+  });
+
+  test('dispatches scheduled jobs that are due', async () => {
+    const due = await createJob({ intervalMinutes: 15 });
+    const recent = await createJob({ intervalMinutes: 15 });
+    await createJob();
+    db.crm_sync_jobs.find(j => j.id === recent.id).last_run_at = new Date().toISOString();
+
+    const result = await CrmSyncService.dispatchScheduledJobs();
+
+    assert.deepStrictEqual(result, { dispatched: 1, skipped: 0 });
+    assert.strictEqual(queuedJobs.length, 1);
+    assert.strictEqual(queuedJobs[0].jobId, due.id);
+    assert.strictEqual(db.crm_sync_runs[0].trigger, 'schedule');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * CsatService Tests
+ * Tests for rating parsing, the rating/comment conversation flow, survey
+ * sending on resolution and CSAT aggregation per agent, team and inbox
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// Record survey writes made through SupabaseService
+let surveyUpdates = [];
+let surveyInserts = [];
+let conversationRow = null;
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => {
+    const query = {
+      select: () => query,
+      update: () => query,
+      eq: () => query,
+      in: () => query,
+      single: async () => ({ data: table === 'conversations' ? conversationRow : null, error: null }),
+      then: (resolve) => resolve({ data: null, error: null })
+    };
+    return queryFn(query);
+  },
+  update: async (table, id, data) => {
+    surveyUpdates.push({ id, ...data });
+    return { data, error: null };
+  },
+  insert: async (table, data) => {
+    surveyInserts.push(data);
+    return { data: { id: 'survey-1', ...data }, error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+const { CsatService, SURVEY_STATUS } = require('../../services/CsatService');
+
+const settings = {
+  is_enabled: true,
+  scale: 'numeric',
+  survey_message: 'Avalie de 1 a 5',
+  comment_prompt: 'Quer deixar um comentário?',
+  thank_you_message: 'Obrigado!',
+  inbox_ids: [],
+  response_window_hours: 24
+};
+
+const conversation = { id: 'conv-1', account_id: 'acc-1', contact_jid: '5511999999999@s.whatsapp.net' };
+
+/**
+ * Build a service with the given open survey and settings, recording sent texts
+ */
+function buildService(survey, surveySettings = settings) {
+  const service = new CsatService();
+  const sent = [];
+
+  service.getOpenSurvey = async () => survey;
+  service.getSettings = async () => surveySettings;
+  service.getSendingToken = async () => 'token-1';
+  service.sendText = async (token, jid, content) => {
+    sent.push(content);
+  };
+
+  return { service, sent };
+}
+
+describe('CsatService - parsing ratings', () => {
+  const service = new CsatService();
+
+  test('should parse numeric ratings with an optional comment', () => {
+    assert.deepStrictEqual(service.parseScore('5'), { score: 5, comment: null });
+    assert.deepStrictEqual(service.parseScore(' 4/5 '), { score: 4, comment: null });
+    assert.deepStrictEqual(service.parseScore('3 estrelas'), { score: 3, comment: null });
+    assert.deepStrictEqual(service.parseScore('2, demorou muito'), { score: 2, comment: 'demorou muito' });
+    assert.deepStrictEqual(service.parseScore('5️⃣'), { score: 5, comment: null });
+    assert.deepStrictEqual(service.parseScore('⭐⭐⭐⭐'), { score: 4, comment: null });
+  });
+
+  test('should reject numbers outside the scale and free text', () => {
+    assert.strictEqual(service.parseScore('10'), null);
+    assert.strictEqual(service.parseScore('0'), null);
+    assert.strictEqual(service.parseScore('obrigado'), null);
+    assert.strictEqual(service.parseScore(''), null);
+  });
+
+  test('should only accept emojis on the emoji scale', () => {
+    assert.strictEqual(service.parseScore('😍'), null);
+    assert.deepStrictEqual(service.parseScore('😍 adorei', 'emoji'), { score: 5, comment: 'adorei' });
+    assert.deepStrictEqual(service.parseScore('😡', 'emoji'), { score: 1, comment: null });
+    assert.deepStrictEqual(service.parseScore('3', 'emoji'), { score: 3, comment: null });
+  });
+});
+
+describe('CsatService - answers', () => {
+  beforeEach(() => {
+    surveyUpdates = [];
+  });
+
+  const pending = { id: 'survey-1', account_id: 'acc-1', status: SURVEY_STATUS.PENDING, scale: 'numeric' };
+
+  test('should store the score and ask for a comment', async () => {
+    const { service, sent } = buildService(pending);
+
+    const result = await service.handleIncomingMessage(conversation, '4');
+
+    assert.deepStrictEqual(result, { handled: true, score: 4 });
+    assert.strictEqual(surveyUpdates[0].score, 4);
+    assert.strictEqual(surveyUpdates[0].status, SURVEY_STATUS.AWAITING_COMMENT);
+    assert.deepStrictEqual(sent, ['Quer deixar um comentário?']);
+  });
+
+  test('should complete at once when the rating carries a comment', async () => {
+    const { service, sent } = buildService(pending);
+
+    await service.handleIncomingMessage(conversation, '5 - ótimo atendimento');
+
+    assert.strictEqual(surveyUpdates[0].comment, 'ótimo atendimento');
+    assert.strictEqual(surveyUpdates[0].status, SURVEY_STATUS.COMPLETED);
+    assert.deepStrictEqual(sent, ['Obrigado!']);
+  });
+
+  test('should store the next message as the comment', async () => {
+    const { service, sent } = buildService({ ...pending, status: SURVEY_STATUS.AWAITING_COMMENT, score: 4 });
+
+    const result = await service.handleIncomingMessage(conversation, 'Resolveram rápido');
+
+    assert.deepStrictEqual(result, { handled: true, score: 4 });
+    assert.strictEqual(surveyUpdates[0].comment, 'Resolveram rápido');
+    assert.strictEqual(surveyUpdates[0].status, SURVEY_STATUS.COMPLETED);
+    assert.deepStrictEqual(sent, ['Obrigado!']);
+  });
+
+  test('should let unrelated messages through', async () => {
+    const { service, sent } = buildService(pending);
+
+    assert.deepStrictEqual(await service.handleIncomingMessage(conversation, 'preciso de ajuda'), { handled: false });
+    assert.strictEqual(surveyUpdates.length, 0);
+    assert.strictEqual(sent.length, 0);
+
+    const noSurvey = buildService(null).service;
+    assert.deepStrictEqual(await noSurvey.handleIncomingMessage(conversation, '5'), { handled: false });
+  });
+});
+
+describe('CsatService - sending on resolution', () => {
+  beforeEach(() => {
+    surveyInserts = [];
+    conversationRow = { ...conversation, inbox_id: 'inbox-1', assigned_agent_id: 'agent-1' };
+  });
+
+  test('should send the survey linked to the conversation and agent', async () => {
+    const { service, sent } = buildService(null);
+
+    const survey = await service.sendSurvey('conv-1', { now: new Date('2026-01-05T10:00:00Z') });
+
+    assert.deepStrictEqual(sent, ['Avalie de 1 a 5']);
+    assert.strictEqual(survey.agent_id, 'agent-1');
+    assert.strictEqual(surveyInserts[0].inbox_id, 'inbox-1');
+    assert.strictEqual(surveyInserts[0].expires_at, '2026-01-06T10:00:00.000Z');
+  });
+
+  test('should skip disabled settings, other inboxes and groups', async () => {
+    assert.strictEqual(await buildService(null, { ...settings, is_enabled: false }).service.sendSurvey('conv-1'), null);
+    assert.strictEqual(await buildService(null, { ...settings, inbox_ids: ['inbox-2'] }).service.sendSurvey('conv-1'), null);
+
+    conversationRow.contact_jid = '123@g.us';
+    assert.strictEqual(await buildService(null).service.sendSurvey('conv-1'), null);
+    assert.strictEqual(surveyInserts.length, 0);
+  });
+});
+
+describe('CsatService - aggregation', () => {
+  const service = new CsatService();
+
+  test('should summarize average score and satisfied share', () => {
+    assert.deepStrictEqual(service.summarize([5, 4, 3, 1]), { responses: 4, averageScore: 3.25, csat: 50 });
+    assert.deepStrictEqual(service.summarize([]), { responses: 0, averageScore: null, csat: null });
+  });
+
+  test('should group ratings by every team of the agent', () => {
+    const teams = new Map([['a', ['t1', 't2']], ['b', ['t2']]]);
+    const rows = [
+      { score: 5, agent_id: 'a' },
+      { score: 2, agent_id: 'b' },
+      { score: 4, agent_id: null }
+    ];
+
+    const result = service.aggregateScores(rows, row => teams.get(row.agent_id) || []);
+
+    assert.deepStrictEqual(result, {
+      t1: { responses: 1, averageScore: 5, csat: 100 },
+      t2: { responses: 2, averageScore: 3.5, csat: 50 }
+    });
+  });
+});
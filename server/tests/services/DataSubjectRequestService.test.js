@@ -0,0 +1,285 @@
+/**
+ * DataSubjectRequestService Tests
+ * Tests the LGPD data subject export, erasure (delete and anonymize modes)
+ * and the status trail of each request
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService
+let db = {};
+let nextId = 1;
+
+const valueAt = (row, path) => path.split('.').reduce((value, key) => value?.[key], row);
+
+function respond(table, ops) {
+  const rows = db[table] || (db[table] = []);
+  const matches = rows.filter(row => ops.every(({ op, args }) => {
+    if (op === 'eq') return valueAt(row, args[0]) === args[1];
+    if (op === 'in') return args[1].includes(valueAt(row, args[0]));
+    return true;
+  }));
+
+  if (ops.some(o => o.op === 'delete')) {
+    db[table] = rows.filter(row => !matches.includes(row));
+    return { data: null, error: null, count: matches.length };
+  }
+
+  const update = ops.find(o => o.op === 'update');
+  if (update) {
+    matches.forEach(row => Object.assign(row, update.args[0]));
+    return { data: null, error: null };
+  }
+
+  if (ops.some(o => o.op === 'single')) {
+    return matches[0] ? { data: matches[0], error: null } : { data: null, error: { code: 'PGRST116' } };
+  }
+
+  const range = ops.find(o => o.op === 'range');
+  return { data: range ? matches.slice(range.args[0], range.args[1] + 1) : matches, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+  insert: async (table, data) => {
+    const row = { id: `${table}-${nextId++}`, created_at: new Date().toISOString(), ...data };
+    (db[table] || (db[table] = [])).push(row);
+    return { data: row, error: null };
+  },
+  update: async (table, id, data) => {
+    const row = db[table].find(r => r.id === id);
+    Object.assign(row, data);
+    return { data: row, error: null };
+  },
+  delete: async (table, id) => {
+    db[table] = db[table].filter(r => r.id !== id);
+    return { error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// Stored media
+let mediaFolders = [];
+let mediaError = null;
+let s3Deleted = [];
+
+require.cache[require.resolve('../../services/StorageService')] = {
+  exports: {
+    deleteConversationMedia: async (conversationId) => {
+      if (mediaError) return { deleted: 0, error: mediaError };
+      mediaFolders.push(conversationId);
+      return { deleted: 2, error: null };
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/S3Service')] = {
+  exports: {
+    s3Service: {
+      isEnabled: () => true,
+      getPublicUrl: (key) => `https://media.example.com/bucket/${key}`,
+      delete: async (key) => {
+        s3Deleted.push(key);
+        return true;
+      }
+    }
+  }
+};
+
+const { DataSubjectRequestService } = require('../../services/DataSubjectRequestService');
+
+const PHONE = '5511988887777';
+
+function seed() {
+  db = {
+    accounts: [{ id: 'account-1', wuzapi_token: 'token-1' }],
+    inboxes: [{ id: 'inbox-1', account_id: 'account-1', wuzapi_token: 'token-2' }],
+    contacts: [
+      { id: 'contact-1', account_id: 'account-1', name: 'Maria', phone: PHONE, whatsapp_jid: `${PHONE}@s.whatsapp.net`, custom_fields: { cpf: '123' } },
+      { id: 'contact-2', account_id: 'account-1', name: 'João', phone: '5511977776666' }
+    ],
+    conversations: [
+      { id: 'conv-1', account_id: 'account-1', contact_jid: `${PHONE}@s.whatsapp.net` },
+      { id: 'conv-2', account_id: 'account-1', contact_jid: '5511977776666@s.whatsapp.net' },
+      { id: 'conv-3', account_id: 'account-2', contact_jid: `${PHONE}@s.whatsapp.net` }
+    ],
+    chat_messages: [
+      { id: 'msg-1', conversation_id: 'conv-1', content: 'Oi', media_url: null },
+      { id: 'msg-2', conversation_id: 'conv-1', media_url: 'https://media.example.com/bucket/media/user-1/foto.jpg' },
+      { id: 'msg-3', conversation_id: 'conv-2', content: 'Outro contato' }
+    ],
+    contact_notes: [{ id: 'note-1', conversation_id: 'conv-1', content: 'Cliente VIP' }],
+    contact_consents: [{ id: 'consent-1', contact_id: 'contact-1', contact_phone: PHONE, status: 'granted' }],
+    contact_interactions: [
+      { id: 'int-1', contact_id: 'contact-1', content: 'Ligação' },
+      { id: 'int-2', contact_id: 'contact-2', content: 'Outro' }
+    ],
+    contact_purchases: [{ id: 'purchase-1', contact_id: 'contact-1', amount_cents: 5000 }],
+    appointments: [{ id: 'appt-1', contact_id: 'contact-1', title: 'Consulta', description: 'Dor nas costas', notes: 'Alergia' }],
+    appointment_reminders: [
+      { id: 'rem-1', account_id: 'account-1', contact_phone: PHONE },
+      { id: 'rem-2', account_id: 'account-2', contact_phone: PHONE }
+    ],
+    campaign_contacts: [
+      { id: 'cc-1', phone: PHONE, name: 'Maria', variables: { nome: 'Maria' }, bulk_campaigns: { user_token: 'token-2' } },
+      { id: 'cc-2', phone: PHONE, name: 'Maria', bulk_campaigns: { user_token: 'token-other' } }
+    ]
+  };
+}
+
+describe('DataSubjectRequestService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new DataSubjectRequestService();
+    seed();
+    nextId = 1;
+    mediaFolders = [];
+    mediaError = null;
+    s3Deleted = [];
+  });
+
+  test('should export every record about the subject and record the status trail', async () => {
+    const request = await service.createRequest('account-1', 'tenant-1', {
+      type: 'export',
+      contactId: 'contact-1',
+      reason: 'E-mail do titular',
+      requestedBy: 'user-1'
+    });
+
+    assert.strictEqual(request.status, 'completed');
+    assert.deepStrictEqual(request.events.map(e => e.status), ['received', 'processing', 'completed']);
+    assert.strictEqual(request.events[0].actorId, 'user-1');
+    assert.strictEqual(request.result.records.messages, 2);
+    assert.strictEqual(request.subjectPhone, PHONE);
+
+    const exportData = await service.getExport('account-1', request.id, 'user-1');
+
+    assert.strictEqual(exportData.subject.contactId, 'contact-1');
+    assert.strictEqual(exportData.data.contact.name, 'Maria');
+    assert.deepStrictEqual(exportData.data.conversations.map(c => c.id), ['conv-1']);
+    assert.deepStrictEqual(exportData.data.messages.map(m => m.id), ['msg-1', 'msg-2']);
+    assert.deepStrictEqual(exportData.data.interactions.map(i => i.id), ['int-1']);
+    assert.deepStrictEqual(exportData.data.appointmentReminders.map(r => r.id), ['rem-1']);
+    assert.deepStrictEqual(exportData.data.campaignContacts.map(c => c.id), ['cc-1']);
+    assert.deepStrictEqual(exportData.data.consents.map(c => c.id), ['consent-1']);
+
+    const events = db.data_subject_request_events.filter(e => e.request_id === request.id);
+    assert.strictEqual(events[events.length - 1].message, 'Export downloaded');
+
+    // Nothing was erased
+    assert.strictEqual(db.chat_messages.length, 3);
+  });
+
+  test('should delete the subject data, media and contact but keep the consent ledger', async () => {
+    const request = await service.createRequest('account-1', 'tenant-1', {
+      type: 'erase',
+      phone: '+55 (11) 98888-7777'
+    });
+
+    assert.strictEqual(request.status, 'completed');
+    assert.strictEqual(request.contactId, 'contact-1');
+    assert.strictEqual(request.subjectPhone, null);
+    assert.strictEqual(request.subjectHash, service.hashSubject('account-1', PHONE));
+
+    assert.deepStrictEqual(mediaFolders, ['conv-1']);
+    assert.deepStrictEqual(s3Deleted, ['media/user-1/foto.jpg']);
+    assert.strictEqual(request.result.mediaFiles, 3);
+
+    assert.deepStrictEqual(db.conversations.map(c => c.id), ['conv-2', 'conv-3']);
+    assert.deepStrictEqual(db.chat_messages.map(m => m.id), ['msg-3']);
+    assert.deepStrictEqual(db.contact_notes, []);
+    assert.deepStrictEqual(db.contact_interactions.map(i => i.id), ['int-2']);
+    assert.deepStrictEqual(db.contact_purchases, []);
+    assert.deepStrictEqual(db.appointment_reminders.map(r => r.id), ['rem-2']);
+    assert.deepStrictEqual(db.campaign_contacts.map(c => c.id), ['cc-2']);
+    assert.deepStrictEqual(db.contacts.map(c => c.id), ['contact-2']);
+
+    assert.strictEqual(db.contact_consents.length, 1);
+    assert.strictEqual(request.result.kept.consents, 1);
+    assert.strictEqual(request.result.erased.messages, 2);
+    assert.strictEqual(request.result.erased.contact, 1);
+
+    await assert.rejects(service.getExport('account-1', request.id), { message: 'REQUEST_NOT_EXPORT' });
+  });
+
+  test('should anonymize the records that are kept', async () => {
+    const request = await service.createRequest('account-1', 'tenant-1', {
+      type: 'erase',
+      eraseMode: 'anonymize',
+      contactId: 'contact-1'
+    });
+
+    const placeholder = `anon-${service.hashSubject('account-1', PHONE).slice(0, 12)}`;
+    const contact = db.contacts.find(c => c.id === 'contact-1');
+
+    assert.strictEqual(request.status, 'completed');
+    assert.strictEqual(contact.name, 'Titular anonimizado');
+    assert.strictEqual(contact.phone, placeholder);
+    assert.deepStrictEqual(contact.custom_fields, {});
+    assert.strictEqual(contact.bulk_messaging_opt_in, false);
+
+    assert.deepStrictEqual(db.contact_purchases.map(p => p.amount_cents), [5000]);
+    assert.deepStrictEqual(
+      db.appointments.map(a => ({ title: a.title, description: a.description, notes: a.notes })),
+      [{ title: 'Consulta', description: null, notes: null }]
+    );
+    assert.deepStrictEqual(
+      { phone: db.campaign_contacts[0].phone, name: db.campaign_contacts[0].name, variables: db.campaign_contacts[0].variables },
+      { phone: placeholder, name: null, variables: {} }
+    );
+    assert.strictEqual(db.campaign_contacts[1].phone, PHONE);
+
+    // Conversations and interactions are deleted in both modes
+    assert.deepStrictEqual(db.chat_messages.map(m => m.id), ['msg-3']);
+    assert.deepStrictEqual(db.contact_interactions.map(i => i.id), ['int-2']);
+    assert.strictEqual(request.result.anonymized.appointments, 1);
+    assert.strictEqual(request.result.anonymized.contact, 1);
+  });
+
+  test('should record a failed erasure in the status trail', async () => {
+    mediaError = { code: 'LIST_FAILED', message: 'Storage unavailable' };
+
+    const request = await service.createRequest('account-1', 'tenant-1', {
+      type: 'erase',
+      contactId: 'contact-1'
+    });
+
+    assert.strictEqual(request.status, 'failed');
+    assert.strictEqual(request.error, 'MEDIA_DELETE_FAILED');
+    assert.deepStrictEqual(request.events.map(e => e.status), ['received', 'processing', 'failed']);
+    assert.strictEqual(request.events[2].details.details.conversationId, 'conv-1');
+
+    // Kept so the request can be retried
+    assert.strictEqual(request.subjectPhone, PHONE);
+    assert.strictEqual(db.contacts.length, 2);
+    assert.strictEqual(db.chat_messages.length, 3);
+  });
+
+  test('should validate the request and its subject', async () => {
+    await assert.rejects(service.createRequest('account-1', 'tenant-1', { type: 'rectify', contactId: 'contact-1' }), { message: 'INVALID_TYPE' });
+    await assert.rejects(service.createRequest('account-1', 'tenant-1', { type: 'erase', eraseMode: 'hide', contactId: 'contact-1' }), { message: 'INVALID_ERASE_MODE' });
+    await assert.rejects(service.createRequest('account-1', 'tenant-1', { type: 'export' }), { message: 'SUBJECT_REQUIRED' });
+    await assert.rejects(service.createRequest('account-2', 'tenant-1', { type: 'export', contactId: 'contact-1' }), { message: 'CONTACT_NOT_FOUND' });
+    assert.strictEqual(db.data_subject_requests, undefined);
+  });
+});
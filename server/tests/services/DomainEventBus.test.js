@@ -0,0 +1,329 @@
+/**
+ * DomainEventBus Tests
+ * Tests the event envelope and catalog, context resolution, subscriber
+ * isolation and the subscribers (webhook compatibility mapping, websocket,
+ * automations)
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService
+let db = {};
+
+function respond(table, ops) {
+  const rows = db[table] || [];
+  const matches = rows.filter(row => ops.every(({ op, args }) => {
+    if (op === 'eq') return row[args[0]] === args[1];
+    if (op === 'is') return (row[args[0]] ?? null) === args[1];
+    if (op === 'contains') return args[1].every(value => (row[args[0]] || []).includes(value));
+    return true;
+  }));
+
+  if (ops.some(o => o.op === 'single' || o.op === 'maybeSingle')) {
+    return { data: matches[0] || null, error: null };
+  }
+  return { data: matches, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: {
+    queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table))
+  }
+};
+
+// Queued webhook deliveries
+let deliveries = [];
+
+require.cache[require.resolve('../../queues/webhookQueue')] = {
+  exports: {
+    addWebhookDeliveryJob: async (delivery) => {
+      deliveries.push(delivery);
+      return { id: delivery.deliveryId };
+    }
+  }
+};
+
+// Websocket handler
+let broadcasts = [];
+
+require.cache[require.resolve('../../websocket')] = {
+  exports: {
+    getChatHandler: () => ({
+      broadcastMessageStatusUpdate: (...args) => broadcasts.push({ event: 'message_status_update', args }),
+      broadcastDomainEvent: (event) => broadcasts.push({ event: 'domain_event', args: [event] })
+    })
+  }
+};
+
+// Automations
+let replies = [];
+
+require.cache[require.resolve('../../services/DripSequenceService')] = {
+  exports: {
+    recordReply: async (accountId, phone, content) => replies.push({ service: 'drip', accountId, phone, content })
+  }
+};
+
+require.cache[require.resolve('../../services/AbTestService')] = {
+  exports: {
+    recordReply: async (userToken, phone) => replies.push({ service: 'abTest', userToken, phone })
+  }
+};
+
+const { DomainEventBus } = require('../../services/DomainEventBus');
+const { registerDomainEventSubscribers } = require('../../services/DomainEventSubscribers');
+
+const TENANT_ID = '11111111-1111-4111-8111-111111111111';
+const ACCOUNT_ID = '22222222-2222-4222-8222-222222222222';
+const INBOX_ID = '33333333-3333-4333-8333-333333333333';
+const OWNER_ID = '44444444-4444-4444-8444-444444444444';
+const TOKEN = 'wuzapi-token-123';
+
+function seed() {
+  db = {
+    accounts: [{ id: ACCOUNT_ID, tenant_id: TENANT_ID, owner_user_id: OWNER_ID, wuzapi_token: TOKEN }],
+    inboxes: [{ id: INBOX_ID, account_id: ACCOUNT_ID, wuzapi_token: TOKEN }],
+    outgoing_webhooks: [],
+    chat_external_webhooks: []
+  };
+}
+
+function outgoingWebhook(id, overrides = {}) {
+  return {
+    id,
+    user_id: OWNER_ID,
+    inbox_id: null,
+    url: `https://hooks.example.com/${id}`,
+    events: JSON.stringify(['message.received']),
+    secret: 'secret',
+    is_active: true,
+    payload_format: 'legacy',
+    ...overrides
+  };
+}
+
+function externalWebhook(id, overrides = {}) {
+  return {
+    id,
+    account_id: ACCOUNT_ID,
+    url: `https://api.example.com/${id}`,
+    events: ['message.received'],
+    secret: null,
+    is_active: true,
+    payload_format: 'legacy',
+    ...overrides
+  };
+}
+
+function messageReceived(overrides = {}) {
+  return {
+    conversationId: 'conv-1',
+    direction: 'incoming',
+    isGroup: false,
+    message: { id: 'msg-1', content: 'Olá' },
+    contact: { jid: '5511999999999@s.whatsapp.net', phone: '5511999999999', name: 'Maria' },
+    ...overrides
+  };
+}
+
+const LEGACY_PAYLOADS = {
+  outgoing: { type: 'Message', event: { Info: { Id: 'ABC' } }, userID: TOKEN },
+  external: { conversationId: 'conv-1', message: { id: 'msg-1' }, contact: { jid: '5511999999999@s.whatsapp.net' } }
+};
+
+describe('DomainEventBus', () => {
+  let bus;
+
+  beforeEach(() => {
+    seed();
+    deliveries = [];
+    broadcasts = [];
+    replies = [];
+    bus = new DomainEventBus();
+  });
+
+  describe('buildEvent', () => {
+    test('wraps the data in a versioned envelope', () => {
+      const event = bus.buildEvent('contact.created', { accountId: ACCOUNT_ID, tenantId: TENANT_ID }, {
+        contactId: 'contact-1',
+        contact: { id: 'contact-1' }
+      });
+
+      assert.strictEqual(event.type, 'contact.created');
+      assert.strictEqual(event.version, 1);
+      assert.strictEqual(event.accountId, ACCOUNT_ID);
+      assert.strictEqual(event.tenantId, TENANT_ID);
+      assert.strictEqual(event.inboxId, null);
+      assert.ok(event.id);
+      assert.ok(event.occurredAt);
+    });
+
+    test('rejects unknown event types and missing required fields', () => {
+      assert.throws(() => bus.buildEvent('contact.exploded', {}, {}), /UNKNOWN_EVENT_TYPE/);
+
+      try {
+        bus.buildEvent('message.status', {}, { conversationId: 'conv-1' });
+        assert.fail('should throw');
+      } catch (error) {
+        assert.strictEqual(error.message, 'INVALID_EVENT_PAYLOAD');
+        assert.deepStrictEqual(error.details.missing, ['messageId', 'status']);
+      }
+    });
+  });
+
+  describe('publish', () => {
+    test('resolves account, tenant and owner from the WUZAPI token', async () => {
+      let received = null;
+      bus.subscribe('probe', async (event, context) => { received = { event, context }; });
+
+      const event = await bus.publish('message.received', { userToken: TOKEN }, messageReceived());
+
+      assert.strictEqual(event.accountId, ACCOUNT_ID);
+      assert.strictEqual(event.tenantId, TENANT_ID);
+      assert.strictEqual(event.inboxId, INBOX_ID);
+      assert.strictEqual(received.context.ownerUserId, OWNER_ID);
+      assert.strictEqual(received.context.userToken, TOKEN);
+    });
+
+    test('a failing subscriber does not stop the others nor the publisher', async () => {
+      const calls = [];
+      bus.subscribe('broken', async () => { throw new Error('boom'); });
+      bus.subscribe('working', async (event) => { calls.push(event.type); });
+
+      const event = await bus.publish('contact.created', { accountId: ACCOUNT_ID }, {
+        contactId: 'contact-1',
+        contact: { id: 'contact-1' }
+      });
+
+      assert.ok(event);
+      assert.deepStrictEqual(calls, ['contact.created']);
+    });
+
+    test('invalid events are not delivered', async () => {
+      const calls = [];
+      bus.subscribe('probe', async (event) => { calls.push(event); });
+
+      const event = await bus.publish('purchase.created', { accountId: ACCOUNT_ID }, { purchaseId: 'p-1' });
+
+      assert.strictEqual(event, null);
+      assert.strictEqual(calls.length, 0);
+    });
+
+    test('subscribers only receive the event types they asked for', async () => {
+      const calls = [];
+      bus.subscribe('messages-only', async (event) => { calls.push(event.type); }, { events: ['message.received'] });
+
+      await bus.publish('contact.created', { accountId: ACCOUNT_ID }, { contactId: 'c-1', contact: { id: 'c-1' } });
+      await bus.publish('message.received', { accountId: ACCOUNT_ID }, messageReceived());
+
+      assert.deepStrictEqual(calls, ['message.received']);
+      assert.throws(() => bus.subscribe('bad', async () => {}, { events: ['nope'] }), /UNKNOWN_EVENT_TYPE/);
+    });
+  });
+
+  describe('subscribers', () => {
+    beforeEach(() => {
+      registerDomainEventSubscribers(bus);
+    });
+
+    test('legacy outgoing webhooks keep their payload; domain_event webhooks receive the envelope', async () => {
+      db.outgoing_webhooks = [
+        outgoingWebhook(1),
+        outgoingWebhook(2, { user_id: TOKEN }),
+        outgoingWebhook(3, { payload_format: 'domain_event' })
+      ];
+
+      const event = await bus.publish('message.received', { accountId: ACCOUNT_ID, userToken: TOKEN }, messageReceived(), {
+        legacy: LEGACY_PAYLOADS
+      });
+
+      const outgoing = deliveries.filter(d => d.source === 'outgoing');
+      const byWebhook = Object.fromEntries(outgoing.map(d => [d.webhookId, d]));
+
+      assert.strictEqual(outgoing.length, 3);
+      assert.deepStrictEqual(byWebhook[1].body, LEGACY_PAYLOADS.outgoing);
+      assert.strictEqual(byWebhook[2].ownerId, TOKEN);
+      assert.deepStrictEqual(byWebhook[3].body, event);
+      assert.strictEqual(byWebhook[3].eventType, 'message.received');
+    });
+
+    test('message.status reaches outgoing webhooks subscribed to the legacy status events', async () => {
+      db.outgoing_webhooks = [
+        outgoingWebhook(1, { events: JSON.stringify(['message.read']) }),
+        outgoingWebhook(2, { events: JSON.stringify(['message.delivered']) }),
+        outgoingWebhook(3, { events: JSON.stringify(['message.status']) })
+      ];
+
+      await bus.publish('message.status', { accountId: ACCOUNT_ID }, {
+        conversationId: 'conv-1',
+        messageId: 'msg-1',
+        status: 'read'
+      });
+
+      const outgoing = deliveries.filter(d => d.source === 'outgoing');
+      assert.deepStrictEqual(outgoing.map(d => d.webhookId).sort(), [1, 3]);
+      assert.strictEqual(outgoing[0].body.event, 'message.read');
+    });
+
+    test('external webhooks receive the legacy data or the envelope', async () => {
+      db.chat_external_webhooks = [
+        externalWebhook('ext-legacy'),
+        externalWebhook('ext-envelope', { payload_format: 'domain_event' }),
+        externalWebhook('ext-other-event', { events: ['message.sent'] })
+      ];
+
+      const event = await bus.publish('message.received', { accountId: ACCOUNT_ID }, messageReceived(), {
+        legacy: LEGACY_PAYLOADS
+      });
+
+      const external = deliveries.filter(d => d.source === 'external');
+      const byWebhook = Object.fromEntries(external.map(d => [d.webhookId, d]));
+
+      assert.strictEqual(external.length, 2);
+      assert.deepStrictEqual(byWebhook['ext-legacy'].body.data, LEGACY_PAYLOADS.external);
+      assert.strictEqual(byWebhook['ext-legacy'].body.event, 'message.received');
+      assert.deepStrictEqual(byWebhook['ext-envelope'].body, event);
+    });
+
+    test('websocket broadcasts status updates and the event to the conversation', async () => {
+      await bus.publish('message.status', { accountId: ACCOUNT_ID }, {
+        conversationId: 'conv-1',
+        messageId: 'msg-1',
+        status: 'delivered',
+        timestamp: '2026-01-01T12:00:00Z'
+      });
+
+      assert.deepStrictEqual(broadcasts.map(b => b.event), ['message_status_update', 'domain_event']);
+      assert.deepStrictEqual(broadcasts[0].args, ['conv-1', 'msg-1', 'delivered', '2026-01-01T12:00:00Z']);
+    });
+
+    test('contact replies feed drip sequences and A/B tests, group messages do not', async () => {
+      await bus.publish('message.received', { accountId: ACCOUNT_ID, userToken: TOKEN }, messageReceived());
+      await bus.publish('message.received', { accountId: ACCOUNT_ID, userToken: TOKEN }, messageReceived({
+        isGroup: true,
+        contact: { jid: '123@g.us', phone: null, name: 'Grupo' }
+      }));
+
+      assert.deepStrictEqual(replies, [
+        { service: 'drip', accountId: ACCOUNT_ID, phone: '5511999999999', content: 'Olá' },
+        { service: 'abTest', userToken: TOKEN, phone: '5511999999999' }
+      ]);
+    });
+  });
+});
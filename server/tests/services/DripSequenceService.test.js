@@ -0,0 +1,279 @@
+/**
+ * DripSequenceService Tests
+ * Tests for step validation, conditions, sending window and step execution
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Record writes made through SupabaseService
+let updates = [];
+let inserts = [];
+
+const mockSupabaseService = {
+  queryAsAdmin: async () => ({ data: [], error: null }),
+  getById: async () => ({ data: null, error: null }),
+  insert: async (table, data) => {
+    inserts.push({ table, data });
+    return { data: { id: 'new-id', ...data }, error: null };
+  },
+  update: async (table, id, data) => {
+    updates.push({ table, id, data });
+    return { data: { id, ...data }, error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+let optedIn = true;
+require.cache[require.resolve('../../services/CommunicationPreferenceService')] = {
+  exports: {
+    isOptedIn: async () => optedIn,
+    filterOptedIn: async (ids) => (optedIn ? ids : []),
+    processOptOutKeyword: async () => ({ optedOut: false, keyword: null })
+  }
+};
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+const { DripSequenceService } = require('../../services/DripSequenceService');
+
+const HOUR = 60 * 60 * 1000;
+
+const sequence = {
+  id: 'seq-1',
+  account_id: 'account-1',
+  status: 'active',
+  sending_window: { startTime: '09:00', endTime: '18:00', days: [1, 2, 3, 4, 5] },
+  steps: [
+    { id: 'step-0', position: 0, message_template: 'Oi {{nome}}', delay_value: 0, delay_unit: 'hours' },
+    { id: 'step-1', position: 1, message_template: 'Lembrete', delay_value: 2, delay_unit: 'days', condition: { type: 'not_replied' } },
+    { id: 'step-2', position: 2, message_template: 'Oferta', delay_value: 3, delay_unit: 'hours', condition: { type: 'in_segment', segmentId: 'seg-vip', onFail: 'exit' } }
+  ]
+};
+
+// Wednesday 10:00 local time, inside the window
+const insideWindow = new Date(2026, 0, 7, 10, 0, 0);
+
+function createService(sent) {
+  const service = new DripSequenceService();
+  service.sendStepMessage = async (seq, contactId, step) => {
+    sent.push(step.position);
+  };
+  return service;
+}
+
+describe('DripSequenceService - step definitions', () => {
+  const service = new DripSequenceService();
+
+  test('should accept valid steps', () => {
+    assert.doesNotThrow(() => service.validateSteps([
+      { messageTemplate: 'Olá', delayValue: 1, delayUnit: 'days' },
+      { messageTemplate: 'Tchau', condition: { type: 'replied', onFail: 'exit' } }
+    ]));
+  });
+
+  test('should reject invalid steps with details', () => {
+    assert.throws(
+      () => service.validateSteps([
+        { messageTemplate: '' },
+        { messageTemplate: 'x', delayUnit: 'weeks' },
+        { messageTemplate: 'y', condition: { type: 'in_segment' } }
+      ]),
+      (error) => {
+        assert.strictEqual(error.message, 'INVALID_STEPS');
+        assert.strictEqual(error.details.length, 3);
+        return true;
+      }
+    );
+  });
+
+  test('should require trigger ids for segment and tag triggers', () => {
+    assert.throws(() => service.validateTrigger('segment', null), /TRIGGER_ID_REQUIRED/);
+    assert.throws(() => service.validateTrigger('webhook', null), /INVALID_TRIGGER/);
+    assert.doesNotThrow(() => service.validateTrigger('import', null));
+  });
+
+  test('should convert delays to milliseconds', () => {
+    assert.strictEqual(service.getStepDelayMs({ delay_value: 3, delay_unit: 'hours' }), 3 * HOUR);
+    assert.strictEqual(service.getStepDelayMs({ delay_value: 2, delay_unit: 'days' }), 48 * HOUR);
+    assert.strictEqual(service.getStepDelayMs({ delay_value: 0, delay_unit: 'days' }), 0);
+  });
+
+  test('should evaluate reply and segment conditions', () => {
+    const state = { hasReplied: true, segmentIds: ['seg-vip'] };
+
+    assert.strictEqual(service.evaluateStepCondition(null, state), true);
+    assert.strictEqual(service.evaluateStepCondition({ type: 'replied' }, state), true);
+    assert.strictEqual(service.evaluateStepCondition({ type: 'not_replied' }, state), false);
+    assert.strictEqual(service.evaluateStepCondition({ type: 'in_segment', segmentId: 'seg-vip' }, state), true);
+    assert.strictEqual(service.evaluateStepCondition({ type: 'not_in_segment', segmentId: 'seg-vip' }, state), false);
+  });
+
+  test('should find the next window start after the window closes', () => {
+    // Friday 19:00 -> Monday 09:00
+    const next = service.getNextWindowStart(sequence.sending_window, new Date(2026, 0, 9, 19, 0, 0));
+    assert.strictEqual(next.getDay(), 1);
+    assert.strictEqual(next.getHours(), 9);
+    assert.strictEqual(next.getDate(), 12);
+
+    // Wednesday 07:30 -> same day 09:00
+    const sameDay = service.getNextWindowStart(sequence.sending_window, new Date(2026, 0, 7, 7, 30, 0));
+    assert.strictEqual(sameDay.getDate(), 7);
+    assert.strictEqual(sameDay.getHours(), 9);
+  });
+
+  test('should aggregate per-step stats', () => {
+    const stats = service.buildStepStats(sequence.steps, [
+      { step_position: 0, event_type: 'entered' },
+      { step_position: 0, event_type: 'entered' },
+      { step_position: 0, event_type: 'sent' },
+      { step_position: 0, event_type: 'exited' },
+      { step_position: 1, event_type: 'entered' },
+      { step_position: 9, event_type: 'sent' }
+    ]);
+
+    assert.strictEqual(stats.length, 3);
+    assert.deepStrictEqual(
+      { entered: stats[0].entered, sent: stats[0].sent, exited: stats[0].exited },
+      { entered: 2, sent: 1, exited: 1 }
+    );
+    assert.strictEqual(stats[1].entered, 1);
+    assert.strictEqual(stats[2].entered, 0);
+  });
+});
+
+describe('DripSequenceService - processEnrollment', () => {
+  beforeEach(() => {
+    updates = [];
+    inserts = [];
+    optedIn = true;
+  });
+
+  test('should send the step and schedule the next one after its delay', async () => {
+    const sent = [];
+    const service = createService(sent);
+    const enrollment = { id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 0 };
+
+    const outcome = await service.processEnrollment(enrollment, sequence, insideWindow);
+
+    assert.strictEqual(outcome, 'sent');
+    assert.deepStrictEqual(sent, [0]);
+    const { data } = updates[0];
+    assert.strictEqual(data.current_step, 1);
+    assert.strictEqual(data.next_run_at, new Date(insideWindow.getTime() + 48 * HOUR).toISOString());
+    assert.deepStrictEqual(inserts.map(i => i.data.event_type), ['sent', 'entered']);
+  });
+
+  test('should postpone to the next window when outside it', async () => {
+    const sent = [];
+    const service = createService(sent);
+    const saturday = new Date(2026, 0, 10, 10, 0, 0);
+    const enrollment = { id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 0 };
+
+    const outcome = await service.processEnrollment(enrollment, sequence, saturday);
+
+    assert.strictEqual(outcome, 'waiting');
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(updates[0].data.next_run_at, new Date(2026, 0, 12, 9, 0, 0).toISOString());
+  });
+
+  test('should skip a step whose condition fails', async () => {
+    const sent = [];
+    const service = createService(sent);
+    const enrollment = {
+      id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 1,
+      last_reply_at: new Date().toISOString()
+    };
+
+    const outcome = await service.processEnrollment(enrollment, sequence, insideWindow);
+
+    assert.strictEqual(outcome, 'skipped');
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(updates[0].data.current_step, 2);
+    assert.strictEqual(inserts[0].data.event_type, 'skipped');
+  });
+
+  test('should exit when a condition with onFail exit fails', async () => {
+    const sent = [];
+    const service = createService(sent);
+    const enrollment = { id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 2 };
+
+    const outcome = await service.processEnrollment(enrollment, sequence, insideWindow);
+
+    assert.strictEqual(outcome, 'exited');
+    assert.strictEqual(updates[0].data.status, 'exited');
+    assert.strictEqual(updates[0].data.exit_reason, 'condition');
+  });
+
+  test('should complete after the last step is sent', async () => {
+    const sent = [];
+    const service = createService(sent);
+    service.getConditionState = async () => ({ hasReplied: false, segmentIds: ['seg-vip'] });
+    const enrollment = { id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 2 };
+
+    const outcome = await service.processEnrollment(enrollment, sequence, insideWindow);
+
+    assert.strictEqual(outcome, 'sent');
+    assert.deepStrictEqual(sent, [2]);
+    assert.strictEqual(updates[0].data.status, 'completed');
+    assert.deepStrictEqual(inserts.map(i => i.data.event_type), ['sent', 'completed']);
+  });
+
+  test('should exit opted-out contacts without sending', async () => {
+    optedIn = false;
+    const sent = [];
+    const service = createService(sent);
+    const enrollment = { id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 0 };
+
+    const outcome = await service.processEnrollment(enrollment, sequence, insideWindow);
+
+    assert.strictEqual(outcome, 'exited');
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(updates[0].data.exit_reason, 'opted_out');
+  });
+
+  test('should retry failed sends and exit after the attempt limit', async () => {
+    const service = new DripSequenceService();
+    service.sendStepMessage = async () => { throw new Error('WUZAPI down'); };
+
+    const first = await service.processEnrollment(
+      { id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 0, attempts: 0 },
+      sequence,
+      insideWindow
+    );
+    assert.strictEqual(first, 'failed');
+    assert.strictEqual(updates[0].data.attempts, 1);
+
+    const last = await service.processEnrollment(
+      { id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 0, attempts: 2 },
+      sequence,
+      insideWindow
+    );
+    assert.strictEqual(last, 'exited');
+    assert.strictEqual(updates[1].data.exit_reason, 'send_failed');
+  });
+
+  test('should leave enrollments of paused sequences untouched', async () => {
+    const sent = [];
+    const service = createService(sent);
+    const enrollment = { id: 'enr-1', sequence_id: 'seq-1', contact_id: 'c-1', current_step: 0 };
+
+    const outcome = await service.processEnrollment(enrollment, { ...sequence, status: 'paused' }, insideWindow);
+
+    assert.strictEqual(outcome, 'waiting');
+    assert.strictEqual(updates.length, 0);
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * DunningService Tests
+ * Tests case opening on failed payments, stage timeline, reminders,
+ * read-only restriction, suspension and restoration on paid invoices
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+const crypto = require('crypto');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService.adminClient
+let db = {};
+
+function matches(row, ops) {
+  return ops.every(({ op, args }) => {
+    if (op === 'eq') return row[args[0]] === args[1];
+    if (op === 'is') return (row[args[0]] ?? null) === args[1];
+    if (op === 'in') return args[1].includes(row[args[0]]);
+    if (op === 'not') return (row[args[0]] ?? null) !== args[2];
+    return true;
+  });
+}
+
+// Unique keys enforced by the mock (23505 on conflict)
+const UNIQUE = {
+  dunning_notifications: ['case_id', 'notification_key', 'channel']
+};
+
+function respond(table, ops) {
+  db[table] = db[table] || [];
+  const insert = ops.find(o => o.op === 'insert');
+  const update = ops.find(o => o.op === 'update');
+  let rows;
+
+  if (insert) {
+    const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...insert.args[0] };
+    const keys = UNIQUE[table];
+    if (keys && db[table].some(existing => keys.every(key => existing[key] === row[key]))) {
+      return { data: null, error: { code: '23505', message: 'duplicate key' } };
+    }
+    db[table].push(row);
+    rows = [row];
+  } else if (update) {
+    rows = db[table].filter(row => matches(row, ops));
+    rows.forEach(row => Object.assign(row, update.args[0]));
+  } else {
+    rows = db[table].filter(row => matches(row, ops));
+  }
+
+  if (ops.some(o => o.op === 'single' || o.op === 'maybeSingle')) {
+    return { data: rows[0] || null, error: null };
+  }
+  return { data: rows, error: null, count: rows.length };
+}
+
+const createQuery = createQueryFactory(respond);
+
+let authUsers = {};
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: {
+    adminClient: {
+      from: createQuery,
+      auth: {
+        admin: {
+          getUserById: async (id) => ({ data: { user: authUsers[id] || null }, error: null })
+        }
+      }
+    }
+  }
+};
+
+let settings;
+require.cache[require.resolve('../../services/TenantSettingsService')] = {
+  exports: { getDunningSettings: async () => settings }
+};
+
+let emails = [];
+require.cache[require.resolve('../../services/EmailService')] = {
+  exports: {
+    send: async (message) => {
+      emails.push(message);
+      return { success: true };
+    }
+  }
+};
+
+let whatsappMessages = [];
+require.cache[require.resolve('../../services/providers/ProviderAdapterFactory')] = {
+  exports: {
+    getAdapterForInbox: () => ({
+      sendMessage: async (inbox, message) => {
+        whatsappMessages.push({ inboxId: inbox.id, ...message });
+        return { success: true };
+      }
+    })
+  }
+};
+
+const { DunningService, DUNNING_STAGES } = require('../../services/DunningService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FAILED_AT = new Date('2026-05-01T12:00:00Z');
+
+function daysAfterFailure(days) {
+  return new Date(FAILED_AT.getTime() + days * DAY_MS);
+}
+
+const failedInvoice = {
+  id: 'in_1',
+  customer: 'cus_1',
+  subscription: 'sub_1',
+  amount_due: 9900,
+  currency: 'brl'
+};
+
+function sentKeys() {
+  return db.dunning_notifications
+    .filter(notification => notification.status === 'sent')
+    .map(notification => `${notification.notification_key}/${notification.channel}`);
+}
+
+describe('DunningService', () => {
+  let service;
+
+  beforeEach(() => {
+    db = {
+      accounts: [{ id: 'acc-1', tenant_id: 'tenant-1', owner_user_id: 'owner-1', status: 'active', stripe_customer_id: 'cus_1' }],
+      user_subscriptions: [{ id: 'us-1', account_id: 'acc-1', status: 'active', stripe_subscription_id: 'sub_1' }],
+      inboxes: [
+        { id: 'inbox-system', account_id: 'acc-tenant', accounts: { tenant_id: 'tenant-1' }, phone_number: '5511900000000', created_at: '2026-01-01' }
+      ],
+      dunning_cases: [],
+      dunning_notifications: []
+    };
+    authUsers = { 'owner-1': { id: 'owner-1', email: 'owner@example.com', phone: '5511988887777' } };
+    settings = {
+      gracePeriodDays: 7,
+      restrictedDays: 7,
+      reminderDays: [1, 3, 5],
+      emailEnabled: true,
+      whatsappEnabled: true,
+      systemInboxId: 'inbox-system'
+    };
+    emails = [];
+    whatsappMessages = [];
+    service = new DunningService();
+  });
+
+  describe('handlePaymentFailed', () => {
+    test('should open a grace case and notify by email and WhatsApp', async () => {
+      const dunningCase = await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+
+      assert.strictEqual(dunningCase.stage, DUNNING_STAGES.GRACE);
+      assert.strictEqual(dunningCase.amount_due_cents, 9900);
+      assert.strictEqual(db.user_subscriptions[0].status, 'past_due');
+      assert.deepStrictEqual(sentKeys(), ['payment_failed/email', 'payment_failed/whatsapp']);
+      assert.strictEqual(emails[0].to, 'owner@example.com');
+      assert.strictEqual(whatsappMessages[0].inboxId, 'inbox-system');
+      assert.strictEqual(whatsappMessages[0].to, '5511988887777');
+      assert.match(emails[0].text, /R\$\s?99,00/);
+    });
+
+    test('should count retries on the open case without notifying again', async () => {
+      await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+      const updated = await service.handlePaymentFailed({ ...failedInvoice, id: 'in_2' }, daysAfterFailure(3));
+
+      assert.strictEqual(db.dunning_cases.length, 1);
+      assert.strictEqual(updated.failure_count, 2);
+      assert.strictEqual(updated.stripe_invoice_id, 'in_2');
+      assert.strictEqual(emails.length, 1);
+    });
+
+    test('should keep a suspended subscription suspended', async () => {
+      db.user_subscriptions[0].status = 'suspended';
+
+      await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+
+      assert.strictEqual(db.user_subscriptions[0].status, 'suspended');
+    });
+
+    test('should skip channels without recipient or system inbox', async () => {
+      authUsers = { 'owner-1': { id: 'owner-1', email: 'owner@example.com' } };
+      settings.systemInboxId = null;
+
+      await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+
+      const whatsapp = db.dunning_notifications.find(notification => notification.channel === 'whatsapp');
+      assert.strictEqual(whatsapp.status, 'skipped');
+      assert.strictEqual(whatsapp.error, 'NO_RECIPIENT');
+      assert.strictEqual(whatsappMessages.length, 0);
+    });
+  });
+
+  describe('timeline', () => {
+    test('should send the latest due reminder once', async () => {
+      const dunningCase = await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+
+      const first = await service.advanceCase(dunningCase, settings, daysAfterFailure(4));
+      const second = await service.advanceCase(dunningCase, settings, daysAfterFailure(4.5));
+
+      assert.strictEqual(first.reminded, true);
+      assert.strictEqual(second.reminded, false);
+      assert.ok(sentKeys().includes('reminder:3/email'));
+      assert.ok(!sentKeys().includes('reminder:1/email'));
+    });
+
+    test('should restrict after the grace period and suspend after the restricted days', async () => {
+      await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+
+      let result = await service.advanceCase(db.dunning_cases[0], settings, daysAfterFailure(7));
+      assert.deepStrictEqual(result, { stage: DUNNING_STAGES.RESTRICTED, transitioned: true, reminded: false });
+      assert.strictEqual(await service.isAccountRestricted('acc-1'), true);
+      assert.strictEqual(db.user_subscriptions[0].status, 'past_due');
+      assert.strictEqual(db.accounts[0].status, 'active');
+
+      result = await service.advanceCase(db.dunning_cases[0], settings, daysAfterFailure(14));
+      assert.strictEqual(result.stage, DUNNING_STAGES.SUSPENDED);
+      assert.strictEqual(db.user_subscriptions[0].status, 'suspended');
+      assert.strictEqual(db.accounts[0].status, 'suspended');
+      assert.strictEqual(db.dunning_cases[0].account_suspended, true);
+      assert.ok(sentKeys().includes('restricted/email'));
+      assert.ok(sentKeys().includes('suspended/whatsapp'));
+    });
+
+    test('should follow the tenant timings and never move back', async () => {
+      settings.gracePeriodDays = 2;
+      settings.restrictedDays = 1;
+      const dunningCase = await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+
+      const result = await service.advanceCase(dunningCase, settings, daysAfterFailure(3));
+
+      assert.strictEqual(result.stage, DUNNING_STAGES.SUSPENDED);
+      assert.ok(db.dunning_cases[0].restricted_at);
+
+      settings.gracePeriodDays = 30;
+      assert.strictEqual(service.getTargetStage(db.dunning_cases[0], settings, daysAfterFailure(4)), DUNNING_STAGES.SUSPENDED);
+    });
+
+    test('should not reactivate accounts an admin deactivated', async () => {
+      db.accounts[0].status = 'inactive';
+      await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+      await service.advanceCase(db.dunning_cases[0], settings, daysAfterFailure(15));
+
+      assert.strictEqual(db.dunning_cases[0].account_suspended, false);
+
+      await service.handleInvoicePaid({ id: 'in_3', subscription: 'sub_1' }, daysAfterFailure(16));
+
+      assert.strictEqual(db.accounts[0].status, 'inactive');
+    });
+
+    test('should process every open case', async () => {
+      await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+
+      const summary = await service.processOpenCases({ now: daysAfterFailure(8) });
+
+      assert.deepStrictEqual(summary, { processed: 1, restricted: 1, suspended: 0, reminded: 0, failed: 0 });
+    });
+  });
+
+  describe('handleInvoicePaid', () => {
+    test('should restore the subscription and the account', async () => {
+      await service.handlePaymentFailed(failedInvoice, FAILED_AT);
+      await service.advanceCase(db.dunning_cases[0], settings, daysAfterFailure(15));
+
+      const closed = await service.handleInvoicePaid({ id: 'in_3', subscription: 'sub_1' }, daysAfterFailure(16));
+
+      assert.strictEqual(closed.stage, DUNNING_STAGES.RECOVERED);
+      assert.strictEqual(closed.resolution, 'paid');
+      assert.strictEqual(db.user_subscriptions[0].status, 'active');
+      assert.strictEqual(db.accounts[0].status, 'active');
+      assert.strictEqual(await service.isAccountRestricted('acc-1'), false);
+      assert.ok(sentKeys().includes('restored/email'));
+    });
+
+    test('should ignore invoices without open case', async () => {
+      assert.strictEqual(await service.handleInvoicePaid({ id: 'in_4', subscription: 'sub_1' }), null);
+      assert.strictEqual(await service.handleInvoicePaid({ id: 'in_5' }), null);
+    });
+  });
+});
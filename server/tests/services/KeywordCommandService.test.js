@@ -0,0 +1,337 @@
+/**
+ * KeywordCommandService Tests
+ * Tests accent-insensitive keyword matching, regex safety, inbox scoping and
+ * the self-service actions run from inbound WhatsApp messages
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory rows answered by SupabaseService.queryAsAdmin
+let commands = [];
+let contacts = [];
+let appointments = [];
+let groups = [];
+let commandQueries = [];
+let inserted = [];
+let updates = [];
+
+function respond(table, ops) {
+  const eqValue = (column) => ops.find(o => o.op === 'eq' && o.args[0] === column)?.args[1];
+
+  if (table === 'keyword_commands') {
+    commandQueries.push(ops);
+    return { data: commands, error: null };
+  }
+  if (table === 'contacts') {
+    return { data: contacts.filter(c => c.phone === eqValue('phone')), error: null };
+  }
+  if (table === 'inboxes') return { data: [{ id: eqValue('id'), wuzapi_token: 'token-1' }], error: null };
+  if (table === 'appointments') return { data: appointments, error: null };
+  if (table === 'contact_groups') {
+    return { data: groups.find(g => g.id === eqValue('id') && g.account_id === eqValue('account_id')) || null, error: null };
+  }
+
+  return { data: null, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+  insert: async (table, data) => {
+    inserted.push({ table, data });
+    return { data: { id: 'command-new', ...data }, error: null };
+  },
+  update: async (table, id, data) => {
+    updates.push({ table, id, data });
+    return { data: { id, ...data }, error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// Collaborating services
+let optInChanges = [];
+let groupAdds = [];
+let tagAdds = [];
+let interactions = [];
+let sentMessages = [];
+let occurrences = [];
+
+require.cache[require.resolve('../../services/AppointmentSeriesService')] = {
+  exports: {
+    getOccurrences: async () => occurrences
+  }
+};
+
+require.cache[require.resolve('../../services/BusinessHoursService')] = {
+  exports: {
+    getCalendar: async () => null
+  }
+};
+
+require.cache[require.resolve('../../services/CommunicationPreferenceService')] = {
+  exports: {
+    setOptIn: async (contactId, optIn, method, options) => {
+      optInChanges.push({ contactId, optIn, method, message: options.evidence.message });
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/ContactCreditService')] = {
+  exports: {
+    getBalance: async () => ({ balance: 150, lastTransaction: null })
+  }
+};
+
+require.cache[require.resolve('../../services/ContactsService')] = {
+  exports: {
+    addContactsToGroup: async (accountId, groupId, contactIds) => {
+      groupAdds.push({ accountId, groupId, contactIds });
+      return { added: contactIds.length };
+    },
+    addTagsToContacts: async (accountId, contactIds, tagIds) => {
+      tagAdds.push({ accountId, contactIds, tagIds });
+      return { added: contactIds.length };
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/ContactInteractionService')] = {
+  exports: {
+    logInteraction: async (contactId, type, direction, content, metadata) => {
+      interactions.push({ contactId, type, direction, content, metadata });
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/providers/ProviderAdapterFactory')] = {
+  exports: {
+    getAdapterForInbox: () => ({
+      sendMessage: async (inbox, message) => {
+        sentMessages.push({ inboxId: inbox.id, ...message });
+        return { success: true, messageId: 'msg-1' };
+      }
+    })
+  }
+};
+
+const { KeywordCommandService } = require('../../services/KeywordCommandService');
+
+const now = new Date('2026-01-04T15:00:00.000Z');
+
+const conversation = {
+  id: 'conversation-1',
+  account_id: 'account-1',
+  inbox_id: 'inbox-1',
+  contact_jid: '5511988887777@s.whatsapp.net'
+};
+
+function buildCommand(overrides = {}) {
+  return {
+    id: 'command-1',
+    account_id: 'account-1',
+    tenant_id: 'tenant-1',
+    inbox_id: null,
+    name: 'Saldo',
+    match_type: 'exact',
+    keywords: ['saldo', 'credito'],
+    pattern: null,
+    action: 'credit_balance',
+    response_template: null,
+    group_id: null,
+    tag_id: null,
+    priority: 0,
+    is_active: true,
+    hit_count: 2,
+    ...overrides
+  };
+}
+
+describe('KeywordCommandService', () => {
+  let keywordService;
+
+  beforeEach(() => {
+    keywordService = new KeywordCommandService();
+    commands = [];
+    contacts = [{ id: 'contact-1', name: 'Maria', phone: '5511988887777' }];
+    appointments = [];
+    groups = [];
+    commandQueries = [];
+    inserted = [];
+    updates = [];
+    optInChanges = [];
+    groupAdds = [];
+    tagAdds = [];
+    interactions = [];
+    sentMessages = [];
+    occurrences = [];
+  });
+
+  test('should match exact keywords ignoring case, accents and punctuation', () => {
+    const list = [buildCommand()];
+
+    assert.strictEqual(keywordService.match(list, 'Crédito?')?.id, 'command-1');
+    assert.strictEqual(keywordService.match(list, '  SALDO ')?.id, 'command-1');
+    assert.strictEqual(keywordService.match(list, 'qual meu saldo'), null);
+    assert.strictEqual(keywordService.match(list, '!!!'), null);
+  });
+
+  test('should match regex patterns against the message without accents', () => {
+    const list = [buildCommand({ match_type: 'regex', keywords: [], pattern: '^(minha )?agenda|horários?$' })];
+
+    assert.ok(keywordService.match(list, 'Minha Agenda'));
+    assert.ok(keywordService.match(list, 'quais os meus HORARIOS'));
+    assert.strictEqual(keywordService.match(list, 'bom dia'), null);
+  });
+
+  test('should reject patterns that can backtrack catastrophically', () => {
+    assert.strictEqual(keywordService.isSafePattern('^(sair|parar)$'), true);
+    assert.strictEqual(keywordService.isSafePattern('pedido \\d+'), true);
+    assert.strictEqual(keywordService.isSafePattern('[(+*]+'), true);
+    assert.strictEqual(keywordService.isSafePattern('(a+)+$'), false);
+    assert.strictEqual(keywordService.isSafePattern('((ab)*c)*'), false);
+    assert.strictEqual(keywordService.isSafePattern('(\\w+\\s?){2,}'), false);
+    assert.strictEqual(keywordService.isSafePattern('(a)\\1'), false);
+    assert.strictEqual(keywordService.isSafePattern('(abc'), false);
+    assert.strictEqual(keywordService.isSafePattern('a'.repeat(201)), false);
+  });
+
+  test('should scope commands to the inbox and prefer inbox commands on ties', async () => {
+    commands = [
+      buildCommand({ id: 'account-wide', priority: 1 }),
+      buildCommand({ id: 'inbox-specific', inbox_id: 'inbox-1', priority: 1 }),
+      buildCommand({ id: 'first', priority: 0 })
+    ];
+
+    const result = await keywordService.getActiveCommands('account-1', 'inbox-1');
+
+    assert.deepStrictEqual(result.map(c => c.id), ['first', 'inbox-specific', 'account-wide']);
+    assert.deepStrictEqual(commandQueries[0].find(o => o.op === 'or').args[0], 'inbox_id.is.null,inbox_id.eq.inbox-1');
+
+    await keywordService.getActiveCommands('account-1', null);
+    assert.deepStrictEqual(commandQueries[1].find(o => o.op === 'is').args, ['inbox_id', null]);
+  });
+
+  test('should answer the credit balance, record the hit and log it on the timeline', async () => {
+    commands = [buildCommand()];
+
+    const result = await keywordService.handleIncomingMessage(conversation, 'Saldo', now);
+
+    assert.deepStrictEqual(result, { handled: true, action: 'credit_balance', commandId: 'command-1' });
+    assert.deepStrictEqual(sentMessages, [{ inboxId: 'inbox-1', to: '5511988887777', text: 'Seu saldo é de 150 créditos.' }]);
+    assert.deepStrictEqual(updates[0], {
+      table: 'keyword_commands',
+      id: 'command-1',
+      data: { hit_count: 3, last_hit_at: now.toISOString() }
+    });
+    assert.strictEqual(interactions[0].contactId, 'contact-1');
+    assert.strictEqual(interactions[0].type, 'message');
+    assert.strictEqual(interactions[0].metadata.keywordAction, 'credit_balance');
+    assert.match(interactions[0].content, /Consultou o saldo de créditos pelo comando "Saldo"/);
+
+    assert.deepStrictEqual(await keywordService.handleIncomingMessage(conversation, 'Bom dia', now), { handled: false });
+  });
+
+  test('should opt out, join groups and add tags for known contacts only', async () => {
+    commands = [
+      buildCommand({ id: 'optout', keywords: ['nao quero mais'], action: 'opt_out' }),
+      buildCommand({ id: 'vip', keywords: ['vip'], action: 'join_group', group_id: 'group-1' }),
+      buildCommand({ id: 'promo', keywords: ['promo'], action: 'add_tag', tag_id: 'tag-1', response_template: 'Oi {{nome}}, anotado!' })
+    ];
+
+    await keywordService.handleIncomingMessage(conversation, 'Não quero mais', now);
+    await keywordService.handleIncomingMessage(conversation, 'VIP', now);
+    await keywordService.handleIncomingMessage(conversation, 'promo', now);
+
+    assert.deepStrictEqual(optInChanges, [{ contactId: 'contact-1', optIn: false, method: 'keyword', message: 'Não quero mais' }]);
+    assert.deepStrictEqual(groupAdds, [{ accountId: 'account-1', groupId: 'group-1', contactIds: ['contact-1'] }]);
+    assert.deepStrictEqual(tagAdds, [{ accountId: 'account-1', contactIds: ['contact-1'], tagIds: ['tag-1'] }]);
+    assert.strictEqual(sentMessages[2].text, 'Oi Maria, anotado!');
+    assert.deepStrictEqual(interactions.map(i => i.type), ['status_change', 'status_change', 'status_change']);
+
+    contacts = [];
+    assert.deepStrictEqual(await keywordService.handleIncomingMessage(conversation, 'vip', now), { handled: false });
+    assert.strictEqual(groupAdds.length, 1);
+  });
+
+  test('should send canned responses to contacts outside the CRM', async () => {
+    contacts = [];
+    commands = [buildCommand({ keywords: ['endereco'], action: 'canned_response', response_template: 'Rua das Flores, 100' })];
+
+    const result = await keywordService.handleIncomingMessage(conversation, 'Endereço', now);
+
+    assert.strictEqual(result.handled, true);
+    assert.strictEqual(sentMessages[0].text, 'Rua das Flores, 100');
+    assert.strictEqual(interactions.length, 0);
+  });
+
+  test('should list upcoming appointments and occurrences of recurring series', async () => {
+    commands = [buildCommand({ keywords: ['agenda'], action: 'upcoming_appointments' })];
+    appointments = [{ id: 'appointment-1', title: 'Consulta', start_time: '2026-01-06T12:30:00.000Z', status: 'confirmed' }];
+    occurrences = [
+      { id: 'series-1_x', title: 'Fisioterapia', start_time: '2026-01-05T13:00:00.000Z', status: 'scheduled' },
+      { id: 'series-1_y', title: 'Fisioterapia', start_time: '2026-01-07T13:00:00.000Z', status: 'cancelled' }
+    ];
+
+    await keywordService.handleIncomingMessage(conversation, 'agenda', now);
+
+    assert.strictEqual(
+      sentMessages[0].text,
+      'Seus próximos agendamentos:\n• 05/01 às 10:00 - Fisioterapia\n• 06/01 às 09:30 - Consulta'
+    );
+
+    appointments = [];
+    occurrences = [];
+    await keywordService.handleIncomingMessage(conversation, 'agenda', now);
+    assert.strictEqual(sentMessages[1].text, 'Você não tem agendamentos futuros.');
+  });
+
+  test('should validate commands and store normalized keywords', async () => {
+    groups = [{ id: 'group-1', account_id: 'account-1' }];
+
+    await assert.rejects(
+      keywordService.createCommand('account-1', 'tenant-1', { name: 'X', matchType: 'regex', pattern: '(a+)+', action: 'opt_out' }),
+      { message: 'INVALID_PATTERN' }
+    );
+    await assert.rejects(
+      keywordService.createCommand('account-1', 'tenant-1', { name: 'X', keywords: ['?!'], action: 'opt_out' }),
+      { message: 'INVALID_KEYWORDS' }
+    );
+    await assert.rejects(
+      keywordService.createCommand('account-1', 'tenant-1', { name: 'X', keywords: ['oi'], action: 'canned_response' }),
+      { message: 'INVALID_TEMPLATE' }
+    );
+    await assert.rejects(
+      keywordService.createCommand('account-1', 'tenant-1', { name: 'X', keywords: ['vip'], action: 'join_group', groupId: 'group-2' }),
+      { message: 'GROUP_NOT_FOUND' }
+    );
+
+    const created = await keywordService.createCommand('account-1', 'tenant-1', {
+      name: 'VIP',
+      keywords: ['Promoção', 'PROMOÇÃO!', 'Quero  VIP'],
+      action: 'join_group',
+      groupId: 'group-1'
+    });
+
+    assert.deepStrictEqual(created.keywords, ['promocao', 'quero vip']);
+    assert.strictEqual(created.group_id, 'group-1');
+    assert.strictEqual(created.match_type, 'exact');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * MessageSearchService Tests
+ * Tests for search parameter validation, filter mapping to the search
+ * functions, snippet highlighting and cursor pagination
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// Record search function calls
+let rpcCalls = [];
+let rpcRows = [];
+let rpcError = null;
+
+const mockSupabaseService = {
+  adminClient: {
+    rpc: async (functionName, args) => {
+      rpcCalls.push({ functionName, args });
+      return { data: rpcError ? null : rpcRows, error: rpcError };
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+const { MessageSearchService } = require('../../services/MessageSearchService');
+
+const INBOX_ID = '11111111-1111-4111-8111-111111111111';
+const AGENT_ID = '22222222-2222-4222-8222-222222222222';
+
+/**
+ * Build search function rows with ids m0, m1...
+ */
+function messageRows(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `00000000-0000-4000-8000-00000000000${i}`,
+    conversation_id: 'conv-1',
+    direction: 'incoming',
+    message_type: 'text',
+    is_private_note: false,
+    message_timestamp: `2026-01-05T12:0${9 - i}:00.123456+00:00`,
+    snippet: 'quero o {{{reembolso}}}',
+    rank: 0.1
+  }));
+}
+
+describe('MessageSearchService - parameters', () => {
+  const service = new MessageSearchService();
+
+  test('should require a query of at least 2 characters', () => {
+    assert.throws(() => service.parseParams({ q: ' a ' }, 'messages'), { message: 'QUERY_TOO_SHORT' });
+    assert.throws(() => service.parseParams({}, 'messages'), { message: 'QUERY_TOO_SHORT' });
+    assert.throws(() => service.parseParams({ q: 'x'.repeat(201) }, 'messages'), { message: 'QUERY_TOO_LONG' });
+  });
+
+  test('should parse comma separated lists, dates and message-only filters', () => {
+    const { query, filters, limit } = service.parseParams({
+      q: ' atenção ',
+      inboxIds: `${INBOX_ID}, `,
+      labelIds: 'l1,l2',
+      from: '2026-01-01',
+      direction: 'outgoing',
+      mediaTypes: 'image,document',
+      includeNotes: 'false',
+      limit: '50'
+    }, 'messages');
+
+    assert.strictEqual(query, 'atenção');
+    assert.deepStrictEqual(filters, {
+      inboxIds: [INBOX_ID],
+      labelIds: ['l1', 'l2'],
+      agentIds: null,
+      dateFrom: '2026-01-01T00:00:00.000Z',
+      dateTo: null,
+      direction: 'outgoing',
+      mediaTypes: ['image', 'document'],
+      includeNotes: false
+    });
+    assert.strictEqual(limit, 50);
+
+    // Conversations ignore the message-only filters
+    const conversations = service.parseParams({ q: 'maria', direction: 'outgoing' }, 'conversations');
+    assert.strictEqual(conversations.filters.direction, null);
+    assert.strictEqual(conversations.filters.includeNotes, true);
+  });
+
+  test('should reject invalid filters', () => {
+    assert.throws(() => service.parseParams({ q: 'oi oi', inboxIds: 'not-a-uuid' }, 'messages'), { message: 'INVALID_FILTER: inboxIds' });
+    assert.throws(() => service.parseParams({ q: 'oi oi', direction: 'sideways' }, 'messages'), { message: 'INVALID_FILTER: direction' });
+    assert.throws(() => service.parseParams({ q: 'oi oi', to: 'yesterday' }, 'messages'), { message: 'INVALID_FILTER: to' });
+    assert.throws(() => service.parseParams({ q: 'oi oi', limit: '500' }, 'messages'), { message: 'INVALID_FILTER: limit' });
+    assert.throws(() => service.parseParams({ q: 'oi oi', cursor: 'garbage' }, 'messages'), { message: 'INVALID_CURSOR' });
+  });
+});
+
+describe('MessageSearchService - search', () => {
+  const service = new MessageSearchService();
+
+  beforeEach(() => {
+    rpcCalls = [];
+    rpcRows = [];
+    rpcError = null;
+  });
+
+  test('should pass account and filters to the search function', async () => {
+    await service.searchMessages('acc-1', { q: 'reembolso', agentIds: AGENT_ID, mediaTypes: 'audio', limit: '10' });
+
+    assert.strictEqual(rpcCalls[0].functionName, 'search_messages');
+    assert.deepStrictEqual(rpcCalls[0].args, {
+      p_account_id: 'acc-1',
+      p_query: 'reembolso',
+      p_inbox_ids: null,
+      p_label_ids: null,
+      p_agent_ids: [AGENT_ID],
+      p_date_from: null,
+      p_date_to: null,
+      p_direction: null,
+      p_message_types: ['audio'],
+      p_include_notes: true,
+      p_cursor_timestamp: null,
+      p_cursor_id: null,
+      p_limit: 11
+    });
+  });
+
+  test('should paginate with an opaque cursor that resumes after the last result', async () => {
+    rpcRows = messageRows(3);
+
+    const first = await service.searchMessages('acc-1', { q: 'reembolso', limit: 2 });
+
+    assert.strictEqual(first.results.length, 2);
+    assert.strictEqual(first.pagination.hasMore, true);
+
+    rpcRows = [];
+    await service.searchMessages('acc-1', { q: 'reembolso', limit: 2, cursor: first.pagination.cursor });
+
+    assert.strictEqual(rpcCalls[1].args.p_cursor_timestamp, first.results[1].timestamp);
+    assert.strictEqual(rpcCalls[1].args.p_cursor_id, first.results[1].id);
+
+    rpcRows = messageRows(2);
+    const last = await service.searchMessages('acc-1', { q: 'reembolso', limit: 2 });
+    assert.deepStrictEqual(last.pagination, { limit: 2, cursor: null, hasMore: false });
+  });
+
+  test('should escape snippets and highlight matches', async () => {
+    assert.strictEqual(
+      service.formatSnippet('<b>não</b> quero o {{{reembolso}}} & {{{estorno}}}'),
+      '&lt;b&gt;não&lt;/b&gt; quero o <mark>reembolso</mark> &amp; <mark>estorno</mark>'
+    );
+
+    rpcRows = [{ id: 'conv-1', contact_name: 'Maria', activity_at: '2026-01-05T12:00:00+00:00', snippet: '{{{Maria}}} | VIP' }];
+    const result = await service.searchConversations('acc-1', { q: 'maria' });
+
+    assert.strictEqual(rpcCalls[0].functionName, 'search_conversations');
+    assert.strictEqual(result.results[0].snippet, '<mark>Maria</mark> | VIP');
+  });
+
+  test('should surface database failures as SEARCH_FAILED', async () => {
+    rpcError = { message: 'function search_messages does not exist' };
+
+    await assert.rejects(() => service.searchMessages('acc-1', { q: 'reembolso' }), { message: 'SEARCH_FAILED' });
+  });
+});
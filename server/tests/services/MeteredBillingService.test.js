@@ -0,0 +1,368 @@
+/**
+ * MeteredBillingService Tests
+ * Tests overage calculation, delta reporting to Stripe meters, period closing,
+ * overage permission, invoice preview projection and invoice.paid reconciliation
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+const crypto = require('crypto');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService.adminClient
+let db = {};
+
+function matches(row, ops) {
+  return ops.every(({ op, args }) => {
+    if (op === 'eq') return row[args[0]] === args[1];
+    if (op === 'in') return args[1].includes(row[args[0]]);
+    if (op === 'lte') return row[args[0]] <= args[1];
+    if (op === 'not') return (row[args[0]] ?? null) !== args[2];
+    return true;
+  });
+}
+
+function respond(table, ops) {
+  db[table] = db[table] || [];
+  const insert = ops.find(o => o.op === 'insert');
+  const update = ops.find(o => o.op === 'update');
+  let rows;
+
+  if (insert) {
+    rows = [{ id: crypto.randomUUID(), status: 'open', reported_units: 0, ...insert.args[0] }];
+    db[table].push(...rows);
+  } else if (update) {
+    rows = db[table].filter(row => matches(row, ops));
+    rows.forEach(row => Object.assign(row, update.args[0]));
+  } else {
+    rows = db[table].filter(row => matches(row, ops));
+  }
+
+  if (ops.some(o => o.op === 'single' || o.op === 'maybeSingle')) {
+    return { data: rows[0] || null, error: null };
+  }
+  return { data: rows, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: { adminClient: { from: createQuery } }
+};
+
+// Mock Stripe
+let meterEvents = [];
+let stripeSubscription = null;
+let upcomingInvoice = null;
+require.cache[require.resolve('../../services/StripeService')] = {
+  exports: {
+    createMeterEvent: async (event) => { meterEvents.push(event); },
+    getSubscription: async () => stripeSubscription,
+    previewInvoice: async () => upcomingInvoice
+  }
+};
+
+// Mock plans
+const plans = {};
+class MockPlanService {
+  async getPlanById(planId) {
+    return plans[planId] || null;
+  }
+}
+MockPlanService.METERED_METRICS = {
+  messages: { column: 'messages', meterEventName: 'wuzapi_messages_overage' },
+  botTokens: { column: 'bot_tokens', meterEventName: 'wuzapi_bot_tokens_overage' }
+};
+require.cache[require.resolve('../../services/PlanService')] = {
+  exports: MockPlanService
+};
+
+require.cache[require.resolve('../../services/QuotaService')] = {
+  exports: {
+    QUOTA_TYPES: {
+      MAX_MESSAGES_PER_MONTH: 'max_messages_per_month',
+      MAX_BOT_TOKENS_PER_MONTH: 'max_bot_tokens_per_month'
+    }
+  }
+};
+
+// Mock usage totals: { [metricType]: number }
+let usageTotals = {};
+let usageCalls = [];
+class MockUsageTrackingService {
+  async getUsageTotal(userId, metricType, from, to) {
+    usageCalls.push({ userId, metricType, from, to });
+    return usageTotals[metricType] || 0;
+  }
+}
+MockUsageTrackingService.METRIC_TYPES = {
+  MESSAGES_SENT: 'messages_sent',
+  BOT_TOKENS_USED: 'bot_tokens_used'
+};
+require.cache[require.resolve('../../services/UsageTrackingService')] = {
+  exports: MockUsageTrackingService
+};
+
+const { MeteredBillingService } = require('../../services/MeteredBillingService');
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const PERIOD_START = new Date('2026-03-01T00:00:00Z');
+const PERIOD_END = new Date('2026-03-31T00:00:00Z');
+
+const meteredPlan = {
+  id: 'plan-pro',
+  name: 'Pro',
+  priceCents: 9900,
+  meteredBilling: {
+    messages: {
+      enabled: true,
+      includedUnits: 1000,
+      unitSize: 100,
+      unitAmountCents: 50,
+      stripePriceId: 'price_msg',
+      stripeMeterId: 'mtr_msg'
+    },
+    botTokens: { enabled: false, includedUnits: 0, unitSize: 1000, unitAmountCents: 0 }
+  }
+};
+
+function openReport(overrides = {}) {
+  const report = {
+    id: crypto.randomUUID(),
+    account_id: 'acc-1',
+    user_id: USER_ID,
+    stripe_customer_id: 'cus_1',
+    stripe_subscription_id: 'sub_1',
+    stripe_meter_id: 'mtr_msg',
+    metric: 'messages',
+    period_start: PERIOD_START.toISOString(),
+    period_end: PERIOD_END.toISOString(),
+    included_units: 1000,
+    unit_size: 100,
+    unit_amount_cents: 50,
+    reported_units: 0,
+    status: 'open',
+    ...overrides
+  };
+  db.metered_usage_reports.push(report);
+  return report;
+}
+
+describe('MeteredBillingService', () => {
+  let service;
+
+  beforeEach(() => {
+    db = {
+      metered_usage_reports: [],
+      accounts: [{ id: 'acc-1', owner_user_id: USER_ID, stripe_customer_id: 'cus_1' }],
+      user_subscriptions: [{
+        id: 'us-1',
+        account_id: 'acc-1',
+        plan_id: 'plan-pro',
+        status: 'active',
+        stripe_subscription_id: 'sub_1'
+      }]
+    };
+    plans['plan-pro'] = meteredPlan;
+    meterEvents = [];
+    usageTotals = {};
+    usageCalls = [];
+    stripeSubscription = {
+      id: 'sub_1',
+      current_period_start: PERIOD_START.getTime() / 1000,
+      current_period_end: PERIOD_END.getTime() / 1000,
+      items: { data: [{ price: { id: 'price_base' } }, { price: { id: 'price_msg', recurring: { meter: 'mtr_msg' } } }] }
+    };
+    upcomingInvoice = null;
+    service = new MeteredBillingService();
+  });
+
+  describe('calculateOverage', () => {
+    test('should round partial units up and ignore usage within the allowance', () => {
+      const terms = { includedUnits: 1000, unitSize: 100, unitAmountCents: 50 };
+
+      assert.deepStrictEqual(service.calculateOverage(900, terms), {
+        usage: 900, overageUsage: 0, billableUnits: 0, amountCents: 0
+      });
+      assert.deepStrictEqual(service.calculateOverage(1201, terms), {
+        usage: 1201, overageUsage: 201, billableUnits: 3, amountCents: 150
+      });
+    });
+  });
+
+  describe('reporting', () => {
+    test('should send only the units not reported yet', async () => {
+      const report = openReport({ reported_units: 2 });
+      usageTotals.messages_sent = 1450;
+      const now = new Date('2026-03-10T12:00:00Z');
+
+      const updated = await service.reportPeriod(report, now);
+
+      assert.strictEqual(meterEvents.length, 1);
+      assert.deepStrictEqual(meterEvents[0], {
+        eventName: 'wuzapi_messages_overage',
+        customerId: 'cus_1',
+        value: 3,
+        identifier: `${report.id}:5`,
+        timestamp: now.getTime() / 1000
+      });
+      assert.strictEqual(updated.reported_units, 5);
+      assert.strictEqual(updated.status, 'open');
+      assert.strictEqual(usageCalls[0].to.getTime(), now.getTime());
+    });
+
+    test('should not send events when nothing new is billable', async () => {
+      const report = openReport({ reported_units: 5 });
+      usageTotals.messages_sent = 1450;
+
+      const updated = await service.reportPeriod(report, new Date('2026-03-10T12:00:00Z'));
+
+      assert.strictEqual(meterEvents.length, 0);
+      assert.strictEqual(updated.billable_units, 5);
+    });
+
+    test('should close ended periods with events inside the period', async () => {
+      const report = openReport();
+      usageTotals.messages_sent = 1100;
+      const now = new Date('2026-04-01T00:05:00Z');
+
+      const updated = await service.reportPeriod(report, now);
+
+      assert.strictEqual(updated.status, 'closed');
+      assert.strictEqual(meterEvents[0].timestamp, PERIOD_END.getTime() / 1000 - 1);
+      assert.strictEqual(usageCalls[0].to.getTime(), PERIOD_END.getTime());
+    });
+
+    test('should report every metered subscription once per period', async () => {
+      usageTotals.messages_sent = 1300;
+      const now = new Date('2026-03-15T00:00:00Z');
+
+      const summary = await service.reportAllUsage({ now });
+      await service.reportAllUsage({ now });
+
+      assert.deepStrictEqual(summary, { closed: 0, subscriptions: 1, reported: 1, failed: 0 });
+      assert.strictEqual(db.metered_usage_reports.length, 1);
+      assert.strictEqual(db.metered_usage_reports[0].metric, 'messages');
+      assert.strictEqual(meterEvents.length, 1);
+      assert.strictEqual(meterEvents[0].value, 3);
+    });
+
+    test('should skip subscriptions without the metered price', async () => {
+      stripeSubscription.items.data = [{ price: { id: 'price_base' } }];
+
+      const summary = await service.reportAllUsage({ now: new Date('2026-03-15T00:00:00Z') });
+
+      assert.strictEqual(summary.reported, 0);
+      assert.strictEqual(db.metered_usage_reports.length, 0);
+    });
+  });
+
+  describe('allowsOverage', () => {
+    test('should allow overage only for enabled metrics of active subscriptions', async () => {
+      assert.strictEqual(await service.allowsOverage(USER_ID, 'max_messages_per_month'), true);
+      assert.strictEqual(await service.allowsOverage(USER_ID, 'max_bot_tokens_per_month'), false);
+      assert.strictEqual(await service.allowsOverage(USER_ID, 'max_messages_per_day'), false);
+    });
+
+    test('should not allow overage for past due subscriptions', async () => {
+      db.user_subscriptions[0].status = 'past_due';
+
+      assert.strictEqual(await service.allowsOverage(USER_ID, 'max_messages_per_month'), false);
+    });
+  });
+
+  describe('getInvoicePreview', () => {
+    test('should project the usage to the end of the period', async () => {
+      usageTotals.messages_sent = 1100;
+      upcomingInvoice = {
+        currency: 'brl',
+        total: 9950,
+        amount_due: 9950,
+        next_payment_attempt: PERIOD_END.getTime() / 1000,
+        lines: {
+          data: [
+            { amount: 9900, price: { id: 'price_base' } },
+            { amount: 50, price: { id: 'price_msg', recurring: { meter: 'mtr_msg' } } }
+          ]
+        }
+      };
+
+      // 10 of 30 days elapsed
+      const preview = await service.getInvoicePreview(USER_ID, { now: new Date('2026-03-11T00:00:00Z') });
+
+      assert.strictEqual(preview.metrics.length, 1);
+      assert.strictEqual(preview.metrics[0].usage, 1100);
+      assert.strictEqual(preview.metrics[0].amountCents, 50);
+      assert.strictEqual(preview.metrics[0].projectedUsage, 3300);
+      assert.strictEqual(preview.metrics[0].projectedBillableUnits, 23);
+      assert.strictEqual(preview.projectedOverageCents, 1150);
+      assert.strictEqual(preview.upcomingInvoice.overageCents, 50);
+      assert.strictEqual(preview.projectedTotalCents, 9900 + 1150);
+      assert.strictEqual(preview.currency, 'BRL');
+    });
+
+    test('should fail without a subscription', async () => {
+      db.user_subscriptions = [];
+
+      await assert.rejects(service.getInvoicePreview(USER_ID), { message: 'SUBSCRIPTION_NOT_FOUND' });
+    });
+  });
+
+  describe('reconcileInvoice', () => {
+    function invoiceWith(quantity) {
+      return {
+        id: 'in_1',
+        subscription: 'sub_1',
+        lines: {
+          data: [
+            { id: 'il_base', amount: 9900, price: { id: 'price_base' } },
+            {
+              id: 'il_msg',
+              amount: quantity * 50,
+              quantity,
+              price: { id: 'price_msg', recurring: { meter: 'mtr_msg' } },
+              period: { start: PERIOD_START.getTime() / 1000, end: PERIOD_END.getTime() / 1000 }
+            }
+          ]
+        }
+      };
+    }
+
+    test('should mark matching reports as reconciled', async () => {
+      const report = openReport({ status: 'closed', reported_units: 4 });
+
+      const summary = await service.reconcileInvoice(invoiceWith(4));
+
+      assert.deepStrictEqual(summary, { invoiceId: 'in_1', reconciled: 1, mismatched: 0, unmatched: 0 });
+      assert.strictEqual(report.status, 'reconciled');
+      assert.strictEqual(report.stripe_invoice_id, 'in_1');
+      assert.strictEqual(report.invoiced_amount_cents, 200);
+    });
+
+    test('should flag invoices that differ from the reported usage', async () => {
+      const report = openReport({ status: 'closed', reported_units: 4 });
+
+      const summary = await service.reconcileInvoice(invoiceWith(6));
+
+      assert.strictEqual(summary.mismatched, 1);
+      assert.strictEqual(report.status, 'mismatch');
+      assert.strictEqual(report.invoiced_units, 6);
+    });
+
+    test('should ignore invoices without metered lines', async () => {
+      assert.strictEqual(await service.reconcileInvoice({ id: 'in_2', subscription: 'sub_1', lines: { data: [] } }), null);
+    });
+  });
+});
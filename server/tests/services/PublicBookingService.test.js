@@ -0,0 +1,319 @@
+/**
+ * PublicBookingService Tests
+ * Tests slot computation from business hours, appointments and blocked slots,
+ * the one-time WhatsApp code flow and booking/cancellation rules
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory rows answered by SupabaseService.queryAsAdmin
+let busyAppointments = [];
+let blockedSlots = [];
+let verifications = [];
+
+function respond(table, ops) {
+  const has = (op) => ops.some(o => o.op === op);
+  const eqValue = (column) => ops.find(o => o.op === 'eq' && o.args[0] === column)?.args[1];
+
+  if (table === 'appointments') return { data: busyAppointments, error: null };
+  if (table === 'blocked_slots') return { data: blockedSlots, error: null };
+  if (table === 'inboxes') return { data: { id: 'inbox-1', wuzapi_token: 'token-1', provider_type: 'wuzapi' }, error: null };
+
+  if (table === 'booking_verifications') {
+    if (ops.some(o => o.op === 'select' && o.args[1]?.head)) {
+      return { count: verifications.filter(v => v.phone === eqValue('phone')).length, error: null };
+    }
+    if (has('update')) {
+      const row = verifications.find(v => v.id === eqValue('id') && !v.verified_at);
+      if (!row) return { data: [], error: null };
+      Object.assign(row, ops.find(o => o.op === 'update').args[0]);
+      return { data: [{ id: row.id }], error: null };
+    }
+    if (eqValue('session_token_hash')) {
+      const row = verifications.find(v => v.session_token_hash === eqValue('session_token_hash'));
+      return row ? { data: row, error: null } : { data: null, error: { code: 'PGRST116' } };
+    }
+    const pending = verifications.filter(v => v.phone === eqValue('phone') && !v.verified_at);
+    return { data: pending.slice(-1), error: null };
+  }
+
+  return { data: null, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+  insert: async (table, data) => {
+    const row = { id: `verification-${verifications.length + 1}`, attempts: 0, verified_at: null, ...data };
+    verifications.push(row);
+    return { data: row, error: null };
+  },
+  update: async (table, id, data) => {
+    Object.assign(verifications.find(v => v.id === id), data);
+    return { data: null, error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// Collaborating services
+const service = {
+  id: '0b7f9c7e-1111-4c1e-9a57-000000000001',
+  name: 'Consulta',
+  default_duration_minutes: 60,
+  default_price_cents: 15000,
+  is_active: true
+};
+
+let createdAppointments = [];
+let createdContacts = [];
+let statusUpdates = [];
+let sentMessages = [];
+let existingAppointment = null;
+
+require.cache[require.resolve('../../services/AppointmentServiceTypeService')] = {
+  exports: {
+    getServices: async () => [service],
+    getServiceById: async (accountId, tenantId, serviceId) => (serviceId === service.id ? service : null)
+  }
+};
+
+require.cache[require.resolve('../../services/AppointmentService')] = {
+  exports: {
+    createAppointment: async (accountId, tenantId, data) => {
+      createdAppointments.push(data);
+      return { id: 'appointment-1', title: data.title, start_time: data.startTime, end_time: data.endTime, status: 'scheduled' };
+    },
+    getAppointmentById: async () => existingAppointment,
+    updateStatus: async (accountId, tenantId, appointmentId, status, reason) => {
+      statusUpdates.push({ appointmentId, status, reason });
+      return { ...existingAppointment, status };
+    },
+    updateAppointment: async () => existingAppointment
+  }
+};
+
+require.cache[require.resolve('../../services/AppointmentSeriesService')] = {
+  exports: {
+    getOccurrences: async () => []
+  }
+};
+
+require.cache[require.resolve('../../services/BusinessHoursService')] = {
+  exports: {
+    getCalendar: async () => ({
+      timezone: 'America/Sao_Paulo',
+      weeklyHours: { 1: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '15:00' }] },
+      holidays: []
+    })
+  }
+};
+
+require.cache[require.resolve('../../services/ContactsService')] = {
+  exports: {
+    getContactByPhone: async (accountId, phone) => createdContacts.find(c => c.phone === phone) || null,
+    createContact: async (accountId, tenantId, data, createdBy) => {
+      const contact = { id: `contact-${createdContacts.length + 1}`, ...data, createdBy };
+      createdContacts.push(contact);
+      return contact;
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/providers/ProviderAdapterFactory')] = {
+  exports: {
+    getAdapterForInbox: () => ({
+      sendMessage: async (inbox, message) => {
+        sentMessages.push(message);
+        return { success: true, messageId: 'msg-1' };
+      }
+    })
+  }
+};
+
+const { PublicBookingService } = require('../../services/PublicBookingService');
+
+const page = {
+  id: 'page-1',
+  account_id: 'account-1',
+  tenant_id: 'tenant-1',
+  inbox_id: 'inbox-1',
+  title: 'Clínica Exemplo',
+  slot_interval_minutes: 30,
+  min_notice_minutes: 60,
+  max_days_ahead: 30,
+  cancellation_notice_minutes: 240
+};
+
+// Sunday 2026-01-04 12:00 in São Paulo
+const now = new Date('2026-01-04T15:00:00.000Z');
+
+describe('PublicBookingService', () => {
+  let bookingService;
+
+  beforeEach(() => {
+    bookingService = new PublicBookingService();
+    busyAppointments = [];
+    blockedSlots = [];
+    verifications = [];
+    createdAppointments = [];
+    createdContacts = [];
+    statusUpdates = [];
+    sentMessages = [];
+    existingAppointment = null;
+  });
+
+  test('should offer slots inside business hours that fit the service duration', async () => {
+    const slots = await bookingService.getAvailableSlots(page, service.id, '2026-01-05', now);
+
+    // 09:00-12:00 and 13:00-15:00 local (UTC-3), 60 minutes every 30 minutes
+    assert.deepStrictEqual(slots.map(s => s.startTime), [
+      '2026-01-05T12:00:00.000Z',
+      '2026-01-05T12:30:00.000Z',
+      '2026-01-05T13:00:00.000Z',
+      '2026-01-05T13:30:00.000Z',
+      '2026-01-05T14:00:00.000Z',
+      '2026-01-05T16:00:00.000Z',
+      '2026-01-05T16:30:00.000Z',
+      '2026-01-05T17:00:00.000Z'
+    ]);
+    assert.strictEqual(slots[0].endTime, '2026-01-05T13:00:00.000Z');
+
+    assert.deepStrictEqual(await bookingService.getAvailableSlots(page, service.id, '2026-01-06', now), []);
+  });
+
+  test('should remove slots overlapping appointments, blocked slots and the minimum notice', async () => {
+    busyAppointments = [{ id: 'a1', start_time: '2026-01-05T13:00:00.000Z', end_time: '2026-01-05T14:00:00.000Z' }];
+    blockedSlots = [{ id: 'b1', start_time: '2026-01-05T16:00:00.000Z', end_time: '2026-01-05T17:00:00.000Z', is_recurring: false }];
+
+    const slots = await bookingService.getAvailableSlots(page, service.id, '2026-01-05', new Date('2026-01-05T11:30:00.000Z'));
+
+    assert.deepStrictEqual(slots.map(s => s.startTime), [
+      '2026-01-05T14:00:00.000Z',
+      '2026-01-05T17:00:00.000Z'
+    ]);
+  });
+
+  test('should reject unknown services', async () => {
+    await assert.rejects(
+      bookingService.getAvailableSlots(page, '0b7f9c7e-1111-4c1e-9a57-00000000dead', '2026-01-05', now),
+      { message: 'SERVICE_NOT_FOUND' }
+    );
+  });
+
+  test('should verify the phone with a single-use WhatsApp code', async () => {
+    await bookingService.requestCode(page, '(11) 98888-7777', now);
+
+    assert.strictEqual(sentMessages.length, 1);
+    assert.strictEqual(sentMessages[0].to, '5511988887777');
+    const code = sentMessages[0].text.match(/(\d{6})/)[1];
+    assert.ok(!JSON.stringify(verifications).includes(code), 'code must be stored hashed');
+
+    const wrong = code === '000000' ? '111111' : '000000';
+    await assert.rejects(bookingService.verifyCode(page, '11988887777', wrong, now), { message: 'INVALID_CODE' });
+    assert.strictEqual(verifications[0].attempts, 1);
+
+    const session = await bookingService.verifyCode(page, '11988887777', code, now);
+    assert.match(session.token, /^[0-9a-f]{64}$/);
+
+    await assert.rejects(bookingService.verifyCode(page, '11988887777', code, now), { message: 'CODE_EXPIRED' });
+    assert.deepStrictEqual(await bookingService.resolveSession(page, session.token, now), { phone: '5511988887777' });
+    await assert.rejects(bookingService.resolveSession(page, 'forged', now), { message: 'INVALID_SESSION' });
+  });
+
+  test('should limit codes sent to the same phone', async () => {
+    for (let i = 0; i < 3; i++) {
+      await bookingService.requestCode(page, '5511988887777', now);
+    }
+
+    await assert.rejects(bookingService.requestCode(page, '5511988887777', now), { message: 'TOO_MANY_CODES' });
+    await assert.rejects(bookingService.requestCode(page, '123', now), { message: 'INVALID_PHONE' });
+  });
+
+  test('should book an open slot and create the CRM contact', async () => {
+    const session = { phone: '5511988887777' };
+
+    await assert.rejects(
+      bookingService.book(page, session, { serviceId: service.id, startTime: '2026-01-05T12:15:00.000Z' }, now),
+      { message: 'SLOT_UNAVAILABLE' }
+    );
+
+    const appointment = await bookingService.book(page, session, {
+      serviceId: service.id,
+      startTime: '2026-01-05T12:30:00.000Z',
+      name: 'Maria'
+    }, now);
+
+    assert.strictEqual(appointment.id, 'appointment-1');
+    assert.deepStrictEqual(createdAppointments[0], {
+      contactId: 'contact-1',
+      serviceId: service.id,
+      title: 'Consulta',
+      startTime: '2026-01-05T12:30:00.000Z',
+      endTime: '2026-01-05T13:30:00.000Z',
+      priceCents: 15000,
+      notes: undefined,
+      source: 'public_booking'
+    });
+    assert.strictEqual(createdContacts[0].name, 'Maria');
+    assert.strictEqual(createdContacts[0].source, 'booking');
+    assert.match(sentMessages[0].text, /Agendamento confirmado: Consulta em 05\/01 às 09:30/);
+
+    // Second booking links the existing contact
+    await bookingService.book(page, session, { serviceId: service.id, startTime: '2026-01-05T16:00:00.000Z' }, now);
+    assert.strictEqual(createdContacts.length, 1);
+    assert.strictEqual(createdAppointments[1].contactId, 'contact-1');
+  });
+
+  test('should only cancel own appointments before the cancellation notice', async () => {
+    const session = { phone: '5511988887777' };
+    existingAppointment = {
+      id: 'appointment-1',
+      title: 'Consulta',
+      status: 'scheduled',
+      start_time: '2026-01-05T12:30:00.000Z',
+      end_time: '2026-01-05T13:30:00.000Z',
+      contact: { phone: '5511988887777' }
+    };
+
+    await assert.rejects(
+      bookingService.cancel(page, { phone: '5511900000000' }, 'appointment-1', null, now),
+      { message: 'APPOINTMENT_NOT_FOUND' }
+    );
+    await assert.rejects(
+      bookingService.cancel(page, session, 'appointment-1', null, new Date('2026-01-05T09:00:00.000Z')),
+      { message: 'CHANGE_WINDOW_CLOSED' }
+    );
+
+    const cancelled = await bookingService.cancel(page, session, 'appointment-1', null, now);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.deepStrictEqual(statusUpdates, [{
+      appointmentId: 'appointment-1',
+      status: 'cancelled',
+      reason: 'Cancelado pelo contato na página de agendamento'
+    }]);
+
+    existingAppointment.status = 'cancelled';
+    await assert.rejects(
+      bookingService.cancel(page, session, 'appointment-1', null, now),
+      { message: 'APPOINTMENT_NOT_ACTIVE' }
+    );
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * RetentionPolicyService Tests
+ * Tests the effective retention (account over tenant, capped by the plan),
+ * dry-run reporting, legal hold exemptions and media cleanup
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService
+let db = {};
+let nextId = 1;
+
+function matchesFilter(row, { op, args }) {
+  if (op === 'eq') return row[args[0]] === args[1];
+  if (op === 'in') return args[1].includes(row[args[0]]);
+  if (op === 'is') return row[args[0]] === args[1];
+  if (op === 'lt') return row[args[0]] < args[1];
+  if (op === 'not') return row[args[0]] !== null && row[args[0]] !== undefined;
+  if (op === 'or') {
+    return args[0].split(',').some(condition => {
+      const [column, operator, value] = condition.split('.');
+      return operator === 'is' ? row[column] === null : row[column] === value;
+    });
+  }
+  return true;
+}
+
+function respond(table, ops) {
+  const rows = db[table] || (db[table] = []);
+  const matches = rows.filter(row => ops.every(filter => matchesFilter(row, filter)));
+
+  if (ops.some(o => o.op === 'delete')) {
+    db[table] = rows.filter(row => !matches.includes(row));
+    return { data: null, error: null, count: matches.length };
+  }
+
+  const update = ops.find(o => o.op === 'update');
+  if (update) {
+    matches.forEach(row => Object.assign(row, update.args[0]));
+    return { data: null, error: null };
+  }
+
+  const select = ops.find(o => o.op === 'select');
+  if (select?.args[1]?.head) {
+    return { data: null, error: null, count: matches.length };
+  }
+
+  if (ops.some(o => o.op === 'single')) {
+    return matches[0] ? { data: matches[0], error: null } : { data: null, error: { code: 'PGRST116' } };
+  }
+
+  const range = ops.find(o => o.op === 'range');
+  const limit = ops.find(o => o.op === 'limit');
+  let data = range ? matches.slice(range.args[0], range.args[1] + 1) : matches;
+  if (limit) data = data.slice(0, limit.args[0]);
+  return { data, error: null };
+}
+
+const createQuery = createQueryFactory(respond);
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+  insert: async (table, data) => {
+    const row = { id: `${table}-${nextId++}`, created_at: new Date().toISOString(), ...data };
+    (db[table] || (db[table] = [])).push(row);
+    return { data: row, error: null };
+  },
+  update: async (table, id, data) => {
+    const row = db[table].find(r => r.id === id);
+    Object.assign(row, data);
+    return { data: row, error: null };
+  },
+  delete: async (table, id) => {
+    db[table] = db[table].filter(r => r.id !== id);
+    return { error: null };
+  }
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// Plans: quotas of the account's plan
+let planQuotas = {};
+
+require.cache[require.resolve('../../services/TenantPlanService')] = {
+  exports: {
+    getPlanById: async (planId) => ({ id: planId, quotas: planQuotas }),
+    getDefaultPlan: async () => ({ id: 'default', quotas: planQuotas }),
+    getRetentionCaps: (plan) => {
+      const cap = (days) => (days > 0 ? days : null);
+      return {
+        media: cap(plan.quotas.maxRetentionDaysMedia),
+        messages: cap(plan.quotas.maxRetentionDaysMessages),
+        logs: cap(plan.quotas.maxRetentionDaysLogs)
+      };
+    }
+  }
+};
+
+// Stored media
+let storageDeleted = [];
+let storageFailure = null;
+let s3Deleted = [];
+
+require.cache[require.resolve('../../services/StorageService')] = {
+  exports: {
+    deleteFile: async (bucket, path) => {
+      if (path === storageFailure) return { success: false, error: 'Storage unavailable' };
+      storageDeleted.push(`${bucket}/${path}`);
+      return { success: true, error: null };
+    }
+  }
+};
+
+require.cache[require.resolve('../../services/S3Service')] = {
+  exports: {
+    s3Service: {
+      isEnabled: () => true,
+      getPublicUrl: (key) => `https://media.example.com/bucket/${key}`,
+      delete: async (key) => {
+        s3Deleted.push(key);
+        return true;
+      }
+    }
+  }
+};
+
+const { RetentionPolicyService } = require('../../services/RetentionPolicyService');
+
+const NOW = new Date('2026-06-01T00:00:00.000Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const ACCOUNT = { id: 'account-1', tenant_id: 'tenant-1', owner_user_id: 'user-1', wuzapi_token: 'token-1' };
+
+function seed() {
+  db = {
+    accounts: [ACCOUNT, { id: 'account-2', tenant_id: 'tenant-1', owner_user_id: 'user-2' }],
+    inboxes: [{ id: 'inbox-1', account_id: 'account-1', wuzapi_token: 'token-2' }],
+    user_subscriptions: [],
+    retention_policies: [],
+    retention_runs: [],
+    conversations: [
+      { id: 'conv-1', account_id: 'account-1', legal_hold: false },
+      { id: 'conv-2', account_id: 'account-1', legal_hold: true },
+      { id: 'conv-3', account_id: 'account-2', legal_hold: false }
+    ],
+    chat_messages: [
+      { id: 'msg-1', conversation_id: 'conv-1', media_url: null, created_at: daysAgo(400) },
+      { id: 'msg-2', conversation_id: 'conv-1', media_url: 'media/conversations/conv-1/foto.jpg', created_at: daysAgo(400) },
+      { id: 'msg-3', conversation_id: 'conv-1', media_url: 'https://media.example.com/bucket/media/user-1/doc.pdf', created_at: daysAgo(100) },
+      { id: 'msg-4', conversation_id: 'conv-1', media_url: null, created_at: daysAgo(5) },
+      { id: 'msg-5', conversation_id: 'conv-2', media_url: 'media/conversations/conv-2/prova.jpg', created_at: daysAgo(400) },
+      { id: 'msg-6', conversation_id: 'conv-3', media_url: null, created_at: daysAgo(400) }
+    ],
+    outgoing_webhooks: [{ id: 'wh-1', user_id: 'user-1' }, { id: 'wh-2', user_id: 'user-2' }],
+    webhook_deliveries: [
+      { id: 'del-1', webhook_id: 'wh-1', created_at: daysAgo(60) },
+      { id: 'del-2', webhook_id: 'wh-1', created_at: daysAgo(10) },
+      { id: 'del-3', webhook_id: 'wh-2', created_at: daysAgo(60) }
+    ],
+    bulk_campaigns: [{ id: 'camp-1', user_token: 'token-2' }, { id: 'camp-2', user_token: 'token-9' }],
+    campaign_error_logs: [
+      { id: 'err-1', campaign_id: 'camp-1', created_at: daysAgo(60) },
+      { id: 'err-2', campaign_id: 'camp-2', created_at: daysAgo(60) }
+    ],
+    audit_log: [
+      { id: 'audit-1', account_id: 'account-1', created_at: daysAgo(60) },
+      { id: 'audit-2', account_id: 'account-2', created_at: daysAgo(60) }
+    ]
+  };
+}
+
+function policy(accountId, dataType, retentionDays, extra = {}) {
+  return {
+    id: `policy-${nextId++}`,
+    tenant_id: 'tenant-1',
+    account_id: accountId,
+    data_type: dataType,
+    retention_days: retentionDays,
+    dry_run: false,
+    is_active: true,
+    ...extra
+  };
+}
+
+describe('RetentionPolicyService', () => {
+  let service;
+
+  beforeEach(() => {
+    seed();
+    planQuotas = {};
+    storageDeleted = [];
+    storageFailure = null;
+    s3Deleted = [];
+    service = new RetentionPolicyService();
+  });
+
+  test('account policy overrides the tenant policy and the plan caps both', async () => {
+    db.retention_policies.push(
+      policy(null, 'messages', 730),
+      policy('account-1', 'messages', 365),
+      policy(null, 'media', 400),
+      policy('account-2', 'media', 10)
+    );
+    planQuotas = { maxRetentionDaysMedia: 90, maxRetentionDaysLogs: 30 };
+
+    const effective = await service.getEffectivePolicies(ACCOUNT);
+    const byType = Object.fromEntries(effective.map(p => [p.dataType, p]));
+
+    assert.deepStrictEqual(
+      { days: byType.messages.retentionDays, source: byType.messages.source },
+      { days: 365, source: 'account' }
+    );
+    assert.deepStrictEqual(
+      { days: byType.media.retentionDays, source: byType.media.source, policyDays: byType.media.policyDays },
+      { days: 90, source: 'plan', policyDays: 400 }
+    );
+    // Plan cap applies without any policy
+    assert.strictEqual(byType.webhook_deliveries.retentionDays, 30);
+    assert.strictEqual(byType.audit_logs.source, 'plan');
+  });
+
+  test('dry-run reports what would be deleted without deleting', async () => {
+    db.retention_policies.push(
+      policy(null, 'messages', 365, { dry_run: true }),
+      policy(null, 'webhook_deliveries', 30, { dry_run: true })
+    );
+
+    const run = await service.enforceAccount(ACCOUNT, { now: NOW });
+
+    assert.strictEqual(run.status, 'completed');
+    assert.strictEqual(run.trigger, 'schedule');
+    assert.strictEqual(run.report.messages.dryRun, true);
+    // msg-1 and msg-2 are older than a year; msg-5 is under legal hold
+    assert.strictEqual(run.report.messages.count, 2);
+    assert.strictEqual(run.report.webhook_deliveries.count, 1);
+    assert.deepStrictEqual(run.report.legalHold, { conversations: 1 });
+    assert.strictEqual(db.chat_messages.length, 6);
+    assert.strictEqual(db.webhook_deliveries.length, 3);
+    assert.deepStrictEqual(storageDeleted, []);
+    assert.strictEqual(db.retention_runs.length, 1);
+  });
+
+  test('enforcement deletes old records of the account and skips legal holds', async () => {
+    db.retention_policies.push(
+      policy(null, 'messages', 365),
+      policy(null, 'media', 90),
+      policy(null, 'webhook_deliveries', 30),
+      policy(null, 'campaign_error_logs', 30),
+      policy(null, 'audit_logs', 30)
+    );
+
+    const run = await service.enforceAccount(ACCOUNT, { now: NOW });
+
+    assert.strictEqual(run.report.messages.count, 2);
+    assert.strictEqual(run.report.media.count, 1);
+    assert.deepStrictEqual(
+      db.chat_messages.map(m => m.id).sort(),
+      ['msg-3', 'msg-4', 'msg-5', 'msg-6']
+    );
+    // Media of msg-3 removed, message kept
+    assert.strictEqual(db.chat_messages.find(m => m.id === 'msg-3').media_url, null);
+    assert.deepStrictEqual(storageDeleted, ['media/conversations/conv-1/foto.jpg']);
+    assert.deepStrictEqual(s3Deleted, ['media/user-1/doc.pdf']);
+    // Legal hold keeps its media
+    assert.strictEqual(db.chat_messages.find(m => m.id === 'msg-5').media_url, 'media/conversations/conv-2/prova.jpg');
+    // Logs only of this account
+    assert.deepStrictEqual(db.webhook_deliveries.map(d => d.id).sort(), ['del-2', 'del-3']);
+    assert.deepStrictEqual(db.campaign_error_logs.map(e => e.id), ['err-2']);
+    assert.deepStrictEqual(db.audit_log.map(a => a.id), ['audit-2']);
+  });
+
+  test('messages whose media cannot be deleted are kept for the next run', async () => {
+    db.retention_policies.push(policy(null, 'messages', 365));
+    storageFailure = 'conversations/conv-1/foto.jpg';
+
+    const run = await service.enforceAccount(ACCOUNT, { now: NOW });
+
+    assert.strictEqual(run.report.messages.count, 1);
+    assert.strictEqual(run.report.messages.failed, 1);
+    assert.ok(db.chat_messages.some(m => m.id === 'msg-2'));
+    assert.ok(!db.chat_messages.some(m => m.id === 'msg-1'));
+  });
+
+  test('preview reports every policy as a dry run', async () => {
+    db.retention_policies.push(policy(null, 'audit_logs', 30));
+
+    const run = await service.previewAccount('account-1');
+
+    assert.strictEqual(run.trigger, 'preview');
+    assert.strictEqual(run.report.audit_logs.dryRun, true);
+    assert.strictEqual(run.report.audit_logs.count, 1);
+    assert.strictEqual(db.audit_log.length, 2);
+  });
+
+  test('runRetention skips accounts without policies and sums deletions', async () => {
+    db.retention_policies.push(policy('account-1', 'audit_logs', 30));
+
+    const summary = await service.runRetention({ now: NOW });
+
+    assert.deepStrictEqual(summary, { accounts: 1, failed: 0, deleted: { audit_logs: 1 } });
+    assert.strictEqual(db.retention_runs.length, 1);
+  });
+
+  test('upsertPolicy validates input and updates the existing policy', async () => {
+    await assert.rejects(
+      () => service.upsertPolicy('tenant-1', null, 'contacts', { retentionDays: 30 }),
+      { message: 'INVALID_DATA_TYPE' }
+    );
+    await assert.rejects(
+      () => service.upsertPolicy('tenant-1', null, 'media', { retentionDays: 0 }),
+      { message: 'INVALID_RETENTION_DAYS' }
+    );
+
+    await service.upsertPolicy('tenant-1', 'account-1', 'media', { retentionDays: 90, dryRun: true }, 'user-1');
+    const updated = await service.upsertPolicy('tenant-1', 'account-1', 'media', { retentionDays: 60 });
+
+    assert.strictEqual(db.retention_policies.length, 1);
+    assert.strictEqual(updated.retentionDays, 60);
+    assert.strictEqual(updated.dryRun, true);
+
+    await assert.rejects(
+      () => service.deletePolicy('tenant-1', null, 'media'),
+      { message: 'POLICY_NOT_FOUND' }
+    );
+  });
+
+  test('setLegalHold only changes conversations of the account', async () => {
+    const hold = await service.setLegalHold('account-1', 'conv-1', true, { reason: 'Processo 123', actorId: 'user-1' });
+
+    assert.strictEqual(hold.legalHold, true);
+    assert.strictEqual(hold.reason, 'Processo 123');
+    assert.strictEqual((await service.getLegalHolds('account-1')).length, 2);
+
+    await assert.rejects(
+      () => service.setLegalHold('account-1', 'conv-3', true),
+      { message: 'CONVERSATION_NOT_FOUND' }
+    );
+  });
+});
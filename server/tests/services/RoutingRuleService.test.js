@@ -0,0 +1,237 @@
+/**
+ * RoutingRuleService Tests
+ * Tests for rule matching, required skills, sticky agent, weighted team
+ * distribution, overflow and the round-robin fallback of assignment
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// Record audit rows written through SupabaseService
+let auditRows = [];
+let inboxRow = null;
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => {
+    const query = {
+      select: () => query,
+      update: () => query,
+      eq: () => query,
+      in: () => query,
+      order: () => query,
+      single: async () => ({ data: table === 'inboxes' ? inboxRow : null, error: null }),
+      then: (resolve) => resolve({ data: [], error: null })
+    };
+    return queryFn(query);
+  },
+  insert: async (table, data) => {
+    auditRows.push(data);
+    return { data, error: null };
+  },
+  count: async () => ({ count: 0, error: null })
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+const RoutingRuleService = require('../../services/RoutingRuleService');
+const { RoutingRuleService: RoutingRuleServiceClass, ROUTING_REASONS } = RoutingRuleService;
+const BusinessHoursService = require('../../services/BusinessHoursService');
+const ConversationAssignmentService = require('../../services/ConversationAssignmentService');
+
+const agents = [
+  { id: 'ana', skills: ['pt', 'billing'], conversation_count: 3 },
+  { id: 'bob', skills: ['EN'], conversation_count: 1 },
+  { id: 'caio', skills: ['pt'], conversation_count: 0 },
+  { id: 'dani', skills: ['pt', 'billing'], conversation_count: 1 }
+];
+
+const teamMembers = new Map([
+  ['team-sales', new Set(['ana', 'dani'])],
+  ['team-support', new Set(['bob', 'caio'])],
+  ['team-empty', new Set([])]
+]);
+
+const context = { inboxId: 'inbox-1', labelIds: ['label-vip'], segmentIds: [], previousAgentId: null };
+
+describe('RoutingRuleService - matching', () => {
+  const service = new RoutingRuleServiceClass();
+
+  test('should match when every present condition list matches', () => {
+    assert.strictEqual(service.matchesRule({ conditions: {} }, context), true);
+    assert.strictEqual(service.matchesRule({ conditions: { inboxIds: ['inbox-1', 'inbox-2'] } }, context), true);
+    assert.strictEqual(
+      service.matchesRule({ conditions: { inboxIds: ['inbox-1'], labelIds: ['label-other'] } }, context),
+      false
+    );
+    assert.strictEqual(service.matchesRule({ conditions: { segmentIds: ['seg-1'] } }, context), false);
+  });
+
+  test('should return null when no rule matches', () => {
+    const rules = [{ id: 'r1', conditions: { inboxIds: ['inbox-9'] } }];
+
+    assert.strictEqual(service.selectAgent(rules, context, agents, teamMembers), null);
+  });
+});
+
+describe('RoutingRuleService - agent selection', () => {
+  const service = new RoutingRuleServiceClass();
+
+  test('should only route to agents with every required skill', () => {
+    const rules = [{ id: 'r1', name: 'Billing PT', conditions: {}, required_skills: ['PT', 'billing'] }];
+
+    const decision = service.selectAgent(rules, context, agents, teamMembers);
+
+    assert.deepStrictEqual(decision, {
+      agentId: 'dani',
+      reason: ROUTING_REASONS.SKILL_MATCH,
+      ruleId: 'r1',
+      ruleName: 'Billing PT',
+      teamId: null
+    });
+  });
+
+  test('should prefer the previous agent of the contact when sticky', () => {
+    const rules = [{ id: 'r1', conditions: {}, sticky_agent: true, required_skills: ['pt'] }];
+
+    const sticky = service.selectAgent(rules, { ...context, previousAgentId: 'ana' }, agents, teamMembers);
+    assert.strictEqual(sticky.agentId, 'ana');
+    assert.strictEqual(sticky.reason, ROUTING_REASONS.STICKY_AGENT);
+
+    // Previous agent without the skill falls back to the least loaded match
+    const fallback = service.selectAgent(rules, { ...context, previousAgentId: 'bob' }, agents, teamMembers);
+    assert.strictEqual(fallback.agentId, 'caio');
+  });
+
+  test('should distribute between teams by weight', () => {
+    const rules = [{
+      id: 'r1',
+      conditions: {},
+      targets: [{ teamId: 'team-sales', weight: 70 }, { teamId: 'team-support', weight: 30 }]
+    }];
+
+    const low = service.selectAgent(rules, context, agents, teamMembers, () => 0.5);
+    const high = service.selectAgent(rules, context, agents, teamMembers, () => 0.8);
+
+    assert.deepStrictEqual([low.teamId, low.agentId, low.reason], ['team-sales', 'dani', ROUTING_REASONS.WEIGHTED_TEAM]);
+    assert.deepStrictEqual([high.teamId, high.agentId], ['team-support', 'caio']);
+  });
+
+  test('should skip target teams without available agents', () => {
+    const rules = [{
+      id: 'r1',
+      conditions: {},
+      targets: [{ teamId: 'team-empty', weight: 99 }, { teamId: 'team-support', weight: 1 }]
+    }];
+
+    assert.strictEqual(service.selectAgent(rules, context, agents, teamMembers, () => 0).teamId, 'team-support');
+  });
+
+  test('should overflow to another team when the targets are full', () => {
+    const rules = [{
+      id: 'r1',
+      conditions: {},
+      targets: [{ teamId: 'team-empty', weight: 1 }],
+      overflow_team_id: 'team-support'
+    }];
+
+    const decision = service.selectAgent(rules, context, agents, teamMembers);
+
+    assert.deepStrictEqual([decision.agentId, decision.reason], ['caio', ROUTING_REASONS.OVERFLOW]);
+  });
+
+  test('should fall through matching rules and report no capacity', () => {
+    const rules = [
+      { id: 'r1', name: 'Spanish', conditions: {}, required_skills: ['es'] },
+      { id: 'r2', conditions: {}, required_skills: ['en'] }
+    ];
+
+    assert.strictEqual(service.selectAgent(rules, context, agents, teamMembers).agentId, 'bob');
+    assert.deepStrictEqual(
+      service.selectAgent([rules[0]], context, agents, teamMembers),
+      { agentId: null, reason: ROUTING_REASONS.NO_CAPACITY, ruleId: 'r1', ruleName: 'Spanish', teamId: null }
+    );
+  });
+});
+
+describe('ConversationAssignmentService - routing decisions', () => {
+  const originalRoute = RoutingRuleService.route;
+  const originalGetInboxStatus = BusinessHoursService.getInboxStatus;
+
+  beforeEach(() => {
+    auditRows = [];
+    inboxRow = { id: 'inbox-1', account_id: 'acc-1', enable_auto_assignment: true, max_conversations_per_agent: null };
+    BusinessHoursService.getInboxStatus = async () => ({ open: true });
+  });
+
+  /**
+   * Build a service with fixed available agents and routing result
+   */
+  function buildService(routed) {
+    const service = new ConversationAssignmentService();
+    service.getAvailableAgents = async () => [{ id: 'agent-1' }, { id: 'agent-2' }];
+    RoutingRuleService.route = async () => routed;
+    return service;
+  }
+
+  test('should log the rule and reason of the chosen agent', async () => {
+    const service = buildService({ agentId: 'agent-2', reason: 'weighted_team', ruleId: 'r1', ruleName: 'VIP', teamId: 't1' });
+
+    try {
+      assert.strictEqual(await service.autoAssign('inbox-1', 'conv-1'), 'agent-2');
+    } finally {
+      RoutingRuleService.route = originalRoute;
+      BusinessHoursService.getInboxStatus = originalGetInboxStatus;
+    }
+
+    assert.strictEqual(auditRows[0].action, 'auto_assign');
+    assert.deepStrictEqual(JSON.parse(auditRows[0].new_value), {
+      agent_id: 'agent-2',
+      reason: 'weighted_team',
+      rule_id: 'r1',
+      rule_name: 'VIP',
+      team_id: 't1'
+    });
+  });
+
+  test('should fall back to round-robin when no rule matches', async () => {
+    const service = buildService(null);
+    inboxRow.last_assigned_agent_id = 'agent-1';
+
+    try {
+      assert.strictEqual(await service.autoAssign('inbox-1', 'conv-1'), 'agent-2');
+    } finally {
+      RoutingRuleService.route = originalRoute;
+      BusinessHoursService.getInboxStatus = originalGetInboxStatus;
+    }
+
+    assert.strictEqual(JSON.parse(auditRows[0].new_value).reason, 'round_robin');
+  });
+
+  test('should log a matched rule without capacity and leave the conversation unassigned', async () => {
+    const service = buildService({ agentId: null, reason: 'no_capacity', ruleId: 'r1', ruleName: 'VIP', teamId: null });
+
+    try {
+      assert.strictEqual(await service.autoAssign('inbox-1', 'conv-1'), null);
+    } finally {
+      RoutingRuleService.route = originalRoute;
+      BusinessHoursService.getInboxStatus = originalGetInboxStatus;
+    }
+
+    assert.strictEqual(JSON.parse(auditRows[0].new_value).reason, 'no_capacity');
+    assert.strictEqual(JSON.parse(auditRows[0].new_value).agent_id, null);
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * SQLConnectionService Tests
+ * Tests parameterized queries, identifier/column validation, filters,
+ * record create/update and driver error translation for PostgreSQL and MySQL
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// Queries sent to the drivers and the scripted answers
+let queries = [];
+let answer = () => [];
+let connectError = null;
+let closed = 0;
+
+function record(sql, params) {
+  queries.push({ sql, params });
+  return answer(sql, params);
+}
+
+class MockPgClient {
+  constructor(config) {
+    this.config = config;
+  }
+
+  async connect() {
+    if (connectError) throw connectError;
+  }
+
+  async query(sql, params) {
+    return { rows: await record(sql, params) };
+  }
+
+  async end() {
+    closed++;
+  }
+}
+
+require.cache[require.resolve('pg')] = {
+  exports: { Client: MockPgClient }
+};
+
+require.cache[require.resolve('mysql2/promise')] = {
+  exports: {
+    createConnection: async () => {
+      if (connectError) throw connectError;
+      return {
+        execute: async (sql, params) => [await record(sql, params)],
+        end: async () => { closed++; }
+      };
+    }
+  }
+};
+
+const SQLConnectionService = require('../../services/SQLConnectionService');
+const { SQL_ERROR_CODES } = require('../../services/SQLConnectionService');
+
+const pgConnection = {
+  id: 'pg-1',
+  type: 'POSTGRES',
+  host: 'db.local',
+  port: 5432,
+  database_name: 'crm',
+  username: 'app',
+  password: 'secret',
+  table_name: 'leads'
+};
+
+const mysqlConnection = { ...pgConnection, id: 'my-1', type: 'MYSQL', port: 3306 };
+
+const pgColumns = [
+  { name: 'id', data_type: 'integer', is_nullable: 'NO', column_default: null, column_key: 'PRIMARY KEY' },
+  { name: 'name', data_type: 'text', is_nullable: 'YES', column_default: null, column_key: null },
+  { name: 'score', data_type: 'integer', is_nullable: 'YES', column_default: null, column_key: null },
+  { name: 'owner', data_type: 'text', is_nullable: 'YES', column_default: null, column_key: null }
+];
+
+const mysqlColumns = pgColumns.map(column => ({
+  ...column,
+  column_key: column.column_key ? 'PRI' : ''
+}));
+
+function dataQueries() {
+  return queries.filter(q => !q.sql.includes('information_schema'));
+}
+
+describe('SQLConnectionService', () => {
+  beforeEach(() => {
+    queries = [];
+    closed = 0;
+    connectError = null;
+    answer = (sql) => (sql.includes('information_schema.columns') ? pgColumns : []);
+    SQLConnectionService.clearCache('pg-1');
+    SQLConnectionService.clearCache('my-1');
+  });
+
+  describe('identifiers', () => {
+    test('should quote per dialect and accept schema.table on PostgreSQL only', () => {
+      assert.strictEqual(SQLConnectionService.tableRef(pgConnection, 'leads'), '"public"."leads"');
+      assert.strictEqual(SQLConnectionService.tableRef(pgConnection, 'sales.leads'), '"sales"."leads"');
+      assert.strictEqual(SQLConnectionService.tableRef(mysqlConnection, 'leads'), '`leads`');
+
+      assert.throws(
+        () => SQLConnectionService.tableRef(mysqlConnection, 'sales.leads'),
+        err => err.code === SQL_ERROR_CODES.INVALID_IDENTIFIER
+      );
+    });
+
+    test('should reject injected identifiers', () => {
+      for (const name of ['leads; DROP TABLE x', 'a"b', 'a`b', '1abc', '']) {
+        assert.strictEqual(SQLConnectionService.isValidIdentifier(name), false, name);
+      }
+      assert.throws(
+        () => SQLConnectionService.tableRef(pgConnection, 'leads" --'),
+        err => err.code === SQL_ERROR_CODES.INVALID_IDENTIFIER
+      );
+    });
+
+    test('should reject columns missing from the table', async () => {
+      await assert.rejects(
+        SQLConnectionService.fetchRecords(pgConnection, { orderBy: 'password' }),
+        err => err.code === SQL_ERROR_CODES.COLUMN_NOT_FOUND && err.details.column === 'password'
+      );
+      assert.strictEqual(dataQueries().length, 0);
+    });
+  });
+
+  describe('fetchRecords', () => {
+    test('should send filter values as parameters on PostgreSQL', async () => {
+      answer = (sql) => {
+        if (sql.includes('information_schema.columns')) return pgColumns;
+        if (sql.includes('COUNT(*)')) return [{ total: '42' }];
+        return [{ id: 1, name: 'Ana' }];
+      };
+
+      const result = await SQLConnectionService.fetchRecords(pgConnection, {
+        page: 2,
+        limit: 10,
+        filters: { name: { contains: "O'Brien%" }, score: { gte: 5 }, owner: { isNull: 'true' } },
+        orderBy: 'name',
+        ascending: true
+      });
+
+      const [select, count] = dataQueries();
+      assert.strictEqual(
+        select.sql,
+        'SELECT * FROM "public"."leads" WHERE CAST("name" AS TEXT) ILIKE $1 AND "score" >= $2 AND "owner" IS NULL ' +
+        'ORDER BY "name" ASC LIMIT 10 OFFSET 10'
+      );
+      assert.deepStrictEqual(select.params, ["%O'Brien\\%%", 5]);
+      assert.strictEqual(count.sql, 'SELECT COUNT(*) AS total FROM "public"."leads" WHERE CAST("name" AS TEXT) ILIKE $1 AND "score" >= $2 AND "owner" IS NULL');
+      assert.deepStrictEqual(result, { data: [{ id: 1, name: 'Ana' }], count: 42, page: 2, limit: 10, totalPages: 5 });
+      assert.ok(closed >= 1);
+    });
+
+    test('should use ? placeholders and restrict by user link on MySQL', async () => {
+      answer = (sql) => {
+        if (sql.includes('information_schema.columns')) return mysqlColumns;
+        if (sql.includes('COUNT(*)')) return [{ total: 1 }];
+        return [];
+      };
+
+      await SQLConnectionService.fetchRecords(mysqlConnection, {
+        filters: { name: 'Ana' },
+        userLinkField: 'owner',
+        userId: 'user-1'
+      });
+
+      const [select] = dataQueries();
+      assert.strictEqual(
+        select.sql,
+        'SELECT * FROM `leads` WHERE `name` = ? AND `owner` = ? ORDER BY `id` DESC LIMIT 25 OFFSET 0'
+      );
+      assert.deepStrictEqual(select.params, ['Ana', 'user-1']);
+    });
+
+    test('should reject unknown operators and object values', async () => {
+      await assert.rejects(
+        SQLConnectionService.fetchRecords(pgConnection, { filters: { name: { like: 'x' } } }),
+        err => err.code === SQL_ERROR_CODES.INVALID_FILTER
+      );
+      await assert.rejects(
+        SQLConnectionService.fetchRecords(pgConnection, { filters: { name: { eq: { $ne: 1 } } } }),
+        err => err.code === SQL_ERROR_CODES.INVALID_FILTER
+      );
+    });
+
+    test('should cap the page size', async () => {
+      answer = (sql) => {
+        if (sql.includes('information_schema.columns')) return pgColumns;
+        if (sql.includes('COUNT(*)')) return [{ total: 0 }];
+        return [];
+      };
+
+      const result = await SQLConnectionService.fetchRecords(pgConnection, { limit: 100000 });
+
+      assert.strictEqual(result.limit, 1000);
+      assert.match(dataQueries()[0].sql, /LIMIT 1000 OFFSET 0$/);
+    });
+  });
+
+  describe('records', () => {
+    test('should insert with RETURNING on PostgreSQL', async () => {
+      answer = (sql) => {
+        if (sql.includes('information_schema.columns')) return pgColumns;
+        return [{ id: 7, name: 'Ana', score: 3 }];
+      };
+
+      const created = await SQLConnectionService.createRecord(pgConnection, { name: 'Ana', score: 3 });
+
+      const [insert] = dataQueries();
+      assert.strictEqual(insert.sql, 'INSERT INTO "public"."leads" ("name", "score") VALUES ($1, $2) RETURNING *');
+      assert.deepStrictEqual(insert.params, ['Ana', 3]);
+      assert.strictEqual(created.id, 7);
+    });
+
+    test('should re-read the inserted row by insertId on MySQL', async () => {
+      answer = (sql) => {
+        if (sql.includes('information_schema.columns')) return mysqlColumns;
+        if (sql.startsWith('INSERT')) return { insertId: 9 };
+        return [{ id: 9, name: 'Ana' }];
+      };
+
+      const created = await SQLConnectionService.createRecord(mysqlConnection, { name: 'Ana' });
+
+      const [insert, select] = dataQueries();
+      assert.strictEqual(insert.sql, 'INSERT INTO `leads` (`name`) VALUES (?)');
+      assert.deepStrictEqual(select.params, [9]);
+      assert.deepStrictEqual(created, { id: 9, name: 'Ana' });
+    });
+
+    test('should reject inserts without fields', async () => {
+      await assert.rejects(
+        SQLConnectionService.createRecord(pgConnection, {}),
+        err => err.code === SQL_ERROR_CODES.INVALID_DATA
+      );
+    });
+
+    test('should update by primary key without touching it', async () => {
+      answer = (sql) => {
+        if (sql.includes('information_schema.columns')) return pgColumns;
+        return [{ id: 7, name: 'Bia' }];
+      };
+
+      await SQLConnectionService.updateRecord(pgConnection, 7, { id: 99, name: 'Bia' });
+
+      const [update] = dataQueries();
+      assert.strictEqual(update.sql, 'UPDATE "public"."leads" SET "name" = $1 WHERE "id" = $2 RETURNING *');
+      assert.deepStrictEqual(update.params, ['Bia', 7]);
+    });
+
+    test('should fail updates of missing records', async () => {
+      answer = (sql) => {
+        if (sql.includes('information_schema.columns')) return mysqlColumns;
+        return { affectedRows: 0 };
+      };
+
+      await assert.rejects(
+        SQLConnectionService.updateRecord(mysqlConnection, 1, { name: 'x' }),
+        err => err.code === SQL_ERROR_CODES.RECORD_NOT_FOUND
+      );
+    });
+  });
+
+  describe('errors', () => {
+    test('should translate driver errors', async () => {
+      connectError = Object.assign(new Error('password authentication failed'), { code: '28P01' });
+
+      const result = await SQLConnectionService.testConnection(pgConnection);
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.details.errorCode, SQL_ERROR_CODES.AUTH_FAILED);
+      assert.strictEqual(result.message, 'Falha na autenticação. Verifique usuário e senha.');
+
+      const mysqlError = SQLConnectionService.translateError(Object.assign(new Error('dup'), { code: 'ER_DUP_ENTRY' }));
+      assert.strictEqual(mysqlError.code, SQL_ERROR_CODES.CONSTRAINT_VIOLATION);
+      assert.strictEqual(SQLConnectionService.translateError(new Error('boom')).code, SQL_ERROR_CODES.UNKNOWN);
+    });
+
+    test('should require host, database and username', async () => {
+      await assert.rejects(
+        SQLConnectionService.connect({ ...pgConnection, database_name: '' }),
+        err => err.code === SQL_ERROR_CODES.INVALID_CONFIGURATION
+      );
+    });
+
+    test('should report missing tables', async () => {
+      answer = () => [];
+
+      await assert.rejects(
+        SQLConnectionService.getTableColumns(pgConnection, 'missing'),
+        err => err.code === SQL_ERROR_CODES.TABLE_NOT_FOUND
+      );
+    });
+  });
+});
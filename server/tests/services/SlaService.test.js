@@ -0,0 +1,331 @@
+/**
+ * SlaService Tests
+ * Tests for business-hours timers, warning/breach evaluation, response
+ * outcomes, escalation and compliance aggregation
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Record writes made through SupabaseService
+let upserts = [];
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => {
+    const query = {
+      upsert: (data) => {
+        upserts.push({ table, data });
+        return Promise.resolve({ data: null, error: null });
+      }
+    };
+    return queryFn(query);
+  },
+  insert: async () => ({ data: null, error: null })
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// Mock assignment service
+let autoAssignCalls = [];
+
+class MockConversationAssignmentService {
+  async autoAssign(inboxId, conversationId, options) {
+    autoAssignCalls.push({ inboxId, conversationId, options });
+    return 'agent-2';
+  }
+}
+
+require.cache[require.resolve('../../services/ConversationAssignmentService')] = {
+  exports: MockConversationAssignmentService
+};
+
+const { SlaService } = require('../../services/SlaService');
+const BusinessHoursService = require('../../services/BusinessHoursService');
+
+const MINUTE = 60 * 1000;
+
+const businessHoursCalendar = { startTime: '09:00', endTime: '18:00', days: [1, 2, 3, 4, 5] };
+
+/**
+ * Build a service whose persistence methods record calls instead of writing
+ */
+function buildService(sla) {
+  const service = new SlaService();
+  const calls = { events: [], saves: [] };
+
+  service.getConversationSlaRow = async () => sla;
+  service.getAssignedAgentId = async () => 'agent-1';
+  service.logEvent = async (row, metric, eventType, options) => {
+    calls.events.push({ metric, eventType, ...options });
+  };
+  service.saveSla = async (row, changes) => {
+    calls.saves.push(changes);
+    return { ...row, ...changes };
+  };
+
+  return { service, calls };
+}
+
+describe('SlaService - business time', () => {
+  const service = new SlaService();
+
+  test('should build warning and due times from the threshold', () => {
+    const start = new Date(2026, 0, 5, 10, 0);
+
+    const timer = service.buildTimer(
+      { first_response_minutes: 60, warning_threshold_percent: 75 },
+      'first_response',
+      start
+    );
+
+    assert.strictEqual(timer.warnAt, new Date(start.getTime() + 45 * MINUTE).toISOString());
+    assert.strictEqual(timer.dueAt, new Date(start.getTime() + 60 * MINUTE).toISOString());
+    assert.strictEqual(service.buildTimer({}, 'resolution', start), null);
+  });
+
+  test('should count only business hours with a calendar', () => {
+    // Monday 17:00 + 2h business time = Tuesday 10:00
+    const timer = service.buildTimer(
+      { first_response_minutes: 120, warning_threshold_percent: 50 },
+      'first_response',
+      new Date(2026, 0, 5, 17, 0),
+      businessHoursCalendar
+    );
+
+    assert.strictEqual(timer.warnAt, new Date(2026, 0, 5, 18, 0).toISOString());
+    assert.strictEqual(timer.dueAt, new Date(2026, 0, 6, 10, 0).toISOString());
+  });
+
+  test('should prefer the inbox calendar over the policy hours', async () => {
+    const inboxCalendar = { weeklyHours: { 1: [{ start: '08:00', end: '12:00' }] } };
+    const policy = { business_hours_only: true, business_hours: businessHoursCalendar };
+    const originalGetCalendar = BusinessHoursService.getCalendar;
+
+    try {
+      BusinessHoursService.getCalendar = async (inboxId) => (inboxId === 'inbox-1' ? inboxCalendar : null);
+
+      assert.strictEqual(await service.getBusinessCalendar({ business_hours_only: false }, 'inbox-1'), null);
+      assert.strictEqual(await service.getBusinessCalendar(policy, 'inbox-1'), inboxCalendar);
+      assert.deepStrictEqual(
+        (await service.getBusinessCalendar(policy, 'inbox-2')).weeklyHours[1],
+        [{ start: '09:00', end: '18:00' }]
+      );
+    } finally {
+      BusinessHoursService.getCalendar = originalGetCalendar;
+    }
+  });
+});
+
+describe('SlaService - timer evaluation', () => {
+  const service = new SlaService();
+  const sla = {
+    first_response_warn_at: '2026-01-05T10:45:00.000Z',
+    first_response_due_at: '2026-01-05T11:00:00.000Z',
+    first_response_at: null,
+    resolution_warn_at: '2026-01-05T16:00:00.000Z',
+    resolution_due_at: '2026-01-05T18:00:00.000Z',
+    warnings_sent: [],
+    breaches: []
+  };
+
+  test('should raise a warning once the threshold is reached', () => {
+    const events = service.evaluateTimers(sla, new Date('2026-01-05T10:50:00Z'));
+
+    assert.deepStrictEqual(events.map(e => [e.metric, e.type]), [['first_response', 'warning']]);
+  });
+
+  test('should not repeat warnings or breaches', () => {
+    const now = new Date('2026-01-05T10:50:00Z');
+
+    assert.deepStrictEqual(service.evaluateTimers({ ...sla, warnings_sent: ['first_response'] }, now), []);
+    assert.deepStrictEqual(
+      service.evaluateTimers({ ...sla, breaches: ['first_response'] }, new Date('2026-01-05T12:00:00Z')),
+      []
+    );
+  });
+
+  test('should raise breaches past the due time', () => {
+    const events = service.evaluateTimers(sla, new Date('2026-01-05T17:00:00Z'));
+
+    assert.deepStrictEqual(
+      events.map(e => [e.metric, e.type]),
+      [['first_response', 'breached'], ['resolution', 'warning']]
+    );
+  });
+
+  test('should ignore answered and resolved conversations', () => {
+    const now = new Date('2026-01-05T19:00:00Z');
+
+    assert.deepStrictEqual(service.evaluateTimers({ ...sla, resolved_at: '2026-01-05T10:00:00Z' }, now), []);
+    assert.strictEqual(
+      service.evaluateTimers({ ...sla, first_response_at: '2026-01-05T10:00:00Z' }, now)[0].metric,
+      'resolution'
+    );
+  });
+
+  test('should schedule the next check at the earliest pending time', () => {
+    assert.strictEqual(service.computeNextCheckAt(sla), '2026-01-05T10:45:00.000Z');
+    assert.strictEqual(
+      service.computeNextCheckAt({ ...sla, warnings_sent: ['first_response'] }),
+      '2026-01-05T11:00:00.000Z'
+    );
+    assert.strictEqual(
+      service.computeNextCheckAt({ ...sla, breaches: ['first_response'], warnings_sent: ['resolution'] }),
+      '2026-01-05T18:00:00.000Z'
+    );
+    assert.strictEqual(service.computeNextCheckAt({ ...sla, resolved_at: '2026-01-05T12:00:00Z' }), null);
+  });
+});
+
+describe('SlaService - response outcomes', () => {
+  const baseSla = {
+    id: 'sla-1',
+    conversation_id: 'conv-1',
+    first_response_due_at: '2026-01-05T11:00:00.000Z',
+    first_response_at: null,
+    warnings_sent: [],
+    breaches: []
+  };
+
+  test('should record a met first response for the assigned agent', async () => {
+    const { service, calls } = buildService({ ...baseSla });
+
+    await service.recordResponse('conv-1', new Date('2026-01-05T10:30:00Z'));
+
+    assert.deepStrictEqual(calls.events, [
+      { metric: 'first_response', eventType: 'met', agentId: 'agent-1', dueAt: baseSla.first_response_due_at }
+    ]);
+    assert.strictEqual(calls.saves[0].first_response_at, '2026-01-05T10:30:00.000Z');
+  });
+
+  test('should record a late first response as breached', async () => {
+    const { service, calls } = buildService({ ...baseSla });
+
+    await service.recordResponse('conv-1', new Date('2026-01-05T11:30:00Z'));
+
+    assert.strictEqual(calls.events[0].eventType, 'breached');
+  });
+
+  test('should not count a breach the monitor already raised', async () => {
+    const { service, calls } = buildService({ ...baseSla, breaches: ['first_response'] });
+
+    await service.recordResponse('conv-1', new Date('2026-01-05T11:30:00Z'));
+
+    assert.strictEqual(calls.events.length, 0);
+    assert.strictEqual(calls.saves.length, 1);
+  });
+
+  test('should close the next response timer', async () => {
+    const { service, calls } = buildService({
+      ...baseSla,
+      first_response_at: '2026-01-05T10:30:00.000Z',
+      awaiting_response_since: '2026-01-05T12:00:00.000Z',
+      next_response_due_at: '2026-01-05T12:30:00.000Z'
+    });
+
+    await service.recordResponse('conv-1', new Date('2026-01-05T12:10:00Z'));
+
+    assert.strictEqual(calls.events[0].metric, 'next_response');
+    assert.strictEqual(calls.events[0].eventType, 'met');
+    assert.strictEqual(calls.saves[0].awaiting_response_since, null);
+  });
+
+  test('should never throw from hooks', async () => {
+    const service = new SlaService();
+    service.getConversationSlaRow = async () => { throw new Error('db down'); };
+
+    await service.recordResponse('conv-1');
+    await service.recordStatusChange('conv-1', 'resolved');
+    await service.recordIncomingMessage({ id: 'conv-1', account_id: 'acc-1' });
+  });
+});
+
+describe('SlaService - breach escalation', () => {
+  beforeEach(() => {
+    upserts = [];
+    autoAssignCalls = [];
+  });
+
+  const sla = {
+    id: 'sla-1',
+    conversation_id: 'conv-1',
+    inbox_id: 'inbox-1',
+    policy_id: 'policy-1',
+    first_response_warn_at: '2026-01-05T10:45:00.000Z',
+    first_response_due_at: '2026-01-05T11:00:00.000Z',
+    first_response_at: null,
+    warnings_sent: ['first_response'],
+    breaches: []
+  };
+
+  test('should reassign, label, notify and broadcast on breach', async () => {
+    const { service, calls } = buildService(sla);
+    const broadcasts = [];
+    const chatHandler = { broadcastSlaEvent: (type, data) => broadcasts.push({ type, data }) };
+
+    const events = await service.processSla({
+      ...sla,
+      sla_policies: { escalation: { reassign: true, labelId: 'label-1', notifyAgentId: 'lead-1' } },
+      conversations: { assigned_agent_id: 'agent-1' }
+    }, new Date('2026-01-05T11:05:00Z'), chatHandler);
+
+    assert.deepStrictEqual(events.map(e => e.type), ['breached']);
+    assert.deepStrictEqual(autoAssignCalls, [{
+      inboxId: 'inbox-1',
+      conversationId: 'conv-1',
+      options: { excludeAgentId: 'agent-1', action: 'sla_escalation' }
+    }]);
+    assert.deepStrictEqual(upserts[0].data, { conversation_id: 'conv-1', label_id: 'label-1' });
+    assert.deepStrictEqual(calls.events.map(e => e.eventType), ['breached', 'escalated']);
+    assert.deepStrictEqual(calls.events[1].details.actions, ['reassigned', 'label_added', 'team_lead_notified']);
+    assert.deepStrictEqual(broadcasts.map(b => b.type), ['breached', 'escalated']);
+    assert.strictEqual(broadcasts[1].data.notifyAgentId, 'lead-1');
+    assert.deepStrictEqual(calls.saves[0].breaches, ['first_response']);
+  });
+
+  test('should only log the breach without escalation actions', async () => {
+    const { service, calls } = buildService(sla);
+
+    await service.processSla({
+      ...sla,
+      sla_policies: { escalation: {} },
+      conversations: { assigned_agent_id: null }
+    }, new Date('2026-01-05T11:05:00Z'), null);
+
+    assert.strictEqual(autoAssignCalls.length, 0);
+    assert.deepStrictEqual(calls.events.map(e => e.eventType), ['breached']);
+  });
+});
+
+describe('SlaService - compliance', () => {
+  test('should aggregate met and breached events per agent', () => {
+    const service = new SlaService();
+
+    const result = service.aggregateCompliance([
+      { agent_id: 'a', event_type: 'met' },
+      { agent_id: 'a', event_type: 'met' },
+      { agent_id: 'a', event_type: 'breached' },
+      { agent_id: 'b', event_type: 'breached' },
+      { agent_id: null, event_type: 'met' }
+    ]);
+
+    assert.deepStrictEqual(result, {
+      a: { met: 2, breached: 1, compliance: 66.67 },
+      b: { met: 0, breached: 1, compliance: 0 }
+    });
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * WebhookDeliveryService Tests
+ * Tests queued webhook deliveries: retries, dead-letter, circuit breaking,
+ * per-endpoint concurrency, automatic disabling and replay
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createQueryFactory } = require('../mocks/supabase-query-mock');
+const crypto = require('crypto');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+// In-memory tables answered by SupabaseService
+let db = {};
+let nextId = 1;
+
+function respond(table, ops) {
+  const rows = db[table] || (db[table] = []);
+  const matches = rows.filter(row => ops.every(({ op, args }) => {
+    if (op === 'eq') return row[args[0]] === args[1];
+    if (op === 'in') return args[1].includes(row[args[0]]);
+    return true;
+  }));
+
+  const range = ops.find(o => o.op === 'range');
+  const limit = ops.find(o => o.op === 'limit');
+  let data = range ? matches.slice(range.args[0], range.args[1] + 1) : matches;
+  if (limit) data = data.slice(0, limit.args[0]);
+  return { data, error: null, count: matches.length };
+}
+
+const createQuery = createQueryFactory(respond);
+
+const mockSupabaseService = {
+  queryAsAdmin: async (table, queryFn) => queryFn(createQuery(table)),
+  insert: async (table, data) => {
+    const row = { id: `${table}-${nextId++}`, created_at: new Date().toISOString(), ...data };
+    (db[table] || (db[table] = [])).push(row);
+    return { data: row, error: null };
+  },
+  update: async (table, id, data) => {
+    const row = db[table].find(r => r.id === id);
+    Object.assign(row, data);
+    return { data: row, error: null };
+  },
+  getById: async (table, id) => ({ data: db[table].find(r => r.id === id) || null, error: null })
+};
+
+require.cache[require.resolve('../../services/SupabaseService')] = {
+  exports: mockSupabaseService
+};
+
+// HTTP endpoint
+let requests = [];
+let respondWith = () => ({ status: 200, data: { ok: true } });
+
+require.cache[require.resolve('axios')] = {
+  exports: {
+    post: async (url, body, config) => {
+      requests.push({ url, body, headers: config.headers });
+      const response = respondWith(url);
+      if (response instanceof Error) throw response;
+      return response;
+    }
+  }
+};
+
+// Webhook queue
+let queuedJobs = [];
+let queueAvailable = true;
+
+require.cache[require.resolve('../../queues/webhookQueue')] = {
+  exports: {
+    addWebhookDeliveryJob: async (delivery) => {
+      if (!queueAvailable) return null;
+      queuedJobs.push(delivery);
+      return { id: delivery.deliveryId };
+    }
+  }
+};
+
+const { clearAllCircuits } = require('../../utils/circuitBreaker');
+const OutgoingWebhookService = require('../../services/OutgoingWebhookService');
+const {
+  WebhookDeliveryService,
+  DISABLE_AFTER_FAILURES
+} = require('../../services/WebhookDeliveryService');
+
+const OWNER_ID = '11111111-1111-4111-8111-111111111111';
+
+function seed() {
+  db = {
+    accounts: [{ id: 'account-1', tenant_id: 'tenant-1', owner_user_id: OWNER_ID }],
+    outgoing_webhooks: [
+      { id: 'wh-1', user_id: OWNER_ID, url: 'https://crm.example.com/hook', secret: 'whsec_test', events: '["*"]', is_active: true, consecutive_failures: 0, success_count: 0, failure_count: 0 },
+      { id: 'wh-2', user_id: OWNER_ID, url: 'https://off.example.com/hook', secret: 'whsec_off', events: '["*"]', is_active: false, consecutive_failures: 0 }
+    ],
+    chat_external_webhooks: [
+      { id: 'ext-1', account_id: 'account-1', url: 'https://ext.example.com/hook', secret: null, events: ['message.received'], is_active: true, failure_count: 0, timeout_ms: 3000 }
+    ],
+    webhook_deliveries: [],
+    webhook_dead_letters: [],
+    admin_notifications: []
+  };
+}
+
+function outgoingDelivery(webhookId = 'wh-1', deliveryId = crypto.randomUUID()) {
+  return {
+    source: 'outgoing',
+    webhookId,
+    ownerId: OWNER_ID,
+    deliveryId,
+    eventType: 'message.received',
+    body: { id: deliveryId, event: 'message.received', data: { text: 'Olá' } }
+  };
+}
+
+describe('WebhookDeliveryService', () => {
+  let service;
+
+  beforeEach(() => {
+    seed();
+    requests = [];
+    queuedJobs = [];
+    queueAvailable = true;
+    respondWith = () => ({ status: 200, data: { ok: true } });
+    clearAllCircuits();
+    service = new WebhookDeliveryService();
+  });
+
+  test('delivers with signed headers and records the delivery', async () => {
+    const delivery = outgoingDelivery();
+
+    const result = await service.processDelivery(delivery, { attempt: 1, maxAttempts: 8 });
+
+    assert.deepStrictEqual(result, { delivered: true, status: 200 });
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].headers['X-Delivery-Id'], delivery.deliveryId);
+    assert.strictEqual(
+      requests[0].headers['X-Webhook-Signature'],
+      new OutgoingWebhookService().generateSignature(delivery.body, 'whsec_test')
+    );
+    assert.strictEqual(db.webhook_deliveries[0].status, 'success');
+    assert.strictEqual(db.outgoing_webhooks[0].success_count, 1);
+    assert.strictEqual(db.outgoing_webhooks[0].consecutive_failures, 0);
+  });
+
+  test('retries server errors and dead-letters the delivery on the last attempt', async () => {
+    respondWith = () => ({ status: 503, data: 'unavailable' });
+    const delivery = outgoingDelivery();
+
+    await assert.rejects(
+      () => service.processDelivery(delivery, { attempt: 1, maxAttempts: 2 }),
+      (error) => error.message === 'HTTP 503' && !error.permanent
+    );
+    assert.strictEqual(db.webhook_dead_letters.length, 0);
+
+    await assert.rejects(
+      () => service.processDelivery(delivery, { attempt: 2, maxAttempts: 2 }),
+      (error) => error.permanent === true
+    );
+
+    const [deadLetter] = db.webhook_dead_letters;
+    assert.strictEqual(deadLetter.reason, 'exhausted');
+    assert.strictEqual(deadLetter.attempts, 2);
+    assert.strictEqual(deadLetter.owner_id, OWNER_ID);
+    assert.strictEqual(deadLetter.delivery_id, delivery.deliveryId);
+    assert.strictEqual(db.outgoing_webhooks[0].consecutive_failures, 1);
+  });
+
+  test('dead-letters deliveries rejected with 4xx without retrying', async () => {
+    respondWith = () => ({ status: 410, data: 'gone' });
+
+    await assert.rejects(
+      () => service.processDelivery(outgoingDelivery(), { attempt: 1, maxAttempts: 8 }),
+      (error) => error.permanent === true
+    );
+
+    assert.strictEqual(db.webhook_dead_letters[0].reason, 'rejected');
+    assert.strictEqual(db.webhook_dead_letters[0].response_status, 410);
+  });
+
+  test('disables the endpoint after sustained failure and notifies the owner', async () => {
+    respondWith = () => ({ status: 400, data: 'bad' });
+    db.outgoing_webhooks[0].consecutive_failures = DISABLE_AFTER_FAILURES - 1;
+
+    await assert.rejects(() => service.processDelivery(outgoingDelivery(), { attempt: 1, maxAttempts: 8 }));
+
+    const webhook = db.outgoing_webhooks[0];
+    assert.strictEqual(webhook.is_active, false);
+    assert.ok(webhook.disabled_at);
+    assert.match(webhook.disabled_reason, /consecutive failed deliveries/);
+    assert.strictEqual(db.admin_notifications.length, 1);
+    assert.strictEqual(db.admin_notifications[0].user_id, OWNER_ID);
+    assert.strictEqual(db.admin_notifications[0].account_id, 'account-1');
+
+    // Later deliveries go straight to the dead-letter store
+    const result = await service.processDelivery(outgoingDelivery(), { attempt: 1, maxAttempts: 8 });
+    assert.deepStrictEqual(result, { delivered: false, deadLettered: 'endpoint_disabled' });
+    assert.strictEqual(requests.length, 1);
+  });
+
+  test('opens the circuit after repeated failures and postpones deliveries', async () => {
+    respondWith = () => new Error('connect ECONNREFUSED');
+
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(() => service.processDelivery(outgoingDelivery(), { attempt: 1, maxAttempts: 8 }));
+    }
+
+    await assert.rejects(
+      () => service.processDelivery(outgoingDelivery(), { attempt: 1, maxAttempts: 8 }),
+      (error) => error.code === 'CIRCUIT_OPEN' && error.retryAfterMs > 0
+    );
+    assert.strictEqual(requests.length, 5);
+    assert.strictEqual(db.webhook_dead_letters.length, 0);
+  });
+
+  test('limits concurrent deliveries per endpoint', async () => {
+    service.acquireSlot('webhook:outgoing:wh-1');
+    service.acquireSlot('webhook:outgoing:wh-1');
+
+    await assert.rejects(
+      () => service.processDelivery(outgoingDelivery(), { attempt: 1, maxAttempts: 8 }),
+      (error) => error.message === 'ENDPOINT_BUSY' && error.retryAfterMs > 0
+    );
+
+    // Other endpoints are not affected
+    const result = await service.processDelivery(
+      { source: 'external', webhookId: 'ext-1', ownerId: 'account-1', deliveryId: 'd-ext', eventType: 'message.received', body: { id: 'd-ext', timestamp: 'now' } },
+      { attempt: 1, maxAttempts: 8 }
+    );
+    assert.strictEqual(result.delivered, true);
+    assert.strictEqual(db.chat_external_webhooks[0].failure_count, 0);
+  });
+
+  test('replays dead letters of the owner with the original delivery ID', async () => {
+    respondWith = () => ({ status: 422, data: 'invalid' });
+    const delivery = outgoingDelivery();
+    await assert.rejects(() => service.processDelivery(delivery, { attempt: 1, maxAttempts: 8 }));
+    await service.processDelivery(outgoingDelivery('wh-2'), { attempt: 1, maxAttempts: 8 });
+
+    const [rejected, disabled] = db.webhook_dead_letters;
+
+    const result = await service.replayDeadLetters('outgoing', OWNER_ID, {
+      ids: [rejected.id, disabled.id, 'unknown']
+    });
+
+    assert.deepStrictEqual(result.replayed, [rejected.id]);
+    assert.deepStrictEqual(
+      result.skipped.map(s => s.reason).sort(),
+      ['endpoint_disabled', 'not_found']
+    );
+    assert.strictEqual(queuedJobs.length, 1);
+    assert.strictEqual(queuedJobs[0].deliveryId, delivery.deliveryId);
+    assert.strictEqual(queuedJobs[0].replay, 1);
+    assert.strictEqual(rejected.status, 'replayed');
+
+    // Another owner cannot see or replay them
+    const other = await service.replayDeadLetters('outgoing', 'someone-else', { ids: [rejected.id] });
+    assert.deepStrictEqual(other.replayed, []);
+    assert.strictEqual((await service.getDeadLetters('outgoing', 'someone-else')).total, 0);
+
+    await assert.rejects(
+      () => service.replayDeadLetters('outgoing', OWNER_ID, {}),
+      { message: 'INVALID_REPLAY_SELECTION' }
+    );
+  });
+
+  test('a failed replay refreshes the same dead letter', async () => {
+    respondWith = () => ({ status: 404, data: 'missing' });
+    const delivery = outgoingDelivery();
+    await assert.rejects(() => service.processDelivery(delivery, { attempt: 1, maxAttempts: 8 }));
+
+    await service.replayDeadLetters('outgoing', OWNER_ID, { webhookId: 'wh-1' });
+    await assert.rejects(() => service.processDelivery(queuedJobs[0], { attempt: 1, maxAttempts: 8 }));
+
+    assert.strictEqual(db.webhook_dead_letters.length, 1);
+    assert.strictEqual(db.webhook_dead_letters[0].status, 'pending');
+    assert.strictEqual(db.webhook_dead_letters[0].replay_count, 1);
+  });
+
+  test('webhook events are queued, and delivered inline without a queue', async () => {
+    const outgoing = new OutgoingWebhookService();
+
+    const [queued] = await outgoing.sendWebhookEvent(OWNER_ID, null, 'message.received', { text: 'Olá' });
+    assert.strictEqual(queued.queued, true);
+    assert.strictEqual(queuedJobs[0].source, 'outgoing');
+    assert.strictEqual(queuedJobs[0].webhookId, 'wh-1');
+    assert.strictEqual(requests.length, 0);
+
+    queueAvailable = false;
+    const [inline] = await outgoing.sendWebhookEvent(OWNER_ID, null, 'message.received', { text: 'Olá' });
+    assert.strictEqual(inline.success, true);
+    assert.strictEqual(requests.length, 1);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * WhatsAppCloudAdapter Tests
+ * Tests the official WhatsApp Cloud API adapter against the local Graph API
+ * mock: sending, status, webhook verification, signatures and normalization
+ * of webhooks to the WUZAPI event format
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// Mock logger
+const mockLogger = {
+  info: () => {},
+  error: () => {},
+  warn: () => {},
+  debug: () => {}
+};
+
+require.cache[require.resolve('../../utils/logger')] = {
+  exports: { logger: mockLogger }
+};
+
+const WhatsAppCloudAdapter = require('../../services/providers/WhatsAppCloudAdapter');
+const ProviderAdapterFactory = require('../../services/providers/ProviderAdapterFactory');
+const WhatsAppCloudMock = require('../mocks/whatsapp-cloud-mock');
+
+const APP_SECRET = 'app-secret';
+
+describe('WhatsAppCloudAdapter', () => {
+  const adapter = new WhatsAppCloudAdapter();
+  const mock = new WhatsAppCloudMock();
+  let inbox;
+
+  before(async () => {
+    await mock.start();
+  });
+
+  after(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(() => {
+    mock.reset();
+    inbox = {
+      id: 'inbox-1',
+      provider_type: 'whatsapp_cloud',
+      provider_config: {
+        phoneNumberId: '100200300',
+        accessToken: 'test-access-token',
+        appSecret: APP_SECRET,
+        verifyToken: 'verify-me',
+        businessAccountId: 'waba-1',
+        baseUrl: mock.baseUrl
+      }
+    };
+  });
+
+  test('should be registered in the provider factory', () => {
+    ProviderAdapterFactory.reset();
+    assert.ok(ProviderAdapterFactory.getRegisteredTypes().includes('whatsapp_cloud'));
+    assert.ok(ProviderAdapterFactory.getAdapterForInbox(inbox) instanceof WhatsAppCloudAdapter);
+  });
+
+  test('should report the phone number status', async () => {
+    const status = await adapter.getStatus(inbox);
+
+    assert.strictEqual(status.connected, true);
+    assert.strictEqual(status.loggedIn, true);
+    assert.strictEqual(status.verifiedName, 'Empresa Teste');
+
+    inbox.provider_config.accessToken = 'wrong';
+    const invalid = await adapter.getStatus(inbox);
+    assert.strictEqual(invalid.loggedIn, false);
+    assert.strictEqual(invalid.error, 'Token de acesso inválido ou expirado');
+  });
+
+  test('should send text, media and template messages', async () => {
+    const text = await adapter.sendMessage(inbox, {
+      to: '5511988887777@s.whatsapp.net',
+      text: 'Olá, veja https://exemplo.com',
+      replyToMessageId: 'wamid.original'
+    });
+    assert.strictEqual(text.success, true);
+    assert.match(text.messageId, /^wamid\./);
+
+    await adapter.sendMessage(inbox, {
+      to: '5511988887777',
+      media: { type: 'document', url: 'https://cdn.exemplo.com/boleto.pdf', caption: 'Boleto', filename: 'boleto.pdf' }
+    });
+    await adapter.sendMessage(inbox, {
+      to: '5511988887777',
+      template: 'lembrete_pagamento',
+      templateParams: { parameters: ['Maria', 150] }
+    });
+
+    const [sentText, sentDocument, sentTemplate] = mock.sentMessages;
+    assert.strictEqual(sentText.to, '5511988887777');
+    assert.deepStrictEqual(sentText.text, { body: 'Olá, veja https://exemplo.com', preview_url: true });
+    assert.deepStrictEqual(sentText.context, { message_id: 'wamid.original' });
+    assert.deepStrictEqual(sentDocument.document, {
+      link: 'https://cdn.exemplo.com/boleto.pdf',
+      caption: 'Boleto',
+      filename: 'boleto.pdf'
+    });
+    assert.deepStrictEqual(sentTemplate.template, {
+      name: 'lembrete_pagamento',
+      language: { code: 'pt_BR' },
+      components: [{
+        type: 'body',
+        parameters: [{ type: 'text', text: 'Maria' }, { type: 'text', text: '150' }]
+      }]
+    });
+  });
+
+  test('should return send failures without throwing', async () => {
+    const invalidMedia = await adapter.sendMessage(inbox, {
+      to: '5511988887777',
+      media: { type: 'audio', url: 'data:audio/ogg;base64,AAAA' }
+    });
+    assert.deepStrictEqual(invalidMedia, { success: false, error: 'Mídia inválida' });
+    assert.strictEqual(mock.sentMessages.length, 0);
+
+    inbox.provider_config.accessToken = 'wrong';
+    const unauthorized = await adapter.sendMessage(inbox, { to: '5511988887777', text: 'oi' });
+    assert.deepStrictEqual(unauthorized, { success: false, error: 'Invalid OAuth access token' });
+  });
+
+  test('should configure and read the webhook subscription', async () => {
+    await adapter.setWebhook(inbox, 'https://app.exemplo.com/api/whatsapp-cloud/webhook/inbox-1');
+
+    const webhook = await adapter.getWebhook(inbox);
+    assert.deepStrictEqual(webhook, {
+      url: 'https://app.exemplo.com/api/whatsapp-cloud/webhook/inbox-1',
+      events: ['messages'],
+      status: 'active'
+    });
+  });
+
+  test('should download received media', async () => {
+    const { buffer, mimeType } = await adapter.downloadMedia(inbox, 'media-1');
+
+    assert.strictEqual(mimeType, 'image/jpeg');
+    assert.strictEqual(buffer.toString(), 'fake-jpeg-content');
+  });
+
+  test('should answer the webhook verification challenge', () => {
+    const query = { 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': '1158201444' };
+
+    assert.strictEqual(adapter.verifyWebhookChallenge(inbox, query), '1158201444');
+    assert.strictEqual(adapter.verifyWebhookChallenge(inbox, { ...query, 'hub.verify_token': 'nope' }), null);
+    assert.strictEqual(adapter.verifyWebhookChallenge(inbox, { ...query, 'hub.mode': 'unsubscribe' }), null);
+  });
+
+  test('should check the X-Hub-Signature-256 of the raw body', () => {
+    const rawBody = Buffer.from(JSON.stringify(mock.buildWebhookPayload('100200300', { statuses: [] })));
+
+    assert.strictEqual(adapter.verifySignature(inbox, rawBody, mock.sign(rawBody, APP_SECRET)), true);
+    assert.strictEqual(adapter.verifySignature(inbox, rawBody, mock.sign(rawBody, 'other-secret')), false);
+    assert.strictEqual(adapter.verifySignature(inbox, rawBody, 'sha256=short'), false);
+    assert.strictEqual(adapter.verifySignature(inbox, rawBody, undefined), false);
+  });
+
+  test('should normalize messages and status callbacks to WUZAPI events', () => {
+    const payload = mock.buildWebhookPayload('100200300', {
+      contacts: [{ profile: { name: 'Maria' }, wa_id: '5511988887777' }],
+      messages: [
+        { from: '5511988887777', id: 'wamid.in1', timestamp: '1767614400', type: 'text', text: { body: 'Oi!' }, context: { id: 'wamid.out0' } },
+        { from: '5511988887777', id: 'wamid.in2', timestamp: '1767614460', type: 'image', image: { id: 'media-1', mime_type: 'image/jpeg', caption: 'Comprovante' } },
+        { from: '5511988887777', id: 'wamid.in3', timestamp: '1767614470', type: 'unsupported' }
+      ],
+      statuses: [
+        { id: 'wamid.out1', status: 'delivered', timestamp: '1767614500', recipient_id: '5511988887777' },
+        { id: 'wamid.out2', status: 'failed', timestamp: '1767614510', recipient_id: '5511988887777', errors: [{ code: 131047, title: 'Re-engagement message' }] }
+      ]
+    });
+
+    const events = adapter.normalizeWebhook(payload);
+
+    assert.deepStrictEqual(events.map(e => e.type), ['Message', 'Message', 'MessageStatus', 'MessageStatus']);
+    assert.deepStrictEqual(events[0].data, {
+      Info: {
+        Id: 'wamid.in1',
+        Chat: '5511988887777@s.whatsapp.net',
+        Sender: '5511988887777@s.whatsapp.net',
+        FromMe: false,
+        PushName: 'Maria',
+        Timestamp: '2026-01-05T12:00:00.000Z'
+      },
+      Message: { conversation: 'Oi!', messageContextInfo: { StanzaId: 'wamid.out0' } }
+    });
+    assert.deepStrictEqual(events[1].data.Message.imageMessage, {
+      mediaId: 'media-1',
+      mimetype: 'image/jpeg',
+      caption: 'Comprovante',
+      fileName: undefined,
+      ptt: false
+    });
+    assert.strictEqual(events[2].data.MessageId, 'wamid.out1');
+    assert.strictEqual(events[2].data.Status, 'delivered');
+    assert.strictEqual(events[3].data.Error, 'Re-engagement message');
+
+    assert.deepStrictEqual(adapter.normalizeWebhook({ object: 'page', entry: [] }), []);
+  });
+
+  test('should require the Cloud API credentials in the inbox config', () => {
+    assert.doesNotThrow(() => adapter.validateConfig(inbox.provider_config));
+    assert.throws(
+      () => adapter.validateConfig({ ...inbox.provider_config, appSecret: '' }),
+      { message: 'INVALID_PROVIDER_CONFIG: appSecret' }
+    );
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Business hours calendars
+ *
+ * Single implementation of "is this time inside the window" used by inbox
+ * business hours, campaign sending windows, drip sequences and SLA timers.
+ *
+ * Calendar shape (normalized):
+ *   {
+ *     timezone: 'America/Sao_Paulo' | null,   // null = server local time
+ *     weeklyHours: { 0: [{ start: '09:00', end: '18:00' }], ... },  // 0 = Sunday
+ *     holidays: ['2026-12-25', ...]           // local dates, closed all day
+ *   }
+ *
+ * Legacy windows are accepted everywhere a calendar is:
+ *   { startTime: 'HH:mm', endTime: 'HH:mm', days: [1, 2, ...] }  (bulk campaigns, sequences)
+ *   { startHour: 9, endHour: 18, days: [1, 2, ...] }             (agent campaigns)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Days scanned when looking for the next opening (covers long holiday lists)
+const MAX_LOOKAHEAD_DAYS = 370;
+
+const formatterCache = new Map();
+
+/**
+ * Parse "HH:mm" into minutes since midnight ("24:00" = end of day)
+ * @param {string} time
+ * @returns {number}
+ */
+function parseTime(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * @param {number} hour
+ * @returns {string} "HH:00"
+ */
+function hourToTime(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Normalize a calendar or legacy sending window
+ * @param {Object|string|null} input
+ * @returns {Object|null} Normalized calendar, null when there is no restriction
+ */
+function normalizeCalendar(input) {
+  if (!input) return null;
+
+  const source = typeof input === 'string' ? JSON.parse(input) : input;
+  const timezone = source.timezone || null;
+  const holidays = (source.holidays || [])
+    .map(holiday => (typeof holiday === 'string' ? holiday : holiday?.date))
+    .filter(Boolean);
+
+  if (source.weeklyHours) {
+    const weeklyHours = {};
+    for (const day of ALL_DAYS) {
+      const intervals = source.weeklyHours[day] || source.weeklyHours[String(day)] || [];
+      weeklyHours[day] = intervals
+        .filter(interval => interval?.start && interval?.end)
+        .map(interval => ({ start: interval.start, end: interval.end }));
+    }
+    return { timezone, weeklyHours, holidays };
+  }
+
+  let start = '00:00';
+  let end = '24:00';
+
+  if (source.startTime !== undefined || source.endTime !== undefined) {
+    // Incomplete HH:mm windows never restricted sending
+    if (!source.startTime || !source.endTime) return null;
+    start = source.startTime;
+    end = source.endTime;
+  } else if (source.startHour !== undefined && source.endHour !== undefined) {
+    start = hourToTime(source.startHour);
+    end = hourToTime(source.endHour);
+  }
+
+  const days = source.days && source.days.length > 0 ? source.days : ALL_DAYS;
+  const weeklyHours = {};
+  for (const day of ALL_DAYS) {
+    weeklyHours[day] = days.includes(day) ? [{ start, end }] : [];
+  }
+
+  return { timezone, weeklyHours, holidays };
+}
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone (server local when null)
+ * @param {Date} date
+ * @param {string|null} timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getLocalParts(date, timezone) {
+  if (!timezone) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds()
+    };
+  }
+
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Instant of a local wall-clock time in a timezone (server local when null)
+ * @returns {Date}
+ */
+function fromLocalTime(year, month, day, minutes, timezone) {
+  const hour = Math.floor(minutes / 60);
+  const minute = minutes % 60;
+
+  if (!timezone) {
+    return new Date(year, month - 1, day, hour, minute, 0, 0);
+  }
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const p = getLocalParts(new Date(instant), timezone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+  };
+
+  // Second pass corrects the offset across DST transitions
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+/**
+ * Calendar date `offset` days after a local date
+ * @returns {{year: number, month: number, day: number, weekday: number, key: string}}
+ */
+function shiftDate(parts, offset) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+    key: date.toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Open intervals (in minutes since midnight) of a local date
+ * @returns {Array<{start: number, end: number}>}
+ */
+function getIntervals(calendar, localDate) {
+  if (calendar.holidays.includes(localDate.key)) return [];
+
+  return (calendar.weeklyHours[localDate.weekday] || [])
+    .map(interval => ({ start: parseTime(interval.start), end: Math.min(parseTime(interval.end), DAY_MINUTES) }))
+    .filter(interval => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Interval containing an instant, as absolute dates
+ * @returns {{start: Date, end: Date}|null}
+ */
+function findOpenInterval(calendar, date) {
+  const parts = getLocalParts(date, calendar.timezone);
+  const today = shiftDate(parts, 0);
+  const minutes = parts.hour * 60 + parts.minute;
+
+  const interval = getIntervals(calendar, today).find(i => minutes >= i.start && minutes < i.end);
+  if (!interval) return null;
+
+  return {
+    start: fromLocalTime(today.year, today.month, today.day, interval.start, calendar.timezone),
+    end: fromLocalTime(today.year, today.month, today.day, interval.end, calendar.timezone)
+  };
+}
+
+/**
+ * Whether the calendar is open at a given time
+ * @param {Object|null} calendar - Calendar or legacy window (null = always open)
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+function isOpen(calendar, date = new Date()) {
+  const normalized = normalizeCalendar(calendar);
+  if (!normalized) return true;
+
+  return findOpenInterval(normalized, date) !== null;
+}
+
+/**
+ * Next time the calendar is open, `from` itself when already open
+ * @param {Object|null} calendar - Calendar or legacy window
+ * @param {Date} [from]
+ * @returns {Date|null} null when the calendar never opens
+ */
+function getNextOpening(calendar, from = new Date()) {
+  const normalized = normalizeCalendar(calendar);
+  if (!normalized || findOpenInterval(normalized, from)) return new Date(from);
+
+  const parts = getLocalParts(from, normalized.timezone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const localDate = shiftDate(parts, offset);
+
+    for (const interval of getIntervals(normalized, localDate)) {
+      const opening = fromLocalTime(localDate.year, localDate.month, localDate.day, interval.start, normalized.timezone);
+      if (opening > from) return opening;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Add minutes counting only open time
+ * @param {Object|null} calendar - Calendar or legacy window (null = wall clock)
+ * @param {Date} start
+ * @param {number} minutes
+ * @returns {Date}
+ */
+function addBusinessMinutes(calendar, start, minutes) {
+  const normalized = normalizeCalendar(calendar);
+  const wallClock = new Date(start.getTime() + minutes * MINUTE_MS);
+  if (!normalized) return wallClock;
+
+  let remainingMs = minutes * MINUTE_MS;
+  let cursor = getNextOpening(normalized, start);
+
+  while (cursor) {
+    const interval = findOpenInterval(normalized, cursor);
+    const availableMs = interval.end.getTime() - cursor.getTime();
+
+    if (remainingMs <= availableMs) {
+      return new Date(cursor.getTime() + remainingMs);
+    }
+
+    remainingMs -= availableMs;
+    cursor = getNextOpening(normalized, interval.end);
+  }
+
+  // Calendar without any open hours: fall back to wall-clock time
+  return wallClock;
+}
+
+/**
+ * Open intervals of a local date, as absolute dates
+ * @param {Object|null} calendar - Calendar or legacy window (null = open all day)
+ * @param {string} dateKey - Local date "YYYY-MM-DD"
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+function getDayIntervals(calendar, dateKey) {
+  const normalized = normalizeCalendar(calendar);
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const localDate = shiftDate({ year, month, day }, 0);
+  const timezone = normalized ? normalized.timezone : null;
+  const intervals = normalized
+    ? getIntervals(normalized, localDate)
+    : [{ start: 0, end: DAY_MINUTES }];
+
+  return intervals.map(interval => ({
+    start: fromLocalTime(localDate.year, localDate.month, localDate.day, interval.start, timezone),
+    end: fromLocalTime(localDate.year, localDate.month, localDate.day, interval.end, timezone)
+  }));
+}
+
+module.exports = {
+  normalizeCalendar,
+  isOpen,
+  getNextOpening,
+  addBusinessMinutes,
+  getDayIntervals,
+  getLocalParts,
+  fromLocalTime
+};
@@ -1,8 +1,8 @@
 /**
  * Credential Sanitizer Utility
  *
- * Masks sensitive credential fields (password, nocodb_token) in database connection objects
- * before returning them in API responses.
+ * Masks sensitive credential fields (password, nocodb_token, supabase_key) in database connection
+ * objects before returning them in API responses.
  *
  * This ensures that sensitive data is never exposed in network traffic or logs.
  *
@@ -20,7 +20,7 @@ const MASK = '********';
  * @example
  * const conn = { name: 'MyDB', password: 'secret123', nocodb_token: 'token456' };
  * sanitizeConnection(conn);
- * // Returns: { name: 'MyDB', password: '********', nocodb_token: '********' }
+ * // Returns: { name: 'MyDB', password: '********', nocodb_token: '********', supabase_key: null }
  */
 function sanitizeConnection(connection) {
   if (!connection) {
@@ -31,6 +31,7 @@ function sanitizeConnection(connection) {
     ...connection,
     password: connection.password ? MASK : null,
     nocodb_token: connection.nocodb_token ? MASK : null,
+    supabase_key: connection.supabase_key ? MASK : null,
   };
 }
 
@@ -25,7 +25,9 @@ class EnvironmentValidator {
     // Variáveis sensíveis que não devem ser logadas
     this.sensitiveVars = [
       'SESSION_SECRET',
-      'VITE_ADMIN_TOKEN'
+      'VITE_ADMIN_TOKEN',
+      'CREDENTIAL_VAULT_MASTER_KEY',
+      'CREDENTIAL_VAULT_PREVIOUS_MASTER_KEYS'
     ];
   }
 
@@ -72,6 +74,12 @@ class EnvironmentValidator {
       if (process.env.SESSION_SECRET && process.env.SESSION_SECRET.length < 32) {
         warnings.push('SESSION_SECRET should be at least 32 characters for better security');
       }
+      // Cofre de credenciais: sem chave mestra os segredos armazenados não podem ser lidos
+      if (!process.env.CREDENTIAL_VAULT_MASTER_KEY) {
+        errors.push('CREDENTIAL_VAULT_MASTER_KEY is required in production environment');
+      } else if (Buffer.from(process.env.CREDENTIAL_VAULT_MASTER_KEY, 'base64').length !== 32) {
+        errors.push('CREDENTIAL_VAULT_MASTER_KEY must be 32 bytes encoded in base64');
+      }
     }
 
     return {
@@ -0,0 +1,528 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ *
+ * Writes the VCALENDAR feeds of the CRM calendar and reads the events of
+ * imported calendars. Reading covers what busy-time import needs:
+ * DTSTART/DTEND/DURATION as UTC, TZID, floating or all-day values, TRANSP,
+ * STATUS, RECURRENCE-ID overrides, EXDATE and RRULE with FREQ
+ * (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, weekly BYDAY and
+ * monthly ordinal BYDAY (2TU, -1FR). Rules using other BY* parts only yield
+ * their first occurrence. The same expansion drives recurring appointments
+ * (AppointmentSeriesService).
+ *
+ * Event shape (write):
+ *   { uid, start: Date, end: Date, summary, description, status: 'CONFIRMED',
+ *     lastModified: Date, rrule: 'FREQ=WEEKLY;COUNT=10', exdates: [Date], recurrenceId: Date,
+ *     timezone: 'America/Sao_Paulo' }
+ * With a timezone, DTSTART/DTEND/EXDATE/RECURRENCE-ID are written as local
+ * times with an IANA TZID (no VTIMEZONE), so rules follow the wall clock.
+ *
+ * Event shape (read):
+ *   { uid, summary, start, end, allDay, timezone, transparent, cancelled,
+ *     rrule: { freq, interval, count, until, byDay, byNthDay, supported } | null,
+ *     exdates: [ms], recurrenceId: ms | null }
+ */
+
+const { getLocalParts, fromLocalTime } = require('./businessHours');
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety net for rules without COUNT/UNTIL far from the requested range
+const MAX_RULE_ITERATIONS = 5000;
+
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const SUPPORTED_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'];
+
+// ==================== WRITING ====================
+
+/**
+ * Escape a TEXT value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * UTC DATE-TIME value (20260105T123000Z)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Local DATE-TIME value in a timezone (20260105T093000), written after a TZID parameter
+ * @param {Date|string} date
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function formatLocalDateTime(date, timezone) {
+  const p = getLocalParts(new Date(date), timezone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array} options.events - Events (see write shape)
+ * @param {Date} [options.now] - DTSTAMP of events without lastModified
+ * @returns {string}
+ */
+function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//WUZAPI Manager//Agenda//PT-BR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT15M',
+    'X-PUBLISHED-TTL:PT15M'
+  ];
+
+  for (const event of events) {
+    const dateTimes = (property, dates) => (event.timezone
+      ? `${property};TZID=${event.timezone}:${dates.map(date => formatLocalDateTime(date, event.timezone)).join(',')}`
+      : `${property}:${dates.map(formatDateTime).join(',')}`);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(event.lastModified || now)}`
+    );
+    if (event.recurrenceId) lines.push(dateTimes('RECURRENCE-ID', [event.recurrenceId]));
+    lines.push(dateTimes('DTSTART', [event.start]), dateTimes('DTEND', [event.end]));
+    if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+    if (event.exdates?.length) lines.push(dateTimes('EXDATE', event.exdates));
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+// ==================== READING ====================
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+function parseLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const eq = param.indexOf('=');
+    if (eq > 0) {
+      params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/"/g, '');
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @param {string} defaultTimezone - Timezone of floating times and dates
+ * @returns {{date: Date, allDay: boolean, timezone: string}|null}
+ */
+function parseDateValue(value, params, defaultTimezone) {
+  const trimmed = value.trim();
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(trimmed) ||
+    /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(trimmed);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  if (hour === undefined) {
+    return {
+      date: fromLocalTime(Number(year), Number(month), Number(day), 0, defaultTimezone),
+      allDay: true,
+      timezone: defaultTimezone
+    };
+  }
+
+  if (utc) {
+    return {
+      date: new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second))),
+      allDay: false,
+      timezone: 'UTC'
+    };
+  }
+
+  // Unknown TZIDs (e.g. Windows names from Outlook) fall back to the default
+  const timezone = isValidTimezone(params.TZID) ? params.TZID : defaultTimezone;
+  const local = fromLocalTime(Number(year), Number(month), Number(day), Number(hour) * 60 + Number(minute), timezone);
+  return {
+    date: new Date(local.getTime() + Number(second) * 1000),
+    allDay: false,
+    timezone
+  };
+}
+
+/**
+ * Parse a DURATION value into milliseconds
+ * @param {string} value - e.g. PT1H30M, P1D, -PT15M
+ * @returns {number|null}
+ */
+function parseDuration(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed.includes('P')) return null;
+
+  const units = { W: 7 * DAY_MS, D: DAY_MS, H: 60 * 60 * 1000, M: 60 * 1000, S: 1000 };
+  let total = 0;
+  for (const [, amount, unit] of trimmed.matchAll(/(\d+)([WDHMS])/g)) {
+    total += Number(amount) * units[unit];
+  }
+  return trimmed.startsWith('-') ? -total : total;
+}
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - e.g. FREQ=MONTHLY;BYDAY=-1FR;COUNT=6
+ * @param {string} [defaultTimezone='UTC'] - Timezone of a floating UNTIL
+ * @returns {{freq: string, interval: number, count: number|null, until: Date|null, byDay: number[]|null,
+ *   byNthDay: Array<{ordinal: number, weekday: number}>|null, supported: boolean}}
+ */
+function parseRule(value, defaultTimezone = 'UTC') {
+  const parts = {};
+  for (const part of value.split(';')) {
+    const [key, partValue] = part.split('=');
+    if (key && partValue !== undefined) parts[key.toUpperCase()] = partValue.toUpperCase();
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseDateValue(parts.UNTIL, {}, defaultTimezone)?.date || null : null,
+    byDay: null,
+    byNthDay: null,
+    supported: SUPPORTED_FREQS.includes(parts.FREQ) &&
+      Object.keys(parts).every(key => SUPPORTED_RULE_PARTS.includes(key))
+  };
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(day => /^([+-]?[1-5]|)(SU|MO|TU|WE|TH|FR|SA)$/.exec(day));
+
+    if (rule.freq === 'WEEKLY' && days.every(day => day && !day[1])) {
+      rule.byDay = days.map(day => WEEKDAYS[day[2]]);
+    } else if (rule.freq === 'MONTHLY' && days.every(day => day && day[1])) {
+      rule.byNthDay = days.map(day => ({ ordinal: Number(day[1]), weekday: WEEKDAYS[day[2]] }));
+    } else {
+      // Plain weekdays in monthly rules and BYDAY in daily or yearly rules are not expanded
+      rule.supported = false;
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Read the events of a VCALENDAR document
+ * @param {string} text - ICS content
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - Timezone of floating times and all-day dates
+ * @returns {Array} Events (see read shape)
+ */
+function parseCalendar(text, { timezone = 'UTC' } = {}) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (!property) continue;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exdates: [] };
+      } else if (current) {
+        // VALARM and other components nested in the event
+        nestedDepth++;
+      }
+      continue;
+    }
+
+    if (name === 'END' && current) {
+      if (nestedDepth > 0) {
+        nestedDepth--;
+      } else if (value.toUpperCase() === 'VEVENT') {
+        const event = buildEvent(current, timezone);
+        if (event) events.push(event);
+        current = null;
+      }
+      continue;
+    }
+
+    if (!current || nestedDepth > 0) continue;
+
+    if (name === 'EXDATE') {
+      for (const exdate of value.split(',')) {
+        const parsed = parseDateValue(exdate, params, timezone);
+        if (parsed) current.exdates.push(parsed.date.getTime());
+      }
+    } else {
+      current[name] = { params, value };
+    }
+  }
+
+  return events;
+}
+
+function buildEvent(raw, defaultTimezone) {
+  if (!raw.DTSTART) return null;
+  const start = parseDateValue(raw.DTSTART.value, raw.DTSTART.params, defaultTimezone);
+  if (!start) return null;
+
+  let end = raw.DTEND ? parseDateValue(raw.DTEND.value, raw.DTEND.params, defaultTimezone)?.date : null;
+  if (!end && raw.DURATION) {
+    const duration = parseDuration(raw.DURATION.value);
+    if (duration !== null) end = new Date(start.date.getTime() + duration);
+  }
+  if (!end) {
+    end = start.allDay ? new Date(start.date.getTime() + DAY_MS) : start.date;
+  }
+
+  const recurrenceId = raw['RECURRENCE-ID']
+    ? parseDateValue(raw['RECURRENCE-ID'].value, raw['RECURRENCE-ID'].params, defaultTimezone)
+    : null;
+
+  return {
+    uid: raw.UID?.value || null,
+    summary: raw.SUMMARY ? unescapeText(raw.SUMMARY.value) : '',
+    start: start.date,
+    end,
+    allDay: start.allDay,
+    timezone: start.timezone,
+    transparent: raw.TRANSP?.value.toUpperCase() === 'TRANSPARENT',
+    cancelled: raw.STATUS?.value.toUpperCase() === 'CANCELLED',
+    rrule: raw.RRULE ? parseRule(raw.RRULE.value, defaultTimezone) : null,
+    exdates: raw.exdates,
+    recurrenceId: recurrenceId ? recurrenceId.date.getTime() : null
+  };
+}
+
+// ==================== EXPANSION ====================
+
+/**
+ * Local calendar date `offset` days after a date
+ */
+function addDays(parts, offset) {
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offset));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+/**
+ * Local date with the same day number `months` months later (null when it does not exist)
+ */
+function addMonths(parts, months) {
+  const monthIndex = parts.month - 1 + months;
+  const date = new Date(Date.UTC(parts.year, monthIndex, parts.day));
+  if (date.getUTCDate() !== parts.day) return null;
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: parts.day };
+}
+
+/**
+ * Local dates of the ordinal weekdays (2TU, -1FR) of a month, in date order
+ */
+function nthWeekdays(year, month, byNthDay) {
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const lastWeekday = new Date(Date.UTC(year, month - 1, daysInMonth)).getUTCDay();
+
+  const days = byNthDay.map(({ ordinal, weekday }) => (ordinal > 0
+    ? 1 + ((weekday - firstWeekday + 7) % 7) + (ordinal - 1) * 7
+    : daysInMonth - ((lastWeekday - weekday + 7) % 7) + (ordinal + 1) * 7));
+
+  // A 5th weekday is missing in most months
+  return [...new Set(days)]
+    .filter(day => day >= 1 && day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .map(day => ({ year, month, day }));
+}
+
+/**
+ * Start instants of a recurring event up to rangeEnd (first occurrence only for unsupported rules)
+ * @param {Object} event - { start: Date, timezone, rrule } with a parsed rrule
+ * @param {Date} rangeEnd
+ * @returns {Date[]}
+ */
+function expandRule(event, rangeEnd) {
+  const rule = event.rrule;
+  if (!rule.supported) return [event.start];
+
+  const local = getLocalParts(event.start, event.timezone);
+  const minutes = local.hour * 60 + local.minute;
+  const limit = rule.until && rule.until < rangeEnd ? rule.until : rangeEnd;
+  const occurrences = [];
+
+  const candidateDates = function* () {
+    if (rule.freq === 'DAILY') {
+      for (let i = 0; ; i += rule.interval) yield addDays(local, i);
+    } else if (rule.freq === 'WEEKLY') {
+      // Weeks start on Monday (default WKST)
+      const startWeekday = (addDays(local, 0).weekday + 6) % 7;
+      const days = (rule.byDay || [addDays(local, 0).weekday]).map(day => (day + 6) % 7).sort((a, b) => a - b);
+      for (let week = 0; ; week += rule.interval) {
+        for (const day of days) {
+          const offset = week * 7 + day - startWeekday;
+          if (offset >= 0) yield addDays(local, offset);
+        }
+      }
+    } else if (rule.byNthDay) {
+      for (let i = 0; ; i += rule.interval) {
+        const month = new Date(Date.UTC(local.year, local.month - 1 + i, 1));
+        for (const date of nthWeekdays(month.getUTCFullYear(), month.getUTCMonth() + 1, rule.byNthDay)) {
+          // Days before DTSTART in its own month are not occurrences
+          if (i > 0 || date.day >= local.day) yield date;
+        }
+        // Months without a matching day still count towards the iteration limit
+        yield null;
+      }
+    } else {
+      // Months without the start day (e.g. the 31st) are skipped
+      const monthStep = rule.freq === 'YEARLY' ? 12 : 1;
+      for (let i = 0; ; i += rule.interval * monthStep) yield addMonths(local, i);
+    }
+  };
+
+  let iterations = 0;
+  for (const date of candidateDates()) {
+    if (++iterations > MAX_RULE_ITERATIONS) break;
+    if (!date) continue;
+
+    const occurrence = fromLocalTime(date.year, date.month, date.day, minutes, event.timezone);
+    if (occurrence > limit) break;
+    occurrences.push(occurrence);
+    if (rule.count && occurrences.length >= rule.count) break;
+  }
+
+  return occurrences;
+}
+
+/**
+ * Busy intervals of parsed events inside a range
+ *
+ * Applies EXDATE and RECURRENCE-ID overrides and leaves out free
+ * (TRANSP:TRANSPARENT) and cancelled events.
+ *
+ * @param {Array} events - Result of parseCalendar
+ * @param {Date} rangeStart
+ * @param {Date} rangeEnd
+ * @returns {{busy: Array<{uid: string, start: Date, end: Date}>, unsupportedRules: number}}
+ */
+function getBusyIntervals(events, rangeStart, rangeEnd) {
+  const overridden = new Set(
+    events.filter(event => event.recurrenceId !== null).map(event => `${event.uid}|${event.recurrenceId}`)
+  );
+  const busy = [];
+  let unsupportedRules = 0;
+
+  const add = (event, start, end) => {
+    if (event.cancelled || event.transparent) return;
+    if (start < rangeEnd && end > rangeStart) busy.push({ uid: event.uid, start, end });
+  };
+
+  for (const event of events) {
+    const duration = event.end.getTime() - event.start.getTime();
+
+    if (event.recurrenceId !== null || !event.rrule) {
+      add(event, event.start, event.end);
+      continue;
+    }
+
+    if (!event.rrule.supported) unsupportedRules++;
+
+    for (const start of expandRule(event, rangeEnd)) {
+      const time = start.getTime();
+      if (event.exdates.includes(time) || overridden.has(`${event.uid}|${time}`)) continue;
+      add(event, start, new Date(time + duration));
+    }
+  }
+
+  busy.sort((a, b) => a.start - b.start);
+  return { busy, unsupportedRules };
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatLocalDateTime,
+  buildCalendar,
+  parseCalendar,
+  parseDuration,
+  parseRule,
+  expandRule,
+  getBusyIntervals
+};
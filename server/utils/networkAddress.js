@@ -0,0 +1,48 @@
+/**
+ * Network address helpers
+ *
+ * Guards outbound requests to URLs supplied by accounts (ICS calendar
+ * subscriptions, flow bot HTTP nodes) against hosts that resolve to
+ * loopback, private, link-local (cloud metadata) or otherwise non-public
+ * addresses.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224;
+  }
+
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) return isPrivateAddress(normalized.slice(7));
+  return normalized === '::' || normalized === '::1' ||
+    normalized.startsWith('fc') || normalized.startsWith('fd') || normalized.startsWith('fe80');
+}
+
+/**
+ * Whether a hostname resolves only to public addresses
+ * @param {string} hostname - URL hostname
+ * @returns {Promise<boolean>} false when it does not resolve or any address is not public
+ */
+async function isPublicHost(hostname) {
+  const addresses = await dns.lookup(hostname, { all: true }).catch(() => []);
+  return addresses.length > 0 && !addresses.some(({ address }) => isPrivateAddress(address));
+}
+
+module.exports = {
+  isPrivateAddress,
+  isPublicHost
+};
@@ -0,0 +1,228 @@
+/**
+ * Minimal PDF writer
+ *
+ * Renders plain text blocks to a printable A4 PDF using the standard
+ * Helvetica fonts, so transcripts and reports can be exported without a
+ * PDF dependency. Supports bold text, font sizes, line wrapping and page
+ * breaks; no images or tables.
+ *
+ * Text is written with WinAnsiEncoding: Latin-1 (accents, ç, ã...) and the
+ * common typographic characters are kept, anything else (emojis, CJK)
+ * becomes "?".
+ *
+ * Block shape:
+ *   { text: 'Hello', bold: false, size: 10, indent: 0, spaceBefore: 0, color: [0, 0, 0] }
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const DEFAULT_FONT_SIZE = 10;
+const LINE_HEIGHT = 1.4;
+
+// Average Helvetica glyph width as a fraction of the font size (slightly
+// generous so wrapped lines never run past the right margin)
+const AVERAGE_CHAR_WIDTH = 0.54;
+
+// WinAnsiEncoding code points for characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97
+};
+
+/**
+ * Encode text as an escaped PDF string literal body (ASCII only)
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeText(text) {
+  let encoded = '';
+
+  for (const char of String(text)) {
+    let code = char.codePointAt(0);
+
+    if (WIN_ANSI_EXTRAS[char]) {
+      code = WIN_ANSI_EXTRAS[char];
+    } else if (code > 0xFF || (code < 0x20 && char !== '\t') || (code >= 0x7F && code < 0xA0)) {
+      code = 0x3F; // '?'
+    }
+
+    if (char === '\t') {
+      encoded += '    ';
+    } else if (code === 0x28 || code === 0x29 || code === 0x5C) {
+      encoded += `\\${String.fromCharCode(code)}`;
+    } else if (code >= 0x80) {
+      encoded += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      encoded += String.fromCharCode(code);
+    }
+  }
+
+  return encoded;
+}
+
+/**
+ * Split text into lines that fit the given number of characters
+ * Long words are hard-broken; explicit newlines are kept
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function wrapText(text, maxChars) {
+  const lines = [];
+
+  for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+    let line = '';
+
+    for (const word of paragraph.split(' ')) {
+      let rest = word;
+
+      while ([...rest].length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        const chars = [...rest];
+        lines.push(chars.slice(0, maxChars).join(''));
+        rest = chars.slice(maxChars).join('');
+      }
+
+      const candidate = line ? `${line} ${rest}` : rest;
+      if ([...candidate].length > maxChars) {
+        lines.push(line);
+        line = rest;
+      } else {
+        line = candidate;
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Lay blocks out into pages of positioned lines
+ * @param {Array<Object>} blocks
+ * @returns {Array<Array<Object>>} pages -> [{ text, x, y, size, bold, color }]
+ */
+function layout(blocks) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const block of blocks) {
+    const size = block.size || DEFAULT_FONT_SIZE;
+    const indent = block.indent || 0;
+    const leading = size * LINE_HEIGHT;
+    const maxChars = Math.max(1, Math.floor((PAGE_WIDTH - 2 * MARGIN - indent) / (size * AVERAGE_CHAR_WIDTH)));
+
+    y -= block.spaceBefore || 0;
+
+    for (const text of wrapText(block.text, maxChars)) {
+      if (y - leading < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+      pages[pages.length - 1].push({
+        text,
+        x: MARGIN + indent,
+        y,
+        size,
+        bold: !!block.bold,
+        color: block.color || null
+      });
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Build the content stream of one page, with a page number footer
+ * @param {Array<Object>} lines
+ * @param {number} pageNumber
+ * @param {number} pageCount
+ * @returns {string}
+ */
+function pageContent(lines, pageNumber, pageCount) {
+  const ops = [];
+
+  for (const line of lines) {
+    if (!line.text) continue;
+    const color = line.color ? line.color.map(c => (c / 255).toFixed(3)).join(' ') : '0 0 0';
+    ops.push(
+      `BT ${color} rg /${line.bold ? 'F2' : 'F1'} ${line.size} Tf ` +
+      `${line.x.toFixed(2)} ${line.y.toFixed(2)} Td (${encodeText(line.text)}) Tj ET`
+    );
+  }
+
+  ops.push(
+    `BT 0.5 0.5 0.5 rg /F1 8 Tf ${(PAGE_WIDTH - MARGIN - 40).toFixed(2)} ${(MARGIN / 2).toFixed(2)} Td ` +
+    `(${pageNumber} / ${pageCount}) Tj ET`
+  );
+
+  return ops.join('\n');
+}
+
+/**
+ * Render text blocks to a PDF document
+ * @param {Array<Object>} blocks - Text blocks (see module header)
+ * @param {Object} [info]
+ * @param {string} [info.title] - Document title metadata
+ * @returns {Buffer} PDF bytes
+ */
+function createPdf(blocks, info = {}) {
+  const pages = layout(blocks);
+  const objects = [];
+
+  // 1: catalog, 2: page tree, 3-4: fonts, 5: info, then content + page per page
+  const pageIds = pages.map((_, i) => 7 + i * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = `<< /Title (${encodeText(info.title || '')}) /Producer (WUZAPI Manager) >>`;
+
+  pages.forEach((lines, i) => {
+    const contentId = 6 + i * 2;
+    const content = pageContent(lines, i + 1, pages.length);
+
+    objects[contentId] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+    objects[contentId + 1] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  createPdf,
+  wrapText,
+  encodeText
+};
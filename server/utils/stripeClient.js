@@ -7,7 +7,7 @@
  * Best Practices Applied:
  * - Singleton pattern for efficient resource usage
  * - Lazy initialization to avoid startup delays
- * - Proper key encryption for security
+ * - Keys encrypted by the credential vault (CredentialVaultService)
  * - Cache invalidation on settings change
  * 
  * Requirements: 1.2, 1.3
@@ -17,6 +17,7 @@ const Stripe = require('stripe');
 const crypto = require('crypto');
 const { logger } = require('./logger');
 const SupabaseService = require('../services/SupabaseService');
+const CredentialVaultService = require('../services/CredentialVaultService');
 
 let stripeInstance = null;
 let cachedSecretKey = null;
@@ -24,8 +25,6 @@ let cachedSecretKey = null;
 // Encryption configuration
 const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
 const ENCRYPTION_KEY = process.env.STRIPE_ENCRYPTION_KEY || process.env.SESSION_SECRET || 'default-key-change-in-production-32ch';
-const IV_LENGTH = 16;
-const AUTH_TAG_LENGTH = 16;
 
 /**
  * Derive a 32-byte key from the encryption key
@@ -36,7 +35,7 @@ function deriveKey() {
 }
 
 /**
- * Decrypt a value using AES-256-GCM
+ * Decrypt a value stored before the credential vault (AES-256-GCM)
  * @param {string} encryptedValue - The encrypted value (format: enc:iv:authTag:ciphertext)
  * @returns {string} Decrypted value
  */
@@ -86,32 +85,23 @@ function decrypt(encryptedValue) {
 }
 
 /**
- * Encrypt a value using AES-256-GCM
- * Best Practice: Use authenticated encryption for API keys
- * @param {string} value - The value to encrypt
- * @returns {string} Encrypted value (format: enc:iv:authTag:ciphertext)
+ * Read and decrypt a Stripe secret from global_settings
+ * @param {string} settingKey - global_settings key
+ * @returns {Promise<string|null>} The secret or null
  */
-function encrypt(value) {
-  if (!value) return null;
-  
-  try {
-    const iv = crypto.randomBytes(IV_LENGTH);
-    const key = deriveKey();
-    
-    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
-    
-    let encrypted = cipher.update(value, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const authTag = cipher.getAuthTag();
-    
-    // Format: enc:iv:authTag:ciphertext
-    return `enc:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
-  } catch (error) {
-    logger.error('Failed to encrypt value', { error: error.message });
-    // Fallback to simple prefix (not secure, but maintains compatibility)
-    return `enc:${value}`;
+async function getStoredSecret(settingKey) {
+  const { data, error } = await SupabaseService.adminClient
+    .from('global_settings')
+    .select('value')
+    .eq('key', settingKey)
+    .single();
+
+  if (error || !data) {
+    return null;
   }
+
+  const encryptedKey = data.value?.key || data.value;
+  return CredentialVaultService.decrypt(encryptedKey, decrypt);
 }
 
 /**
@@ -120,24 +110,26 @@ function encrypt(value) {
  */
 async function getSecretKey() {
   try {
-    const { data, error } = await SupabaseService.adminClient
-      .from('global_settings')
-      .select('value')
-      .eq('key', 'stripe_secret_key')
-      .single();
-
-    if (error || !data) {
-      return null;
-    }
-
-    const encryptedKey = data.value?.key || data.value;
-    return decrypt(encryptedKey);
+    return await getStoredSecret('stripe_secret_key');
   } catch (error) {
     logger.error('Failed to get Stripe secret key', { error: error.message });
     return null;
   }
 }
 
+/**
+ * Get Stripe webhook signing secret from global_settings
+ * @returns {Promise<string|null>} The webhook secret or null
+ */
+async function getWebhookSecret() {
+  try {
+    return await getStoredSecret('stripe_webhook_secret');
+  } catch (error) {
+    logger.error('Failed to get Stripe webhook secret', { error: error.message });
+    return null;
+  }
+}
+
 /**
  * Get or create Stripe instance
  * @param {string} [secretKey] - Optional secret key to use
@@ -210,7 +202,7 @@ module.exports = {
   createTemporaryClient,
   clearCache,
   maskSecretKey,
-  encrypt,
   decrypt,
   getSecretKey,
+  getWebhookSecret,
 };
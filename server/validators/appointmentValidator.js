@@ -14,7 +14,13 @@ const VALID_APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'completed', 'canc
 const VALID_PAYMENT_STATUSES = ['pending', 'paid', 'refunded'];
 
 // Tipos de recorrência válidos
-const VALID_RECURRING_TYPES = ['weekly', 'monthly'];
+const VALID_RECURRING_TYPES = ['daily', 'weekdays', 'weekly', 'monthly'];
+
+// O que fazer com ocorrências em conflito: pular a ocorrência ou recusar a série
+const VALID_CONFLICT_STRATEGIES = ['skip', 'fail'];
+
+// Limite de ocorrências (count) e de exceções de uma série
+const MAX_RECURRING_COUNT = 500;
 
 // Tipos de recorrência para slots bloqueados
 const VALID_BLOCKED_RECURRING_TYPES = ['daily', 'weekly'];
@@ -74,6 +80,10 @@ function validateAppointment(data) {
   if (data.serviceId && typeof data.serviceId !== 'string') {
     errors.push('ID do serviço deve ser uma string');
   }
+
+  if (data.agentId && typeof data.agentId !== 'string') {
+    errors.push('ID do agente deve ser uma string');
+  }
   
   if (data.description && data.description.length > 2000) {
     errors.push('Descrição não pode ter mais de 2000 caracteres');
@@ -96,6 +106,10 @@ function validateAppointment(data) {
       errors.push(...patternValidation.errors);
     }
   }
+
+  if (data.conflictStrategy !== undefined && !VALID_CONFLICT_STRATEGIES.includes(data.conflictStrategy)) {
+    errors.push(`Estratégia de conflito inválida. Valores permitidos: ${VALID_CONFLICT_STRATEGIES.join(', ')}`);
+  }
   
   return {
     valid: errors.length === 0,
@@ -151,6 +165,11 @@ function validateAppointmentUpdate(data) {
     }
   }
   
+  // Validar agente se fornecido (null remove o agente)
+  if (data.agentId !== undefined && data.agentId !== null && typeof data.agentId !== 'string') {
+    errors.push('ID do agente deve ser uma string');
+  }
+  
   // Validar status se fornecido
   if (data.status !== undefined) {
     if (!VALID_APPOINTMENT_STATUSES.includes(data.status)) {
@@ -232,6 +251,43 @@ function validateRecurringPattern(pattern) {
       errors.push('Intervalo deve ser um número entre 1 e 12');
     }
   }
+
+  // Validar dias da semana (recorrência semanal)
+  if (pattern.daysOfWeek !== undefined) {
+    if (pattern.type !== 'weekly') {
+      errors.push('Dias da semana só se aplicam à recorrência semanal');
+    } else if (!Array.isArray(pattern.daysOfWeek) || pattern.daysOfWeek.length === 0 ||
+      pattern.daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      errors.push('Dias devem ser números inteiros de 0 a 6 (domingo=0)');
+    }
+  }
+
+  // Validar semana do mês (ex: 2ª terça, -1 = última)
+  if (pattern.weekOfMonth !== undefined) {
+    if (pattern.type !== 'monthly') {
+      errors.push('Semana do mês só se aplica à recorrência mensal');
+    } else if (![1, 2, 3, 4, 5, -1].includes(pattern.weekOfMonth)) {
+      errors.push('Semana do mês deve ser 1 a 5 ou -1 (última)');
+    }
+  }
+
+  // Validar número de ocorrências
+  if (pattern.count !== undefined) {
+    if (!Number.isInteger(pattern.count) || pattern.count < 1 || pattern.count > MAX_RECURRING_COUNT) {
+      errors.push(`Número de ocorrências deve ser um inteiro entre 1 e ${MAX_RECURRING_COUNT}`);
+    } else if (pattern.endDate) {
+      errors.push('Informe o número de ocorrências ou a data de término, não ambos');
+    }
+  }
+
+  // Validar exceções (datas sem ocorrência)
+  if (pattern.exceptions !== undefined) {
+    if (!Array.isArray(pattern.exceptions) || pattern.exceptions.length > MAX_RECURRING_COUNT) {
+      errors.push(`Exceções devem ser uma lista de até ${MAX_RECURRING_COUNT} datas`);
+    } else if (pattern.exceptions.some(date => typeof date !== 'string' || isNaN(new Date(date).getTime()))) {
+      errors.push('Data de exceção inválida');
+    }
+  }
   
   // Validar data de término
   if (pattern.endDate) {
@@ -504,5 +560,6 @@ module.exports = {
   VALID_APPOINTMENT_STATUSES,
   VALID_PAYMENT_STATUSES,
   VALID_RECURRING_TYPES,
+  VALID_CONFLICT_STRATEGIES,
   VALID_BLOCKED_RECURRING_TYPES
 };
@@ -120,6 +120,14 @@ function validateCampaignCreation(data) {
     }
   }
   
+  // Validar teste A/B
+  if (data.abTest) {
+    const abTestValidation = validateAbTest(data.abTest);
+    if (!abTestValidation.valid) {
+      errors.push(...abTestValidation.errors);
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors
@@ -295,6 +303,7 @@ function validateFutureDate(scheduledAt, referenceDate = new Date()) {
  * @param {string} window.startTime - Hora de início (HH:mm)
  * @param {string} window.endTime - Hora de fim (HH:mm)
  * @param {number[]} window.days - Dias permitidos (0-6, domingo=0)
+ * @param {string} [window.inboxId] - Usa o horário de atendimento da caixa de entrada no lugar dos campos acima
  * @returns {Object} { valid: boolean, errors: string[] }
  */
 function validateSendingWindow(window) {
@@ -304,6 +313,14 @@ function validateSendingWindow(window) {
     return { valid: true, errors };
   }
   
+  // Janela pelo horário de atendimento da caixa de entrada
+  if (window.inboxId !== undefined) {
+    if (typeof window.inboxId !== 'string' || !/^[0-9a-f-]{36}$/i.test(window.inboxId)) {
+      errors.push('inboxId da janela de envio deve ser um UUID');
+    }
+    return { valid: errors.length === 0, errors };
+  }
+  
   // Validar startTime
   if (!window.startTime) {
     errors.push('startTime é obrigatório na janela de envio');
@@ -364,6 +381,82 @@ function validateSendingWindow(window) {
   };
 }
 
+/**
+ * Valida configuração de teste A/B
+ * @param {Object} abTest - Configuração do teste A/B
+ * @param {Object[]} abTest.variants - Variantes ({ id?, name?, content }), de 2 a 4
+ * @param {number} [abTest.testPercentage] - Percentual de contatos na fatia de teste (1-90)
+ * @param {string} [abTest.metric] - Métrica de decisão (delivery, read, reply)
+ * @param {number} [abTest.confidenceLevel] - Nível de confiança (0.8 a 0.99)
+ * @param {number} [abTest.minSamplePerVariant] - Amostra mínima por variante
+ * @param {number} [abTest.deadlineHours] - Prazo para decidir após o envio da fatia de teste
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+function validateAbTest(abTest) {
+  const errors = [];
+  
+  if (!abTest) {
+    return { valid: true, errors };
+  }
+  
+  if (typeof abTest !== 'object' || Array.isArray(abTest)) {
+    return { valid: false, errors: ['abTest deve ser um objeto'] };
+  }
+  
+  // Validar variantes
+  if (!Array.isArray(abTest.variants)) {
+    errors.push('abTest.variants deve ser um array');
+  } else if (abTest.variants.length < 2 || abTest.variants.length > 4) {
+    errors.push('O teste A/B deve ter entre 2 e 4 variantes');
+  } else {
+    abTest.variants.forEach((variant, index) => {
+      if (!variant || typeof variant.content !== 'string' || variant.content.trim().length === 0) {
+        errors.push(`Variante ${index + 1}: conteúdo é obrigatório`);
+      } else if (variant.content.length > 4096) {
+        errors.push(`Variante ${index + 1}: conteúdo não pode ter mais de 4096 caracteres`);
+      }
+      
+      if (variant?.id !== undefined && (typeof variant.id !== 'string' || !/^[\w-]{1,20}$/.test(variant.id))) {
+        errors.push(`Variante ${index + 1}: id deve ter até 20 caracteres alfanuméricos`);
+      }
+    });
+    
+    const ids = abTest.variants.map(variant => variant?.id).filter(Boolean);
+    if (new Set(ids).size !== ids.length) {
+      errors.push('As variantes não devem ter ids duplicados');
+    }
+  }
+  
+  if (abTest.testPercentage !== undefined &&
+      (typeof abTest.testPercentage !== 'number' || abTest.testPercentage < 1 || abTest.testPercentage > 90)) {
+    errors.push('abTest.testPercentage deve ser um número entre 1 e 90');
+  }
+  
+  if (abTest.metric !== undefined && !['delivery', 'read', 'reply'].includes(abTest.metric)) {
+    errors.push('abTest.metric deve ser "delivery", "read" ou "reply"');
+  }
+  
+  if (abTest.confidenceLevel !== undefined &&
+      (typeof abTest.confidenceLevel !== 'number' || abTest.confidenceLevel < 0.8 || abTest.confidenceLevel > 0.99)) {
+    errors.push('abTest.confidenceLevel deve ser um número entre 0.8 e 0.99');
+  }
+  
+  if (abTest.minSamplePerVariant !== undefined &&
+      (!Number.isInteger(abTest.minSamplePerVariant) || abTest.minSamplePerVariant < 1 || abTest.minSamplePerVariant > 10000)) {
+    errors.push('abTest.minSamplePerVariant deve ser um inteiro entre 1 e 10000');
+  }
+  
+  if (abTest.deadlineHours !== undefined &&
+      (typeof abTest.deadlineHours !== 'number' || abTest.deadlineHours <= 0 || abTest.deadlineHours > 720)) {
+    errors.push('abTest.deadlineHours deve ser um número entre 0 e 720');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
 /**
  * Valida atualização de configuração de campanha
  * @param {Object} updates - Campos a atualizar
@@ -456,6 +549,7 @@ module.exports = {
   validateCampaignId,
   validatePaginationParams,
   validateSendingWindow,
+  validateAbTest,
   validateFutureDate,
   validateCampaignConfigUpdate,
   isValidPhoneNumber,
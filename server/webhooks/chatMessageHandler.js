@@ -14,13 +14,21 @@ const { logger } = require('../utils/logger')
 const { toBoolean } = require('../utils/responseTransformer')
 const ChatService = require('../services/ChatService')
 const { mediaProcessorService } = require('../services/MediaProcessorService')
-const OutgoingWebhookService = require('../services/OutgoingWebhookService')
 const BotService = require('../services/BotService')
 const GroupNameResolver = require('../services/GroupNameResolver')
 const { resolveLidToPhone } = require('../utils/phoneUtils')
 const SupabaseService = require('../services/SupabaseService')
 const RealtimeService = require('../services/RealtimeService')
-const ExternalWebhookService = require('../services/ExternalWebhookService')
+const DomainEventBus = require('../services/DomainEventBus')
+const ConversationAssignmentService = require('../services/ConversationAssignmentService')
+const variationTracker = require('../services/VariationTracker')
+const SlaService = require('../services/SlaService')
+const BusinessHoursService = require('../services/BusinessHoursService')
+const CsatService = require('../services/CsatService')
+const AppointmentReminderService = require('../services/AppointmentReminderService')
+const CommunicationPreferenceService = require('../services/CommunicationPreferenceService')
+const KeywordCommandService = require('../services/KeywordCommandService')
+const { ProviderAdapterFactory } = require('../services/providers')
 
 /**
  * Convert timestamp to Brazil timezone (America/Sao_Paulo)
@@ -137,8 +145,8 @@ class ChatMessageHandler {
     this.chatService = new ChatService(SupabaseService)
     this.chatHandler = chatHandler // WebSocket handler for real-time updates
     this.presenceState = new Map() // contactJid -> { state, timestamp }
-    this.outgoingWebhookService = new OutgoingWebhookService()
     this.botService = new BotService()
+    this.assignmentService = new ConversationAssignmentService()
     this.groupNameResolver = new GroupNameResolver(logger) // Group name resolution service
     
     logger.info('ChatMessageHandler initialized with GroupNameResolver', {
@@ -633,45 +641,86 @@ class ChatMessageHandler {
       contactJid: contactJid?.substring(0, 10) + '...'
     })
 
-    // Send outgoing webhook event for message received/sent
-    // Use WUZAPI-compatible format so existing flows work seamlessly
-    try {
-      const eventType = messageDirection === 'incoming' ? 'message.received' : 'message.sent'
-      
-      // Build WUZAPI-compatible payload
-      const wuzapiPayload = {
-        type: 'Message',
-        event: data, // Original WUZAPI event data (Info, Message, etc.)
-        userID: userId,
-        instanceName: userId,
-        token: userId,
-        timestamp: toBrazilTimestamp(timestamp)
-      }
-      
-      // Send to internal outgoing webhooks (legacy)
-      await this.outgoingWebhookService.sendWebhookEvent(userId, eventType, wuzapiPayload)
-      
-      // Send to external webhooks (Chat API v1)
-      // Requirements: REQ-2.3 (chat-api-realtime-migration)
-      await ExternalWebhookService.sendEvent(userId, eventType, {
+    // Publish on the event bus: outgoing and external webhooks, websocket
+    // and automations (drip sequence and A/B test replies) consume it
+    // (services/DomainEventSubscribers.js)
+    const contact = { jid: contactJid, name: contactName }
+    await DomainEventBus.publish(
+      messageDirection === 'incoming' ? 'message.received' : 'message.sent',
+      { accountId: conversation.account_id, inboxId: conversation.inbox_id, userToken },
+      {
         conversationId: conversation.id,
-        message: message,
-        contact: {
-          jid: contactJid,
-          name: contactName
+        direction: messageDirection,
+        isGroup: isGroupMessage,
+        message,
+        contact: { ...contact, phone: isGroupMessage ? null : contactJid?.replace('@s.whatsapp.net', '') }
+      },
+      {
+        legacy: {
+          // WUZAPI-compatible format so existing flows work seamlessly
+          outgoing: {
+            type: 'Message',
+            event: data, // Original WUZAPI event data (Info, Message, etc.)
+            userID: userId,
+            instanceName: userId,
+            token: userId,
+            timestamp: toBrazilTimestamp(timestamp)
+          },
+          external: { conversationId: conversation.id, message, contact }
         }
-      })
-    } catch (webhookError) {
-      // Don't fail the message processing if webhook fails
-      logger.error('Failed to send outgoing webhook', { 
-        error: webhookError.message,
-        conversationId: conversation.id 
-      })
+      }
+    )
+
+    // Answers to a pending CSAT survey are stored as the rating/comment and
+    // do not open a new SLA cycle or trigger the away message
+    let isCsatAnswer = false
+    if (messageDirection === 'incoming' && !isGroupMessage) {
+      const csat = await CsatService.handleIncomingMessage(conversation, parsedMessage.content, userToken)
+      isCsatAnswer = csat.handled
+    }
+
+    // Replies to an appointment reminder (1 confirmar / 2 cancelar / 3 remarcar)
+    // update the appointment; reschedule requests stay open for the agents
+    let isReminderAnswer = false
+    if (messageDirection === 'incoming' && !isGroupMessage && !isCsatAnswer) {
+      const reminder = await AppointmentReminderService.handleIncomingMessage(conversation, parsedMessage.content)
+      isReminderAnswer = reminder.handled && reminder.action !== 'reschedule'
+    }
+
+    // Replies to a double opt-in confirmation (SIM / NÃO) record the consent
+    let isConsentAnswer = false
+    if (messageDirection === 'incoming' && !isGroupMessage && !isCsatAnswer && !isReminderAnswer) {
+      const consent = await CommunicationPreferenceService.handleIncomingMessage(conversation, parsedMessage.content, messageId)
+      isConsentAnswer = consent.handled
+    }
+
+    // Account keyword commands (SALDO, AGENDA, ...) are answered automatically
+    // and are not forwarded to the bot
+    let isKeywordCommand = false
+    if (messageDirection === 'incoming' && !isGroupMessage && !isCsatAnswer && !isReminderAnswer && !isConsentAnswer) {
+      const keyword = await KeywordCommandService.handleIncomingMessage(conversation, parsedMessage.content)
+      isKeywordCommand = keyword.handled
+    }
+
+    const isAutomatedAnswer = isCsatAnswer || isReminderAnswer || isConsentAnswer || isKeywordCommand
+
+    // Contact messages start the SLA cycle or the next response timer
+    if (messageDirection === 'incoming' && !isGroupMessage && !isAutomatedAnswer) {
+      await SlaService.recordIncomingMessage(conversation)
+    }
+
+    // Outside business hours: away message once per closed period (bots answer on their own)
+    if (messageDirection === 'incoming' && !isGroupMessage && !isAutomatedAnswer && !conversation.assigned_bot_id) {
+      const hours = await BusinessHoursService.handleIncomingMessage(conversation, userToken)
+      if (hours.awayMessage) {
+        await this.sendAwayMessage(userToken, conversation, hours.awayMessage)
+      }
     }
 
-    // Forward to assigned bot if this is an incoming message
+    // Forward to assigned bot if this is an incoming message not already
+    // answered above (CSAT, reminder, consent or keyword command)
     // Requirements: 1.3, 1.4, 1.5, 2.3, 2.4, 2.5, 2.6, 3.3, 3.4, 3.5, 7.1, 7.2, 7.3
-    if (messageDirection === 'incoming' && conversation.assigned_bot_id) {
+    if (messageDirection === 'incoming' && conversation.assigned_bot_id && !isAutomatedAnswer) {
       try {
         // Check bot call quota before forwarding
         const callQuotaCheck = await this.botService.checkBotCallQuota(userId)
@@ -727,24 +776,33 @@ class ChatMessageHandler {
         }
         
         // Handle bot response (e.g., send reply)
-        if (botResponse && botResponse.action === 'reply' && botResponse.content) {
-          // Check bot message quota before sending reply
-          const msgQuotaCheck = await this.botService.checkBotMessageQuota(userId)
-          
-          if (msgQuotaCheck.allowed) {
-            await this.handleBotReply(userId, conversation, botResponse)
+        // Flow bots may return several replies; each one counts against the message quota
+        const replyContents = botResponse?.replies || (botResponse?.content ? [botResponse.content] : [])
+        if (botResponse && (botResponse.action === 'reply' || botResponse.action === 'handoff')) {
+          for (const content of replyContents) {
+            // Check bot message quota before sending reply
+            const msgQuotaCheck = await this.botService.checkBotMessageQuota(userId)
+            
+            if (!msgQuotaCheck.allowed) {
+              logger.warn('Bot message quota exceeded, skipping reply', {
+                userId,
+                conversationId: conversation.id,
+                quotaType: msgQuotaCheck.quotaType,
+                usage: msgQuotaCheck.usage,
+                limit: msgQuotaCheck.limit
+              })
+              break
+            }
+
+            await this.handleBotReply(userId, conversation, { ...botResponse, content })
             // Increment bot message counter after successful reply
             await this.botService.incrementBotMessageUsage(userId)
-          } else {
-            logger.warn('Bot message quota exceeded, skipping reply', {
-              userId,
-              conversationId: conversation.id,
-              quotaType: msgQuotaCheck.quotaType,
-              usage: msgQuotaCheck.usage,
-              limit: msgQuotaCheck.limit
-            })
           }
         }
+
+        if (botResponse && botResponse.action === 'handoff') {
+          await this.handleBotHandoff(conversation, botResponse.reason)
+        }
         
         logger.info('Bot response received', {
           conversationId: conversation.id,
@@ -769,6 +827,66 @@ class ChatMessageHandler {
     }
   }
   
+  /**
+   * Send the inbox away message via WUZAPI
+   * @param {string} userToken - User token for WUZAPI
+   * @param {Object} conversation - Conversation object
+   * @param {string} content - Rendered away message
+   */
+  async sendAwayMessage(userToken, conversation, content) {
+    const axios = require('axios')
+    const wuzapiBaseUrl = process.env.WUZAPI_BASE_URL || 'https://wzapi.wasend.com.br'
+    const phone = conversation.contact_jid.replace('@s.whatsapp.net', '')
+
+    try {
+      if (await this.sendCloudApiText(userToken, phone, content)) {
+        logger.info('Away message sent', { conversationId: conversation.id, phone })
+        return
+      }
+
+      await axios.post(`${wuzapiBaseUrl}/chat/send/text`, {
+        Phone: phone,
+        Body: content
+      }, {
+        headers: {
+          'token': userToken,
+          'Content-Type': 'application/json'
+        },
+        timeout: 15000
+      })
+
+      logger.info('Away message sent', { conversationId: conversation.id, phone })
+    } catch (error) {
+      logger.error('Failed to send away message', {
+        error: error.message,
+        conversationId: conversation.id
+      })
+    }
+  }
+
+  /**
+   * Send a text through the adapter when the token belongs to a WhatsApp Cloud API inbox
+   * @param {string} userToken - Inbox token
+   * @param {string} phone - Recipient phone
+   * @param {string} content - Text
+   * @returns {Promise<boolean>} false when the inbox uses WUZAPI
+   */
+  async sendCloudApiText(userToken, phone, content) {
+    const { data: inbox } = await SupabaseService.queryAsAdmin('inboxes', (query) =>
+      query.select('id, provider_type, provider_config').eq('wuzapi_token', userToken).single()
+    )
+
+    if (inbox?.provider_type !== 'whatsapp_cloud') {
+      return false
+    }
+
+    const result = await ProviderAdapterFactory.getAdapterForInbox(inbox).sendMessage(inbox, { to: phone, text: content })
+    if (!result.success) {
+      throw new Error(result.error)
+    }
+    return true
+  }
+
   /**
    * Handle bot reply by sending message via WUZAPI
    * @param {string} userToken - User token for WUZAPI
@@ -783,7 +901,10 @@ class ChatMessageHandler {
     const phone = conversation.contact_jid.replace('@s.whatsapp.net', '')
     
     try {
-      if (botResponse.messageType === 'text' || !botResponse.messageType) {
+      const isText = botResponse.messageType === 'text' || !botResponse.messageType
+      const sentByCloudApi = isText && await this.sendCloudApiText(userToken, phone, botResponse.content)
+
+      if (isText && !sentByCloudApi) {
         await axios.post(`${wuzapiBaseUrl}/chat/send/text`, {
           Phone: phone,
           Body: botResponse.content
@@ -811,6 +932,48 @@ class ChatMessageHandler {
     }
   }
 
+  /**
+   * Hand a conversation over from its bot to a human agent
+   * Removes the bot assignment and auto-assigns an agent when the inbox allows it
+   * @param {Object} conversation - Conversation object
+   * @param {string} reason - Handoff reason reported by the bot
+   */
+  async handleBotHandoff(conversation, reason) {
+    try {
+      await SupabaseService.queryAsAdmin('conversations', (query) =>
+        query.update({ assigned_bot_id: null, updated_at: new Date().toISOString() }).eq('id', conversation.id)
+      )
+
+      let agentId = null
+      if (conversation.inbox_id && !conversation.assigned_agent_id) {
+        agentId = await this.assignmentService.autoAssign(conversation.inbox_id, conversation.id)
+      }
+
+      const update = {
+        ...conversation,
+        assigned_bot_id: null,
+        assigned_agent_id: agentId || conversation.assigned_agent_id || null
+      }
+
+      if (this.chatHandler) {
+        this.chatHandler.broadcastConversationUpdate(update)
+      }
+      await RealtimeService.broadcastConversationUpdate(update)
+
+      logger.info('Bot handed off conversation', {
+        conversationId: conversation.id,
+        botId: conversation.assigned_bot_id,
+        agentId,
+        reason
+      })
+    } catch (error) {
+      logger.error('Failed to hand off conversation', {
+        error: error.message,
+        conversationId: conversation.id
+      })
+    }
+  }
+
   /**
    * Handle message edit protocol message
    * Requirements: 2.1, 2.2, 2.4 (unsupported-message-types)
@@ -961,6 +1124,11 @@ class ChatMessageHandler {
 
     // Update each message status
     for (const wuzapiMessageId of MessageIds) {
+      // Campaign messages feed variation stats and A/B test read rates
+      await variationTracker.recordMessageStatus(wuzapiMessageId, 'read').catch(error => {
+        logger.warn('Failed to record variation read receipt', { error: error.message })
+      })
+
       try {
         // Find message by WUZAPI message ID - need to join with conversations
         // First get conversations for this user
@@ -983,15 +1151,14 @@ class ChatMessageHandler {
           // Update message status
           await SupabaseService.update('chat_messages', message.id, { status: 'read' })
 
-          // Broadcast via WebSocket
-          if (this.chatHandler) {
-            this.chatHandler.broadcastMessageStatusUpdate(
-              message.conversation_id,
-              message.id,
-              'read',
-              Timestamp || timestamp
-            )
-          }
+          // Websocket and webhooks consume the event (services/DomainEventSubscribers.js)
+          await DomainEventBus.publish('message.status', { userToken }, {
+            conversationId: message.conversation_id,
+            messageId: message.id,
+            externalMessageId: wuzapiMessageId,
+            status: 'read',
+            timestamp: Timestamp || timestamp
+          })
         }
       } catch (error) {
         logger.error('Error updating read receipt', { wuzapiMessageId, error: error.message })
@@ -1093,6 +1260,11 @@ class ChatMessageHandler {
 
     const status = statusMap[Status] || Status
 
+    // Campaign messages feed variation stats and A/B test delivery/read rates
+    await variationTracker.recordMessageStatus(MessageId, status).catch(error => {
+      logger.warn('Failed to record variation status', { error: error.message })
+    })
+
     // Find and update message - need to join with conversations
     // First get conversations for this user
     const { data: statusConvData } = await SupabaseService.queryAsAdmin('conversations', (query) =>
@@ -1113,15 +1285,14 @@ class ChatMessageHandler {
       
       await SupabaseService.update('chat_messages', message.id, { status })
 
-      // Broadcast via WebSocket
-      if (this.chatHandler) {
-        this.chatHandler.broadcastMessageStatusUpdate(
-          message.conversation_id,
-          message.id,
-          status,
-          timestamp
-        )
-      }
+      // Websocket and webhooks consume the event (services/DomainEventSubscribers.js)
+      await DomainEventBus.publish('message.status', { userToken }, {
+        conversationId: message.conversation_id,
+        messageId: message.id,
+        externalMessageId: MessageId,
+        status,
+        timestamp
+      })
 
       logger.info('Message status updated', { messageId: message.id, status })
       return { handled: true, messageId: message.id, status }
@@ -2038,6 +2209,7 @@ class ChatMessageHandler {
       fileLength: mediaMsg.FileLength || mediaMsg.fileLength || null,
       fileEncSha256: mediaMsg.FileEncSHA256 || mediaMsg.fileEncSHA256 || null,
       directPath: mediaMsg.DirectPath || mediaMsg.directPath || null,
+      mediaId: mediaMsg.MediaId || mediaMsg.mediaId || null, // WhatsApp Cloud API media ID
       seconds: mediaMsg.Seconds || mediaMsg.seconds || null, // For audio/video duration
       ptt: mediaMsg.Ptt || mediaMsg.ptt || false, // Push-to-talk (voice message)
       // Additional fields that might be useful
@@ -2048,7 +2220,7 @@ class ChatMessageHandler {
 
     // Return metadata if we have at least some useful fields
     // WUZAPI might send different combinations depending on the media type
-    const hasUsefulData = metadata.url || metadata.mediaKey || metadata.directPath || metadata.jpegThumbnail
+    const hasUsefulData = metadata.url || metadata.mediaKey || metadata.directPath || metadata.mediaId || metadata.jpegThumbnail
     
     if (hasUsefulData) {
       logger.debug('Media metadata extracted', {
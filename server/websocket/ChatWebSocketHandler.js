@@ -469,6 +469,23 @@ class ChatWebSocketHandler {
     logger.debug('Broadcast conversation update', { conversationId: conversation.id })
   }
 
+  /**
+   * Broadcast an SLA event (about to breach, breached, escalated)
+   * Sent to the conversation room and to all clients so inbox lists and
+   * team leads see it without having the conversation open
+   * @param {'warning'|'breached'|'escalated'} type - SLA event type
+   * @param {Object} data - Event payload (conversationId, metric, dueAt, ...)
+   */
+  broadcastSlaEvent(type, data) {
+    const event = `sla_${type}`
+    const room = `conversation:${data.conversationId}`
+
+    this.io.of('/chat').to(room).emit(event, data)
+    this.io.of('/chat').emit(event, data)
+
+    logger.debug('Broadcast SLA event', { event, conversationId: data.conversationId, metric: data.metric })
+  }
+
   /**
    * Broadcast message update (edit/delete) to conversation room
    * Used for both message edits and deletions with proper parameter handling
@@ -520,6 +537,18 @@ class ChatWebSocketHandler {
     })
   }
 
+  /**
+   * Broadcast a domain event (services/DomainEventBus.js) to the conversation room
+   * @param {Object} event - Event envelope with data.conversationId
+   */
+  broadcastDomainEvent(event) {
+    const room = `conversation:${event.data.conversationId}`
+
+    this.io.of('/chat').to(room).emit('domain_event', event)
+
+    logger.debug('Broadcast domain event', { type: event.type, conversationId: event.data.conversationId })
+  }
+
   /**
    * Broadcast new conversation to all connected clients
    */
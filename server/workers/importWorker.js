@@ -2,12 +2,14 @@
  * Import Worker Module
  * 
  * Task 10.9: Worker for processing contact imports
- * Handles file parsing, validation, and batch insertion
+ * Handles file parsing, validation, and batch insertion, and the runs of
+ * CRM sync jobs (CrmSyncService)
  */
 
 const { logger } = require('../utils/logger');
 const { getRedisConfig, QUEUE_NAMES } = require('../queues/index');
 const { IMPORT_JOB_TYPES } = require('../queues/importQueue');
+const CrmSyncService = require('../services/CrmSyncService');
 
 /**
  * Batch size for processing
@@ -328,6 +330,10 @@ function createImportWorker(options = {}) {
             return insertBatch(job.data.contacts, job.data.tenantId, job.data.userId);
           case IMPORT_JOB_TYPES.FINALIZE_IMPORT:
             return { status: 'completed', ...job.data };
+          case IMPORT_JOB_TYPES.CRM_SYNC:
+            return CrmSyncService.executeRun(job.data.runId);
+          case IMPORT_JOB_TYPES.CRM_SYNC_DISPATCH:
+            return CrmSyncService.dispatchScheduledJobs();
           default:
             throw new Error(`Unknown job type: ${job.name}`);
         }
@@ -10,6 +10,8 @@ const { createCampaignWorker } = require('./campaignWorker');
 const { createImportWorker } = require('./importWorker');
 const { createReportWorker } = require('./reportWorker');
 const { createCRMWorker } = require('./crmWorker');
+const { createMaintenanceWorker } = require('./maintenanceWorker');
+const { createWebhookWorker } = require('./webhookWorker');
 
 /**
  * Active worker instances
@@ -19,6 +21,8 @@ const workers = {
   import: null,
   report: null,
   crm: null,
+  maintenance: null,
+  webhook: null,
 };
 
 /**
@@ -29,9 +33,12 @@ const workers = {
  * @param {boolean} options.import - Enable import worker
  * @param {boolean} options.report - Enable report worker
  * @param {boolean} options.crm - Enable CRM worker
+ * @param {boolean} options.maintenance - Enable maintenance worker (retention)
+ * @param {boolean} options.webhook - Enable webhook delivery worker
  * @param {number} options.campaignConcurrency - Campaign worker concurrency
  * @param {number} options.importConcurrency - Import worker concurrency
  * @param {number} options.reportConcurrency - Report worker concurrency
+ * @param {number} options.webhookConcurrency - Webhook worker concurrency
  * @returns {Object} Worker instances
  */
 function initializeWorkers(options = {}) {
@@ -40,12 +47,15 @@ function initializeWorkers(options = {}) {
     import: enableImport = true,
     report = true,
     crm = true,
+    maintenance = true,
+    webhook = true,
     campaignConcurrency = 5,
     importConcurrency = 2,
     reportConcurrency = 3,
+    webhookConcurrency = 10,
   } = options;
 
-  logger.info('Initializing workers', { campaign, import: enableImport, report, crm });
+  logger.info('Initializing workers', { campaign, import: enableImport, report, crm, maintenance, webhook });
 
   if (campaign && !workers.campaign) {
     workers.campaign = createCampaignWorker({ concurrency: campaignConcurrency });
@@ -64,6 +74,14 @@ function initializeWorkers(options = {}) {
     workers.crm.start();
   }
 
+  if (maintenance && !workers.maintenance) {
+    workers.maintenance = createMaintenanceWorker({ concurrency: 1 });
+  }
+
+  if (webhook && !workers.webhook) {
+    workers.webhook = createWebhookWorker({ concurrency: webhookConcurrency });
+  }
+
   const activeWorkers = Object.entries(workers)
     .filter(([, worker]) => worker !== null)
     .map(([name]) => name);
@@ -0,0 +1,89 @@
+/**
+ * Maintenance Worker Module
+ * 
+ * Worker for scheduled housekeeping jobs (retention policy enforcement,
+ * metered usage reports, dunning)
+ */
+
+const { logger } = require('../utils/logger');
+const { getRedisConfig, QUEUE_NAMES, isBullMQAvailable } = require('../queues/index');
+const { MAINTENANCE_JOB_TYPES } = require('../queues/maintenanceQueue');
+const RetentionPolicyService = require('../services/RetentionPolicyService');
+const MeteredBillingService = require('../services/MeteredBillingService');
+const DunningService = require('../services/DunningService');
+
+/**
+ * Run a maintenance job
+ * Shared by the BullMQ worker and the in-process fallback of
+ * queues/maintenanceQueue.js
+ * 
+ * @param {string} name - Job type (MAINTENANCE_JOB_TYPES)
+ * @returns {Promise<Object>} Job result
+ */
+async function processMaintenanceJob(name) {
+  switch (name) {
+    case MAINTENANCE_JOB_TYPES.RETENTION:
+      return RetentionPolicyService.runRetention({ now: new Date() });
+    case MAINTENANCE_JOB_TYPES.METERED_USAGE:
+      return MeteredBillingService.reportAllUsage({ now: new Date() });
+    case MAINTENANCE_JOB_TYPES.DUNNING:
+      return DunningService.processOpenCases({ now: new Date() });
+    default:
+      throw new Error(`Unknown job type: ${name}`);
+  }
+}
+
+/**
+ * Create the maintenance worker
+ * 
+ * @param {Object} options - Worker options
+ * @param {number} options.concurrency - Concurrent jobs
+ * @returns {Worker|null} Worker instance
+ */
+function createMaintenanceWorker(options = {}) {
+  if (!isBullMQAvailable()) {
+    logger.warn('BullMQ not available, maintenance worker not started');
+    return null;
+  }
+
+  try {
+    const { Worker } = require('bullmq');
+
+    const worker = new Worker(
+      QUEUE_NAMES.MAINTENANCE,
+      async (job) => processMaintenanceJob(job.name),
+      {
+        connection: getRedisConfig(),
+        concurrency: options.concurrency || 1,
+      }
+    );
+
+    worker.on('completed', (job, result) => {
+      logger.info('Maintenance job completed', { jobId: job.id, jobName: job.name, result });
+    });
+
+    worker.on('failed', (job, error) => {
+      logger.error('Maintenance job failed', {
+        jobId: job?.id,
+        jobName: job?.name,
+        error: error.message,
+      });
+    });
+
+    worker.on('error', (error) => {
+      logger.error('Maintenance worker error', { error: error.message });
+    });
+
+    logger.info('Maintenance worker started', { concurrency: options.concurrency || 1 });
+
+    return worker;
+  } catch (error) {
+    logger.error('Failed to create maintenance worker', { error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  createMaintenanceWorker,
+  processMaintenanceJob,
+};
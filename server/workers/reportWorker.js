@@ -8,6 +8,7 @@
 const { logger } = require('../utils/logger');
 const { getRedisConfig, QUEUE_NAMES } = require('../queues/index');
 const { REPORT_JOB_TYPES } = require('../queues/reportQueue');
+const ConversationExportService = require('../services/ConversationExportService');
 
 /**
  * Check if BullMQ is available
@@ -194,6 +195,37 @@ async function processMessagesExport(job) {
   }
 }
 
+/**
+ * Process a conversation transcript export job
+ * Renders the transcript and stores the file in S3
+ * 
+ * @param {Job} job - BullMQ job
+ * @returns {Promise<Object>} Export result
+ */
+async function processTranscriptExport(job) {
+  const { exportId, conversationId, format } = job.data;
+  
+  logger.info('Exporting conversation transcript', { exportId, conversationId, format });
+  
+  try {
+    await job.updateProgress(10);
+    
+    const result = await ConversationExportService.generateExportFile(
+      job.data,
+      (progress) => job.updateProgress(progress)
+    );
+    
+    await job.updateProgress(100);
+    
+    logger.info('Transcript export completed', result);
+    
+    return { ...result, path: result.key };
+  } catch (error) {
+    logger.error('Transcript export failed', { exportId, conversationId, error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Process a usage report job
  * 
@@ -354,6 +386,8 @@ function createReportWorker(options = {}) {
             return processContactsExport(job);
           case REPORT_JOB_TYPES.EXPORT_MESSAGES:
             return processMessagesExport(job);
+          case REPORT_JOB_TYPES.EXPORT_TRANSCRIPT:
+            return processTranscriptExport(job);
           case REPORT_JOB_TYPES.USAGE_REPORT:
             return processUsageReport(job);
           default:
@@ -402,5 +436,6 @@ module.exports = {
   processAnalyticsReport,
   processContactsExport,
   processMessagesExport,
+  processTranscriptExport,
   processUsageReport,
 };
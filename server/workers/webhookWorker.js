@@ -0,0 +1,98 @@
+/**
+ * Webhook Worker Module
+ * 
+ * Worker for outgoing and external webhook deliveries
+ * Busy endpoints and open circuits postpone the job without using an attempt;
+ * dead-lettered deliveries are not retried
+ */
+
+const { logger } = require('../utils/logger');
+const { getRedisConfig, QUEUE_NAMES, isBullMQAvailable } = require('../queues/index');
+const { WEBHOOK_JOB_TYPES } = require('../queues/webhookQueue');
+const WebhookDeliveryService = require('../services/WebhookDeliveryService');
+
+/**
+ * Process a webhook delivery job
+ * 
+ * @param {Job} job - BullMQ job
+ * @param {string} token - Lock token of the job
+ * @returns {Promise<Object>} Delivery result
+ */
+async function processWebhookDelivery(job, token) {
+  const { DelayedError, UnrecoverableError } = require('bullmq');
+
+  try {
+    return await WebhookDeliveryService.processDelivery(job.data, {
+      attempt: job.attemptsMade + 1,
+      maxAttempts: job.opts.attempts || 1,
+    });
+  } catch (error) {
+    if (error.message === 'ENDPOINT_BUSY' || error.code === 'CIRCUIT_OPEN') {
+      await job.moveToDelayed(Date.now() + error.retryAfterMs, token);
+      throw new DelayedError();
+    }
+    if (error.permanent) {
+      throw new UnrecoverableError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the webhook worker
+ * 
+ * @param {Object} options - Worker options
+ * @param {number} options.concurrency - Concurrent deliveries (all endpoints)
+ * @returns {Worker|null} Worker instance
+ */
+function createWebhookWorker(options = {}) {
+  if (!isBullMQAvailable()) {
+    logger.warn('BullMQ not available, webhook worker not started');
+    return null;
+  }
+
+  try {
+    const { Worker } = require('bullmq');
+
+    const worker = new Worker(
+      QUEUE_NAMES.WEBHOOK,
+      async (job, token) => {
+        switch (job.name) {
+          case WEBHOOK_JOB_TYPES.DELIVER:
+            return processWebhookDelivery(job, token);
+          default:
+            throw new Error(`Unknown job type: ${job.name}`);
+        }
+      },
+      {
+        connection: getRedisConfig(),
+        concurrency: options.concurrency || 10,
+      }
+    );
+
+    worker.on('failed', (job, error) => {
+      logger.warn('Webhook job failed', {
+        jobId: job?.id,
+        webhookId: job?.data?.webhookId,
+        error: error.message,
+        attempts: job?.attemptsMade,
+      });
+    });
+
+    worker.on('error', (error) => {
+      logger.error('Webhook worker error', { error: error.message });
+    });
+
+    logger.info('Webhook worker started', { concurrency: options.concurrency || 10 });
+
+    return worker;
+  } catch (error) {
+    logger.error('Failed to create webhook worker', { error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  createWebhookWorker,
+  processWebhookDelivery,
+};
@@ -51,12 +51,12 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
     } else if (formData.type === 'SUPABASE' && formData.supabase_url && formData.supabase_key && 
         (formData.supabase_table || formData.table_name)) {
       loadSupabaseColumns();
-    } else if (formData.type === 'POSTGRES' && formData.host && formData.table_name) {
-      // Para PostgreSQL, carregar colunas se tiver conexão configurada
-      loadPostgresColumns();
+    } else if ((formData.type === 'POSTGRES' || formData.type === 'MYSQL') && formData.host &&
+        formData.database && formData.table_name) {
+      loadSQLColumns();
     }
   }, [formData.host, formData.nocodb_token, formData.nocodb_table_id, formData.table_name, 
-      formData.supabase_url, formData.supabase_key, formData.supabase_table, formData.type]);
+      formData.supabase_url, formData.supabase_key, formData.supabase_table, formData.type, formData.database]);
 
   // Sincronizar com formData quando mudar externamente
   useEffect(() => {
@@ -190,13 +190,46 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
     }
   };
 
-  const loadPostgresColumns = async () => {
-    // Para PostgreSQL direto, precisaríamos de um endpoint específico
-    // Por enquanto, mostrar mensagem informativa
-    console.log('PostgreSQL column loading not yet implemented');
+  const loadSQLColumns = async () => {
+    if (!formData.host || !formData.database || !formData.username || !formData.table_name) return;
+    // Sem senha só é possível usar a senha salva da conexão
+    if (!formData.password && !formData.id) return;
+
+    setLoadingColumns(true);
+    try {
+      const columnsList = await databaseConnectionsService.getSQLColumnsWithCredentials(
+        {
+          type: formData.type as 'POSTGRES' | 'MYSQL',
+          host: formData.host,
+          port: formData.port,
+          database: formData.database,
+          username: formData.username,
+          password: formData.password || '',
+          connection_id: formData.id,
+        },
+        formData.table_name
+      );
+
+      // Converter para formato compatível com NocoDBColumn
+      const convertedColumns: NocoDBColumn[] = columnsList.map((col, index) => ({
+        id: `col_${index}`,
+        title: col.name,
+        column_name: col.name,
+        uidt: mapSupabaseTypeToNocoDB(col.dataType),
+        dt: col.dataType,
+      }));
+
+      setColumns(convertedColumns);
+      updateFieldMappingsFromColumns(convertedColumns);
+    } catch (error: any) {
+      console.error('Erro ao carregar colunas SQL:', error);
+      toast.error('Erro ao carregar colunas da tabela');
+    } finally {
+      setLoadingColumns(false);
+    }
   };
 
-  // Mapear tipos do Supabase para tipos do NocoDB (para ícones)
+  // Mapear tipos do Supabase/PostgreSQL/MySQL para tipos do NocoDB (para ícones)
   const mapSupabaseTypeToNocoDB = (dataType: string): string => {
     const typeMap: Record<string, string> = {
       'integer': 'Number',
@@ -219,6 +252,20 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
       'json': 'LongText',
       'jsonb': 'LongText',
       'ARRAY': 'MultiSelect',
+      // MySQL
+      'int': 'Number',
+      'tinyint': 'Checkbox',
+      'mediumint': 'Number',
+      'decimal': 'Decimal',
+      'float': 'Decimal',
+      'double': 'Decimal',
+      'char': 'SingleLineText',
+      'tinytext': 'SingleLineText',
+      'mediumtext': 'LongText',
+      'longtext': 'LongText',
+      'enum': 'SingleSelect',
+      'set': 'MultiSelect',
+      'datetime': 'DateTime',
     };
     return typeMap[dataType.toLowerCase()] || 'SingleLineText';
   };
@@ -524,7 +571,7 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
       </Card>
 
       {/* Seção 2: Vínculo de Dados (para NocoDB, Supabase e PostgreSQL) */}
-      {(formData.type === 'NOCODB' || formData.type === 'SUPABASE' || formData.type === 'POSTGRES') && (
+      {(formData.type === 'NOCODB' || formData.type === 'SUPABASE' || formData.type === 'POSTGRES' || formData.type === 'MYSQL') && (
         <Card>
           <CardHeader>
             <CardTitle className="flex items-center space-x-2">
@@ -548,13 +595,13 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
                     ? 'Configure a conexão NocoDB primeiro para carregar as colunas'
                     : formData.type === 'SUPABASE'
                     ? 'Selecione uma tabela na aba Conexão para carregar as colunas'
-                    : 'Configure a conexão PostgreSQL primeiro para carregar as colunas'
+                    : 'Configure a conexão e a tabela na aba Conexão para carregar as colunas'
                   }
                 </p>
                 <Button variant="outline" size="sm" onClick={() => {
                   if (formData.type === 'NOCODB') loadColumns();
                   else if (formData.type === 'SUPABASE') loadSupabaseColumns();
-                  else loadPostgresColumns();
+                  else loadSQLColumns();
                 }} className="mt-2">
                   <RefreshCw className="h-4 w-4 mr-2" />
                   Tentar Carregar
@@ -599,7 +646,7 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
       )}
 
       {/* Seção 3: Mapeador de Campos (para NocoDB, Supabase e PostgreSQL) */}
-      {(formData.type === 'NOCODB' || formData.type === 'SUPABASE' || formData.type === 'POSTGRES') && fieldMappings.length > 0 && (
+      {(formData.type === 'NOCODB' || formData.type === 'SUPABASE' || formData.type === 'POSTGRES' || formData.type === 'MYSQL') && fieldMappings.length > 0 && (
         <Card>
           <CardHeader>
             <CardTitle className="flex items-center space-x-2">
@@ -622,7 +669,7 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
                   onClick={() => {
                     if (formData.type === 'NOCODB') loadColumns();
                     else if (formData.type === 'SUPABASE') loadSupabaseColumns();
-                    else loadPostgresColumns();
+                    else loadSQLColumns();
                   }}
                   disabled={loadingColumns}
                 >
@@ -813,7 +860,7 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
       )}
 
       {/* Seção 4: Configuração de Visualizações (para NocoDB, Supabase e PostgreSQL) */}
-      {(formData.type === 'NOCODB' || formData.type === 'SUPABASE' || formData.type === 'POSTGRES') && columns.length > 0 && (
+      {(formData.type === 'NOCODB' || formData.type === 'SUPABASE' || formData.type === 'POSTGRES' || formData.type === 'MYSQL') && columns.length > 0 && (
         <ViewConfigurationSection
           viewConfig={viewConfig}
           columns={columns}
@@ -822,11 +869,11 @@ export function DatabaseAdvancedTab({ formData, onFormDataChange }: DatabaseAdva
       )}
 
       {/* Mensagem para outros tipos de banco */}
-      {formData.type !== 'NOCODB' && formData.type !== 'SUPABASE' && formData.type !== 'POSTGRES' && (
+      {formData.type !== 'NOCODB' && formData.type !== 'SUPABASE' && formData.type !== 'POSTGRES' && formData.type !== 'MYSQL' && (
         <Card>
           <CardContent className="pt-6">
             <p className="text-center text-muted-foreground">
-              As configurações avançadas de vínculo e mapeamento de campos estão disponíveis para conexões NocoDB, Supabase e PostgreSQL.
+              As configurações avançadas de vínculo e mapeamento de campos estão disponíveis para conexões NocoDB, Supabase, PostgreSQL e MySQL.
             </p>
           </CardContent>
         </Card>
@@ -6,7 +6,7 @@ import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
-import { DatabaseConnection, databaseConnectionsService, SupabaseTable, SupabaseColumn, SupabaseKeyType } from '@/services/database-connections';
+import { DatabaseConnection, databaseConnectionsService, SupabaseTable, SupabaseColumn, SupabaseKeyType, SQLCredentials, SQLTable } from '@/services/database-connections';
 import { DatabaseAdvancedTab } from './DatabaseAdvancedTab';
 import { Loader2, Database, ArrowLeft, Save, CheckCircle, XCircle, RefreshCw } from 'lucide-react';
 import { toast } from 'sonner';
@@ -45,6 +45,14 @@ export function DatabaseConnectionForm() {
   const [supabaseTestResult, setSupabaseTestResult] = useState<{ success: boolean; message: string } | null>(null);
   const [selectedSupabaseTable, setSelectedSupabaseTable] = useState<string>('');
 
+  // PostgreSQL/MySQL states
+  const [sqlTables, setSqlTables] = useState<SQLTable[]>([]);
+  const [sqlColumns, setSqlColumns] = useState<SupabaseColumn[]>([]);
+  const [loadingSqlTables, setLoadingSqlTables] = useState(false);
+  const [loadingSqlColumns, setLoadingSqlColumns] = useState(false);
+  const [testingSql, setTestingSql] = useState(false);
+  const [sqlTestResult, setSqlTestResult] = useState<{ success: boolean; message: string } | null>(null);
+
   const [formData, setFormData] = useState<Partial<DatabaseConnection>>({
     name: '',
     type: 'API',
@@ -202,7 +210,10 @@ export function DatabaseConnectionForm() {
     try {
       const connection = await databaseConnectionsService.getConnectionById(connectionId);
       if (connection) {
-        setFormData(connection);
+        setFormData({
+          ...connection,
+          database: connection.database || connection.database_name || '',
+        });
 
         if (connection.type === 'NOCODB') {
           const projectId = connection.nocodb_project_id || connection.database || '';
@@ -347,6 +358,12 @@ export function DatabaseConnectionForm() {
       setSelectedSupabaseTable('');
       setSupabaseTestResult(null);
     }
+
+    if (type !== 'POSTGRES' && type !== 'MYSQL') {
+      setSqlTables([]);
+      setSqlColumns([]);
+      setSqlTestResult(null);
+    }
   };
 
   const handleWorkspaceChange = (workspaceId: string) => {
@@ -483,6 +500,105 @@ export function DatabaseConnectionForm() {
     }
   };
 
+  // ============================================
+  // POSTGRESQL / MYSQL HANDLERS
+  // ============================================
+
+  const isSQLType = formData.type === 'POSTGRES' || formData.type === 'MYSQL';
+
+  // Na edição, senha vazia/mascarada usa a senha salva da conexão
+  const getSQLCredentials = (): SQLCredentials => ({
+    type: formData.type as SQLCredentials['type'],
+    host: formData.host || '',
+    port: formData.port,
+    database: formData.database || '',
+    username: formData.username || '',
+    password: formData.password || '',
+    connection_id: isEditing ? id : undefined,
+  });
+
+  const hasSQLCredentials = !!(formData.host && formData.database && formData.username && (formData.password || isEditing));
+
+  const handleTestSQLCredentials = async () => {
+    if (!hasSQLCredentials) {
+      toast.error('Host, banco, usuário e senha são obrigatórios');
+      return;
+    }
+
+    setTestingSql(true);
+    setSqlTestResult(null);
+
+    try {
+      const result = await databaseConnectionsService.testSQLCredentials({
+        ...getSQLCredentials(),
+        table_name: formData.table_name || undefined,
+      });
+
+      setSqlTestResult(result);
+
+      if (result.success) {
+        toast.success(result.message);
+      } else {
+        toast.error(result.message);
+      }
+    } catch (error: any) {
+      setSqlTestResult({ success: false, message: error.message });
+      toast.error(error.message || 'Erro ao testar credenciais');
+    } finally {
+      setTestingSql(false);
+    }
+  };
+
+  const handleLoadSQLTables = async () => {
+    if (!hasSQLCredentials) {
+      toast.error('Host, banco, usuário e senha são obrigatórios');
+      return;
+    }
+
+    setLoadingSqlTables(true);
+
+    try {
+      const tables = await databaseConnectionsService.getSQLTablesWithCredentials(getSQLCredentials());
+
+      setSqlTables(tables);
+
+      if (tables.length === 0) {
+        toast.info('Nenhuma tabela encontrada no banco');
+      } else {
+        toast.success(`${tables.length} tabela(s) encontrada(s)`);
+      }
+    } catch (error: any) {
+      console.error('Erro ao carregar tabelas:', error);
+      toast.error(error.message || 'Erro ao carregar tabelas');
+      setSqlTables([]);
+    } finally {
+      setLoadingSqlTables(false);
+    }
+  };
+
+  const handleSQLTableChange = async (tableName: string) => {
+    setFormData({
+      ...formData,
+      table_name: tableName,
+    });
+
+    if (!tableName) {
+      setSqlColumns([]);
+      return;
+    }
+
+    setLoadingSqlColumns(true);
+    try {
+      const columns = await databaseConnectionsService.getSQLColumnsWithCredentials(getSQLCredentials(), tableName);
+      setSqlColumns(columns);
+    } catch (error: any) {
+      console.error('Erro ao carregar colunas:', error);
+      setSqlColumns([]);
+    } finally {
+      setLoadingSqlColumns(false);
+    }
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setSaving(true);
@@ -1071,6 +1187,114 @@ export function DatabaseConnectionForm() {
                         </div>
                       </div>
 
+                      {isSQLType && (
+                        <div className="flex items-center gap-4">
+                          <Button
+                            type="button"
+                            variant="outline"
+                            onClick={handleTestSQLCredentials}
+                            disabled={testingSql || !hasSQLCredentials}
+                          >
+                            {testingSql ? (
+                              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                            ) : (
+                              <RefreshCw className="mr-2 h-4 w-4" />
+                            )}
+                            Testar Conexão
+                          </Button>
+
+                          {sqlTestResult && (
+                            <div className={`flex items-center gap-2 text-sm ${sqlTestResult.success ? 'text-green-600' : 'text-red-600'}`}>
+                              {sqlTestResult.success ? (
+                                <CheckCircle className="h-4 w-4" />
+                              ) : (
+                                <XCircle className="h-4 w-4" />
+                              )}
+                              {sqlTestResult.message}
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {isSQLType && hasSQLCredentials && (
+                        <Card>
+                          <CardHeader>
+                            <CardTitle className="flex items-center space-x-2">
+                              <Database className="h-4 w-4" />
+                              <span>Seleção de Tabela</span>
+                            </CardTitle>
+                            <CardDescription>
+                              Carregue as tabelas disponíveis no banco
+                            </CardDescription>
+                          </CardHeader>
+                          <CardContent className="space-y-4">
+                            <Button
+                              type="button"
+                              variant="outline"
+                              onClick={handleLoadSQLTables}
+                              disabled={loadingSqlTables}
+                            >
+                              {loadingSqlTables ? (
+                                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                              ) : (
+                                <RefreshCw className="mr-2 h-4 w-4" />
+                              )}
+                              Carregar Tabelas
+                            </Button>
+
+                            {sqlTables.length > 0 && (
+                              <div className="space-y-2">
+                                <Label>Tabela *</Label>
+                                <Select
+                                  value={formData.table_name}
+                                  onValueChange={handleSQLTableChange}
+                                >
+                                  <SelectTrigger>
+                                    <SelectValue placeholder="Selecione uma tabela" />
+                                  </SelectTrigger>
+                                  <SelectContent>
+                                    {sqlTables.map((table) => (
+                                      <SelectItem key={table.name} value={table.name}>
+                                        {table.name}
+                                      </SelectItem>
+                                    ))}
+                                  </SelectContent>
+                                </Select>
+                              </div>
+                            )}
+
+                            {/* Column Preview */}
+                            {sqlColumns.length > 0 && (
+                              <div className="space-y-2">
+                                <Label>Colunas da Tabela</Label>
+                                <div className="p-3 bg-muted rounded-lg max-h-40 overflow-y-auto">
+                                  <div className="grid grid-cols-2 gap-2 text-sm">
+                                    {sqlColumns.map((col) => (
+                                      <div key={col.name} className="flex items-center gap-2">
+                                        <span className="font-mono">{col.name}</span>
+                                        <span className="text-xs text-muted-foreground">
+                                          ({col.dataType})
+                                        </span>
+                                        {col.isPrimaryKey && (
+                                          <span className="text-xs bg-primary/10 text-primary px-1 rounded">PK</span>
+                                        )}
+                                      </div>
+                                    ))}
+                                  </div>
+                                </div>
+                              </div>
+                            )}
+
+                            {loadingSqlColumns && (
+                              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                                Carregando colunas...
+                              </div>
+                            )}
+                          </CardContent>
+                        </Card>
+                      )}
+
                       <div className="space-y-2">
                         <Label htmlFor="table_name">Nome da Tabela</Label>
                         <Input
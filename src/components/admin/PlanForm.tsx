@@ -63,6 +63,10 @@ const planSchema = z.object({
     maxBotMessagesPerMonth: z.number().min(0),
     maxBotTokensPerDay: z.number().min(0),
     maxBotTokensPerMonth: z.number().min(0),
+    // Data retention caps
+    maxRetentionDaysMedia: z.number().min(0),
+    maxRetentionDaysMessages: z.number().min(0),
+    maxRetentionDaysLogs: z.number().min(0),
   }),
   features: z.object({
     bulk_campaigns: z.boolean(),
@@ -110,6 +114,10 @@ const defaultValues: PlanFormData = {
     maxBotMessagesPerMonth: 1500,
     maxBotTokensPerDay: 10000,
     maxBotTokensPerMonth: 300000,
+    // Data retention caps (0 = no cap)
+    maxRetentionDaysMedia: 0,
+    maxRetentionDaysMessages: 0,
+    maxRetentionDaysLogs: 0,
   },
   features: {
     bulk_campaigns: false,
@@ -405,6 +413,40 @@ export function PlanForm({ plan, onSuccess, onCancel }: PlanFormProps) {
                 ))}
               </CardContent>
             </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Retenção de Dados</CardTitle>
+                <CardDescription>Prazo máximo de retenção permitido às contas deste plano (0 = sem limite)</CardDescription>
+              </CardHeader>
+              <CardContent className="grid grid-cols-3 gap-4">
+                {Object.entries({
+                  maxRetentionDaysMedia: 'Mídia (dias)',
+                  maxRetentionDaysMessages: 'Mensagens (dias)',
+                  maxRetentionDaysLogs: 'Logs (dias)',
+                }).map(([key, label]) => (
+                  <FormField
+                    key={key}
+                    control={form.control}
+                    name={`quotas.${key as keyof PlanFormData['quotas']}`}
+                    render={({ field }) => (
+                      <FormItem>
+                        <FormLabel>{label}</FormLabel>
+                        <FormControl>
+                          <Input
+                            type="number"
+                            min="0"
+                            {...field}
+                            onChange={(e) => field.onChange(parseInt(e.target.value || '0'))}
+                          />
+                        </FormControl>
+                        <FormMessage />
+                      </FormItem>
+                    )}
+                  />
+                ))}
+              </CardContent>
+            </Card>
           </TabsContent>
 
           <TabsContent value="features" className="space-y-4 mt-4">
@@ -9,7 +9,6 @@ import { useState, useEffect } from 'react'
 import { Button } from '@/components/ui/button'
 import { Card, CardContent } from '@/components/ui/card'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
-import { Textarea } from '@/components/ui/textarea'
 import { Label } from '@/components/ui/label'
 import { Loader2, Database, Play, CheckCircle } from 'lucide-react'
 import { toast } from 'sonner'
@@ -36,7 +35,6 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000'
 export function AgentDatabaseContactSelector({ onContactsImported }: AgentDatabaseContactSelectorProps) {
   const [connections, setConnections] = useState<DatabaseConnection[]>([])
   const [selectedConnection, setSelectedConnection] = useState<string>('')
-  const [query, setQuery] = useState('')
   const [loading, setLoading] = useState(false)
   const [fetching, setFetching] = useState(false)
   const [preview, setPreview] = useState<Contact[]>([])
@@ -81,7 +79,7 @@ export function AgentDatabaseContactSelector({ onContactsImported }: AgentDataba
             'Content-Type': 'application/json',
             Authorization: `Bearer ${token}`
           },
-          body: JSON.stringify({ query })
+          body: JSON.stringify({})
         }
       )
       const data = await response.json()
@@ -114,7 +112,7 @@ export function AgentDatabaseContactSelector({ onContactsImported }: AgentDataba
             'Content-Type': 'application/json',
             Authorization: `Bearer ${token}`
           },
-          body: JSON.stringify({ query })
+          body: JSON.stringify({})
         }
       )
       const data = await response.json()
@@ -186,19 +184,10 @@ export function AgentDatabaseContactSelector({ onContactsImported }: AgentDataba
 
         {selectedConnection && (
           <>
-            <div className="space-y-2">
-              <Label>Query SQL (Opcional)</Label>
-              <Textarea
-                placeholder="SELECT phone, name FROM users WHERE active = 1..."
-                value={query}
-                onChange={e => setQuery(e.target.value)}
-                className="font-mono text-sm h-24"
-              />
-              <p className="text-xs text-muted-foreground">
-                Se vazio, busca todos os registros da tabela padrão.
-                O sistema identifica colunas 'phone' e 'name' automaticamente.
-              </p>
-            </div>
+            <p className="text-xs text-muted-foreground">
+              Os registros são lidos da tabela configurada na conexão.
+              O sistema identifica colunas 'phone' e 'name' automaticamente.
+            </p>
 
             <div className="flex flex-col sm:flex-row gap-2">
               <Button
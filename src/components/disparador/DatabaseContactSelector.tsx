@@ -2,7 +2,6 @@ import { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
-import { Textarea } from '@/components/ui/textarea';
 import { Label } from '@/components/ui/label';
 import { Loader2, Database, Play, CheckCircle } from 'lucide-react';
 import { toast } from 'sonner';
@@ -30,7 +29,6 @@ const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
 export function DatabaseContactSelector({ userToken, onContactsImported }: DatabaseContactSelectorProps) {
     const [connections, setConnections] = useState<DatabaseConnection[]>([]);
     const [selectedConnection, setSelectedConnection] = useState<string>('');
-    const [query, setQuery] = useState('');
     const [loading, setLoading] = useState(false);
     const [fetching, setFetching] = useState(false);
     const [preview, setPreview] = useState<Contact[]>([]);
@@ -67,7 +65,7 @@ export function DatabaseContactSelector({ userToken, onContactsImported }: Datab
             setFetching(true);
             const response = await axios.post(
                 `${API_URL}/api/user/database-connections/${selectedConnection}/preview`,
-                { query },
+                {},
                 { headers: { Authorization: `Bearer ${userToken}` } }
             );
 
@@ -90,7 +88,7 @@ export function DatabaseContactSelector({ userToken, onContactsImported }: Datab
             setFetching(true);
             const response = await axios.post(
                 `${API_URL}/api/user/database-connections/${selectedConnection}/fetch`,
-                { query },
+                {},
                 { headers: { Authorization: `Bearer ${userToken}` } }
             );
 
@@ -154,19 +152,10 @@ export function DatabaseContactSelector({ userToken, onContactsImported }: Datab
                 </div>
 
                 {selectedConnection && (
-                    <div className="space-y-2">
-                        <Label className="text-sm">Query SQL (Opcional)</Label>
-                        <Textarea
-                            placeholder="SELECT phone, name FROM users WHERE active = 1..."
-                            value={query}
-                            onChange={e => setQuery(e.target.value)}
-                            className="font-mono text-xs sm:text-sm h-20 sm:h-24"
-                        />
-                        <p className="text-xs text-muted-foreground">
-                            Se vazio, tentará buscar todos os registros da tabela padrão.
-                            O sistema tenta identificar colunas 'phone' e 'name' automaticamente.
-                        </p>
-                    </div>
+                    <p className="text-xs text-muted-foreground">
+                        Os registros são lidos da tabela configurada na conexão.
+                        O sistema tenta identificar colunas 'phone' e 'name' automaticamente.
+                    </p>
                 )}
 
                 {selectedConnection && (
@@ -25,13 +25,14 @@ import {
   pauseBot, 
   resumeBot,
   setDefaultBot,
-  updateBotPriorities
+  updateBotPriorities,
+  regenerateBotToken
 } from '@/services/chat'
 import type { AgentBot, CreateBotData } from '@/types/chat'
 import { Switch } from '@/components/ui/switch'
 import { 
   Plus, Edit, Trash2, Play, Pause, Bot, Copy, X, Check, 
-  Star, ChevronUp, ChevronDown, History, FlaskConical
+  Star, ChevronUp, ChevronDown, History, FlaskConical, RefreshCw
 } from 'lucide-react'
 import { AdminAssignedBots } from './AdminAssignedBots'
 import { BotTestChat } from './BotTestChat'
@@ -42,6 +43,8 @@ export function BotSettings() {
   const [showForm, setShowForm] = useState(false)
   const [editingBot, setEditingBot] = useState<AgentBot | null>(null)
   const [testingBot, setTestingBot] = useState<AgentBot | null>(null)
+  // O token só é retornado em texto claro ao criar ou regenerar o bot
+  const [revealedTokens, setRevealedTokens] = useState<Record<number, string>>({})
   const [formData, setFormData] = useState<CreateBotData>({
     name: '',
     description: '',
@@ -56,8 +59,11 @@ export function BotSettings() {
 
   const createMutation = useMutation({
     mutationFn: createBot,
-    onSuccess: () => {
+    onSuccess: (bot: AgentBot) => {
       queryClient.invalidateQueries({ queryKey: ['bots'] })
+      if (bot?.accessToken) {
+        setRevealedTokens(prev => ({ ...prev, [bot.id]: bot.accessToken }))
+      }
       toast.success('Bot criado com sucesso')
       resetForm()
     },
@@ -66,6 +72,20 @@ export function BotSettings() {
     }
   })
 
+  const regenerateTokenMutation = useMutation({
+    mutationFn: regenerateBotToken,
+    onSuccess: (bot: AgentBot) => {
+      queryClient.invalidateQueries({ queryKey: ['bots'] })
+      if (bot?.accessToken) {
+        setRevealedTokens(prev => ({ ...prev, [bot.id]: bot.accessToken }))
+      }
+      toast.success('Novo token gerado', { description: 'Copie o token agora; ele não será exibido novamente' })
+    },
+    onError: (error: Error) => {
+      toast.error('Erro ao gerar token', { description: error.message })
+    }
+  })
+
   const updateMutation = useMutation({
     mutationFn: ({ id, data }: { id: number; data: Partial<CreateBotData> }) => updateBot(id, data),
     onSuccess: () => {
@@ -158,6 +178,11 @@ export function BotSettings() {
     }
   }
 
+  const copyRevealedToken = (botId: number) => {
+    const token = revealedTokens[botId]
+    if (token) copyToken(token)
+  }
+
   const moveBot = useCallback((botId: number, direction: 'up' | 'down') => {
     const currentIndex = bots.findIndex(b => b.id === botId)
     if (currentIndex === -1) return
@@ -353,15 +378,29 @@ export function BotSettings() {
                       {bot.accessToken && (
                         <div className="flex items-center gap-2 mt-2">
                           <code className="text-xs bg-muted px-2 py-1 rounded">
-                            {bot.accessToken.substring(0, 20)}...
+                            {revealedTokens[bot.id]
+                              ? `${revealedTokens[bot.id]?.substring(0, 20)}...`
+                              : bot.accessToken}
                           </code>
+                          {revealedTokens[bot.id] && (
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              className="h-6 w-6"
+                              onClick={() => copyRevealedToken(bot.id)}
+                            >
+                              <Copy className="h-3 w-3" />
+                            </Button>
+                          )}
                           <Button
                             variant="ghost"
                             size="icon"
                             className="h-6 w-6"
-                            onClick={() => copyToken(bot.accessToken)}
+                            onClick={() => regenerateTokenMutation.mutate(bot.id)}
+                            disabled={regenerateTokenMutation.isPending}
+                            title="Gerar novo token"
                           >
-                            <Copy className="h-3 w-3" />
+                            <RefreshCw className="h-3 w-3" />
                           </Button>
                         </div>
                       )}
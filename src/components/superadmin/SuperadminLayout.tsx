@@ -11,6 +11,7 @@ import {
   TooltipTrigger,
 } from '@/components/ui/tooltip';
 import {
+  AlertTriangle,
   BarChart3,
   Building2,
   Settings,
@@ -42,6 +43,7 @@ interface NavigationItem {
 const navigation: NavigationItem[] = [
   { name: 'Dashboard', href: '/superadmin/dashboard', icon: BarChart3 },
   { name: 'Tenants', href: '/superadmin/tenants', icon: Building2 },
+  { name: 'Dunning', href: '/superadmin/dunning', icon: AlertTriangle },
   { name: 'Settings', href: '/superadmin/settings', icon: Settings },
 ];
 
@@ -15,7 +15,7 @@ import { Skeleton } from '@/components/ui/skeleton'
 import { Check, Loader2, ArrowRight, Sparkles, X } from 'lucide-react'
 import { useToast } from '@/hooks/use-toast'
 import { stripeService } from '@/services/stripe'
-import type { AvailablePlan } from '@/types/stripe'
+import type { AvailablePlan, MeteredMetric, PlanOverage } from '@/types/stripe'
 
 interface PlanUpgradeCardProps {
   onClose: () => void
@@ -30,6 +30,11 @@ const BILLING_CYCLE_LABELS: Record<string, string> = {
   biweekly: '/quinzena'
 }
 
+const METERED_METRIC_LABELS: Record<MeteredMetric, string> = {
+  messages: 'mensagens',
+  botTokens: 'tokens de bot'
+}
+
 function formatPrice(cents: number): string {
   if (!cents) return 'Grátis'
   return new Intl.NumberFormat('pt-BR', {
@@ -199,6 +204,17 @@ export function PlanUpgradeCard({ onClose, currentPlanId }: PlanUpgradeCardProps
                   </ul>
                 )}
 
+                {Object.keys(plan.overage || {}).length > 0 && (
+                  <ul className="space-y-1 text-xs text-muted-foreground">
+                    {(Object.entries(plan.overage) as [MeteredMetric, PlanOverage][]).map(([metric, overage]) => (
+                      <li key={metric}>
+                        {overage.includedUnits.toLocaleString('pt-BR')} {METERED_METRIC_LABELS[metric]} inclusos,
+                        depois {formatPrice(overage.unitAmountCents)} a cada {overage.unitSize.toLocaleString('pt-BR')}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
                 <Button
                   className="w-full"
                   variant={plan.isCurrent ? 'outline' : 'default'}
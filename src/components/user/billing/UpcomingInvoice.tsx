@@ -0,0 +1,130 @@
+/**
+ * UpcomingInvoice Component
+ * 
+ * Displays the usage of the current billing period and the projected
+ * overage of plans with metered billing.
+ * Requirements: Stripe usage-based billing for messages and bot tokens
+ */
+
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card'
+import { Skeleton } from '@/components/ui/skeleton'
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table'
+import { useToast } from '@/hooks/use-toast'
+import { stripeService } from '@/services/stripe'
+import type { InvoicePreview, MeteredMetric } from '@/types/stripe'
+
+const METRIC_LABELS: Record<MeteredMetric, string> = {
+  messages: 'Mensagens',
+  botTokens: 'Tokens de bot',
+}
+
+function formatCurrency(cents: number, currency: string): string {
+  return new Intl.NumberFormat('pt-BR', {
+    style: 'currency',
+    currency: (currency || 'BRL').toUpperCase(),
+  }).format(cents / 100)
+}
+
+function formatNumber(value: number): string {
+  return Math.round(value).toLocaleString('pt-BR')
+}
+
+function formatDate(dateString: string): string {
+  return new Date(dateString).toLocaleDateString('pt-BR', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+  })
+}
+
+export function UpcomingInvoice() {
+  const [preview, setPreview] = useState<InvoicePreview | null>(null)
+  const [loading, setLoading] = useState(true)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    loadPreview()
+  }, [])
+
+  async function loadPreview() {
+    try {
+      setLoading(true)
+      const data = await stripeService.getInvoicePreview()
+      setPreview(data)
+    } catch (error) {
+      toast({
+        title: 'Erro',
+        description: 'Falha ao carregar a próxima fatura',
+        variant: 'destructive',
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <Card>
+        <CardHeader>
+          <Skeleton className="h-6 w-48" />
+          <Skeleton className="h-4 w-64" />
+        </CardHeader>
+        <CardContent>
+          <Skeleton className="h-24 w-full" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  // Plans without metered billing have nothing to project
+  if (!preview || preview.metrics.length === 0) {
+    return null
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Próxima Fatura</CardTitle>
+        <CardDescription>
+          Uso do período de {formatDate(preview.periodStart)} a {formatDate(preview.periodEnd)}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Item</TableHead>
+              <TableHead>Uso</TableHead>
+              <TableHead>Incluso</TableHead>
+              <TableHead>Excedente atual</TableHead>
+              <TableHead className="text-right">Projeção no fim do período</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {preview.metrics.map((metric) => (
+              <TableRow key={metric.metric}>
+                <TableCell>{METRIC_LABELS[metric.metric] || metric.metric}</TableCell>
+                <TableCell>{formatNumber(metric.usage)}</TableCell>
+                <TableCell>{formatNumber(metric.includedUnits)}</TableCell>
+                <TableCell>{formatCurrency(metric.amountCents, preview.currency)}</TableCell>
+                <TableCell className="text-right">
+                  {formatCurrency(metric.projectedAmountCents, preview.currency)}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <div className="flex items-center justify-between border-t pt-4">
+          <span className="text-sm text-muted-foreground">Total projetado da próxima fatura</span>
+          <span className="text-lg font-semibold">
+            {formatCurrency(preview.projectedTotalCents, preview.currency)}
+          </span>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default UpcomingInvoice
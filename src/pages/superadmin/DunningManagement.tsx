@@ -0,0 +1,208 @@
+import { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { AlertTriangle, RefreshCw } from 'lucide-react';
+import { toast } from 'sonner';
+import { useNavigate } from 'react-router-dom';
+import { backendApi } from '@/services/api-client';
+
+type DunningStage = 'grace' | 'restricted' | 'suspended' | 'recovered' | 'cancelled';
+
+interface DunningCase {
+  id: string;
+  accountId: string;
+  accountName: string | null;
+  tenantId: string | null;
+  tenantName: string | null;
+  stage: DunningStage;
+  amountDueCents: number;
+  currency: string;
+  failureCount: number;
+  failedAt: string;
+  restrictAt: string | null;
+  suspendAt: string | null;
+  resolvedAt: string | null;
+}
+
+type DunningSummary = Record<'grace' | 'restricted' | 'suspended', { count: number; amountDueCents: number }>;
+
+const STAGE_LABELS: Record<DunningStage, string> = {
+  grace: 'Carência',
+  restricted: 'Somente leitura',
+  suspended: 'Suspensa',
+  recovered: 'Recuperada',
+  cancelled: 'Cancelada',
+};
+
+const STAGE_VARIANTS: Record<DunningStage, 'default' | 'secondary' | 'destructive' | 'outline'> = {
+  grace: 'secondary',
+  restricted: 'outline',
+  suspended: 'destructive',
+  recovered: 'default',
+  cancelled: 'outline',
+};
+
+const formatCurrency = (cents: number, currency = 'BRL') => {
+  return new Intl.NumberFormat('pt-BR', {
+    style: 'currency',
+    currency: currency || 'BRL'
+  }).format(cents / 100);
+};
+
+const formatDate = (date: string | null) => {
+  return date ? new Date(date).toLocaleDateString('pt-BR') : '-';
+};
+
+/**
+ * Superadmin Dunning
+ * Accounts with failed subscription payments across all tenants
+ */
+const DunningManagement = () => {
+  const [cases, setCases] = useState<DunningCase[]>([]);
+  const [summary, setSummary] = useState<DunningSummary | null>(null);
+  const [stageFilter, setStageFilter] = useState<string>('open');
+  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+
+      const query = stageFilter === 'open'
+        ? 'open=true'
+        : stageFilter === 'closed' ? 'open=false' : `stage=${stageFilter}`;
+
+      const [casesResponse, summaryResponse] = await Promise.all([
+        backendApi.get<any>(`/superadmin/dunning/cases?${query}&limit=200`),
+        backendApi.get<any>('/superadmin/dunning/summary')
+      ]);
+
+      if (!casesResponse.success) {
+        if (casesResponse.status === 401) {
+          toast.error('Sessão expirada. Faça login novamente.');
+          navigate('/superadmin/login');
+          return;
+        }
+        throw new Error(casesResponse.error || `Falha ao carregar dados: ${casesResponse.status}`);
+      }
+
+      setCases(casesResponse.data?.data || []);
+      if (summaryResponse.success) {
+        setSummary(summaryResponse.data?.data || null);
+      }
+    } catch (error) {
+      console.error('Erro ao buscar inadimplência:', error);
+      toast.error('Falha ao carregar contas inadimplentes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchData();
+  }, [stageFilter]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <div className="p-3 rounded-xl bg-gradient-to-br from-orange-500 to-orange-600 shadow-lg shadow-orange-500/20">
+            <AlertTriangle className="h-5 w-5 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-foreground">Inadimplência</h1>
+            <p className="text-muted-foreground">
+              Contas com pagamento de assinatura pendente
+            </p>
+          </div>
+        </div>
+        <Button variant="outline" size="sm" onClick={fetchData} disabled={loading}>
+          <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Atualizar
+        </Button>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-3">
+        {(['grace', 'restricted', 'suspended'] as const).map((stage) => (
+          <Card key={stage}>
+            <CardHeader className="pb-2">
+              <CardDescription>{STAGE_LABELS[stage]}</CardDescription>
+              <CardTitle className="text-2xl">{summary?.[stage]?.count ?? 0}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-xs text-muted-foreground">
+                {formatCurrency(summary?.[stage]?.amountDueCents ?? 0)} em aberto
+              </p>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle>Contas</CardTitle>
+              <CardDescription>Prazos de somente leitura e suspensão seguem as configurações de cada tenant</CardDescription>
+            </div>
+            <Select value={stageFilter} onValueChange={setStageFilter}>
+              <SelectTrigger className="w-[180px]">
+                <SelectValue placeholder="Filtrar" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="open">Em aberto</SelectItem>
+                <SelectItem value="grace">Carência</SelectItem>
+                <SelectItem value="restricted">Somente leitura</SelectItem>
+                <SelectItem value="suspended">Suspensas</SelectItem>
+                <SelectItem value="closed">Encerradas</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {!loading && cases.length === 0 ? (
+            <p className="py-8 text-center text-muted-foreground">Nenhuma conta encontrada</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Conta</TableHead>
+                  <TableHead>Tenant</TableHead>
+                  <TableHead>Estágio</TableHead>
+                  <TableHead>Valor</TableHead>
+                  <TableHead>Falhas</TableHead>
+                  <TableHead>Falhou em</TableHead>
+                  <TableHead>Somente leitura em</TableHead>
+                  <TableHead>Suspensão em</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {cases.map((dunningCase) => (
+                  <TableRow key={dunningCase.id}>
+                    <TableCell className="font-medium">{dunningCase.accountName || dunningCase.accountId}</TableCell>
+                    <TableCell>{dunningCase.tenantName || '-'}</TableCell>
+                    <TableCell>
+                      <Badge variant={STAGE_VARIANTS[dunningCase.stage]}>
+                        {STAGE_LABELS[dunningCase.stage] || dunningCase.stage}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>{formatCurrency(dunningCase.amountDueCents, dunningCase.currency)}</TableCell>
+                    <TableCell>{dunningCase.failureCount}</TableCell>
+                    <TableCell>{formatDate(dunningCase.failedAt)}</TableCell>
+                    <TableCell>{formatDate(dunningCase.restrictAt)}</TableCell>
+                    <TableCell>{formatDate(dunningCase.suspendAt)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default DunningManagement;
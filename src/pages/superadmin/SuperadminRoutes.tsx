@@ -4,6 +4,7 @@ import SuperadminDashboard from './SuperadminDashboard';
 import TenantManagement from './TenantManagement';
 import TenantDetails from './TenantDetails';
 import SuperadminSettings from './SuperadminSettings';
+import DunningManagement from './DunningManagement';
 
 /**
  * SuperadminRoutes Component
@@ -17,6 +18,7 @@ const SuperadminRoutes = () => {
         <Route path="tenants" element={<TenantManagement />} />
         <Route path="tenants/new" element={<TenantManagement />} />
         <Route path="tenants/:id" element={<TenantDetails />} />
+        <Route path="dunning" element={<DunningManagement />} />
         <Route path="settings" element={<SuperadminSettings />} />
         <Route path="*" element={<Navigate to="/superadmin/dashboard" replace />} />
       </Routes>
@@ -16,6 +16,7 @@ import { SubscriptionCard } from '@/components/user/SubscriptionCard'
 import { QuotaUsageCard } from '@/components/user/QuotaUsageCard'
 import { FeaturesList } from '@/components/user/FeaturesList'
 import { BillingHistory } from '@/components/user/billing/BillingHistory'
+import { UpcomingInvoice } from '@/components/user/billing/UpcomingInvoice'
 import { PlanUpgradeCard } from '@/components/user/PlanUpgradeCard'
 import { useAccountSummary } from '@/hooks/useAccountSummary'
 import { useToast } from '@/hooks/use-toast'
@@ -160,7 +161,8 @@ export function AccountSettingsPage() {
           />
         </TabsContent>
 
-        <TabsContent value="billing">
+        <TabsContent value="billing" className="space-y-4">
+          <UpcomingInvoice />
           <BillingHistory />
         </TabsContent>
       </Tabs>
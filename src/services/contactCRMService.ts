@@ -2,7 +2,7 @@
  * Contact CRM Service
  * 
  * Handles CRM-specific operations for contacts including lead scoring,
- * timeline, and communication preferences.
+ * timeline, communication preferences and the LGPD consent ledger.
  * 
  * Requirements: 8.2 (Contact CRM Evolution)
  */
@@ -49,6 +49,25 @@ export interface TimelineEvent {
   createdByType?: string
 }
 
+export type ConsentPurpose = 'marketing' | 'transactional'
+export type ConsentStatus = 'granted' | 'revoked' | 'pending'
+export type ConsentSource = 'import' | 'keyword' | 'form' | 'api' | 'agent'
+export type ConsentLegalBasis = 'consent' | 'contract' | 'legal_obligation' | 'legitimate_interest'
+
+export interface ConsentEntry {
+  id: string
+  contact_id: string | null
+  contact_phone: string | null
+  purpose: ConsentPurpose
+  status: ConsentStatus
+  source: ConsentSource
+  legal_basis: ConsentLegalBasis
+  evidence: Record<string, unknown>
+  confirms_id: string | null
+  actor_id: string | null
+  created_at: string
+}
+
 export interface LeadScoreConfig {
   messageReceived: number
   messageSent: number
@@ -201,6 +220,63 @@ export async function updatePreferences(
   }
 }
 
+/**
+ * Get the consent ledger of a contact (oldest first)
+ */
+export async function getConsentHistory(contactId: string): Promise<ConsentEntry[]> {
+  const headers = await getAuthHeaders()
+  const response = await fetch(`${API_BASE}/contacts/${contactId}/consents`, { headers })
+  
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to fetch consent history')
+  }
+  
+  const data = await response.json()
+  return data.data
+}
+
+/**
+ * Record a consent change; with doubleOptIn the contact confirms by replying
+ */
+export async function recordConsent(
+  contactId: string,
+  consent: {
+    purpose: ConsentPurpose
+    granted: boolean
+    legalBasis?: ConsentLegalBasis
+    doubleOptIn?: boolean
+    inboxId?: string
+  }
+): Promise<void> {
+  const headers = await getAuthHeaders()
+  const response = await fetch(`${API_BASE}/contacts/${contactId}/consents`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(consent)
+  })
+  
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to record consent')
+  }
+}
+
+/**
+ * Download the consent history of a contact
+ */
+export async function exportConsentHistory(contactId: string, format: 'json' | 'csv' = 'json'): Promise<Blob> {
+  const headers = await getAuthHeaders()
+  const response = await fetch(`${API_BASE}/contacts/${contactId}/consents/export?format=${format}`, { headers })
+  
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || 'Failed to export consent history')
+  }
+  
+  return response.blob()
+}
+
 /**
  * Get lead scoring configuration
  */
@@ -87,6 +87,29 @@ export interface SupabaseColumn {
 // Tipo de chave do Supabase
 export type SupabaseKeyType = 'service_role' | 'anon';
 
+// Credenciais PostgreSQL/MySQL enviadas antes de salvar a conexão
+// Com connection_id, senha vazia ou mascarada usa a senha armazenada
+export interface SQLCredentials {
+  type: 'POSTGRES' | 'MYSQL';
+  host: string;
+  port?: number;
+  database: string;
+  username: string;
+  password?: string;
+  table_name?: string;
+  connection_id?: string | number;
+}
+
+// Tabela de um banco PostgreSQL/MySQL (name vem como schema.tabela fora do schema public)
+export interface SQLTable {
+  name: string;
+  schema: string;
+}
+
+// Filtros de /data: valor (igualdade) ou { operador: valor }
+export type SQLFilterOperator = 'eq' | 'neq' | 'gt' | 'gte' | 'lt' | 'lte' | 'contains' | 'isNull';
+export type TableDataFilters = Record<string, string | number | boolean | Partial<Record<SQLFilterOperator, string | number | boolean>>>;
+
 export interface DatabaseConnection {
   id?: number;
   name: string;
@@ -94,6 +117,7 @@ export interface DatabaseConnection {
   host: string;
   port: number;
   database: string;
+  database_name?: string; // Nome da coluna no backend
   username: string;
   password: string;
   table_name: string;
@@ -423,8 +447,11 @@ export class DatabaseConnectionsService {
         // Testar conexão Supabase via backend
         const result = await this.testSupabaseConnection(connection.id);
         testResult = { success: result.success, error: result.message };
+      } else if (connection.type === 'POSTGRES' || connection.type === 'MYSQL') {
+        const result = await this.testSQLConnection(connection.id);
+        testResult = { success: result.success, error: result.message };
       }
-      // Adicionar outros tipos de teste aqui no futuro (POSTGRES, MYSQL, API)
+      // Adicionar outros tipos de teste aqui no futuro (API)
 
       const newStatus = testResult.success ? 'connected' : 'error';
       await this.updateConnectionStatus(connection.id, newStatus);
@@ -550,10 +577,11 @@ export class DatabaseConnectionsService {
     tableId?: string
   ): Promise<NocoDBColumn[]> {
     // Determinar se é chamada com parâmetros separados ou com objeto connection
-    let baseURL: string;
-    let apiToken: string;
+    let baseURL = '';
+    let apiToken = '';
     let targetTableId: string;
     let cacheKey: string | null = null;
+    let connectionId: number | null = null;
 
     if (typeof baseURLOrConnection === 'string') {
       // Versão com parâmetros separados (admin)
@@ -572,8 +600,8 @@ export class DatabaseConnectionsService {
         );
       }
 
-      baseURL = connection.host;
-      apiToken = connection.nocodb_token || connection.password || '';
+      // O token NocoDB fica no servidor (a API retorna credenciais mascaradas)
+      connectionId = connection.id ?? null;
       targetTableId = connection.nocodb_table_id || connection.table_name;
 
       // Check cache first para chamadas do usuário
@@ -589,17 +617,29 @@ export class DatabaseConnectionsService {
     }
 
     try {
-      const api = axios.create({
-        baseURL,
-        headers: {
-          'xc-token': apiToken,
-        },
-        timeout: 10000,
-      });
+      let columns: NocoDBColumn[];
 
-      // Buscar metadados da tabela que incluem as colunas
-      const response = await api.get(`/api/v1/db/meta/tables/${targetTableId}`);
-      const columns: NocoDBColumn[] = response.data.columns || [];
+      if (connectionId !== null) {
+        const response = await backendApi.get<ApiResponse<NocoDBColumn[]>>(`/user/database-connections/${connectionId}/columns`);
+
+        if (!response.success) {
+          throw new Error(response.error || 'Erro ao buscar colunas');
+        }
+
+        columns = response.data?.data || [];
+      } else {
+        const api = axios.create({
+          baseURL,
+          headers: {
+            'xc-token': apiToken,
+          },
+          timeout: 10000,
+        });
+
+        // Buscar metadados da tabela que incluem as colunas
+        const response = await api.get(`/api/v1/db/meta/tables/${targetTableId}`);
+        columns = response.data.columns || [];
+      }
 
       // Cache apenas para chamadas do usuário (com connection object)
       if (cacheKey) {
@@ -877,6 +917,159 @@ export class DatabaseConnectionsService {
     }
   }
 
+  /**
+   * Testar conexão PostgreSQL/MySQL existente
+   */
+  async testSQLConnection(connectionId: number | string): Promise<{ success: boolean; message: string; details?: any }> {
+    try {
+      const response = await backendApi.post<ApiResponse<any>>(`/database-connections/${connectionId}/test`);
+
+      return {
+        success: response.success && response.data?.success !== false,
+        message: response.data?.message || response.error || 'Erro ao testar conexão',
+        details: response.data?.data?.details,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        message: error.message || 'Erro ao testar conexão',
+      };
+    }
+  }
+
+  /**
+   * Testar credenciais PostgreSQL/MySQL antes de salvar
+   */
+  async testSQLCredentials(credentials: SQLCredentials): Promise<{ success: boolean; message: string; details?: any }> {
+    try {
+      const response = await backendApi.post<ApiResponse<any>>('/database-connections/test-sql-credentials', credentials);
+
+      return {
+        success: response.success && response.data?.success !== false,
+        message: response.data?.message || response.error || 'Erro ao testar credenciais',
+        details: response.data?.data?.details,
+      };
+    } catch (error: any) {
+      return {
+        success: false,
+        message: error.message || 'Erro ao testar credenciais',
+      };
+    }
+  }
+
+  /**
+   * Buscar tabelas PostgreSQL/MySQL com credenciais temporárias
+   */
+  async getSQLTablesWithCredentials(credentials: SQLCredentials): Promise<SQLTable[]> {
+    try {
+      const response = await backendApi.post<ApiResponse<SQLTable[]>>('/database-connections/sql/tables', credentials);
+
+      if (!response.success) {
+        throw new Error(response.error || 'Erro ao buscar tabelas');
+      }
+
+      return response.data?.data || [];
+    } catch (error: any) {
+      console.error('Erro ao buscar tabelas SQL:', error);
+      throw new DatabaseNavigationException(
+        error.message || 'Erro ao buscar tabelas do banco de dados',
+        DatabaseNavigationError.DATABASE_ERROR
+      );
+    }
+  }
+
+  /**
+   * Buscar colunas de uma tabela PostgreSQL/MySQL com credenciais temporárias
+   */
+  async getSQLColumnsWithCredentials(credentials: SQLCredentials, tableName: string): Promise<SupabaseColumn[]> {
+    try {
+      const response = await backendApi.post<ApiResponse<SupabaseColumn[]>>('/database-connections/sql/columns', {
+        ...credentials,
+        table_name: tableName,
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Erro ao buscar colunas');
+      }
+
+      return response.data?.data || [];
+    } catch (error: any) {
+      console.error('Erro ao buscar colunas SQL:', error);
+      throw new DatabaseNavigationException(
+        error.message || 'Erro ao buscar colunas do banco de dados',
+        DatabaseNavigationError.DATABASE_ERROR
+      );
+    }
+  }
+
+  /**
+   * Buscar tabelas de uma conexão PostgreSQL/MySQL existente
+   */
+  async getSQLTables(connectionId: number | string): Promise<SQLTable[]> {
+    const cacheKey = `sql-tables:${connectionId}`;
+
+    const cached = connectionCache.get<SQLTable[]>(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const response = await backendApi.get<ApiResponse<SQLTable[]>>(`/database-connections/${connectionId}/sql/tables`);
+
+      if (!response.success) {
+        throw new Error(response.error || 'Erro ao buscar tabelas');
+      }
+
+      const tables = response.data?.data || [];
+
+      // Cache for 10 minutes
+      connectionCache.set(cacheKey, tables, 600000);
+
+      return tables;
+    } catch (error: any) {
+      console.error('Erro ao buscar tabelas SQL:', error);
+      throw new DatabaseNavigationException(
+        error.message || 'Erro ao buscar tabelas do banco de dados',
+        DatabaseNavigationError.DATABASE_ERROR
+      );
+    }
+  }
+
+  /**
+   * Buscar colunas de uma tabela de uma conexão PostgreSQL/MySQL existente
+   */
+  async getSQLColumns(connectionId: number | string, tableName: string): Promise<SupabaseColumn[]> {
+    const cacheKey = `sql-columns:${connectionId}:${tableName}`;
+
+    const cached = connectionCache.get<SupabaseColumn[]>(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      const response = await backendApi.get<ApiResponse<SupabaseColumn[]>>(
+        `/database-connections/${connectionId}/sql/columns/${encodeURIComponent(tableName)}`
+      );
+
+      if (!response.success) {
+        throw new Error(response.error || 'Erro ao buscar colunas');
+      }
+
+      const columns = response.data?.data || [];
+
+      // Cache for 10 minutes
+      connectionCache.set(cacheKey, columns, 600000);
+
+      return columns;
+    } catch (error: any) {
+      console.error('Erro ao buscar colunas SQL:', error);
+      throw new DatabaseNavigationException(
+        error.message || 'Erro ao buscar colunas do banco de dados',
+        DatabaseNavigationError.DATABASE_ERROR
+      );
+    }
+  }
+
   /**
    * Buscar conexões atribuídas a um usuário específico
    * Implementa cache de 5 minutos para melhorar performance
@@ -1096,8 +1289,13 @@ export class DatabaseConnectionsService {
    * Buscar dados de uma tabela (admin - para preview no page builder)
    * Não requer token de usuário, usa endpoint admin
    */
-  async getTableData(connectionId: number | string, limit = 50, offset = 0): Promise<any[]> {
-    const cacheKey = `admin-table-data:${connectionId}:${limit}:${offset}`;
+  async getTableData(
+    connectionId: number | string,
+    limit = 50,
+    offset = 0,
+    filters?: TableDataFilters
+  ): Promise<any[]> {
+    const cacheKey = `admin-table-data:${connectionId}:${limit}:${offset}:${filters ? JSON.stringify(filters) : ''}`;
 
     // Try cache first
     const cached = connectionCache.get<any[]>(cacheKey);
@@ -1111,7 +1309,7 @@ export class DatabaseConnectionsService {
     try {
       const response = await backendApi.get<ApiResponse<any[]>>(
         `/database-connections/${connectionId}/data`,
-        { params: { limit, offset } }
+        { params: { limit, offset, filters } }
       );
 
       if (!response.success) {
@@ -13,6 +13,7 @@ import type {
   CreditBalance,
   CreditPackage,
   Invoice,
+  InvoicePreview,
   ConnectStatus,
   ResellerPricing,
   AffiliateEarnings,
@@ -211,6 +212,24 @@ export async function getBillingHistory(page = 1): Promise<Invoice[]> {
   return response.data.data
 }
 
+/**
+ * Get the upcoming invoice with the projected usage overage
+ * Returns null when the user has no active subscription
+ */
+export async function getInvoicePreview(): Promise<InvoicePreview | null> {
+  const response = await api.get('/api/user/billing/invoice-preview')
+
+  if (response.status === 404) {
+    return null
+  }
+  if (response.status >= 400) {
+    const errorMessage = (response.data as { error?: string })?.error || `HTTP ${response.status}`
+    throw new Error(errorMessage)
+  }
+
+  return (response.data as { data: InvoicePreview }).data
+}
+
 /**
  * Open billing portal
  */
@@ -315,6 +334,7 @@ export const stripeService = {
 
   // Billing
   getBillingHistory,
+  getInvoicePreview,
   openBillingPortal,
 
   // Reseller
@@ -47,6 +47,10 @@ export interface PlanQuotas {
   maxBotMessagesPerMonth: number
   maxBotTokensPerDay: number
   maxBotTokensPerMonth: number
+  // Data retention caps in days (0 = no cap)
+  maxRetentionDaysMedia: number
+  maxRetentionDaysMessages: number
+  maxRetentionDaysLogs: number
 }
 
 // Plan features in snake_case (matching backend format)
@@ -10,7 +10,9 @@
 
 export type AppointmentStatus = 'scheduled' | 'confirmed' | 'completed' | 'cancelled' | 'no_show'
 export type PaymentStatus = 'pending' | 'paid' | 'refunded'
-export type RecurringType = 'weekly' | 'monthly'
+export type RecurringType = 'daily' | 'weekdays' | 'weekly' | 'monthly'
+export type RecurrenceScope = 'this' | 'following' | 'all'
+export type RecurrenceConflictStrategy = 'skip' | 'fail'
 export type BlockedSlotRecurringType = 'daily' | 'weekly'
 export type CalendarEventType = 'appointment' | 'scheduled_message' | 'campaign' | 'blocked'
 
@@ -30,8 +32,24 @@ export interface AppointmentService {
 
 export interface RecurringPattern {
   type: RecurringType
-  interval: number
-  endDate: string | null
+  interval?: number
+  daysOfWeek?: number[] // weekly, 0-6 (Sunday = 0)
+  weekOfMonth?: 1 | 2 | 3 | 4 | 5 | -1 // monthly on the nth weekday of the start (-1 = last)
+  count?: number
+  endDate?: string | null
+  exceptions?: string[] // dates (YYYY-MM-DD) without an occurrence
+}
+
+export interface RecurrenceConflict {
+  startTime: string
+  endTime: string
+  conflictsWith: {
+    type: 'appointment' | 'blocked'
+    id: string
+    title: string | null
+    startTime: string
+    endTime: string
+  }
 }
 
 export interface BlockedSlotRecurringPattern {
@@ -74,6 +92,9 @@ export interface Appointment {
   cancellation_reason: string | null
   recurring_parent_id: string | null
   recurring_pattern: RecurringPattern | null
+  series_id: string | null
+  recurrence_start: string | null
+  is_occurrence?: boolean // series occurrence not saved as a row yet (id = `${series_id}_${recurrence_start}`)
   financial_record: FinancialRecord[] | null
   created_at: string
   updated_at: string
@@ -127,6 +148,7 @@ export interface CreateAppointmentData {
   priceCents?: number
   notes?: string
   recurringPattern?: RecurringPattern
+  conflictStrategy?: RecurrenceConflictStrategy
 }
 
 export interface UpdateAppointmentData {
@@ -139,6 +161,8 @@ export interface UpdateAppointmentData {
   priceCents?: number
   notes?: string
   cancellationReason?: string
+  recurringPattern?: RecurringPattern // series scopes 'following' and 'all'
+  conflictStrategy?: RecurrenceConflictStrategy
 }
 
 export interface CreateBlockedSlotData {
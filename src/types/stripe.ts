@@ -116,6 +116,46 @@ export interface Invoice {
   createdAt: string
 }
 
+// ==================== Metered Billing ====================
+
+export type MeteredMetric = 'messages' | 'botTokens'
+
+// Usage billed above the plan allowance
+export interface PlanOverage {
+  includedUnits: number
+  unitSize: number
+  unitAmountCents: number
+}
+
+export interface InvoicePreviewMetric extends PlanOverage {
+  metric: MeteredMetric
+  usage: number
+  billableUnits: number
+  amountCents: number
+  projectedUsage: number
+  projectedBillableUnits: number
+  projectedAmountCents: number
+}
+
+export interface InvoicePreview {
+  planId: string
+  planName: string
+  status: string
+  periodStart: string
+  periodEnd: string
+  currency: string
+  metrics: InvoicePreviewMetric[]
+  overageCents: number
+  projectedOverageCents: number
+  upcomingInvoice: {
+    amountDueCents: number
+    totalCents: number
+    overageCents: number
+    nextPaymentAttempt: string | null
+  } | null
+  projectedTotalCents: number
+}
+
 // ==================== Stripe Connect ====================
 
 export interface ConnectStatus {
@@ -224,6 +264,7 @@ export interface AvailablePlan {
   quotas: Record<string, number>
   features: string[]
   stripePriceId: boolean // Only indicates if synced
+  overage: Partial<Record<MeteredMetric, PlanOverage>>
 }
 
 // ==================== Checkout ====================